@@ -0,0 +1,139 @@
+/**
+ * Authentication Middleware
+ *
+ * Verifies the Supabase access token sent in the Authorization header
+ * and attaches the authenticated user to the request.
+ *
+ * User-scoped routes must read the user id from req.userId — never from
+ * the request body, query string, or URL params.
+ */
+
+const { getSupabase, isSupabaseAvailable } = require('../supabaseClient');
+
+// Verified tokens are cached briefly so chat/voice bursts don't hit Supabase Auth on every request
+const TOKEN_CACHE_TTL_MS = 60 * 1000;
+const TOKEN_CACHE_MAX_ENTRIES = 1000;
+const tokenCache = new Map(); // token -> { user, expiresAt }
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.headers['authorization'] || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Resolve a Supabase access token to its user (null if invalid or expired)
+ */
+async function verifyAccessToken(token) {
+  const now = Date.now();
+  const cached = tokenCache.get(token);
+  if (cached && cached.expiresAt > now) {
+    return cached.user;
+  }
+  tokenCache.delete(token);
+
+  const { data, error } = await getSupabase().auth.getUser(token);
+  if (error || !data?.user) {
+    return null;
+  }
+
+  if (tokenCache.size >= TOKEN_CACHE_MAX_ENTRIES) {
+    // Map preserves insertion order — drop the oldest entry
+    tokenCache.delete(tokenCache.keys().next().value);
+  }
+  tokenCache.set(token, { user: data.user, expiresAt: now + TOKEN_CACHE_TTL_MS });
+
+  return data.user;
+}
+
+/**
+ * Shared token check used by requireAuth and optionalAuth
+ *
+ * @param {boolean} required - Reject the request when no valid token is present
+ * @returns {Function} Express middleware
+ */
+function authenticate(required) {
+  return async (req, res, next) => {
+    req.user = null;
+    req.userId = null;
+
+    const token = getBearerToken(req);
+
+    if (!token) {
+      if (!required) return next();
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+      });
+    }
+
+    if (!isSupabaseAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Authentication unavailable',
+      });
+    }
+
+    try {
+      const user = await verifyAccessToken(token);
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired session',
+        });
+      }
+
+      req.user = user;
+      req.userId = user.id;
+      next();
+    } catch (error) {
+      console.error('🔑 [Auth] Token verification failed:', error.message);
+      return res.status(503).json({
+        success: false,
+        error: 'Authentication unavailable',
+      });
+    }
+  };
+}
+
+/**
+ * Require a valid Supabase session. Sets req.user and req.userId.
+ */
+const requireAuth = authenticate(true);
+
+/**
+ * Attach the Supabase user when a token is sent, but allow anonymous
+ * (device-only) requests through. An invalid token is still rejected.
+ */
+const optionalAuth = authenticate(false);
+
+/**
+ * Reject requests whose :param user id doesn't match the authenticated user.
+ * Keeps legacy routes like /api/alerts/:userId working for their owner only.
+ *
+ * @param {string} paramName - Route param holding the user id
+ * @returns {Function} Express middleware (use after requireAuth)
+ */
+function requireOwnUserParam(paramName = 'userId') {
+  return (req, res, next) => {
+    const paramUserId = req.params[paramName];
+    if (paramUserId && paramUserId !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  requireOwnUserParam,
+  getBearerToken,
+};
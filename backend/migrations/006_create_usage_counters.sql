@@ -0,0 +1,76 @@
+-- ============================================
+-- Migration 006: Usage Counters
+-- Persistent, tier-aware quotas for voice, receipt scans and Troy messages.
+-- Replaces the in-memory voiceUsage map and the /tmp/scan-usage.json file,
+-- both of which reset on every deploy and weren't shared across instances.
+-- ============================================
+
+-- One row per subject / feature / window. subject_id is the Supabase user id
+-- for signed-in users, or the RevenueCat app user id for anonymous installs.
+create table if not exists usage_counters (
+  subject_id text not null,
+  feature text not null check (feature in ('voice', 'scan', 'troy_message')),
+  period text not null check (period in ('day', 'month')),
+  period_start date not null,
+  count integer default 0 not null check (count >= 0),
+  updated_at timestamptz default now() not null,
+  primary key (subject_id, feature, period, period_start)
+);
+
+-- Backend-only table (service role) — no client policies
+alter table usage_counters enable row level security;
+
+create index if not exists idx_usage_counters_period_start
+  on usage_counters (period_start);
+
+-- Atomically add to the day and month counters for a feature and return
+-- both totals. Upsert keeps concurrent requests on different instances exact.
+-- Only the backend (service role) may call it: with the anon key a client
+-- could reset its own quota or fill up someone else's.
+create or replace function increment_usage(
+  p_subject_id text,
+  p_feature text,
+  p_day date,
+  p_month date,
+  p_amount integer default 1
+)
+returns table (period text, count integer) as $$
+#variable_conflict use_column
+begin
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'increment_usage: p_amount must be positive';
+  end if;
+
+  insert into usage_counters (subject_id, feature, period, period_start, count)
+  values
+    (p_subject_id, p_feature, 'day', p_day, p_amount),
+    (p_subject_id, p_feature, 'month', p_month, p_amount)
+  on conflict (subject_id, feature, period, period_start)
+  do update set
+    count = usage_counters.count + excluded.count,
+    updated_at = now();
+
+  return query
+    select u.period, u.count
+    from usage_counters u
+    where u.subject_id = p_subject_id
+      and u.feature = p_feature
+      and ((u.period = 'day' and u.period_start = p_day)
+        or (u.period = 'month' and u.period_start = p_month));
+end;
+$$ language plpgsql security definer set search_path = public;
+
+revoke execute on function increment_usage(text, text, date, date, integer) from public, anon, authenticated;
+grant execute on function increment_usage(text, text, date, date, integer) to service_role;
+
+-- Housekeeping: counters older than the previous month are never read again
+create or replace function prune_usage_counters()
+returns void as $$
+begin
+  delete from usage_counters
+  where period_start < (date_trunc('month', now()) - interval '1 month')::date;
+end;
+$$ language plpgsql security definer set search_path = public;
+
+revoke execute on function prune_usage_counters() from public, anon, authenticated;
+grant execute on function prune_usage_counters() to service_role;
@@ -0,0 +1,41 @@
+-- ============================================
+-- Migration 007: Holding Sales
+-- Dispositions (sales / partial sales) of holdings with the lots they drew
+-- from, so realized gains survive after a lot is reduced or removed.
+-- ============================================
+
+create table if not exists holding_sales (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users(id) on delete cascade not null,
+  local_id bigint,
+  metal text not null check (metal in ('gold', 'silver', 'platinum', 'palladium')),
+  product_name text not null,
+  sale_date date,
+  quantity numeric not null check (quantity > 0),
+  ozt numeric not null default 0,
+  price_per_unit numeric not null default 0,
+  fees numeric not null default 0,
+  proceeds numeric not null default 0,
+  cost_basis numeric not null default 0,
+  realized_gain numeric not null default 0,
+  cost_basis_method text not null default 'fifo'
+    check (cost_basis_method in ('fifo', 'lifo', 'average', 'specific')),
+  buyer text,
+  notes text,
+  -- [{ lotId, quantity, ozt, costBasis, taxes, shipping, lot: { ...purchase snapshot } }]
+  lots jsonb not null default '[]'::jsonb,
+  created_at timestamptz default now() not null,
+  updated_at timestamptz default now() not null,
+  deleted_at timestamptz
+);
+
+alter table holding_sales enable row level security;
+
+create policy "Users can manage their own sales"
+  on holding_sales for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create index if not exists idx_holding_sales_user_date
+  on holding_sales (user_id, sale_date desc)
+  where deleted_at is null;
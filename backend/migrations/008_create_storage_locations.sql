@@ -0,0 +1,36 @@
+-- ============================================
+-- Migration 008: Storage Locations
+-- Named portfolios/locations (home safe, safe deposit box, vault) and the
+-- location each holding is stored at, for per-location exposure reports.
+-- ============================================
+
+create table if not exists storage_locations (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users(id) on delete cascade not null,
+  local_id bigint not null,
+  name text not null,
+  type text not null default 'other'
+    check (type in ('home_safe', 'bank_box', 'vault', 'other')),
+  notes text,
+  created_at timestamptz default now() not null,
+  updated_at timestamptz default now() not null,
+  deleted_at timestamptz
+);
+
+alter table storage_locations enable row level security;
+
+create policy "Users can manage their own storage locations"
+  on storage_locations for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create unique index if not exists idx_storage_locations_user_local
+  on storage_locations (user_id, local_id);
+
+-- Holdings reference a location by its local_id (the app's id for it), the
+-- same way holdings and sales are matched across devices. Null = unassigned.
+alter table holdings add column if not exists location_id bigint;
+
+create index if not exists idx_holdings_user_location
+  on holdings (user_id, location_id)
+  where deleted_at is null;
@@ -0,0 +1,102 @@
+-- ============================================
+-- Migration 009: Promote Holding Fields to Columns
+-- source, time_purchased, taxes, shipping, spot_price, premium and
+-- cost_basis were only stored in the notes JSON string, so nothing
+-- server-side could include taxes/shipping in cost or filter by dealer.
+-- Adds real columns and backfills them from notes.
+--
+-- Transition: app versions before this migration keep writing notes only.
+-- The trigger below copies notes into any column the writer didn't set, so
+-- the columns stay current until every client writes them directly. Notes
+-- keeps the same keys until then.
+-- ============================================
+
+alter table holdings add column if not exists source text;
+alter table holdings add column if not exists time_purchased text;
+alter table holdings add column if not exists taxes numeric;
+alter table holdings add column if not exists shipping numeric;
+alter table holdings add column if not exists spot_price numeric;
+alter table holdings add column if not exists premium numeric;
+alter table holdings add column if not exists cost_basis numeric;
+
+-- notes can be plain text on very old rows; only JSON objects are parsed
+create or replace function holding_notes_json(notes text)
+returns jsonb
+language plpgsql
+immutable
+as $$
+begin
+  if notes is null or notes !~ '^\s*\{' then
+    return null;
+  end if;
+  return notes::jsonb;
+exception when others then
+  return null;
+end;
+$$;
+
+-- Backfill
+update holdings h
+set
+  source         = coalesce(h.source, nullif(n.j->>'source', '')),
+  time_purchased = coalesce(h.time_purchased, nullif(n.j->>'time_purchased', '')),
+  taxes          = coalesce(h.taxes, (n.j->>'taxes')::numeric),
+  shipping       = coalesce(h.shipping, (n.j->>'shipping')::numeric),
+  spot_price     = coalesce(h.spot_price, (n.j->>'spot_price')::numeric),
+  premium        = coalesce(h.premium, (n.j->>'premium')::numeric),
+  cost_basis     = coalesce(h.cost_basis, (n.j->>'cost_basis')::numeric)
+from (select id, holding_notes_json(notes) as j from holdings) n
+where n.id = h.id
+  and n.j is not null;
+
+-- Keep columns in sync with notes for writers that only send notes
+create or replace function sync_holding_columns_from_notes()
+returns trigger
+language plpgsql
+as $$
+declare
+  j jsonb := holding_notes_json(new.notes);
+begin
+  if j is null then
+    return new;
+  end if;
+  if tg_op = 'UPDATE' and new.notes is not distinct from old.notes then
+    return new;
+  end if;
+
+  -- A column the writer set (insert: non-null, update: changed) wins
+  if (tg_op = 'INSERT' and new.source is null) or (tg_op = 'UPDATE' and new.source is not distinct from old.source) then
+    new.source := nullif(j->>'source', '');
+  end if;
+  if (tg_op = 'INSERT' and new.time_purchased is null) or (tg_op = 'UPDATE' and new.time_purchased is not distinct from old.time_purchased) then
+    new.time_purchased := nullif(j->>'time_purchased', '');
+  end if;
+  if (tg_op = 'INSERT' and new.taxes is null) or (tg_op = 'UPDATE' and new.taxes is not distinct from old.taxes) then
+    new.taxes := (j->>'taxes')::numeric;
+  end if;
+  if (tg_op = 'INSERT' and new.shipping is null) or (tg_op = 'UPDATE' and new.shipping is not distinct from old.shipping) then
+    new.shipping := (j->>'shipping')::numeric;
+  end if;
+  if (tg_op = 'INSERT' and new.spot_price is null) or (tg_op = 'UPDATE' and new.spot_price is not distinct from old.spot_price) then
+    new.spot_price := (j->>'spot_price')::numeric;
+  end if;
+  if (tg_op = 'INSERT' and new.premium is null) or (tg_op = 'UPDATE' and new.premium is not distinct from old.premium) then
+    new.premium := (j->>'premium')::numeric;
+  end if;
+  if (tg_op = 'INSERT' and new.cost_basis is null) or (tg_op = 'UPDATE' and new.cost_basis is not distinct from old.cost_basis) then
+    new.cost_basis := (j->>'cost_basis')::numeric;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists holdings_sync_columns_from_notes on holdings;
+create trigger holdings_sync_columns_from_notes
+  before insert or update on holdings
+  for each row execute function sync_holding_columns_from_notes();
+
+-- Filter/group by dealer
+create index if not exists idx_holdings_user_source
+  on holdings (user_id, source)
+  where deleted_at is null;
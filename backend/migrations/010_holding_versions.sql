@@ -0,0 +1,62 @@
+-- ============================================
+-- Migration 010: Holding Versions (incremental sync)
+-- Per-record version numbers and server-side updated_at for conflict-aware
+-- incremental sync. Devices pull rows changed since their last cursor
+-- (soft-deleted rows included, as tombstones) and push edits with
+-- "update ... where version = <the version I edited>"; zero rows updated
+-- means another device got there first.
+--
+-- local_id was only in the notes JSON; it gets a column so a device can
+-- find "its" record without scanning every row.
+-- ============================================
+
+alter table holdings add column if not exists version integer not null default 1;
+alter table holdings add column if not exists local_id bigint;
+
+-- Backfill (holding_notes_json from migration 009)
+update holdings
+set local_id = (holding_notes_json(notes)->>'local_id')::bigint
+where local_id is null
+  and holding_notes_json(notes) ? 'local_id';
+
+create index if not exists idx_holdings_user_local_id
+  on holdings (user_id, local_id);
+
+-- Incremental pulls read tombstones too, so no deleted_at filter here
+create index if not exists idx_holdings_user_updated_at
+  on holdings (user_id, updated_at);
+
+-- Server clock for updated_at (device clocks can't be trusted for cursors)
+-- and a version bump on every change, including writes from app versions
+-- that don't know about versions yet.
+create or replace function bump_holding_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.version := 1;
+    new.updated_at := now();
+    if new.local_id is null then
+      new.local_id := (holding_notes_json(new.notes)->>'local_id')::bigint;
+    end if;
+    return new;
+  end if;
+
+  if new is not distinct from old then
+    return new;
+  end if;
+
+  new.version := old.version + 1;
+  new.updated_at := now();
+  if new.local_id is null then
+    new.local_id := coalesce((holding_notes_json(new.notes)->>'local_id')::bigint, old.local_id);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists holdings_bump_version on holdings;
+create trigger holdings_bump_version
+  before insert or update on holdings
+  for each row execute function bump_holding_version();
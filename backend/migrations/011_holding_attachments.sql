@@ -0,0 +1,29 @@
+-- ============================================
+-- Migration 011: Holding Attachments
+-- Private Storage bucket for files attached to holdings (receipt photos,
+-- invoices, assay certificates, item photos). Each user's files live under
+-- a folder named after their user id; the metadata (kind, name, storage
+-- path) is kept in the holding's notes JSON and syncs with the holding.
+-- ============================================
+
+insert into storage.buckets (id, name, public, file_size_limit)
+values ('holding-attachments', 'holding-attachments', false, 10485760)
+on conflict (id) do nothing;
+
+create policy "Users can read their own attachments"
+  on storage.objects for select
+  using (bucket_id = 'holding-attachments' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Users can upload their own attachments"
+  on storage.objects for insert
+  with check (bucket_id = 'holding-attachments' and (storage.foldername(name))[1] = auth.uid()::text);
+
+-- Uploads use upsert, so a retried upload overwrites the partial one
+create policy "Users can replace their own attachments"
+  on storage.objects for update
+  using (bucket_id = 'holding-attachments' and (storage.foldername(name))[1] = auth.uid()::text)
+  with check (bucket_id = 'holding-attachments' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Users can delete their own attachments"
+  on storage.objects for delete
+  using (bucket_id = 'holding-attachments' and (storage.foldername(name))[1] = auth.uid()::text);
@@ -0,0 +1,9 @@
+-- ============================================
+-- Migration 012: Location Coverage Limits
+-- Insurance coverage limit (USD) per storage location. The insurance
+-- replacement-cost report flags locations whose replacement cost is over
+-- their limit. Null = no limit set (the app's default limit applies).
+-- ============================================
+
+alter table storage_locations add column if not exists coverage_limit numeric(14, 2)
+  check (coverage_limit is null or coverage_limit > 0);
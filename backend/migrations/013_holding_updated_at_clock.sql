@@ -0,0 +1,35 @@
+-- ============================================
+-- Migration 013: Holding updated_at from the wall clock
+-- bump_holding_version (migration 010) stamped updated_at with now(), the
+-- start of the writing transaction. A write that started before a device's
+-- sync cursor but committed after its pull was never pulled. clock_timestamp()
+-- is the time of the write itself; devices also pull from a little before
+-- their cursor to cover the gap until commit.
+-- ============================================
+
+create or replace function bump_holding_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.version := 1;
+    new.updated_at := clock_timestamp();
+    if new.local_id is null then
+      new.local_id := (holding_notes_json(new.notes)->>'local_id')::bigint;
+    end if;
+    return new;
+  end if;
+
+  if new is not distinct from old then
+    return new;
+  end if;
+
+  new.version := old.version + 1;
+  new.updated_at := clock_timestamp();
+  if new.local_id is null then
+    new.local_id := coalesce((holding_notes_json(new.notes)->>'local_id')::bigint, old.local_id);
+  end if;
+  return new;
+end;
+$$;
@@ -0,0 +1,27 @@
+-- ============================================
+-- Migration 014: One live holding per local id
+-- A device finds its record by (user_id, local_id), but the index from
+-- migration 010 didn't enforce it: two pushes of the same new holding (a
+-- sync and an outbox flush) could both insert it. Soft-deleted rows keep
+-- their local id as tombstones, so only live rows have to be unique.
+-- ============================================
+
+-- Keep the newest live copy of each duplicate; the others become tombstones
+-- (the version trigger bumps them, so devices pull the delete)
+update holdings h
+set deleted_at = clock_timestamp()
+where h.deleted_at is null
+  and h.local_id is not null
+  and exists (
+    select 1 from holdings newer
+    where newer.user_id = h.user_id
+      and newer.local_id = h.local_id
+      and newer.deleted_at is null
+      and (newer.updated_at, newer.id) > (h.updated_at, h.id)
+  );
+
+drop index if exists idx_holdings_user_local_id;
+
+create unique index if not exists idx_holdings_user_local_id
+  on holdings (user_id, local_id)
+  where deleted_at is null;
@@ -102,11 +102,18 @@ const { sendPushNotification, sendBatchPushNotifications, isValidExpoPushToken }
 // Import historical price services
 const { isSupabaseAvailable, getSupabase } = require('./supabaseClient');
 const { validate } = require(path.join(__dirname, 'middleware', 'validation'));
+const { requireAuth, optionalAuth, requireOwnUserParam } = require(path.join(__dirname, 'middleware', 'auth'));
 const { fetchETFHistorical, slvToSpotSilver, gldToSpotGold, ppltToSpotPlatinum, pallToSpotPalladium, hasETFDataForDate, fetchAllETFs, DEFAULT_PPLT_RATIO, DEFAULT_PALL_RATIO } = require('./services/etfPrices');
 const { calibrateRatios, getRatioForDate, needsCalibration } = require('./services/calibrateRatios');
 const { logPriceFetch, findLoggedPrice, findClosestLoggedPrice, getLogStats } = require('./services/priceLogger');
 const { createAlert, getAlertsForUser, deleteAlert, checkAlerts, getAlertCount } = require('./services/priceAlerts');
 const { saveSnapshot, getSnapshots, getLatestSnapshot, getSnapshotCount } = require('./services/portfolioSnapshots');
+const { getUsage, getAllUsage, incrementUsage, recordUsage, getQuotaMessage } = require('./services/usageQuotas');
+const { SUPPORTED_CURRENCIES, getFxRates, getHistoricalFxRates, isSupportedCurrency, convertFromUsd } = require('./services/fxRates');
+const { getPureOzt } = require('./services/holdingWeights');
+const { HOLDING_PURCHASE_COLUMNS, getHoldingCostBasis, getHoldingSource } = require('./services/holdingCosts');
+const { prepareReceiptInput } = require('./services/receiptDocuments');
+const { validateScanItems } = require('./services/scanValidation');
 
 // RevenueCat integration config
 const REVENUECAT_WEBHOOK_SECRET = process.env.REVENUECAT_WEBHOOK_SECRET;
@@ -369,8 +376,28 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+/**
+ * Converted spot prices for an optional ?currency= query (USD prices are always returned too)
+ */
+async function getCurrencyFields(prices, currency) {
+  const code = String(currency || '').toUpperCase();
+  if (!code || code === 'USD' || !isSupportedCurrency(code)) return {};
+
+  const fx = await getFxRates();
+  const converted = {};
+  for (const metal of ['gold', 'silver', 'platinum', 'palladium']) {
+    if (typeof prices?.[metal] === 'number') {
+      converted[metal] = Math.round(convertFromUsd(prices[metal], code, fx.rates) * 100) / 100;
+    }
+  }
+  return { currency: code, fxRate: fx.rates[code], fxSource: fx.source, converted };
+}
+
 /**
  * Get current spot prices
+ *
+ * Query params:
+ * - currency: optional base currency (EUR, GBP, CAD, AUD, CHF) — adds `converted` prices
  */
 app.get('/api/spot-prices', async (req, res) => {
   try {
@@ -403,6 +430,7 @@ app.get('/api/spot-prices', async (req, res) => {
           cacheAgeMinutes: 0,
           change: fridayClose.change || { gold: {}, silver: {}, source: 'unavailable' },
           marketsClosed: true,
+          ...(await getCurrencyFields(fridayClose.prices, req.query.currency)),
         });
       }
       // No cache available - will need to fetch
@@ -431,6 +459,7 @@ app.get('/api/spot-prices', async (req, res) => {
       cacheAgeMinutes: spotPriceCache.lastUpdated ? Math.round(cacheAge * 10) / 10 : 0,
       change: spotPriceCache.change || { gold: {}, silver: {}, source: 'unavailable' },
       marketsClosed: marketsClosed,
+      ...(await getCurrencyFields(spotPriceCache.prices, req.query.currency)),
     });
   } catch (error) {
     console.error('Spot price error:', error);
@@ -446,6 +475,60 @@ app.get('/api/spot-prices', async (req, res) => {
   }
 });
 
+/**
+ * Get USD-based FX rates for display currencies
+ *
+ * GET /api/fx-rates
+ * Returns { success, base: 'USD', rates: { USD, EUR, GBP, CAD, AUD, CHF }, date, source, timestamp, stale }
+ */
+app.get('/api/fx-rates', async (req, res) => {
+  try {
+    const fx = await getFxRates();
+    res.json({ success: true, currencies: SUPPORTED_CURRENCIES, ...fx });
+  } catch (error) {
+    console.error('FX rates error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load exchange rates' });
+  }
+});
+
+/**
+ * Get the USD-based FX rate on a past date (purchase currency conversion)
+ *
+ * GET /api/historical-fx?date=YYYY-MM-DD&currency=CAD
+ * Returns { success, currency, rate, date, requestedDate, source, approximate }
+ * rate = units of currency per 1 USD; date is the fixing used (previous
+ * business day on weekends/holidays). approximate means current rates were used.
+ */
+app.get('/api/historical-fx', async (req, res) => {
+  try {
+    const { date } = req.query;
+    const currency = String(req.query.currency || '').toUpperCase();
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ success: false, error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({ success: false, error: `Unsupported currency. Use one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const fx = await getHistoricalFxRates(date > today ? today : date);
+
+    res.json({
+      success: true,
+      currency,
+      rate: fx.rates[currency],
+      date: fx.date,
+      requestedDate: date,
+      source: fx.source,
+      approximate: fx.approximate,
+    });
+  } catch (error) {
+    console.error('Historical FX error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load historical exchange rate' });
+  }
+});
+
 /**
  * Widget data endpoint — returns portfolio-relevant data with 7-day sparklines
  */
@@ -1569,68 +1652,21 @@ app.get('/api/spot-price-history', async (req, res) => {
 });
 
 // ============================================
-// SCAN USAGE TRACKING (Server-Side with /tmp/ persistence)
+// SCAN USAGE TRACKING (persistent quotas — see services/usageQuotas.js)
 // ============================================
 
-const FREE_SCAN_LIMIT = 5;
-const SCAN_PERIOD_DAYS = 30;
-
-// Use /tmp/ directory which is writable on Railway
-// Note: /tmp/ persists during the container lifetime but resets on redeploy
-const SCAN_USAGE_FILE = '/tmp/scan-usage.json';
-let scanUsageData = {}; // In-memory cache
-
-// Load scan usage data from /tmp/ file on startup
-function loadScanUsageData() {
-  try {
-    if (fs.existsSync(SCAN_USAGE_FILE)) {
-      const data = fs.readFileSync(SCAN_USAGE_FILE, 'utf8');
-      scanUsageData = JSON.parse(data);
-      console.log(`📊 Loaded scan usage data for ${Object.keys(scanUsageData).length} users from ${SCAN_USAGE_FILE}`);
-    } else {
-      console.log('📊 No scan usage file found, starting fresh');
-      scanUsageData = {};
-    }
-  } catch (error) {
-    console.error('❌ Failed to load scan usage data:', error.message);
-    scanUsageData = {};
-  }
-}
-
-// Save scan usage data to /tmp/ file
-function saveScanUsageData() {
-  try {
-    fs.writeFileSync(SCAN_USAGE_FILE, JSON.stringify(scanUsageData, null, 2));
-  } catch (error) {
-    console.error('❌ Failed to save scan usage data:', error.message);
-  }
-}
-
-// Save user scan data (updates in-memory and persists to file)
-async function saveScanUsageForUser(userId, userRecord) {
-  scanUsageData[userId] = userRecord;
-  saveScanUsageData();
-}
-
-// Check if period needs reset (older than 30 days)
-function checkAndResetPeriod(userRecord) {
-  const now = new Date();
-  const periodStart = new Date(userRecord.periodStart);
-  const daysSincePeriodStart = (now - periodStart) / (1000 * 60 * 60 * 24);
-
-  if (daysSincePeriodStart >= SCAN_PERIOD_DAYS) {
-    userRecord.scansUsed = 0;
-    userRecord.periodStart = now.toISOString();
-    return true; // Period was reset
-  }
-  return false;
-}
-
-// Calculate when period resets
-function getResetDate(periodStart) {
-  const resetDate = new Date(periodStart);
-  resetDate.setDate(resetDate.getDate() + SCAN_PERIOD_DAYS);
-  return resetDate.toISOString();
+/**
+ * Map a scan quota summary to the legacy /api/scan-status response shape
+ */
+function toScanStatusResponse(usage) {
+  return {
+    success: true,
+    scansUsed: usage.monthly.used,
+    scansLimit: usage.monthly.limit,
+    periodStart: usage.monthly.startsAt,
+    resetsAt: usage.monthly.resetsAt,
+    tier: usage.tier,
+  };
 }
 
 /**
@@ -1695,49 +1731,34 @@ app.get('/api/test-gemini', async (req, res) => {
   }
 });
 
+/**
+ * Resolve the quota subject for a request: the signed-in user, else the
+ * RevenueCat app user id sent by anonymous installs.
+ */
+function getQuotaSubject(req, rcUserId) {
+  return req.userId || (typeof rcUserId === 'string' && rcUserId.trim()) || null;
+}
+
 /**
  * Get scan status for a user
  * GET /api/scan-status?rcUserId={revenueCatUserId}
+ * Auth: optional Bearer token (takes precedence over rcUserId)
  */
-app.get('/api/scan-status', async (req, res) => {
+app.get('/api/scan-status', optionalAuth, async (req, res) => {
   try {
-    const { rcUserId } = req.query;
+    const subjectId = getQuotaSubject(req, req.query.rcUserId);
 
-    if (!rcUserId) {
+    if (!subjectId) {
       return res.status(400).json({ error: 'rcUserId parameter required' });
     }
 
-    console.log(`📊 Scan status check for user: ${rcUserId.substring(0, 8)}...`);
-
-    // Get or create user record
-    if (!scanUsageData[rcUserId]) {
-      scanUsageData[rcUserId] = {
-        scansUsed: 0,
-        periodStart: new Date().toISOString()
-      };
-      await saveScanUsageForUser(rcUserId, scanUsageData[rcUserId]);
-    }
-
-    const userRecord = scanUsageData[rcUserId];
-
-    // Check if period needs reset
-    const wasReset = checkAndResetPeriod(userRecord);
-    if (wasReset) {
-      console.log(`   Period reset for user ${rcUserId.substring(0, 8)}...`);
-      await saveScanUsageForUser(rcUserId, userRecord);
-    }
+    console.log(`📊 Scan status check for user: ${subjectId.substring(0, 8)}...`);
 
-    const response = {
-      success: true,
-      scansUsed: userRecord.scansUsed,
-      scansLimit: FREE_SCAN_LIMIT,
-      periodStart: userRecord.periodStart,
-      resetsAt: getResetDate(userRecord.periodStart)
-    };
+    const usage = await getUsage(subjectId, 'scan');
 
-    console.log(`   Scans used: ${userRecord.scansUsed}/${FREE_SCAN_LIMIT}`);
+    console.log(`   Scans used: ${usage.monthly.used}/${usage.monthly.limit ?? '∞'} (${usage.tier})`);
 
-    res.json(response);
+    res.json(toScanStatusResponse(usage));
   } catch (error) {
     console.error('❌ Scan status error:', error);
     res.status(500).json({ error: 'Failed to get scan status' });
@@ -1747,51 +1768,49 @@ app.get('/api/scan-status', async (req, res) => {
 /**
  * Increment scan count for a user (called after successful scan)
  * POST /api/increment-scan
+ * Auth: optional Bearer token (takes precedence over rcUserId)
  * Body: { rcUserId }
  */
-app.post('/api/increment-scan', async (req, res) => {
+app.post('/api/increment-scan', optionalAuth, async (req, res) => {
   try {
-    const { rcUserId } = req.body;
+    const subjectId = getQuotaSubject(req, req.body.rcUserId);
 
-    if (!rcUserId) {
+    if (!subjectId) {
       return res.status(400).json({ error: 'rcUserId required in request body' });
     }
 
-    console.log(`📊 Incrementing scan count for user: ${rcUserId.substring(0, 8)}...`);
-
-    // Get or create user record
-    if (!scanUsageData[rcUserId]) {
-      scanUsageData[rcUserId] = {
-        scansUsed: 0,
-        periodStart: new Date().toISOString()
-      };
-    }
+    console.log(`📊 Incrementing scan count for user: ${subjectId.substring(0, 8)}...`);
 
-    const userRecord = scanUsageData[rcUserId];
+    const usage = await incrementUsage(subjectId, 'scan');
 
-    // Check if period needs reset first
-    checkAndResetPeriod(userRecord);
+    console.log(`   New scan count: ${usage.monthly.used}/${usage.monthly.limit ?? '∞'} (${usage.tier})`);
 
-    // Increment scan count
-    userRecord.scansUsed += 1;
+    res.json(toScanStatusResponse(usage));
+  } catch (error) {
+    console.error('❌ Increment scan error:', error);
+    res.status(500).json({ error: 'Failed to increment scan count' });
+  }
+});
 
-    // Save to Redis (or in-memory)
-    await saveScanUsageForUser(rcUserId, userRecord);
+/**
+ * Usage and limits for every metered feature (voice, scan, troy_message)
+ * GET /api/usage?rcUserId={revenueCatUserId}
+ * Auth: optional Bearer token (takes precedence over rcUserId)
+ */
+app.get('/api/usage', optionalAuth, async (req, res) => {
+  try {
+    const subjectId = getQuotaSubject(req, req.query.rcUserId);
 
-    const response = {
-      success: true,
-      scansUsed: userRecord.scansUsed,
-      scansLimit: FREE_SCAN_LIMIT,
-      periodStart: userRecord.periodStart,
-      resetsAt: getResetDate(userRecord.periodStart)
-    };
+    if (!subjectId) {
+      return res.status(400).json({ success: false, error: 'Sign in or provide rcUserId' });
+    }
 
-    console.log(`   New scan count: ${userRecord.scansUsed}/${FREE_SCAN_LIMIT}`);
+    const { tier, usage, degraded } = await getAllUsage(subjectId);
 
-    res.json(response);
+    res.json({ success: true, tier, usage, degraded });
   } catch (error) {
-    console.error('❌ Increment scan error:', error);
-    res.status(500).json({ error: 'Failed to increment scan count' });
+    console.error('❌ Usage lookup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get usage' });
   }
 });
 
@@ -1802,17 +1821,19 @@ app.post('/api/increment-scan', async (req, res) => {
 /**
  * Create a new price alert
  * POST /api/alerts
- * Body: { userId, metal, targetPrice, direction, pushToken }
+ * Auth: Bearer token (user derived from session)
+ * Body: { metal, targetPrice, direction, pushToken }
  */
-app.post('/api/alerts', async (req, res) => {
+app.post('/api/alerts', requireAuth, async (req, res) => {
   try {
-    const { userId, metal, targetPrice, direction, pushToken } = req.body;
+    const userId = req.userId;
+    const { metal, targetPrice, direction, pushToken } = req.body;
 
     // Validate required fields
-    if (!userId || !metal || !targetPrice || !direction) {
+    if (!metal || !targetPrice || !direction) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: userId, metal, targetPrice, direction'
+        error: 'Missing required fields: metal, targetPrice, direction'
       });
     }
 
@@ -1866,17 +1887,11 @@ app.post('/api/alerts', async (req, res) => {
 /**
  * Get all alerts for a user
  * GET /api/alerts/:userId
+ * Auth: Bearer token (must match :userId)
  */
-app.get('/api/alerts/:userId', async (req, res) => {
+app.get('/api/alerts/:userId', requireAuth, requireOwnUserParam('userId'), async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
+    const userId = req.userId;
 
     const alerts = await getAlertsForUser(userId);
 
@@ -1898,17 +1913,17 @@ app.get('/api/alerts/:userId', async (req, res) => {
 /**
  * Delete an alert
  * DELETE /api/alerts/:alertId
- * Query: userId (required for ownership verification)
+ * Auth: Bearer token (ownership verified against the session user)
  */
-app.delete('/api/alerts/:alertId', async (req, res) => {
+app.delete('/api/alerts/:alertId', requireAuth, async (req, res) => {
   try {
     const { alertId } = req.params;
-    const { userId } = req.query;
+    const userId = req.userId;
 
-    if (!alertId || !userId) {
+    if (!alertId) {
       return res.status(400).json({
         success: false,
-        error: 'Alert ID and User ID are required'
+        error: 'Alert ID is required'
       });
     }
 
@@ -1975,19 +1990,13 @@ app.post('/api/alerts/check', async (req, res) => {
 /**
  * Save a daily portfolio snapshot
  * POST /api/snapshots
- * Body: { userId, totalValue, goldValue, silverValue, goldOz, silverOz, goldSpot, silverSpot }
+ * Auth: Bearer token (user derived from session)
+ * Body: { totalValue, goldValue, silverValue, goldOz, silverOz, goldSpot, silverSpot }
  */
-app.post('/api/snapshots', async (req, res) => {
+app.post('/api/snapshots', requireAuth, async (req, res) => {
   try {
-    const { userId, totalValue, goldValue, silverValue, goldOz, silverOz, goldSpot, silverSpot } = req.body;
-
-    // Validate required fields
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
+    const userId = req.userId;
+    const { totalValue, goldValue, silverValue, goldOz, silverOz, goldSpot, silverSpot } = req.body;
 
     // Allow zero values but validate they're numbers
     if (typeof totalValue !== 'number' || typeof goldValue !== 'number' ||
@@ -2027,20 +2036,14 @@ app.post('/api/snapshots', async (req, res) => {
 /**
  * Get portfolio snapshots for analytics charts
  * GET /api/snapshots/:userId
+ * Auth: Bearer token (must match :userId)
  * Query params: ?range=1M (1W, 1M, 3M, 6M, 1Y, all)
  */
-app.get('/api/snapshots/:userId', async (req, res) => {
+app.get('/api/snapshots/:userId', requireAuth, requireOwnUserParam('userId'), async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.userId;
     const { range = '1M' } = req.query;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
-
     const snapshots = await getSnapshots(userId, range);
 
     res.json({
@@ -2076,17 +2079,11 @@ app.get('/api/snapshots/:userId', async (req, res) => {
 /**
  * Get latest snapshot for a user
  * GET /api/snapshots/:userId/latest
+ * Auth: Bearer token (must match :userId)
  */
-app.get('/api/snapshots/:userId/latest', async (req, res) => {
+app.get('/api/snapshots/:userId/latest', requireAuth, requireOwnUserParam('userId'), async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
+    const userId = req.userId;
 
     const snapshot = await getLatestSnapshot(userId);
 
@@ -2104,10 +2101,57 @@ app.get('/api/snapshots/:userId/latest', async (req, res) => {
   }
 });
 
+/**
+ * Daily spot prices for checking the premiums on a scanned receipt
+ *
+ * Same sources as /api/historical-spot (price_log, then ETF-derived, then
+ * monthly MacroTrends), without the intraday estimate. Undated or recent
+ * receipts use current spot.
+ *
+ * @param {string} date YYYY-MM-DD
+ * @returns {Promise<Object|null>} { date, source, gold, silver, platinum, palladium }
+ */
+async function getScanSpotPrices(date) {
+  const today = new Date().toISOString().split('T')[0];
+  const current = spotPriceCache.prices;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || date >= today) {
+    return current.gold ? { date: today, source: 'current-spot', gold: current.gold, silver: current.silver, platinum: current.platinum || null, palladium: current.palladium || null } : null;
+  }
+
+  if (isSupabaseAvailable()) {
+    const logged = await findClosestLoggedPrice(date);
+    if (logged && logged.gold) {
+      return { date, source: 'price_log', gold: logged.gold, silver: logged.silver, platinum: logged.platinum, palladium: logged.palladium };
+    }
+  }
+
+  if (date >= '2006-04-01') {
+    const { slv, gld, pplt, pall } = await fetchAllETFs(date);
+    if (slv && gld) {
+      const ratios = await getRatioForDate(date);
+      return {
+        date,
+        source: 'etf',
+        gold: gldToSpotGold(gld.close, ratios.gld_ratio),
+        silver: slvToSpotSilver(slv.close, ratios.slv_ratio),
+        platinum: pplt ? ppltToSpotPlatinum(pplt.close, ratios.pplt_ratio) : null,
+        palladium: pall ? pallToSpotPalladium(pall.close, ratios.pall_ratio) : null,
+      };
+    }
+  }
+
+  if (historicalData.gold[date] && historicalData.silver[date]) {
+    return { date, source: 'macrotrends', gold: historicalData.gold[date], silver: historicalData.silver[date], platinum: null, palladium: null };
+  }
+  return null;
+}
+
 /**
  * Scan receipt using Gemini 1.5 Flash (primary) or Claude Vision (fallback)
  * Privacy: Image is processed in memory only, never stored
  * Accepts both FormData (multipart) and JSON with base64
+ * Receipts can be a photo, a PDF invoice (multi-page), a saved email (.eml)
+ * or an HTML order confirmation (see services/receiptDocuments.js)
  */
 app.post('/api/scan-receipt', upload.single('receipt'), async (req, res) => {
   const startTime = Date.now();
@@ -2117,20 +2161,22 @@ app.post('/api/scan-receipt', upload.single('receipt'), async (req, res) => {
   console.log('╚══════════════════════════════════════════════════════════════╝');
 
   try {
-    let base64Image;
+    let fileBuffer;
     let mediaType;
+    let fileName;
 
     // Check if request is JSON with base64 or FormData
     if (req.body && req.body.image) {
       // JSON format with base64
       console.log('📄 RECEIVED AS JSON/BASE64:');
-      base64Image = req.body.image;
+      fileBuffer = Buffer.from(req.body.image, 'base64');
       mediaType = req.body.mimeType || 'image/jpeg';
+      fileName = req.body.fileName || '';
       const originalSize = req.body.originalSize;
 
       console.log(`   - Original size from client: ${originalSize ? (originalSize / 1024).toFixed(2) + ' KB' : 'unknown'}`);
-      console.log(`   - Base64 length: ${base64Image.length} characters`);
-      console.log(`   - Calculated size: ${(base64Image.length * 0.75 / 1024).toFixed(2)} KB`);
+      console.log(`   - Base64 length: ${req.body.image.length} characters`);
+      console.log(`   - Calculated size: ${(fileBuffer.length / 1024).toFixed(2)} KB`);
       console.log(`   - Media type: ${mediaType}`);
 
     } else if (req.file) {
@@ -2140,17 +2186,22 @@ app.post('/api/scan-receipt', upload.single('receipt'), async (req, res) => {
       console.log(`   - Size: ${(req.file.size / 1024).toFixed(2)} KB (${req.file.size} bytes)`);
       console.log(`   - Original name: ${req.file.originalname}`);
 
-      // Convert buffer to base64
-      base64Image = req.file.buffer.toString('base64');
+      fileBuffer = req.file.buffer;
       mediaType = req.file.mimetype || 'image/jpeg';
+      fileName = req.file.originalname || '';
 
     } else {
       console.log('❌ No image provided');
       return res.status(400).json({ error: 'No image provided' });
     }
 
+    // Photo, PDF pages, or the text of an email / HTML confirmation
+    const receiptInput = prepareReceiptInput({ buffer: fileBuffer, mimeType: mediaType, fileName });
+    fileBuffer = null;
+    console.log(`   - Receipt: ${receiptInput.description}`);
+
     // Prompt for receipt extraction
-    const prompt = `Extract precious metals purchase data from this receipt image. Read every number EXACTLY as printed.
+    const prompt = `Extract precious metals purchase data from this ${receiptInput.description}. Read every number EXACTLY as printed.
 
 RULES:
 1. ONLY include precious metal products: coins, bars, rounds
@@ -2164,6 +2215,8 @@ Return ONLY valid JSON (no markdown, no explanation):
   "dealer": "dealer name",
   "purchaseDate": "YYYY-MM-DD",
   "purchaseTime": "HH:MM",
+  "subtotal": 123.45,
+  "excludedTotal": 0,
   "items": [
     {
       "description": "product name exactly as printed",
@@ -2176,7 +2229,11 @@ Return ONLY valid JSON (no markdown, no explanation):
   ]
 }
 
-If a field is unreadable, use null. Metal must be: gold, silver, platinum, or palladium. purchaseTime should be in 24-hour format (e.g., "14:30" for 2:30 PM).`;
+subtotal is the merchandise subtotal as printed (before tax and shipping). excludedTotal is the sum of the line totals of any products you excluded under the rules above (0 if none).
+If a field is unreadable, use null. Metal must be: gold, silver, platinum, or palladium. purchaseTime should be in 24-hour format (e.g., "14:30" for 2:30 PM).${receiptInput.kind === 'pdf' || receiptInput.kind === 'email' ? '\nA PDF may have several pages; include items from every page, once each.' : ''}`;
+
+    // Receipt text (emails, HTML) goes in as its own labelled part
+    const receiptText = (part) => `RECEIPT TEXT:\n${part.text}`;
 
     let responseText;
     let apiSource;
@@ -2196,12 +2253,14 @@ If a field is unreadable, use null. Metal must be: gold, silver, platinum, or pa
             contents: [{
               parts: [
                 { text: prompt },
-                {
-                  inline_data: {
-                    mime_type: mediaType,
-                    data: base64Image
-                  }
-                }
+                ...receiptInput.parts.map(part => (part.type === 'text'
+                  ? { text: receiptText(part) }
+                  : {
+                    inline_data: {
+                      mime_type: part.mediaType,
+                      data: part.data
+                    }
+                  }))
               ]
             }],
             generationConfig: {
@@ -2248,14 +2307,17 @@ If a field is unreadable, use null. Metal must be: gold, silver, platinum, or pa
           {
             role: 'user',
             content: [
-              {
-                type: 'image',
-                source: {
-                  type: 'base64',
-                  media_type: mediaType,
-                  data: base64Image,
-                },
-              },
+              ...receiptInput.parts.map(part => {
+                if (part.type === 'text') return { type: 'text', text: receiptText(part) };
+                return {
+                  type: part.type === 'pdf' ? 'document' : 'image',
+                  source: {
+                    type: 'base64',
+                    media_type: part.mediaType,
+                    data: part.data,
+                  },
+                };
+              }),
               {
                 type: 'text',
                 text: prompt,
@@ -2317,7 +2379,7 @@ If a field is unreadable, use null. Metal must be: gold, silver, platinum, or pa
           console.log(`      Read unit price: $${readUnitPrice}`);
           console.log(`      Ext price: $${extPrice} ÷ ${qty} = $${calculatedUnitPrice}`);
           console.log(`      Using calculated: $${calculatedUnitPrice}`);
-          return { ...item, unitPrice: calculatedUnitPrice };
+          return { ...item, unitPrice: calculatedUnitPrice, priceCorrectedFrom: readUnitPrice };
         } else {
           console.log(`   Item ${index + 1}: OK ($${readUnitPrice} × ${qty} = $${extPrice})`);
         }
@@ -2328,6 +2390,23 @@ If a field is unreadable, use null. Metal must be: gold, silver, platinum, or pa
       return item;
     });
 
+    // Confidence per field: line math, subtotal, weight vs name, premium over spot
+    let spotPrices = null;
+    try {
+      spotPrices = await getScanSpotPrices(extractedData.purchaseDate);
+    } catch (spotError) {
+      console.log(`   Spot lookup for validation failed: ${spotError.message}`);
+    }
+    const { items: validatedItems, validation } = validateScanItems({
+      items: extractedData.items,
+      subtotal: extractedData.subtotal,
+      excludedTotal: extractedData.excludedTotal,
+      spotPrices,
+    });
+    extractedData.items = validatedItems;
+    console.log(`\n🔎 VALIDATION: ${validation.reviewCount} of ${validatedItems.length} item(s) need review`);
+    validation.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+
     // Log parsed data
     console.log('\n✅ PARSED EXTRACTION RESULT:');
     console.log('─'.repeat(60));
@@ -2368,8 +2447,10 @@ If a field is unreadable, use null. Metal must be: gold, silver, platinum, or pa
       purchaseTime: extractedData.purchaseTime || '',
       items: extractedData.items,
       itemCount: extractedData.items.length,
+      validation,
       apiSource: apiSource,
-      privacyNote: 'Image processed in memory and immediately discarded',
+      sourceType: receiptInput.kind,
+      privacyNote: 'Receipt processed in memory and immediately discarded',
     });
 
   } catch (error) {
@@ -2381,8 +2462,9 @@ If a field is unreadable, use null. Metal must be: gold, silver, platinum, or pa
     console.error('   Message:', error.message);
     console.error('   Stack:', error.stack);
 
-    res.status(500).json({
-      error: 'Failed to process receipt',
+    // 400s are files we can't read as a receipt (wrong type, too many pages)
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to process receipt',
       details: error.message
     });
   }
@@ -2931,10 +3013,15 @@ app.get('/terms', (req, res) => {
 /**
  * Register or update a push token
  * POST /api/push-token/register
+ * Auth: optional Bearer token — user_id is taken from the session, never the body
  */
-app.post('/api/push-token/register', validate('pushTokenRegister'), async (req, res) => {
+app.post('/api/push-token/register', optionalAuth, validate('pushTokenRegister'), async (req, res) => {
   try {
-    const { expo_push_token, platform, app_version, user_id, device_id } = req.body;
+    const { expo_push_token, platform, app_version, device_id } = req.body;
+    const user_id = req.userId;
+    if (!user_id && !device_id) {
+      return res.status(400).json({ success: false, error: 'Sign in or provide a device_id' });
+    }
     console.log('🔔 [Push Token] Register request:', { expo_push_token: expo_push_token?.substring(0, 30) + '...', platform, user_id: user_id?.substring(0, 8), device_id });
 
     if (!isSupabaseAvailable()) {
@@ -3005,8 +3092,9 @@ app.post('/api/push-token/register', validate('pushTokenRegister'), async (req,
 
 /**
  * Delete a push token
+ * Auth: required — only the session user's tokens are deleted
  */
-app.delete('/api/push-token/delete', validate('pushTokenDelete'), async (req, res) => {
+app.delete('/api/push-token/delete', requireAuth, validate('pushTokenDelete'), async (req, res) => {
   try {
     const { expo_push_token } = req.body;
 
@@ -3019,7 +3107,8 @@ app.delete('/api/push-token/delete', validate('pushTokenDelete'), async (req, re
     const { error } = await supabase
       .from('push_tokens')
       .delete()
-      .eq('expo_push_token', expo_push_token);
+      .eq('expo_push_token', expo_push_token)
+      .eq('user_id', req.userId);
 
     if (error) {
       console.error('Error deleting push token:', error);
@@ -3039,10 +3128,16 @@ app.delete('/api/push-token/delete', validate('pushTokenDelete'), async (req, re
  */
 /**
  * Create a single price alert
+ * Auth: optional Bearer token — signed-in alerts are owned by the session user
+ *
+ * The app picks the alert id (so an outbox retry is idempotent). An id that
+ * already exists only updates the alert if it's the caller's own (see
+ * findOwnedPriceAlert); it's never reassigned to another user or device.
  */
-app.post('/api/price-alerts', async (req, res) => {
+app.post('/api/price-alerts', optionalAuth, async (req, res) => {
   try {
-    const { id, userId, device_id, metal, targetPrice, direction, enabled } = req.body;
+    const userId = req.userId;
+    const { id, device_id, metal, targetPrice, direction, enabled } = req.body;
 
     if (!metal || !targetPrice || !direction) {
       return res.status(400).json({ success: false, error: 'metal, targetPrice, and direction are required' });
@@ -3071,17 +3166,30 @@ app.post('/api/price-alerts', async (req, res) => {
       device_id: device_id || null,
     };
     if (id) row.id = id;
-    // Only set user_id if it looks like a valid UUID (skip non-UUID strings)
-    if (userId && userId.match(/^[0-9a-f]{8}-[0-9a-f]{4}-/i)) {
-      row.user_id = userId;
-    }
+    if (userId) row.user_id = userId;
 
-    const { data, error } = await supabase
+    const { data: inserted, error: insertError } = await supabase
       .from('price_alerts')
-      .upsert(row, { onConflict: 'id' })
+      .insert(row)
       .select()
       .single();
 
+    let data = inserted;
+    let error = insertError;
+    if (insertError?.code === '23505' && id) {
+      const existing = await findOwnedPriceAlert(supabase, id, userId, device_id);
+      if (!existing) {
+        return res.status(409).json({ success: false, error: 'Price alert id already in use' });
+      }
+      const { id: _id, user_id: _userId, device_id: _deviceId, ...fields } = row;
+      // A signed-in device claims the alerts it made while signed out
+      if (userId && !existing.user_id) fields.user_id = userId;
+      ({ data, error } = await scopeToPriceAlertOwner(
+        supabase.from('price_alerts').update({ ...fields, updated_at: new Date().toISOString() }).eq('id', id),
+        existing
+      ).select().single());
+    }
+
     if (error) {
       console.error('🔔 Error creating price alert:', error);
       return res.status(500).json({ success: false, error: error.message });
@@ -3095,12 +3203,45 @@ app.post('/api/price-alerts', async (req, res) => {
   }
 });
 
+/**
+ * A price alert the caller may change: the session user's own alert, or one
+ * this device created while signed out. Returns null when there is none.
+ */
+async function findOwnedPriceAlert(supabase, alertId, userId, deviceId) {
+  const { data, error } = await supabase
+    .from('price_alerts')
+    .select('id, user_id, device_id')
+    .eq('id', alertId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  if (userId && data.user_id === userId) return data;
+  if (deviceId && !data.user_id && data.device_id === deviceId) return data;
+  return null;
+}
+
+/**
+ * Limit a price_alerts write to the owner found by findOwnedPriceAlert
+ */
+function scopeToPriceAlertOwner(query, alert) {
+  return alert.user_id
+    ? query.eq('user_id', alert.user_id)
+    : query.is('user_id', null).eq('device_id', alert.device_id);
+}
+
 /**
  * Delete a price alert by ID
+ * Auth: optional Bearer token — only the caller's own alert (see findOwnedPriceAlert)
  */
-app.delete('/api/price-alerts/:id', async (req, res) => {
+app.delete('/api/price-alerts/:id', optionalAuth, async (req, res) => {
   try {
     const alertId = req.params.id;
+    const user_id = req.userId;
+    const { device_id } = req.query;
+
+    if (!user_id && !device_id) {
+      return res.status(400).json({ success: false, error: 'Either user_id or device_id is required' });
+    }
 
     if (!isSupabaseAvailable()) {
       return res.status(503).json({ success: false, error: 'Database not configured' });
@@ -3108,10 +3249,15 @@ app.delete('/api/price-alerts/:id', async (req, res) => {
 
     const supabase = getSupabase();
 
-    const { error } = await supabase
-      .from('price_alerts')
-      .delete()
-      .eq('id', alertId);
+    const alert = await findOwnedPriceAlert(supabase, alertId, user_id, device_id);
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Price alert not found' });
+    }
+
+    const { error } = await scopeToPriceAlertOwner(
+      supabase.from('price_alerts').delete().eq('id', alertId),
+      alert
+    );
 
     if (error) {
       console.error('Error deleting price alert:', error);
@@ -3128,10 +3274,12 @@ app.delete('/api/price-alerts/:id', async (req, res) => {
 
 /**
  * Delete all price alerts for a user/device
+ * Auth: optional Bearer token — user_id is taken from the session
  */
-app.delete('/api/price-alerts', async (req, res) => {
+app.delete('/api/price-alerts', optionalAuth, async (req, res) => {
   try {
-    const { user_id, device_id } = req.query;
+    const user_id = req.userId;
+    const { device_id } = req.query;
     if (!user_id && !device_id) {
       return res.status(400).json({ success: false, error: 'Either user_id or device_id is required' });
     }
@@ -3162,12 +3310,19 @@ app.delete('/api/price-alerts', async (req, res) => {
 
 /**
  * Toggle/update a price alert
+ * Auth: optional Bearer token — same ownership rule as DELETE /api/price-alerts/:id
  */
-app.patch('/api/price-alerts/:id', async (req, res) => {
+app.patch('/api/price-alerts/:id', optionalAuth, async (req, res) => {
   try {
     const alertId = req.params.id;
+    const user_id = req.userId;
+    const { device_id } = req.query;
     const { enabled, metal, targetPrice, direction } = req.body;
 
+    if (!user_id && !device_id) {
+      return res.status(400).json({ success: false, error: 'Either user_id or device_id is required' });
+    }
+
     const updates = { updated_at: new Date().toISOString() };
     if (typeof enabled === 'boolean') updates.enabled = enabled;
     if (metal) updates.metal = metal;
@@ -3184,17 +3339,23 @@ app.patch('/api/price-alerts/:id', async (req, res) => {
 
     const supabase = getSupabase();
 
-    const { data, error } = await supabase
-      .from('price_alerts')
-      .update(updates)
-      .eq('id', alertId)
-      .select()
-      .single();
+    const alert = await findOwnedPriceAlert(supabase, alertId, user_id, device_id);
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Price alert not found' });
+    }
+
+    const { data, error } = await scopeToPriceAlertOwner(
+      supabase.from('price_alerts').update(updates).eq('id', alertId),
+      alert
+    ).select().maybeSingle();
 
     if (error) {
       console.error('Error updating price alert:', error);
       return res.status(500).json({ success: false, error: error.message });
     }
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Price alert not found' });
+    }
 
     console.log(`✅ Updated price alert ${alertId}:`, JSON.stringify(updates));
     res.json({ success: true, alert: data });
@@ -3206,10 +3367,12 @@ app.patch('/api/price-alerts/:id', async (req, res) => {
 
 /**
  * Get user's price alerts
+ * Auth: optional Bearer token — user_id is taken from the session
  */
-app.get('/api/price-alerts', async (req, res) => {
+app.get('/api/price-alerts', optionalAuth, async (req, res) => {
   try {
-    const { user_id, device_id } = req.query;
+    const user_id = req.userId;
+    const { device_id } = req.query;
 
     if (!user_id && !device_id) {
       return res.status(400).json({ success: false, error: 'Either user_id or device_id is required' });
@@ -4123,14 +4286,10 @@ app.post('/api/webhooks/revenuecat', async (req, res) => {
   }
 });
 
-// GET /api/sync-subscription — Manual sync via RevenueCat REST API
-app.get('/api/sync-subscription', async (req, res) => {
+// GET /api/sync-subscription — Manual sync via RevenueCat REST API (syncs the signed-in user)
+app.get('/api/sync-subscription', requireAuth, async (req, res) => {
   try {
-    const userId = req.query.user_id;
-
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ success: false, error: 'Valid user_id (UUID) required' });
-    }
+    const userId = req.userId;
 
     if (!REVENUECAT_API_KEY) {
       return res.status(503).json({ success: false, error: 'RevenueCat sync not configured' });
@@ -4225,7 +4384,7 @@ app.get('/api/sync-subscription', async (req, res) => {
 // AI STACK ADVISOR
 // ============================================
 
-app.post('/api/advisor/chat', async (req, res) => {
+app.post('/api/advisor/chat', requireAuth, async (req, res) => {
   try {
     if (!GEMINI_API_KEY) {
       return res.status(503).json({ error: 'AI advisor is not configured' });
@@ -4234,11 +4393,9 @@ app.post('/api/advisor/chat', async (req, res) => {
       return res.status(503).json({ error: 'Database not available' });
     }
 
-    const { userId, message, conversationHistory } = req.body;
+    const userId = req.userId;
+    const { message, conversationHistory } = req.body;
 
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
     if (!message || typeof message !== 'string' || message.length > 500) {
       return res.status(400).json({ error: 'Message is required (max 500 characters)' });
     }
@@ -4261,10 +4418,16 @@ app.post('/api/advisor/chat', async (req, res) => {
       return res.status(403).json({ error: 'AI Stack Advisor requires Gold' });
     }
 
+    // Legacy advisor shares the Troy message cap
+    const usage = await getUsage(userId, 'troy_message', tier);
+    if (!usage.allowed) {
+      return res.status(429).json({ error: 'Message limit reached', message: getQuotaMessage(usage, 'Troy message') });
+    }
+
     // Fetch user's holdings
     const { data: holdings, error: holdingsError } = await supabaseClient
       .from('holdings')
-      .select('metal, type, weight, weight_unit, quantity, purchase_price, purchase_date, notes')
+      .select(`metal, type, weight, weight_unit, quantity, purchase_price, purchase_date, notes, ${HOLDING_PURCHASE_COLUMNS}`)
       .eq('user_id', userId)
       .is('deleted_at', null)
       .order('created_at', { ascending: false });
@@ -4286,11 +4449,11 @@ app.post('/api/advisor/chat', async (req, res) => {
     for (const h of userHoldings) {
       const metal = h.metal;
       if (!metalTotals[metal]) continue;
-      const weightOz = h.weight || 0;
+      const weightOz = getPureOzt(h);
       const qty = h.quantity || 1;
       const totalOz = weightOz * qty;
       const purchasePrice = h.purchase_price || 0;
-      const totalCost = purchasePrice * qty;
+      const totalCost = getHoldingCostBasis(h);
       const currentValue = totalOz * (prices[metal] || 0);
 
       metalTotals[metal].oz += totalOz;
@@ -4313,6 +4476,7 @@ app.post('/api/advisor/chat', async (req, res) => {
         gainLoss: (currentValue - totalCost).toFixed(2),
         gainLossPct: totalCost > 0 ? (((currentValue - totalCost) / totalCost) * 100).toFixed(1) : '0',
         purchaseDate: h.purchase_date || 'Unknown',
+        source: getHoldingSource(h),
       });
     }
 
@@ -4323,7 +4487,7 @@ app.post('/api/advisor/chat', async (req, res) => {
     // Format holdings for the prompt
     const holdingsText = holdingDetails.length > 0
       ? holdingDetails.map(h =>
-        `- ${h.qty}x ${h.type} (${h.metal}): ${h.totalOz} oz, Cost $${h.totalCost}, Value $${h.currentValue}, ${parseFloat(h.gainLoss) >= 0 ? '+' : ''}$${h.gainLoss} (${h.gainLossPct}%), Purchased ${h.purchaseDate}`
+        `- ${h.qty}x ${h.type} (${h.metal}): ${h.totalOz} oz, Cost $${h.totalCost}, Value $${h.currentValue}, ${parseFloat(h.gainLoss) >= 0 ? '+' : ''}$${h.gainLoss} (${h.gainLossPct}%), Purchased ${h.purchaseDate}${h.source ? ` from ${h.source}` : ''}`
       ).join('\n')
       : 'No holdings found.';
 
@@ -4419,6 +4583,8 @@ RULES:
       return res.status(500).json({ error: 'AI advisor returned an empty response' });
     }
 
+    await recordUsage(userId, 'troy_message', 1, tier);
+
     console.log(`🧠 [Advisor] Response for user ${userId}: ${responseText.length} chars`);
     return res.json({ response: responseText });
 
@@ -4457,7 +4623,7 @@ async function generateDailyBrief(userId) {
   // Fetch user's holdings
   const { data: holdings } = await supabaseClient
     .from('holdings')
-    .select('metal, type, weight, weight_unit, quantity, purchase_price')
+    .select(`metal, type, weight, weight_unit, quantity, purchase_price, purchase_date, notes, ${HOLDING_PURCHASE_COLUMNS}`)
     .eq('user_id', userId)
     .is('deleted_at', null)
     .order('created_at', { ascending: false });
@@ -4472,10 +4638,10 @@ async function generateDailyBrief(userId) {
   for (const h of userHoldings) {
     const metal = h.metal;
     if (!metalTotals[metal]) continue;
-    const weightOz = h.weight || 0;
+    const weightOz = getPureOzt(h);
     const qty = h.quantity || 1;
     metalTotals[metal].oz += weightOz * qty;
-    metalTotals[metal].cost += (h.purchase_price || 0) * qty;
+    metalTotals[metal].cost += getHoldingCostBasis(h);
   }
 
   const totalValue = Object.keys(metalTotals).reduce((sum, m) => sum + metalTotals[m].oz * (prices[m] || 0), 0);
@@ -4573,7 +4739,7 @@ async function generatePortfolioIntelligence(userId) {
   // Fetch user's holdings
   const { data: holdings } = await supabaseClient
     .from('holdings')
-    .select('metal, type, weight, weight_unit, quantity, purchase_price')
+    .select(`metal, type, weight, weight_unit, quantity, purchase_price, purchase_date, notes, ${HOLDING_PURCHASE_COLUMNS}`)
     .eq('user_id', userId)
     .is('deleted_at', null)
     .order('created_at', { ascending: false });
@@ -4583,15 +4749,21 @@ async function generatePortfolioIntelligence(userId) {
 
   const prices = spotPriceCache.prices;
   const metalTotals = { gold: { oz: 0, cost: 0, items: 0 }, silver: { oz: 0, cost: 0, items: 0 }, platinum: { oz: 0, cost: 0, items: 0 }, palladium: { oz: 0, cost: 0, items: 0 } };
+  const dealerTotals = {};
 
   for (const h of userHoldings) {
     const metal = h.metal;
     if (!metalTotals[metal]) continue;
-    const weightOz = h.weight || 0;
+    const weightOz = getPureOzt(h);
     const qty = h.quantity || 1;
     metalTotals[metal].oz += weightOz * qty;
-    metalTotals[metal].cost += (h.purchase_price || 0) * qty;
+    metalTotals[metal].cost += getHoldingCostBasis(h);
     metalTotals[metal].items += qty;
+
+    const source = getHoldingSource(h) || 'Unknown dealer';
+    if (!dealerTotals[source]) dealerTotals[source] = { purchases: 0, cost: 0 };
+    dealerTotals[source].purchases += 1;
+    dealerTotals[source].cost += getHoldingCostBasis(h);
   }
 
   const totalValue = Object.keys(metalTotals).reduce((sum, m) => sum + metalTotals[m].oz * (prices[m] || 0), 0);
@@ -4608,6 +4780,12 @@ async function generatePortfolioIntelligence(userId) {
       return `${m.charAt(0).toUpperCase() + m.slice(1)}: ${v.oz.toFixed(2)} oz, $${val.toFixed(0)} (${pct}% of stack), cost basis $${v.cost.toFixed(0)}, ${gain >= 0 ? '+' : ''}$${gain.toFixed(0)} (${gainPct}%)`;
     }).join('\n');
 
+  const dealers = Object.entries(dealerTotals)
+    .sort((a, b) => b[1].cost - a[1].cost)
+    .slice(0, 8)
+    .map(([name, v]) => `${name}: ${v.purchases} purchase${v.purchases === 1 ? '' : 's'}, $${v.cost.toFixed(0)}`)
+    .join('\n');
+
   const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
 
   const systemPrompt = `You are a senior precious metals stack strategist. Return a JSON object with exactly three keys: "portfolio", "costBasis", and "purchaseStats". Each value is a plain-text paragraph (2-3 sentences). Do NOT use markdown, headers, or bullet points. Do NOT start with any greeting. Address the reader as "you".
@@ -4627,6 +4805,9 @@ Items: ${userHoldings.length}
 ALLOCATION:
 ${allocation}
 
+DEALERS (cost incl. taxes and shipping):
+${dealers}
+
 SPOT PRICES:
 Gold: $${prices.gold}, Silver: $${prices.silver}, Platinum: $${prices.platinum}, Palladium: $${prices.palladium}
 Gold/Silver Ratio: ${prices.silver > 0 ? (prices.gold / prices.silver).toFixed(1) : 'N/A'}`;
@@ -4691,14 +4872,10 @@ Gold/Silver Ratio: ${prices.silver > 0 ? (prices.gold / prices.silver).toFixed(1
   return { success: true, portfolio: portfolioText, costBasis: costBasisText, purchaseStats: purchaseStatsText, date: today };
 }
 
-// GET /api/portfolio-intelligence — Fetch portfolio intelligence for a user
-app.get('/api/portfolio-intelligence', async (req, res) => {
+// GET /api/portfolio-intelligence — Fetch portfolio intelligence for the signed-in user
+app.get('/api/portfolio-intelligence', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
+    const userId = req.userId;
     if (!isSupabaseAvailable()) {
       return res.status(503).json({ error: 'Database not available' });
     }
@@ -4746,14 +4923,10 @@ app.get('/api/portfolio-intelligence', async (req, res) => {
   }
 });
 
-// GET /api/daily-brief — Fetch the latest daily brief for a user
-app.get('/api/daily-brief', async (req, res) => {
+// GET /api/daily-brief — Fetch the latest daily brief for the signed-in user
+app.get('/api/daily-brief', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
+    const userId = req.userId;
     if (!isSupabaseAvailable()) {
       return res.status(503).json({ error: 'Database not available' });
     }
@@ -4799,13 +4972,9 @@ app.get('/api/daily-brief', async (req, res) => {
 });
 
 // POST /api/daily-brief/generate — Manual trigger for testing
-app.post('/api/daily-brief/generate', async (req, res) => {
+app.post('/api/daily-brief/generate', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
+    const userId = req.userId;
 
     const result = await generateDailyBrief(userId);
 
@@ -4823,13 +4992,9 @@ app.post('/api/daily-brief/generate', async (req, res) => {
 });
 
 // POST /api/portfolio-intelligence/generate — Manual trigger for testing
-app.post('/api/portfolio-intelligence/generate', async (req, res) => {
+app.post('/api/portfolio-intelligence/generate', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
+    const userId = req.userId;
 
     const result = await generatePortfolioIntelligence(userId);
     if (!result) {
@@ -4943,12 +5108,9 @@ const NOTIF_DEFAULTS = {
   comex_alerts: true, comex_gold: true, comex_silver: true, comex_platinum: true, comex_palladium: true,
 };
 
-app.get('/api/notification-preferences', async (req, res) => {
+app.get('/api/notification-preferences', requireAuth, async (req, res) => {
   try {
-    const userId = req.query.userId;
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
+    const userId = req.userId;
 
     if (!isSupabaseAvailable()) {
       return res.json({ ...NOTIF_DEFAULTS });
@@ -4973,13 +5135,11 @@ app.get('/api/notification-preferences', async (req, res) => {
 });
 
 // POST /api/notification-preferences — Save user's notification preferences
-app.post('/api/notification-preferences', async (req, res) => {
+app.post('/api/notification-preferences', requireAuth, async (req, res) => {
   try {
-    const { userId, daily_brief, price_alerts, breaking_news,
+    const userId = req.userId;
+    const { daily_brief, price_alerts, breaking_news,
             comex_alerts, comex_gold, comex_silver, comex_platinum, comex_palladium } = req.body;
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
 
     if (!isSupabaseAvailable()) {
       return res.status(503).json({ error: 'Database not configured' });
@@ -5050,7 +5210,7 @@ function isLifetimePrice(priceId) {
 }
 
 // POST /api/stripe/create-checkout-session
-app.post('/api/stripe/create-checkout-session', async (req, res) => {
+app.post('/api/stripe/create-checkout-session', requireAuth, async (req, res) => {
   try {
     if (!stripe) {
       return res.status(503).json({ error: 'Stripe is not configured' });
@@ -5059,11 +5219,9 @@ app.post('/api/stripe/create-checkout-session', async (req, res) => {
       return res.status(503).json({ error: 'Database not available' });
     }
 
-    const { user_id, price_id, success_url, cancel_url } = req.body;
+    const user_id = req.userId;
+    const { price_id, success_url, cancel_url } = req.body;
 
-    if (!user_id || !isUUID(user_id)) {
-      return res.status(400).json({ error: 'Valid user_id is required' });
-    }
     if (!price_id) {
       return res.status(400).json({ error: 'price_id is required' });
     }
@@ -5297,7 +5455,7 @@ app.post('/api/webhooks/stripe', async (req, res) => {
 });
 
 // POST /api/stripe/customer-portal
-app.post('/api/stripe/customer-portal', async (req, res) => {
+app.post('/api/stripe/customer-portal', requireAuth, async (req, res) => {
   try {
     if (!stripe) {
       return res.status(503).json({ error: 'Stripe is not configured' });
@@ -5306,11 +5464,8 @@ app.post('/api/stripe/customer-portal', async (req, res) => {
       return res.status(503).json({ error: 'Database not available' });
     }
 
-    const { user_id, return_url } = req.body;
-
-    if (!user_id || !isUUID(user_id)) {
-      return res.status(400).json({ error: 'Valid user_id is required' });
-    }
+    const user_id = req.userId;
+    const { return_url } = req.body;
 
     const supabaseClient = getSupabase();
 
@@ -5431,12 +5586,25 @@ async function buildTroySystemPrompt(userId) {
   // Fetch user's holdings
   const { data: holdings } = await supabaseClient
     .from('holdings')
-    .select('metal, type, weight, weight_unit, quantity, purchase_price, purchase_date, notes')
+    .select(`metal, type, weight, weight_unit, quantity, purchase_price, purchase_date, notes, ${HOLDING_PURCHASE_COLUMNS}`)
     .eq('user_id', userId)
     .is('deleted_at', null)
     .order('created_at', { ascending: false });
 
+  // Fetch recorded sales for realized gains (table from migration 007 — optional)
+  const { data: sales, error: salesError } = await supabaseClient
+    .from('holding_sales')
+    .select('metal, product_name, sale_date, quantity, ozt, proceeds, cost_basis, realized_gain, cost_basis_method')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .order('sale_date', { ascending: false });
+
+  if (salesError) {
+    console.log(`⚠️ [Troy] Sales unavailable: ${salesError.message}`);
+  }
+
   const userHoldings = holdings || [];
+  const userSales = sales || [];
   const prices = spotPriceCache.prices;
   const change = spotPriceCache.change || {};
 
@@ -5447,11 +5615,11 @@ async function buildTroySystemPrompt(userId) {
   for (const h of userHoldings) {
     const metal = h.metal;
     if (!metalTotals[metal]) continue;
-    const weightOz = h.weight || 0;
+    const weightOz = getPureOzt(h);
     const qty = h.quantity || 1;
     const totalOz = weightOz * qty;
     const purchasePrice = h.purchase_price || 0;
-    const totalCost = purchasePrice * qty;
+    const totalCost = getHoldingCostBasis(h);
     const currentValue = totalOz * (prices[metal] || 0);
 
     metalTotals[metal].oz += totalOz;
@@ -5471,6 +5639,7 @@ async function buildTroySystemPrompt(userId) {
       gainLoss: (currentValue - totalCost).toFixed(2),
       gainLossPct: totalCost > 0 ? (((currentValue - totalCost) / totalCost) * 100).toFixed(1) : '0',
       purchaseDate: h.purchase_date || 'Unknown',
+      source: getHoldingSource(h),
     });
   }
 
@@ -5478,12 +5647,28 @@ async function buildTroySystemPrompt(userId) {
   const totalCost = Object.keys(metalTotals).reduce((sum, m) => sum + metalTotals[m].cost, 0);
   const gsRatio = prices.silver > 0 ? (prices.gold / prices.silver).toFixed(1) : 'N/A';
 
+  // Realized gains from sales
+  const realized = { proceeds: 0, costBasis: 0, gain: 0, count: userSales.length };
+  for (const sale of userSales) {
+    realized.proceeds += parseFloat(sale.proceeds) || 0;
+    realized.costBasis += parseFloat(sale.cost_basis) || 0;
+    realized.gain += parseFloat(sale.realized_gain) || 0;
+  }
+  const unrealizedGain = totalValue - totalCost;
+
   const holdingsText = holdingDetails.length > 0
     ? holdingDetails.map(h =>
-      `- ${h.qty}x ${h.type} (${h.metal}): ${h.totalOz} oz, Cost $${h.totalCost}, Value $${h.currentValue}, ${parseFloat(h.gainLoss) >= 0 ? '+' : ''}$${h.gainLoss} (${h.gainLossPct}%), Purchased ${h.purchaseDate}`
+      `- ${h.qty}x ${h.type} (${h.metal}): ${h.totalOz} oz, Cost $${h.totalCost}, Value $${h.currentValue}, ${parseFloat(h.gainLoss) >= 0 ? '+' : ''}$${h.gainLoss} (${h.gainLossPct}%), Purchased ${h.purchaseDate}${h.source ? ` from ${h.source}` : ''}`
     ).join('\n')
     : 'No holdings found.';
 
+  const salesText = userSales.length > 0
+    ? userSales.slice(0, 15).map(s => {
+      const gain = parseFloat(s.realized_gain) || 0;
+      return `- Sold ${s.quantity}x ${s.product_name} (${s.metal}) on ${s.sale_date || 'unknown date'}: Proceeds $${(parseFloat(s.proceeds) || 0).toFixed(2)}, Basis $${(parseFloat(s.cost_basis) || 0).toFixed(2)} (${(s.cost_basis_method || 'fifo').toUpperCase()}), ${gain >= 0 ? '+' : ''}$${gain.toFixed(2)} realized`;
+    }).join('\n')
+    : 'No sales recorded.';
+
   const metalSummary = Object.entries(metalTotals)
     .filter(([_, v]) => v.oz > 0)
     .map(([m, v]) => {
@@ -5501,7 +5686,7 @@ async function buildTroySystemPrompt(userId) {
     .filter(Boolean)
     .join(', ');
 
-  return `You are Troy, the AI stack analyst inside TroyStack — a precious metals portfolio tracker. You have access to the user's full stack and live market data. You remember the full conversation history.
+  const systemPrompt = `You are Troy, the AI stack analyst inside TroyStack — a precious metals portfolio tracker. You have access to the user's full stack and live market data. You remember the full conversation history.
 
 PERSONALITY:
 - Confident, concise, opinionated — like a trusted metals dealer who also reads macro.
@@ -5526,6 +5711,13 @@ ${metalSummary || 'No holdings'}
 INDIVIDUAL HOLDINGS:
 ${holdingsText}
 
+REALIZED VS UNREALIZED:
+Unrealized P/L (current holdings): ${unrealizedGain >= 0 ? '+' : ''}$${unrealizedGain.toFixed(2)}
+Realized P/L (${realized.count} sale${realized.count === 1 ? '' : 's'}): ${realized.gain >= 0 ? '+' : ''}$${realized.gain.toFixed(2)} on $${realized.proceeds.toFixed(2)} proceeds
+
+SALES:
+${salesText}
+
 CURRENT SPOT PRICES:
 Gold: $${prices.gold}, Silver: $${prices.silver}, Platinum: $${prices.platinum}, Palladium: $${prices.palladium}
 
@@ -5537,6 +5729,7 @@ RULES:
 - Give specific, actionable advice based on their actual stack
 - Reference their holdings by name when relevant
 - Use current spot prices in calculations
+- Keep realized gains (closed sales) separate from unrealized gains (current holdings)
 - Be concise but thorough — this is for serious stackers
 - Never guarantee returns or make definitive price predictions
 - Add a brief disclaimer at the end of financial advice responses`;
@@ -5551,6 +5744,9 @@ RULES:
       totalCost: parseFloat(totalCost.toFixed(2)),
       totalGain: parseFloat((totalValue - totalCost).toFixed(2)),
       totalGainPercent: totalCost > 0 ? parseFloat((((totalValue - totalCost) / totalCost) * 100).toFixed(1)) : 0,
+      realizedGain: parseFloat(realized.gain.toFixed(2)),
+      realizedProceeds: parseFloat(realized.proceeds.toFixed(2)),
+      salesCount: realized.count,
       goldPrice: prices.gold,
       silverPrice: prices.silver,
       platinumPrice: prices.platinum,
@@ -5716,15 +5912,12 @@ function detectPreviewContent(troyResponse, contextData) {
 }
 
 // POST /v1/troy/conversations — Create a new conversation
-app.post('/v1/troy/conversations', async (req, res) => {
+app.post('/v1/troy/conversations', requireAuth, async (req, res) => {
   try {
     if (!isSupabaseAvailable()) {
       return res.status(503).json({ error: 'Database not available' });
     }
-    const userId = req.body.userId;
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
+    const userId = req.userId;
 
     const supabaseClient = getSupabase();
     const { data, error } = await supabaseClient
@@ -5747,15 +5940,12 @@ app.post('/v1/troy/conversations', async (req, res) => {
 });
 
 // GET /v1/troy/conversations — List conversations for a user
-app.get('/v1/troy/conversations', async (req, res) => {
+app.get('/v1/troy/conversations', requireAuth, async (req, res) => {
   try {
     if (!isSupabaseAvailable()) {
       return res.status(503).json({ error: 'Database not available' });
     }
-    const userId = req.query.userId;
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
+    const userId = req.userId;
 
     const supabaseClient = getSupabase();
     const { data, error } = await supabaseClient
@@ -5778,15 +5968,12 @@ app.get('/v1/troy/conversations', async (req, res) => {
 });
 
 // GET /v1/troy/conversations/:id — Get conversation with messages
-app.get('/v1/troy/conversations/:id', async (req, res) => {
+app.get('/v1/troy/conversations/:id', requireAuth, async (req, res) => {
   try {
     if (!isSupabaseAvailable()) {
       return res.status(503).json({ error: 'Database not available' });
     }
-    const userId = req.query.userId;
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
+    const userId = req.userId;
 
     const supabaseClient = getSupabase();
 
@@ -5822,15 +6009,12 @@ app.get('/v1/troy/conversations/:id', async (req, res) => {
 });
 
 // DELETE /v1/troy/conversations/:id — Delete a conversation
-app.delete('/v1/troy/conversations/:id', async (req, res) => {
+app.delete('/v1/troy/conversations/:id', requireAuth, async (req, res) => {
   try {
     if (!isSupabaseAvailable()) {
       return res.status(503).json({ error: 'Database not available' });
     }
-    const userId = req.query.userId;
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
+    const userId = req.userId;
 
     const supabaseClient = getSupabase();
 
@@ -5855,7 +6039,7 @@ app.delete('/v1/troy/conversations/:id', async (req, res) => {
 });
 
 // POST /v1/troy/conversations/:id/messages — Send message and get Troy's response
-app.post('/v1/troy/conversations/:id/messages', async (req, res) => {
+app.post('/v1/troy/conversations/:id/messages', requireAuth, async (req, res) => {
   try {
     if (!GEMINI_API_KEY) {
       return res.status(503).json({ error: 'AI is not configured' });
@@ -5864,12 +6048,9 @@ app.post('/v1/troy/conversations/:id/messages', async (req, res) => {
       return res.status(503).json({ error: 'Database not available' });
     }
 
-    const userId = req.body.userId;
+    const userId = req.userId;
     const message = req.body.message;
 
-    if (!userId || !isUUID(userId)) {
-      return res.status(400).json({ error: 'Valid userId is required' });
-    }
     if (!message || typeof message !== 'string' || message.length > 2000) {
       return res.status(400).json({ error: 'Message is required (max 2000 characters)' });
     }
@@ -5889,6 +6070,16 @@ app.post('/v1/troy/conversations/:id/messages', async (req, res) => {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
+    // Check Troy message cap before saving anything
+    const usage = await getUsage(userId, 'troy_message');
+    if (!usage.allowed) {
+      return res.status(429).json({
+        error: 'Message limit reached',
+        message: getQuotaMessage(usage, 'Troy message'),
+        usage,
+      });
+    }
+
     // Insert user message
     const { data: userMsg, error: userMsgError } = await supabaseClient
       .from('troy_messages')
@@ -5943,6 +6134,9 @@ app.post('/v1/troy/conversations/:id/messages', async (req, res) => {
       return res.status(500).json({ error: 'Troy returned an empty response' });
     }
 
+    // Only answered messages count toward the cap
+    await recordUsage(userId, 'troy_message', 1, usage.tier);
+
     // Insert Troy's response
     const { data: assistantMsg, error: assistantMsgError } = await supabaseClient
       .from('troy_messages')
@@ -5981,43 +6175,16 @@ app.post('/v1/troy/conversations/:id/messages', async (req, res) => {
 // TROY VOICE — ElevenLabs Text-to-Speech
 // ============================================
 
-// Voice usage tracking — in-memory, keyed by date:userId
-const voiceUsage = {};
-const VOICE_FREE_LIMIT = 1;
-const VOICE_GOLD_LIMIT = 20;
+// Voice plays and transcriptions share the 'voice' quota (services/usageQuotas.js)
 
-function getVoiceUsage(userId) {
-  const today = new Date().toISOString().split('T')[0];
-  const key = `${today}:${userId}`;
-  return voiceUsage[key] || 0;
-}
-
-function incrementVoiceUsage(userId) {
-  const today = new Date().toISOString().split('T')[0];
-  const key = `${today}:${userId}`;
-  voiceUsage[key] = (voiceUsage[key] || 0) + 1;
-  // Clean up old days
-  for (const k of Object.keys(voiceUsage)) {
-    if (!k.startsWith(today)) delete voiceUsage[k];
-  }
-  return voiceUsage[key];
-}
-
-async function checkUserIsGold(userId) {
-  if (!isSupabaseAvailable()) return false;
+// POST body { text } — GET ?text= is supported for streaming players that can only open a URL
+async function handleTroySpeak(req, res) {
   try {
-    const supabase = getSupabase();
-    const { data } = await supabase.from('profiles').select('subscription_tier').eq('id', userId).single();
-    return data?.subscription_tier === 'gold' || data?.subscription_tier === 'lifetime';
-  } catch { return false; }
-}
-
-app.post('/v1/troy/speak', async (req, res) => {
-  try {
-    const { text, userId } = req.body;
+    const userId = req.userId;
+    const text = req.method === 'GET' ? req.query.text : req.body.text;
 
-    if (!text || !userId) {
-      return res.status(400).json({ error: 'Missing text or userId' });
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ error: 'Missing text' });
     }
 
     const apiKey = process.env.ELEVENLABS_API_KEY;
@@ -6028,18 +6195,13 @@ app.post('/v1/troy/speak', async (req, res) => {
     }
 
     // Check voice usage cap
-    const isGold = await checkUserIsGold(userId);
-    const limit = isGold ? VOICE_GOLD_LIMIT : VOICE_FREE_LIMIT;
-    const used = getVoiceUsage(userId);
-    if (used >= limit) {
-      const msg = isGold
-        ? `You've used ${limit} voice plays today. Resets tomorrow.`
-        : `Free users get ${VOICE_FREE_LIMIT} voice play per day. Upgrade to Gold for ${VOICE_GOLD_LIMIT}.`;
-      return res.status(429).json({ error: 'Voice limit reached', message: msg });
+    const usage = await getUsage(userId, 'voice');
+    if (!usage.allowed) {
+      return res.status(429).json({ error: 'Voice limit reached', message: getQuotaMessage(usage, 'voice play') });
     }
 
     const truncatedText = text.substring(0, 2000);
-    console.log(`🎙️ [TTS] Request from ${userId.substring(0, 8)}... (${truncatedText.length} chars, ${used + 1}/${limit})`);
+    console.log(`🎙️ [TTS] Request from ${userId.substring(0, 8)}... (${truncatedText.length} chars, ${usage.daily.used + 1}/${usage.daily.limit})`);
 
     const ttsResponse = await axios({
       method: 'post',
@@ -6061,7 +6223,7 @@ app.post('/v1/troy/speak', async (req, res) => {
       timeout: 30000,
     });
 
-    incrementVoiceUsage(userId);
+    await recordUsage(userId, 'voice', 1, usage.tier);
 
     res.setHeader('Content-Type', 'audio/mpeg');
     res.setHeader('Transfer-Encoding', 'chunked');
@@ -6073,17 +6235,17 @@ app.post('/v1/troy/speak', async (req, res) => {
       return res.status(500).json({ error: 'TTS failed' });
     }
   }
-});
+}
+
+app.post('/v1/troy/speak', requireAuth, handleTroySpeak);
+app.get('/v1/troy/speak', requireAuth, handleTroySpeak);
 
 // Speech-to-Text transcription via OpenAI Whisper
 const transcribeUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } });
 
-app.post('/v1/troy/transcribe', transcribeUpload.single('audio'), async (req, res) => {
+app.post('/v1/troy/transcribe', requireAuth, transcribeUpload.single('audio'), async (req, res) => {
   try {
-    const userId = req.body.userId;
-    if (!userId) {
-      return res.status(400).json({ error: 'Missing userId' });
-    }
+    const userId = req.userId;
 
     const openaiKey = process.env.OPENAI_API_KEY;
     if (!openaiKey) {
@@ -6091,21 +6253,16 @@ app.post('/v1/troy/transcribe', transcribeUpload.single('audio'), async (req, re
     }
 
     // Check voice usage cap (transcribe counts toward same voice cap)
-    const isGold = await checkUserIsGold(userId);
-    const limit = isGold ? VOICE_GOLD_LIMIT : VOICE_FREE_LIMIT;
-    const used = getVoiceUsage(userId);
-    if (used >= limit) {
-      const msg = isGold
-        ? `You've used ${limit} voice exchanges today. Resets tomorrow.`
-        : `Free users get ${VOICE_FREE_LIMIT} voice exchange per day. Upgrade to Gold for ${VOICE_GOLD_LIMIT}.`;
-      return res.status(429).json({ error: 'Voice limit reached', message: msg });
+    const usage = await getUsage(userId, 'voice');
+    if (!usage.allowed) {
+      return res.status(429).json({ error: 'Voice limit reached', message: getQuotaMessage(usage, 'voice exchange') });
     }
 
     if (!req.file) {
       return res.status(400).json({ error: 'No audio file provided' });
     }
 
-    console.log(`🎙️ [STT] Transcribe request from ${userId.substring(0, 8)}... (${(req.file.size / 1024).toFixed(0)}KB, ${used + 1}/${limit})`);
+    console.log(`🎙️ [STT] Transcribe request from ${userId.substring(0, 8)}... (${(req.file.size / 1024).toFixed(0)}KB, ${usage.daily.used + 1}/${usage.daily.limit})`);
 
     // Build multipart form for OpenAI Whisper API
     const FormData = require('form-data');
@@ -6129,7 +6286,7 @@ app.post('/v1/troy/transcribe', transcribeUpload.single('audio'), async (req, re
     const text = whisperResponse.data?.text || '';
     console.log(`🎙️ [STT] Transcribed: "${text.substring(0, 80)}..."`);
 
-    incrementVoiceUsage(userId);
+    await recordUsage(userId, 'voice', 1, usage.tier);
 
     return res.json({ text });
 
@@ -6147,7 +6304,6 @@ const PORT = process.env.PORT || 3000;
 
 // Load data on startup
 loadHistoricalData(); // Synchronous JSON load
-loadScanUsageData(); // Load scan usage from /tmp/
 
 fetchLiveSpotPrices().then(() => {
   app.listen(PORT, () => {
@@ -6161,7 +6317,8 @@ fetchLiveSpotPrices().then(() => {
     console.log('📅 Historical Data:', historicalData.loaded ? 'LOADED' : 'FALLBACK');
     console.log('⚡ Price Fetching: ON-DEMAND ONLY (10-min cache)');
     console.log('💸 API: MetalPriceAPI Primary, GoldAPI Fallback (10,000/month each)');
-    console.log('🗄️ Scan Storage: /tmp/scan-usage.json');
+    console.log('💱 FX Provider:', process.env.FX_PROVIDER || 'frankfurter', '(fixture fallback)');
+    console.log('🗄️ Usage Quotas:', isSupabaseAvailable() ? 'SUPABASE (usage_counters)' : 'DISABLED (fail-open, no Supabase)');
     console.log('🔔 Price Alerts: DISABLED — moved to stg-api');
     console.log('🧠 Intelligence Cron: DISABLED — moved to stg-api');
     console.log('📝 Daily Brief Cron: DISABLED — moved to stg-api');
@@ -0,0 +1,226 @@
+/**
+ * FX Rates Service
+ *
+ * USD-based exchange rates for displaying spot prices and portfolio values
+ * in a user's base currency. All prices are stored and computed in USD;
+ * conversion happens only at the edges (API responses, app display).
+ *
+ * Rates come from a pluggable provider (FX_PROVIDER env, default
+ * 'frankfurter' — ECB reference rates, no API key) and are cached in memory.
+ * If the provider fails and nothing is cached, rates fall back to the local
+ * fixture in data/fx-rates-fixture.json so the app never breaks over FX.
+ *
+ * Historical rates (for purchases made in another currency) come from the
+ * same provider's daily series and are cached per date — they never change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF'];
+
+// ECB reference rates update once per working day; an hour is plenty
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Historical rates are immutable; cap the cache so it can't grow unbounded
+const HISTORICAL_CACHE_MAX = 1000;
+
+const FIXTURE_PATH = path.join(__dirname, '..', 'data', 'fx-rates-fixture.json');
+
+/**
+ * Providers: { name, fetchLatest(symbols) -> { rates, date },
+ *              fetchHistorical(date, symbols) -> { rates, date } (optional) }
+ * rates are units of each currency per 1 USD. For historical lookups the
+ * returned date is the fixing actually used (weekends/holidays fall back
+ * to the previous business day).
+ */
+const providers = {
+  frankfurter: {
+    name: 'frankfurter',
+    async fetchLatest(symbols) {
+      const response = await axios.get('https://api.frankfurter.app/latest', {
+        params: { from: 'USD', to: symbols.join(',') },
+        timeout: 5000,
+      });
+      return { rates: response.data.rates, date: response.data.date };
+    },
+    async fetchHistorical(date, symbols) {
+      const response = await axios.get(`https://api.frankfurter.app/${date}`, {
+        params: { from: 'USD', to: symbols.join(',') },
+        timeout: 5000,
+      });
+      return { rates: response.data.rates, date: response.data.date };
+    },
+  },
+  fixture: {
+    name: 'fixture',
+    async fetchLatest() {
+      return loadFixture();
+    },
+  },
+};
+
+let fxCache = {
+  rates: null,
+  date: null,
+  source: null,
+  fetchedAt: null,
+};
+
+// date (YYYY-MM-DD) -> { rates, date, source }
+const historicalCache = new Map();
+
+function loadFixture() {
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+  return { rates: fixture.rates, date: fixture.date };
+}
+
+/**
+ * Register (or replace) a rate provider, e.g. a paid feed keyed by env vars
+ *
+ * @param {string} name - Value to use in FX_PROVIDER
+ * @param {{ fetchLatest: Function }} provider
+ */
+function registerFxProvider(name, provider) {
+  if (!provider || typeof provider.fetchLatest !== 'function') {
+    throw new Error(`FX provider "${name}" must implement fetchLatest(symbols)`);
+  }
+  providers[name] = { name, ...provider };
+}
+
+function getActiveProvider() {
+  const name = process.env.FX_PROVIDER || 'frankfurter';
+  if (!providers[name]) {
+    console.warn(`⚠️ Unknown FX_PROVIDER "${name}", using frankfurter`);
+    return providers.frankfurter;
+  }
+  return providers[name];
+}
+
+/**
+ * Keep only supported currencies and make sure USD is present
+ */
+function normalizeRates(rates) {
+  const normalized = { USD: 1 };
+  for (const code of SUPPORTED_CURRENCIES) {
+    const rate = parseFloat(rates?.[code]);
+    if (code !== 'USD' && rate > 0) normalized[code] = rate;
+  }
+  return normalized;
+}
+
+/**
+ * Current USD-based rates (cached)
+ *
+ * @returns {Promise<{ base: 'USD', rates: Object, date: string, source: string, timestamp: string, stale: boolean }>}
+ */
+async function getFxRates() {
+  const cacheAge = fxCache.fetchedAt ? Date.now() - fxCache.fetchedAt : Infinity;
+
+  if (cacheAge > CACHE_TTL_MS) {
+    const provider = getActiveProvider();
+    const symbols = SUPPORTED_CURRENCIES.filter(c => c !== 'USD');
+    try {
+      const { rates, date } = await provider.fetchLatest(symbols);
+      const normalized = normalizeRates(rates);
+      if (Object.keys(normalized).length < SUPPORTED_CURRENCIES.length) {
+        throw new Error('Provider returned incomplete rates');
+      }
+      fxCache = { rates: normalized, date, source: provider.name, fetchedAt: Date.now() };
+      console.log(`💱 FX rates refreshed from ${provider.name} (${date})`);
+    } catch (error) {
+      console.error(`❌ FX provider ${provider.name} failed:`, error.message);
+      if (!fxCache.rates) {
+        const fixture = loadFixture();
+        // fetchedAt stays old-ish so the provider is retried in 5 minutes
+        fxCache = {
+          rates: normalizeRates(fixture.rates),
+          date: fixture.date,
+          source: 'fixture',
+          fetchedAt: Date.now() - CACHE_TTL_MS + 5 * 60 * 1000,
+        };
+        console.log(`💱 Using fixture FX rates (${fixture.date})`);
+      }
+    }
+  }
+
+  return {
+    base: 'USD',
+    rates: fxCache.rates,
+    date: fxCache.date,
+    source: fxCache.source,
+    timestamp: new Date(fxCache.fetchedAt).toISOString(),
+    stale: fxCache.source === 'fixture' || Date.now() - fxCache.fetchedAt > CACHE_TTL_MS,
+  };
+}
+
+/**
+ * USD-based rates on a past date, for converting a purchase price to USD
+ *
+ * Falls back to current rates (approximate: true) when the provider has no
+ * series for that date or is unreachable, so a purchase can still be saved.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<{ base: 'USD', rates: Object, date: string, requestedDate: string, source: string, approximate: boolean }>}
+ */
+async function getHistoricalFxRates(date) {
+  if (historicalCache.has(date)) {
+    return { base: 'USD', requestedDate: date, approximate: false, ...historicalCache.get(date) };
+  }
+
+  const provider = getActiveProvider();
+  const symbols = SUPPORTED_CURRENCIES.filter(c => c !== 'USD');
+
+  if (typeof provider.fetchHistorical === 'function') {
+    try {
+      const { rates, date: rateDate } = await provider.fetchHistorical(date, symbols);
+      const normalized = normalizeRates(rates);
+      if (Object.keys(normalized).length < SUPPORTED_CURRENCIES.length) {
+        throw new Error('Provider returned incomplete rates');
+      }
+      const entry = { rates: normalized, date: rateDate || date, source: provider.name };
+      if (historicalCache.size >= HISTORICAL_CACHE_MAX) {
+        historicalCache.delete(historicalCache.keys().next().value);
+      }
+      historicalCache.set(date, entry);
+      return { base: 'USD', requestedDate: date, approximate: false, ...entry };
+    } catch (error) {
+      console.error(`❌ FX provider ${provider.name} historical lookup failed for ${date}:`, error.message);
+    }
+  }
+
+  const current = await getFxRates();
+  return {
+    base: 'USD',
+    rates: current.rates,
+    date: current.date,
+    requestedDate: date,
+    source: current.source,
+    approximate: true,
+  };
+}
+
+/**
+ * Whether a currency code is supported
+ */
+function isSupportedCurrency(code) {
+  return SUPPORTED_CURRENCIES.includes(String(code || '').toUpperCase());
+}
+
+/**
+ * Convert a USD amount using a rates table from getFxRates()
+ */
+function convertFromUsd(amount, currency, rates) {
+  const rate = rates?.[String(currency || 'USD').toUpperCase()] || 1;
+  return amount * rate;
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  getFxRates,
+  getHistoricalFxRates,
+  registerFxProvider,
+  isSupportedCurrency,
+  convertFromUsd,
+};
@@ -0,0 +1,59 @@
+/**
+ * Holding Costs Service
+ *
+ * Purchase fields for a Supabase holdings row. Since migration 009 source,
+ * taxes, shipping, spot_price, premium, cost_basis and time_purchased are
+ * real columns; rows the backfill/trigger hasn't reached yet (null columns)
+ * fall back to the same keys in the notes JSON.
+ *
+ * Cost basis matches mobile-app/src/utils/costBasis.js getLotCostBasis:
+ * a manually adjusted cost_basis wins, otherwise price × qty + taxes + shipping.
+ */
+
+const { parseNotes } = require('./holdingWeights');
+
+// Columns to select alongside the base holding fields
+const HOLDING_PURCHASE_COLUMNS = 'source, time_purchased, taxes, shipping, spot_price, premium, cost_basis';
+
+/**
+ * Purchase field of a holdings row, column first then notes JSON
+ *
+ * @param {Object} holding
+ * @param {string} field Column name (same key in notes)
+ * @returns {*} undefined when neither has it
+ */
+function getHoldingField(holding, field) {
+  if (holding[field] !== null && holding[field] !== undefined) return holding[field];
+  return parseNotes(holding.notes)[field];
+}
+
+/**
+ * Total cost basis of a holdings row (all units), including taxes and shipping
+ *
+ * @param {{ purchase_price: number, quantity: number, taxes?: number, shipping?: number, cost_basis?: number, notes?: string|Object }} holding
+ * @returns {number}
+ */
+function getHoldingCostBasis(holding) {
+  const manual = parseFloat(getHoldingField(holding, 'cost_basis'));
+  if (manual > 0) return manual;
+  const qty = holding.quantity || 1;
+  return (parseFloat(holding.purchase_price) || 0) * qty
+    + (parseFloat(getHoldingField(holding, 'taxes')) || 0)
+    + (parseFloat(getHoldingField(holding, 'shipping')) || 0);
+}
+
+/**
+ * Dealer/source of a holdings row
+ * @param {Object} holding
+ * @returns {string} '' when unknown
+ */
+function getHoldingSource(holding) {
+  return String(getHoldingField(holding, 'source') || '').trim();
+}
+
+module.exports = {
+  HOLDING_PURCHASE_COLUMNS,
+  getHoldingField,
+  getHoldingCostBasis,
+  getHoldingSource,
+};
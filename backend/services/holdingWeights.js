@@ -0,0 +1,141 @@
+/**
+ * Holding Weights Service
+ *
+ * Pure troy ounces for a Supabase holdings row. `weight` is per unit in
+ * `weight_unit` ('oz' = troy ounces, 'g', 'kg', 'tola', 'tael', or 'face'
+ * for junk silver by face value) and fineness is in notes JSON (`purity`).
+ * Rows without a purity are fine metal, matching how they were entered.
+ *
+ * Mirrors mobile-app/src/utils/weights.js — keep the two in sync.
+ */
+
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+const UNIT_GRAMS = {
+  oz: GRAMS_PER_TROY_OUNCE,
+  ozt: GRAMS_PER_TROY_OUNCE,
+  g: 1,
+  kg: 1000,
+  tola: 11.6638038,
+  tael: 37.429, // Hong Kong gold tael
+};
+
+// Pure silver ozt per $1 face value, keyed by purity
+const JUNK_SILVER_OZT_PER_DOLLAR = [
+  { purity: 0.9, oztPerDollar: 0.715 },
+  { purity: 0.4, oztPerDollar: 0.295 },
+  { purity: 0.35, oztPerDollar: 0.0563 / 0.05 }, // War nickels
+];
+
+function parseNotes(notes) {
+  if (!notes) return {};
+  if (typeof notes === 'object') return notes;
+  try {
+    return JSON.parse(notes);
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Pure troy ounces per unit for a holdings row
+ *
+ * @param {{ weight: number, weight_unit?: string, notes?: string|Object }} holding
+ * @returns {number}
+ */
+function getPureOzt(holding) {
+  const weight = parseFloat(holding.weight) || 0;
+  const unit = holding.weight_unit || 'oz';
+  const purity = parseFloat(parseNotes(holding.notes).purity);
+
+  if (unit === 'face') {
+    const junk = JUNK_SILVER_OZT_PER_DOLLAR.find(t => Math.abs(t.purity - purity) < 0.005) || JUNK_SILVER_OZT_PER_DOLLAR[0];
+    return weight * junk.oztPerDollar;
+  }
+
+  const grams = UNIT_GRAMS[unit] || GRAMS_PER_TROY_OUNCE;
+  const fineness = purity > 0 && purity <= 1 ? purity : 1;
+  return (weight * grams / GRAMS_PER_TROY_OUNCE) * fineness;
+}
+
+// Ounce sizes on coins and bars are fine weight (most specific first)
+const FRACTIONAL_SIZES = [
+  { pattern: /\b1\/10\s*(oz|ounce|ozt)\b|\btenth\s*(oz|ounce)\b/, ozt: 0.1 },
+  { pattern: /\b1\/4\s*(oz|ounce|ozt)\b|\bquarter\s*(oz|ounce)\b/, ozt: 0.25 },
+  { pattern: /\b1\/2\s*(oz|ounce|ozt)\b|\bhalf\s*(oz|ounce)\b/, ozt: 0.5 },
+  { pattern: /\b1\/20\s*(oz|ounce|ozt)\b/, ozt: 0.05 },
+];
+
+/**
+ * Weight per unit from a product name ("1/10 oz Gold Eagle", "10 oz bar",
+ * "1 kilo", "5 g 24k", "$10 face 90%")
+ *
+ * Mirrors detectWeightFromName in mobile-app/App.js (coin-name defaults
+ * aside — a scan is only checked against sizes the name actually states).
+ *
+ * @param {string} productName
+ * @returns {{ weight: number, weight_unit: string, notes: { purity?: number } }|null} getPureOzt input
+ */
+function detectWeightFromName(productName) {
+  if (!productName) return null;
+  const name = String(productName).toLowerCase();
+
+  const karatMatch = name.match(/\b(\d{1,2})\s*(k|kt|karat)\b/);
+  const karat = karatMatch ? parseInt(karatMatch[1], 10) : null;
+  const purity = karat && karat < 24 ? karat / 24 : null;
+  const sized = (weight, unit) => ({ weight, weight_unit: unit, notes: purity ? { purity } : {} });
+
+  const faceMatch = name.match(/\$\s*(\d+(?:\.\d+)?)\s*(face|fv)\b/);
+  if (faceMatch && /90%|40%|35%|junk|war nickel/.test(name)) {
+    const facePurity = /40%/.test(name) ? 0.4 : (/35%|war nickel/.test(name) ? 0.35 : 0.9);
+    return { weight: parseFloat(faceMatch[1]), weight_unit: 'face', notes: { purity: facePurity } };
+  }
+
+  if (/\bhalf\s*sovereign\b/.test(name)) return { weight: 3.994, weight_unit: 'g', notes: { purity: 0.9167 } };
+  if (/\bsovereign\b/.test(name)) return { weight: 7.988, weight_unit: 'g', notes: { purity: 0.9167 } };
+
+  const kiloMatch = name.match(/(\d+(?:\.\d+)?)\s*[-]?\s*(kilo|kilogram|kg)s?\b/);
+  if (kiloMatch && parseFloat(kiloMatch[1]) > 0) return sized(parseFloat(kiloMatch[1]), 'kg');
+  if (/\bkilo\b|\bkilogram\b/.test(name)) return sized(1, 'kg');
+
+  const tolaMatch = name.match(/(\d+(?:\.\d+)?)\s*[-]?\s*tolas?\b/);
+  if (tolaMatch && parseFloat(tolaMatch[1]) > 0) return sized(parseFloat(tolaMatch[1]), 'tola');
+  const taelMatch = name.match(/(\d+(?:\.\d+)?)\s*[-]?\s*taels?\b/);
+  if (taelMatch && parseFloat(taelMatch[1]) > 0) return sized(parseFloat(taelMatch[1]), 'tael');
+
+  for (const { pattern, ozt } of FRACTIONAL_SIZES) {
+    if (pattern.test(name)) return { weight: ozt, weight_unit: 'oz', notes: {} };
+  }
+
+  const ozMatch = name.match(/(\d+(?:,\d{3})*(?:\.\d+)?)\s*[-]?\s*(oz|ozt|ounce|troy\s*oz)/);
+  if (ozMatch) {
+    const value = parseFloat(ozMatch[1].replace(/,/g, ''));
+    if (value > 0 && value <= 1000) return { weight: value, weight_unit: 'oz', notes: {} };
+  }
+
+  const gramMatch = name.match(/(\d+(?:\.\d+)?)\s*[-]?\s*(g|gram|grams)\b/);
+  if (gramMatch) {
+    const grams = parseFloat(gramMatch[1]);
+    if (grams > 0 && grams <= 1000) return sized(grams, 'g');
+  }
+
+  return null;
+}
+
+/**
+ * Pure troy ounces per unit stated in a product name
+ * @param {string} productName
+ * @returns {number|null}
+ */
+function detectOztFromName(productName) {
+  const detected = detectWeightFromName(productName);
+  return detected ? getPureOzt(detected) : null;
+}
+
+module.exports = {
+  GRAMS_PER_TROY_OUNCE,
+  getPureOzt,
+  parseNotes,
+  detectWeightFromName,
+  detectOztFromName,
+};
@@ -0,0 +1,289 @@
+/**
+ * Receipt Documents Service
+ *
+ * Turns an uploaded receipt into the parts sent to the extraction model.
+ * Besides photos, /api/scan-receipt accepts:
+ *   - PDF invoices (multi-page) — passed to the model as a document, which
+ *     reads every page itself
+ *   - HTML order confirmations — reduced to text (table cells kept apart)
+ *   - .eml files (a saved email) — a PDF attachment is used as the invoice;
+ *     otherwise the HTML or plain-text body is read like an HTML upload
+ *
+ * Everything stays in memory, like the images.
+ */
+
+const cheerio = require('cheerio');
+
+const MAX_PDF_PAGES = 20;
+
+// Receipt text sent to the model (confirmation emails are mostly markup)
+const MAX_TEXT_LENGTH = 60000;
+
+const IMAGE_EXTENSIONS = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', heic: 'image/heic' };
+
+/**
+ * Image media type from the file's first bytes (null if not a known image)
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  const head = buffer.subarray(0, 16).toString('latin1');
+  if (head.startsWith('\x89PNG')) return 'image/png';
+  if (head.startsWith('GIF8')) return 'image/gif';
+  if (head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') return 'image/webp';
+  if (head.slice(4, 8) === 'ftyp' && /^(heic|heix|mif1|msf1)$/.test(head.slice(8, 12))) return 'image/heic';
+  return null;
+}
+
+/**
+ * Media type to send with an image receipt
+ *
+ * The models reject generic types, and pickers often report photos as
+ * application/octet-stream, so the bytes win, then an image/* type, then
+ * the extension.
+ *
+ * @param {Buffer} buffer
+ * @param {string} [mimeType]
+ * @param {string} [fileName]
+ * @returns {string}
+ */
+function detectImageMediaType(buffer, mimeType = '', fileName = '') {
+  const type = String(mimeType).toLowerCase();
+  const extension = (String(fileName).toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1];
+  return sniffImageType(buffer)
+    || (type.startsWith('image/') ? type : null)
+    || IMAGE_EXTENSIONS[extension]
+    || 'image/jpeg';
+}
+
+/**
+ * What kind of receipt an upload is
+ *
+ * Pickers often report .eml as application/octet-stream, so the name and
+ * the first bytes are checked too.
+ *
+ * @param {Buffer} buffer
+ * @param {string} [mimeType]
+ * @param {string} [fileName]
+ * @returns {'image'|'pdf'|'email'|'html'|null}
+ */
+function detectReceiptKind(buffer, mimeType = '', fileName = '') {
+  const type = String(mimeType).toLowerCase();
+  const name = String(fileName).toLowerCase();
+  const head = buffer.subarray(0, 1024).toString('latin1');
+
+  if (type === 'application/pdf' || name.endsWith('.pdf') || head.startsWith('%PDF-')) return 'pdf';
+  if (type === 'message/rfc822' || name.endsWith('.eml')) return 'email';
+  if (type === 'text/html' || /\.html?$/.test(name) || /^\s*(<!doctype html|<html)/i.test(head)) return 'html';
+  if (type.startsWith('image/') || /\.(jpe?g|png|gif|webp|heic)$/.test(name) || sniffImageType(buffer)) return 'image';
+  // A saved email without an extension still starts with headers
+  if (/^(received|return-path|from|mime-version|delivered-to|date|subject|message-id):/im.test(head.split(/\r?\n\r?\n/)[0] || '')) return 'email';
+  return null;
+}
+
+/**
+ * Rough page count of a PDF (page objects in the file)
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function countPdfPages(buffer) {
+  const matches = buffer.toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+  return matches ? matches.length : 0;
+}
+
+// ============================================
+// HTML
+// ============================================
+
+/**
+ * Readable text of an HTML receipt, keeping table rows on their own lines
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const $ = cheerio.load(html);
+  $('script, style, head, noscript').remove();
+  $('br').replaceWith('\n');
+  $('td, th').each((i, el) => { $(el).append(' | '); });
+  $('p, div, tr, li, h1, h2, h3, h4, h5, h6, table').each((i, el) => { $(el).append('\n'); });
+
+  return $.root().text()
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/( \| )+\n/g, '\n')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim();
+}
+
+// ============================================
+// EMAIL (RFC 822 / MIME)
+// ============================================
+
+function parseHeaders(block) {
+  const headers = {};
+  block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  });
+  return headers;
+}
+
+function headerParam(value, param) {
+  const match = String(value || '').match(new RegExp(`${param}\\s*=\\s*(?:"([^"]*)"|([^;\\s]*))`, 'i'));
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9a-f]{2}$/i.test(source.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeBody(body, encoding) {
+  switch (String(encoding || '').toLowerCase()) {
+    case 'base64': return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable': return decodeQuotedPrintable(body);
+    default: return Buffer.from(body, 'latin1');
+  }
+}
+
+function bufferToText(buffer, charset) {
+  const name = String(charset || 'utf-8').toLowerCase();
+  if (['iso-8859-1', 'latin1', 'us-ascii', 'windows-1252'].includes(name)) return buffer.toString('latin1');
+  return buffer.toString('utf8');
+}
+
+// Leaf parts of a MIME entity: [{ type, fileName, buffer, charset }]
+function collectParts(raw, depth = 0) {
+  const split = raw.search(/\r?\n\r?\n/);
+  const headerBlock = split === -1 ? raw : raw.slice(0, split);
+  const body = split === -1 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+  const headers = parseHeaders(headerBlock);
+  const contentType = headers['content-type'] || 'text/plain';
+  const type = contentType.split(';')[0].trim().toLowerCase();
+
+  if (type.startsWith('multipart/') && depth < 5) {
+    const boundary = headerParam(contentType, 'boundary');
+    if (!boundary) return [];
+    return body
+      .split(`--${boundary}`)
+      .slice(1)
+      .filter(part => !part.startsWith('--'))
+      .flatMap(part => collectParts(part.replace(/^\r?\n/, ''), depth + 1));
+  }
+
+  return [{
+    type,
+    fileName: headerParam(headers['content-disposition'], 'filename') || headerParam(contentType, 'name'),
+    buffer: decodeBody(body, headers['content-transfer-encoding']),
+    charset: headerParam(contentType, 'charset'),
+  }];
+}
+
+/**
+ * Body and attachments of a saved email
+ * @param {Buffer} buffer .eml contents
+ * @returns {{ subject: string, from: string, date: string, html: string|null, text: string|null, attachments: Array<{ type: string, fileName: string|null, buffer: Buffer }> }}
+ */
+function parseEmail(buffer) {
+  const raw = buffer.toString('latin1');
+  const split = raw.search(/\r?\n\r?\n/);
+  const headers = parseHeaders(split === -1 ? raw : raw.slice(0, split));
+  const parts = collectParts(raw);
+
+  const html = parts.find(p => p.type === 'text/html' && !p.fileName);
+  const text = parts.find(p => p.type === 'text/plain' && !p.fileName);
+
+  return {
+    subject: headers.subject || '',
+    from: headers.from || '',
+    date: headers.date || '',
+    html: html ? bufferToText(html.buffer, html.charset) : null,
+    text: text ? bufferToText(text.buffer, text.charset) : null,
+    attachments: parts
+      .filter(p => p.fileName || !p.type.startsWith('text/'))
+      .map(({ type, fileName, buffer: data }) => ({ type, fileName, buffer: data })),
+  };
+}
+
+// ============================================
+// MODEL INPUT
+// ============================================
+
+function limitText(text) {
+  return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}\n[truncated]` : text;
+}
+
+function pdfPart(buffer) {
+  const pages = countPdfPages(buffer);
+  if (pages > MAX_PDF_PAGES) {
+    throw Object.assign(new Error(`PDF has ${pages} pages; receipts up to ${MAX_PDF_PAGES} pages are supported`), { status: 400 });
+  }
+  return { type: 'pdf', mediaType: 'application/pdf', data: buffer.toString('base64'), pages };
+}
+
+/**
+ * Parts to send to the extraction model for an uploaded receipt
+ *
+ * @param {Object} upload
+ * @param {Buffer} upload.buffer
+ * @param {string} [upload.mimeType]
+ * @param {string} [upload.fileName]
+ * @returns {{ kind: string, parts: Array<{ type: 'image'|'pdf', mediaType: string, data: string }|{ type: 'text', text: string }>, description: string }}
+ * @throws {Error} status 400 for files that aren't a supported receipt
+ */
+function prepareReceiptInput({ buffer, mimeType, fileName }) {
+  const kind = detectReceiptKind(buffer, mimeType, fileName);
+
+  if (kind === 'image') {
+    const mediaType = detectImageMediaType(buffer, mimeType, fileName);
+    return { kind, parts: [{ type: 'image', mediaType, data: buffer.toString('base64') }], description: 'receipt image' };
+  }
+
+  if (kind === 'pdf') {
+    const part = pdfPart(buffer);
+    return { kind, parts: [part], description: `PDF invoice (${part.pages || 'unknown'} page${part.pages === 1 ? '' : 's'})` };
+  }
+
+  if (kind === 'html') {
+    return { kind, parts: [{ type: 'text', text: limitText(htmlToText(buffer.toString('utf8'))) }], description: 'order confirmation (HTML)' };
+  }
+
+  if (kind === 'email') {
+    const email = parseEmail(buffer);
+    const envelope = [`From: ${email.from}`, `Date: ${email.date}`, `Subject: ${email.subject}`].join('\n');
+    const invoice = email.attachments.find(a => a.type === 'application/pdf' || /\.pdf$/i.test(a.fileName || ''));
+    const body = email.html ? htmlToText(email.html) : (email.text || '').trim();
+
+    if (invoice) {
+      return {
+        kind,
+        parts: [pdfPart(invoice.buffer), { type: 'text', text: limitText(`${envelope}\n\n${body}`) }],
+        description: 'email with PDF invoice',
+      };
+    }
+    if (!body) throw Object.assign(new Error('The email has no readable body or PDF invoice'), { status: 400 });
+    return { kind, parts: [{ type: 'text', text: limitText(`${envelope}\n\n${body}`) }], description: 'order confirmation email' };
+  }
+
+  throw Object.assign(new Error('Unsupported file type. Upload a photo, PDF, .eml or .html receipt.'), { status: 400 });
+}
+
+module.exports = {
+  MAX_PDF_PAGES,
+  detectReceiptKind,
+  detectImageMediaType,
+  countPdfPages,
+  htmlToText,
+  parseEmail,
+  prepareReceiptInput,
+};
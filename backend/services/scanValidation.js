@@ -0,0 +1,193 @@
+/**
+ * Scan Validation Service
+ *
+ * Cross-checks what the model read off a receipt before the app trusts it.
+ * Every item gets a confidence level per field ('high' | 'medium' | 'low')
+ * and the issues behind anything below 'high'; the scanned-items preview
+ * highlights those fields for review.
+ *
+ * Checks:
+ *   - quantity × unit price ≈ line total (and whether the unit price had
+ *     to be recalculated from the line total)
+ *   - the receipt subtotal ≈ the sum of the line totals
+ *   - ozt ≈ the weight stated in the product name
+ *   - the premium over spot on the purchase date is within sane bounds
+ *   - the metal is one we track and agrees with the product name
+ */
+
+const { detectOztFromName } = require('./holdingWeights');
+
+const CONFIDENCE_ORDER = ['low', 'medium', 'high'];
+
+const METALS = ['gold', 'silver', 'platinum', 'palladium'];
+
+// Premium over melt (%) above which a price is unusual for the metal
+const PREMIUM_REVIEW = { silver: 100, gold: 30, platinum: 40, palladium: 40 };
+
+// Outside these a price is almost certainly misread (or the weight is)
+const MIN_PREMIUM = -3;
+const MAX_PREMIUM = 300;
+
+// Relative difference between the ozt read and the weight in the name
+const OZT_TOLERANCE = 0.02;
+
+// Money comparisons: whichever is larger
+const MONEY_TOLERANCE = 0.02;
+const MONEY_TOLERANCE_PCT = 0.005;
+
+const FIELDS = ['description', 'metal', 'quantity', 'unitPrice', 'extPrice', 'ozt'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value.replace(/[$,\s]/g, '')) : Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const moneyMatches = (a, b) => Math.abs(a - b) <= Math.max(MONEY_TOLERANCE, Math.abs(b) * MONEY_TOLERANCE_PCT);
+
+const formatMoney = (value) => `$${value.toFixed(2)}`;
+
+// Metals named in a product description
+function metalsInName(name) {
+  const text = String(name || '').toLowerCase();
+  return METALS.filter(metal => new RegExp(`\\b${metal}\\b`).test(text));
+}
+
+/**
+ * Validate one scanned item
+ *
+ * @param {Object} item Item as read ({ description, quantity, unitPrice, extPrice, metal, ozt, priceCorrectedFrom? })
+ * @param {Object|null} spotPrices { date, gold, silver, platinum, palladium }
+ * @returns {{ confidence: Object, issues: Array<{ field: string, level: string, message: string }>, suggestedOzt: number|null }}
+ */
+function validateScanItem(item, spotPrices = null) {
+  const confidence = Object.fromEntries(FIELDS.map(field => [field, 'high']));
+  const issues = [];
+  const flag = (field, level, message) => {
+    if (CONFIDENCE_ORDER.indexOf(level) < CONFIDENCE_ORDER.indexOf(confidence[field])) confidence[field] = level;
+    issues.push({ field, level, message });
+  };
+
+  const description = String(item.description || '').trim();
+  if (!description) flag('description', 'low', 'No product description was read');
+
+  const metal = String(item.metal || '').toLowerCase();
+  const namedMetals = metalsInName(description);
+  if (!METALS.includes(metal)) {
+    flag('metal', 'low', item.metal ? `Unknown metal "${item.metal}"` : 'No metal was read');
+  } else if (namedMetals.length === 1 && namedMetals[0] !== metal) {
+    flag('metal', 'low', `Read as ${metal}, but the name says ${namedMetals[0]}`);
+  }
+
+  const quantity = toNumber(item.quantity);
+  if (quantity === null) {
+    flag('quantity', 'medium', 'No quantity was read; 1 assumed');
+  } else if (quantity <= 0 || !Number.isInteger(quantity)) {
+    flag('quantity', 'low', `Quantity ${item.quantity} isn't a whole number of items`);
+  }
+  const qty = quantity > 0 ? quantity : 1;
+
+  const unitPrice = toNumber(item.unitPrice);
+  const extPrice = toNumber(item.extPrice);
+  if (!(unitPrice > 0)) flag('unitPrice', 'low', 'No unit price was read');
+  if (item.priceCorrectedFrom !== undefined && item.priceCorrectedFrom !== null) {
+    flag('unitPrice', 'medium', `Unit price recalculated from the line total (read as ${formatMoney(toNumber(item.priceCorrectedFrom) || 0)})`);
+  }
+  if (!(extPrice > 0)) {
+    if (unitPrice > 0) flag('extPrice', 'medium', 'No line total to check the unit price against');
+  } else if (unitPrice > 0 && !moneyMatches(round2(qty * unitPrice), extPrice)) {
+    flag('unitPrice', 'low', `${qty} × ${formatMoney(unitPrice)} doesn't match the line total`);
+    flag('extPrice', 'low', `Line total ${formatMoney(extPrice)} doesn't match ${qty} × ${formatMoney(unitPrice)}`);
+  }
+
+  const ozt = toNumber(item.ozt);
+  const nameOzt = detectOztFromName(description);
+  const suggestedOzt = nameOzt ? Math.round(nameOzt * 10000) / 10000 : null;
+  if (!(ozt > 0)) {
+    flag('ozt', 'low', suggestedOzt ? `No weight was read; the name suggests ${suggestedOzt} oz` : 'No weight was read');
+  } else if (suggestedOzt && Math.abs(ozt - suggestedOzt) / suggestedOzt > OZT_TOLERANCE) {
+    flag('ozt', 'low', `Read as ${ozt} oz, but the name suggests ${suggestedOzt} oz`);
+  }
+
+  // Premium over spot on the purchase date
+  const spot = spotPrices && METALS.includes(metal) ? toNumber(spotPrices[metal]) : null;
+  const weight = ozt > 0 ? ozt : suggestedOzt;
+  if (spot > 0 && weight > 0 && unitPrice > 0) {
+    const melt = spot * weight;
+    const premiumPct = Math.round(((unitPrice - melt) / melt) * 1000) / 10;
+    const when = spotPrices.date ? ` on ${spotPrices.date}` : '';
+    if (premiumPct < MIN_PREMIUM) {
+      flag('unitPrice', 'low', `${Math.abs(premiumPct)}% below melt value${when} — check the price and weight`);
+    } else if (premiumPct > MAX_PREMIUM) {
+      flag('unitPrice', 'low', `${premiumPct}% over melt value${when} — check the price and weight`);
+    } else if (premiumPct > PREMIUM_REVIEW[metal]) {
+      flag('unitPrice', 'medium', `${premiumPct}% over melt value${when} is high for ${metal}`);
+    }
+  }
+
+  return { confidence, issues, suggestedOzt };
+}
+
+/**
+ * Validate a scanned receipt
+ *
+ * The subtotal printed on the receipt includes products the scan left out
+ * (tubes, capsules), so their total is added to the line totals before
+ * comparing. When they still don't match, every line total is marked for
+ * review (there's no telling which one was misread).
+ *
+ * @param {Object} params
+ * @param {Array} params.items Items as read
+ * @param {number|string} [params.subtotal] Subtotal printed on the receipt
+ * @param {number|string} [params.excludedTotal] Line totals of products left out
+ * @param {Object|null} [params.spotPrices] { date, source, gold, silver, platinum, palladium }
+ * @returns {{ items: Array, validation: Object }} items with confidence, issues and suggestedOzt
+ */
+function validateScanItems({ items, subtotal = null, excludedTotal = 0, spotPrices = null }) {
+  let validated = (items || []).map(item => ({ ...item, ...validateScanItem(item, spotPrices) }));
+
+  const lineTotal = round2(validated.reduce((sum, item) => {
+    const ext = toNumber(item.extPrice);
+    const qty = toNumber(item.quantity) > 0 ? toNumber(item.quantity) : 1;
+    return sum + (ext > 0 ? ext : qty * (toNumber(item.unitPrice) || 0));
+  }, 0));
+  const printedSubtotal = toNumber(subtotal);
+  const excluded = toNumber(excludedTotal) > 0 ? toNumber(excludedTotal) : 0;
+  const subtotalMatches = printedSubtotal > 0 ? moneyMatches(round2(lineTotal + excluded), printedSubtotal) : null;
+
+  const warnings = [];
+  if (subtotalMatches === false) {
+    const excludedNote = excluded > 0 ? ` (plus ${formatMoney(excluded)} of excluded products)` : '';
+    warnings.push(`Items add up to ${formatMoney(lineTotal)}${excludedNote}, but the receipt subtotal is ${formatMoney(printedSubtotal)}`);
+    validated = validated.map(item => {
+      const message = 'Line totals don\'t add up to the receipt subtotal';
+      return {
+        ...item,
+        confidence: { ...item.confidence, extPrice: item.confidence.extPrice === 'low' ? 'low' : 'medium' },
+        issues: [...item.issues, { field: 'extPrice', level: 'medium', message }],
+      };
+    });
+  }
+  if (!spotPrices) warnings.push('Spot prices for the purchase date were unavailable; premiums were not checked');
+
+  return {
+    items: validated,
+    validation: {
+      subtotal: printedSubtotal > 0 ? printedSubtotal : null,
+      lineTotal,
+      excludedTotal: excluded,
+      subtotalMatches,
+      spotDate: spotPrices?.date || null,
+      spotSource: spotPrices?.source || null,
+      reviewCount: validated.filter(item => item.issues.length > 0).length,
+      warnings,
+    },
+  };
+}
+
+module.exports = {
+  PREMIUM_REVIEW,
+  validateScanItem,
+  validateScanItems,
+};
@@ -0,0 +1,268 @@
+/**
+ * Usage Quotas Service
+ *
+ * Persistent, tier-aware usage limits for metered features (Troy voice,
+ * receipt scans, Troy chat messages). Counters live in the usage_counters
+ * table (migration 006) so they survive deploys and are shared across
+ * instances.
+ *
+ * Windows are calendar based in UTC: 'day' resets at 00:00 UTC, 'month'
+ * on the 1st of the month. (Receipt scans used to reset 30 days after the
+ * first scan of a period; they now share the calendar month window.)
+ */
+
+const { getSupabase, isSupabaseAvailable } = require('../supabaseClient');
+
+/**
+ * Per-feature, per-tier limits. null = unlimited for that window.
+ */
+const QUOTA_LIMITS = {
+  voice: {
+    free: { day: 1, month: null },
+    gold: { day: 20, month: null },
+    lifetime: { day: 20, month: null },
+  },
+  scan: {
+    free: { day: null, month: 5 },
+    gold: { day: null, month: null },
+    lifetime: { day: null, month: null },
+  },
+  troy_message: {
+    free: { day: 3, month: null },
+    gold: { day: 100, month: 2000 },
+    lifetime: { day: 100, month: 2000 },
+  },
+};
+
+const FEATURES = Object.keys(QUOTA_LIMITS);
+const TIERS = ['free', 'gold', 'lifetime'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Start dates (YYYY-MM-DD) of the current day and month windows, plus reset times
+ */
+function getWindows(now = new Date()) {
+  const day = now.toISOString().split('T')[0];
+  const month = `${day.substring(0, 7)}-01`;
+
+  const nextDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+  return {
+    day,
+    month,
+    dayResetsAt: nextDay.toISOString(),
+    monthResetsAt: nextMonth.toISOString(),
+  };
+}
+
+/**
+ * Look up the subscription tier for a subject.
+ * Non-UUID subjects (anonymous RevenueCat ids) are always 'free'.
+ */
+async function getTierForSubject(subjectId) {
+  if (!isSupabaseAvailable() || !UUID_PATTERN.test(subjectId)) {
+    return 'free';
+  }
+
+  try {
+    const { data } = await getSupabase()
+      .from('profiles')
+      .select('subscription_tier')
+      .eq('id', subjectId)
+      .single();
+
+    const tier = data?.subscription_tier;
+    return TIERS.includes(tier) ? tier : 'free';
+  } catch {
+    return 'free';
+  }
+}
+
+/**
+ * Build the public usage summary for a feature from raw counts
+ */
+function buildUsage(feature, tier, counts, windows) {
+  const limits = QUOTA_LIMITS[feature][tier] || QUOTA_LIMITS[feature].free;
+
+  const daily = {
+    used: counts.day || 0,
+    limit: limits.day,
+    startsAt: `${windows.day}T00:00:00.000Z`,
+    resetsAt: windows.dayResetsAt,
+  };
+  const monthly = {
+    used: counts.month || 0,
+    limit: limits.month,
+    startsAt: `${windows.month}T00:00:00.000Z`,
+    resetsAt: windows.monthResetsAt,
+  };
+
+  const withinDaily = daily.limit === null || daily.used < daily.limit;
+  const withinMonthly = monthly.limit === null || monthly.used < monthly.limit;
+
+  return {
+    feature,
+    tier,
+    daily,
+    monthly,
+    allowed: withinDaily && withinMonthly,
+    // Which window blocks the next use (null while allowed)
+    exceeded: !withinDaily ? 'day' : (!withinMonthly ? 'month' : null),
+  };
+}
+
+/**
+ * Read current-window counts for one or more features
+ */
+async function fetchCounts(subjectId, features, windows) {
+  const counts = {};
+  for (const feature of features) counts[feature] = { day: 0, month: 0 };
+
+  const { data, error } = await getSupabase()
+    .from('usage_counters')
+    .select('feature, period, period_start, count')
+    .eq('subject_id', subjectId)
+    .in('feature', features)
+    .in('period_start', [windows.day, windows.month]);
+
+  if (error) {
+    console.error('Error fetching usage counters:', error);
+    throw error;
+  }
+
+  for (const row of data || []) {
+    const isCurrent = (row.period === 'day' && row.period_start === windows.day) ||
+      (row.period === 'month' && row.period_start === windows.month);
+    if (isCurrent) counts[row.feature][row.period] = row.count;
+  }
+
+  return counts;
+}
+
+/**
+ * Get usage and limits for a single feature
+ *
+ * @param {string} subjectId - Supabase user id or RevenueCat app user id
+ * @param {string} feature - 'voice' | 'scan' | 'troy_message'
+ * @param {string} [tier] - Skip the profile lookup when the caller already knows the tier
+ */
+async function getUsage(subjectId, feature, tier) {
+  if (!QUOTA_LIMITS[feature]) {
+    throw new Error(`Unknown quota feature: ${feature}`);
+  }
+
+  const resolvedTier = tier || await getTierForSubject(subjectId);
+  const windows = getWindows();
+
+  if (!isSupabaseAvailable()) {
+    // Fail open — a missing database shouldn't lock users out of paid features
+    return { ...buildUsage(feature, resolvedTier, {}, windows), degraded: true };
+  }
+
+  const counts = await fetchCounts(subjectId, [feature], windows);
+  return buildUsage(feature, resolvedTier, counts[feature], windows);
+}
+
+/**
+ * Get usage and limits for every metered feature (for /api/usage)
+ */
+async function getAllUsage(subjectId) {
+  const tier = await getTierForSubject(subjectId);
+  const windows = getWindows();
+
+  let counts = {};
+  let degraded = false;
+  if (isSupabaseAvailable()) {
+    counts = await fetchCounts(subjectId, FEATURES, windows);
+  } else {
+    degraded = true;
+  }
+
+  const usage = {};
+  for (const feature of FEATURES) {
+    usage[feature] = buildUsage(feature, tier, counts[feature] || {}, windows);
+  }
+
+  return { tier, usage, degraded };
+}
+
+/**
+ * Record usage of a feature and return the updated summary
+ */
+async function incrementUsage(subjectId, feature, amount = 1, tier) {
+  if (!QUOTA_LIMITS[feature]) {
+    throw new Error(`Unknown quota feature: ${feature}`);
+  }
+
+  const resolvedTier = tier || await getTierForSubject(subjectId);
+  const windows = getWindows();
+
+  if (!isSupabaseAvailable()) {
+    return { ...buildUsage(feature, resolvedTier, {}, windows), degraded: true };
+  }
+
+  const { data, error } = await getSupabase().rpc('increment_usage', {
+    p_subject_id: subjectId,
+    p_feature: feature,
+    p_day: windows.day,
+    p_month: windows.month,
+    p_amount: amount,
+  });
+
+  if (error) {
+    console.error('Error incrementing usage:', error);
+    throw error;
+  }
+
+  const counts = {};
+  for (const row of data || []) counts[row.period] = row.count;
+
+  return buildUsage(feature, resolvedTier, counts, windows);
+}
+
+/**
+ * Record usage after the metered work has already been done (and paid for)
+ * upstream. Best effort: a failed counter update is logged, not thrown, so
+ * the user still gets the result.
+ *
+ * @returns {Promise<Object|null>} Updated summary, or null if it couldn't be recorded
+ */
+async function recordUsage(subjectId, feature, amount = 1, tier) {
+  try {
+    return await incrementUsage(subjectId, feature, amount, tier);
+  } catch (error) {
+    console.error(`Failed to record ${feature} usage for ${String(subjectId).substring(0, 8)}...:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * User-facing message for a blocked request
+ */
+function getQuotaMessage(usage, noun) {
+  const windowLimit = usage.exceeded === 'month' ? usage.monthly.limit : usage.daily.limit;
+  const windowLabel = usage.exceeded === 'month' ? 'this month' : 'today';
+  const resets = usage.exceeded === 'month' ? 'Resets next month.' : 'Resets tomorrow.';
+
+  if (usage.tier === 'free') {
+    const goldLimits = QUOTA_LIMITS[usage.feature].gold;
+    const goldLimit = usage.exceeded === 'month' ? goldLimits.month : goldLimits.day;
+    const upgrade = goldLimit === null ? 'Upgrade to Gold for unlimited.' : `Upgrade to Gold for ${goldLimit}.`;
+    return `Free users get ${windowLimit} ${noun}${windowLimit === 1 ? '' : 's'} ${windowLabel}. ${upgrade}`;
+  }
+
+  return `You've used ${windowLimit} ${noun}${windowLimit === 1 ? '' : 's'} ${windowLabel}. ${resets}`;
+}
+
+module.exports = {
+  QUOTA_LIMITS,
+  FEATURES,
+  getTierForSubject,
+  getUsage,
+  getAllUsage,
+  incrementUsage,
+  recordUsage,
+  getQuotaMessage,
+};
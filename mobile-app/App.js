@@ -24,13 +24,32 @@ import * as DocumentPicker from 'expo-document-picker';
 import * as Haptics from 'expo-haptics';
 import { Audio, InterruptionModeIOS } from 'expo-av';
 import Purchases from 'react-native-purchases';
-import * as XLSX from 'xlsx';
 import * as Notifications from 'expo-notifications';
 import * as StoreReview from 'expo-store-review';
 import { CloudStorage, CloudStorageScope } from 'react-native-cloud-storage';
 import { initializePurchases, loginRevenueCat, hasGoldEntitlement, getUserEntitlements, restorePurchases, logoutRevenueCat } from './src/utils/entitlements';
 import { syncWidgetData, isWidgetKitAvailable } from './src/utils/widgetKit';
 import { registerBackgroundFetch, getBackgroundFetchStatus } from './src/utils/backgroundTasks';
+import { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD, getMatchingLots, matchLots, applySaleToLots, reverseSaleOnLots, splitLot, buildSale, summarizeRealizedGains } from './src/utils/costBasis';
+import { CURRENCIES, DEFAULT_CURRENCY, FX_RATES_MAX_AGE_MS, getCurrencySymbol, getFxRate, formatMoney, convertToUsd, getPurchaseCurrencyFields } from './src/utils/currency';
+import { WEIGHT_UNITS, FACE_VALUE_UNIT, JUNK_SILVER_TYPES, getJunkSilverType, parsePurity, getPureOzt, describeWeight, parseWeightUnit, getWeightFields } from './src/utils/weights';
+import { VALUATION_MODES, GRADING_SERVICES, MARKET_VALUE_STALE_DAYS, getItemMeltValue, getItemMarketValue, hasCollectibleValuation, isMarketValueStale, formatGrade, summarizeValuation, getValuationFields } from './src/utils/valuation';
+import { getUsageRows } from './src/utils/usageQuotas';
+import { LOCATION_TYPES, ALL_LOCATIONS, UNASSIGNED_LOCATION, getLocationTypeLabel, findLocation, getLocationName, filterByLocation, groupByLocation, transferLot } from './src/utils/locations';
+import { enqueueOutbox, getDueEntries, processOutbox, applyOutboxResult, retryFailedEntries, summarizeOutbox, permanentOutboxError } from './src/utils/outbox';
+import { BACKUP_MIN_PASSPHRASE_LENGTH, buildBackup, serializeBackup, readBackupFile, canOpenWithoutPassphrase, openBackup, diffBackup, applyBackup } from './src/utils/backup';
+import { deriveBackupKey } from './src/utils/backupCrypto';
+import { PDF_MIN_PASSWORD_LENGTH, savePdfWithPassword, derivePdfKey, savePdfWithKey } from './src/utils/pdfEncryption';
+import { buildStackLedger } from './src/utils/stackLedger';
+import { PRODUCT_CLASSES, DEFAULT_INSURANCE_SETTINGS, normalizeInsuranceSettings, buildInsuranceLots, summarizeInsurance, buildInsuranceCSV, buildInsuranceReport } from './src/utils/insuranceReport';
+import { IMPORT_FILE_TYPES, getImportFileKind, readWorkbookSheets, readTrackerJson } from './src/utils/importFiles';
+import { EXPORT_METALS, DEFAULT_EXPORT_FILTERS, isExportDate, filterHoldingsForExport, buildHoldingsCSV, buildHoldingsJSON, readStackExportCSV, readStackExportJSON, matchImportLocations } from './src/utils/stackExport';
+import { IMPORT_FIELDS, findTemplateColumn, getColumnMapping, buildImportTemplate, matchImportTemplate, previewMappedRows } from './src/utils/importMapping';
+import { DUPLICATE_ACTIONS, findDuplicateMatches, mergeDuplicateHolding } from './src/utils/duplicates';
+import { LEGACY_FREQUENCIES, DEFAULT_LEGACY_SETTINGS, loadLegacySettings, saveLegacySettings, clearLegacySettings, isLegacyPackageDue, buildLegacyPackage, saveLegacyPackageFile, hasLegacyPackageFile, getLegacyPackageUri, deleteLegacyPackageFiles } from './src/utils/legacyPackage';
+import { AUTO_BACKUP_FREQUENCIES, AUTO_BACKUP_RETENTION_OPTIONS, DEFAULT_AUTO_BACKUP_SETTINGS, loadAutoBackupSettings, saveAutoBackupSettings, clearAutoBackupSettings, runAutoBackupIfDue, listRestorePoints, readRestorePoint } from './src/utils/autoBackup';
+import { COLLECTIBLES_MAX_RATE, getTaxYears, buildTaxLots, summarizeTaxLots, buildForm8949CSV } from './src/utils/taxReport';
+import { ATTACHMENT_KINDS, ATTACHMENT_MAX_BYTES, ATTACHMENT_FILE_TYPES, getAttachmentKindLabel, buildAttachment, getScannedReceiptKind, isImageAttachment, getLocalAttachmentUri, hasLocalAttachment, saveLocalAttachment, downloadAttachment, deleteLocalAttachment, deleteAllLocalAttachments, findUnreferencedAttachments, addAttachmentAppendix } from './src/utils/attachments';
 import PieChart from './src/components/PieChart';
 import ProgressBar from './src/components/ProgressBar';
 import FloatingInput from './src/components/FloatingInput';
@@ -70,6 +89,16 @@ function PreviewProvider({ children }) {
   }, []);
 
   const setOnOpenFull = useCallback((fn) => { onOpenFullRef.current = fn; }, []);
+
+  // Preview and inline cards render outside AppContent; it keeps this in step
+  // with the display currency (amounts are USD, like everywhere else)
+  const [displayMoney, setDisplayMoney] = useState({ currency: DEFAULT_CURRENCY, rate: 1 });
+  const formatCurrency = useCallback((value, decimals = 2) => formatMoney(value, {
+    currency: displayMoney.currency,
+    rate: displayMoney.rate,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }), [displayMoney]);
   const handleOpenFull = useCallback(() => {
     if (onOpenFullRef.current && previewContent) {
       onOpenFullRef.current(previewContent);
@@ -78,7 +107,7 @@ function PreviewProvider({ children }) {
   }, [previewContent, closePreview]);
 
   return (
-    <PreviewContext.Provider value={{ openPreview, closePreview, handleOpenFull, setOnOpenFull, previewContent, previewVisible }}>
+    <PreviewContext.Provider value={{ openPreview, closePreview, handleOpenFull, setOnOpenFull, previewContent, previewVisible, formatCurrency, setDisplayMoney }}>
       {children}
     </PreviewContext.Provider>
   );
@@ -92,6 +121,7 @@ function usePreview() {
 const PREVIEW_METAL_COLORS = { gold: '#D4A843', silver: '#C0C0C0', platinum: '#7BB3D4', palladium: '#6BBF8A' };
 
 function PreviewChart({ data, chartType }) {
+  const { formatCurrency } = usePreview();
   if (!data) return <Text style={{ color: '#52525b', padding: 24 }}>No chart data available</Text>;
 
   if (chartType === 'ratio') {
@@ -128,12 +158,12 @@ function PreviewChart({ data, chartType }) {
           <View key={m.key} style={{ backgroundColor: '#1a1a1a', borderRadius: 12, padding: 16, marginBottom: 10, flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }}>
             <View>
               <Text style={{ color: m.color, fontSize: 13, fontWeight: '600', marginBottom: 2 }}>{m.label}</Text>
-              <Text style={{ color: '#fff', fontSize: 24, fontWeight: '700' }}>${m.price?.toFixed(2)}</Text>
+              <Text style={{ color: '#fff', fontSize: 24, fontWeight: '700' }}>{formatCurrency(m.price)}</Text>
             </View>
             {pct != null && (
               <View style={{ alignItems: 'flex-end' }}>
                 <Text style={{ color: isUp ? '#22c55e' : '#ef4444', fontSize: 16, fontWeight: '700' }}>{isUp ? '+' : ''}{pct.toFixed(2)}%</Text>
-                {chg?.amount != null && <Text style={{ color: '#71717a', fontSize: 12 }}>{isUp ? '+' : ''}${chg.amount.toFixed(2)}</Text>}
+                {chg?.amount != null && <Text style={{ color: '#71717a', fontSize: 12 }}>{isUp ? '+' : ''}{formatCurrency(chg.amount)}</Text>}
               </View>
             )}
           </View>
@@ -157,6 +187,7 @@ function PreviewArticle({ article }) {
 }
 
 function PreviewPortfolio({ data }) {
+  const { formatCurrency } = usePreview();
   if (!data) return <Text style={{ color: '#52525b', padding: 24 }}>No portfolio data available</Text>;
 
   const { totalValue, totalCost, totalGain, totalGainPercent, metalTotals, holdings } = data;
@@ -168,10 +199,10 @@ function PreviewPortfolio({ data }) {
       {/* Total value */}
       <View style={{ alignItems: 'center', marginBottom: 20, paddingVertical: 16 }}>
         <Text style={{ color: '#71717a', fontSize: 13, marginBottom: 4 }}>Total Stack Value</Text>
-        <Text style={{ color: '#fff', fontSize: 36, fontWeight: '700' }}>${totalValue?.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) || '0.00'}</Text>
+        <Text style={{ color: '#fff', fontSize: 36, fontWeight: '700' }}>{formatCurrency(totalValue)}</Text>
         <View style={{ flexDirection: 'row', alignItems: 'center', gap: 6, marginTop: 4 }}>
           <Text style={{ color: isPositive ? '#22c55e' : '#ef4444', fontSize: 16, fontWeight: '700' }}>
-            {isPositive ? '+' : ''}${totalGain?.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) || '0.00'}
+            {isPositive ? '+' : ''}{formatCurrency(totalGain)}
           </Text>
           <Text style={{ color: isPositive ? '#22c55e' : '#ef4444', fontSize: 14 }}>
             ({isPositive ? '+' : ''}{parseFloat(totalGainPercent || 0)}%)
@@ -192,7 +223,7 @@ function PreviewPortfolio({ data }) {
               <Text style={{ color: '#a1a1aa', fontSize: 12 }}>{vals.oz.toFixed(2)} oz</Text>
             </View>
             <View style={{ alignItems: 'flex-end' }}>
-              <Text style={{ color: '#fff', fontSize: 16, fontWeight: '700' }}>${value.toFixed(2)}</Text>
+              <Text style={{ color: '#fff', fontSize: 16, fontWeight: '700' }}>{formatCurrency(value)}</Text>
               <Text style={{ color: gain >= 0 ? '#22c55e' : '#ef4444', fontSize: 12 }}>{gain >= 0 ? '+' : ''}{gainPct.toFixed(1)}%</Text>
             </View>
           </View>
@@ -202,7 +233,7 @@ function PreviewPortfolio({ data }) {
       {/* Cost basis line */}
       <View style={{ marginTop: 8, paddingTop: 12, borderTopWidth: 0.5, borderTopColor: 'rgba(255,255,255,0.1)', flexDirection: 'row', justifyContent: 'space-between' }}>
         <Text style={{ color: '#71717a', fontSize: 13 }}>Cost Basis</Text>
-        <Text style={{ color: '#a1a1aa', fontSize: 13, fontWeight: '600' }}>${totalCost?.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) || '0.00'}</Text>
+        <Text style={{ color: '#a1a1aa', fontSize: 13, fontWeight: '600' }}>{formatCurrency(totalCost)}</Text>
       </View>
     </View>
   );
@@ -234,6 +265,7 @@ function PreviewDealerComparison({ data }) {
 }
 
 function PreviewCostBasis({ data }) {
+  const { formatCurrency } = usePreview();
   if (!data?.holdings?.length) return <Text style={{ color: '#52525b', padding: 24 }}>No holdings data available</Text>;
 
   const { holdings, totalCost, totalValue } = data;
@@ -259,19 +291,19 @@ function PreviewCostBasis({ data }) {
             <Text style={{ color, fontSize: 15, fontWeight: '700', marginBottom: 8 }}>{metal.charAt(0).toUpperCase() + metal.slice(1)}</Text>
             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
               <Text style={{ color: '#71717a', fontSize: 13 }}>Avg Cost/oz</Text>
-              <Text style={{ color: '#d4d4d8', fontSize: 13, fontWeight: '600' }}>${avgCost.toFixed(2)}</Text>
+              <Text style={{ color: '#d4d4d8', fontSize: 13, fontWeight: '600' }}>{formatCurrency(avgCost)}</Text>
             </View>
             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
               <Text style={{ color: '#71717a', fontSize: 13 }}>Total Invested</Text>
-              <Text style={{ color: '#d4d4d8', fontSize: 13 }}>${d.totalCost.toFixed(2)}</Text>
+              <Text style={{ color: '#d4d4d8', fontSize: 13 }}>{formatCurrency(d.totalCost)}</Text>
             </View>
             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
               <Text style={{ color: '#71717a', fontSize: 13 }}>Current Value</Text>
-              <Text style={{ color: '#d4d4d8', fontSize: 13 }}>${d.totalValue.toFixed(2)}</Text>
+              <Text style={{ color: '#d4d4d8', fontSize: 13 }}>{formatCurrency(d.totalValue)}</Text>
             </View>
             <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
               <Text style={{ color: '#71717a', fontSize: 13 }}>Gain/Loss</Text>
-              <Text style={{ color: gain >= 0 ? '#22c55e' : '#ef4444', fontSize: 13, fontWeight: '600' }}>{gain >= 0 ? '+' : ''}${gain.toFixed(2)}</Text>
+              <Text style={{ color: gain >= 0 ? '#22c55e' : '#ef4444', fontSize: 13, fontWeight: '600' }}>{gain >= 0 ? '+' : ''}{formatCurrency(gain)}</Text>
             </View>
           </View>
         );
@@ -366,6 +398,7 @@ const INLINE_CARD_STYLE = {
 };
 
 function InlinePortfolioCard({ data }) {
+  const { formatCurrency } = usePreview();
   if (!data) return null;
   const { totalValue, totalGain, totalGainPercent, metalTotals } = data;
   const isPositive = totalGain >= 0;
@@ -375,10 +408,10 @@ function InlinePortfolioCard({ data }) {
     <View style={INLINE_CARD_STYLE}>
       <Text style={{ color: 'rgba(255,255,255,0.5)', fontSize: 11, marginBottom: 2 }}>Total Stack Value</Text>
       <Text style={{ color: '#DAA520', fontSize: 22, fontWeight: '700' }}>
-        ${totalValue?.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) || '0.00'}
+        {formatCurrency(totalValue)}
       </Text>
       <Text style={{ color: isPositive ? '#4ADE80' : '#EF4444', fontSize: 13, fontWeight: '600', marginBottom: 8 }}>
-        {isPositive ? '+' : ''}${totalGain?.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) || '0.00'} ({isPositive ? '+' : ''}{parseFloat(totalGainPercent || 0)}%) {isPositive ? '▲' : '▼'}
+        {isPositive ? '+' : ''}{formatCurrency(totalGain)} ({isPositive ? '+' : ''}{parseFloat(totalGainPercent || 0)}%) {isPositive ? '▲' : '▼'}
       </Text>
       {metalEntries.map(([metal, vals]) => {
         const price = data[`${metal}Price`] || 0;
@@ -390,7 +423,7 @@ function InlinePortfolioCard({ data }) {
           <View key={metal} style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingVertical: 3 }}>
             <Text style={{ color, fontSize: 12, fontWeight: '600', width: 50 }}>{metal.charAt(0).toUpperCase() + metal.slice(1)}</Text>
             <Text style={{ color: 'rgba(255,255,255,0.5)', fontSize: 12, flex: 1 }}>{vals.oz.toFixed(vals.oz >= 100 ? 0 : 2)} oz</Text>
-            <Text style={{ color: '#d4d4d8', fontSize: 12, fontWeight: '600', marginRight: 8 }}>${value >= 1000 ? (value / 1000).toFixed(0) + 'k' : value.toFixed(0)}</Text>
+            <Text style={{ color: '#d4d4d8', fontSize: 12, fontWeight: '600', marginRight: 8 }}>{value >= 1000 ? `${formatCurrency(value / 1000, 0)}k` : formatCurrency(value, 0)}</Text>
             <Text style={{ color: gain >= 0 ? '#4ADE80' : '#EF4444', fontSize: 11 }}>{gain >= 0 ? '+' : ''}{gainPct.toFixed(1)}%</Text>
           </View>
         );
@@ -400,6 +433,7 @@ function InlinePortfolioCard({ data }) {
 }
 
 function InlinePriceCard({ data }) {
+  const { formatCurrency } = usePreview();
   if (!data) return null;
   const metals = [
     { key: 'gold', label: 'Gold', price: data.goldPrice, color: PREVIEW_METAL_COLORS.gold },
@@ -416,7 +450,7 @@ function InlinePriceCard({ data }) {
           <View key={m.key} style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingVertical: i > 0 ? 4 : 0, marginTop: i > 0 ? 4 : 0, borderTopWidth: i > 0 ? 0.5 : 0, borderTopColor: 'rgba(255,255,255,0.06)' }}>
             <Text style={{ color: m.color, fontSize: 13, fontWeight: '600' }}>{m.label}</Text>
             <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
-              <Text style={{ color: '#DAA520', fontSize: 14, fontWeight: '700' }}>${m.price?.toFixed(2)}</Text>
+              <Text style={{ color: '#DAA520', fontSize: 14, fontWeight: '700' }}>{formatCurrency(m.price)}</Text>
               {pct != null && (
                 <Text style={{ color: isUp ? '#4ADE80' : '#EF4444', fontSize: 12, fontWeight: '600' }}>
                   {isUp ? '▲' : '▼'} {Math.abs(pct).toFixed(1)}%
@@ -446,6 +480,7 @@ function InlineRatioCard({ data }) {
 }
 
 function InlineCostBasisCard({ data }) {
+  const { formatCurrency } = usePreview();
   if (!data?.holdings?.length) return null;
   const { holdings, totalCost, totalValue } = data;
 
@@ -467,14 +502,14 @@ function InlineCostBasisCard({ data }) {
         return (
           <View key={metal} style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingVertical: 2 }}>
             <Text style={{ color, fontSize: 12, fontWeight: '600', width: 55 }}>{metal.charAt(0).toUpperCase() + metal.slice(1)}</Text>
-            <Text style={{ color: 'rgba(255,255,255,0.5)', fontSize: 11, flex: 1 }}>Avg ${avgCost.toFixed(0)}/oz</Text>
-            <Text style={{ color: '#DAA520', fontSize: 12 }}>→ Now ${spotPrice.toFixed(0)}</Text>
+            <Text style={{ color: 'rgba(255,255,255,0.5)', fontSize: 11, flex: 1 }}>Avg {formatCurrency(avgCost, 0)}/oz</Text>
+            <Text style={{ color: '#DAA520', fontSize: 12 }}>→ Now {formatCurrency(spotPrice, 0)}</Text>
           </View>
         );
       })}
       <View style={{ borderTopWidth: 0.5, borderTopColor: 'rgba(255,255,255,0.06)', marginTop: 6, paddingTop: 6, flexDirection: 'row', justifyContent: 'space-between' }}>
-        <Text style={{ color: 'rgba(255,255,255,0.5)', fontSize: 11 }}>Invested: ${totalCost?.toLocaleString(undefined, { maximumFractionDigits: 0 })}</Text>
-        <Text style={{ color: '#DAA520', fontSize: 11, fontWeight: '600' }}>Value: ${totalValue?.toLocaleString(undefined, { maximumFractionDigits: 0 })}</Text>
+        <Text style={{ color: 'rgba(255,255,255,0.5)', fontSize: 11 }}>Invested: {formatCurrency(totalCost, 0)}</Text>
+        <Text style={{ color: '#DAA520', fontSize: 11, fontWeight: '600' }}>Value: {formatCurrency(totalValue, 0)}</Text>
       </View>
     </View>
   );
@@ -743,13 +778,26 @@ import ResetPasswordScreen from './src/screens/ResetPasswordScreen';
 import { AppleLogo, GoogleLogo, ProfileIcon, DashboardIcon, HoldingsIcon, AnalyticsIcon, SettingsIcon, SortIcon, TodayIcon, BellIcon, TrendingUpIcon, CalculatorIcon, TrophyIcon } from './src/components/icons';
 import {
   fetchHoldings,
-  addHolding,
-  updateHolding,
-  deleteHolding as deleteHoldingFromSupabase,
-  fullSync,
   findHoldingByLocalId,
+  incrementalSync,
+  pushHolding,
+  pushHoldingDelete,
+  resolveHoldingConflict,
+  getSyncFields,
+  holdingFingerprint,
+  isHoldingDirty,
+  fetchSales,
+  addSale as addSaleToSupabase,
+  deleteSale as deleteSaleFromSupabase,
+  fetchLocations,
+  saveLocation as saveLocationToSupabase,
+  deleteLocation as deleteLocationFromSupabase,
+  uploadAttachmentFile,
+  getAttachmentUrl,
+  deleteAttachmentFiles,
 } from './src/services/supabaseHoldings';
 import { supabase } from './src/lib/supabase';
+import { authFetch, getAuthHeaders } from './src/lib/api';
 
 // Configure notifications behavior
 Notifications.setNotificationHandler({
@@ -838,6 +886,9 @@ const DEALER_TEMPLATES = {
       time: ['time'],
       dealer: ['source'],
       ozt: ['ozt'],
+      weight: ['weight'],
+      weightUnit: ['weight unit'],
+      purity: ['purity'],
       taxes: ['taxes'],
       shipping: ['shipping'],
       spotPrice: ['spot'],
@@ -847,6 +898,45 @@ const DEALER_TEMPLATES = {
     headerFingerprint: ['metal', 'product', 'source', 'ozt', 'unit price'],
     autoDealer: null,
   },
+  'trackerjson': {
+    name: 'Other Tracker (JSON)',
+    instructions: 'JSON export from another stack tracker app',
+    columnMap: {
+      // TRACKER_JSON_HEADERS (src/utils/importFiles.js)
+      product: ['product'],
+      metal: ['metal'],
+      quantity: ['quantity'],
+      unitPrice: ['unit price'],
+      date: ['date'],
+      time: ['time'],
+      dealer: ['dealer'],
+      ozt: ['ozt'],
+      weight: ['weight'],
+      weightUnit: ['weight unit'],
+      purity: ['purity'],
+      taxes: ['taxes'],
+      shipping: ['shipping'],
+      spotPrice: ['spot price'],
+      premium: ['premium'],
+    },
+    detectPattern: null, // Used directly for JSON files
+    autoDealer: null,
+  },
+  'numista': {
+    name: 'Numista Collection',
+    instructions: 'Go to My Collection → Export (CSV or Excel)',
+    columnMap: {
+      product: ['title', 'name'],
+      metal: ['composition', 'metal'],
+      quantity: ['quantity'],
+      unitPrice: ['purchase price', 'acquisition price', 'price'],
+      date: ['acquisition date', 'purchase date', 'date'],
+      dealer: ['acquisition place', 'purchased from', 'seller'],
+    },
+    detectPattern: /numista/i,
+    headerFingerprint: ['title', 'quantity', 'acquisition'],
+    autoDealer: null,
+  },
   'generic': {
     name: 'Generic / Custom',
     instructions: 'CSV should have columns: Product Name, Metal Type, OZT, Quantity, Price, Date',
@@ -858,6 +948,8 @@ const DEALER_TEMPLATES = {
       date: ['date', 'purchased', 'purchase date', 'order date'],
       dealer: ['dealer', 'source', 'vendor', 'seller'],
       ozt: ['oz', 'ozt', 'ounces', 'troy oz', 'weight'],
+      weightUnit: ['weight unit', 'unit of measure', 'uom'],
+      purity: ['purity', 'fineness'],
     },
     detectPattern: null, // Default fallback
     autoDealer: null,
@@ -1029,13 +1121,42 @@ const detectMetalFromName = (productName) => {
 };
 
 /**
- * Auto-detect troy ounces from product name
- * Returns the OZT value as a number, or null if not detected
+ * Auto-detect weight, unit and purity from product name
+ * Returns { weight, weightUnit, purity } (purity omitted when fine), or null if not detected
  */
-const detectOztFromName = (productName) => {
+const detectWeightFromName = (productName) => {
   if (!productName) return null;
   const name = productName.toLowerCase();
 
+  // Karat marking on jewelry/bars: "22k", "18 karat"
+  const karatMatch = name.match(/\b(\d{1,2})\s*(k|kt|karat)\b/);
+  const karatPurity = karatMatch ? parsePurity(`${karatMatch[1]}k`) : null;
+  const withPurity = (weight, weightUnit) => (karatPurity && karatPurity < 1
+    ? { weight, weightUnit, purity: karatPurity }
+    : { weight, weightUnit });
+
+  // Junk silver by face value: "$10 face 90%", "$5 FV 40% Kennedy halves"
+  const faceMatch = name.match(/\$\s*(\d+(?:\.\d+)?)\s*(face|fv)\b/);
+  if (faceMatch && /90%|40%|35%|junk|war nickel/.test(name)) {
+    const purity = /40%/.test(name) ? 0.4 : (/35%|war nickel/.test(name) ? 0.35 : 0.9);
+    return { weight: parseFloat(faceMatch[1]), weightUnit: FACE_VALUE_UNIT, purity };
+  }
+
+  // British sovereigns are 22k (.9167) — weight is gross
+  if (/\bhalf\s*sovereign\b/.test(name)) return { weight: 3.994, weightUnit: 'g', purity: 0.9167 };
+  if (/\bsovereign\b/.test(name)) return { weight: 7.988, weightUnit: 'g', purity: 0.9167 };
+
+  // Kilo bars: "kilo", "1 kg", "5 kilo"
+  const kiloMatch = name.match(/(\d+(?:\.\d+)?)\s*[-]?\s*(kilo|kilogram|kg)s?\b/);
+  if (kiloMatch && parseFloat(kiloMatch[1]) > 0) return withPurity(parseFloat(kiloMatch[1]), 'kg');
+  if (/\bkilo\b|\bkilogram\b/.test(name)) return withPurity(1, 'kg');
+
+  // Tola and tael bars: "10 tola", "5 tael"
+  const tolaMatch = name.match(/(\d+(?:\.\d+)?)\s*[-]?\s*tolas?\b/);
+  if (tolaMatch && parseFloat(tolaMatch[1]) > 0) return withPurity(parseFloat(tolaMatch[1]), 'tola');
+  const taelMatch = name.match(/(\d+(?:\.\d+)?)\s*[-]?\s*taels?\b/);
+  if (taelMatch && parseFloat(taelMatch[1]) > 0) return withPurity(parseFloat(taelMatch[1]), 'tael');
+
   // Common fractional gold sizes
   const fractionalPatterns = [
     { pattern: /\b1\/10\s*(oz|ounce|ozt)\b|\btenth\s*(oz|ounce)\b/i, ozt: 0.1 },
@@ -1050,58 +1171,59 @@ const detectOztFromName = (productName) => {
     { pattern: /\b1\s*(oz|ounce|ozt)\b/i, ozt: 1 },
   ];
 
-  // Kilo bars
-  if (/\bkilo\b|\b1\s*kg\b|\bkilogram\b/i.test(name)) {
-    return 32.15; // 1 kilo = 32.15 troy oz
-  }
-
   // Check fractional patterns (order matters - check specific fractions first)
+  // Ounce sizes on coins and bars are fine weight, so no purity applies
   for (const { pattern, ozt } of fractionalPatterns) {
-    if (pattern.test(name)) return ozt;
+    if (pattern.test(name)) return { weight: ozt, weightUnit: 'ozt' };
   }
 
   // Try to extract numeric oz value: "10oz", "10 oz", "10-oz"
   const ozMatch = name.match(/(\d+(?:\.\d+)?)\s*[-]?\s*(oz|ozt|ounce|troy\s*oz)/i);
   if (ozMatch) {
     const value = parseFloat(ozMatch[1]);
-    if (value > 0 && value <= 1000) return value;
+    if (value > 0 && value <= 1000) return { weight: value, weightUnit: 'ozt' };
   }
 
   // Gram bars: "1g", "5g", "10g", "50g", "100g"
   const gramMatch = name.match(/(\d+(?:\.\d+)?)\s*[-]?\s*(g|gram|grams)\b/i);
   if (gramMatch) {
     const grams = parseFloat(gramMatch[1]);
-    if (grams > 0 && grams <= 1000) {
-      return parseFloat((grams / 31.1035).toFixed(4)); // Convert grams to ozt
-    }
+    if (grams > 0 && grams <= 1000) return withPurity(grams, 'g');
   }
 
   // Common coin defaults (if metal detected but no weight)
   // American Silver Eagle, Canadian Maple, etc. are 1oz
   if (/\b(eagle|maple|britannia|philharmonic|buffalo|krugerrand|panda|libertad|kookaburra)\b/i.test(name)) {
     // If no specific weight mentioned, these are typically 1oz
-    return 1;
-  }
-
-  // Junk silver - 90% silver coins have specific silver content
-  if (/\bjunk\b.*silver|90%/i.test(name)) {
-    // $1 face value of 90% silver = 0.715 ozt
-    // Can't determine without face value, return null
-    return null;
+    return { weight: 1, weightUnit: 'ozt' };
   }
 
+  // Junk silver without a face value can't be sized
   return null;
 };
 
+/**
+ * Auto-detect pure troy ounces from product name
+ * Returns the OZT value as a number, or null if not detected
+ */
+const detectOztFromName = (productName) => {
+  const detected = detectWeightFromName(productName);
+  return detected ? getPureOzt(detected) : null;
+};
+
 /**
  * Auto-detect dealer from headers/file content
- * Returns the dealer template key or 'generic'
+ * Returns a template key (custom templates first), 'generic', or null
  */
-const detectDealerFromHeaders = (headers, fileContent = '') => {
+const detectDealerFromHeaders = (headers, fileContent = '', customTemplates = []) => {
   const headerStr = headers.join(' ').toLowerCase();
   const contentStr = (fileContent || '').toLowerCase();
   const lowerHeaders = headers.map(h => h.toLowerCase().trim());
 
+  // 0. The user's saved column mappings (src/utils/importMapping.js)
+  const customKey = matchImportTemplate(lowerHeaders, customTemplates);
+  if (customKey) return customKey;
+
   // 1. Check header fingerprints first (exact header-based detection)
   for (const [key, template] of Object.entries(DEALER_TEMPLATES)) {
     if (template.headerFingerprint) {
@@ -1426,7 +1548,7 @@ function isMarketClosedClientSide() {
 }
 
 // Swipeable alert row using react-native-gesture-handler's Swipeable
-const SwipeableAlertRow = ({ alert, colors, onDelete, onToggle, spotPrices }) => {
+const SwipeableAlertRow = ({ alert, colors, onDelete, onToggle, spotPrices, formatCurrency }) => {
   const metalAccent = { gold: '#D4A843', silver: '#C0C0C0', platinum: '#7BB3D4', palladium: '#6BBF8A' };
   const metalLabel = alert.metal.charAt(0).toUpperCase() + alert.metal.slice(1);
   const accentColor = metalAccent[alert.metal] || metalAccent.silver;
@@ -1468,10 +1590,10 @@ const SwipeableAlertRow = ({ alert, colors, onDelete, onToggle, spotPrices }) =>
               <Text style={{ color: alert.direction === 'above' ? '#4CAF50' : '#F44336', fontWeight: '700', fontSize: 15 }}>
                 {arrow} {alert.direction === 'above' ? 'Above' : 'Below'}
               </Text>
-              <Text style={{ color: '#fff', fontWeight: '700', fontSize: 15 }}>${parseFloat(alert.targetPrice).toFixed(2)}</Text>
+              <Text style={{ color: '#fff', fontWeight: '700', fontSize: 15 }}>{formatCurrency(parseFloat(alert.targetPrice))}</Text>
             </View>
             <Text style={{ color: 'rgba(255,255,255,0.45)', fontSize: 12 }}>
-              Current: ${currentSpot > 0 ? currentSpot.toFixed(2) : '—'}/oz
+              Current: {currentSpot > 0 ? formatCurrency(currentSpot) : '—'}/oz
             </Text>
           </View>
           {/* Toggle switch */}
@@ -1737,7 +1859,7 @@ const ScrubSparkline = ({ dataPoints, timestamps, svgW, svgH, strokeColor, gradi
  * ScrubChart — larger chart with y-axis labels, x-axis date labels, and long-press scrubber.
  * Replaces react-native-chart-kit LineChart for Analytics spot price charts.
  */
-const ScrubChart = ({ data, color, fillColor, width, height, range, decimalPlaces = 0, chartId = 'default', yFormat, tooltipFormat, secondaryData, secondaryColor }) => {
+const ScrubChart = ({ data, color, fillColor, width, height, range, decimalPlaces = 0, chartId = 'default', yFormat, tooltipFormat, secondaryData, secondaryColor, currencySymbol = '$' }) => {
   const [scrubIndex, setScrubIndex] = useState(null);
   const scrubIndexRef = useRef(null);
   const containerRef = useRef(null);
@@ -1846,10 +1968,10 @@ const ScrubChart = ({ data, color, fillColor, width, height, range, decimalPlace
     if (v >= 100000) {
       const kVal = v / 1000;
       const kRange = valRange / 1000;
-      if (kRange < 5) return `$${kVal.toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 })}k`;
-      return `$${kVal.toLocaleString('en-US', { maximumFractionDigits: 0 })}k`;
+      if (kRange < 5) return `${currencySymbol}${kVal.toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 })}k`;
+      return `${currencySymbol}${kVal.toLocaleString('en-US', { maximumFractionDigits: 0 })}k`;
     }
-    return `$${Math.round(v).toLocaleString('en-US')}`;
+    return `${currencySymbol}${Math.round(v).toLocaleString('en-US')}`;
   });
 
   // X-axis labels (5 evenly spaced, deduplicated)
@@ -1940,8 +2062,8 @@ const ScrubChart = ({ data, color, fillColor, width, height, range, decimalPlace
   };
 
   const formatPrice = tooltipFormat || ((v) => {
-    if (decimalPlaces > 0) return `$${v.toFixed(decimalPlaces)}`;
-    return `$${v.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+    if (decimalPlaces > 0) return `${currencySymbol}${v.toFixed(decimalPlaces)}`;
+    return `${currencySymbol}${v.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
   });
 
   return (
@@ -2045,7 +2167,7 @@ function AppContent() {
   const insets = useSafeAreaInsets();
 
   // Preview system
-  const { openPreview, setOnOpenFull } = usePreview();
+  const { openPreview, setOnOpenFull, setDisplayMoney } = usePreview();
 
   // Register "Open full" handler — navigates from preview to the relevant screen
   useEffect(() => {
@@ -2075,13 +2197,19 @@ function AppContent() {
   // Supabase Holdings Sync
   const [isSyncing, setIsSyncing] = useState(false);
   const [syncError, setSyncError] = useState(null);
-  const [hasSyncedOnce, setHasSyncedOnce] = useState(false);
+  const [outbox, setOutbox] = useState([]); // Writes not yet sent to Supabase/backend (src/utils/outbox.js)
+  const [syncConflicts, setSyncConflicts] = useState([]); // Holdings changed here and on another device
+  const [showSyncConflicts, setShowSyncConflicts] = useState(false);
+  const syncInFlightRef = useRef(false);
+  const syncedSessionUserRef = useRef(null); // User the sign-in sync already ran for
 
   // Theme
   const systemColorScheme = useColorScheme();
   const [themePreference, setThemePreference] = useState('dark'); // 'dark', 'light', 'system'
   const [largeText, setLargeText] = useState(false); // Accessibility: increase font sizes
   const [hideWidgetValues, setHideWidgetValues] = useState(false); // Widget: hide dollar amounts
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY); // Display currency (values stay USD internally)
+  const [fxRates, setFxRates] = useState(null); // Cached /v1/fx-rates response + fetchedAt
 
   // Derive actual theme from preference
   const isDarkMode = themePreference === 'system'
@@ -2135,14 +2263,28 @@ function AppContent() {
   const [goldItems, setGoldItems] = useState([]);
   const [platinumItems, setPlatinumItems] = useState([]);
   const [palladiumItems, setPalladiumItems] = useState([]);
+  const [sales, setSales] = useState([]); // Recorded sales (dispositions) — see src/utils/costBasis.js
+  const [costBasisMethod, setCostBasisMethod] = useState(DEFAULT_COST_BASIS_METHOD); // Last method used, default for the next sale
+  const [locations, setLocations] = useState([]); // Storage locations — see src/utils/locations.js
+  const [locationFilter, setLocationFilter] = useState(ALL_LOCATIONS); // Scopes Dashboard, My Stack, Analytics and the ledger
   const [dataLoaded, setDataLoaded] = useState(false); // Prevents saving until initial load completes
 
   // Modals
   const [showAddModal, setShowAddModal] = useState(false);
-  const [showLedgerPinModal, setShowLedgerPinModal] = useState(false);
-  const [ledgerPinDigits, setLedgerPinDigits] = useState(['', '', '', '']);
-  const ledgerPinRefs = useRef([null, null, null, null]);
+  const [showLedgerPasswordModal, setShowLedgerPasswordModal] = useState(false);
+  const [ledgerPassword, setLedgerPassword] = useState('');
+  const [ledgerPasswordConfirm, setLedgerPasswordConfirm] = useState('');
   const [ledgerGenerating, setLedgerGenerating] = useState(false);
+  const [ledgerIncludeAttachments, setLedgerIncludeAttachments] = useState(false); // Appendix of receipts, invoices and photos
+  const [backupPassphraseMode, setBackupPassphraseMode] = useState(null); // null, 'export', 'restore' or 'auto' (set the automatic backup passphrase)
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [backupPassphraseConfirm, setBackupPassphraseConfirm] = useState('');
+  const [backupWorking, setBackupWorking] = useState(false);
+  const [pendingBackupFile, setPendingBackupFile] = useState(null); // readBackupFile result waiting for a passphrase
+  const [restorePreview, setRestorePreview] = useState(null); // { backup, diff }
+  const [autoBackupSettings, setAutoBackupSettings] = useState(DEFAULT_AUTO_BACKUP_SETTINGS);
+  const [pendingAutoBackupFrequency, setPendingAutoBackupFrequency] = useState(null); // frequency to turn on once a passphrase is set
+  const [restorePoints, setRestorePoints] = useState([]);
   const [showPrivacyModal, setShowPrivacyModal] = useState(false);
   const [showSpeculationModal, setShowSpeculationModal] = useState(false);
   const [showJunkCalcModal, setShowJunkCalcModal] = useState(false);
@@ -2224,15 +2366,48 @@ function AppContent() {
 
   const [showImportPreview, setShowImportPreview] = useState(false);
   const [importData, setImportData] = useState([]);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [exportFilters, setExportFilters] = useState(DEFAULT_EXPORT_FILTERS);
   const [showDealerSelector, setShowDealerSelector] = useState(false);
   const [selectedDealer, setSelectedDealer] = useState(null);
   const [pendingImportFile, setPendingImportFile] = useState(null);
+  const [pendingWorkbook, setPendingWorkbook] = useState(null); // { fileName, sheets } while picking a sheet
+  const [importTemplates, setImportTemplates] = useState([]); // Saved column mappings (custom dealer templates)
+  const [showColumnMapping, setShowColumnMapping] = useState(false);
+  const [columnMapping, setColumnMapping] = useState({}); // { [field]: column index | -1 }
+  const [mappingField, setMappingField] = useState(null); // Field whose column list is open
+  const [mappingTemplateName, setMappingTemplateName] = useState('');
+  const [mappingDealerName, setMappingDealerName] = useState('');
   const [showScannedItemsPreview, setShowScannedItemsPreview] = useState(false);
   const [scannedItems, setScannedItems] = useState([]);
-  const [scannedMetadata, setScannedMetadata] = useState({ purchaseDate: '', purchaseTime: '', dealer: '' });
+  const [scannedMetadata, setScannedMetadata] = useState({ purchaseDate: '', purchaseTime: '', dealer: '', warnings: [], receipts: [] });
   const [showDetailView, setShowDetailView] = useState(false);
   const [detailItem, setDetailItem] = useState(null);
   const [detailMetal, setDetailMetal] = useState(null);
+  const [showAttachmentModal, setShowAttachmentModal] = useState(false);
+  const [attachmentKind, setAttachmentKind] = useState('receipt');
+  const [attachmentBusy, setAttachmentBusy] = useState(false);
+  const [attachmentPreview, setAttachmentPreview] = useState(null); // Image attachment being viewed ({ ...attachment, uri })
+  const [showSellModal, setShowSellModal] = useState(false);
+  const [sellForm, setSellForm] = useState({ quantity: '', pricePerUnit: '', fees: '', dateSold: '', buyer: '', method: DEFAULT_COST_BASIS_METHOD, lotQuantities: {} });
+  const [showSplitModal, setShowSplitModal] = useState(false);
+  const [splitQuantity, setSplitQuantity] = useState('');
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [transferForm, setTransferForm] = useState({ toLocationId: null, quantity: '' });
+  const [showLocationsModal, setShowLocationsModal] = useState(false);
+  const [locationForm, setLocationForm] = useState({ id: null, name: '', type: 'home_safe', coverageLimit: '' }); // id set = renaming
+  const [showTaxReportModal, setShowTaxReportModal] = useState(false);
+  const [taxReportYear, setTaxReportYear] = useState(null);
+  const [taxReportGenerating, setTaxReportGenerating] = useState(false);
+  const [showInsuranceReportModal, setShowInsuranceReportModal] = useState(false);
+  const [insuranceReportGenerating, setInsuranceReportGenerating] = useState(false);
+  const [insuranceSettings, setInsuranceSettings] = useState(DEFAULT_INSURANCE_SETTINGS); // Replacement premiums (%) by product class, default coverage limit (USD)
+  const [insuranceForm, setInsuranceForm] = useState({}); // Text of the premium / limit inputs while editing
+  const [showLegacyPackageModal, setShowLegacyPackageModal] = useState(false);
+  const [legacyGenerating, setLegacyGenerating] = useState(false);
+  const [legacySettings, setLegacySettings] = useState(DEFAULT_LEGACY_SETTINGS); // Instructions, schedule and saved PDF key (this device only)
+  const [legacyPassword, setLegacyPassword] = useState('');
+  const [legacyPasswordConfirm, setLegacyPasswordConfirm] = useState('');
   const [showSortMenu, setShowSortMenu] = useState(false);
   const [showHelpModal, setShowHelpModal] = useState(false);
   const [showDatePicker, setShowDatePicker] = useState(false);
@@ -2246,7 +2421,7 @@ function AppContent() {
   // Stack page search & grouping
   const [stackSearchQuery, setStackSearchQuery] = useState('');
   const [stackSearchVisible, setStackSearchVisible] = useState(false);
-  const [stackGroupBy, setStackGroupBy] = useState('all'); // 'all', 'metal', 'type', 'dealer'
+  const [stackGroupBy, setStackGroupBy] = useState('all'); // 'all', 'metal', 'type', 'dealer', 'location'
   const [collapsedSections, setCollapsedSections] = useState(new Set());
 
   // Daily Snapshot State - stores oz counts and spot prices at midnight
@@ -2267,6 +2442,9 @@ function AppContent() {
     loading: true
   });
 
+  // Voice, scan and Troy message quotas from /v1/usage (null until loaded)
+  const [usageQuotas, setUsageQuotas] = useState(null);
+
   // Lifetime Access (granted via RevenueCat)
   const [hasLifetimeAccess, setHasLifetimeAccess] = useState(false);
   const [revenueCatUserId, setRevenueCatUserId] = useState(null);
@@ -2391,13 +2569,19 @@ function AppContent() {
 
   // Form State
   const [form, setForm] = useState({
-    productName: '', source: '', datePurchased: '', timePurchased: '', ozt: '',
+    productName: '', source: '', datePurchased: '', timePurchased: '',
+    weight: '', weightUnit: 'ozt', purity: '', // Weight per unit as entered; pure ozt is derived on save
     quantity: '', unitPrice: '', taxes: '', shipping: '',
     spotPrice: '', premium: '0', costBasis: '',
+    purchaseCurrency: 'USD', fxRate: '', // Prices above are in purchaseCurrency; fxRate = units per 1 USD
+    valuationMode: 'melt', valuationPremium: '', marketValue: '', marketValueUpdatedAt: '', // Valuation amounts are in the display currency
+    gradingService: '', grade: '', certNumber: '',
+    locationId: null, // Storage location id (null = unassigned)
   });
   const [formErrors, setFormErrors] = useState({});
   const [spotPriceSource, setSpotPriceSource] = useState(null); // Tracks data source for spot price warnings
   const [historicalSpotSuggestion, setHistoricalSpotSuggestion] = useState(null); // Suggested historical spot price for comparison
+  const [purchaseFxInfo, setPurchaseFxInfo] = useState(null); // { date, source, approximate } for form.fxRate
 
   // Speculation State
   const [specSilverPrice, setSpecSilverPrice] = useState('100');
@@ -2524,6 +2708,17 @@ function AppContent() {
     }
   };
 
+  // Change display currency and make sure rates for it are loaded
+  const changeBaseCurrency = async (code) => {
+    setBaseCurrency(code);
+    try {
+      await AsyncStorage.setItem('stack_base_currency', code);
+    } catch (error) {
+      if (__DEV__) console.error('Failed to save base currency:', error);
+    }
+    if (code !== DEFAULT_CURRENCY) fetchFxRates(code);
+  };
+
   // Toggle large text accessibility setting
   const toggleLargeText = async (enabled) => {
     setLargeText(enabled);
@@ -2580,12 +2775,19 @@ function AppContent() {
     setSettingsSubPage(null);
     setShowAccountScreen(false);
     setShowBenefitsScreen(false);
-    setHasSyncedOnce(false);
+    setOutbox([]);
+    setSyncConflicts([]);
+    syncedSessionUserRef.current = null;
+    setAutoBackupSettings(DEFAULT_AUTO_BACKUP_SETTINGS);
+    setRestorePoints([]);
+    setLegacySettings(DEFAULT_LEGACY_SETTINGS);
+    setExportFilters(DEFAULT_EXPORT_FILTERS);
 
     // Only reset app-level preferences on full reset (clearAllData from settings)
     if (fullReset) {
       setThemePreference('dark');
       setLargeText(false);
+      setImportTemplates([]);
       setHideWidgetValues(false);
       setSpotChangeDisplayMode('percent');
       setDataLoaded(false);
@@ -2596,6 +2798,10 @@ function AppContent() {
   const clearAllData = async () => {
     try {
       await AsyncStorage.clear();
+      await clearAutoBackupSettings().catch(() => {});
+      await clearLegacySettings().catch(() => {});
+      await deleteAllLocalAttachments().catch(() => {});
+      await deleteLegacyPackageFiles().catch(() => {});
       resetAllState();
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
       Alert.alert('Data Cleared', 'All your data has been erased. The app has been reset to its initial state.');
@@ -2626,9 +2832,14 @@ function AppContent() {
         'stack_review_prompts', 'stack_first_open_date',
         'lastSnapshotDate',
         'stack_guest_mode',
+        'stack_outbox', 'stack_sync_conflicts',
       ];
-      if (userId) userKeys.push(`stack_synced_${userId}`);
+      if (userId) userKeys.push(`stack_synced_${userId}`, `stack_holdings_sync_cursor_${userId}`);
       await AsyncStorage.multiRemove(userKeys);
+      await clearAutoBackupSettings().catch(() => {}); // the key opens this user's restore points
+      await clearLegacySettings().catch(() => {}); // access instructions and the package's PDF key
+      await deleteAllLocalAttachments().catch(() => {}); // copies of files kept in Supabase Storage
+      await deleteLegacyPackageFiles().catch(() => {});
       // 4. Reset user state only (preserve theme, tutorial flags, large text, etc.)
       resetAllState(false);
       // 5. Navigate to auth screen (not guest mode)
@@ -2639,20 +2850,32 @@ function AppContent() {
     }
   };
 
-  // Helper function to format currency with commas (fixed decimals)
-  const formatCurrency = (value, decimals = 2) => {
-    return value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  // Display currency — falls back to USD until rates for the base currency are loaded
+  const displayCurrency = getFxRate(fxRates, baseCurrency) ? baseCurrency : DEFAULT_CURRENCY;
+  const fxRate = getFxRate(fxRates, displayCurrency);
+  const currencySymbol = getCurrencySymbol(displayCurrency);
+
+  // Troy's preview and inline cards (PreviewProvider) format in the same currency
+  useEffect(() => {
+    setDisplayMoney({ currency: displayCurrency, rate: fxRate || 1 });
+  }, [displayCurrency, fxRate]);
+
+  // Helper function to format currency with symbol and commas (fixed decimals)
+  // Values are USD; pass currency 'USD' for amounts that must stay in dollars (form inputs, tax reports)
+  const formatCurrency = (value, decimals = 2, currency = displayCurrency) => {
+    return formatMoney(value, { currency, rate: getFxRate(fxRates, currency) || 1, minimumFractionDigits: decimals, maximumFractionDigits: decimals });
   };
 
   // Smart currency formatting: shows decimals only if meaningful
   // "$100" not "$100.00", but "$100.50" if cents exist (always 2 decimals when not whole number)
   const formatSmartCurrency = (value, maxDecimals = 2) => {
-    const rounded = Math.round(value * Math.pow(10, maxDecimals)) / Math.pow(10, maxDecimals);
+    const converted = value * fxRate;
+    const rounded = Math.round(converted * Math.pow(10, maxDecimals)) / Math.pow(10, maxDecimals);
     if (rounded === Math.floor(rounded)) {
-      return rounded.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+      return formatMoney(rounded, { currency: displayCurrency, minimumFractionDigits: 0, maximumFractionDigits: 0 });
     }
     // If there are cents, always show 2 decimal places (e.g., "$52,868.90" not "$52,868.9")
-    return rounded.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: maxDecimals });
+    return formatMoney(rounded, { currency: displayCurrency, minimumFractionDigits: 2, maximumFractionDigits: maxDecimals });
   };
 
   // Format quantity with smart decimals and commas
@@ -2843,10 +3066,18 @@ function AppContent() {
   // CALCULATIONS
   // ============================================
 
-  const totalSilverOzt = silverItems.reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
-  const totalGoldOzt = goldItems.reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
-  const totalPlatinumOzt = platinumItems.reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
-  const totalPalladiumOzt = palladiumItems.reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
+  // The location filter scopes everything below (Dashboard, My Stack,
+  // Analytics, ledger). The widget keeps showing the whole stack.
+  const isLocationFiltered = locationFilter !== ALL_LOCATIONS && locations.length > 0;
+  const viewSilverItems = isLocationFiltered ? filterByLocation(silverItems, locationFilter, locations) : silverItems;
+  const viewGoldItems = isLocationFiltered ? filterByLocation(goldItems, locationFilter, locations) : goldItems;
+  const viewPlatinumItems = isLocationFiltered ? filterByLocation(platinumItems, locationFilter, locations) : platinumItems;
+  const viewPalladiumItems = isLocationFiltered ? filterByLocation(palladiumItems, locationFilter, locations) : palladiumItems;
+
+  const totalSilverOzt = viewSilverItems.reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
+  const totalGoldOzt = viewGoldItems.reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
+  const totalPlatinumOzt = viewPlatinumItems.reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
+  const totalPalladiumOzt = viewPalladiumItems.reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
 
   const silverMeltValue = totalSilverOzt * silverSpot;
   const goldMeltValue = totalGoldOzt * goldSpot;
@@ -2854,22 +3085,34 @@ function AppContent() {
   const palladiumMeltValue = totalPalladiumOzt * palladiumSpot;
   const totalMeltValue = silverMeltValue + goldMeltValue + platinumMeltValue + palladiumMeltValue;
 
-  const silverCostBasis = silverItems.reduce((sum, i) => sum + (i.unitPrice * i.quantity) + i.taxes + i.shipping, 0);
-  const goldCostBasis = goldItems.reduce((sum, i) => sum + (i.unitPrice * i.quantity) + i.taxes + i.shipping, 0);
-  const platinumCostBasis = platinumItems.reduce((sum, i) => sum + (i.unitPrice * i.quantity) + i.taxes + i.shipping, 0);
-  const palladiumCostBasis = palladiumItems.reduce((sum, i) => sum + (i.unitPrice * i.quantity) + i.taxes + i.shipping, 0);
+  // Estimated market value (numismatic/collectible valuation modes; equals melt otherwise)
+  const silverValuation = summarizeValuation(viewSilverItems, silverSpot);
+  const goldValuation = summarizeValuation(viewGoldItems, goldSpot);
+  const platinumValuation = summarizeValuation(viewPlatinumItems, platinumSpot);
+  const palladiumValuation = summarizeValuation(viewPalladiumItems, palladiumSpot);
+  const totalMarketValue = silverValuation.market + goldValuation.market + platinumValuation.market + palladiumValuation.market;
+  const collectibleCount = silverValuation.collectibleCount + goldValuation.collectibleCount + platinumValuation.collectibleCount + palladiumValuation.collectibleCount;
+  const staleMarketValueCount = silverValuation.staleCount + goldValuation.staleCount + platinumValuation.staleCount + palladiumValuation.staleCount;
+
+  const silverCostBasis = viewSilverItems.reduce((sum, i) => sum + getItemCostBasis(i), 0);
+  const goldCostBasis = viewGoldItems.reduce((sum, i) => sum + getItemCostBasis(i), 0);
+  const platinumCostBasis = viewPlatinumItems.reduce((sum, i) => sum + getItemCostBasis(i), 0);
+  const palladiumCostBasis = viewPalladiumItems.reduce((sum, i) => sum + getItemCostBasis(i), 0);
   const totalCostBasis = silverCostBasis + goldCostBasis + platinumCostBasis + palladiumCostBasis;
 
-  const silverPremiumsPaid = silverItems.reduce((sum, i) => sum + (i.premium * i.quantity), 0);
-  const goldPremiumsPaid = goldItems.reduce((sum, i) => sum + (i.premium * i.quantity), 0);
-  const platinumPremiumsPaid = platinumItems.reduce((sum, i) => sum + (i.premium * i.quantity), 0);
-  const palladiumPremiumsPaid = palladiumItems.reduce((sum, i) => sum + (i.premium * i.quantity), 0);
+  const silverPremiumsPaid = viewSilverItems.reduce((sum, i) => sum + (i.premium * i.quantity), 0);
+  const goldPremiumsPaid = viewGoldItems.reduce((sum, i) => sum + (i.premium * i.quantity), 0);
+  const platinumPremiumsPaid = viewPlatinumItems.reduce((sum, i) => sum + (i.premium * i.quantity), 0);
+  const palladiumPremiumsPaid = viewPalladiumItems.reduce((sum, i) => sum + (i.premium * i.quantity), 0);
   const totalPremiumsPaid = silverPremiumsPaid + goldPremiumsPaid + platinumPremiumsPaid + palladiumPremiumsPaid;
   const totalPremiumsPct = totalCostBasis > 0 ? ((totalPremiumsPaid / totalCostBasis) * 100) : 0;
 
   const totalGainLoss = totalMeltValue - totalCostBasis;
   const totalGainLossPct = totalCostBasis > 0 ? ((totalGainLoss / totalCostBasis) * 100) : 0;
 
+  // Realized gains from recorded sales (unrealized = totalGainLoss above)
+  const realizedSummary = summarizeRealizedGains(sales);
+
   const silverGainLoss = silverMeltValue - silverCostBasis;
   const silverGainLossPct = silverCostBasis > 0 ? ((silverGainLoss / silverCostBasis) * 100) : 0;
   const goldGainLoss = goldMeltValue - goldCostBasis;
@@ -2891,16 +3134,16 @@ function AppContent() {
   const todayStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
 
   // Filter to holdings that existed before today (purchased before today or no date = assume pre-existing)
-  const preTodaySilverOzt = silverItems
+  const preTodaySilverOzt = viewSilverItems
     .filter(i => !i.datePurchased || i.datePurchased < todayStr)
     .reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
-  const preTodayGoldOzt = goldItems
+  const preTodayGoldOzt = viewGoldItems
     .filter(i => !i.datePurchased || i.datePurchased < todayStr)
     .reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
-  const preTodayPlatinumOzt = platinumItems
+  const preTodayPlatinumOzt = viewPlatinumItems
     .filter(i => !i.datePurchased || i.datePurchased < todayStr)
     .reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
-  const preTodayPalladiumOzt = palladiumItems
+  const preTodayPalladiumOzt = viewPalladiumItems
     .filter(i => !i.datePurchased || i.datePurchased < todayStr)
     .reduce((sum, i) => sum + (i.ozt * i.quantity), 0);
 
@@ -2960,6 +3203,35 @@ function AppContent() {
     ? customGoldMilestone
     : (defaultGoldMilestones.find(m => totalGoldOzt < m) || 100);
 
+  // Pure troy ounces per unit from the add/edit form's weight, unit and purity
+  const getFormPureOzt = () => getPureOzt({
+    weight: parseFloat(form.weight) || 0,
+    weightUnit: form.weightUnit,
+    purity: parsePurity(form.purity),
+  });
+
+  // Add/edit form weight fields for a holding (legacy holdings are ozt, fine)
+  const getWeightFormValues = (item) => ({
+    weight: item.weightUnit ? String(item.weight ?? '') : (item.ozt ? item.ozt.toString() : ''),
+    weightUnit: item.weightUnit || 'ozt',
+    purity: item.purity && item.purity < 1 ? String(item.purity) : '',
+  });
+
+  // Add/edit form valuation and grading fields for a holding (amounts converted to the display currency)
+  const getValuationFormValues = (item) => {
+    const toDisplay = (usd) => (usd > 0 ? (Math.round(usd * fxRate * 100) / 100).toString() : '');
+    return {
+      valuationMode: item.valuationMode || 'melt',
+      valuationPremium: item.valuationMode === 'premium_fixed' ? toDisplay(item.valuationPremium)
+        : (item.valuationMode === 'premium_pct' && item.valuationPremium != null ? item.valuationPremium.toString() : ''),
+      marketValue: toDisplay(item.marketValue),
+      marketValueUpdatedAt: item.marketValueUpdatedAt || '',
+      gradingService: item.gradingService || '',
+      grade: item.grade || '',
+      certNumber: item.certNumber || '',
+    };
+  };
+
   // ============================================
   // AUTO-CALCULATE PREMIUM
   // ============================================
@@ -2967,14 +3239,16 @@ function AppContent() {
   useEffect(() => {
     const unitPrice = parseFloat(form.unitPrice) || 0;
     const spotPrice = parseFloat(form.spotPrice) || 0;
-    const ozt = parseFloat(form.ozt) || 0;
+    const ozt = getFormPureOzt();
+    // Spot is USD; unit price and premium are in the purchase currency
+    const fxRate = form.purchaseCurrency === 'USD' ? 1 : (parseFloat(form.fxRate) || 0);
 
-    if (unitPrice > 0 && spotPrice > 0 && ozt > 0) {
-      const calculatedPremium = unitPrice - (spotPrice * ozt);
+    if (unitPrice > 0 && spotPrice > 0 && ozt > 0 && fxRate > 0) {
+      const calculatedPremium = unitPrice - (spotPrice * ozt * fxRate);
       // Only auto-fill positive premiums; negative means spot data is likely wrong
       setForm(prev => ({ ...prev, premium: Math.max(0, calculatedPremium).toFixed(2) }));
     }
-  }, [form.unitPrice, form.spotPrice, form.ozt]);
+  }, [form.unitPrice, form.spotPrice, form.weight, form.weightUnit, form.purity, form.purchaseCurrency, form.fxRate]);
 
   // ============================================
   // AUTHENTICATION & DATA
@@ -3050,7 +3324,7 @@ function AppContent() {
 
   const loadData = async () => {
     try {
-      const [silver, gold, platinum, palladium, silverS, goldS, platinumS, palladiumS, timestamp, hasSeenTutorial, storedMidnightSnapshot, storedTheme, storedChangeDisplayMode, storedLargeText, storedSilverMilestone, storedGoldMilestone, storedLastSilverReached, storedLastGoldReached, storedGuestMode, storedHideWidgetValues, storedAdvisorCount] = await Promise.all([
+      const [silver, gold, platinum, palladium, silverS, goldS, platinumS, palladiumS, timestamp, hasSeenTutorial, storedMidnightSnapshot, storedTheme, storedChangeDisplayMode, storedLargeText, storedSilverMilestone, storedGoldMilestone, storedLastSilverReached, storedLastGoldReached, storedGuestMode, storedHideWidgetValues, storedAdvisorCount, storedSales, storedCostBasisMethod, storedLocations, storedLocationFilter, storedBaseCurrency, storedFxRates, storedOutbox, storedSyncConflicts, storedImportTemplates, storedInsuranceSettings] = await Promise.all([
         AsyncStorage.getItem('stack_silver'),
         AsyncStorage.getItem('stack_gold'),
         AsyncStorage.getItem('stack_platinum'),
@@ -3072,6 +3346,16 @@ function AppContent() {
         AsyncStorage.getItem('stack_guest_mode'),
         AsyncStorage.getItem('stack_hide_widget_values'),
         AsyncStorage.getItem('stack_advisor_count'),
+        AsyncStorage.getItem('stack_sales'),
+        AsyncStorage.getItem('stack_cost_basis_method'),
+        AsyncStorage.getItem('stack_locations'),
+        AsyncStorage.getItem('stack_location_filter'),
+        AsyncStorage.getItem('stack_base_currency'),
+        AsyncStorage.getItem('stack_fx_rates'),
+        AsyncStorage.getItem('stack_outbox'),
+        AsyncStorage.getItem('stack_sync_conflicts'),
+        AsyncStorage.getItem('stack_import_templates'),
+        AsyncStorage.getItem('stack_insurance_settings'),
       ]);
 
       // Safely parse JSON data with fallbacks
@@ -3087,6 +3371,32 @@ function AppContent() {
       if (palladium) {
         try { setPalladiumItems(JSON.parse(palladium)); } catch (e) { if (__DEV__) console.error('Failed to parse palladium data'); }
       }
+      if (storedSales) {
+        try { setSales(JSON.parse(storedSales)); } catch (e) { if (__DEV__) console.error('Failed to parse sales data'); }
+      }
+      if (storedCostBasisMethod && COST_BASIS_METHODS.some(m => m.key === storedCostBasisMethod)) {
+        setCostBasisMethod(storedCostBasisMethod);
+      }
+      if (storedLocations) {
+        try { setLocations(JSON.parse(storedLocations)); } catch (e) { if (__DEV__) console.error('Failed to parse locations data'); }
+      }
+      if (storedOutbox) {
+        try { setOutbox(JSON.parse(storedOutbox)); } catch (e) { if (__DEV__) console.error('Failed to parse outbox'); }
+      }
+      if (storedSyncConflicts) {
+        try { setSyncConflicts(JSON.parse(storedSyncConflicts)); } catch (e) { if (__DEV__) console.error('Failed to parse sync conflicts'); }
+      }
+      if (storedImportTemplates) {
+        try { setImportTemplates(JSON.parse(storedImportTemplates)); } catch (e) { if (__DEV__) console.error('Failed to parse import templates'); }
+      }
+      if (storedInsuranceSettings) {
+        try { setInsuranceSettings(normalizeInsuranceSettings(JSON.parse(storedInsuranceSettings))); } catch (e) { if (__DEV__) console.error('Failed to parse insurance settings'); }
+      }
+      if (storedLocationFilter) {
+        // Location ids are numbers; 'all' / 'unassigned' are strings
+        const parsedFilter = Number(storedLocationFilter);
+        setLocationFilter(isNaN(parsedFilter) ? storedLocationFilter : parsedFilter);
+      }
       if (silverS) setSilverSpot(parseFloat(silverS) || 30);
       if (goldS) setGoldSpot(parseFloat(goldS) || 2600);
       if (platinumS) setPlatinumSpot(parseFloat(platinumS) || 2100);
@@ -3137,6 +3447,14 @@ function AppContent() {
         setHideWidgetValues(true);
       }
 
+      // Load display currency and last known FX rates
+      if (storedBaseCurrency && CURRENCIES.some(c => c.code === storedBaseCurrency)) {
+        setBaseCurrency(storedBaseCurrency);
+      }
+      if (storedFxRates) {
+        try { setFxRates(JSON.parse(storedFxRates)); } catch (e) { if (__DEV__) console.error('Failed to parse FX rates'); }
+      }
+
       // Show tutorial if user hasn't seen it
       if (!hasSeenTutorial) {
         setShowTutorial(true);
@@ -3161,6 +3479,9 @@ function AppContent() {
         fetchSpotPrices().catch(err => {
           if (__DEV__ && err?.name !== 'AbortError') console.error('fetchSpotPrices failed:', err?.message);
         });
+        if (storedBaseCurrency && storedBaseCurrency !== DEFAULT_CURRENCY) {
+          fetchFxRates(storedBaseCurrency, true);
+        }
       }, 100);
     } catch (error) {
       if (__DEV__) console.error('Error loading data:', error?.message || error);
@@ -3379,17 +3700,31 @@ function AppContent() {
     }
   };
 
-  // Manual sync trigger
+  // Manual sync trigger: sends queued writes now, syncs holdings with the
+  // account, and backs up to iCloud when iCloud sync is on
   const triggerManualSync = async () => {
-    if (!iCloudAvailable) {
+    const useiCloud = iCloudSyncEnabled && hasGoldAccess;
+    if (!supabaseUser && !useiCloud) {
+      Alert.alert('Nothing to Sync', 'Sign in to sync your holdings across devices.');
+      return;
+    }
+    if (useiCloud && !iCloudAvailable) {
       Alert.alert('iCloud Unavailable', 'Please sign in to iCloud in your device settings.');
       return;
     }
 
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
-    await syncToCloud();
-    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
-    Alert.alert('Synced', 'Your holdings have been synced to iCloud.');
+    await flushOutbox(true);
+    const accountSynced = supabaseUser ? await syncHoldingsWithSupabase() : true;
+    if (useiCloud) await syncToCloud();
+
+    if (accountSynced) {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      Alert.alert('Synced', useiCloud ? 'Your holdings have been synced to your account and iCloud.' : 'Your holdings have been synced to your account.');
+    } else {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+      Alert.alert('Sync Incomplete', 'Could not reach the server. Your changes are saved on this device and will be sent when you\'re back online.');
+    }
   };
 
   // Update local timestamp when data changes
@@ -3436,97 +3771,423 @@ function AppContent() {
     if (isAuthenticated && dataLoaded && !guestMode) saveData('stack_palladium', palladiumItems);
   }, [palladiumItems, isAuthenticated, dataLoaded, guestMode]);
 
-  // Manual sync function - can be called on pull-to-refresh or button press
-  const syncHoldingsWithSupabase = async (force = false) => {
+  useEffect(() => {
+    if (isAuthenticated && dataLoaded && !guestMode) saveData('stack_sales', sales);
+  }, [sales, isAuthenticated, dataLoaded, guestMode]);
+
+  useEffect(() => {
+    if (dataLoaded) AsyncStorage.setItem('stack_cost_basis_method', costBasisMethod).catch(() => {});
+  }, [costBasisMethod, dataLoaded]);
+
+  useEffect(() => {
+    if (dataLoaded) AsyncStorage.setItem('stack_import_templates', JSON.stringify(importTemplates)).catch(() => {});
+  }, [importTemplates, dataLoaded]);
+
+  useEffect(() => {
+    if (dataLoaded) AsyncStorage.setItem('stack_insurance_settings', JSON.stringify(insuranceSettings)).catch(() => {});
+  }, [insuranceSettings, dataLoaded]);
+
+  useEffect(() => {
+    if (isAuthenticated && dataLoaded && !guestMode) saveData('stack_locations', locations);
+  }, [locations, isAuthenticated, dataLoaded, guestMode]);
+
+  useEffect(() => {
+    if (dataLoaded) AsyncStorage.setItem('stack_location_filter', String(locationFilter)).catch(() => {});
+  }, [locationFilter, dataLoaded]);
+
+  useEffect(() => {
+    if (isAuthenticated && dataLoaded && !guestMode) saveData('stack_outbox', outbox);
+  }, [outbox, isAuthenticated, dataLoaded, guestMode]);
+
+  useEffect(() => {
+    if (isAuthenticated && dataLoaded && !guestMode) saveData('stack_sync_conflicts', syncConflicts);
+  }, [syncConflicts, isAuthenticated, dataLoaded, guestMode]);
+
+  // Drop a filter pointing at a deleted location
+  useEffect(() => {
+    if (typeof locationFilter === 'number' && !findLocation(locations, locationFilter)) {
+      setLocationFilter(ALL_LOCATIONS);
+    }
+  }, [locations, locationFilter]);
+
+  // ============================================
+  // HOLDINGS SYNC (incremental, per-record versions)
+  // ============================================
+
+  const holdingSetters = { silver: setSilverItems, gold: setGoldItems, platinum: setPlatinumItems, palladium: setPalladiumItems };
+
+  // Queue conflicts for the resolution prompt (one per record)
+  const addSyncConflicts = (conflicts) => {
+    if (!conflicts || conflicts.length === 0) return;
+    setSyncConflicts(prev => [
+      ...prev.filter(c => !conflicts.some(n => n.supabaseId === c.supabaseId)),
+      ...conflicts,
+    ]);
+    setShowSyncConflicts(true);
+  };
+
+  // Record the Supabase row/version a local holding now matches
+  const markHoldingSynced = (metal, synced) => {
+    const setter = holdingSetters[metal];
+    if (!setter) return;
+    setter(prev => prev.map(i => i.id === synced.id ? { ...i, ...getSyncFields(synced) } : i));
+  };
+
+  // Latest holdings and conflicts for outbox handlers (they run after the render that queued them)
+  const holdingsRef = useRef({});
+  holdingsRef.current = { silver: silverItems, gold: goldItems, platinum: platinumItems, palladium: palladiumItems };
+  const syncConflictsRef = useRef([]);
+  syncConflictsRef.current = syncConflicts;
+  const salesRef = useRef([]);
+  salesRef.current = sales;
+
+  // Queue an added/edited holding for Supabase. The update only applies if
+  // Supabase still has the version it was edited from; if another device got
+  // there first it becomes a conflict.
+  const pushHoldingChange = (metal, item) => {
+    if (!supabaseUser) return;
+    queueOutbox('holding_upsert', { id: item.id, metal }, `holding:${item.id}`);
+  };
+
+  // Queue a local delete (replaces an unsent edit of the same holding)
+  const pushHoldingRemoval = (metal, item) => {
+    if (!supabaseUser) return;
+    queueOutbox('holding_delete', {
+      supabaseId: item.supabase_id || null, // looked up by local id when sent
+      version: item.syncVersion,
+      metal,
+      item,
+    }, `holding:${item.id}`);
+  };
+
+  // Queue a recorded (or restored) sale for Supabase
+  const pushSaleAdd = (sale) => {
+    if (!supabaseUser) return;
+    queueOutbox('sale_add', { id: sale.id }, `sale:${sale.id}`);
+  };
+
+  // Queue an undone sale's delete (replaces an unsent add of the same sale)
+  const pushSaleRemoval = (sale) => {
+    if (!supabaseUser) return;
+    queueOutbox('sale_delete', { sale }, `sale:${sale.id}`);
+  };
+
+  // ============================================
+  // OUTBOX (offline writes, see src/utils/outbox.js)
+  // ============================================
+
+  const outboxRef = useRef([]);
+  outboxRef.current = outbox;
+  const outboxFlushingRef = useRef(null); // the flush in flight
+
+  // Writes the outbox knows how to send. Throw to retry later.
+  const outboxHandlers = {
+    holding_upsert: async ({ id }) => {
+      if (!supabaseUser) throw permanentOutboxError('Signed out');
+      const metal = Object.keys(holdingsRef.current).find(m => holdingsRef.current[m].some(i => i.id === id));
+      const item = metal && holdingsRef.current[metal].find(i => i.id === id);
+      if (!item || !isHoldingDirty(item, metal)) return; // deleted since, or a sync already sent it
+      if (syncConflictsRef.current.some(c => c.supabaseId === item.supabase_id)) return; // waiting on the user
+
+      const { holding, metal: syncedMetal, conflict, error } = await pushHolding(supabaseUser.id, item, metal);
+      if (error) throw error;
+      if (conflict) addSyncConflicts([conflict]);
+      else if (holding) markHoldingSynced(syncedMetal, holding);
+    },
+    holding_delete: async (tombstone) => {
+      if (!supabaseUser) throw permanentOutboxError('Signed out');
+      let target = tombstone;
+      if (!target.supabaseId) {
+        const existing = await findHoldingByLocalId(supabaseUser.id, tombstone.item.id);
+        if (!existing) return; // never made it to Supabase
+        target = { ...tombstone, supabaseId: existing.id, version: existing.version };
+      }
+      const { conflict, error } = await pushHoldingDelete(target);
+      if (error) throw error;
+      if (conflict) addSyncConflicts([conflict]);
+    },
+    sale_add: async ({ id }) => {
+      if (!supabaseUser) throw permanentOutboxError('Signed out');
+      const sale = salesRef.current.find(s => s.id === id);
+      if (!sale) return; // undone since
+      const { data, error } = await addSaleToSupabase(supabaseUser.id, sale);
+      if (error) throw error;
+      setSales(prev => prev.map(s => s.id === id ? { ...s, supabase_id: data.id } : s));
+    },
+    sale_delete: async ({ sale }) => {
+      if (!supabaseUser) throw permanentOutboxError('Signed out');
+      const { error } = await deleteSaleFromSupabase(supabaseUser.id, sale);
+      if (error) throw error;
+    },
+    attachment_upload: async (attachment) => {
+      if (!supabaseUser) throw permanentOutboxError('Signed out');
+      if (!(await hasLocalAttachment(attachment))) return; // removed before it went up
+      const base64 = await FileSystem.readAsStringAsync(getLocalAttachmentUri(attachment), { encoding: FileSystem.EncodingType.Base64 });
+      const { error } = await uploadAttachmentFile(attachment.storagePath, base64, attachment.mimeType);
+      if (error) throw error;
+    },
+    attachment_delete: async ({ storagePath }) => {
+      if (!supabaseUser) throw permanentOutboxError('Signed out');
+      const { error } = await deleteAttachmentFiles([storagePath]);
+      if (error) throw error;
+    },
+    price_alert_create: async (body) => {
+      const response = await authFetch(`${API_BASE_URL}/v1/push/price-alerts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (response.status >= 400 && response.status < 500) throw permanentOutboxError(`Alert rejected (${response.status})`);
+      if (!response.ok) throw new Error(`Server error ${response.status}`);
+      if (__DEV__) console.log('🔔 [Push] Backend create response:', response.status);
+    },
+    notif_prefs: async (prefs) => {
+      const response = await authFetch(`${API_BASE_URL}/v1/push/notification-preferences`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(prefs),
+      });
+      if (response.status >= 400 && response.status < 500) throw permanentOutboxError(`Preferences rejected (${response.status})`);
+      if (!response.ok) throw new Error(`Server error ${response.status}`);
+    },
+  };
+
+  // Send what's due (everything pending when forced). Never runs alongside a
+  // holdings sync (both could insert the same holding); the sync flushes when
+  // it's done.
+  const flushOutbox = (force = false) => {
+    if (outboxFlushingRef.current) return outboxFlushingRef.current;
+    if (syncInFlightRef.current || getDueEntries(outboxRef.current, { force }).length === 0) return Promise.resolve();
+    outboxFlushingRef.current = (async () => {
+      try {
+        const result = await processOutbox(outboxRef.current, outboxHandlers, { force });
+        setOutbox(prev => applyOutboxResult(prev, result));
+        if (__DEV__ && result.failures.length > 0) console.log(`📤 [Outbox] ${result.done.length} sent, retrying later: ${result.failures[0].lastError}`);
+      } finally {
+        outboxFlushingRef.current = null;
+      }
+    })();
+    return outboxFlushingRef.current;
+  };
+  const flushOutboxRef = useRef(null);
+  flushOutboxRef.current = flushOutbox;
+
+  // Record a write and try it right away
+  const queueOutbox = (type, payload, key) => {
+    setOutbox(prev => enqueueOutbox(prev, type, payload, key));
+    setTimeout(() => flushOutboxRef.current?.(), 0);
+  };
+
+  const retryFailedOutbox = () => {
+    setOutbox(prev => retryFailedEntries(prev));
+    setTimeout(() => flushOutboxRef.current?.(true), 0);
+  };
+
+  const discardFailedOutbox = () => {
+    setOutbox(prev => prev.filter(e => e.status !== 'failed'));
+  };
+
+  // Retry with backoff: wake up when the next pending entry is due
+  const outboxSummary = summarizeOutbox(outbox);
+  useEffect(() => {
+    if (!dataLoaded || outboxSummary.nextAttemptAt == null) return;
+    const delay = Math.max(0, outboxSummary.nextAttemptAt - Date.now());
+    const timeout = setTimeout(() => flushOutboxRef.current?.(), delay + 100);
+    return () => clearTimeout(timeout);
+  }, [outboxSummary.nextAttemptAt, dataLoaded]);
+
+  // Apply the user's pick for a conflict
+  const resolveSyncConflict = async (conflict, keep) => {
+    if (!supabaseUser) return;
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    const { holding, metal, conflict: again, error } = await resolveHoldingConflict(supabaseUser.id, conflict, keep);
+    if (error) {
+      Alert.alert('Sync Conflict', 'Could not reach the server. Try again when you\'re back online.');
+      return;
+    }
+
+    // Replace whatever this device has for the record
+    const localId = conflict.local?.id ?? conflict.remote?.id;
+    Object.entries(holdingSetters).forEach(([m, setter]) => {
+      setter(prev => {
+        const next = prev.filter(i => i.supabase_id !== conflict.supabaseId && i.id !== localId);
+        return holding && m === metal ? [...next, holding] : next;
+      });
+    });
+    setOutbox(prev => prev.filter(e => !(e.type === 'holding_delete' && e.payload.supabaseId === conflict.supabaseId)));
+
+    const remaining = syncConflicts.filter(c => c.supabaseId !== conflict.supabaseId);
+    setSyncConflicts(again ? [...remaining, again] : remaining);
+    if (again) {
+      Alert.alert('Changed Again', 'This holding was changed on another device while you were deciding. Please review it again.');
+    } else if (remaining.length === 0) {
+      setShowSyncConflicts(false);
+    }
+  };
+
+  // Incremental sync: pulls holdings changed in Supabase since the last sync
+  // (edits and deletes from other devices), then pushes local changes with a
+  // version check. Records changed on both sides go to the Sync Conflicts
+  // prompt instead of overwriting either side.
+  // Runs on sign-in, when the app returns to the foreground and on pull-to-refresh.
+  const syncHoldingsWithSupabase = async () => {
     // Only sync if user is signed in and data is loaded
     if (!supabaseUser || !dataLoaded) {
       if (__DEV__) console.log('Sync skipped: user not signed in or data not loaded');
       return false;
     }
 
-    // Skip if already syncing
-    if (isSyncing) {
-      if (__DEV__) console.log('Sync skipped: already syncing');
-      return false;
+    // Let a flush in flight finish first (both could insert the same holding)
+    while (outboxFlushingRef.current) {
+      await outboxFlushingRef.current.catch(() => {});
     }
 
-    // Skip if already synced (unless forced)
-    if (hasSyncedOnce && !force) {
-      if (__DEV__) console.log('Sync skipped: already synced this session (use force=true to override)');
+    // Skip if already syncing
+    if (syncInFlightRef.current) {
+      if (__DEV__) console.log('Sync skipped: already syncing');
       return false;
     }
 
+    syncInFlightRef.current = true;
     setIsSyncing(true);
     setSyncError(null);
 
     try {
-      // Check if this user has ever synced before (for first-time migration)
-      const syncKey = `stack_synced_${supabaseUser.id}`;
-      const hasEverSynced = await AsyncStorage.getItem(syncKey);
-      const isFirstSync = !hasEverSynced;
+      // No cursor = first sync on this device for this user (Supabase wins if it has holdings)
+      const cursorKey = `stack_holdings_sync_cursor_${supabaseUser.id}`;
+      const cursor = await AsyncStorage.getItem(cursorKey);
 
-      if (__DEV__) console.log(`Starting Supabase holdings sync... (firstSync: ${isFirstSync})`);
+      if (__DEV__) console.log(`Starting Supabase holdings sync... (since: ${cursor || 'never'})`);
 
-      // fullSync will:
-      // - If first sync AND Supabase empty: migrate local holdings to Supabase
-      // - Otherwise: just fetch from Supabase (source of truth)
-      const { silverItems: remoteSilver, goldItems: remoteGold, platinumItems: remotePlatinum, palladiumItems: remotePalladium, syncedToCloud, error } = await fullSync(
+      const sent = { silver: silverItems, gold: goldItems, platinum: platinumItems, palladium: palladiumItems };
+      // Local deletes still in the outbox
+      const sentDeletes = outbox.filter(e => e.type === 'holding_delete' && e.payload.supabaseId);
+      const sentTombstones = sentDeletes.map(e => e.payload);
+      const result = await incrementalSync(
         supabaseUser.id,
-        silverItems,
-        goldItems,
-        isFirstSync,
-        platinumItems,
-        palladiumItems
+        sent,
+        sentTombstones,
+        cursor,
+        syncConflicts.map(c => c.supabaseId)
       );
 
-      if (error) {
-        if (__DEV__) console.error('Supabase sync error:', error);
-        setSyncError(error.message);
+      // The result only replaces holdings untouched while the sync ran. One
+      // edited meanwhile keeps the edit (pushed next); one deleted stays deleted.
+      const sentById = new Map(Object.entries(sent).flatMap(([metal, items]) => items.map(i => [i.id, { metal, item: i }])));
+      const syncedById = new Map(Object.entries(result.holdings).flatMap(([metal, items]) => items.map(i => [i.id, { metal, item: i }])));
+      const current = holdingsRef.current;
+      const isUntouched = (id) => Object.values(current).some(items => items.some(i => i.id === id && i === sentById.get(id).item));
+      Object.entries(holdingSetters).forEach(([metal, setter]) => {
+        setter(prev => {
+          const kept = prev.flatMap(i => {
+            const before = sentById.get(i.id);
+            if (!before) return [i]; // added while the sync ran
+            const synced = syncedById.get(i.id);
+            if (i === before.item) return synced && synced.metal === metal ? [synced.item] : [];
+            // Edited meanwhile: if the sync only sent what this device had,
+            // move the edit onto the new version so it isn't a conflict
+            const pushedSame = synced && synced.item.syncFingerprint === holdingFingerprint(before.item, before.metal) &&
+              i.supabase_id === before.item.supabase_id && i.syncVersion === before.item.syncVersion;
+            return [pushedSame ? { ...i, ...getSyncFields(synced.item) } : i];
+          });
+          const keptIds = new Set(kept.map(i => i.id));
+          // Pulled from Supabase, or moved here from another metal
+          const arrived = result.holdings[metal].filter(i => !keptIds.has(i.id) && (!sentById.has(i.id) || (sentById.get(i.id).metal !== metal && isUntouched(i.id))));
+          return [...arrived, ...kept];
+        });
+      });
+      const appliedDeleteIds = sentDeletes.filter(e => !result.tombstones.includes(e.payload)).map(e => e.id);
+      setOutbox(prev => prev.filter(e => !appliedDeleteIds.includes(e.id)));
+      addSyncConflicts(result.conflicts);
+
+      if (result.error) {
+        if (__DEV__) console.error('Supabase sync error:', result.error);
+        setSyncError(result.error.message);
+        // Pulled changes are applied; the cursor only moves once a sync completes
         return false;
-      } else {
-        // Mark that this user has synced at least once
-        await AsyncStorage.setItem(syncKey, 'true');
-
-        // Replace local state with Supabase data (Supabase is source of truth)
-        setSilverItems(remoteSilver);
-        setGoldItems(remoteGold);
-        setPlatinumItems(remotePlatinum);
-        setPalladiumItems(remotePalladium);
+      }
+      await AsyncStorage.setItem(cursorKey, result.cursor);
+
+      // Sales: Supabase is the source of truth, except for sales it doesn't
+      // have yet (recorded offline, restored from a backup) — those are kept
+      // and queued, and sales undone here but not yet deleted there stay gone
+      const { sales: remoteSales, error: salesError } = await fetchSales(supabaseUser.id);
+      if (!salesError) {
+        const remoteSaleIds = new Set(remoteSales.map(s => s.id));
+        const isUnsentSale = (sale) => !remoteSaleIds.has(sale.id) &&
+          (!sale.supabase_id || outboxRef.current.some(e => e.key === `sale:${sale.id}`));
+        salesRef.current
+          .filter(s => !s.supabase_id && !remoteSaleIds.has(s.id) && !outboxRef.current.some(e => e.key === `sale:${s.id}`))
+          .forEach(pushSaleAdd);
+        setSales(prev => {
+          const undone = new Set(outboxRef.current.filter(e => e.type === 'sale_delete').map(e => e.payload.sale.id));
+          return [...prev.filter(isUnsentSale), ...remoteSales.filter(s => !undone.has(s.id))];
+        });
+      }
 
-        if (__DEV__) {
-          if (__DEV__) console.log(`Supabase sync complete: ${syncedToCloud} items migrated, ${remoteSilver.length} silver, ${remoteGold.length} gold, ${remotePlatinum.length} platinum, ${remotePalladium.length} palladium from cloud`);
+      // Storage locations: Supabase is the source of truth; locations it doesn't
+      // have yet (added offline, restored from a backup or an export) are
+      // uploaded first. One that doesn't go up stays local for the next sync.
+      const { locations: remoteLocations, error: locationsError } = await fetchLocations(supabaseUser.id);
+      if (!locationsError) {
+        const remoteLocationIds = new Set(remoteLocations.map(l => l.id));
+        const unsentLocations = locations.filter(l => !l.supabase_id && !remoteLocationIds.has(l.id));
+        const uploaded = new Map();
+        for (const location of unsentLocations) {
+          const { data } = await saveLocationToSupabase(supabaseUser.id, location);
+          if (data) uploaded.set(location.id, data.id);
         }
+        setLocations(prev => [
+          ...remoteLocations,
+          ...prev
+            .filter(l => !remoteLocationIds.has(l.id) && !l.supabase_id)
+            .map(l => uploaded.has(l.id) ? { ...l, supabase_id: uploaded.get(l.id) } : l),
+        ]);
       }
 
-      setHasSyncedOnce(true);
+      if (__DEV__) console.log(`Supabase sync complete: ${result.pulled} pulled, ${result.pushed} pushed, ${result.conflicts.length} conflicts`);
       return true;
     } catch (err) {
       if (__DEV__) console.error('Supabase sync failed:', err);
       setSyncError(err.message || 'Sync failed');
       return false;
     } finally {
+      syncInFlightRef.current = false;
       setIsSyncing(false);
+      // Writes queued while the sync ran waited for it
+      flushOutboxRef.current?.();
     }
   };
 
-  // Supabase Holdings Sync - sync on app load when user is already signed in
+  // Latest sync function for listeners registered once
+  const syncHoldingsRef = useRef(null);
+  syncHoldingsRef.current = syncHoldingsWithSupabase;
+
+  // Supabase Holdings Sync - sync once the user is signed in and local data is loaded
   useEffect(() => {
-    // Only run auto-sync if:
-    // 1. User is signed in with Supabase
-    // 2. Data has been loaded from local storage
-    // 3. Haven't synced yet this session
-    if (supabaseUser && dataLoaded && !hasSyncedOnce && !isSyncing) {
+    if (supabaseUser && dataLoaded && syncedSessionUserRef.current !== supabaseUser.id) {
       if (__DEV__) console.log('Auto-sync triggered: user signed in, data loaded');
+      syncedSessionUserRef.current = supabaseUser.id;
       syncHoldingsWithSupabase().finally(() => {
         setNeedsPostSignInSync(false);
       });
     }
-  }, [supabaseUser, dataLoaded, hasSyncedOnce, isSyncing]);
+  }, [supabaseUser, dataLoaded]);
+
+  // Pick up changes made on other devices and retry queued writes when the
+  // app returns to the foreground (often the moment connectivity is back)
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState !== 'active') return;
+      flushOutboxRef.current?.(true).finally(() => syncHoldingsRef.current?.());
+    });
+    return () => subscription.remove();
+  }, []);
 
   // Reset sync flag when user signs out
   useEffect(() => {
     if (!supabaseUser) {
-      setHasSyncedOnce(false);
+      syncedSessionUserRef.current = null;
     }
   }, [supabaseUser]);
 
@@ -3651,7 +4312,7 @@ function AppContent() {
           await AsyncStorage.setItem('device_id', deviceId);
         }
 
-        const response = await fetch(`${API_BASE_URL}/v1/push/register`, {
+        const response = await authFetch(`${API_BASE_URL}/v1/push/register`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -3700,7 +4361,7 @@ function AppContent() {
   const fetchNotifPrefs = async () => {
     if (!supabaseUser?.id) return;
     try {
-      const response = await fetch(`${API_BASE_URL}/v1/push/notification-preferences?userId=${supabaseUser.id}`);
+      const response = await authFetch(`${API_BASE_URL}/v1/push/notification-preferences?userId=${supabaseUser.id}`);
       if (response.ok) {
         const data = await response.json();
         setNotifPrefs({
@@ -3719,15 +4380,8 @@ function AppContent() {
     const updated = { ...notifPrefs, [key]: value };
     setNotifPrefs(updated);
     if (!supabaseUser?.id) return;
-    try {
-      await fetch(`${API_BASE_URL}/v1/push/notification-preferences`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ userId: supabaseUser.id, ...updated }),
-      });
-    } catch (err) {
-      if (__DEV__) console.log('🔔 [NotifPrefs] Save error:', err.message);
-    }
+    // Latest preferences win; sent (and retried) through the outbox
+    queueOutbox('notif_prefs', { userId: supabaseUser.id, ...updated }, 'notif_prefs');
   };
 
   // Fetch notification preferences after authentication
@@ -4015,6 +4669,13 @@ function AppContent() {
     }
   }, [revenueCatUserId, hasGold, hasLifetimeAccess]);
 
+  // Fetch usage quotas for the Usage section and the paywall, and refresh
+  // them whenever either is shown
+  useEffect(() => {
+    if (!revenueCatUserId) return;
+    if (currentScreen === 'Settings' || showPaywallModal) fetchUsage();
+  }, [revenueCatUserId, hasGold, hasLifetimeAccess, supabaseUser?.id, currentScreen, showPaywallModal]);
+
   // Load price alerts from local storage
   useEffect(() => {
     if (hasGold || hasLifetimeAccess) {
@@ -4037,7 +4698,7 @@ function AppContent() {
 
       // Only update if we have actual portfolio data (items loaded)
       // If totalMeltValue is 0 with no items, that's valid - but if items exist, value should be > 0
-      const hasItems = silverItems.length > 0 || goldItems.length > 0 || platinumItems.length > 0 || palladiumItems.length > 0;
+      const hasItems = viewSilverItems.length > 0 || viewGoldItems.length > 0 || viewPlatinumItems.length > 0 || viewPalladiumItems.length > 0;
       if (hasItems && totalMeltValue === 0) {
         // Items exist but value is 0 - something is wrong, skip
         if (__DEV__) console.log('📸 Snapshot skipped: items exist but value is 0');
@@ -4165,6 +4826,8 @@ function AppContent() {
     } else {
       // User can add more items
       resetForm();
+      // New holdings go to the location being viewed
+      if (typeof locationFilter === 'number') setForm(prev => ({ ...prev, locationId: locationFilter }));
       // Ensure a valid metal is selected (not 'both') when adding new items
       if (metalTab === 'both' || metalTab === 'all') {
         setMetalTab('silver'); // Default to silver when adding from "All" view
@@ -4187,7 +4850,7 @@ function AppContent() {
   // Troy — persistent conversation API helpers
   const troyAPI = {
     async createConversation() {
-      const res = await fetch(`${API_BASE_URL}/v1/troy/conversations`, {
+      const res = await authFetch(`${API_BASE_URL}/v1/troy/conversations`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ userId: supabaseUser?.id || null })
@@ -4195,21 +4858,21 @@ function AppContent() {
       return res.json();
     },
     async listConversations() {
-      const res = await fetch(`${API_BASE_URL}/v1/troy/conversations?userId=${supabaseUser?.id || null}`);
+      const res = await authFetch(`${API_BASE_URL}/v1/troy/conversations?userId=${supabaseUser?.id || null}`);
       return res.json();
     },
     async getConversation(conversationId) {
-      const res = await fetch(`${API_BASE_URL}/v1/troy/conversations/${conversationId}?userId=${supabaseUser?.id || null}`);
+      const res = await authFetch(`${API_BASE_URL}/v1/troy/conversations/${conversationId}?userId=${supabaseUser?.id || null}`);
       return res.json();
     },
     async deleteConversation(conversationId) {
-      const res = await fetch(`${API_BASE_URL}/v1/troy/conversations/${conversationId}?userId=${supabaseUser?.id || null}`, {
+      const res = await authFetch(`${API_BASE_URL}/v1/troy/conversations/${conversationId}?userId=${supabaseUser?.id || null}`, {
         method: 'DELETE'
       });
       return res.json();
     },
     async sendMessage(conversationId, message, signal) {
-      const res = await fetch(`${API_BASE_URL}/v1/troy/conversations/${conversationId}/messages`, {
+      const res = await authFetch(`${API_BASE_URL}/v1/troy/conversations/${conversationId}/messages`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ userId: supabaseUser?.id || null, message }),
@@ -4308,7 +4971,7 @@ function AppContent() {
       const body = supabaseUser?.id
         ? { userId: supabaseUser.id }
         : { deviceId: await getDeviceId() };
-      const res = await fetch(`${API_BASE_URL}/v1/articles/${articleId}/view`, {
+      const res = await authFetch(`${API_BASE_URL}/v1/articles/${articleId}/view`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(body),
@@ -4333,7 +4996,7 @@ function AppContent() {
       return { ...prev, [articleId]: { liked: !cur.liked, count: cur.count + (cur.liked ? -1 : 1) } };
     });
     try {
-      const res = await fetch(`${API_BASE_URL}/v1/articles/${articleId}/like`, {
+      const res = await authFetch(`${API_BASE_URL}/v1/articles/${articleId}/like`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ userId: supabaseUser.id }),
@@ -4353,7 +5016,7 @@ function AppContent() {
 
   const fetchArticleLikeStatus = async (articleId) => {
     try {
-      const res = await fetch(`${API_BASE_URL}/v1/articles/${articleId}/likes?userId=${supabaseUser?.id || ''}`);
+      const res = await authFetch(`${API_BASE_URL}/v1/articles/${articleId}/likes?userId=${supabaseUser?.id || ''}`);
       const data = await res.json();
       if (data.like_count !== undefined) {
         setLikedArticles(prev => ({ ...prev, [articleId]: { liked: !!data.user_liked, count: data.like_count } }));
@@ -4637,7 +5300,7 @@ function AppContent() {
       formData.append('userId', supabaseUser?.id || 'anonymous');
       console.log('[Voice] STOP: Sending to transcribe');
 
-      const response = await fetch(`${API_BASE_URL}/v1/troy/transcribe`, {
+      const response = await authFetch(`${API_BASE_URL}/v1/troy/transcribe`, {
         method: 'POST',
         body: formData,
       });
@@ -4716,8 +5379,10 @@ function AppContent() {
       setPlayingMessageId(messageId);
       setIsPaused(false);
 
+      const authHeaders = await getAuthHeaders();
+
       const { sound } = await Audio.Sound.createAsync(
-        { uri: speakUrl },
+        { uri: speakUrl, headers: authHeaders },
         { shouldPlay: true, progressUpdateIntervalMillis: 500 }
       );
       currentSoundRef.current = sound;
@@ -4821,7 +5486,12 @@ function AppContent() {
       if (response.error && !response.message?.content) {
         console.log('[Troy] API returned error:', response.error);
         setTroyMessages(prev => prev.filter(m => m.id !== tempUserMsg.id));
-        Alert.alert('Troy', response.error || "Couldn't respond. Try again.");
+        // Server-side message cap (429) — free users go to the paywall
+        if (response.error === 'Message limit reached' && !isPaidUser) {
+          setShowPaywallModal(true);
+        } else {
+          Alert.alert('Troy', response.message || response.error || "Couldn't respond. Try again.");
+        }
         setTroyLoading(false);
         troyAbortRef.current = null;
         return;
@@ -4903,7 +5573,7 @@ function AppContent() {
 
     try {
       if (__DEV__) console.log(`📊 Fetching scan status for user: ${revenueCatUserId.substring(0, 8)}...`);
-      const response = await fetch(`${API_BASE_URL}/v1/scan-status?rcUserId=${encodeURIComponent(revenueCatUserId)}`);
+      const response = await authFetch(`${API_BASE_URL}/v1/scan-status?rcUserId=${encodeURIComponent(revenueCatUserId)}`);
       const data = await response.json();
 
       if (data.success) {
@@ -4925,6 +5595,24 @@ function AppContent() {
     }
   };
 
+  // Quotas for every metered feature (gold has voice and Troy limits too)
+  const fetchUsage = async () => {
+    if (!revenueCatUserId) return;
+
+    try {
+      const response = await authFetch(`${API_BASE_URL}/v1/usage?rcUserId=${encodeURIComponent(revenueCatUserId)}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setUsageQuotas(data.usage);
+      } else {
+        if (__DEV__) console.log('⚠️ Failed to fetch usage:', data.error);
+      }
+    } catch (error) {
+      if (__DEV__) console.log('❌ Error fetching usage:', error.message);
+    }
+  };
+
   const incrementScanCount = async () => {
     if (!revenueCatUserId) {
       if (__DEV__) console.log('⚠️ No RevenueCat user ID, cannot increment scan count');
@@ -4933,7 +5621,7 @@ function AppContent() {
 
     try {
       if (__DEV__) console.log(`📊 Incrementing scan count for user: ${revenueCatUserId.substring(0, 8)}...`);
-      const response = await fetch(`${API_BASE_URL}/v1/increment-scan`, {
+      const response = await authFetch(`${API_BASE_URL}/v1/increment-scan`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ rcUserId: revenueCatUserId })
@@ -5033,7 +5721,7 @@ function AppContent() {
       const deviceId = await getDeviceId();
       const userId = supabaseUser?.id || null;
       const params = userId ? `user_id=${userId}&device_id=${deviceId}` : `device_id=${deviceId}`;
-      const response = await fetch(`${API_BASE_URL}/v1/push/price-alerts?${params}`);
+      const response = await authFetch(`${API_BASE_URL}/v1/push/price-alerts?${params}`);
       const result = await response.json();
 
       if (result.success && result.alerts) {
@@ -5057,7 +5745,7 @@ function AppContent() {
 
         for (const alert of localOnly) {
           try {
-            const res = await fetch(`${API_BASE_URL}/v1/push/price-alerts`, {
+            const res = await authFetch(`${API_BASE_URL}/v1/push/price-alerts`, {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
               body: JSON.stringify({
@@ -5099,26 +5787,16 @@ function AppContent() {
     const alertId = generateUUID();
     const deviceId = await getDeviceId();
 
-    // Save to backend first
-    try {
-      const response = await fetch(`${API_BASE_URL}/v1/push/price-alerts`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          id: alertId,
-          userId: supabaseUser?.id || null,
-          device_id: deviceId,
-          metal: newAlert.metal,
-          targetPrice: targetPrice,
-          direction: newAlert.direction,
-          enabled: true,
-        }),
-      });
-      const result = await response.json();
-      if (__DEV__) console.log('🔔 [Push] Backend create response:', JSON.stringify(result));
-    } catch (error) {
-      if (__DEV__) console.error('❌ [Push] Failed to create alert on backend:', error);
-    }
+    // Send to backend through the outbox (retried if offline)
+    queueOutbox('price_alert_create', {
+      id: alertId,
+      userId: supabaseUser?.id || null,
+      device_id: deviceId,
+      metal: newAlert.metal,
+      targetPrice: targetPrice,
+      direction: newAlert.direction,
+      enabled: true,
+    }, `price_alert:${alertId}`);
 
     // Also save locally
     const alert = {
@@ -5150,7 +5828,8 @@ function AppContent() {
     setPriceAlerts(updated);
     await savePriceAlerts(updated);
     try {
-      await fetch(`${API_BASE_URL}/v1/push/price-alerts/${alertId}`, {
+      const deviceId = await getDeviceId();
+      await authFetch(`${API_BASE_URL}/v1/push/price-alerts/${alertId}?device_id=${encodeURIComponent(deviceId)}`, {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ enabled }),
@@ -5177,7 +5856,8 @@ function AppContent() {
 
             // Delete from backend
             try {
-              const response = await fetch(`${API_BASE_URL}/v1/push/price-alerts/${alertId}`, {
+              const deviceId = await getDeviceId();
+              const response = await authFetch(`${API_BASE_URL}/v1/push/price-alerts/${alertId}?device_id=${encodeURIComponent(deviceId)}`, {
                 method: 'DELETE',
               });
               const result = await response.json();
@@ -5200,7 +5880,8 @@ function AppContent() {
     setPriceAlerts(updated);
     await savePriceAlerts(updated);
     try {
-      await fetch(`${API_BASE_URL}/v1/push/price-alerts/${alertId}`, { method: 'DELETE' });
+      const deviceId = await getDeviceId();
+      await authFetch(`${API_BASE_URL}/v1/push/price-alerts/${alertId}?device_id=${encodeURIComponent(deviceId)}`, { method: 'DELETE' });
     } catch (e) { /* silent */ }
   };
 
@@ -5219,7 +5900,7 @@ function AppContent() {
             const params = new URLSearchParams();
             if (supabaseUser?.id) params.append('user_id', supabaseUser.id);
             if (deviceId) params.append('device_id', deviceId);
-            await fetch(`${API_BASE_URL}/v1/push/price-alerts?${params.toString()}`, { method: 'DELETE' });
+            await authFetch(`${API_BASE_URL}/v1/push/price-alerts?${params.toString()}`, { method: 'DELETE' });
           } catch (e) { /* silent */ }
           Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
         },
@@ -5257,6 +5938,12 @@ function AppContent() {
       return;
     }
 
+    // Totals are scoped to one location; the widget keeps the whole-stack values
+    if (isLocationFiltered) {
+      if (__DEV__) console.log('📱 [syncWidget] Skipping - location filter active');
+      return;
+    }
+
     try {
       // Calculate daily change (only for holdings owned before today)
       let dailyChangeAmt = 0;
@@ -5271,37 +5958,43 @@ function AppContent() {
         }
       }
 
+      // Money values go to the widget in the display currency; fxRate lets the
+      // widget convert the USD prices it fetches on its own refreshes
+      const fx = (v) => (v || 0) * fxRate;
       const widgetPayload = {
-        portfolioValue: totalMeltValue,
-        dailyChangeAmount: dailyChangeAmt,
+        portfolioValue: fx(totalMarketValue),
+        collectiblePremium: fx(totalMarketValue - totalMeltValue),
+        dailyChangeAmount: fx(dailyChangeAmt),
         dailyChangePercent: dailyChangePct,
-        goldSpot: goldSpot,
-        silverSpot: silverSpot,
-        goldChangeAmount: spotChange?.gold?.amount || 0,
+        goldSpot: fx(goldSpot),
+        silverSpot: fx(silverSpot),
+        goldChangeAmount: fx(spotChange?.gold?.amount),
         goldChangePercent: spotChange?.gold?.percent || 0,
-        silverChangeAmount: spotChange?.silver?.amount || 0,
+        silverChangeAmount: fx(spotChange?.silver?.amount),
         silverChangePercent: spotChange?.silver?.percent || 0,
-        goldValue: totalGoldOzt * goldSpot,
-        silverValue: totalSilverOzt * silverSpot,
-        platinumValue: totalPlatinumOzt * platinumSpot,
-        palladiumValue: totalPalladiumOzt * palladiumSpot,
+        goldValue: fx(totalGoldOzt * goldSpot),
+        silverValue: fx(totalSilverOzt * silverSpot),
+        platinumValue: fx(totalPlatinumOzt * platinumSpot),
+        palladiumValue: fx(totalPalladiumOzt * palladiumSpot),
         goldOzt: totalGoldOzt,
         silverOzt: totalSilverOzt,
         platinumOzt: totalPlatinumOzt,
         palladiumOzt: totalPalladiumOzt,
-        platinumSpot: platinumSpot,
-        palladiumSpot: palladiumSpot,
-        platinumChangeAmount: spotChange?.platinum?.amount || 0,
+        platinumSpot: fx(platinumSpot),
+        palladiumSpot: fx(palladiumSpot),
+        platinumChangeAmount: fx(spotChange?.platinum?.amount),
         platinumChangePercent: spotChange?.platinum?.percent || 0,
-        palladiumChangeAmount: spotChange?.palladium?.amount || 0,
+        palladiumChangeAmount: fx(spotChange?.palladium?.amount),
         palladiumChangePercent: spotChange?.palladium?.percent || 0,
         hasSubscription: hasGold || hasLifetimeAccess,
         hideValues: hideWidgetValues,
-        goldSparkline: sparklineData?.gold || [],
-        silverSparkline: sparklineData?.silver || [],
-        platinumSparkline: sparklineData?.platinum || [],
-        palladiumSparkline: sparklineData?.palladium || [],
+        goldSparkline: (sparklineData?.gold || []).map(fx),
+        silverSparkline: (sparklineData?.silver || []).map(fx),
+        platinumSparkline: (sparklineData?.platinum || []).map(fx),
+        palladiumSparkline: (sparklineData?.palladium || []).map(fx),
         marketsClosed: marketsClosed,
+        currencyCode: displayCurrency,
+        fxRate: fxRate,
       };
 
       if (__DEV__) console.log('📱 [syncWidget] Sending payload:', widgetPayload);
@@ -5319,7 +6012,7 @@ function AppContent() {
     if (dataLoaded && spotPricesLive && (hasGold || hasLifetimeAccess)) {
       syncWidget();
     }
-  }, [totalMeltValue, totalGoldOzt, totalSilverOzt, totalPlatinumOzt, totalPalladiumOzt, silverSpot, goldSpot, platinumSpot, palladiumSpot, spotChange, dataLoaded, spotPricesLive, hasGold, hasLifetimeAccess, hideWidgetValues, sparklineData]);
+  }, [totalMeltValue, totalMarketValue, isLocationFiltered, totalGoldOzt, totalSilverOzt, totalPlatinumOzt, totalPalladiumOzt, silverSpot, goldSpot, platinumSpot, palladiumSpot, spotChange, dataLoaded, spotPricesLive, hasGold, hasLifetimeAccess, hideWidgetValues, sparklineData, displayCurrency, fxRate]);
 
   // Sync widget when app comes to foreground
   useEffect(() => {
@@ -5363,7 +6056,7 @@ function AppContent() {
       const palladiumValue = totalPalladiumOzt * palladiumSpot;
       const totalValue = goldValue + silverValue + platinumValue + palladiumValue;
 
-      const response = await fetch(`${API_BASE_URL}/v1/snapshots`, {
+      const response = await authFetch(`${API_BASE_URL}/v1/snapshots`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -5824,7 +6517,7 @@ function AppContent() {
           const timeoutId = setTimeout(() => controller.abort(), 10000);
 
           // Always fetch ALL data - we filter client-side
-          const response = await fetch(
+          const response = await authFetch(
             `${API_BASE_URL}/v1/snapshots/${encodeURIComponent(supabaseUser.id)}?range=ALL`,
             { signal: controller.signal }
           );
@@ -6007,26 +6700,53 @@ function AppContent() {
   // CLOUD BACKUP
   // ============================================
 
-  const createBackup = async () => {
+  // Everything a backup covers, in backup.data shape (see src/utils/backup.js)
+  const getBackupState = () => ({
+    silverItems, goldItems, platinumItems, palladiumItems, sales, locations, priceAlerts, importTemplates,
+    milestones: { silver: customSilverMilestone, gold: customGoldMilestone },
+    notifPrefs,
+    settings: { themePreference, largeText, spotChangeDisplayMode, baseCurrency, hideWidgetValues, locationFilter, costBasisMethod },
+  });
+
+  const closeBackupPassphrase = () => {
+    setBackupPassphraseMode(null);
+    setBackupPassphrase('');
+    setBackupPassphraseConfirm('');
+    setPendingBackupFile(null);
+    setPendingAutoBackupFrequency(null);
+  };
+
+  // Key derivation takes a few seconds; let the spinner render first
+  const runBackupWork = async (work) => {
+    setBackupWorking(true);
+    await new Promise(resolve => setTimeout(resolve, 50));
     try {
-      const backup = {
-        version: '1.1',
-        timestamp: new Date().toISOString(),
-        data: { silverItems, goldItems, platinumItems, palladiumItems }
-      };
+      return await work();
+    } finally {
+      setBackupWorking(false);
+    }
+  };
+
+  // Backups are always encrypted — ask for a passphrase first
+  const createBackup = () => {
+    setBackupPassphraseMode('export');
+  };
 
-      const json = JSON.stringify(backup, null, 2);
+  const exportEncryptedBackup = async (passphrase) => {
+    try {
+      const json = await runBackupWork(() => serializeBackup(buildBackup(getBackupState()), passphrase));
       const filename = `stack-tracker-backup-${new Date().toISOString().split('T')[0]}.json`;
       const filepath = `${FileSystem.documentDirectory}${filename}`;
 
       await FileSystem.writeAsStringAsync(filepath, json);
+      closeBackupPassphrase();
       await Sharing.shareAsync(filepath, {
         mimeType: 'application/json',
         dialogTitle: 'Save Backup to Cloud',
         UTI: 'public.json'
       });
 
-      Alert.alert('Backup Created', 'Save to iCloud Drive, Google Drive, or your preferred storage.');
+      Alert.alert('Backup Created', 'Save to iCloud Drive, Google Drive, or your preferred storage. You\'ll need the passphrase to restore it — it can\'t be recovered.');
     } catch (error) {
       Alert.alert('Error', 'Failed to create backup: ' + error.message);
     }
@@ -6049,43 +6769,217 @@ function AppContent() {
 
       const file = result.assets[0];
       const content = await FileSystem.readAsStringAsync(file.uri);
-      const backup = JSON.parse(content);
+      const parsed = readBackupFile(content);
 
-      if (!backup.data || !backup.version) {
-        Alert.alert('Invalid Backup', 'This file is not a valid Stack Tracker backup.');
+      if (parsed.encrypted) {
+        setPendingBackupFile(parsed);
+        setBackupPassphraseMode('restore');
         return;
       }
+      previewBackup(parsed);
+    } catch (error) {
+      Alert.alert('Invalid Backup', error.message);
+    }
+  };
 
-      Alert.alert(
-        'Restore Backup',
-        `Replace current data with backup from ${backup.timestamp}?`,
-        [
-          { text: 'Cancel', style: 'cancel' },
-          {
-            text: 'Restore',
-            onPress: async () => {
-              if (backup.data.silverItems) setSilverItems(backup.data.silverItems);
-              if (backup.data.goldItems) setGoldItems(backup.data.goldItems);
-              if (backup.data.platinumItems) setPlatinumItems(backup.data.platinumItems);
-              if (backup.data.palladiumItems) setPalladiumItems(backup.data.palladiumItems);
-              Alert.alert('Success', 'Backup restored!');
-            }
-          }
-        ]
-      );
+  // Decrypt + migrate, then show what restoring would change
+  const previewBackup = async (parsed, passphrase) => {
+    try {
+      const backup = await runBackupWork(() => openBackup(parsed, passphrase, autoBackupSettings.backupKey));
+      closeBackupPassphrase();
+      setRestorePreview({ backup, diff: diffBackup(getBackupState(), backup) });
     } catch (error) {
-      Alert.alert('Error', 'Failed to restore: ' + error.message);
+      if (error.code === 'bad_passphrase') {
+        Alert.alert('Wrong Passphrase', error.message);
+        return;
+      }
+      closeBackupPassphrase();
+      Alert.alert('Invalid Backup', error.message);
     }
   };
 
-  // ============================================
-  // IN-APP REVIEW PROMPT
-  // ============================================
+  const applyRestore = async (mode) => {
+    const { backup } = restorePreview;
+    const { state, holdingChanges, holdingRemovals } = applyBackup(getBackupState(), backup, mode);
+    setRestorePreview(null);
+
+    setSilverItems(state.silverItems);
+    setGoldItems(state.goldItems);
+    setPlatinumItems(state.platinumItems);
+    setPalladiumItems(state.palladiumItems);
+    setSales(state.sales);
+    setLocations(state.locations);
+    setImportTemplates(state.importTemplates);
+    holdingChanges.forEach(({ metal, item }) => pushHoldingChange(metal, item));
+    holdingRemovals.forEach(({ metal, item }) => pushHoldingRemoval(metal, item));
+    if (state.sales !== sales) {
+      const restoredSaleIds = new Set(state.sales.map(s => s.id));
+      state.sales.filter(s => !sales.some(m => m.id === s.id)).forEach(pushSaleAdd);
+      sales.filter(s => !restoredSaleIds.has(s.id)).forEach(pushSaleRemoval);
+    }
 
-  /**
-   * Check if we should show the review prompt
-   * Conditions:
-   * - Max 3 prompts per year
+    try {
+      if (state.priceAlerts !== priceAlerts) {
+        setPriceAlerts(state.priceAlerts);
+        await savePriceAlerts(state.priceAlerts);
+        syncAlertsFromBackend(); // sends restored alerts the server doesn't have
+      }
+
+      const { silver, gold } = state.milestones;
+      setCustomSilverMilestone(silver);
+      setCustomGoldMilestone(gold);
+      await (silver ? AsyncStorage.setItem('stack_silver_milestone', silver.toString()) : AsyncStorage.removeItem('stack_silver_milestone'));
+      await (gold ? AsyncStorage.setItem('stack_gold_milestone', gold.toString()) : AsyncStorage.removeItem('stack_gold_milestone'));
+
+      if (state.notifPrefs !== notifPrefs) {
+        setNotifPrefs(state.notifPrefs);
+        if (supabaseUser?.id) queueOutbox('notif_prefs', { userId: supabaseUser.id, ...state.notifPrefs }, 'notif_prefs');
+      }
+
+      const settings = state.settings;
+      if (settings.themePreference !== themePreference) changeTheme(settings.themePreference);
+      if (settings.largeText !== largeText) toggleLargeText(settings.largeText);
+      if (settings.baseCurrency !== baseCurrency) changeBaseCurrency(settings.baseCurrency);
+      if (settings.spotChangeDisplayMode !== spotChangeDisplayMode) {
+        setSpotChangeDisplayMode(settings.spotChangeDisplayMode);
+        await AsyncStorage.setItem('stack_spot_change_display_mode', settings.spotChangeDisplayMode);
+      }
+      if (settings.hideWidgetValues !== hideWidgetValues) {
+        setHideWidgetValues(settings.hideWidgetValues);
+        await AsyncStorage.setItem('stack_hide_widget_values', settings.hideWidgetValues ? 'true' : 'false');
+      }
+      // A filter on a location the restored list doesn't have would hide everything
+      setLocationFilter(typeof settings.locationFilter === 'number' && !findLocation(state.locations, settings.locationFilter) ? ALL_LOCATIONS : settings.locationFilter);
+      setCostBasisMethod(settings.costBasisMethod);
+    } catch (error) {
+      if (__DEV__) console.error('Failed to restore settings:', error);
+    }
+
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    Alert.alert('Success', mode === 'merge' ? 'Backup merged!' : 'Backup restored!');
+  };
+
+  // ============================================
+  // AUTOMATIC BACKUPS (see src/utils/autoBackup.js)
+  // ============================================
+
+  const refreshRestorePoints = async () => {
+    setRestorePoints(await listRestorePoints({ icloud: iCloudAvailable }));
+  };
+
+  // Re-read before writing — the background task updates lastBackupAt
+  const updateAutoBackupSettings = async (changes) => {
+    const next = { ...(await loadAutoBackupSettings()), ...changes };
+    setAutoBackupSettings(next);
+    await saveAutoBackupSettings(next);
+    return next;
+  };
+
+  const runAutoBackup = async (force = false) => {
+    const point = await runAutoBackupIfDue({ force, icloudAvailable: iCloudAvailable });
+    setAutoBackupSettings(await loadAutoBackupSettings());
+    if (point) refreshRestorePoints();
+    return point;
+  };
+  const runAutoBackupRef = useRef(null);
+  runAutoBackupRef.current = runAutoBackup;
+
+  // Turning automatic backups on the first time asks for a passphrase
+  const changeAutoBackupFrequency = async (frequency) => {
+    if (frequency !== 'off' && !autoBackupSettings.backupKey) {
+      setPendingAutoBackupFrequency(frequency);
+      setBackupPassphraseMode('auto');
+      return;
+    }
+    await updateAutoBackupSettings({ frequency });
+    if (frequency !== 'off') runAutoBackup();
+  };
+
+  const setAutoBackupPassphrase = async (passphrase) => {
+    try {
+      const backupKey = await runBackupWork(() => deriveBackupKey(passphrase));
+      const frequency = pendingAutoBackupFrequency || autoBackupSettings.frequency;
+      closeBackupPassphrase();
+      await updateAutoBackupSettings({ frequency, backupKey });
+      const point = await runAutoBackup(true);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      Alert.alert(
+        'Automatic Backups On',
+        point
+          ? `First restore point saved${point.icloud ? ' on this device and in iCloud Drive' : ' on this device'}. Keep your passphrase somewhere safe — it's needed to restore these backups on another device.`
+          : 'Backups are on, but the first one couldn\'t be saved. It will be retried automatically.'
+      );
+    } catch (error) {
+      Alert.alert('Error', 'Failed to set up automatic backups: ' + error.message);
+    }
+  };
+
+  const pickAutoBackupFrequency = () => {
+    Alert.alert('Automatic Backups', 'How often should a restore point be saved?', [
+      ...AUTO_BACKUP_FREQUENCIES.map(f => ({ text: f.label, onPress: () => changeAutoBackupFrequency(f.key) })),
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const pickAutoBackupRetention = () => {
+    Alert.alert('Keep Restore Points', 'Older restore points are deleted when a new one is saved.', [
+      ...AUTO_BACKUP_RETENTION_OPTIONS.map(n => ({ text: `Last ${n}`, onPress: () => updateAutoBackupSettings({ retention: n }) })),
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const backUpNow = async () => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    const point = await runAutoBackup(true);
+    if (point) {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } else {
+      Alert.alert('Backup Failed', (await loadAutoBackupSettings()).lastError || 'Could not save a restore point.');
+    }
+  };
+
+  // Restore points made with the saved key open without the passphrase
+  const restoreFromPoint = async (point) => {
+    try {
+      const parsed = readBackupFile(await readRestorePoint(point));
+      if (canOpenWithoutPassphrase(parsed, autoBackupSettings.backupKey)) {
+        previewBackup(parsed);
+        return;
+      }
+      setPendingBackupFile(parsed);
+      setBackupPassphraseMode('restore');
+    } catch (error) {
+      Alert.alert('Invalid Backup', error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadAutoBackupSettings().then(setAutoBackupSettings);
+  }, []);
+
+  // Save a restore point when one is due — after loading and whenever the
+  // app returns to the foreground (the background task covers the rest)
+  useEffect(() => {
+    if (!isAuthenticated || !dataLoaded || guestMode) return;
+    runAutoBackupRef.current?.();
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') runAutoBackupRef.current?.();
+    });
+    return () => subscription.remove();
+  }, [isAuthenticated, dataLoaded, guestMode]);
+
+  useEffect(() => {
+    if (settingsSubPage === 'exportBackup') refreshRestorePoints();
+  }, [settingsSubPage, iCloudAvailable]);
+
+  // ============================================
+  // IN-APP REVIEW PROMPT
+  // ============================================
+
+  /**
+   * Check if we should show the review prompt
+   * Conditions:
+   * - Max 3 prompts per year
    * - At least 30 days between prompts
    * - Triggered after 10th holding OR 7 days of use
    */
@@ -6272,17 +7166,37 @@ function AppContent() {
     }
   };
 
+  // Fetch USD-based FX rates (only needed when displaying a non-USD currency)
+  const fetchFxRates = async (currency = baseCurrency, force = false) => {
+    if (currency === DEFAULT_CURRENCY) return;
+    if (!force && fxRates?.fetchedAt && Date.now() - fxRates.fetchedAt < FX_RATES_MAX_AGE_MS && getFxRate(fxRates, currency)) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/v1/fx-rates`);
+      const data = await response.json();
+      if (!data.success || !data.rates) throw new Error(data.error || 'No rates returned');
+
+      const next = { rates: data.rates, date: data.date, source: data.source, fetchedAt: Date.now() };
+      setFxRates(next);
+      await AsyncStorage.setItem('stack_fx_rates', JSON.stringify(next));
+      if (__DEV__) console.log(`💱 FX rates updated (${data.source}, ${data.date})`);
+    } catch (error) {
+      // Keep showing the last cached rates (or USD if there are none)
+      if (__DEV__) console.error('❌ Error fetching FX rates:', error.message);
+    }
+  };
+
   // Pull-to-refresh handler for dashboard
   const onRefreshDashboard = async () => {
     setIsRefreshing(true);
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
 
     // Fetch spot prices and sync holdings in parallel
-    const promises = [fetchSpotPrices()];
+    const promises = [fetchSpotPrices(), fetchFxRates(baseCurrency, true)];
 
     // Also sync holdings if user is signed in
     if (supabaseUser) {
-      promises.push(syncHoldingsWithSupabase(true)); // force=true to re-sync
+      promises.push(syncHoldingsWithSupabase());
     }
 
     await Promise.all(promises);
@@ -6316,7 +7230,7 @@ function AppContent() {
       const todayEST = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
       const url = `${API_BASE_URL}/v1/daily-brief?userId=${supabaseUser.id}&date=${todayEST}`;
       if (__DEV__) console.log(`📰 [Brief] Fetching: ${url}`);
-      const response = await fetch(url);
+      const response = await authFetch(url);
       if (__DEV__) console.log(`📰 [Brief] HTTP ${response.status}`);
       const data = await response.json();
       if (__DEV__) console.log(`📰 [Brief] Response:`, JSON.stringify(data).slice(0, 200));
@@ -6337,7 +7251,7 @@ function AppContent() {
     if (!supabaseUser) return;
     try {
       setPortfolioIntelLoading(true);
-      const response = await fetch(`${API_BASE_URL}/v1/portfolio-intelligence?userId=${supabaseUser.id}`);
+      const response = await authFetch(`${API_BASE_URL}/v1/portfolio-intelligence?userId=${supabaseUser.id}`);
       const data = await response.json();
       if (__DEV__) console.log('🧠 [Portfolio Intel] Response:', JSON.stringify(data).slice(0, 300));
 
@@ -6570,7 +7484,7 @@ function AppContent() {
     setTroyLoading(true);
     try {
       const todayEST = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
-      const res = await fetch(`${API_BASE_URL}/v1/daily-brief?userId=${supabaseUser.id}&date=${todayEST}`);
+      const res = await authFetch(`${API_BASE_URL}/v1/daily-brief?userId=${supabaseUser.id}&date=${todayEST}`);
       const data = await res.json();
 
       if (data.brief && data.brief.brief_text) {
@@ -6697,11 +7611,58 @@ function AppContent() {
     };
   };
 
+  /**
+   * Fetch the USD → currency rate on a purchase date
+   *
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} currency - Purchase currency code
+   * @returns {Object|null} { rate, date, source, approximate } or null if unavailable
+   */
+  const fetchHistoricalFx = async (date, currency) => {
+    if (!date || date.length < 10 || !currency || currency === 'USD') return null;
+    try {
+      const response = await fetch(`${API_BASE_URL}/v1/historical-fx?date=${date}&currency=${currency}`);
+      const data = await response.json();
+      if (data.success && data.rate > 0) {
+        return { rate: data.rate, date: data.date, source: data.source, approximate: !!data.approximate };
+      }
+    } catch (error) {
+      if (__DEV__) console.log('❌ Could not fetch historical FX:', error.message);
+    }
+    return null;
+  };
+
+  // Look up the purchase-date rate for the form's currency (today's rate if no date yet)
+  const refreshPurchaseFxRate = async (date, currency) => {
+    setPurchaseFxInfo(null);
+    if (currency === 'USD') {
+      setForm(prev => ({ ...prev, fxRate: '' }));
+      return;
+    }
+    const lookupDate = date && date.length === 10 ? date : new Date().toISOString().split('T')[0];
+    const result = await fetchHistoricalFx(lookupDate, currency);
+    if (result) {
+      setForm(prev => (prev.purchaseCurrency === currency ? { ...prev, fxRate: result.rate.toString() } : prev));
+      setPurchaseFxInfo({ date: result.date, source: result.source, approximate: result.approximate || lookupDate !== date });
+    }
+  };
+
+  const handlePurchaseCurrencyChange = (currency) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    setForm(prev => ({ ...prev, purchaseCurrency: currency, fxRate: '' }));
+    setFormErrors(e => ({ ...e, fxRate: false }));
+    refreshPurchaseFxRate(form.datePurchased, currency);
+  };
+
   const handleDateChange = async (date) => {
     setForm(prev => ({ ...prev, datePurchased: date }));
     setSpotPriceSource(null);
     setHistoricalSpotSuggestion(null);
 
+    if (form.purchaseCurrency !== 'USD') {
+      refreshPurchaseFxRate(date, form.purchaseCurrency);
+    }
+
     if (date.length === 10) {
       const result = await fetchHistoricalSpot(date, metalTab, form.timePurchased || null);
       if (result.price) {
@@ -6799,6 +7760,7 @@ function AppContent() {
         body: JSON.stringify({
           image: fullBase64,
           mimeType: mimeType,
+          fileName: asset.name || asset.fileName || undefined, // lets the server tell .eml / .html / .pdf apart
           originalSize: fileInfo.size
         }),
         headers: { 'Content-Type': 'application/json' },
@@ -6843,6 +7805,12 @@ function AppContent() {
         return;
       }
       result = await ImagePicker.launchCameraAsync({ mediaTypes: ['images'], quality: 0.7 });
+    } else if (source === 'document') {
+      // PDF invoices and order confirmation emails (.eml / .html) - read on the server
+      result = await DocumentPicker.getDocumentAsync({
+        type: ['application/pdf', 'message/rfc822', 'text/html'],
+        copyToCacheDirectory: true,
+      });
     } else {
       const permissionResult = await ImagePicker.requestMediaLibraryPermissionsAsync();
       if (!permissionResult.granted) {
@@ -6861,13 +7829,13 @@ function AppContent() {
     if (result.canceled) return;
 
     if (!result.assets || result.assets.length === 0) {
-      Alert.alert('Error', 'No image selected');
+      Alert.alert('Error', source === 'document' ? 'No file selected' : 'No image selected');
       return;
     }
 
     const totalImages = result.assets.length;
     setScanStatus('scanning');
-    setScanMessage(`Analyzing ${totalImages} image${totalImages > 1 ? 's' : ''}...`);
+    setScanMessage(source === 'document' ? `Reading ${result.assets[0].name || 'receipt'}...` : `Analyzing ${totalImages} image${totalImages > 1 ? 's' : ''}...`);
 
     try {
       // Process all images and combine results
@@ -6876,10 +7844,11 @@ function AppContent() {
       let purchaseDate = '';
       let purchaseTime = '';
       let successCount = 0;
+      let scanWarnings = [];
 
       for (let i = 0; i < result.assets.length; i++) {
         const asset = result.assets[i];
-        setScanMessage(`Analyzing image ${i + 1} of ${totalImages}...`);
+        if (source !== 'document') setScanMessage(`Analyzing image ${i + 1} of ${totalImages}...`);
 
         try {
           const data = await processImage(asset, i, totalImages);
@@ -6890,6 +7859,8 @@ function AppContent() {
             if (!dealer && data.dealer) dealer = data.dealer;
             if (!purchaseDate && data.purchaseDate) purchaseDate = parseDate(data.purchaseDate);
             if (!purchaseTime && data.purchaseTime) purchaseTime = data.purchaseTime;
+            // Receipt-level checks from the server (subtotal mismatch, no spot for the date)
+            if (data.validation?.warnings) scanWarnings = [...scanWarnings, ...data.validation.warnings];
             successCount++;
             console.log(`✅ Image ${i + 1}: Found ${data.items.length} items`);
           } else {
@@ -7024,12 +7995,23 @@ function AppContent() {
             spotPrice: parseFloat(spotPrice) || 0,
             premium: parseFloat(premium) || 0,
             priceWarning: priceWarning,
+            // Per-field confidence from the server's validation (fields below 'high' are highlighted)
+            confidence: item.confidence || null,
+            issues: item.issues || [],
+            suggestedOzt: item.suggestedOzt || null,
           });
         }
 
         // Store scanned items and metadata
         setScannedItems(processedItems);
-        setScannedMetadata({ purchaseDate, purchaseTime, dealer });
+        // Keep the receipt files to attach to the holdings they add
+        const receipts = result.assets.map(asset => ({
+          uri: asset.uri,
+          name: asset.name || asset.fileName,
+          mimeType: asset.mimeType || (source === 'document' ? 'application/pdf' : 'image/jpeg'),
+          size: asset.size || asset.fileSize,
+        }));
+        setScannedMetadata({ purchaseDate, purchaseTime, dealer, warnings: [...new Set(scanWarnings)], receipts });
 
         // Show success message with haptic feedback
         Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
@@ -7065,7 +8047,7 @@ function AppContent() {
 
     try {
       const result = await DocumentPicker.getDocumentAsync({
-        type: ['text/csv', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        type: IMPORT_FILE_TYPES,
         copyToCacheDirectory: true,
       });
 
@@ -7081,6 +8063,33 @@ function AppContent() {
       const file = result.assets[0];
       if (__DEV__) console.log('📊 Spreadsheet selected:', file.name);
 
+      // Other trackers' JSON exports become rows for the 'trackerjson' template
+      if (getImportFileKind(file.name, file.mimeType) === 'json') {
+        const text = await FileSystem.readAsStringAsync(file.uri);
+        const stackExport = readStackExportJSON(text);
+        if (stackExport) {
+          await importStackExport(stackExport);
+          return;
+        }
+        const { rows, adapter } = readTrackerJson(text);
+        if (__DEV__) console.log(`🗂️ Tracker JSON layout: ${adapter}`);
+        if (rows.length < 2) {
+          Alert.alert('No Data Found', "No holdings found in this file. This didn't count against your scan limit.");
+          return;
+        }
+        await processSpreadsheetWithDealer(rows, rows[0], 'trackerjson');
+        return;
+      }
+
+      // Our own CSV exports are restored exactly (SheetJS would reformat them)
+      if (/\.csv$/i.test(file.name || '')) {
+        const stackExport = readStackExportCSV(await FileSystem.readAsStringAsync(file.uri));
+        if (stackExport) {
+          await importStackExport(stackExport);
+          return;
+        }
+      }
+
       // Read file content
       const fileContent = await FileSystem.readAsStringAsync(file.uri, {
         encoding: FileSystem.EncodingType.Base64,
@@ -7093,53 +8102,91 @@ function AppContent() {
         bytes[i] = binaryString.charCodeAt(i);
       }
 
-      // Parse with XLSX - use raw:true to prevent date conversion to serial numbers
-      const workbook = XLSX.read(bytes, { type: 'array', cellDates: true, raw: false });
-      const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-      const rows = XLSX.utils.sheet_to_json(firstSheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd' });
+      // CSV, .xlsx or .xls - every sheet with data, starting at its header row
+      const sheets = readWorkbookSheets(bytes);
 
-      if (rows.length < 2) {
+      if (sheets.length === 0) {
         Alert.alert('Invalid Spreadsheet', "Spreadsheet must have at least a header row and one data row. This didn't count against your scan limit.");
         return;
       }
 
-      // Get headers for detection
-      const headers = rows[0].map(h => String(h || '').toLowerCase().trim());
+      if (sheets.length > 1) {
+        // Workbook with several sheets (e.g. orders + summary) - let the user pick
+        setPendingWorkbook({ fileName: file.name, sheets });
+        return;
+      }
+
+      await importSheetRows(sheets[0].rows, file.name);
 
-      // Try to auto-detect format from headers and filename
-      const detectedDealer = detectDealerFromHeaders(headers, file.name);
+    } catch (error) {
+      if (__DEV__) console.error('❌ Import error:', error);
+      Alert.alert('Import Failed', `Could not import spreadsheet. This didn't count against your scan limit.\n\n${error.message}`);
+    }
+  };
 
-      if (detectedDealer) {
-        // Auto-detected format - process immediately
-        if (__DEV__) console.log(`🏪 Auto-detected format: ${DEALER_TEMPLATES[detectedDealer].name}`);
-        await processSpreadsheetWithDealer(rows, headers, detectedDealer);
-      } else {
-        // Unrecognized format - show dealer selector
-        setPendingImportFile({ rows, headers, fileName: file.name });
-        setShowDealerSelector(true);
-      }
+  // A TroyStack CSV/JSON export (src/utils/stackExport.js): rows keep every
+  // field and are restored as they were in confirmImport
+  const importStackExport = async ({ holdings, locations: exportLocations, skipped }) => {
+    if (holdings.length === 0) {
+      Alert.alert('No Data Found', "No holdings found in this export. This didn't count against your scan limit.");
+      return;
+    }
+    await incrementScanCount();
+    setImportData(holdings.map(({ metal, item }) => ({
+      ...item,
+      metal,
+      restored: true,
+      importLocation: exportLocations.find(l => l.id === item.locationId) || null,
+    })));
+    setShowImportPreview(true);
+    if (__DEV__) console.log(`📊 Parsed ${holdings.length} items from a TroyStack export${skipped > 0 ? ` (${skipped} skipped)` : ''}`);
+  };
+
+  // Detect the format of one sheet and continue to the preview (or ask)
+  const importSheetRows = async (rows, fileName) => {
+    // Get headers for detection
+    const headers = rows[0].map(h => String(h || '').toLowerCase().trim());
+
+    // Try to auto-detect format from headers and filename
+    const detectedDealer = detectDealerFromHeaders(headers, fileName, importTemplates);
+
+    if (detectedDealer === 'generic') {
+      // Columns were only guessed - let the user check the mapping first
+      openColumnMapping({ rows, headers, fileName }, 'generic');
+    } else if (detectedDealer) {
+      // Auto-detected format - process immediately
+      if (__DEV__) console.log(`🏪 Auto-detected format: ${getImportTemplate(detectedDealer).name}`);
+      await processSpreadsheetWithDealer(rows, headers, detectedDealer);
+    } else {
+      // Unrecognized format - show dealer selector
+      setPendingImportFile({ rows, headers, fileName });
+      setShowDealerSelector(true);
+    }
+  };
 
+  const selectWorkbookSheet = async (sheet) => {
+    const fileName = pendingWorkbook?.fileName || '';
+    setPendingWorkbook(null);
+    try {
+      await importSheetRows(sheet.rows, fileName);
     } catch (error) {
       if (__DEV__) console.error('❌ Import error:', error);
       Alert.alert('Import Failed', `Could not import spreadsheet. This didn't count against your scan limit.\n\n${error.message}`);
     }
   };
 
+  // Built-in dealer template or one of the user's saved column mappings
+  const getImportTemplate = (key) => DEALER_TEMPLATES[key] || importTemplates.find(t => t.key === key) || DEALER_TEMPLATES['generic'];
+
   // Process spreadsheet with selected dealer template
-  const processSpreadsheetWithDealer = async (rows, headers, dealerKey) => {
+  // (customTemplate: an unsaved mapping from the column-mapping step)
+  const processSpreadsheetWithDealer = async (rows, headers, dealerKey, customTemplate = null) => {
     try {
-      const template = DEALER_TEMPLATES[dealerKey];
+      const template = customTemplate || getImportTemplate(dealerKey);
       if (__DEV__) console.log(`📊 Processing with template: ${template.name}`);
 
-      // Build column finder for this template
-      const findColumn = (possibleNames) => {
-        if (!possibleNames) return -1;
-        for (const name of possibleNames) {
-          const index = headers.findIndex(h => h.includes(name.toLowerCase()));
-          if (index !== -1) return index;
-        }
-        return -1;
-      };
+      // Build column finder for this template (saved mappings match whole headers)
+      const findColumn = (possibleNames) => findTemplateColumn(headers, possibleNames, !!template.custom);
 
       // Map columns based on template
       const colMap = {
@@ -7151,6 +8198,9 @@ function AppContent() {
         time: findColumn(template.columnMap.time || []),
         dealer: findColumn(template.columnMap.dealer || []),
         ozt: findColumn(template.columnMap.ozt || []),
+        weight: findColumn(template.columnMap.weight || []),
+        weightUnit: findColumn(template.columnMap.weightUnit || []),
+        purity: findColumn(template.columnMap.purity || []),
         taxes: findColumn(template.columnMap.taxes || []),
         shipping: findColumn(template.columnMap.shipping || []),
         spotPrice: findColumn(template.columnMap.spotPrice || []),
@@ -7158,7 +8208,7 @@ function AppContent() {
       };
 
       // For dealer-specific templates, also check generic column names as fallback
-      if (dealerKey !== 'generic' && dealerKey !== 'stacktracker') {
+      if (!template.custom && dealerKey !== 'generic' && dealerKey !== 'stacktracker') {
         const genericTemplate = DEALER_TEMPLATES['generic'];
         if (colMap.productName === -1) colMap.productName = findColumn(genericTemplate.columnMap.product);
         if (colMap.metal === -1) colMap.metal = findColumn(genericTemplate.columnMap.metal);
@@ -7209,14 +8259,23 @@ function AppContent() {
           continue;
         }
 
-        // Get OZT from column or auto-detect from product name
-        let ozt = colMap.ozt !== -1 ? parseFloat(row[colMap.ozt]) : null;
-        if (!ozt || ozt <= 0) {
-          ozt = detectOztFromName(productName);
-        }
-        if (!ozt || ozt <= 0) {
-          ozt = 1; // Default to 1 oz if can't detect
+        // Get weight from columns or auto-detect from product name, then pure OZT
+        const weightUnitCol = colMap.weightUnit !== -1 ? parseWeightUnit(row[colMap.weightUnit]) : null;
+        const purityCol = colMap.purity !== -1 ? parsePurity(row[colMap.purity]) : null;
+        const weightCol = colMap.weight !== -1 ? parseFloat(row[colMap.weight]) : NaN;
+        const oztCol = colMap.ozt !== -1 ? parseFloat(row[colMap.ozt]) : NaN;
+        let weightInfo = null;
+        if (weightCol > 0 && weightUnitCol) {
+          weightInfo = { weight: weightCol, weightUnit: weightUnitCol };
+        } else if (oztCol > 0) {
+          // The OZT/weight column is in the row's unit when one is given
+          weightInfo = { weight: oztCol, weightUnit: weightUnitCol || 'ozt' };
         }
+        const weightFromColumns = !!weightInfo;
+        if (!weightInfo) weightInfo = detectWeightFromName(productName);
+        if (!weightInfo) weightInfo = { weight: 1, weightUnit: 'ozt' }; // Default to 1 oz if can't detect
+        if (purityCol) weightInfo = { ...weightInfo, purity: purityCol };
+        const ozt = getPureOzt(weightInfo);
 
         // Get dealer from column or use template's auto-dealer
         let source = '';
@@ -7249,13 +8308,14 @@ function AppContent() {
           timePurchased,
           source,
           ozt,
+          ...getWeightFields(weightInfo),
           taxes,
           shipping,
           spotPrice,
           premium,
           autoDetected: {
             metal: colMap.metal === -1 || !row[colMap.metal],
-            ozt: colMap.ozt === -1 || !row[colMap.ozt] || parseFloat(row[colMap.ozt]) <= 0,
+            ozt: !weightFromColumns,
           },
         });
       }
@@ -7288,10 +8348,12 @@ function AppContent() {
       // Only increment scan count on successful parsing
       await incrementScanCount();
 
-      // Clear pending file and dealer selector
+      // Clear pending file, dealer selector and column mapping
       setPendingImportFile(null);
       setShowDealerSelector(false);
       setSelectedDealer(null);
+      setShowColumnMapping(false);
+      setMappingField(null);
 
       // Show preview
       setImportData(uniqueParsedData);
@@ -7314,33 +8376,136 @@ function AppContent() {
     await processSpreadsheetWithDealer(pendingImportFile.rows, pendingImportFile.headers, dealerKey);
   };
 
+  // Column-mapping step, pre-filled from a template's column names
+  const openColumnMapping = (file, baseKey = 'generic') => {
+    const base = getImportTemplate(baseKey);
+    setPendingImportFile(file);
+    setColumnMapping(getColumnMapping(file.headers, base));
+    setMappingField(null);
+    setMappingTemplateName('');
+    setMappingDealerName(base.autoDealer || '');
+    setShowDealerSelector(false);
+    setShowColumnMapping(true);
+  };
+
+  const closeColumnMapping = () => {
+    setShowColumnMapping(false);
+    setMappingField(null);
+    setPendingImportFile(null);
+  };
+
+  // Import with the mapping; saved as a template when it was given a name
+  const confirmColumnMapping = async () => {
+    if (!pendingImportFile) return;
+    if (!(columnMapping.product >= 0)) {
+      Alert.alert('Product Column Needed', 'Pick the column that holds the product name.');
+      return;
+    }
+    const name = mappingTemplateName.trim();
+    const template = buildImportTemplate({
+      name: name || 'Custom Mapping',
+      dealer: mappingDealerName,
+      headers: pendingImportFile.headers,
+      mapping: columnMapping,
+    });
+    if (name) setImportTemplates(prev => [...prev.filter(t => t.name !== name), template]);
+    await processSpreadsheetWithDealer(pendingImportFile.rows, pendingImportFile.headers, template.key, template);
+  };
+
+  const deleteImportTemplate = (template) => {
+    Alert.alert('Delete Template', `Delete "${template.name}"? Files in this format will need to be mapped again.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => {
+          setImportTemplates(prev => prev.filter(t => t.key !== template.key));
+          if (selectedDealer === template.key) setSelectedDealer(null);
+        },
+      },
+    ]);
+  };
+
+  // Likely duplicates of existing holdings, aligned with rows (src/utils/duplicates.js)
+  const getDuplicateMatches = (rows) =>
+    findDuplicateMatches(rows, { silver: silverItems, gold: goldItems, platinum: platinumItems, palladium: palladiumItems });
+
+  // Per-row choice for a flagged duplicate: skip, merge or keep both
+  const setDuplicateAction = (setRows, index, action) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, duplicateAction: action } : row)));
+  };
+
+  // Handle a row flagged as a duplicate. Returns true when it was skipped or
+  // merged; false means it should be added as a new holding.
+  const resolveDuplicateRow = (row, match, mergedItems) => {
+    if (!match) return false;
+    const action = row.duplicateAction || match.defaultAction;
+    if (action === 'keep') return false;
+    if (action === 'merge') {
+      const { item: merged, changed } = mergeDuplicateHolding(match.item, row);
+      if (changed) {
+        const mergeSetters = { silver: setSilverItems, gold: setGoldItems, platinum: setPlatinumItems, palladium: setPalladiumItems };
+        mergeSetters[match.metal](prev => prev.map(i => (i.id === merged.id ? merged : i)));
+        mergedItems.push({ ...merged, metal: match.metal });
+      }
+    }
+    return true;
+  };
+
+  // A restored export row as a holding. Its local id is kept unless a holding
+  // already uses it or the same Supabase row (then it's added as a new
+  // holding); its location is mapped to a matching or newly created one.
+  // The Supabase id isn't kept: the row may have been deleted since, so the
+  // holding is pushed like a new one (pushHolding adopts the row if it's
+  // still there under this local id).
+  const restoredHolding = (row, fallbackId, taken, locationIds) => {
+    const { metal, restored, importLocation, autoDetected, duplicateAction, supabase_id, locationId, ...fields } = row;
+    const keepIds = fields.id != null && !taken.ids.has(fields.id) && !(supabase_id && taken.supabaseIds.has(supabase_id));
+    const mappedLocationId = locationIds.get(locationId) ?? (findLocation(locations, locationId) ? locationId : null);
+    const holding = {
+      ...fields,
+      id: keepIds ? fields.id : fallbackId,
+      ...(mappedLocationId != null ? { locationId: mappedLocationId } : {}),
+    };
+    taken.ids.add(holding.id);
+    if (supabase_id) taken.supabaseIds.add(supabase_id);
+    return holding;
+  };
+
   const confirmImport = () => {
     try {
       let silverCount = 0;
       let goldCount = 0;
       let skippedDuplicates = 0;
+      let mergedDuplicates = 0;
       const newItems = [];
-
-      // Build a set of existing items for duplicate detection
-      const existingKeys = new Set();
-      silverItems.forEach(item => {
-        existingKeys.add(`silver|${item.productName}|${item.quantity}|${item.unitPrice}|${item.datePurchased || ''}`);
-      });
-      goldItems.forEach(item => {
-        existingKeys.add(`gold|${item.productName}|${item.quantity}|${item.unitPrice}|${item.datePurchased || ''}`);
-      });
+      const mergedItems = [];
+      const duplicateMatches = getDuplicateMatches(importData);
+
+      // Restored exports: ids already in use and the locations they were stored at
+      const existingItems = [...silverItems, ...goldItems, ...platinumItems, ...palladiumItems];
+      const taken = {
+        ids: new Set(existingItems.map(i => i.id)),
+        supabaseIds: new Set(existingItems.map(i => i.supabase_id).filter(Boolean)),
+      };
+      let nextLocationId = Date.now();
+      const { idMap: locationIds, created: newLocations } = matchImportLocations(
+        [...new Map(importData.filter(i => i.importLocation).map(i => [i.importLocation.id, i.importLocation])).values()],
+        locations,
+        () => nextLocationId++
+      );
 
       importData.forEach((item, index) => {
-        // Check for duplicate against existing holdings
-        const itemKey = `${item.metal}|${item.productName}|${item.quantity}|${item.unitPrice}|${item.datePurchased || ''}`;
-        if (existingKeys.has(itemKey)) {
-          skippedDuplicates++;
-          if (__DEV__) console.log(`⏭️ Skipping duplicate: ${item.productName}`);
-          return; // Skip this item
+        // Possible duplicate of an existing holding - the user chose what to do in the preview
+        if (resolveDuplicateRow(item, duplicateMatches[index], mergedItems)) {
+          const action = item.duplicateAction || duplicateMatches[index].defaultAction;
+          if (action === 'merge') mergedDuplicates++;
+          else skippedDuplicates++;
+          if (__DEV__) console.log(`⏭️ Duplicate (${action}): ${item.productName}`);
+          return;
         }
-        existingKeys.add(itemKey); // Prevent duplicates within the same import batch
 
-        const newItem = {
+        const newItem = item.restored ? restoredHolding(item, Date.now() + index, taken, locationIds) : {
           id: Date.now() + index,
           productName: item.productName,
           source: item.source,
@@ -7353,6 +8518,9 @@ function AppContent() {
           shipping: item.shipping || 0,
           spotPrice: item.spotPrice || 0,
           premium: item.premium || 0,
+          ...getWeightFields(item),
+          ...getPurchaseCurrencyFields(item),
+          ...getValuationFields(item),
         };
 
         const importSetters = { silver: setSilverItems, gold: setGoldItems, platinum: setPlatinumItems, palladium: setPalladiumItems };
@@ -7364,14 +8532,27 @@ function AppContent() {
         newItems.push({ ...newItem, metal: metalKey });
       });
 
+      // Locations from a restored export that holdings were added to
+      const addedLocations = newLocations.filter(l => newItems.some(i => i.locationId === l.id));
+      if (addedLocations.length > 0) {
+        setLocations(prev => [...prev, ...addedLocations]);
+        if (supabaseUser) {
+          addedLocations.forEach(async (location) => {
+            const { data } = await saveLocationToSupabase(supabaseUser.id, location);
+            if (data) setLocations(prev => prev.map(l => l.id === location.id ? { ...l, supabase_id: data.id } : l));
+          });
+        }
+      }
+
       // Sync to Supabase if signed in
-      if (supabaseUser && newItems.length > 0) {
+      const importChanges = [...newItems, ...mergedItems];
+      if (supabaseUser && importChanges.length > 0) {
         (async () => {
           try {
-            for (const item of newItems) {
-              await addHolding(supabaseUser.id, item, item.metal);
+            for (const item of importChanges) {
+              await pushHoldingChange(item.metal, item);
             }
-            if (__DEV__) console.log(`Synced ${newItems.length} imported items to Supabase`);
+            if (__DEV__) console.log(`Synced ${importChanges.length} imported items to Supabase`);
           } catch (err) {
             if (__DEV__) console.error('Failed to sync imported items to Supabase:', err);
           }
@@ -7382,7 +8563,11 @@ function AppContent() {
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
 
       const totalImported = newItems.length;
-      const duplicateMsg = skippedDuplicates > 0 ? `\n(${skippedDuplicates} duplicate${skippedDuplicates > 1 ? 's' : ''} skipped)` : '';
+      const duplicateNotes = [
+        skippedDuplicates > 0 ? `${skippedDuplicates} duplicate${skippedDuplicates > 1 ? 's' : ''} skipped` : null,
+        mergedDuplicates > 0 ? `${mergedDuplicates} merged into existing holdings` : null,
+      ].filter(Boolean);
+      const duplicateMsg = duplicateNotes.length > 0 ? `\n(${duplicateNotes.join(', ')})` : '';
 
       Alert.alert(
         'Import Successful',
@@ -7404,9 +8589,20 @@ function AppContent() {
     try {
       let silverCount = 0;
       let goldCount = 0;
+      let skippedDuplicates = 0;
+      let mergedDuplicates = 0;
       const newItems = [];
+      const mergedItems = [];
+      const duplicateMatches = getDuplicateMatches(scannedItems);
 
       scannedItems.forEach((item, index) => {
+        // Already entered? The user chose skip / merge / keep both in the preview
+        if (resolveDuplicateRow(item, duplicateMatches[index], mergedItems)) {
+          if ((item.duplicateAction || duplicateMatches[index].defaultAction) === 'merge') mergedDuplicates++;
+          else skippedDuplicates++;
+          return;
+        }
+
         const newItem = {
           id: Date.now() + index,
           productName: item.productName,
@@ -7420,6 +8616,9 @@ function AppContent() {
           shipping: item.shipping,
           spotPrice: item.spotPrice,
           premium: item.premium,
+          ...getWeightFields(item),
+          ...getPurchaseCurrencyFields(item),
+          ...getValuationFields(item),
         };
 
         const scanSetters = { silver: setSilverItems, gold: setGoldItems, platinum: setPlatinumItems, palladium: setPalladiumItems };
@@ -7432,29 +8631,43 @@ function AppContent() {
       });
 
       // Sync to Supabase if signed in
-      if (supabaseUser && newItems.length > 0) {
+      const scanChanges = [...newItems, ...mergedItems];
+      if (supabaseUser && scanChanges.length > 0) {
         (async () => {
           try {
-            for (const item of newItems) {
-              await addHolding(supabaseUser.id, item, item.metal);
+            for (const item of scanChanges) {
+              await pushHoldingChange(item.metal, item);
             }
-            if (__DEV__) console.log(`Synced ${newItems.length} scanned items to Supabase`);
+            if (__DEV__) console.log(`Synced ${scanChanges.length} scanned items to Supabase`);
           } catch (err) {
             if (__DEV__) console.error('Failed to sync scanned items to Supabase:', err);
           }
         })();
       }
 
+      // Proof of purchase: the receipt goes with every holding it added or filled in
+      if (scanChanges.length > 0 && scannedMetadata.receipts?.length > 0) {
+        attachFilesToHoldings(
+          scanChanges.map(item => ({ metal: item.metal, id: item.id })),
+          scannedMetadata.receipts.map(file => ({ file, kind: getScannedReceiptKind(file.mimeType) }))
+        );
+      }
+
       // Haptic feedback
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
 
+      const duplicateNotes = [
+        skippedDuplicates > 0 ? `${skippedDuplicates} already in your stack skipped` : null,
+        mergedDuplicates > 0 ? `${mergedDuplicates} merged into existing holdings` : null,
+      ].filter(Boolean);
+
       Alert.alert(
         'Items Added Successfully',
-        `Added ${scannedItems.length} item${scannedItems.length > 1 ? 's' : ''} from receipt`,
+        `Added ${newItems.length} item${newItems.length !== 1 ? 's' : ''} from receipt${duplicateNotes.length > 0 ? `\n(${duplicateNotes.join(', ')})` : ''}`,
         [{ text: 'Great!', onPress: () => {
           setShowScannedItemsPreview(false);
           setScannedItems([]);
-          setScannedMetadata({ purchaseDate: '', purchaseTime: '', dealer: '' });
+          setScannedMetadata({ purchaseDate: '', purchaseTime: '', dealer: '', warnings: [], receipts: [] });
           setMetalTab('both');
           setCurrentScreen('MyStack');
         }}]
@@ -7534,6 +8747,27 @@ function AppContent() {
       }
     }
 
+    // The user has checked the prices themselves
+    if (item.confidence) {
+      item.confidence = { ...item.confidence, unitPrice: 'high', extPrice: 'high' };
+      item.issues = (item.issues || []).filter(issue => issue.field !== 'unitPrice' && issue.field !== 'extPrice');
+    }
+
+    setScannedItems(updatedItems);
+  };
+
+  // Use the weight stated in a scanned item's name
+  const applySuggestedOzt = (index) => {
+    const updatedItems = [...scannedItems];
+    const item = { ...updatedItems[index] };
+    item.ozt = item.suggestedOzt;
+    if (item.unitPrice > 0 && item.spotPrice > 0) {
+      item.premium = Math.round((item.unitPrice - (item.spotPrice * item.ozt)) * 100) / 100;
+    }
+    item.confidence = { ...item.confidence, ozt: 'high' };
+    item.issues = (item.issues || []).filter(issue => issue.field !== 'ozt');
+    updatedItems[index] = item;
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
     setScannedItems(updatedItems);
   };
 
@@ -7549,7 +8783,7 @@ function AppContent() {
       productName: item.productName,
       source: item.source,
       datePurchased: item.datePurchased,
-      ozt: item.ozt.toString(),
+      ...getWeightFormValues(item),
       quantity: item.quantity.toString(),
       unitPrice: item.unitPrice.toString(),
       taxes: item.taxes.toString(),
@@ -7557,8 +8791,11 @@ function AppContent() {
       spotPrice: item.spotPrice.toString(),
       premium: item.premium.toString(),
       costBasis: item.costBasis ? item.costBasis.toString() : defaultCostBasis.toString(),
+      purchaseCurrency: 'USD', fxRate: '',
+      ...getValuationFormValues(item),
     });
     setSpotPriceSource(null); // Clear source warning when editing
+    setPurchaseFxInfo(null);
 
     // Set metal tab
     setMetalTab(item.metal);
@@ -7586,7 +8823,7 @@ function AppContent() {
       productName: item.productName || '',
       source: item.source || '',
       datePurchased: item.datePurchased || '',
-      ozt: item.ozt ? item.ozt.toString() : '',
+      ...getWeightFormValues(item),
       quantity: item.quantity ? item.quantity.toString() : '',
       unitPrice: item.unitPrice ? item.unitPrice.toString() : '',
       taxes: '',
@@ -7594,8 +8831,11 @@ function AppContent() {
       spotPrice: '0',
       premium: '0',
       costBasis: defaultCostBasis.toString(),
+      purchaseCurrency: 'USD', fxRate: '',
+      ...getValuationFormValues(item),
     });
     setSpotPriceSource(null); // Clear source warning when editing
+    setPurchaseFxInfo(null);
 
     // Set metal tab
     setMetalTab(item.metal || 'silver');
@@ -7618,29 +8858,81 @@ function AppContent() {
 
     const errors = {};
     if (!form.productName) errors.productName = true;
-    if (!form.ozt || parseFloat(form.ozt) <= 0) errors.ozt = true;
+    if (!form.weight || parseFloat(form.weight) <= 0) errors.weight = true;
+    if (form.purity && !parsePurity(form.purity)) errors.purity = true;
     if (!form.quantity || parseInt(form.quantity) <= 0) errors.quantity = true;
     if (!form.unitPrice || parseFloat(form.unitPrice) <= 0) errors.unitPrice = true;
+    const isForeignPurchase = form.purchaseCurrency && form.purchaseCurrency !== 'USD';
+    if (isForeignPurchase && !(parseFloat(form.fxRate) > 0)) errors.fxRate = true;
+    if (form.valuationMode === 'market' && !(parseFloat(form.marketValue) > 0)) errors.marketValue = true;
+    if ((form.valuationMode === 'premium_fixed' || form.valuationMode === 'premium_pct') && isNaN(parseFloat(form.valuationPremium))) errors.valuationPremium = true;
     setFormErrors(errors);
     if (Object.keys(errors).length > 0) {
       const names = [];
       if (errors.productName) names.push('Product Name');
-      if (errors.ozt) names.push('OZT per unit');
+      if (errors.weight) names.push(form.weightUnit === FACE_VALUE_UNIT ? 'Face Value' : 'Weight per unit');
       if (errors.quantity) names.push('Quantity');
       if (errors.unitPrice) names.push('Unit Price');
+      if (errors.purity) names.push('Purity (e.g. .999, 90%, 22k)');
+      if (errors.fxRate) names.push('Exchange Rate');
+      if (errors.marketValue) names.push('Market Value');
+      if (errors.valuationPremium) names.push(form.valuationMode === 'premium_pct' ? 'Premium %' : 'Premium over Melt');
       Alert.alert('Required Fields', `Please fill in: ${names.join(', ')}`);
       return;
     }
 
+    // Prices are entered in the purchase currency; holdings store USD and keep the originals
+    const purchaseRate = isForeignPurchase ? parseFloat(form.fxRate) : 1;
+    const unitPrice = parseFloat(form.unitPrice) || 0;
+    const taxes = parseFloat(form.taxes) || 0;
+    const shipping = parseFloat(form.shipping) || 0;
+    const costBasis = form.costBasis ? parseFloat(form.costBasis) : undefined;
+    const purity = parsePurity(form.purity);
+
+    // Valuation amounts are entered in the display currency; stored as USD
+    const valuationMode = form.valuationMode || 'melt';
+    const marketValue = valuationMode === 'market' ? Math.round((parseFloat(form.marketValue) / fxRate) * 100) / 100 : undefined;
+    const marketValueChanged = marketValue !== undefined && (!editingItem?.marketValue || Math.abs(editingItem.marketValue - marketValue) >= 0.01);
+    const valuationPremium = valuationMode === 'premium_fixed'
+      ? Math.round((parseFloat(form.valuationPremium) / fxRate) * 100) / 100
+      : (valuationMode === 'premium_pct' ? parseFloat(form.valuationPremium) : undefined);
+
     const item = {
       id: editingItem?.id || Date.now(),
+      ...getSyncFields(editingItem),
+      ...(editingItem?.attachments?.length ? { attachments: editingItem.attachments } : {}),
       productName: form.productName, source: form.source, datePurchased: form.datePurchased,
       timePurchased: form.timePurchased || undefined, // Optional time field
-      ozt: parseFloat(form.ozt) || 0, quantity: parseInt(form.quantity) || 1,
-      unitPrice: parseFloat(form.unitPrice) || 0, taxes: parseFloat(form.taxes) || 0,
-      shipping: parseFloat(form.shipping) || 0, spotPrice: parseFloat(form.spotPrice) || 0,
-      premium: parseFloat(form.premium) || 0,
-      costBasis: form.costBasis ? parseFloat(form.costBasis) : undefined,
+      ozt: getFormPureOzt(), quantity: parseInt(form.quantity) || 1,
+      ...(form.weightUnit === 'ozt' && !purity ? {} : {
+        weight: parseFloat(form.weight) || 0,
+        weightUnit: form.weightUnit,
+        ...(purity && purity < 1 ? { purity } : {}),
+      }),
+      unitPrice: convertToUsd(unitPrice, purchaseRate), taxes: convertToUsd(taxes, purchaseRate),
+      shipping: convertToUsd(shipping, purchaseRate), spotPrice: parseFloat(form.spotPrice) || 0,
+      premium: convertToUsd(parseFloat(form.premium) || 0, purchaseRate),
+      costBasis: costBasis !== undefined ? convertToUsd(costBasis, purchaseRate) : undefined,
+      ...(isForeignPurchase ? {
+        purchaseCurrency: form.purchaseCurrency,
+        purchaseFxRate: purchaseRate,
+        originalUnitPrice: unitPrice,
+        originalTaxes: taxes,
+        originalShipping: shipping,
+        originalCostBasis: costBasis,
+      } : {}),
+      ...(valuationMode !== 'melt' ? {
+        valuationMode,
+        ...(valuationPremium !== undefined ? { valuationPremium } : {}),
+        ...(marketValue !== undefined ? {
+          marketValue,
+          marketValueUpdatedAt: marketValueChanged || !form.marketValueUpdatedAt ? new Date().toISOString().split('T')[0] : form.marketValueUpdatedAt,
+        } : {}),
+      } : {}),
+      ...(form.gradingService ? { gradingService: form.gradingService } : {}),
+      ...(form.grade.trim() ? { grade: form.grade.trim() } : {}),
+      ...(form.certNumber.trim() ? { certNumber: form.certNumber.trim() } : {}),
+      ...(form.locationId != null ? { locationId: form.locationId } : {}),
     };
 
     // Check if editing a scanned item
@@ -7664,14 +8956,19 @@ function AppContent() {
 
     // Check if editing an imported item
     if (editingItem && editingItem.importIndex !== undefined) {
-      // Update the imported item and return to preview
+      // Update the imported item and return to preview (restored rows keep their other fields)
+      const importedRow = importData[editingItem.importIndex];
       const updatedItem = {
+        ...(importedRow?.restored ? importedRow : {}),
         productName: form.productName,
         source: form.source,
         datePurchased: form.datePurchased,
-        ozt: parseFloat(form.ozt) || 0,
+        ozt: item.ozt,
+        ...getWeightFields(item),
         quantity: parseInt(form.quantity) || 1,
-        unitPrice: parseFloat(form.unitPrice) || 0,
+        unitPrice: item.unitPrice,
+        ...getPurchaseCurrencyFields(item),
+        ...getValuationFields(item),
         metal: metalTab,
       };
 
@@ -7705,35 +9002,9 @@ function AppContent() {
       checkAndRequestReview('holdings');
     }
 
-    // Sync to Supabase if signed in
+    // Sync to Supabase if signed in (version-checked; a failed push is retried by the next sync)
     if (supabaseUser) {
-      (async () => {
-        try {
-          if (editingItem && editingItem.supabase_id) {
-            // Update existing item in Supabase
-            await updateHolding(editingItem.supabase_id, item, targetMetal);
-            if (__DEV__) console.log('Updated holding in Supabase');
-          } else if (editingItem) {
-            // Editing a local item that might exist in Supabase - find it first
-            const existingHolding = await findHoldingByLocalId(supabaseUser.id, item.id, targetMetal);
-            if (existingHolding) {
-              await updateHolding(existingHolding.id, item, targetMetal);
-              if (__DEV__) console.log('Updated existing holding in Supabase');
-            } else {
-              // Not in Supabase yet, add it
-              const { data } = await addHolding(supabaseUser.id, item, targetMetal);
-              if (data && __DEV__) console.log('Added holding to Supabase (was local only)');
-            }
-          } else {
-            // New item - add to Supabase
-            const { data } = await addHolding(supabaseUser.id, item, targetMetal);
-            if (data && __DEV__) console.log('Added new holding to Supabase');
-          }
-        } catch (err) {
-          if (__DEV__) console.error('Failed to sync holding to Supabase:', err);
-          // Don't block the user - local save already succeeded
-        }
-      })();
+      pushHoldingChange(targetMetal, item);
     }
 
     // Haptic feedback on successful add
@@ -7745,13 +9016,19 @@ function AppContent() {
 
   const resetForm = () => {
     setForm({
-      productName: '', source: '', datePurchased: '', timePurchased: '', ozt: '',
+      productName: '', source: '', datePurchased: '', timePurchased: '',
+      weight: '', weightUnit: 'ozt', purity: '',
       quantity: '', unitPrice: '', taxes: '', shipping: '',
       spotPrice: '', premium: '0', costBasis: '',
+      purchaseCurrency: 'USD', fxRate: '',
+      valuationMode: 'melt', valuationPremium: '', marketValue: '', marketValueUpdatedAt: '',
+      gradingService: '', grade: '', certNumber: '',
+      locationId: null,
     });
     setEditingItem(null);
     setSpotPriceSource(null);
     setHistoricalSpotSuggestion(null);
+    setPurchaseFxInfo(null);
     setFormErrors({});
   };
 
@@ -7780,24 +9057,13 @@ function AppContent() {
             const setter = settersMap[metal] || setSilverItems;
             setter(prev => prev.filter(i => i.id !== id));
 
-            // Delete from Supabase if signed in
+            if (itemToDelete?.attachments?.length) {
+              releaseAttachments(itemToDelete.attachments, { ...holdingsRef.current, [metal]: (holdingsRef.current[metal] || []).filter(i => i.id !== id) });
+            }
+
+            // Delete from Supabase if signed in (kept as a tombstone until it goes through)
             if (supabaseUser && itemToDelete) {
-              try {
-                if (itemToDelete.supabase_id) {
-                  await deleteHoldingFromSupabase(itemToDelete.supabase_id);
-                  if (__DEV__) console.log('Deleted holding from Supabase');
-                } else {
-                  // Find in Supabase by local_id
-                  const existingHolding = await findHoldingByLocalId(supabaseUser.id, id, metal);
-                  if (existingHolding) {
-                    await deleteHoldingFromSupabase(existingHolding.id);
-                    if (__DEV__) console.log('Deleted holding from Supabase (found by local_id)');
-                  }
-                }
-              } catch (err) {
-                if (__DEV__) console.error('Failed to delete holding from Supabase:', err);
-                // Don't block - local delete already succeeded
-              }
+              pushHoldingRemoval(metal, itemToDelete);
             }
 
             // Close detail view if open
@@ -7819,53 +9085,449 @@ function AppContent() {
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
   };
 
-  const sortItems = (items, metal) => {
-    const itemsWithMetal = items.map(item => ({ ...item, metal }));
-    const spotMap = { silver: silverSpot, gold: goldSpot, platinum: platinumSpot, palladium: palladiumSpot };
-    const spot = spotMap[metal] || silverSpot;
+  // ============================================
+  // ATTACHMENTS (see src/utils/attachments.js)
+  // ============================================
 
-    switch (sortBy) {
-      case 'date-newest':
-        return [...itemsWithMetal].sort((a, b) => {
-          if (!a.datePurchased) return 1;
-          if (!b.datePurchased) return -1;
-          return new Date(b.datePurchased) - new Date(a.datePurchased);
-        });
-      case 'date-oldest':
-        return [...itemsWithMetal].sort((a, b) => {
-          if (!a.datePurchased) return 1;
-          if (!b.datePurchased) return -1;
-          return new Date(a.datePurchased) - new Date(b.datePurchased);
-        });
-      case 'value-high':
-        return [...itemsWithMetal].sort((a, b) => (b.ozt * b.quantity * spot) - (a.ozt * a.quantity * spot));
-      case 'value-low':
-        return [...itemsWithMetal].sort((a, b) => (a.ozt * a.quantity * spot) - (b.ozt * b.quantity * spot));
-      case 'name':
-        return [...itemsWithMetal].sort((a, b) => a.productName.localeCompare(b.productName));
-      case 'metal':
-        // Already filtered by metal in most cases
-        return itemsWithMetal;
-      default:
-        return itemsWithMetal;
+  // Keep a picked file: copied into app storage, and uploaded for signed-in
+  // users through the outbox (so attaching works offline)
+  const storeAttachmentFile = async (file, kind) => {
+    if (file.size && file.size > ATTACHMENT_MAX_BYTES) {
+      throw new Error(`${file.name || 'This file'} is larger than ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB.`);
     }
+    const attachment = buildAttachment({ kind, name: file.name, mimeType: file.mimeType, size: file.size, userId: supabaseUser?.id || null });
+    await saveLocalAttachment(file.uri, attachment);
+    if (attachment.storagePath) {
+      queueOutbox('attachment_upload', attachment, `attachment:${attachment.id}`);
+    }
+    return attachment;
   };
 
-  const editItem = async (item, metal) => {
-    setMetalTab(metal);
-    // Calculate default cost basis if not set
-    const defaultCostBasis = (item.unitPrice * item.quantity) + item.taxes + item.shipping;
-    setForm({
-      productName: item.productName, source: item.source, datePurchased: item.datePurchased,
-      timePurchased: item.timePurchased || '',
-      ozt: item.ozt.toString(), quantity: item.quantity.toString(), unitPrice: item.unitPrice.toString(),
-      taxes: item.taxes.toString(), shipping: item.shipping.toString(), spotPrice: item.spotPrice.toString(),
-      premium: item.premium.toString(),
-      costBasis: item.costBasis ? item.costBasis.toString() : defaultCostBasis.toString(),
+  // Store files ([{ file, kind }]) and attach them to holdings ([{ metal, id }])
+  const attachFilesToHoldings = async (targets, files) => {
+    const attachments = [];
+    for (const { file, kind } of files) {
+      try {
+        attachments.push(await storeAttachmentFile(file, kind));
+      } catch (error) {
+        if (__DEV__) console.error('Failed to keep attachment:', error.message);
+      }
+    }
+    if (attachments.length === 0) return [];
+
+    targets.forEach(({ metal, id }) => {
+      holdingSetters[metal]?.(prev => prev.map(i => (i.id === id ? { ...i, attachments: [...(i.attachments || []), ...attachments] } : i)));
+      pushHoldingChange(metal, { id });
     });
-    setEditingItem(item);
+    setDetailItem(prev => (prev && targets.some(t => t.id === prev.id) ? { ...prev, attachments: [...(prev.attachments || []), ...attachments] } : prev));
+    return attachments;
+  };
+
+  // Delete the files of removed attachments no holding uses any more
+  const releaseAttachments = (removed, holdingsByMetal) => {
+    findUnreferencedAttachments(removed, holdingsByMetal).forEach(attachment => {
+      deleteLocalAttachment(attachment).catch(() => {});
+      if (attachment.storagePath && supabaseUser) {
+        queueOutbox('attachment_delete', { storagePath: attachment.storagePath }, `attachment:${attachment.id}`);
+      }
+    });
+  };
+
+  // Local file for an attachment, downloaded if it was added on another device
+  const getAttachmentFile = async (attachment) => {
+    if (await hasLocalAttachment(attachment)) return getLocalAttachmentUri(attachment);
+    if (!attachment.storagePath || !supabaseUser) throw new Error('This file isn\'t on this device.');
+    const { url, error } = await getAttachmentUrl(attachment.storagePath);
+    if (error || !url) throw new Error('Could not download the file. If it was just added on another device, it may still be uploading.');
+    return downloadAttachment(url, attachment);
+  };
+
+  const openAttachment = async (attachment) => {
+    try {
+      const uri = await getAttachmentFile(attachment);
+      if (isImageAttachment(attachment)) {
+        setAttachmentPreview({ ...attachment, uri });
+      } else {
+        await Sharing.shareAsync(uri, { mimeType: attachment.mimeType, dialogTitle: attachment.name });
+      }
+    } catch (error) {
+      Alert.alert('Attachment', error.message);
+    }
+  };
+
+  // Add an attachment to the holding in the detail view
+  const pickAttachment = async (source) => {
+    if (!detailItem || !detailMetal) return;
+    let result;
+    if (source === 'camera') {
+      const permissionResult = await ImagePicker.requestCameraPermissionsAsync();
+      if (!permissionResult.granted) {
+        Alert.alert('Permission Required', 'Please allow access to your camera to take photos.');
+        return;
+      }
+      result = await ImagePicker.launchCameraAsync({ mediaTypes: ['images'], quality: 0.7 });
+    } else if (source === 'library') {
+      const permissionResult = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (!permissionResult.granted) {
+        Alert.alert('Permission Required', 'Please allow access to your photos.');
+        return;
+      }
+      result = await ImagePicker.launchImageLibraryAsync({ mediaTypes: ['images'], quality: 0.7 });
+    } else {
+      result = await DocumentPicker.getDocumentAsync({ type: ATTACHMENT_FILE_TYPES, copyToCacheDirectory: true });
+    }
+    if (result.canceled || !result.assets?.length) return;
+
+    const asset = result.assets[0];
+    setAttachmentBusy(true);
+    try {
+      const file = {
+        uri: asset.uri,
+        name: asset.name || asset.fileName,
+        mimeType: asset.mimeType || (source === 'file' ? 'application/pdf' : 'image/jpeg'),
+        size: asset.size || asset.fileSize,
+      };
+      if (file.size > ATTACHMENT_MAX_BYTES) throw new Error(`Files up to ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB can be attached.`);
+      const added = await attachFilesToHoldings([{ metal: detailMetal, id: detailItem.id }], [{ file, kind: attachmentKind }]);
+      if (added.length === 0) throw new Error('Could not save the file.');
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      setShowAttachmentModal(false);
+    } catch (error) {
+      Alert.alert('Attachment Failed', error.message);
+    } finally {
+      setAttachmentBusy(false);
+    }
+  };
+
+  const removeAttachment = (attachment) => {
+    if (!detailItem || !detailMetal) return;
+    const metal = detailMetal;
+    const id = detailItem.id;
+    const without = (item) => ({ ...item, attachments: (item.attachments || []).filter(a => a.id !== attachment.id) });
+    Alert.alert('Remove Attachment', `Remove "${attachment.name}" from this holding?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () => {
+          holdingSetters[metal](prev => prev.map(i => (i.id === id ? without(i) : i)));
+          setDetailItem(prev => (prev ? without(prev) : prev));
+          pushHoldingChange(metal, { id });
+          releaseAttachments([attachment], { ...holdingsRef.current, [metal]: (holdingsRef.current[metal] || []).map(i => (i.id === id ? without(i) : i)) });
+        },
+      },
+    ]);
+  };
+
+  // ============================================
+  // SALES & LOT SPLITS
+  // ============================================
+
+  // Push lot changes from a sale, undo or split to Supabase
+  const syncLotChangesToSupabase = async (metal, { updated = [], removed = [], added = [] }) => {
+    if (!supabaseUser) return;
+    for (const lot of [...updated, ...added]) {
+      await pushHoldingChange(metal, lot);
+    }
+    for (const lot of removed) {
+      await pushHoldingRemoval(metal, lot);
+    }
+  };
+
+  const openSellModal = (item) => {
+    setSellForm({
+      quantity: '',
+      pricePerUnit: '',
+      fees: '',
+      dateSold: new Date().toISOString().split('T')[0],
+      buyer: '',
+      method: costBasisMethod,
+      lotQuantities: {},
+    });
+    setShowSellModal(true);
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  const recordSale = () => {
+    Keyboard.dismiss();
+    if (!detailItem || !detailMetal) return;
+
+    const itemsMap = { silver: silverItems, gold: goldItems, platinum: platinumItems, palladium: palladiumItems };
+    const settersMap = { silver: setSilverItems, gold: setGoldItems, platinum: setPlatinumItems, palladium: setPalladiumItems };
+    const items = itemsMap[detailMetal] || [];
+    const lots = getMatchingLots(items, detailItem);
+
+    const quantity = parseInt(sellForm.quantity, 10) || 0;
+    const pricePerUnit = parseFloat(sellForm.pricePerUnit) || 0;
+    if (pricePerUnit <= 0) {
+      Alert.alert('Required Fields', 'Please fill in: Sale Price per unit');
+      return;
+    }
+
+    const { allocations, error } = matchLots(lots, quantity, sellForm.method, sellForm.lotQuantities);
+    if (error) {
+      Alert.alert('Cannot Record Sale', error);
+      return;
+    }
+
+    const sale = buildSale({
+      metal: detailMetal,
+      productName: detailItem.productName,
+      dateSold: sellForm.dateSold || new Date().toISOString().split('T')[0],
+      pricePerUnit,
+      fees: parseFloat(sellForm.fees) || 0,
+      buyer: sellForm.buyer,
+      method: sellForm.method,
+      allocations,
+    });
+
+    const result = applySaleToLots(items, allocations);
+    settersMap[detailMetal](result.items);
+    setSales(prev => [sale, ...prev]);
+    setCostBasisMethod(sellForm.method);
+
+    syncLotChangesToSupabase(detailMetal, result);
+    pushSaleAdd(sale);
+
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    setShowSellModal(false);
+
+    // Keep the detail view on what's left of this lot, or close it if it sold out
+    const remainingLot = result.items.find(i => i.id === detailItem.id);
+    if (remainingLot) {
+      setDetailItem(remainingLot);
+    } else {
+      setShowDetailView(false);
+      setDetailItem(null);
+      setDetailMetal(null);
+    }
+
+    Alert.alert(
+      'Sale Recorded',
+      `Sold ${sale.quantity} × ${sale.productName}. Realized ${sale.realizedGain >= 0 ? 'gain' : 'loss'}: ${sale.realizedGain >= 0 ? '+' : '-'}${formatCurrency(Math.abs(sale.realizedGain))}`
+    );
+  };
+
+  const undoSale = (sale) => {
+    Alert.alert(
+      'Undo Sale',
+      `Remove this sale and return ${sale.quantity} × ${sale.productName} to your stack?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Undo Sale',
+          style: 'destructive',
+          onPress: () => {
+            const itemsMap = { silver: silverItems, gold: goldItems, platinum: platinumItems, palladium: palladiumItems };
+            const settersMap = { silver: setSilverItems, gold: setGoldItems, platinum: setPlatinumItems, palladium: setPalladiumItems };
+            const result = reverseSaleOnLots(itemsMap[sale.metal] || [], sale.lots || []);
+            settersMap[sale.metal](result.items);
+            setSales(prev => prev.filter(s => s.id !== sale.id));
+
+            syncLotChangesToSupabase(sale.metal, { updated: result.updated, added: result.restored });
+            pushSaleRemoval(sale);
+
+            Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+          },
+        },
+      ]
+    );
+  };
+
+  const openSplitModal = () => {
+    setSplitQuantity('');
+    setShowSplitModal(true);
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  const confirmSplitLot = () => {
+    Keyboard.dismiss();
+    if (!detailItem || !detailMetal) return;
+
+    const result = splitLot(detailItem, parseInt(splitQuantity, 10) || 0, Date.now());
+    if (!result) {
+      Alert.alert('Invalid Quantity', `Enter between 1 and ${detailItem.quantity - 1} units to split off.`);
+      return;
+    }
+
+    const settersMap = { silver: setSilverItems, gold: setGoldItems, platinum: setPlatinumItems, palladium: setPalladiumItems };
+    settersMap[detailMetal](prev => [...prev.map(i => i.id === detailItem.id ? result.original : i), result.split]);
+    syncLotChangesToSupabase(detailMetal, { updated: [result.original], added: [result.split] });
+
+    setDetailItem(result.original);
+    setShowSplitModal(false);
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+  };
+
+  const openTransferModal = () => {
+    setTransferForm({ toLocationId: null, quantity: detailItem ? String(detailItem.quantity) : '' });
+    setShowTransferModal(true);
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+  };
+
+  // Move all or part of the open lot to another storage location
+  const confirmTransfer = () => {
+    Keyboard.dismiss();
+    if (!detailItem || !detailMetal) return;
+
+    const quantity = parseInt(transferForm.quantity, 10) || 0;
+    if ((transferForm.toLocationId ?? null) === (detailItem.locationId ?? null)) {
+      Alert.alert('Same Location', 'Choose a different location to move to.');
+      return;
+    }
+    const result = transferLot(detailItem, transferForm.toLocationId, quantity, Date.now());
+    if (!result) {
+      Alert.alert('Invalid Quantity', `Enter between 1 and ${detailItem.quantity} units to move.`);
+      return;
+    }
+
+    const settersMap = { silver: setSilverItems, gold: setGoldItems, platinum: setPlatinumItems, palladium: setPalladiumItems };
+    if (result.original) {
+      settersMap[detailMetal](prev => [...prev.map(i => i.id === detailItem.id ? result.original : i), result.moved]);
+      syncLotChangesToSupabase(detailMetal, { updated: [result.original], added: [result.moved] });
+      setDetailItem(result.original);
+    } else {
+      settersMap[detailMetal](prev => prev.map(i => i.id === detailItem.id ? result.moved : i));
+      syncLotChangesToSupabase(detailMetal, { updated: [result.moved] });
+      setDetailItem(result.moved);
+    }
+
+    setShowTransferModal(false);
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+  };
+
+  // Add or rename a storage location
+  const saveLocationEntry = async () => {
+    Keyboard.dismiss();
+    const name = locationForm.name.trim();
+    if (!name) {
+      Alert.alert('Name Required', 'Enter a name for this location, e.g. "Home Safe" or "Chase Box 114".');
+      return;
+    }
+    if (locations.some(l => l.id !== locationForm.id && l.name.toLowerCase() === name.toLowerCase())) {
+      Alert.alert('Duplicate Name', `You already have a location named "${name}".`);
+      return;
+    }
+
+    const coverageLimit = parseFloat(String(locationForm.coverageLimit).replace(/[$,\s]/g, ''));
+    const existing = locationForm.id != null ? findLocation(locations, locationForm.id) : null;
+    const location = { ...(existing || {}), id: existing ? existing.id : Date.now(), name, type: locationForm.type, coverageLimit: coverageLimit > 0 ? coverageLimit : null };
+    setLocations(prev => existing ? prev.map(l => l.id === location.id ? location : l) : [...prev, location]);
+    setLocationForm({ id: null, name: '', type: 'home_safe', coverageLimit: '' });
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+
+    if (supabaseUser) {
+      const { data } = await saveLocationToSupabase(supabaseUser.id, location);
+      if (data) setLocations(prev => prev.map(l => l.id === location.id ? { ...l, supabase_id: data.id } : l));
+    }
+  };
+
+  // Delete a storage location; its holdings become unassigned
+  const removeLocation = (location) => {
+    const allItems = [...silverItems, ...goldItems, ...platinumItems, ...palladiumItems];
+    const count = allItems.filter(i => i.locationId === location.id).length;
+    Alert.alert(
+      'Delete Location',
+      count > 0
+        ? `${count} holding${count === 1 ? '' : 's'} at "${location.name}" will become unassigned. Holdings are not deleted.`
+        : `Delete "${location.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const unassign = (items) => items.map(i => {
+              if (i.locationId !== location.id) return i;
+              const { locationId, ...rest } = i;
+              return rest;
+            });
+            setSilverItems(unassign);
+            setGoldItems(unassign);
+            setPlatinumItems(unassign);
+            setPalladiumItems(unassign);
+            setLocations(prev => prev.filter(l => l.id !== location.id));
+            if (locationForm.id === location.id) setLocationForm({ id: null, name: '', type: 'home_safe', coverageLimit: '' });
+            Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+
+            if (supabaseUser) await deleteLocationFromSupabase(supabaseUser.id, location);
+          },
+        },
+      ]
+    );
+  };
+
+  const sortItems = (items, metal) => {
+    const itemsWithMetal = items.map(item => ({ ...item, metal }));
+    const spotMap = { silver: silverSpot, gold: goldSpot, platinum: platinumSpot, palladium: palladiumSpot };
+    const spot = spotMap[metal] || silverSpot;
+
+    switch (sortBy) {
+      case 'date-newest':
+        return [...itemsWithMetal].sort((a, b) => {
+          if (!a.datePurchased) return 1;
+          if (!b.datePurchased) return -1;
+          return new Date(b.datePurchased) - new Date(a.datePurchased);
+        });
+      case 'date-oldest':
+        return [...itemsWithMetal].sort((a, b) => {
+          if (!a.datePurchased) return 1;
+          if (!b.datePurchased) return -1;
+          return new Date(a.datePurchased) - new Date(b.datePurchased);
+        });
+      case 'value-high':
+        return [...itemsWithMetal].sort((a, b) => (b.ozt * b.quantity * spot) - (a.ozt * a.quantity * spot));
+      case 'value-low':
+        return [...itemsWithMetal].sort((a, b) => (a.ozt * a.quantity * spot) - (b.ozt * b.quantity * spot));
+      case 'name':
+        return [...itemsWithMetal].sort((a, b) => a.productName.localeCompare(b.productName));
+      case 'metal':
+        // Already filtered by metal in most cases
+        return itemsWithMetal;
+      default:
+        return itemsWithMetal;
+    }
+  };
+
+  const editItem = async (item, metal) => {
+    setMetalTab(metal);
+    // Calculate default cost basis if not set
+    const defaultCostBasis = (item.unitPrice * item.quantity) + item.taxes + item.shipping;
+    const isForeignPurchase = item.purchaseCurrency && item.purchaseCurrency !== 'USD' && item.purchaseFxRate > 0;
+    if (isForeignPurchase) {
+      // Edit in the original currency so amounts round-trip exactly
+      const originalUnitPrice = item.originalUnitPrice ?? item.unitPrice * item.purchaseFxRate;
+      const originalTaxes = item.originalTaxes ?? item.taxes * item.purchaseFxRate;
+      const originalShipping = item.originalShipping ?? item.shipping * item.purchaseFxRate;
+      const originalCostBasis = item.originalCostBasis ?? ((originalUnitPrice * item.quantity) + originalTaxes + originalShipping);
+      setForm({
+        productName: item.productName, source: item.source, datePurchased: item.datePurchased,
+        timePurchased: item.timePurchased || '',
+        ...getWeightFormValues(item), quantity: item.quantity.toString(), unitPrice: originalUnitPrice.toString(),
+        taxes: originalTaxes.toString(), shipping: originalShipping.toString(), spotPrice: item.spotPrice.toString(),
+        premium: (Math.round(item.premium * item.purchaseFxRate * 100) / 100).toString(),
+        costBasis: originalCostBasis.toString(),
+        purchaseCurrency: item.purchaseCurrency, fxRate: item.purchaseFxRate.toString(),
+        ...getValuationFormValues(item),
+        locationId: item.locationId ?? null,
+      });
+    } else {
+      setForm({
+        productName: item.productName, source: item.source, datePurchased: item.datePurchased,
+        timePurchased: item.timePurchased || '',
+        ...getWeightFormValues(item), quantity: item.quantity.toString(), unitPrice: item.unitPrice.toString(),
+        taxes: item.taxes.toString(), shipping: item.shipping.toString(), spotPrice: item.spotPrice.toString(),
+        premium: item.premium.toString(),
+        costBasis: item.costBasis ? item.costBasis.toString() : defaultCostBasis.toString(),
+        purchaseCurrency: 'USD', fxRate: '',
+        ...getValuationFormValues(item),
+        locationId: item.locationId ?? null,
+      });
+    }
+    setEditingItem(item);
     setSpotPriceSource(null); // Clear source warning when editing existing item
     setHistoricalSpotSuggestion(null); // Clear any previous suggestion
+    setPurchaseFxInfo(null);
     setFormErrors({});
     setShowAddModal(true);
 
@@ -7893,6 +9555,21 @@ function AppContent() {
     }
   };
 
+  // Shown on PDF reports when values aren't in USD
+  const getReportCurrencyNote = () => (displayCurrency !== DEFAULT_CURRENCY
+    ? `Values in ${displayCurrency} at 1 USD = ${fxRate.toFixed(4)} ${displayCurrency}${fxRates?.date ? ` (${fxRates.date})` : ''}`
+    : null);
+
+  // Value-over-time chart: the analytics snapshots (cached on disk if Analytics hasn't loaded them yet)
+  const getReportSnapshots = async () => {
+    if (snapshotsCacheRef.current.primaryData) return snapshotsCacheRef.current.primaryData;
+    try {
+      return JSON.parse(await AsyncStorage.getItem('portfolio_chart_cache'))?.data || [];
+    } catch (error) {
+      return [];
+    }
+  };
+
   // PDF Stack Ledger Export — Gold/Lifetime only
   const requestLedgerExport = () => {
     if (!hasGoldAccess) {
@@ -7904,138 +9581,59 @@ function AppContent() {
       Alert.alert('No Holdings', 'Add holdings first, then export your ledger.');
       return;
     }
-    setLedgerPinDigits(['', '', '', '']);
-    setShowLedgerPinModal(true);
-    setTimeout(() => ledgerPinRefs.current[0]?.focus(), 200);
+    setLedgerPassword('');
+    setLedgerPasswordConfirm('');
+    setShowLedgerPasswordModal(true);
   };
 
-  const generateStackLedger = async (pin) => {
+  // The PDF is encrypted (AES-256) with the password and can't be edited
+  const generateStackLedger = async (password) => {
     setLedgerGenerating(true);
+    let fileUri = null;
     try {
       Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
 
-      const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
-
       const allHoldings = [
-        ...goldItems.map(i => ({ ...i, metal: 'Gold', spot: goldSpot })),
-        ...silverItems.map(i => ({ ...i, metal: 'Silver', spot: silverSpot })),
-        ...platinumItems.map(i => ({ ...i, metal: 'Platinum', spot: platinumSpot })),
-        ...palladiumItems.map(i => ({ ...i, metal: 'Palladium', spot: palladiumSpot })),
-      ];
-
-      // Compute totals
-      let totalCost = 0;
-      let totalValue = 0;
-      allHoldings.forEach(h => {
-        const totalOz = (parseFloat(h.ozt) || 0) * (parseInt(h.quantity) || 1);
-        const cost = ((parseFloat(h.unitPrice) || 0) * (parseInt(h.quantity) || 1)) + (parseFloat(h.taxes) || 0) + (parseFloat(h.shipping) || 0);
-        const value = totalOz * (h.spot || 0);
-        totalCost += cost;
-        totalValue += value;
-      });
-      const totalPL = totalValue - totalCost;
-      const plPct = totalCost > 0 ? (totalPL / totalCost) * 100 : 0;
-
-      const pdfDoc = await PDFDocument.create();
-      pdfDoc.setTitle('TroyStack Stack Ledger');
-      pdfDoc.setAuthor('TroyStack');
-      pdfDoc.setSubject(`Stack ledger (Ref: ${pin})`);
-      pdfDoc.setCreator(`TroyStack v${appVersion}`);
-      pdfDoc.setKeywords(['troystack', 'ledger', `ref-${pin}`]);
-
-      const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
-      const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-
-      const gold = rgb(0.788, 0.659, 0.298); // #C9A84C
-      const dark = rgb(0.1, 0.1, 0.1);
-      const muted = rgb(0.45, 0.45, 0.45);
-      const lightGray = rgb(0.96, 0.96, 0.96);
-      const green = rgb(0.16, 0.65, 0.27);
-      const red = rgb(0.85, 0.18, 0.18);
-
-      const today = new Date();
-      const dateStr = today.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-      const fileDate = today.toISOString().split('T')[0];
-
-      const PAGE_W = 612, PAGE_H = 792, MARGIN = 50;
-      let page = pdfDoc.addPage([PAGE_W, PAGE_H]);
-      let y = PAGE_H - MARGIN;
-
-      // Header
-      page.drawText('TroyStack', { x: MARGIN, y, size: 24, font: helveticaBold, color: gold });
-      page.drawText('Stack Ledger', { x: MARGIN + 110, y: y + 2, size: 18, font: helvetica, color: dark });
-      y -= 20;
-      page.drawText(`Generated ${dateStr}`, { x: MARGIN, y, size: 10, font: helvetica, color: muted });
-      y -= 30;
-
-      // Summary box
-      page.drawRectangle({ x: MARGIN, y: y - 90, width: PAGE_W - MARGIN * 2, height: 90, color: lightGray, borderColor: gold, borderWidth: 1 });
-      page.drawText('Portfolio Summary', { x: MARGIN + 12, y: y - 18, size: 12, font: helveticaBold, color: dark });
-
-      const summaryItems = [
-        { label: 'Total Value', value: `$${totalValue.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` },
-        { label: 'Cost Basis', value: `$${totalCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` },
-        { label: 'Unrealized P/L', value: `${totalPL >= 0 ? '+' : ''}$${totalPL.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${plPct >= 0 ? '+' : ''}${plPct.toFixed(2)}%)`, color: totalPL >= 0 ? green : red },
-        { label: 'Holdings', value: `${allHoldings.length} item${allHoldings.length === 1 ? '' : 's'}` },
+        ...viewGoldItems,
+        ...viewSilverItems,
+        ...viewPlatinumItems,
+        ...viewPalladiumItems,
       ];
-      let sy = y - 38;
-      summaryItems.forEach(item => {
-        page.drawText(item.label + ':', { x: MARGIN + 12, y: sy, size: 10, font: helvetica, color: muted });
-        page.drawText(item.value, { x: MARGIN + 110, y: sy, size: 10, font: helveticaBold, color: item.color || dark });
-        sy -= 14;
-      });
-      y -= 110;
 
-      // Holdings table
-      page.drawText('Holdings', { x: MARGIN, y, size: 14, font: helveticaBold, color: dark });
-      y -= 18;
-
-      // Table headers
-      const colX = { metal: MARGIN, product: MARGIN + 60, oz: MARGIN + 260, qty: MARGIN + 310, cost: MARGIN + 350, value: MARGIN + 420, pl: MARGIN + 490 };
-      page.drawRectangle({ x: MARGIN, y: y - 4, width: PAGE_W - MARGIN * 2, height: 16, color: gold });
-      const hdrColor = rgb(1, 1, 1);
-      page.drawText('Metal', { x: colX.metal + 4, y: y, size: 9, font: helveticaBold, color: hdrColor });
-      page.drawText('Product', { x: colX.product + 4, y: y, size: 9, font: helveticaBold, color: hdrColor });
-      page.drawText('Oz', { x: colX.oz + 4, y: y, size: 9, font: helveticaBold, color: hdrColor });
-      page.drawText('Qty', { x: colX.qty + 4, y: y, size: 9, font: helveticaBold, color: hdrColor });
-      page.drawText('Cost', { x: colX.cost + 4, y: y, size: 9, font: helveticaBold, color: hdrColor });
-      page.drawText('Value', { x: colX.value + 4, y: y, size: 9, font: helveticaBold, color: hdrColor });
-      page.drawText('P/L', { x: colX.pl + 4, y: y, size: 9, font: helveticaBold, color: hdrColor });
-      y -= 18;
-
-      // Table rows
-      for (let i = 0; i < allHoldings.length; i++) {
-        if (y < MARGIN + 60) {
-          page = pdfDoc.addPage([PAGE_W, PAGE_H]);
-          y = PAGE_H - MARGIN;
-        }
-        const h = allHoldings[i];
-        const qty = parseInt(h.quantity) || 1;
-        const ozEach = parseFloat(h.ozt) || 0;
-        const totalOz = ozEach * qty;
-        const cost = ((parseFloat(h.unitPrice) || 0) * qty) + (parseFloat(h.taxes) || 0) + (parseFloat(h.shipping) || 0);
-        const value = totalOz * (h.spot || 0);
-        const pl = value - cost;
-
-        if (i % 2 === 0) {
-          page.drawRectangle({ x: MARGIN, y: y - 3, width: PAGE_W - MARGIN * 2, height: 14, color: lightGray });
+      // Appendix: each attached file once (a receipt can cover several holdings)
+      const appendix = new Map();
+      if (ledgerIncludeAttachments) {
+        allHoldings.forEach(h => (h.attachments || []).forEach(attachment => {
+          const entry = appendix.get(attachment.id);
+          if (entry) entry.productName += `, ${h.productName}`;
+          else appendix.set(attachment.id, { productName: h.productName || 'Holding', attachment, data: null });
+        }));
+        for (const entry of appendix.values()) {
+          try {
+            const uri = await getAttachmentFile(entry.attachment);
+            entry.data = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+          } catch (error) {
+            // Listed in the appendix as not included
+          }
         }
-        const productName = (h.productName || '').substring(0, 32);
-        page.drawText(h.metal, { x: colX.metal + 4, y, size: 8, font: helvetica, color: dark });
-        page.drawText(productName, { x: colX.product + 4, y, size: 8, font: helvetica, color: dark });
-        page.drawText(totalOz.toFixed(2), { x: colX.oz + 4, y, size: 8, font: helvetica, color: dark });
-        page.drawText(String(qty), { x: colX.qty + 4, y, size: 8, font: helvetica, color: dark });
-        page.drawText(`$${cost.toFixed(0)}`, { x: colX.cost + 4, y, size: 8, font: helvetica, color: dark });
-        page.drawText(`$${value.toFixed(0)}`, { x: colX.value + 4, y, size: 8, font: helvetica, color: dark });
-        page.drawText(`${pl >= 0 ? '+' : ''}$${pl.toFixed(0)}`, { x: colX.pl + 4, y, size: 8, font: helvetica, color: pl >= 0 ? green : red });
-        y -= 14;
       }
 
-      // Footer on last page
-      const footerY = MARGIN - 20;
-      page.drawText('Generated by TroyStack — troystack.com', { x: MARGIN, y: footerY, size: 8, font: helvetica, color: muted });
+      const snapshots = await getReportSnapshots();
+      const pdfDoc = await buildStackLedger({
+        holdings: { gold: viewGoldItems, silver: viewSilverItems, platinum: viewPlatinumItems, palladium: viewPalladiumItems },
+        spots: { gold: goldSpot, silver: silverSpot, platinum: platinumSpot, palladium: palladiumSpot },
+        sales,
+        locations,
+        locationName: isLocationFiltered ? getLocationName(locations, locationFilter) : null,
+        snapshots,
+        attachments: [...appendix.values()],
+        formatCurrency,
+        currencyNote: getReportCurrencyNote(),
+        appVersion,
+      });
+      const fileDate = new Date().toISOString().split('T')[0];
 
-      const pdfBytes = await pdfDoc.save();
+      const pdfBytes = await savePdfWithPassword(pdfDoc, password);
 
       // Convert Uint8Array to base64
       let binary = '';
@@ -8045,52 +9643,498 @@ function AppContent() {
       }
       const base64 = btoa(binary);
 
-      const fileUri = `${FileSystem.documentDirectory}TroyStack_Ledger_${fileDate}.pdf`;
+      fileUri = `${FileSystem.documentDirectory}TroyStack_Ledger_${fileDate}.pdf`;
       await FileSystem.writeAsStringAsync(fileUri, base64, { encoding: FileSystem.EncodingType.Base64 });
 
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
-      setShowLedgerPinModal(false);
+      setShowLedgerPasswordModal(false);
       setLedgerGenerating(false);
+      setLedgerPassword('');
+      setLedgerPasswordConfirm('');
 
       await Sharing.shareAsync(fileUri, { mimeType: 'application/pdf', dialogTitle: 'Save TroyStack Ledger' });
     } catch (error) {
       console.error('Ledger export error:', error);
       setLedgerGenerating(false);
       Alert.alert('Export Failed', error.message || 'Could not generate ledger.');
+    } finally {
+      // Don't leave a copy of the ledger in the app's documents once it's been shared
+      if (fileUri) FileSystem.deleteAsync(fileUri, { idempotent: true }).catch(() => {});
     }
   };
 
-  const exportCSV = async () => {
-    try {
-      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
-
-      const all = [
-        ...silverItems.map(i => ({ ...i, metal: 'Silver' })),
-        ...goldItems.map(i => ({ ...i, metal: 'Gold' })),
-        ...platinumItems.map(i => ({ ...i, metal: 'Platinum' })),
-        ...palladiumItems.map(i => ({ ...i, metal: 'Palladium' })),
-      ];
+  // Holdings export (src/utils/stackExport.js) — CSV or JSON, both restorable
+  // through Import Spreadsheet, filtered by metal, purchase date and location
+  const openExport = () => {
+    if (silverItems.length + goldItems.length + platinumItems.length + palladiumItems.length === 0) {
+      Alert.alert('No Data', 'You have no holdings to export.');
+      return;
+    }
+    setShowExportModal(true);
+  };
 
-      if (all.length === 0) {
-        Alert.alert('No Data', 'You have no holdings to export.');
-        return;
-      }
+  const getExportEntries = () => filterHoldingsForExport(
+    { gold: goldItems, silver: silverItems, platinum: platinumItems, palladium: palladiumItems },
+    exportFilters,
+    locations
+  );
 
-      const headers = 'Metal,Product,Source,Date,Time,OZT,Qty,Unit Price,Taxes,Shipping,Spot,Premium,Total Premium\n';
-      const rows = all.map(i =>
-        `${i.metal},"${i.productName}","${i.source}",${i.datePurchased},${i.timePurchased || ''},${i.ozt},${i.quantity},${i.unitPrice},${i.taxes},${i.shipping},${i.spotPrice},${i.premium},${i.premium * i.quantity}`
-      ).join('\n');
+  const toggleExportMetal = (metal) => {
+    setExportFilters(prev => ({
+      ...prev,
+      metals: prev.metals.includes(metal) ? prev.metals.filter(m => m !== metal) : [...prev.metals, metal],
+    }));
+  };
 
-      const filepath = `${FileSystem.documentDirectory}stack-export-${Date.now()}.csv`;
-      await FileSystem.writeAsStringAsync(filepath, headers + rows);
-      await Sharing.shareAsync(filepath);
+  const exportHoldings = async (format) => {
+    if (!isExportDate(exportFilters.from) || !isExportDate(exportFilters.to)) {
+      Alert.alert('Invalid Date', 'Enter dates as YYYY-MM-DD, or leave them blank.');
+      return;
+    }
+    try {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+
+      const entries = getExportEntries();
+      if (entries.length === 0) {
+        Alert.alert('No Data', 'No holdings match these filters.');
+        return;
+      }
+
+      const isJson = format === 'json';
+      const filepath = `${FileSystem.documentDirectory}stack-export-${Date.now()}.${isJson ? 'json' : 'csv'}`;
+      await FileSystem.writeAsStringAsync(filepath, isJson
+        ? buildHoldingsJSON(entries, locations, { filters: exportFilters })
+        : buildHoldingsCSV(entries, locations));
+      await Sharing.shareAsync(filepath, { mimeType: isJson ? 'application/json' : 'text/csv' });
+
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } catch (error) {
+      if (__DEV__) console.error('Export error:', error);
+      Alert.alert('Export Failed', error.message || 'Could not export holdings.');
+    }
+  };
+
+  // ============================================
+  // CAPITAL GAINS TAX REPORT
+  // ============================================
+  const openTaxReport = () => {
+    const years = getTaxYears(sales);
+    if (years.length === 0) {
+      Alert.alert('No Sales', 'Record a sale from a holding\'s detail view to generate a tax report.');
+      return;
+    }
+    setTaxReportYear(prev => (years.includes(prev) ? prev : years[0]));
+    setShowTaxReportModal(true);
+  };
+
+  const exportTaxReportCSV = async () => {
+    try {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+
+      const rows = buildTaxLots(sales, taxReportYear);
+      if (rows.length === 0) {
+        Alert.alert('No Sales', `No sales recorded in ${taxReportYear}.`);
+        return;
+      }
+
+      const filepath = `${FileSystem.documentDirectory}TroyStack_Form8949_${taxReportYear}.csv`;
+      await FileSystem.writeAsStringAsync(filepath, buildForm8949CSV(rows));
+      await Sharing.shareAsync(filepath, { mimeType: 'text/csv', dialogTitle: `Form 8949 — ${taxReportYear}` });
+
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } catch (error) {
+      if (__DEV__) console.error('Tax report CSV error:', error);
+      Alert.alert('Export Failed', error.message || 'Could not export tax report.');
+    }
+  };
+
+  const generateTaxReportPDF = async () => {
+    setTaxReportGenerating(true);
+    try {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+
+      const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+      const year = taxReportYear;
+      const rows = buildTaxLots(sales, year);
+      if (rows.length === 0) {
+        setTaxReportGenerating(false);
+        Alert.alert('No Sales', `No sales recorded in ${year}.`);
+        return;
+      }
+      const summary = summarizeTaxLots(rows);
+
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.setTitle(`TroyStack Capital Gains Report ${year}`);
+      pdfDoc.setAuthor('TroyStack');
+      pdfDoc.setCreator(`TroyStack v${appVersion}`);
+
+      const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
+      const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+      const gold = rgb(0.788, 0.659, 0.298); // #C9A84C
+      const dark = rgb(0.1, 0.1, 0.1);
+      const muted = rgb(0.45, 0.45, 0.45);
+      const lightGray = rgb(0.96, 0.96, 0.96);
+      const green = rgb(0.16, 0.65, 0.27);
+      const red = rgb(0.85, 0.18, 0.18);
+      const hdrColor = rgb(1, 1, 1);
+
+      const money = (n) => `${n < 0 ? '-' : ''}$${Math.abs(n).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      const dateStr = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+      const PAGE_W = 612, PAGE_H = 792, MARGIN = 50;
+      let page = pdfDoc.addPage([PAGE_W, PAGE_H]);
+      let y = PAGE_H - MARGIN;
+
+      // Header
+      page.drawText('TroyStack', { x: MARGIN, y, size: 24, font: helveticaBold, color: gold });
+      page.drawText(`Capital Gains — Tax Year ${year}`, { x: MARGIN + 110, y: y + 2, size: 16, font: helvetica, color: dark });
+      y -= 20;
+      page.drawText(`Generated ${dateStr}`, { x: MARGIN, y, size: 10, font: helvetica, color: muted });
+      y -= 30;
+
+      // Summary box
+      page.drawRectangle({ x: MARGIN, y: y - 104, width: PAGE_W - MARGIN * 2, height: 104, color: lightGray, borderColor: gold, borderWidth: 1 });
+      page.drawText('Summary', { x: MARGIN + 12, y: y - 18, size: 12, font: helveticaBold, color: dark });
+      const sumColX = { label: MARGIN + 12, proceeds: MARGIN + 190, basis: MARGIN + 290, gain: MARGIN + 390 };
+      let sy = y - 38;
+      page.drawText('Proceeds', { x: sumColX.proceeds, y: sy, size: 9, font: helveticaBold, color: muted });
+      page.drawText('Adjusted Basis', { x: sumColX.basis, y: sy, size: 9, font: helveticaBold, color: muted });
+      page.drawText('Gain / (Loss)', { x: sumColX.gain, y: sy, size: 9, font: helveticaBold, color: muted });
+      sy -= 16;
+      [
+        { label: `Short-term (Part I) — ${summary.short.count} lot${summary.short.count === 1 ? '' : 's'}`, bucket: summary.short },
+        { label: `Long-term (Part II) — ${summary.long.count} lot${summary.long.count === 1 ? '' : 's'}`, bucket: summary.long },
+        { label: 'Total', bucket: summary.total, bold: true },
+      ].forEach(line => {
+        const font = line.bold ? helveticaBold : helvetica;
+        page.drawText(line.label, { x: sumColX.label, y: sy, size: 10, font, color: dark });
+        page.drawText(money(line.bucket.proceeds), { x: sumColX.proceeds, y: sy, size: 10, font, color: dark });
+        page.drawText(money(line.bucket.costBasis), { x: sumColX.basis, y: sy, size: 10, font, color: dark });
+        page.drawText(money(line.bucket.gain), { x: sumColX.gain, y: sy, size: 10, font: helveticaBold, color: line.bucket.gain >= 0 ? green : red });
+        sy -= 15;
+      });
+      y -= 120;
+
+      // Collectibles treatment
+      const notes = [
+        `Bullion and coins are collectibles: long-term gains are taxed at up to ${Math.round(COLLECTIBLES_MAX_RATE * 100)}%, short-term gains as ordinary income.`,
+        `28% Rate Gain Worksheet (Schedule D): ${money(summary.collectiblesGain)}. Rows carry code "C" in Form 8949 column (f).`,
+        'Adjusted basis includes purchase price, sales tax and shipping. Proceeds are net of selling fees.',
+      ];
+      if (summary.missingDates > 0) {
+        notes.push(`${summary.missingDates} lot${summary.missingDates === 1 ? ' has' : 's have'} no purchase date and ${summary.missingDates === 1 ? 'is' : 'are'} reported short-term (acquired "VARIOUS").`);
+      }
+      notes.forEach(note => {
+        page.drawText(note, { x: MARGIN, y, size: 8, font: helvetica, color: muted, maxWidth: PAGE_W - MARGIN * 2 });
+        y -= 12;
+      });
+      y -= 12;
+
+      // Lots by holding period
+      const colX = { desc: MARGIN, acquired: MARGIN + 222, sold: MARGIN + 282, proceeds: MARGIN + 342, basis: MARGIN + 402, gain: MARGIN + 462 };
+      const drawTableHeader = () => {
+        page.drawRectangle({ x: MARGIN, y: y - 4, width: PAGE_W - MARGIN * 2, height: 16, color: gold });
+        page.drawText('Description', { x: colX.desc + 4, y, size: 9, font: helveticaBold, color: hdrColor });
+        page.drawText('Acquired', { x: colX.acquired + 4, y, size: 9, font: helveticaBold, color: hdrColor });
+        page.drawText('Sold', { x: colX.sold + 4, y, size: 9, font: helveticaBold, color: hdrColor });
+        page.drawText('Proceeds', { x: colX.proceeds + 4, y, size: 9, font: helveticaBold, color: hdrColor });
+        page.drawText('Basis', { x: colX.basis + 4, y, size: 9, font: helveticaBold, color: hdrColor });
+        page.drawText('Gain/(Loss)', { x: colX.gain + 4, y, size: 9, font: helveticaBold, color: hdrColor });
+        y -= 18;
+      };
+
+      [
+        { term: 'short', title: 'Part I — Short-term (held one year or less)' },
+        { term: 'long', title: 'Part II — Long-term (held more than one year)' },
+      ].forEach(part => {
+        const partRows = rows.filter(r => r.term === part.term);
+        if (partRows.length === 0) return;
+
+        if (y < MARGIN + 100) {
+          page = pdfDoc.addPage([PAGE_W, PAGE_H]);
+          y = PAGE_H - MARGIN;
+        }
+        page.drawText(part.title, { x: MARGIN, y, size: 12, font: helveticaBold, color: dark });
+        y -= 18;
+        drawTableHeader();
+
+        partRows.forEach((row, i) => {
+          if (y < MARGIN + 40) {
+            page = pdfDoc.addPage([PAGE_W, PAGE_H]);
+            y = PAGE_H - MARGIN;
+            drawTableHeader();
+          }
+          if (i % 2 === 0) {
+            page.drawRectangle({ x: MARGIN, y: y - 3, width: PAGE_W - MARGIN * 2, height: 14, color: lightGray });
+          }
+          page.drawText(row.description.substring(0, 42), { x: colX.desc + 4, y, size: 7, font: helvetica, color: dark });
+          page.drawText(row.dateAcquired || 'VARIOUS', { x: colX.acquired + 4, y, size: 7, font: helvetica, color: dark });
+          page.drawText(row.dateSold, { x: colX.sold + 4, y, size: 7, font: helvetica, color: dark });
+          page.drawText(money(row.proceeds), { x: colX.proceeds + 4, y, size: 7, font: helvetica, color: dark });
+          page.drawText(money(row.costBasis), { x: colX.basis + 4, y, size: 7, font: helvetica, color: dark });
+          page.drawText(money(row.gain), { x: colX.gain + 4, y, size: 7, font: helvetica, color: row.gain >= 0 ? green : red });
+          y -= 14;
+        });
+        y -= 16;
+      });
+
+      // Footer on last page
+      const footerY = MARGIN - 20;
+      page.drawText('Generated by TroyStack — not tax advice. Review with your tax professional.', { x: MARGIN, y: footerY, size: 8, font: helvetica, color: muted });
+
+      const pdfBytes = await pdfDoc.save();
+
+      // Convert Uint8Array to base64
+      let binary = '';
+      const chunkSize = 8192;
+      for (let i = 0; i < pdfBytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, pdfBytes.subarray(i, i + chunkSize));
+      }
+      const base64 = btoa(binary);
+
+      const fileUri = `${FileSystem.documentDirectory}TroyStack_Capital_Gains_${year}.pdf`;
+      await FileSystem.writeAsStringAsync(fileUri, base64, { encoding: FileSystem.EncodingType.Base64 });
+
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      setTaxReportGenerating(false);
+
+      await Sharing.shareAsync(fileUri, { mimeType: 'application/pdf', dialogTitle: `Capital Gains ${year}` });
+    } catch (error) {
+      console.error('Tax report PDF error:', error);
+      setTaxReportGenerating(false);
+      Alert.alert('Export Failed', error.message || 'Could not generate tax report.');
+    }
+  };
+
+  // ============================================
+  // INSURANCE REPLACEMENT-COST REPORT
+  // ============================================
+  const openInsuranceReport = () => {
+    if (silverItems.length + goldItems.length + platinumItems.length + palladiumItems.length === 0) {
+      Alert.alert('No Holdings', 'Add holdings to generate an insurance report.');
+      return;
+    }
+    setInsuranceForm({
+      ...Object.fromEntries(PRODUCT_CLASSES.map(c => [c.key, String(insuranceSettings.premiums[c.key])])),
+      defaultCoverageLimit: insuranceSettings.defaultCoverageLimit ? String(insuranceSettings.defaultCoverageLimit) : '',
+    });
+    setShowInsuranceReportModal(true);
+  };
+
+  // Premium (%) for a product class, or the default coverage limit
+  const updateInsuranceInput = (key, value) => {
+    setInsuranceForm(prev => ({ ...prev, [key]: value }));
+    setInsuranceSettings(prev => normalizeInsuranceSettings(key === 'defaultCoverageLimit'
+      ? { ...prev, defaultCoverageLimit: value.replace(/[$,\s]/g, '') }
+      : { ...prev, premiums: { ...prev.premiums, [key]: value } }));
+  };
+
+  // The whole stack: coverage is checked for every location
+  const getInsuranceReportData = () => {
+    const holdings = { gold: goldItems, silver: silverItems, platinum: platinumItems, palladium: palladiumItems };
+    const spots = { gold: goldSpot, silver: silverSpot, platinum: platinumSpot, palladium: palladiumSpot };
+    const lots = buildInsuranceLots(holdings, spots, locations, insuranceSettings);
+    return { holdings, spots, lots, summary: summarizeInsurance(lots, locations, insuranceSettings) };
+  };
+
+  const exportInsuranceCSV = async () => {
+    try {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+
+      const { lots, summary } = getInsuranceReportData();
+      const fileDate = new Date().toISOString().split('T')[0];
+      const filepath = `${FileSystem.documentDirectory}TroyStack_Insurance_${fileDate}.csv`;
+      await FileSystem.writeAsStringAsync(filepath, buildInsuranceCSV(lots, summary));
+      await Sharing.shareAsync(filepath, { mimeType: 'text/csv', dialogTitle: 'Insurance Report' });
+
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } catch (error) {
+      if (__DEV__) console.error('Insurance report CSV error:', error);
+      Alert.alert('Export Failed', error.message || 'Could not export insurance report.');
+    }
+  };
+
+  const generateInsuranceReportPDF = async () => {
+    setInsuranceReportGenerating(true);
+    try {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+
+      const { holdings, spots } = getInsuranceReportData();
+      const pdfDoc = await buildInsuranceReport({
+        holdings,
+        spots,
+        locations,
+        settings: insuranceSettings,
+        formatCurrency,
+        currencyNote: getReportCurrencyNote(),
+        appVersion,
+      });
+      const pdfBytes = await pdfDoc.save();
+
+      // Convert Uint8Array to base64
+      let binary = '';
+      const chunkSize = 8192;
+      for (let i = 0; i < pdfBytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, pdfBytes.subarray(i, i + chunkSize));
+      }
+      const base64 = btoa(binary);
+
+      const fileDate = new Date().toISOString().split('T')[0];
+      const fileUri = `${FileSystem.documentDirectory}TroyStack_Insurance_${fileDate}.pdf`;
+      await FileSystem.writeAsStringAsync(fileUri, base64, { encoding: FileSystem.EncodingType.Base64 });
+
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      setInsuranceReportGenerating(false);
+
+      await Sharing.shareAsync(fileUri, { mimeType: 'application/pdf', dialogTitle: 'Insurance Report' });
+    } catch (error) {
+      console.error('Insurance report PDF error:', error);
+      setInsuranceReportGenerating(false);
+      Alert.alert('Export Failed', error.message || 'Could not generate insurance report.');
+    }
+  };
+
+  // ============================================
+  // LEGACY PACKAGE (see src/utils/legacyPackage.js)
+  // ============================================
+
+  // Re-read before writing — a scheduled refresh updates lastGeneratedAt
+  const updateLegacySettings = async (changes) => {
+    const next = { ...(await loadLegacySettings()), ...changes };
+    setLegacySettings(next);
+    await saveLegacySettings(next);
+    return next;
+  };
+
+  // Gold/Lifetime only, like the Stack Ledger it builds on
+  const openLegacyPackage = () => {
+    if (!hasGoldAccess) {
+      setShowPaywallModal(true);
+      return;
+    }
+    if (silverItems.length + goldItems.length + platinumItems.length + palladiumItems.length === 0) {
+      Alert.alert('No Holdings', 'Add holdings first, then create your legacy package.');
+      return;
+    }
+    setLegacyPassword('');
+    setLegacyPasswordConfirm('');
+    setShowLegacyPackageModal(true);
+  };
+
+  // The text fields are edited in state and saved when the modal closes
+  const closeLegacyPackage = () => {
+    if (legacyGenerating) return;
+    const { instructions, contacts, locationAccess, frequency, icloud } = legacySettings;
+    updateLegacySettings({ instructions, contacts, locationAccess, frequency, icloud });
+    setShowLegacyPackageModal(false);
+    setLegacyPassword('');
+    setLegacyPasswordConfirm('');
+  };
+
+  // The whole stack at today's prices, encrypted with the saved key and kept
+  // on this device (and iCloud Drive) until the next one replaces it
+  const writeLegacyPackage = async (settings) => {
+    const knownDealers = [
+      ...Object.values(DEALER_TEMPLATES).map(t => t.autoDealer).filter(Boolean),
+      ...(dealerData?.products || []).flatMap(p => (p.dealers || []).map(d => d.name)),
+    ];
+    const pdfDoc = await buildLegacyPackage({
+      settings,
+      knownDealers,
+      holdings: { gold: goldItems, silver: silverItems, platinum: platinumItems, palladium: palladiumItems },
+      spots: { gold: goldSpot, silver: silverSpot, platinum: platinumSpot, palladium: palladiumSpot },
+      sales,
+      locations,
+      snapshots: await getReportSnapshots(),
+      formatCurrency,
+      currencyNote: getReportCurrencyNote(),
+      appVersion,
+    });
+    const pdfBytes = await savePdfWithKey(pdfDoc, settings.pdfKey);
+
+    // Convert Uint8Array to base64
+    let binary = '';
+    const chunkSize = 8192;
+    for (let i = 0; i < pdfBytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, pdfBytes.subarray(i, i + chunkSize));
+    }
+    return saveLegacyPackageFile(btoa(binary), { icloud: settings.icloud && iCloudAvailable });
+  };
+
+  // A blank password keeps the one the saved package already uses
+  const generateLegacyPackage = async () => {
+    if (legacyPassword || !legacySettings.pdfKey) {
+      if (legacyPassword.length < PDF_MIN_PASSWORD_LENGTH) {
+        Alert.alert('Password Too Short', `Use at least ${PDF_MIN_PASSWORD_LENGTH} characters.`);
+        return;
+      }
+      if (legacyPassword !== legacyPasswordConfirm) {
+        Alert.alert('Passwords Don\'t Match', 'Please enter the same password twice.');
+        return;
+      }
+    }
+    setLegacyGenerating(true);
+    try {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+
+      const { instructions, contacts, locationAccess, frequency, icloud } = legacySettings;
+      const pdfKey = legacyPassword ? derivePdfKey(legacyPassword) : legacySettings.pdfKey;
+      const settings = await updateLegacySettings({ instructions, contacts, locationAccess, frequency, icloud, pdfKey });
+      const { uri } = await writeLegacyPackage(settings);
+      await updateLegacySettings({ lastGeneratedAt: new Date().toISOString(), lastError: null });
 
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      setLegacyGenerating(false);
+      setLegacyPassword('');
+      setLegacyPasswordConfirm('');
+
+      await Sharing.shareAsync(uri, { mimeType: 'application/pdf', dialogTitle: 'Save Legacy Package' });
+    } catch (error) {
+      console.error('Legacy package error:', error);
+      setLegacyGenerating(false);
+      Alert.alert('Export Failed', error.message || 'Could not generate the legacy package.');
+    }
+  };
+
+  const shareLegacyPackage = async () => {
+    if (!(await hasLegacyPackageFile())) {
+      Alert.alert('No Package Saved', 'Generate the legacy package first.');
+      return;
+    }
+    await Sharing.shareAsync(getLegacyPackageUri(), { mimeType: 'application/pdf', dialogTitle: 'Save Legacy Package' });
+  };
+
+  // Scheduled refresh, so the values and holdings in the package stay current
+  const runLegacyPackage = async () => {
+    const settings = await loadLegacySettings();
+    if (!isLegacyPackageDue(settings) || !hasGoldAccess) return;
+    if (silverItems.length + goldItems.length + platinumItems.length + palladiumItems.length === 0) return;
+    try {
+      await writeLegacyPackage(settings);
+      await updateLegacySettings({ lastGeneratedAt: new Date().toISOString(), lastError: null });
     } catch (error) {
-      if (__DEV__) console.error('Export CSV error:', error);
-      Alert.alert('Export Failed', error.message || 'Could not export CSV file.');
+      if (__DEV__) console.error('[Legacy] Scheduled refresh failed:', error.message);
+      await updateLegacySettings({ lastError: error.message });
     }
   };
+  const runLegacyPackageRef = useRef(null);
+  runLegacyPackageRef.current = runLegacyPackage;
+
+  useEffect(() => {
+    loadLegacySettings().then(setLegacySettings);
+  }, []);
+
+  // Refresh when due — after loading and whenever the app returns to the foreground
+  useEffect(() => {
+    if (!isAuthenticated || !dataLoaded || guestMode) return;
+    runLegacyPackageRef.current?.();
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') runLegacyPackageRef.current?.();
+    });
+    return () => subscription.remove();
+  }, [isAuthenticated, dataLoaded, guestMode]);
 
   // ============================================
   // SHARE MY STACK
@@ -8461,6 +10505,77 @@ function AppContent() {
 
   const metalColorMap = { silver: colors.silver, gold: colors.gold, platinum: colors.platinum, palladium: colors.palladium };
   const currentColor = metalColorMap[metalTab] || colors.gold;
+
+  // Location filter chips (Dashboard, My Stack, Analytics) — hidden until a location exists
+  const renderLocationFilter = () => {
+    if (locations.length === 0 || demoData) return null;
+    const options = [
+      { key: ALL_LOCATIONS, label: 'All Locations' },
+      ...locations.map(l => ({ key: l.id, label: l.name })),
+      { key: UNASSIGNED_LOCATION, label: 'Unassigned' },
+    ];
+    return (
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginBottom: 12 }} contentContainerStyle={{ gap: 8 }}>
+        {options.map(o => (
+          <TouchableOpacity
+            key={String(o.key)}
+            onPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light); setLocationFilter(o.key); }}
+            style={{ paddingVertical: 6, paddingHorizontal: 12, borderRadius: 16, borderWidth: 1, borderColor: locationFilter === o.key ? colors.gold : colors.border, backgroundColor: locationFilter === o.key ? 'rgba(251,191,36,0.15)' : 'transparent' }}
+          >
+            <Text style={{ color: locationFilter === o.key ? colors.gold : colors.muted, fontSize: scaledFonts.small, fontWeight: '600' }}>{o.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    );
+  };
+  // Possible-duplicate notice with skip / merge / keep both (import and scan previews)
+  const renderDuplicateNotice = (match, action, onChange) => {
+    if (!match) return null;
+    const existing = match.item;
+    return (
+      <View style={{ backgroundColor: 'rgba(251,191,36,0.1)', borderRadius: 6, padding: 8, marginTop: 8 }}>
+        <Text style={{ color: colors.gold, fontSize: 11, fontWeight: '600' }}>
+          Possible duplicate ({Math.round(match.score * 100)}% match)
+        </Text>
+        <Text style={{ color: colors.muted, fontSize: 11, marginTop: 2 }} numberOfLines={2}>
+          Already in your stack: {existing.productName} • Qty {existing.quantity} @ {formatCurrency(existing.unitPrice || 0)}
+          {existing.datePurchased ? ` • ${existing.datePurchased}` : ''}{existing.source ? ` • ${existing.source}` : ''}
+        </Text>
+        <View style={{ flexDirection: 'row', gap: 6, marginTop: 6 }}>
+          {DUPLICATE_ACTIONS.map(a => {
+            const selected = (action || match.defaultAction) === a.key;
+            return (
+              <TouchableOpacity
+                key={a.key}
+                onPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light); onChange(a.key); }}
+                style={{ paddingVertical: 4, paddingHorizontal: 10, borderRadius: 12, borderWidth: 1, borderColor: selected ? colors.gold : colors.border, backgroundColor: selected ? 'rgba(251,191,36,0.2)' : 'transparent' }}
+              >
+                <Text style={{ color: selected ? colors.gold : colors.muted, fontSize: 11, fontWeight: '600' }}>{a.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </View>
+    );
+  };
+  // Highlight for a scanned field the server's validation wasn't sure of
+  const scanFieldColor = (item, field) => {
+    const level = item.confidence?.[field];
+    if (level === 'low') return colors.error;
+    if (level === 'medium') return colors.gold;
+    return null;
+  };
+  const scanReviewCount = scannedItems.filter(item => item.issues?.length > 0).length;
+  const importDuplicateMatches = showImportPreview ? getDuplicateMatches(importData) : [];
+  const scanDuplicateMatches = showScannedItemsPreview ? getDuplicateMatches(scannedItems) : [];
+  // Files the ledger appendix would include (a receipt on several holdings counts once)
+  const ledgerAttachmentCount = showLedgerPasswordModal
+    ? new Set([...viewGoldItems, ...viewSilverItems, ...viewPlatinumItems, ...viewPalladiumItems].flatMap(i => (i.attachments || []).map(a => a.id))).size
+    : 0;
+  // Rows that will become new holdings (flagged duplicates only when set to Keep Both)
+  const countRowsToAdd = (rows, matches) =>
+    rows.filter((row, i) => !matches[i] || (row.duplicateAction || matches[i].defaultAction) === 'keep').length;
+
   const metalItemsMap = { silver: silverItems, gold: goldItems, platinum: platinumItems, palladium: palladiumItems };
   const items = metalItemsMap[metalTab] || [];
   const metalSpotMap = { silver: silverSpot, gold: goldSpot, platinum: platinumSpot, palladium: palladiumSpot };
@@ -8672,7 +10787,7 @@ function AppContent() {
           const aiSummary = effMarketsClosed
             ? 'Markets are closed. Prices reflect Friday\u2019s close.'
             : effTotalMeltValue > 0 && effDailyChange !== 0
-            ? `Your stack ${gainedLost} $${formatCurrency(Math.abs(effDailyChange), 0)} today, driven by ${biggestMover?.label}'s ${Math.abs(biggestMover?.pct || 0).toFixed(1)}% ${rallyDecline}.`
+            ? `Your stack ${gainedLost} ${formatCurrency(Math.abs(effDailyChange), 0)} today, driven by ${biggestMover?.label}'s ${Math.abs(biggestMover?.pct || 0).toFixed(1)}% ${rallyDecline}.`
             : effTotalMeltValue > 0
             ? 'Markets are steady today. Your stack value is unchanged.'
             : 'Add holdings to see your daily stack changes.';
@@ -8713,6 +10828,8 @@ function AppContent() {
           return (
             <View style={{ backgroundColor: isDarkMode ? '#0d0d0d' : colors.bg, marginHorizontal: -20, paddingHorizontal: 16, paddingTop: 4, minHeight: Dimensions.get('window').height - 200 }}>
 
+              {renderLocationFilter()}
+
               {/* ===== SECTION 1: STACK PULSE ===== */}
               <View onLayout={(e) => { sectionOffsets.current['portfolioPulse'] = e.nativeEvent.layout.y; }} style={{
                 backgroundColor: todayCardBg,
@@ -8727,7 +10844,12 @@ function AppContent() {
 
                 <Text style={{ color: colors.muted, fontSize: scaledFonts.small, fontWeight: '500', marginBottom: 4, marginTop: 4 }}>Today, {dateStr}</Text>
 
-                <Text style={{ color: colors.text, fontSize: scaledFonts.huge, fontWeight: '700', marginBottom: 2 }}>${formatCurrency(effTotalMeltValue, 0)}</Text>
+                <Text style={{ color: colors.text, fontSize: scaledFonts.huge, fontWeight: '700', marginBottom: 2 }}>{formatCurrency(effTotalMeltValue, 0)}</Text>
+                {!demoData && collectibleCount > 0 && (
+                  <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 2 }}>
+                    Est. market value {formatCurrency(totalMarketValue, 0)}
+                  </Text>
+                )}
 
                 {effSparklineData && effSparklineData.gold.length >= 2 && effTotalMeltValue > 0 && (() => {
                   const goldPts = effSparklineData.gold;
@@ -8751,7 +10873,7 @@ function AppContent() {
                       svgH={60}
                       strokeColor={sparkColor}
                       gradientId="portfolioGrad"
-                      formatValue={(v) => `$${formatCurrency(v, 0)}`}
+                      formatValue={(v) => formatCurrency(v, 0)}
                       label="Stack"
                       baselineValue={portfolioPoints[0]}
                       style={{ marginBottom: 4 }}
@@ -8766,7 +10888,7 @@ function AppContent() {
                 ) : (
                   <View style={{ flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 12 }}>
                     <Text style={{ color: displayDailyChange >= 0 ? '#4CAF50' : '#F44336', fontSize: scaledFonts.medium, fontWeight: '600' }}>
-                      {displayDailyChange >= 0 ? '▲' : '▼'} ${formatCurrency(Math.abs(displayDailyChange), 0)}
+                      {displayDailyChange >= 0 ? '▲' : '▼'} {formatCurrency(Math.abs(displayDailyChange), 0)}
                     </Text>
                     <Text style={{ color: displayDailyChange >= 0 ? '#4CAF50' : '#F44336', fontSize: scaledFonts.small }}>
                       ({displayDailyChangePct >= 0 ? '+' : ''}{displayDailyChangePct.toFixed(2)}%)
@@ -8930,7 +11052,7 @@ function AppContent() {
                             svgH={32}
                             strokeColor={sparkColor}
                             gradientId={`metalGrad_${m.symbol}`}
-                            formatValue={(v) => `$${m.symbol === 'Ag' ? v.toFixed(2) : formatCurrency(v, 0)}`}
+                            formatValue={(v) => formatCurrency(v, m.symbol === 'Ag' ? 2 : 0)}
                             label={m.label}
                             baselineValue={points[0]}
                             style={{ alignItems: 'center', marginBottom: 6 }}
@@ -8938,7 +11060,7 @@ function AppContent() {
                         )}
 
                         <Text style={{ color: colors.text, fontSize: scaledFonts.large, fontWeight: '700', marginBottom: 4 }}>
-                          ${m.symbol === 'Ag' ? m.spot.toFixed(2) : formatCurrency(m.spot, 0)}
+                          {formatCurrency(m.spot, m.symbol === 'Ag' ? 2 : 0)}
                         </Text>
 
                         <View style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
@@ -9016,7 +11138,7 @@ function AppContent() {
                                   </Text>
                                 ) : (
                                   <Text style={{ color: m.dollarChange >= 0 ? '#4CAF50' : '#F44336', fontSize: scaledFonts.normal, fontWeight: '600', marginLeft: 16, marginTop: 4 }}>
-                                    {m.dollarChange >= 0 ? 'gained' : 'lost'} ${formatCurrency(Math.abs(m.dollarChange), 0)} ({m.pct >= 0 ? '+' : ''}{m.pct.toFixed(1)}%)
+                                    {m.dollarChange >= 0 ? 'gained' : 'lost'} {formatCurrency(Math.abs(m.dollarChange), 0)} ({m.pct >= 0 ? '+' : ''}{m.pct.toFixed(1)}%)
                                   </Text>
                                 )}
                               </>
@@ -9069,7 +11191,7 @@ function AppContent() {
                   if (Math.abs(best.dollarChange) > 0 && totalChange !== 0) {
                     const pctOfMove = Math.round(Math.abs(best.dollarChange) / Math.abs(totalChange) * 100);
                     const ozStr = best.label === 'Silver' ? formatOunces(best.ozt, 0) : formatOunces(best.ozt, 2);
-                    liner = <Text style={{ color: colors.muted, fontSize: scaledFonts.small, lineHeight: scaledFonts.small * 1.5, fontStyle: 'italic', flex: 1 }}>Your {best.label.toLowerCase()} ({ozStr} oz) {best.dollarChange >= 0 ? 'gained' : 'lost'} <Text style={{ fontWeight: '700' }}>${formatCurrency(Math.abs(best.dollarChange), 0)}</Text> — driving {pctOfMove}% of today's move.</Text>;
+                    liner = <Text style={{ color: colors.muted, fontSize: scaledFonts.small, lineHeight: scaledFonts.small * 1.5, fontStyle: 'italic', flex: 1 }}>Your {best.label.toLowerCase()} ({ozStr} oz) {best.dollarChange >= 0 ? 'gained' : 'lost'} <Text style={{ fontWeight: '700' }}>{formatCurrency(Math.abs(best.dollarChange), 0)}</Text> — driving {pctOfMove}% of today's move.</Text>;
                   } else if (allGreen) {
                     liner = <Text style={{ color: colors.muted, fontSize: scaledFonts.small, lineHeight: scaledFonts.small * 1.5, fontStyle: 'italic', flex: 1 }}>All four metals green today — your stack is working.</Text>;
                   } else if (!allRed) {
@@ -9413,10 +11535,10 @@ function AppContent() {
         {currentScreen === 'MyStack' && (() => {
           // Compile all items with metal tag
           const allItemsRaw = [
-            ...silverItems.map(i => ({ ...i, metal: 'silver' })),
-            ...goldItems.map(i => ({ ...i, metal: 'gold' })),
-            ...platinumItems.map(i => ({ ...i, metal: 'platinum' })),
-            ...palladiumItems.map(i => ({ ...i, metal: 'palladium' })),
+            ...viewSilverItems.map(i => ({ ...i, metal: 'silver' })),
+            ...viewGoldItems.map(i => ({ ...i, metal: 'gold' })),
+            ...viewPlatinumItems.map(i => ({ ...i, metal: 'platinum' })),
+            ...viewPalladiumItems.map(i => ({ ...i, metal: 'palladium' })),
           ];
 
           // Metal pill filter
@@ -9490,6 +11612,16 @@ function AppContent() {
             ['Coin', 'Bar', 'Round', 'Constitutional', 'Proof', 'Other'].forEach(t => {
               if (groups[t]) sections.push({ key: t, label: t, color: colors.gold, items: groups[t] });
             });
+          } else if (stackGroupBy === 'location') {
+            const groups = {};
+            sorted.forEach(item => {
+              const key = findLocation(locations, item.locationId) ? item.locationId : UNASSIGNED_LOCATION;
+              if (!groups[key]) groups[key] = [];
+              groups[key].push(item);
+            });
+            [...locations.map(l => l.id), UNASSIGNED_LOCATION].forEach(id => {
+              if (groups[id]) sections.push({ key: String(id), label: getLocationName(locations, id), color: colors.gold, items: groups[id] });
+            });
           } else if (stackGroupBy === 'dealer') {
             const groups = {};
             sorted.forEach(item => {
@@ -9503,7 +11635,7 @@ function AppContent() {
           }
 
           // Key metrics
-          const totalItems = silverItems.length + goldItems.length + platinumItems.length + palladiumItems.length;
+          const totalItems = viewSilverItems.length + viewGoldItems.length + viewPlatinumItems.length + viewPalladiumItems.length;
           const totalPieces = allItemsRaw.reduce((sum, i) => sum + (i.quantity || 1), 0);
           const primaryMetal = totalSilverOzt >= totalGoldOzt && totalSilverOzt >= totalPlatinumOzt && totalSilverOzt >= totalPalladiumOzt ? 'silver'
             : totalGoldOzt >= totalPlatinumOzt && totalGoldOzt >= totalPalladiumOzt ? 'gold'
@@ -9511,7 +11643,7 @@ function AppContent() {
           const primaryDCA = { silver: avgSilverCostPerOz, gold: avgGoldCostPerOz, platinum: avgPlatinumCostPerOz, palladium: avgPalladiumCostPerOz }[primaryMetal];
 
           // Avg premium/oz for primary metal
-          const primaryItems = { silver: silverItems, gold: goldItems, platinum: platinumItems, palladium: palladiumItems }[primaryMetal];
+          const primaryItems = { silver: viewSilverItems, gold: viewGoldItems, platinum: viewPlatinumItems, palladium: viewPalladiumItems }[primaryMetal];
           const itemsWithSpot = primaryItems.filter(i => i.spotPrice > 0);
           const avgPremPerOz = itemsWithSpot.length > 0
             ? itemsWithSpot.reduce((sum, i) => sum + ((i.unitPrice - i.spotPrice) * i.quantity), 0) / itemsWithSpot.reduce((sum, i) => sum + i.quantity, 0)
@@ -9581,6 +11713,12 @@ function AppContent() {
                       <Text style={{ color: '#888', fontSize: scaledFonts.tiny }}>{formatDateDisplay(item.datePurchased)}</Text>
                     </>
                   ) : null}
+                  {findLocation(locations, item.locationId) && stackGroupBy !== 'location' ? (
+                    <>
+                      <Text style={{ color: '#555', fontSize: scaledFonts.tiny }}>·</Text>
+                      <Text style={{ color: '#888', fontSize: scaledFonts.tiny }} numberOfLines={1}>{findLocation(locations, item.locationId).name}</Text>
+                    </>
+                  ) : null}
                 </View>
 
                 {/* Product name */}
@@ -9595,7 +11733,7 @@ function AppContent() {
                     )}
                   </View>
                   <View style={{ alignItems: 'flex-end' }}>
-                    <Text style={{ color: '#fff', fontSize: scaledFonts.normal, fontWeight: '700' }}>${formatSmartCurrency(meltValue)}</Text>
+                    <Text style={{ color: '#fff', fontSize: scaledFonts.normal, fontWeight: '700' }}>{formatSmartCurrency(meltValue)}</Text>
                     <Text style={{ color: isGain ? colors.success : colors.error, fontSize: scaledFonts.small, fontWeight: '600', marginTop: 2 }}>
                       {isGain ? '+' : ''}{formatCurrency(gainLoss)} ({isGain ? '+' : ''}{gainLossPct.toFixed(1)}%)
                     </Text>
@@ -9604,13 +11742,13 @@ function AppContent() {
 
                 {/* Bottom line: cost basis detail */}
                 <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, borderTopWidth: 1, borderTopColor: 'rgba(255,255,255,0.05)', paddingTop: 8 }}>
-                  <Text style={{ color: '#666', fontSize: scaledFonts.tiny }}>Cost: ${formatCurrency(costPerOz)}/oz</Text>
+                  <Text style={{ color: '#666', fontSize: scaledFonts.tiny }}>Cost: {formatCurrency(costPerOz)}/oz</Text>
                   {item.spotPrice > 0 && (
                     <>
                       <Text style={{ color: '#444', fontSize: scaledFonts.tiny }}>·</Text>
-                      <Text style={{ color: '#666', fontSize: scaledFonts.tiny }}>Spot: ${formatCurrency(item.spotPrice)}</Text>
+                      <Text style={{ color: '#666', fontSize: scaledFonts.tiny }}>Spot: {formatCurrency(item.spotPrice)}</Text>
                       <Text style={{ color: '#444', fontSize: scaledFonts.tiny }}>·</Text>
-                      <Text style={{ color: '#666', fontSize: scaledFonts.tiny }}>Prem: ${formatCurrency(item.unitPrice - item.spotPrice)}</Text>
+                      <Text style={{ color: '#666', fontSize: scaledFonts.tiny }}>Prem: {formatCurrency(item.unitPrice - item.spotPrice)}</Text>
                     </>
                   )}
                 </View>
@@ -9620,6 +11758,8 @@ function AppContent() {
 
           return (
             <>
+              {renderLocationFilter()}
+
               {/* ===== SECTION 1: STACK SUMMARY HEADER ===== */}
               <View onLayout={(e) => { sectionOffsets.current['portfolioSummary'] = e.nativeEvent.layout.y; }} style={{ backgroundColor: '#141414', borderRadius: 16, padding: 20, marginBottom: 16, borderWidth: 1, borderColor: '#222' }}>
                 {/* Row 1: Total Value + P&L */}
@@ -9631,9 +11771,14 @@ function AppContent() {
                       numberOfLines={1}
                       adjustsFontSizeToFit={true}
                     >
-                      ${formatSmartCurrency(demoData ? demoData.totalMeltValue : totalMeltValue)}
+                      {formatSmartCurrency(demoData ? demoData.totalMeltValue : totalMeltValue)}
                     </Text>
-                    <Text style={{ color: '#888', fontSize: scaledFonts.tiny, marginTop: 2 }}>Total Value</Text>
+                    <Text style={{ color: '#888', fontSize: scaledFonts.tiny, marginTop: 2 }}>{!demoData && collectibleCount > 0 ? 'Melt Value' : 'Total Value'}</Text>
+                    {!demoData && collectibleCount > 0 && (
+                      <Text style={{ color: '#888', fontSize: scaledFonts.small, marginTop: 4 }}>
+                        <Text style={{ color: '#fff', fontWeight: '600' }}>{formatSmartCurrency(totalMarketValue)}</Text> est. market
+                      </Text>
+                    )}
                   </View>
                   {totalCostBasis > 0 && (
                     <View style={{ alignItems: 'flex-end' }}>
@@ -9692,13 +11837,13 @@ function AppContent() {
                     <View style={{ flexDirection: 'row', gap: 10 }}>
                       <View style={{ backgroundColor: '#1A1A1A', borderRadius: 12, padding: 12, minWidth: 100, borderWidth: 1, borderColor: '#333' }}>
                         <Text style={{ color: '#888', fontSize: scaledFonts.tiny, marginBottom: 4 }}>DCA/oz</Text>
-                        <Text style={{ color: colors.gold, fontSize: scaledFonts.normal, fontWeight: '700' }}>${formatCurrency(primaryDCA)}</Text>
+                        <Text style={{ color: colors.gold, fontSize: scaledFonts.normal, fontWeight: '700' }}>{formatCurrency(primaryDCA)}</Text>
                         <Text style={{ color: '#666', fontSize: 10 }}>{metalLabels[primaryMetal]}</Text>
                       </View>
                       <View style={{ backgroundColor: '#1A1A1A', borderRadius: 12, padding: 12, minWidth: 100, borderWidth: 1, borderColor: '#333' }}>
                         <Text style={{ color: '#888', fontSize: scaledFonts.tiny, marginBottom: 4 }}>Avg Prem</Text>
                         <Text style={{ color: colors.gold, fontSize: scaledFonts.normal, fontWeight: '700' }}>
-                          {avgPremPerOz !== null ? `$${formatCurrency(avgPremPerOz)}/oz` : '\u2014'}
+                          {avgPremPerOz !== null ? `${formatCurrency(avgPremPerOz)}/oz` : '\u2014'}
                         </Text>
                         <Text style={{ color: '#666', fontSize: 10 }}>{metalLabels[primaryMetal]}</Text>
                       </View>
@@ -9830,6 +11975,7 @@ function AppContent() {
                         { key: 'metal', label: 'Metal' },
                         { key: 'type', label: 'Type' },
                         { key: 'dealer', label: 'Dealer' },
+                        ...(locations.length > 0 ? [{ key: 'location', label: 'Location' }] : []),
                       ].map(g => (
                         <TouchableOpacity
                           key={g.key}
@@ -9863,13 +12009,13 @@ function AppContent() {
                 )}
               </View>
 
-              {/* Add Purchase + Import CSV */}
+              {/* Add Purchase + Import File */}
               <View style={{ flexDirection: 'row', gap: 8, marginBottom: 16 }}>
                 <TouchableOpacity style={[styles.button, { flex: 1, backgroundColor: colors.gold }]} onPress={handleAddPurchase}>
                   <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>+ Add Purchase</Text>
                 </TouchableOpacity>
                 <TouchableOpacity style={[styles.buttonOutline, { flex: 1, borderColor: colors.gold, borderWidth: 1.5 }]} onPress={importSpreadsheet}>
-                  <Text style={{ color: colors.gold, fontWeight: '600', fontSize: scaledFonts.normal }}>Import CSV</Text>
+                  <Text style={{ color: colors.gold, fontWeight: '600', fontSize: scaledFonts.normal }}>Import File</Text>
                 </TouchableOpacity>
               </View>
 
@@ -9924,7 +12070,7 @@ function AppContent() {
                           </View>
                           <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
                             <Text style={{ color: '#fff', fontSize: scaledFonts.small, fontWeight: '600' }}>
-                              ${formatSmartCurrency(sectionValue)}
+                              {formatSmartCurrency(sectionValue)}
                             </Text>
                             <Text style={{ color: '#888', fontSize: 12 }}>{isCollapsed ? '\u25B6' : '\u25BC'}</Text>
                           </View>
@@ -9978,6 +12124,8 @@ function AppContent() {
               </>
             )}
 
+            {renderLocationFilter()}
+
             {/* Stack Intelligence */}
             <View onLayout={(e) => { sectionOffsets.current['portfolioIntelligence'] = e.nativeEvent.layout.y; }}>
               {effHasGoldAccess ? (
@@ -10120,7 +12268,8 @@ function AppContent() {
                   ) : effAnalyticsSnapshots.length > 1 ? (
                     <View style={{ marginTop: 4 }}>
                       <ScrubChart
-                        data={effAnalyticsSnapshots.map(s => ({ date: s.date, value: s.total_value || 0 }))}
+                        data={effAnalyticsSnapshots.map(s => ({ date: s.date, value: (s.total_value || 0) * fxRate }))}
+                        currencySymbol={currencySymbol}
                         color="#D4A843"
                         fillColor="rgba(212, 168, 67, 0.15)"
                         width={SCREEN_WIDTH - 80}
@@ -10133,7 +12282,7 @@ function AppContent() {
                   ) : (
                     <View style={{ alignItems: 'center', paddingVertical: 40 }}>
                       <Text style={{ color: colors.muted, textAlign: 'center', fontSize: scaledFonts.normal }}>
-                        {silverItems.length === 0 && goldItems.length === 0
+                        {viewSilverItems.length === 0 && viewGoldItems.length === 0
                           ? 'Add some holdings to see your stack analytics!'
                           : 'Pull down to refresh'}
                       </Text>
@@ -10163,7 +12312,7 @@ function AppContent() {
                         <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}>
                           <View style={{ width: 10, height: 10, borderRadius: 5, backgroundColor: metal.color }} />
                           <Text style={{ color: colors.text, fontSize: scaledFonts.medium, fontWeight: '700' }}>{metal.label}</Text>
-                          <Text style={{ color: colors.text, fontSize: scaledFonts.normal, fontWeight: '600' }}>${formatCurrency(metal.spot)}</Text>
+                          <Text style={{ color: colors.text, fontSize: scaledFonts.normal, fontWeight: '600' }}>{formatCurrency(metal.spot)}</Text>
                         </View>
                         {mData && mData.length > 1 && (
                           <Text style={{ color: pctChange >= 0 ? '#4CAF50' : '#F44336', fontSize: scaledFonts.small, fontWeight: '600' }}>
@@ -10205,7 +12354,8 @@ function AppContent() {
                       ) : mData && mData.length > 1 ? (
                         <View style={{ marginTop: 8 }}>
                           <ScrubChart
-                            data={mData}
+                            data={fxRate === 1 ? mData : mData.map(d => ({ ...d, value: d.value * fxRate }))}
+                            currencySymbol={currencySymbol}
                             color={metal.color}
                             fillColor={metal.fillColor}
                             width={SCREEN_WIDTH - 80}
@@ -10290,16 +12440,16 @@ function AppContent() {
                   </View>
 
                   {/* Gold Analysis */}
-                  {goldItems.length > 0 && (
+                  {viewGoldItems.length > 0 && (
                     <View style={{ marginBottom: 16 }}>
                       <Text style={{ color: colors.gold, fontWeight: '600', marginBottom: 8, fontSize: scaledFonts.normal }}>Gold</Text>
                       {(() => {
-                        const totalGoldCost = goldItems.reduce((sum, item) => sum + ((item.unitPrice || 0) * (item.quantity || 1)), 0);
+                        const totalGoldCost = viewGoldItems.reduce((sum, item) => sum + ((item.unitPrice || 0) * (item.quantity || 1)), 0);
                         const goldMeltValue = totalGoldOzt * goldSpot;
                         const goldPL = goldMeltValue - totalGoldCost;
                         const goldPLPercent = totalGoldCost > 0 ? (goldPL / totalGoldCost) * 100 : 0;
                         const avgGoldCostPerOz = totalGoldOzt > 0 ? totalGoldCost / totalGoldOzt : 0;
-                        const goldWithPremium = goldItems.filter(i => (i.premium || 0) > 0);
+                        const goldWithPremium = viewGoldItems.filter(i => (i.premium || 0) > 0);
                         const avgGoldPremium = goldWithPremium.length > 0 ? goldWithPremium.reduce((sum, i) => sum + i.premium * i.quantity, 0) / goldWithPremium.reduce((sum, i) => sum + i.quantity, 0) : null;
                         // Redact values for free users
                         const redact = !effHasGoldAccess;
@@ -10307,25 +12457,25 @@ function AppContent() {
                           <>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Total Cost</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(totalGoldCost)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(totalGoldCost)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Current Value</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(goldMeltValue)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(goldMeltValue)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Avg Cost/oz</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(avgGoldCostPerOz)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(avgGoldCostPerOz)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Unrealized P/L</Text>
                               <Text style={{ color: redact ? colors.muted : (goldPL >= 0 ? colors.success : colors.error), fontSize: scaledFonts.normal }}>
-                                {redact ? '$••••• (•••%)' : `${goldPL >= 0 ? '+' : ''}$${formatCurrency(goldPL)} (${goldPLPercent >= 0 ? '+' : ''}${goldPLPercent.toFixed(1)}%)`}
+                                {redact ? `${currencySymbol}••••• (•••%)` : `${goldPL >= 0 ? '+' : ''}${formatCurrency(goldPL)} (${goldPLPercent >= 0 ? '+' : ''}${goldPLPercent.toFixed(1)}%)`}
                               </Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Avg Premium Over Spot</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{avgGoldPremium === null ? 'N/A' : (redact ? '$•••••' : `$${formatCurrency(avgGoldPremium)}/unit`)}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{avgGoldPremium === null ? 'N/A' : (redact ? `${currencySymbol}•••••` : `${formatCurrency(avgGoldPremium)}/unit`)}</Text>
                             </View>
                           </>
                         );
@@ -10334,16 +12484,16 @@ function AppContent() {
                   )}
 
                   {/* Silver Analysis */}
-                  {silverItems.length > 0 && (
+                  {viewSilverItems.length > 0 && (
                     <View>
                       <Text style={{ color: colors.silver, fontWeight: '600', marginBottom: 8, fontSize: scaledFonts.normal }}>Silver</Text>
                       {(() => {
-                        const totalSilverCost = silverItems.reduce((sum, item) => sum + ((item.unitPrice || 0) * (item.quantity || 1)), 0);
+                        const totalSilverCost = viewSilverItems.reduce((sum, item) => sum + ((item.unitPrice || 0) * (item.quantity || 1)), 0);
                         const silverMeltValue = totalSilverOzt * silverSpot;
                         const silverPL = silverMeltValue - totalSilverCost;
                         const silverPLPercent = totalSilverCost > 0 ? (silverPL / totalSilverCost) * 100 : 0;
                         const avgSilverCostPerOz = totalSilverOzt > 0 ? totalSilverCost / totalSilverOzt : 0;
-                        const silverWithPremium = silverItems.filter(i => (i.premium || 0) > 0);
+                        const silverWithPremium = viewSilverItems.filter(i => (i.premium || 0) > 0);
                         const avgSilverPremium = silverWithPremium.length > 0 ? silverWithPremium.reduce((sum, i) => sum + i.premium * i.quantity, 0) / silverWithPremium.reduce((sum, i) => sum + i.quantity, 0) : null;
                         // Redact values for free users
                         const redact = !effHasGoldAccess;
@@ -10351,25 +12501,25 @@ function AppContent() {
                           <>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Total Cost</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(totalSilverCost)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(totalSilverCost)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Current Value</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(silverMeltValue)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(silverMeltValue)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Avg Cost/oz</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(avgSilverCostPerOz)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(avgSilverCostPerOz)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Unrealized P/L</Text>
                               <Text style={{ color: redact ? colors.muted : (silverPL >= 0 ? colors.success : colors.error), fontSize: scaledFonts.normal }}>
-                                {redact ? '$••••• (•••%)' : `${silverPL >= 0 ? '+' : ''}$${formatCurrency(silverPL)} (${silverPLPercent >= 0 ? '+' : ''}${silverPLPercent.toFixed(1)}%)`}
+                                {redact ? `${currencySymbol}••••• (•••%)` : `${silverPL >= 0 ? '+' : ''}${formatCurrency(silverPL)} (${silverPLPercent >= 0 ? '+' : ''}${silverPLPercent.toFixed(1)}%)`}
                               </Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Avg Premium Over Spot</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{avgSilverPremium === null ? 'N/A' : (redact ? '$•••••' : `$${formatCurrency(avgSilverPremium)}/unit`)}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{avgSilverPremium === null ? 'N/A' : (redact ? `${currencySymbol}•••••` : `${formatCurrency(avgSilverPremium)}/unit`)}</Text>
                             </View>
                           </>
                         );
@@ -10378,41 +12528,41 @@ function AppContent() {
                   )}
 
                   {/* Platinum Analysis */}
-                  {platinumItems.length > 0 && (
+                  {viewPlatinumItems.length > 0 && (
                     <View style={{ marginTop: 16 }}>
                       <Text style={{ color: colors.platinum, fontWeight: '600', marginBottom: 8, fontSize: scaledFonts.normal }}>Platinum</Text>
                       {(() => {
-                        const totalPtCost = platinumItems.reduce((sum, item) => sum + ((item.unitPrice || 0) * (item.quantity || 1)), 0);
+                        const totalPtCost = viewPlatinumItems.reduce((sum, item) => sum + ((item.unitPrice || 0) * (item.quantity || 1)), 0);
                         const ptMeltValue = totalPlatinumOzt * platinumSpot;
                         const ptPL = ptMeltValue - totalPtCost;
                         const ptPLPercent = totalPtCost > 0 ? (ptPL / totalPtCost) * 100 : 0;
                         const avgPtCostPerOz = totalPlatinumOzt > 0 ? totalPtCost / totalPlatinumOzt : 0;
-                        const ptWithPremium = platinumItems.filter(i => (i.premium || 0) > 0);
+                        const ptWithPremium = viewPlatinumItems.filter(i => (i.premium || 0) > 0);
                         const avgPtPremium = ptWithPremium.length > 0 ? ptWithPremium.reduce((sum, i) => sum + i.premium * i.quantity, 0) / ptWithPremium.reduce((sum, i) => sum + i.quantity, 0) : null;
                         const redact = !effHasGoldAccess;
                         return (
                           <>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Total Cost</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(totalPtCost)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(totalPtCost)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Current Value</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(ptMeltValue)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(ptMeltValue)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Avg Cost/oz</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(avgPtCostPerOz)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(avgPtCostPerOz)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Unrealized P/L</Text>
                               <Text style={{ color: redact ? colors.muted : (ptPL >= 0 ? colors.success : colors.error), fontSize: scaledFonts.normal }}>
-                                {redact ? '$••••• (•••%)' : `${ptPL >= 0 ? '+' : ''}$${formatCurrency(ptPL)} (${ptPLPercent >= 0 ? '+' : ''}${ptPLPercent.toFixed(1)}%)`}
+                                {redact ? `${currencySymbol}••••• (•••%)` : `${ptPL >= 0 ? '+' : ''}${formatCurrency(ptPL)} (${ptPLPercent >= 0 ? '+' : ''}${ptPLPercent.toFixed(1)}%)`}
                               </Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Avg Premium Over Spot</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{avgPtPremium === null ? 'N/A' : (redact ? '$•••••' : `$${formatCurrency(avgPtPremium)}/unit`)}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{avgPtPremium === null ? 'N/A' : (redact ? `${currencySymbol}•••••` : `${formatCurrency(avgPtPremium)}/unit`)}</Text>
                             </View>
                           </>
                         );
@@ -10421,41 +12571,41 @@ function AppContent() {
                   )}
 
                   {/* Palladium Analysis */}
-                  {palladiumItems.length > 0 && (
+                  {viewPalladiumItems.length > 0 && (
                     <View style={{ marginTop: 16 }}>
                       <Text style={{ color: colors.palladium, fontWeight: '600', marginBottom: 8, fontSize: scaledFonts.normal }}>Palladium</Text>
                       {(() => {
-                        const totalPdCost = palladiumItems.reduce((sum, item) => sum + ((item.unitPrice || 0) * (item.quantity || 1)), 0);
+                        const totalPdCost = viewPalladiumItems.reduce((sum, item) => sum + ((item.unitPrice || 0) * (item.quantity || 1)), 0);
                         const pdMeltValue = totalPalladiumOzt * palladiumSpot;
                         const pdPL = pdMeltValue - totalPdCost;
                         const pdPLPercent = totalPdCost > 0 ? (pdPL / totalPdCost) * 100 : 0;
                         const avgPdCostPerOz = totalPalladiumOzt > 0 ? totalPdCost / totalPalladiumOzt : 0;
-                        const pdWithPremium = palladiumItems.filter(i => (i.premium || 0) > 0);
+                        const pdWithPremium = viewPalladiumItems.filter(i => (i.premium || 0) > 0);
                         const avgPdPremium = pdWithPremium.length > 0 ? pdWithPremium.reduce((sum, i) => sum + i.premium * i.quantity, 0) / pdWithPremium.reduce((sum, i) => sum + i.quantity, 0) : null;
                         const redact = !effHasGoldAccess;
                         return (
                           <>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Total Cost</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(totalPdCost)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(totalPdCost)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Current Value</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(pdMeltValue)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(pdMeltValue)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Avg Cost/oz</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? '$•••••' : `$${formatCurrency(avgPdCostPerOz)}`}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{redact ? `${currencySymbol}•••••` : formatCurrency(avgPdCostPerOz)}</Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Unrealized P/L</Text>
                               <Text style={{ color: redact ? colors.muted : (pdPL >= 0 ? colors.success : colors.error), fontSize: scaledFonts.normal }}>
-                                {redact ? '$••••• (•••%)' : `${pdPL >= 0 ? '+' : ''}$${formatCurrency(pdPL)} (${pdPLPercent >= 0 ? '+' : ''}${pdPLPercent.toFixed(1)}%)`}
+                                {redact ? `${currencySymbol}••••• (•••%)` : `${pdPL >= 0 ? '+' : ''}${formatCurrency(pdPL)} (${pdPLPercent >= 0 ? '+' : ''}${pdPLPercent.toFixed(1)}%)`}
                               </Text>
                             </View>
                             <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                               <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Avg Premium Over Spot</Text>
-                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{avgPdPremium === null ? 'N/A' : (redact ? '$•••••' : `$${formatCurrency(avgPdPremium)}/unit`)}</Text>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{avgPdPremium === null ? 'N/A' : (redact ? `${currencySymbol}•••••` : `${formatCurrency(avgPdPremium)}/unit`)}</Text>
                             </View>
                           </>
                         );
@@ -10463,21 +12613,179 @@ function AppContent() {
                     </View>
                   )}
 
-                  {goldItems.length === 0 && silverItems.length === 0 && platinumItems.length === 0 && palladiumItems.length === 0 && (
+                  {viewGoldItems.length === 0 && viewSilverItems.length === 0 && viewPlatinumItems.length === 0 && viewPalladiumItems.length === 0 && (
                     <Text style={{ color: colors.muted, textAlign: 'center', paddingVertical: 20, fontSize: scaledFonts.normal }}>
                       Add holdings to see cost analysis
                     </Text>
                   )}
                 </View>
 
-                {/* Purchase Stats Intelligence */}
-                {effHasGoldAccess && effPortfolioIntel && effPortfolioIntel.purchaseStats ? (
-                  <View style={{ backgroundColor: colors.cardBg, borderRadius: 12, borderWidth: 1, borderColor: colors.border, borderLeftWidth: 3, borderLeftColor: '#D4A843', padding: 14, marginHorizontal: 16, marginBottom: 12 }}>
-                    <View style={{ flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 8 }}>
-                      <Image source={TROY_AVATAR} style={{ width: 20, height: 20, borderRadius: 10 }} />
-                      <Text style={{ color: colors.muted, fontSize: scaledFonts.small, fontWeight: '600' }}>Troy's Take</Text>
+                {/* Exposure by Location — whole stack, for insurance and estate planning */}
+                {!demoData && locations.length > 0 && (() => {
+                  const groups = groupByLocation(
+                    { gold: goldItems, silver: silverItems, platinum: platinumItems, palladium: palladiumItems },
+                    { gold: goldSpot, silver: silverSpot, platinum: platinumSpot, palladium: palladiumSpot },
+                    locations
+                  );
+                  const stackMarket = groups.reduce((sum, g) => sum + g.market, 0);
+                  const redact = !effHasGoldAccess;
+                  const money = (v) => redact ? `${currencySymbol}•••••` : formatCurrency(v, 0);
+                  const metalOz = [
+                    { key: 'gold', symbol: 'Au', decimals: 3 },
+                    { key: 'silver', symbol: 'Ag', decimals: 2 },
+                    { key: 'platinum', symbol: 'Pt', decimals: 3 },
+                    { key: 'palladium', symbol: 'Pd', decimals: 3 },
+                  ];
+                  return (
+                    <View style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border }]}>
+                      <Text style={[styles.cardTitle, { color: colors.text, fontSize: scaledFonts.medium, marginBottom: 12 }]}>Exposure by Location</Text>
+                      {groups.map((g, index) => (
+                        <TouchableOpacity
+                          key={String(g.id)}
+                          onPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light); setLocationFilter(locationFilter === g.id ? ALL_LOCATIONS : g.id); }}
+                          style={{ paddingVertical: 8, borderTopWidth: index > 0 ? 1 : 0, borderTopColor: colors.border }}
+                        >
+                          <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+                            <View style={{ flex: 1, marginRight: 12 }}>
+                              <Text style={{ color: locationFilter === g.id ? colors.gold : colors.text, fontSize: scaledFonts.normal, fontWeight: '600' }} numberOfLines={1}>{g.name}</Text>
+                              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>
+                                {g.type ? `${getLocationTypeLabel(g.type)} · ` : ''}{g.count} item{g.count === 1 ? '' : 's'}
+                                {metalOz.filter(m => g.ozt[m.key] > 0).map(m => ` · ${g.ozt[m.key].toFixed(m.decimals)} oz ${m.symbol}`).join('')}
+                              </Text>
+                            </View>
+                            <View style={{ alignItems: 'flex-end' }}>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal, fontWeight: '600' }}>{money(g.market)}</Text>
+                              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>
+                                {stackMarket > 0 ? `${((g.market / stackMarket) * 100).toFixed(0)}% of stack` : '—'}
+                              </Text>
+                            </View>
+                          </View>
+                        </TouchableOpacity>
+                      ))}
+                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 8 }}>
+                        Values include estimated market value above melt. Tap a location to filter.
+                      </Text>
                     </View>
-                    <Text style={{ color: colors.text, fontSize: scaledFonts.small, lineHeight: scaledFonts.small * 1.5 }} numberOfLines={purchaseStatsIntelExpanded ? undefined : 2}>{effPortfolioIntel.purchaseStats}</Text>
+                  );
+                })()}
+
+                {/* Melt vs Market Value */}
+                {!demoData && collectibleCount > 0 && (() => {
+                  const rows = [
+                    { label: 'Gold', color: colors.gold, v: goldValuation },
+                    { label: 'Silver', color: colors.silver, v: silverValuation },
+                    { label: 'Platinum', color: colors.platinum, v: platinumValuation },
+                    { label: 'Palladium', color: colors.palladium, v: palladiumValuation },
+                  ].filter(r => r.v.melt > 0 || r.v.market > 0);
+                  const redact = !effHasGoldAccess;
+                  const money = (v) => redact ? `${currencySymbol}•••••` : formatCurrency(v);
+                  const plText = (v) => redact ? `${currencySymbol}•••••` : `${v >= 0 ? '+' : '-'}${formatCurrency(Math.abs(v))}`;
+                  const plColor = (v) => redact ? colors.muted : (v >= 0 ? colors.success : colors.error);
+                  const marketGain = totalMarketValue - totalCostBasis;
+                  return (
+                    <View style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border }]}>
+                      <Text style={[styles.cardTitle, { color: colors.text, fontSize: scaledFonts.medium, marginBottom: 12 }]}>Melt vs Market Value</Text>
+                      <View style={{ flexDirection: 'row', marginBottom: 6 }}>
+                        <Text style={{ flex: 1, color: colors.muted, fontSize: scaledFonts.small }}></Text>
+                        <Text style={{ flex: 1, color: colors.muted, fontSize: scaledFonts.small, textAlign: 'right' }}>Melt</Text>
+                        <Text style={{ flex: 1, color: colors.muted, fontSize: scaledFonts.small, textAlign: 'right' }}>Est. Market</Text>
+                      </View>
+                      {rows.map(r => (
+                        <View key={r.label} style={{ flexDirection: 'row', marginBottom: 4 }}>
+                          <Text style={{ flex: 1, color: r.color, fontSize: scaledFonts.normal }}>{r.label}</Text>
+                          <Text style={{ flex: 1, color: colors.text, fontSize: scaledFonts.normal, textAlign: 'right' }}>{money(r.v.melt)}</Text>
+                          <Text style={{ flex: 1, color: colors.text, fontSize: scaledFonts.normal, textAlign: 'right' }}>{money(r.v.market)}</Text>
+                        </View>
+                      ))}
+                      <View style={[styles.divider, { backgroundColor: colors.border }]} />
+                      <View style={{ flexDirection: 'row', marginBottom: 4 }}>
+                        <Text style={{ flex: 1, color: colors.text, fontSize: scaledFonts.normal, fontWeight: '600' }}>Total</Text>
+                        <Text style={{ flex: 1, color: colors.text, fontSize: scaledFonts.normal, fontWeight: '600', textAlign: 'right' }}>{money(totalMeltValue)}</Text>
+                        <Text style={{ flex: 1, color: colors.text, fontSize: scaledFonts.normal, fontWeight: '600', textAlign: 'right' }}>{money(totalMarketValue)}</Text>
+                      </View>
+                      {totalCostBasis > 0 && (
+                        <View style={{ flexDirection: 'row', marginBottom: 4 }}>
+                          <Text style={{ flex: 1, color: colors.muted, fontSize: scaledFonts.normal }}>Unrealized P/L</Text>
+                          <Text style={{ flex: 1, color: plColor(totalGainLoss), fontSize: scaledFonts.normal, textAlign: 'right' }}>{plText(totalGainLoss)}</Text>
+                          <Text style={{ flex: 1, color: plColor(marketGain), fontSize: scaledFonts.normal, textAlign: 'right' }}>{plText(marketGain)}</Text>
+                        </View>
+                      )}
+                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 8 }}>
+                        {collectibleCount} holding{collectibleCount === 1 ? '' : 's'} valued above melt.
+                        {staleMarketValueCount > 0 ? ` ${staleMarketValueCount} market value${staleMarketValueCount === 1 ? '' : 's'} not updated in ${MARKET_VALUE_STALE_DAYS} days.` : ''}
+                      </Text>
+                    </View>
+                  );
+                })()}
+
+                {/* Realized vs Unrealized */}
+                {(() => {
+                  const effSales = demoData ? [] : sales;
+                  const effRealized = demoData ? summarizeRealizedGains([]) : realizedSummary;
+                  const unrealized = demoData ? 0 : totalGainLoss;
+                  const totalReturn = unrealized + effRealized.realizedGain;
+                  const redact = !effHasGoldAccess;
+                  const plText = (v) => redact ? `${currencySymbol}•••••` : `${v >= 0 ? '+' : '-'}${formatCurrency(Math.abs(v))}`;
+                  const plColor = (v) => redact ? colors.muted : (v >= 0 ? colors.success : colors.error);
+                  return (
+                    <View style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border }]}>
+                      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 }}>
+                        <Text style={[styles.cardTitle, { color: colors.text, fontSize: scaledFonts.medium }]}>Realized vs Unrealized</Text>
+                        {!effHasGoldAccess && (
+                          <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: 'rgba(251, 191, 36, 0.2)', paddingHorizontal: 8, paddingVertical: 3, borderRadius: 4 }}>
+                            <Text style={{ color: colors.gold, fontSize: scaledFonts.tiny, fontWeight: '600' }}>GOLD</Text>
+                          </View>
+                        )}
+                      </View>
+                      <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
+                        <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Unrealized P/L</Text>
+                        <Text style={{ color: plColor(unrealized), fontSize: scaledFonts.normal }}>{plText(unrealized)}</Text>
+                      </View>
+                      <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
+                        <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Realized P/L</Text>
+                        <Text style={{ color: plColor(effRealized.realizedGain), fontSize: scaledFonts.normal }}>{plText(effRealized.realizedGain)}</Text>
+                      </View>
+                      <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
+                        <Text style={{ color: colors.text, fontSize: scaledFonts.normal, fontWeight: '600' }}>Total Return</Text>
+                        <Text style={{ color: plColor(totalReturn), fontSize: scaledFonts.normal, fontWeight: '600' }}>{plText(totalReturn)}</Text>
+                      </View>
+
+                      {effSales.length > 0 ? (
+                        <>
+                          <View style={[styles.divider, { backgroundColor: colors.border }]} />
+                          <Text style={{ color: colors.muted, fontSize: scaledFonts.small, fontWeight: '600', marginBottom: 8 }}>
+                            Sales ({effRealized.count}) · Proceeds {redact ? `${currencySymbol}•••••` : formatCurrency(effRealized.proceeds)}
+                          </Text>
+                          {effSales.slice(0, 10).map(sale => (
+                            <TouchableOpacity key={sale.id} onPress={() => undoSale(sale)} style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingVertical: 6 }}>
+                              <View style={{ flex: 1, marginRight: 12 }}>
+                                <Text style={{ color: colors.text, fontSize: scaledFonts.small }} numberOfLines={1}>{sale.quantity} × {sale.productName}</Text>
+                                <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>
+                                  {formatDateDisplay(sale.dateSold)} · {(COST_BASIS_METHODS.find(m => m.key === sale.method) || {}).label || sale.method}{sale.buyer ? ` · ${sale.buyer}` : ''}
+                                </Text>
+                              </View>
+                              <Text style={{ color: plColor(sale.realizedGain), fontSize: scaledFonts.small, fontWeight: '600' }}>{plText(sale.realizedGain)}</Text>
+                            </TouchableOpacity>
+                          ))}
+                          <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 6 }}>Tap a sale to undo it.</Text>
+                        </>
+                      ) : (
+                        <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginTop: 8 }}>
+                          No sales recorded yet. Open a holding and tap Sell to record one.
+                        </Text>
+                      )}
+                    </View>
+                  );
+                })()}
+
+                {/* Purchase Stats Intelligence */}
+                {effHasGoldAccess && effPortfolioIntel && effPortfolioIntel.purchaseStats ? (
+                  <View style={{ backgroundColor: colors.cardBg, borderRadius: 12, borderWidth: 1, borderColor: colors.border, borderLeftWidth: 3, borderLeftColor: '#D4A843', padding: 14, marginHorizontal: 16, marginBottom: 12 }}>
+                    <View style={{ flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 8 }}>
+                      <Image source={TROY_AVATAR} style={{ width: 20, height: 20, borderRadius: 10 }} />
+                      <Text style={{ color: colors.muted, fontSize: scaledFonts.small, fontWeight: '600' }}>Troy's Take</Text>
+                    </View>
+                    <Text style={{ color: colors.text, fontSize: scaledFonts.small, lineHeight: scaledFonts.small * 1.5 }} numberOfLines={purchaseStatsIntelExpanded ? undefined : 2}>{effPortfolioIntel.purchaseStats}</Text>
                     <TouchableOpacity onPress={() => setPurchaseStatsIntelExpanded(!purchaseStatsIntelExpanded)} style={{ marginTop: 4, paddingVertical: 8 }}>
                       <Text style={{ color: '#D4A843', fontSize: scaledFonts.small, fontWeight: '700' }}>{purchaseStatsIntelExpanded ? 'See less' : 'See more'}</Text>
                     </TouchableOpacity>
@@ -10553,26 +12861,26 @@ function AppContent() {
                   <Text style={[styles.cardTitle, { color: colors.text, fontSize: scaledFonts.medium }]}>Break-Even Analysis</Text>
                   {totalSilverOzt > 0 && (
                     <View style={{ backgroundColor: `${colors.silver}22`, padding: 12, borderRadius: 8, marginBottom: 8 }}>
-                      <Text style={{ color: colors.silver, fontSize: scaledFonts.normal }}>Silver: {effHasPaidAccess ? `$${formatCurrency(silverBreakeven)}` : '$•••••'}/oz needed</Text>
-                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>{silverSpot >= silverBreakeven ? 'Profitable!' : (effHasPaidAccess ? `Need +$${formatCurrency(silverBreakeven - silverSpot)}` : 'Not yet')}</Text>
+                      <Text style={{ color: colors.silver, fontSize: scaledFonts.normal }}>Silver: {effHasPaidAccess ? formatCurrency(silverBreakeven) : `${currencySymbol}•••••`}/oz needed</Text>
+                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>{silverSpot >= silverBreakeven ? 'Profitable!' : (effHasPaidAccess ? `Need +${formatCurrency(silverBreakeven - silverSpot)}` : 'Not yet')}</Text>
                     </View>
                   )}
                   {totalGoldOzt > 0 && (
                     <View style={{ backgroundColor: `${colors.gold}22`, padding: 12, borderRadius: 8, marginBottom: 8 }}>
-                      <Text style={{ color: colors.gold, fontSize: scaledFonts.normal }}>Gold: {effHasPaidAccess ? `$${formatCurrency(goldBreakeven)}` : '$•••••'}/oz needed</Text>
-                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>{goldSpot >= goldBreakeven ? 'Profitable!' : (effHasPaidAccess ? `Need +$${formatCurrency(goldBreakeven - goldSpot)}` : 'Not yet')}</Text>
+                      <Text style={{ color: colors.gold, fontSize: scaledFonts.normal }}>Gold: {effHasPaidAccess ? formatCurrency(goldBreakeven) : `${currencySymbol}•••••`}/oz needed</Text>
+                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>{goldSpot >= goldBreakeven ? 'Profitable!' : (effHasPaidAccess ? `Need +${formatCurrency(goldBreakeven - goldSpot)}` : 'Not yet')}</Text>
                     </View>
                   )}
                   {totalPlatinumOzt > 0 && (
                     <View style={{ backgroundColor: `${colors.platinum}22`, padding: 12, borderRadius: 8, marginBottom: 8 }}>
-                      <Text style={{ color: colors.platinum, fontSize: scaledFonts.normal }}>Platinum: {effHasPaidAccess ? `$${formatCurrency(platinumBreakeven)}` : '$•••••'}/oz needed</Text>
-                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>{platinumSpot >= platinumBreakeven ? 'Profitable!' : (effHasPaidAccess ? `Need +$${formatCurrency(platinumBreakeven - platinumSpot)}` : 'Not yet')}</Text>
+                      <Text style={{ color: colors.platinum, fontSize: scaledFonts.normal }}>Platinum: {effHasPaidAccess ? formatCurrency(platinumBreakeven) : `${currencySymbol}•••••`}/oz needed</Text>
+                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>{platinumSpot >= platinumBreakeven ? 'Profitable!' : (effHasPaidAccess ? `Need +${formatCurrency(platinumBreakeven - platinumSpot)}` : 'Not yet')}</Text>
                     </View>
                   )}
                   {totalPalladiumOzt > 0 && (
                     <View style={{ backgroundColor: `${colors.palladium}22`, padding: 12, borderRadius: 8 }}>
-                      <Text style={{ color: colors.palladium, fontSize: scaledFonts.normal }}>Palladium: {effHasPaidAccess ? `$${formatCurrency(palladiumBreakeven)}` : '$•••••'}/oz needed</Text>
-                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>{palladiumSpot >= palladiumBreakeven ? 'Profitable!' : (effHasPaidAccess ? `Need +$${formatCurrency(palladiumBreakeven - palladiumSpot)}` : 'Not yet')}</Text>
+                      <Text style={{ color: colors.palladium, fontSize: scaledFonts.normal }}>Palladium: {effHasPaidAccess ? formatCurrency(palladiumBreakeven) : `${currencySymbol}•••••`}/oz needed</Text>
+                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>{palladiumSpot >= palladiumBreakeven ? 'Profitable!' : (effHasPaidAccess ? `Need +${formatCurrency(palladiumBreakeven - palladiumSpot)}` : 'Not yet')}</Text>
                     </View>
                   )}
                 </View>
@@ -10640,7 +12948,7 @@ function AppContent() {
 
                 {/* Share My Stack */}
                 <View onLayout={(e) => { sectionOffsets.current['shareMyStack'] = e.nativeEvent.layout.y; }}>
-                {(silverItems.length > 0 || goldItems.length > 0 || platinumItems.length > 0 || palladiumItems.length > 0) && (() => {
+                {(viewSilverItems.length > 0 || viewGoldItems.length > 0 || viewPlatinumItems.length > 0 || viewPalladiumItems.length > 0) && (() => {
                   const shareMetals = [
                     { label: 'Gold', symbol: 'Au', ozt: totalGoldOzt, spot: goldSpot, color: '#D4A843', decimals: 3, value: totalGoldOzt * goldSpot },
                     { label: 'Silver', symbol: 'Ag', ozt: totalSilverOzt, spot: silverSpot, color: '#9ca3af', decimals: 2, value: totalSilverOzt * silverSpot },
@@ -10664,7 +12972,7 @@ function AppContent() {
                               <Image source={require('./assets/icon.png')} style={{ width: 44, height: 44, borderRadius: 10, marginBottom: 8 }} />
                               <Text style={{ color: '#ffffff', fontSize: 13, fontWeight: '700', letterSpacing: 3, textTransform: 'uppercase' }}>My Stack</Text>
                             </View>
-                            <Text style={{ color: '#ffffff', fontSize: 36, fontWeight: '700', textAlign: 'center', marginBottom: 8 }}>${formatCurrency(totalMeltValue, 0)}</Text>
+                            <Text style={{ color: '#ffffff', fontSize: 36, fontWeight: '700', textAlign: 'center', marginBottom: 8 }}>{formatCurrency(totalMeltValue, 0)}</Text>
                             <View style={{ flexDirection: 'row', justifyContent: 'center', gap: 8, marginBottom: 16 }}>
                               {shareMetals.map(m => (
                                 <View key={m.label} style={{ width: 10, height: 10, borderRadius: 5, backgroundColor: m.color }} />
@@ -10680,7 +12988,7 @@ function AppContent() {
                                       <View style={{ width: 10, height: 10, borderRadius: 5, backgroundColor: m.color }} />
                                       <Text style={{ color: '#ffffff', fontSize: 15, fontWeight: '600' }}>{m.label}</Text>
                                     </View>
-                                    <Text style={{ color: '#ffffff', fontSize: 15, fontWeight: '700' }}>${formatCurrency(m.value, 0)}</Text>
+                                    <Text style={{ color: '#ffffff', fontSize: 15, fontWeight: '700' }}>{formatCurrency(m.value, 0)}</Text>
                                   </View>
                                   <Text style={{ color: '#71717a', fontSize: 12, marginLeft: 18, marginTop: 2 }}>{formatOunces(m.ozt, m.decimals)} oz · {pct}%</Text>
                                 </View>
@@ -10689,7 +12997,7 @@ function AppContent() {
                             <View style={{ height: 1, backgroundColor: 'rgba(212,168,67,0.4)', marginTop: 4, marginBottom: 12 }} />
                             <View style={{ flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'center', gap: 12, marginBottom: 16 }}>
                               {shareMetals.map(m => (
-                                <Text key={m.symbol} style={{ color: '#71717a', fontSize: 12, fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace' }}>{m.symbol} ${m.symbol === 'Ag' ? m.spot.toFixed(2) : m.spot.toFixed(0)}</Text>
+                                <Text key={m.symbol} style={{ color: '#71717a', fontSize: 12, fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace' }}>{m.symbol} {formatCurrency(m.spot, m.symbol === 'Ag' ? 2 : 0)}</Text>
                               ))}
                             </View>
                             <View style={{ alignItems: 'center' }}>
@@ -10954,10 +13262,56 @@ function AppContent() {
               {/* DATA */}
               <SectionHeader title="Data" />
               <View style={{ borderRadius: 10, overflow: 'hidden' }}>
+                <SettingsRow
+                  label="Sync Now"
+                  subtitle={outboxSummary.pending + outboxSummary.failed > 0
+                    ? [outboxSummary.pending > 0 && `${outboxSummary.pending} change${outboxSummary.pending === 1 ? '' : 's'} waiting to send`, outboxSummary.failed > 0 && `${outboxSummary.failed} failed`].filter(Boolean).join(' · ')
+                    : (syncError ? 'Last sync failed' : null)}
+                  labelColor={outboxSummary.failed > 0 ? colors.error : undefined}
+                  value={isSyncing ? 'Syncing…' : (outboxSummary.pending + outboxSummary.failed === 0 && !syncError ? 'Up to date' : null)}
+                  onPress={() => {
+                    if (outboxSummary.failed === 0) {
+                      triggerManualSync();
+                      return;
+                    }
+                    Alert.alert(
+                      'Changes Not Sent',
+                      `${outboxSummary.failed} change${outboxSummary.failed === 1 ? '' : 's'} could not be sent after several tries. They're still saved on this device.`,
+                      [
+                        { text: 'Cancel', style: 'cancel' },
+                        { text: 'Discard', style: 'destructive', onPress: discardFailedOutbox },
+                        { text: 'Retry', onPress: retryFailedOutbox },
+                      ]
+                    );
+                  }}
+                  isFirst={true}
+                  isLast={false}
+                />
+                <RowSeparator />
                 <SettingsRow
                   label="Export & Backup"
                   onPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light); setSettingsSubPage('exportBackup'); scrollRef.current?.scrollTo({ y: 0, animated: false }); }}
-                  isFirst={true}
+                  isFirst={false}
+                  isLast={false}
+                />
+                {syncConflicts.length > 0 && (
+                  <>
+                    <RowSeparator />
+                    <SettingsRow
+                      label="Sync Conflicts"
+                      value={String(syncConflicts.length)}
+                      onPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light); setShowSyncConflicts(true); }}
+                      isFirst={false}
+                      isLast={false}
+                    />
+                  </>
+                )}
+                <RowSeparator />
+                <SettingsRow
+                  label="Storage Locations"
+                  value={locations.length > 0 ? String(locations.length) : 'None'}
+                  onPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light); setLocationForm({ id: null, name: '', type: 'home_safe', coverageLimit: '' }); setShowLocationsModal(true); }}
+                  isFirst={false}
                   isLast={false}
                 />
                 <RowSeparator />
@@ -11025,39 +13379,63 @@ function AppContent() {
               </View>
               </View>
 
-              {/* Scan Usage - only show for free users */}
-              {!hasGold && !hasLifetimeAccess && (
-                <>
-                  <SectionHeader title="Usage" />
-                  <View style={{ borderRadius: 10, overflow: 'hidden' }}>
-                    <View style={{
-                      backgroundColor: groupBg,
-                      paddingVertical: 12,
-                      paddingHorizontal: 16,
-                      borderRadius: 10,
-                    }}>
-                      <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
-                        <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>Receipt Scans</Text>
-                        <Text style={{ color: scanUsage.scansUsed >= scanUsage.scansLimit ? colors.error : colors.muted, fontSize: scaledFonts.normal, fontWeight: '600' }}>
-                          {scanUsage.scansUsed} / {scanUsage.scansLimit}
-                        </Text>
-                      </View>
-                      {/* Progress bar */}
-                      <View style={{ height: 4, backgroundColor: isDarkMode ? '#39393d' : '#e5e5ea', borderRadius: 2, marginTop: 8 }}>
-                        <View style={{
-                          height: 4,
-                          backgroundColor: scanUsage.scansUsed >= scanUsage.scansLimit ? colors.error : '#34c759',
-                          borderRadius: 2,
-                          width: `${Math.min((scanUsage.scansUsed / scanUsage.scansLimit) * 100, 100)}%`
-                        }} />
-                      </View>
+              {/* Usage - voice, scan and Troy message quotas from /v1/usage;
+                  before they load, free users still see their scan count */}
+              {(() => {
+                const usageRows = getUsageRows(usageQuotas);
+                if (usageRows.length === 0) {
+                  if (hasGold || hasLifetimeAccess) return null;
+                  usageRows.push({
+                    key: 'scan_legacy',
+                    label: 'Receipt Scans',
+                    period: 'this month',
+                    used: scanUsage.scansUsed,
+                    limit: scanUsage.scansLimit,
+                    resetsAt: scanUsage.resetsAt,
+                    exceeded: scanUsage.scansUsed >= scanUsage.scansLimit,
+                  });
+                }
+                return (
+                  <>
+                    <SectionHeader title="Usage" />
+                    <View style={{ borderRadius: 10, overflow: 'hidden' }}>
+                      {usageRows.map((row, index) => (
+                        <React.Fragment key={row.key}>
+                          {index > 0 && <RowSeparator />}
+                          <View style={{
+                            backgroundColor: groupBg,
+                            paddingVertical: 12,
+                            paddingHorizontal: 16,
+                          }}>
+                            <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+                              <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>
+                                {row.label} <Text style={{ color: colors.muted }}>{row.period}</Text>
+                              </Text>
+                              <Text style={{ color: row.exceeded ? colors.error : colors.muted, fontSize: scaledFonts.normal, fontWeight: '600' }}>
+                                {row.used} / {row.limit}
+                              </Text>
+                            </View>
+                            {/* Progress bar */}
+                            <View style={{ height: 4, backgroundColor: isDarkMode ? '#39393d' : '#e5e5ea', borderRadius: 2, marginTop: 8 }}>
+                              <View style={{
+                                height: 4,
+                                backgroundColor: row.exceeded ? colors.error : '#34c759',
+                                borderRadius: 2,
+                                width: `${Math.min((row.used / row.limit) * 100, 100)}%`
+                              }} />
+                            </View>
+                            {row.resetsAt && (
+                              <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginTop: 6 }}>
+                                Resets {new Date(row.resetsAt).toLocaleDateString()}
+                              </Text>
+                            )}
+                          </View>
+                        </React.Fragment>
+                      ))}
                     </View>
-                  </View>
-                  {scanUsage.resetsAt && (
-                    <SectionFooter text={`Resets ${new Date(scanUsage.resetsAt).toLocaleDateString()}`} />
-                  )}
-                </>
-              )}
+                  </>
+                );
+              })()}
 
               {/* Sign Out */}
               <View style={{ marginTop: 32 }}>
@@ -11454,6 +13832,7 @@ function AppContent() {
                               Alert.alert('Scan Receipt', 'Choose a source', [
                                 { text: 'Take Photo', onPress: () => performScan('camera') },
                                 { text: 'Choose from Library', onPress: () => performScan('gallery') },
+                                { text: 'PDF or Email Receipt', onPress: () => performScan('document') },
                                 { text: 'Cancel', style: 'cancel' },
                               ]);
                             } else {
@@ -11592,6 +13971,7 @@ function AppContent() {
                           Alert.alert('Scan Receipt', 'Choose a source', [
                             { text: 'Take Photo', onPress: () => performScan('camera') },
                             { text: 'Choose from Library', onPress: () => performScan('gallery') },
+                            { text: 'PDF or Email Receipt', onPress: () => performScan('document') },
                             { text: 'Cancel', style: 'cancel' },
                           ]);
                         }
@@ -11622,6 +14002,7 @@ function AppContent() {
                   Alert.alert('Add to your stack', null, [
                     { text: 'Take a Photo', onPress: () => performScan('camera') },
                     { text: 'Choose Photo', onPress: () => performScan('gallery') },
+                    { text: 'PDF or Email Receipt', onPress: () => performScan('document') },
                     { text: 'Import Spreadsheet', onPress: () => importSpreadsheet() },
                     { text: 'Cancel', style: 'cancel' },
                   ]);
@@ -11915,6 +14296,56 @@ function AppContent() {
                   </View>
                 );
               })()}
+
+              {/* Display Currency */}
+              <Text style={{ color: isDarkMode ? '#8e8e93' : '#6d6d72', fontSize: scaledFonts.small, marginTop: 24, marginLeft: 16, textTransform: 'uppercase' }}>Currency</Text>
+              <View style={{ borderRadius: 10, overflow: 'hidden', marginTop: 8 }}>
+                <View style={{
+                  backgroundColor: isDarkMode ? '#1c1c1e' : '#ffffff',
+                  paddingVertical: 12,
+                  paddingHorizontal: 16,
+                  borderRadius: 10,
+                }}>
+                  <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8 }}>
+                    {CURRENCIES.map((option) => (
+                      <TouchableOpacity
+                        key={option.code}
+                        style={{
+                          width: '30%',
+                          flexGrow: 1,
+                          paddingVertical: 10,
+                          paddingHorizontal: 8,
+                          borderRadius: 8,
+                          backgroundColor: baseCurrency === option.code
+                            ? (isDarkMode ? '#48484a' : '#e5e5ea')
+                            : 'transparent',
+                          alignItems: 'center',
+                        }}
+                        onPress={() => {
+                          Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+                          changeBaseCurrency(option.code);
+                        }}
+                      >
+                        <Text style={{ color: baseCurrency === option.code ? colors.gold : colors.muted, fontSize: 18, fontWeight: '700', marginBottom: 2 }}>{option.symbol.trim()}</Text>
+                        <Text style={{
+                          color: baseCurrency === option.code ? colors.text : colors.muted,
+                          fontWeight: baseCurrency === option.code ? '600' : '400',
+                          fontSize: scaledFonts.small,
+                        }}>
+                          {option.code}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+              </View>
+              <Text style={{ color: isDarkMode ? '#8e8e93' : '#6d6d72', fontSize: scaledFonts.small, marginTop: 8, marginLeft: 16, marginRight: 16, lineHeight: 18 }}>
+                {baseCurrency === DEFAULT_CURRENCY
+                  ? 'Spot prices, values, charts, widget and ledger in US dollars.'
+                  : displayCurrency === baseCurrency
+                    ? `Values converted from USD at 1 USD = ${fxRate.toFixed(4)} ${baseCurrency}${fxRates?.date ? ` (rates of ${fxRates.date})` : ''}. Purchase prices are still entered in USD.`
+                    : `Loading ${baseCurrency} exchange rates — showing USD until they arrive.`}
+              </Text>
             </ScrollView>
           </SafeAreaView>
         </View>
@@ -11936,7 +14367,7 @@ function AppContent() {
                 const sepColor = isDarkMode ? '#38383a' : '#c6c6c8';
                 const chevColor = isDarkMode ? '#48484a' : '#c7c7cc';
                 const Sep = () => (<View style={{ backgroundColor: grpBg }}><View style={{ height: 0.5, backgroundColor: sepColor, marginLeft: 16 }} /></View>);
-                const Row = ({ label, onPress, isFirst, isLast }) => (
+                const Row = ({ label, value, onPress, isFirst, isLast }) => (
                   <TouchableOpacity
                     style={{
                       flexDirection: 'row',
@@ -11954,10 +14385,12 @@ function AppContent() {
                     onPress={onPress}
                     activeOpacity={0.6}
                   >
-                    <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{label}</Text>
+                    <Text style={{ color: colors.text, fontSize: scaledFonts.normal, flex: 1 }}>{label}</Text>
+                    {value ? <Text style={{ color: colors.muted, fontSize: scaledFonts.normal, marginRight: 8 }}>{value}</Text> : null}
                     <Text style={{ color: chevColor, fontSize: scaledFonts.large, fontWeight: '600' }}>›</Text>
                   </TouchableOpacity>
                 );
+                const autoBackupOn = autoBackupSettings.frequency !== 'off' && !!autoBackupSettings.backupKey;
                 return (
                   <>
                     <View style={{ borderRadius: 10, overflow: 'hidden', marginTop: 8 }}>
@@ -11965,9 +14398,13 @@ function AppContent() {
                       <Sep />
                       <Row label="Restore from Backup" onPress={restoreBackup} isFirst={false} isLast={false} />
                       <Sep />
-                      <Row label="Export as CSV" onPress={exportCSV} isFirst={false} isLast={false} />
+                      <Row label="Export Holdings (CSV / JSON)" onPress={openExport} isFirst={false} isLast={false} />
+                      <Sep />
+                      <Row label="Capital Gains Tax Report" onPress={openTaxReport} isFirst={false} isLast={false} />
+                      <Sep />
+                      <Row label="Insurance Replacement Report" onPress={openInsuranceReport} isFirst={false} isLast={false} />
                       <Sep />
-                      <TouchableOpacity onPress={requestLedgerExport} style={{ backgroundColor: grpBg, paddingVertical: 12, paddingHorizontal: 16, minHeight: 44, flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', borderBottomLeftRadius: 10, borderBottomRightRadius: 10 }}>
+                      <TouchableOpacity onPress={requestLedgerExport} style={{ backgroundColor: grpBg, paddingVertical: 12, paddingHorizontal: 16, minHeight: 44, flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }}>
                         <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8, flex: 1 }}>
                           <Svg width={14} height={14} viewBox="0 0 24 24" fill="none">
                             <Path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z" stroke={colors.gold} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
@@ -11980,8 +14417,89 @@ function AppContent() {
                         </View>
                         <Text style={{ color: colors.muted, fontSize: 18 }}>›</Text>
                       </TouchableOpacity>
+                      <Sep />
+                      <TouchableOpacity onPress={openLegacyPackage} style={{ backgroundColor: grpBg, paddingVertical: 12, paddingHorizontal: 16, minHeight: 44, flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', borderBottomLeftRadius: 10, borderBottomRightRadius: 10 }}>
+                        <View style={{ flexDirection: 'row', alignItems: 'center', gap: 8, flex: 1 }}>
+                          <Svg width={14} height={14} viewBox="0 0 24 24" fill="none">
+                            <Path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" stroke={colors.gold} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                          </Svg>
+                          <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>Legacy Package</Text>
+                          <View style={{ backgroundColor: 'rgba(201,168,76,0.2)', paddingHorizontal: 6, paddingVertical: 2, borderRadius: 4, marginLeft: 4 }}>
+                            <Text style={{ color: colors.gold, fontSize: 9, fontWeight: '700', letterSpacing: 0.5 }}>GOLD</Text>
+                          </View>
+                        </View>
+                        <Text style={{ color: colors.muted, fontSize: 18 }}>›</Text>
+                      </TouchableOpacity>
+                    </View>
+                    <Text style={{ color: isDarkMode ? '#8e8e93' : '#6d6d72', fontSize: scaledFonts.small, marginTop: 8, marginLeft: 16, marginRight: 16, lineHeight: 18 }}>Backups include holdings, sales, locations, price alerts, milestones and settings, encrypted with a passphrase you choose. Export to Files, iCloud Drive, or any storage; restoring lets you merge into or replace what's on this device.</Text>
+
+                    {/* Automatic Backups */}
+                    <Text style={{ color: isDarkMode ? '#8e8e93' : '#6d6d72', fontSize: scaledFonts.small, marginTop: 32, marginBottom: 8, marginLeft: 16, textTransform: 'uppercase' }}>Automatic Backups</Text>
+                    <View style={{ borderRadius: 10, overflow: 'hidden' }}>
+                      <Row
+                        label="Back Up Automatically"
+                        value={autoBackupOn ? AUTO_BACKUP_FREQUENCIES.find(f => f.key === autoBackupSettings.frequency)?.label : 'Off'}
+                        onPress={pickAutoBackupFrequency}
+                        isFirst={true}
+                        isLast={!autoBackupOn}
+                      />
+                      {autoBackupOn && (
+                        <>
+                          <Sep />
+                          <Row label="Keep" value={`Last ${autoBackupSettings.retention}`} onPress={pickAutoBackupRetention} isFirst={false} isLast={false} />
+                          {Platform.OS === 'ios' && (
+                            <>
+                              <Sep />
+                              <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', backgroundColor: grpBg, paddingVertical: 8, paddingHorizontal: 16, minHeight: 44 }}>
+                                <View style={{ flex: 1 }}>
+                                  <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>Also Save to iCloud Drive</Text>
+                                  {!iCloudAvailable && <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginTop: 2 }}>iCloud is not available on this device</Text>}
+                                </View>
+                                <Switch
+                                  value={autoBackupSettings.icloud && iCloudAvailable}
+                                  disabled={!iCloudAvailable}
+                                  onValueChange={(value) => {
+                                    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+                                    updateAutoBackupSettings({ icloud: value }).then(refreshRestorePoints);
+                                  }}
+                                  trackColor={{ false: isDarkMode ? '#39393d' : '#e9e9eb', true: '#34c759' }}
+                                  thumbColor="#fff"
+                                  ios_backgroundColor={isDarkMode ? '#39393d' : '#e9e9eb'}
+                                />
+                              </View>
+                            </>
+                          )}
+                          <Sep />
+                          <Row label="Back Up Now" onPress={backUpNow} isFirst={false} isLast={true} />
+                        </>
+                      )}
                     </View>
-                    <Text style={{ color: isDarkMode ? '#8e8e93' : '#6d6d72', fontSize: scaledFonts.small, marginTop: 8, marginLeft: 16, marginRight: 16, lineHeight: 18 }}>Backups include all holdings and settings. Export to Files, iCloud Drive, or any storage.</Text>
+                    <Text style={{ color: isDarkMode ? '#8e8e93' : '#6d6d72', fontSize: scaledFonts.small, marginTop: 8, marginLeft: 16, marginRight: 16, lineHeight: 18 }}>
+                      {autoBackupOn
+                        ? `${autoBackupSettings.lastBackupAt ? `Last backup ${new Date(autoBackupSettings.lastBackupAt).toLocaleString()}.` : 'No backup yet.'}${autoBackupSettings.lastError ? ` Last attempt failed: ${autoBackupSettings.lastError}` : ''} Restore points are encrypted with your backup passphrase and older ones are deleted automatically.`
+                        : 'Save encrypted restore points on this device (and iCloud Drive) every day or week.'}
+                    </Text>
+
+                    {restorePoints.length > 0 && (
+                      <>
+                        <Text style={{ color: isDarkMode ? '#8e8e93' : '#6d6d72', fontSize: scaledFonts.small, marginTop: 32, marginBottom: 8, marginLeft: 16, textTransform: 'uppercase' }}>Restore Points</Text>
+                        <View style={{ borderRadius: 10, overflow: 'hidden' }}>
+                          {restorePoints.map((point, i) => (
+                            <React.Fragment key={point.name}>
+                              {i > 0 && <Sep />}
+                              <Row
+                                label={new Date(point.timestamp).toLocaleString()}
+                                value={[point.local && 'Device', point.icloud && 'iCloud'].filter(Boolean).join(' · ')}
+                                onPress={() => restoreFromPoint(point)}
+                                isFirst={i === 0}
+                                isLast={i === restorePoints.length - 1}
+                              />
+                            </React.Fragment>
+                          ))}
+                        </View>
+                        <Text style={{ color: isDarkMode ? '#8e8e93' : '#6d6d72', fontSize: scaledFonts.small, marginTop: 8, marginLeft: 16, marginRight: 16, lineHeight: 18 }}>Tap a restore point to preview it, then merge or replace.</Text>
+                      </>
+                    )}
 
                     {/* Clear All Data */}
                     <View style={{ marginTop: 40 }}>
@@ -12350,10 +14868,10 @@ function AppContent() {
                             {(item.gold_price_at_publish || item.silver_price_at_publish) ? (
                               <View style={{ flexDirection: 'row', gap: 12, marginTop: 12, paddingTop: 10, borderTopWidth: 1, borderTopColor: '#222' }}>
                                 {item.gold_price_at_publish ? (
-                                  <Text style={{ color: '#666', fontSize: 11 }}>Au ${Number(item.gold_price_at_publish).toLocaleString()}</Text>
+                                  <Text style={{ color: '#666', fontSize: 11 }}>Au {formatCurrency(Number(item.gold_price_at_publish), 0)}</Text>
                                 ) : null}
                                 {item.silver_price_at_publish ? (
-                                  <Text style={{ color: '#666', fontSize: 11 }}>Ag ${Number(item.silver_price_at_publish).toFixed(2)}</Text>
+                                  <Text style={{ color: '#666', fontSize: 11 }}>Ag {formatCurrency(Number(item.silver_price_at_publish))}</Text>
                                 ) : null}
                               </View>
                             ) : null}
@@ -12593,6 +15111,9 @@ function AppContent() {
                       <TouchableOpacity style={[styles.button, { backgroundColor: colors.gold, flex: 1 }]} onPress={() => performScan('gallery')}>
                         <Text style={{ color: '#000', fontSize: scaledFonts.normal }} numberOfLines={1} adjustsFontSizeToFit={true}>Upload</Text>
                       </TouchableOpacity>
+                      <TouchableOpacity style={[styles.button, { backgroundColor: colors.gold, flex: 1 }]} onPress={() => performScan('document')}>
+                        <Text style={{ color: '#000', fontSize: scaledFonts.normal }} numberOfLines={1} adjustsFontSizeToFit={true}>PDF / Email</Text>
+                      </TouchableOpacity>
                     </View>
                     <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 6, textAlign: 'center' }}>
                       Tip: Lay flat with good lighting for best results
@@ -12648,13 +15169,77 @@ function AppContent() {
                     </View>
                   </View>
 
+                  {/* Weight unit — metric/Asian bars by weight, junk silver by face value */}
+                  <View style={[styles.metalTabs, { marginBottom: 12 }]}>
+                    {[...WEIGHT_UNITS, { key: FACE_VALUE_UNIT, label: 'Face $' }].map(u => (
+                      <TouchableOpacity
+                        key={u.key}
+                        style={[styles.metalTab, { padding: 8, borderRadius: 10, borderColor: form.weightUnit === u.key ? colors.gold : colors.border, backgroundColor: form.weightUnit === u.key ? `${colors.gold}22` : 'transparent' }]}
+                        onPress={() => {
+                          Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+                          setForm(p => {
+                            // Face value mode stores the junk silver type as purity
+                            if (u.key === FACE_VALUE_UNIT) return { ...p, weightUnit: u.key, purity: String(getJunkSilverType(parsePurity(p.purity)).purity) };
+                            if (p.weightUnit === FACE_VALUE_UNIT) return { ...p, weightUnit: u.key, purity: '' };
+                            return { ...p, weightUnit: u.key };
+                          });
+                        }}
+                      >
+                        <Text style={{ color: form.weightUnit === u.key ? colors.gold : colors.muted, fontSize: scaledFonts.small }} numberOfLines={1} adjustsFontSizeToFit={true}>{u.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+
                   <View style={{ flexDirection: 'row', gap: 8 }}>
-                    <View style={{ flex: 1 }}><FloatingInput label="OZT per unit" value={form.ozt} onChangeText={v => { setForm(p => ({ ...p, ozt: v })); if (v && parseFloat(v) > 0) setFormErrors(e => ({ ...e, ozt: false })); }} placeholder="1, 10, 100..." keyboardType="decimal-pad" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required error={formErrors.ozt} /></View>
+                    <View style={{ flex: 1 }}><FloatingInput label={form.weightUnit === FACE_VALUE_UNIT ? 'Face value per unit' : `Weight per unit (${form.weightUnit})`} value={form.weight} onChangeText={v => { setForm(p => ({ ...p, weight: v })); if (v && parseFloat(v) > 0) setFormErrors(e => ({ ...e, weight: false })); }} placeholder={form.weightUnit === FACE_VALUE_UNIT ? '10' : { ozt: '1, 10, 100...', g: '1, 50, 100...', kg: '1', tola: '1, 10...', tael: '1, 5...' }[form.weightUnit]} keyboardType="decimal-pad" prefix={form.weightUnit === FACE_VALUE_UNIT ? '$' : ''} colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required error={formErrors.weight} /></View>
                     <View style={{ flex: 1 }}><FloatingInput label="Quantity" value={form.quantity} onChangeText={v => { setForm(p => ({ ...p, quantity: v })); if (v && parseInt(v) > 0) setFormErrors(e => ({ ...e, quantity: false })); }} placeholder="Quantity" keyboardType="number-pad" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required error={formErrors.quantity} /></View>
                   </View>
 
+                  {form.weightUnit === FACE_VALUE_UNIT ? (
+                    <View style={[styles.metalTabs, { marginBottom: 8 }]}>
+                      {JUNK_SILVER_TYPES.map(t => {
+                        const selected = getJunkSilverType(parsePurity(form.purity)).key === t.key;
+                        return (
+                          <TouchableOpacity key={t.key} style={[styles.metalTab, { padding: 8, borderRadius: 10, borderColor: selected ? colors.silver : colors.border, backgroundColor: selected ? `${colors.silver}22` : 'transparent' }]} onPress={() => setForm(p => ({ ...p, purity: String(t.purity) }))}>
+                            <Text style={{ color: selected ? colors.silver : colors.muted, fontSize: scaledFonts.small }}>{t.label}</Text>
+                          </TouchableOpacity>
+                        );
+                      })}
+                    </View>
+                  ) : (
+                    <FloatingInput label="Purity" value={form.purity} onChangeText={v => { setForm(p => ({ ...p, purity: v })); setFormErrors(e => ({ ...e, purity: false })); }} placeholder="Fine (.999) — or .9167, 90%, 22k" keyboardType="default" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} error={formErrors.purity} />
+                  )}
+                  {(form.weightUnit !== 'ozt' || parsePurity(form.purity)) && getFormPureOzt() > 0 && (
+                    <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginTop: -4, marginBottom: 8 }}>
+                      = {formatOunces(getFormPureOzt(), 4)} ozt pure {metalTab} per unit
+                    </Text>
+                  )}
+
+                  {/* Purchase currency — prices below are entered in it and converted to USD on save */}
+                  <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginBottom: 6 }}>Paid in</Text>
+                  <View style={[styles.metalTabs, { marginBottom: 12 }]}>
+                    {CURRENCIES.map(c => (
+                      <TouchableOpacity key={c.code} style={[styles.metalTab, { padding: 8, borderRadius: 10, borderColor: form.purchaseCurrency === c.code ? colors.gold : colors.border, backgroundColor: form.purchaseCurrency === c.code ? `${colors.gold}22` : 'transparent' }]} onPress={() => handlePurchaseCurrencyChange(c.code)}>
+                        <Text style={{ color: form.purchaseCurrency === c.code ? colors.gold : colors.muted, fontSize: scaledFonts.small }}>{c.code}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  {form.purchaseCurrency !== 'USD' && (
+                    <>
+                      <FloatingInput label={`USD → ${form.purchaseCurrency} rate`} value={form.fxRate} onChangeText={v => { setForm(p => ({ ...p, fxRate: v })); setPurchaseFxInfo(null); if (parseFloat(v) > 0) setFormErrors(e => ({ ...e, fxRate: false })); }} placeholder="Looking up..." keyboardType="decimal-pad" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required error={formErrors.fxRate} />
+                      <Text style={{ color: purchaseFxInfo?.approximate ? '#E69500' : colors.muted, fontSize: scaledFonts.small, marginTop: -4, marginBottom: 8 }}>
+                        {purchaseFxInfo
+                          ? (purchaseFxInfo.approximate
+                            ? `Rate for the purchase date unavailable — using ${purchaseFxInfo.date} rate. You can edit this manually.`
+                            : `1 USD = ${form.fxRate} ${form.purchaseCurrency} on ${purchaseFxInfo.date}`)
+                          : 'Prices are converted to USD at this rate when saved.'}
+                        {(parseFloat(form.fxRate) > 0 && parseFloat(form.unitPrice) > 0) ? ` Unit price ≈ ${formatCurrency(convertToUsd(parseFloat(form.unitPrice), parseFloat(form.fxRate)), 2, 'USD')}.` : ''}
+                      </Text>
+                    </>
+                  )}
+
                   <View style={{ flexDirection: 'row', gap: 8 }}>
-                    <View style={{ flex: 1 }}><FloatingInput label="Unit Price" value={form.unitPrice} onChangeText={v => { setForm(p => ({ ...p, unitPrice: v })); if (v && parseFloat(v) > 0) setFormErrors(e => ({ ...e, unitPrice: false })); }} placeholder="0.00" keyboardType="decimal-pad" prefix="$" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required error={formErrors.unitPrice} /></View>
+                    <View style={{ flex: 1 }}><FloatingInput label="Unit Price" value={form.unitPrice} onChangeText={v => { setForm(p => ({ ...p, unitPrice: v })); if (v && parseFloat(v) > 0) setFormErrors(e => ({ ...e, unitPrice: false })); }} placeholder="0.00" keyboardType="decimal-pad" prefix={getCurrencySymbol(form.purchaseCurrency)} colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required error={formErrors.unitPrice} /></View>
                     <View style={{ flex: 1 }}><FloatingInput label="Spot at Purchase" value={form.spotPrice} onChangeText={v => { setForm(p => ({ ...p, spotPrice: v })); setSpotPriceSource(null); }} placeholder="Auto" keyboardType="decimal-pad" prefix="$" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
                   </View>
 
@@ -12696,7 +15281,7 @@ function AppContent() {
                               Your price differs by {pctDiff.toFixed(0)}%
                             </Text>
                             <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 2 }}>
-                              Historical spot was ${formatCurrency(histSpot)} on {historicalSpotSuggestion.date}
+                              Historical spot was {formatCurrency(histSpot, 2, 'USD')} on {historicalSpotSuggestion.date}
                             </Text>
                           </View>
                           <TouchableOpacity
@@ -12706,7 +15291,7 @@ function AppContent() {
                             }}
                             style={{ paddingHorizontal: 10, paddingVertical: 6, backgroundColor: 'rgba(251, 191, 36, 0.3)', borderRadius: 6, marginLeft: 8 }}
                           >
-                            <Text style={{ color: '#E69500', fontSize: scaledFonts.tiny, fontWeight: '600' }}>Use ${formatCurrency(histSpot)}</Text>
+                            <Text style={{ color: '#E69500', fontSize: scaledFonts.tiny, fontWeight: '600' }}>Use {formatCurrency(histSpot, 2, 'USD')}</Text>
                           </TouchableOpacity>
                         </View>
                       </View>
@@ -12714,8 +15299,8 @@ function AppContent() {
                   })()}
 
                   <View style={{ flexDirection: 'row', gap: 8 }}>
-                    <View style={{ flex: 1 }}><FloatingInput label="Taxes" value={form.taxes} onChangeText={v => setForm(p => ({ ...p, taxes: v }))} placeholder="0.00" keyboardType="decimal-pad" prefix="$" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
-                    <View style={{ flex: 1 }}><FloatingInput label="Shipping" value={form.shipping} onChangeText={v => setForm(p => ({ ...p, shipping: v }))} placeholder="0.00" keyboardType="decimal-pad" prefix="$" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
+                    <View style={{ flex: 1 }}><FloatingInput label="Taxes" value={form.taxes} onChangeText={v => setForm(p => ({ ...p, taxes: v }))} placeholder="0.00" keyboardType="decimal-pad" prefix={getCurrencySymbol(form.purchaseCurrency)} colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
+                    <View style={{ flex: 1 }}><FloatingInput label="Shipping" value={form.shipping} onChangeText={v => setForm(p => ({ ...p, shipping: v }))} placeholder="0.00" keyboardType="decimal-pad" prefix={getCurrencySymbol(form.purchaseCurrency)} colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
                   </View>
 
                   {/* Total Cost Basis - editable for adjustments */}
@@ -12739,7 +15324,7 @@ function AppContent() {
                       onChangeText={v => setForm(p => ({ ...p, costBasis: v }))}
                       placeholder="0"
                       keyboardType="decimal-pad"
-                      prefix="$"
+                      prefix={getCurrencySymbol(form.purchaseCurrency)}
                       colors={colors}
                       isDarkMode={isDarkMode}
                       scaledFonts={scaledFonts}
@@ -12752,7 +15337,7 @@ function AppContent() {
                   <View style={[styles.card, { backgroundColor: `${colors.gold}15` }]}>
                     <Text style={{ color: colors.gold, fontWeight: '600', marginBottom: 8, fontSize: scaledFonts.normal }}>Premium (Auto-calculated)</Text>
                     <View style={{ flexDirection: 'row', gap: 8 }}>
-                      <View style={{ flex: 1 }}><FloatingInput label="Per Unit" value={form.premium} onChangeText={v => setForm(p => ({ ...p, premium: v }))} keyboardType="decimal-pad" prefix="$" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
+                      <View style={{ flex: 1 }}><FloatingInput label="Per Unit" value={form.premium} onChangeText={v => setForm(p => ({ ...p, premium: v }))} keyboardType="decimal-pad" prefix={getCurrencySymbol(form.purchaseCurrency)} colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
                       <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
                         {(() => {
                           const totalPremium = parseFloat(form.premium || 0) * parseInt(form.quantity || 1);
@@ -12760,7 +15345,7 @@ function AppContent() {
                           const premiumPct = calculatePremiumPercent(parseFloat(form.premium || 0), unitPrice);
                           return (
                             <>
-                              <Text style={{ color: colors.muted, fontSize: scaledFonts.small }}>Total: ${formatCurrency(totalPremium)}</Text>
+                              <Text style={{ color: colors.muted, fontSize: scaledFonts.small }}>Total: {formatMoney(totalPremium, { currency: form.purchaseCurrency })}</Text>
                               {premiumPct > 0 && (
                                 <Text style={{ color: colors.gold, fontSize: scaledFonts.tiny, marginTop: 2 }}>+{premiumPct.toFixed(1)}%</Text>
                               )}
@@ -12770,6 +15355,66 @@ function AppContent() {
                       </View>
                     </View>
                   </View>
+
+                  {/* Storage location */}
+                  {locations.length > 0 && (
+                    <View style={{ marginBottom: 12 }}>
+                      <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 6 }}>Location</Text>
+                      <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8 }}>
+                        {[...locations.map(l => ({ key: l.id, label: l.name })), { key: null, label: 'Unassigned' }].map(o => (
+                          <TouchableOpacity
+                            key={String(o.key)}
+                            onPress={() => setForm(p => ({ ...p, locationId: o.key }))}
+                            style={{ paddingVertical: 8, paddingHorizontal: 12, borderRadius: 10, borderWidth: 1, borderColor: (form.locationId ?? null) === o.key ? colors.gold : colors.border, backgroundColor: (form.locationId ?? null) === o.key ? `${colors.gold}22` : 'transparent' }}
+                          >
+                            <Text style={{ color: (form.locationId ?? null) === o.key ? colors.gold : colors.muted, fontSize: scaledFonts.small }}>{o.label}</Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                    </View>
+                  )}
+
+                  {/* Valuation — numismatic/semi-numismatic pieces worth more than melt */}
+                  <View style={[styles.card, { backgroundColor: isDarkMode ? 'rgba(148,163,184,0.1)' : `${colors.gold}15` }]}>
+                    <Text style={{ color: colors.text, fontWeight: '600', marginBottom: 8, fontSize: scaledFonts.normal }}>Valuation</Text>
+                    <View style={[styles.metalTabs, { marginBottom: 8 }]}>
+                      {VALUATION_MODES.map(m => (
+                        <TouchableOpacity key={m.key} style={[styles.metalTab, { padding: 8, borderRadius: 10, borderColor: form.valuationMode === m.key ? colors.gold : colors.border, backgroundColor: form.valuationMode === m.key ? `${colors.gold}22` : 'transparent' }]} onPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light); setForm(p => ({ ...p, valuationMode: m.key })); setFormErrors(e => ({ ...e, marketValue: false, valuationPremium: false })); }}>
+                          <Text style={{ color: form.valuationMode === m.key ? colors.gold : colors.muted, fontSize: scaledFonts.small }} numberOfLines={1} adjustsFontSizeToFit={true}>{m.label}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                    <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginBottom: 8 }}>
+                      {(VALUATION_MODES.find(m => m.key === form.valuationMode) || VALUATION_MODES[0]).description}
+                    </Text>
+                    {form.valuationMode === 'premium_fixed' && (
+                      <FloatingInput label="Premium over melt (per unit)" value={form.valuationPremium} onChangeText={v => { setForm(p => ({ ...p, valuationPremium: v })); setFormErrors(e => ({ ...e, valuationPremium: false })); }} placeholder="0.00" keyboardType="decimal-pad" prefix={currencySymbol} colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required error={formErrors.valuationPremium} />
+                    )}
+                    {form.valuationMode === 'premium_pct' && (
+                      <FloatingInput label="Premium over melt (%)" value={form.valuationPremium} onChangeText={v => { setForm(p => ({ ...p, valuationPremium: v })); setFormErrors(e => ({ ...e, valuationPremium: false })); }} placeholder="e.g. 25" keyboardType="numbers-and-punctuation" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required error={formErrors.valuationPremium} />
+                    )}
+                    {form.valuationMode === 'market' && (
+                      <>
+                        <FloatingInput label="Market value (per unit)" value={form.marketValue} onChangeText={v => { setForm(p => ({ ...p, marketValue: v })); if (parseFloat(v) > 0) setFormErrors(e => ({ ...e, marketValue: false })); }} placeholder="0.00" keyboardType="decimal-pad" prefix={currencySymbol} colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required error={formErrors.marketValue} />
+                        <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: -4, marginBottom: 8 }}>
+                          {form.marketValueUpdatedAt ? `Last updated ${formatDateDisplay(form.marketValueUpdatedAt)} — changing the value updates the date` : 'Dated today when saved'}
+                        </Text>
+                      </>
+                    )}
+
+                    <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 4, marginBottom: 6 }}>Grading (optional)</Text>
+                    <View style={[styles.metalTabs, { marginBottom: 8 }]}>
+                      {GRADING_SERVICES.map(service => (
+                        <TouchableOpacity key={service} style={[styles.metalTab, { padding: 8, borderRadius: 10, borderColor: form.gradingService === service ? colors.gold : colors.border, backgroundColor: form.gradingService === service ? `${colors.gold}22` : 'transparent' }]} onPress={() => setForm(p => ({ ...p, gradingService: p.gradingService === service ? '' : service }))}>
+                          <Text style={{ color: form.gradingService === service ? colors.gold : colors.muted, fontSize: scaledFonts.small }}>{service}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                    <View style={{ flexDirection: 'row', gap: 8 }}>
+                      <View style={{ flex: 1 }}><FloatingInput label="Grade" value={form.grade} onChangeText={v => setForm(p => ({ ...p, grade: v }))} placeholder="MS70, PF69 UCAM" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
+                      <View style={{ flex: 1 }}><FloatingInput label="Cert #" value={form.certNumber} onChangeText={v => setForm(p => ({ ...p, certNumber: v }))} placeholder="Certification number" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
+                    </View>
+                  </View>
                 </ScrollView>
 
                 {/* Sticky Save Button */}
@@ -12834,7 +15479,7 @@ function AppContent() {
           ].map((preset, i) => (
             <TouchableOpacity key={i} style={{ backgroundColor: colors.border, padding: 12, borderRadius: 12, marginRight: 8 }} onPress={() => { setSpecSilverPrice(preset.s.toString()); setSpecGoldPrice(preset.g.toString()); setSpecPlatinumPrice(preset.pt.toString()); setSpecPalladiumPrice(preset.pd.toString()); Keyboard.dismiss(); }}>
               <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{preset.label}</Text>
-              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>Ag ${preset.s} / Au ${preset.g}</Text>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>Ag {formatCurrency(preset.s, 0, 'USD')} / Au {formatCurrency(preset.g, 0, 'USD')}</Text>
             </TouchableOpacity>
           ))}
         </ScrollView>
@@ -12842,7 +15487,7 @@ function AppContent() {
         {/* Results */}
         <View style={[styles.card, { backgroundColor: `${colors.success}22` }]}>
           <Text style={{ color: colors.success, fontWeight: '600', fontSize: scaledFonts.normal }}>Projected Value</Text>
-          <Text style={{ color: colors.text, fontSize: scaledFonts.huge, fontWeight: '700' }}>${specTotalValue.toLocaleString(undefined, { minimumFractionDigits: 2 })}</Text>
+          <Text style={{ color: colors.text, fontSize: scaledFonts.huge, fontWeight: '700' }}>{formatCurrency(specTotalValue)}</Text>
           <Text style={{ color: specGainLoss >= 0 ? colors.success : colors.error, fontSize: scaledFonts.normal }}>{specGainLoss >= 0 ? '+' : ''}{specGainLossPct.toFixed(1)}% from cost basis</Text>
         </View>
 
@@ -12855,7 +15500,7 @@ function AppContent() {
           ].filter(m => m.value > 0).map(m => (
             <View key={m.label} style={[styles.card, { width: '47%', backgroundColor: `${m.color}22` }]}>
               <Text style={{ color: m.color, fontSize: scaledFonts.small }}>{m.label}</Text>
-              <Text style={{ color: colors.text, fontSize: scaledFonts.large, fontWeight: '600' }}>${m.value.toLocaleString()}</Text>
+              <Text style={{ color: colors.text, fontSize: scaledFonts.large, fontWeight: '600' }}>{formatSmartCurrency(m.value)}</Text>
             </View>
           ))}
         </View>
@@ -12894,8 +15539,8 @@ function AppContent() {
         </View>
 
         <View style={[styles.card, { backgroundColor: `${colors.success}22` }]}>
-          <Text style={{ color: colors.success, fontSize: scaledFonts.normal }}>Melt Value @ ${formatCurrency(silverSpot)}/oz</Text>
-          <Text style={{ color: colors.text, fontSize: scaledFonts.huge, fontWeight: '700' }}>${formatCurrency(junkMeltValue)}</Text>
+          <Text style={{ color: colors.success, fontSize: scaledFonts.normal }}>Melt Value @ {formatCurrency(silverSpot)}/oz</Text>
+          <Text style={{ color: colors.text, fontSize: scaledFonts.huge, fontWeight: '700' }}>{formatCurrency(junkMeltValue)}</Text>
         </View>
 
         <View style={{ backgroundColor: isDarkMode ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.05)', padding: 12, borderRadius: 8 }}>
@@ -12952,11 +15597,11 @@ function AppContent() {
                       <>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                           <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Total Paid</Text>
-                          <Text style={{ color: colors.text, fontSize: scaledFonts.normal, fontWeight: '600' }}>${formatCurrency(metalTotal)}</Text>
+                          <Text style={{ color: colors.text, fontSize: scaledFonts.normal, fontWeight: '600' }}>{formatCurrency(metalTotal)}</Text>
                         </View>
                         <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 }}>
                           <Text style={{ color: colors.muted, fontSize: scaledFonts.normal }}>Avg per Unit</Text>
-                          <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>${formatCurrency(metalTotal / withPremium.reduce((s, i) => s + i.quantity, 0))}</Text>
+                          <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>{formatCurrency(metalTotal / withPremium.reduce((s, i) => s + i.quantity, 0))}</Text>
                         </View>
                       </>
                     ) : (
@@ -12973,7 +15618,7 @@ function AppContent() {
               <View style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border }]}>
                 <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
                   <Text style={{ color: colors.text, fontWeight: '700', fontSize: scaledFonts.medium }}>Total Premiums Paid</Text>
-                  <Text style={{ color: colors.gold, fontSize: scaledFonts.large, fontWeight: '700' }}>${formatCurrency(grandTotal)}</Text>
+                  <Text style={{ color: colors.gold, fontSize: scaledFonts.large, fontWeight: '700' }}>{formatCurrency(grandTotal)}</Text>
                 </View>
                 <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 8 }}>
                   {totalWith} of {totalAll} holding{totalAll !== 1 ? 's' : ''} with premium data
@@ -13132,8 +15777,8 @@ function AppContent() {
         </View>
       )}
 
-      {/* Stack Ledger PIN Modal */}
-      <Modal visible={showLedgerPinModal} transparent animationType="fade" onRequestClose={() => !ledgerGenerating && setShowLedgerPinModal(false)}>
+      {/* Stack Ledger Password Modal — the PDF is encrypted with it */}
+      <Modal visible={showLedgerPasswordModal} transparent animationType="fade" onRequestClose={() => !ledgerGenerating && setShowLedgerPasswordModal(false)}>
         <View style={{ flex: 1, backgroundColor: 'rgba(0,0,0,0.7)', justifyContent: 'center', alignItems: 'center', padding: 24 }}>
           <View style={{ backgroundColor: '#1a1a1a', borderRadius: 16, padding: 24, width: '100%', maxWidth: 360, borderWidth: 1, borderColor: 'rgba(201,168,76,0.3)' }}>
             <View style={{ alignItems: 'center', marginBottom: 16 }}>
@@ -13142,34 +15787,48 @@ function AppContent() {
                 <Path d="M14 2v6h6M12 18v-6M9 15l3 3 3-3" stroke="#C9A84C" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
               </Svg>
             </View>
-            <Text style={{ color: '#fff', fontSize: 18, fontWeight: '700', textAlign: 'center', marginBottom: 6 }}>Set a 4-digit PIN</Text>
-            <Text style={{ color: '#999', fontSize: 13, textAlign: 'center', marginBottom: 20, lineHeight: 18 }}>This PIN is a personal reference tag for your ledger. Keep it somewhere safe.</Text>
-
-            <View style={{ flexDirection: 'row', justifyContent: 'center', gap: 12, marginBottom: 24 }}>
-              {[0, 1, 2, 3].map(i => (
-                <TextInput
-                  key={i}
-                  ref={(el) => { ledgerPinRefs.current[i] = el; }}
-                  value={ledgerPinDigits[i]}
-                  onChangeText={(v) => {
-                    const digit = v.replace(/[^0-9]/g, '').slice(-1);
-                    const next = [...ledgerPinDigits];
-                    next[i] = digit;
-                    setLedgerPinDigits(next);
-                    if (digit && i < 3) ledgerPinRefs.current[i + 1]?.focus();
-                  }}
-                  onKeyPress={({ nativeEvent }) => {
-                    if (nativeEvent.key === 'Backspace' && !ledgerPinDigits[i] && i > 0) {
-                      ledgerPinRefs.current[i - 1]?.focus();
-                    }
-                  }}
-                  keyboardType="number-pad"
-                  maxLength={1}
-                  editable={!ledgerGenerating}
-                  style={{ width: 52, height: 60, borderRadius: 12, backgroundColor: '#000', borderWidth: 1, borderColor: ledgerPinDigits[i] ? '#C9A84C' : 'rgba(255,255,255,0.15)', color: '#fff', fontSize: 24, textAlign: 'center', fontWeight: '700' }}
+            <Text style={{ color: '#fff', fontSize: 18, fontWeight: '700', textAlign: 'center', marginBottom: 6 }}>Password-Protect Ledger</Text>
+            <Text style={{ color: '#999', fontSize: 13, textAlign: 'center', marginBottom: 20, lineHeight: 18 }}>The PDF will only open with this password (at least {PDF_MIN_PASSWORD_LENGTH} characters) and can't be edited. It can't be recovered — keep it somewhere safe.</Text>
+
+            <TextInput
+              value={ledgerPassword}
+              onChangeText={setLedgerPassword}
+              placeholder="Password"
+              placeholderTextColor="#666"
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+              autoFocus
+              editable={!ledgerGenerating}
+              style={{ height: 48, borderRadius: 10, backgroundColor: '#000', borderWidth: 1, borderColor: 'rgba(255,255,255,0.15)', color: '#fff', fontSize: 16, paddingHorizontal: 12, marginBottom: 12 }}
+            />
+            <TextInput
+              value={ledgerPasswordConfirm}
+              onChangeText={setLedgerPasswordConfirm}
+              placeholder="Confirm password"
+              placeholderTextColor="#666"
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+              editable={!ledgerGenerating}
+              style={{ height: 48, borderRadius: 10, backgroundColor: '#000', borderWidth: 1, borderColor: 'rgba(255,255,255,0.15)', color: '#fff', fontSize: 16, paddingHorizontal: 12, marginBottom: 20 }}
+            />
+
+            {ledgerAttachmentCount > 0 && (
+              <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 20 }}>
+                <View style={{ flex: 1, marginRight: 12 }}>
+                  <Text style={{ color: '#fff', fontSize: 14, fontWeight: '600' }}>Include attachments</Text>
+                  <Text style={{ color: '#999', fontSize: 12, marginTop: 2 }}>Appendix of {ledgerAttachmentCount} receipt{ledgerAttachmentCount === 1 ? '' : 's'}, certificate{ledgerAttachmentCount === 1 ? '' : 's'} and photo{ledgerAttachmentCount === 1 ? '' : 's'}</Text>
+                </View>
+                <Switch
+                  value={ledgerIncludeAttachments}
+                  onValueChange={setLedgerIncludeAttachments}
+                  disabled={ledgerGenerating}
+                  trackColor={{ false: '#39393d', true: '#34c759' }}
+                  thumbColor="#fff"
                 />
-              ))}
-            </View>
+              </View>
+            )}
 
             {ledgerGenerating ? (
               <View style={{ alignItems: 'center', paddingVertical: 8 }}>
@@ -13178,22 +15837,25 @@ function AppContent() {
               </View>
             ) : (
               <View style={{ flexDirection: 'row', gap: 10 }}>
-                <TouchableOpacity onPress={() => setShowLedgerPinModal(false)} style={{ flex: 1, paddingVertical: 12, borderRadius: 10, backgroundColor: 'rgba(255,255,255,0.08)', alignItems: 'center' }}>
+                <TouchableOpacity onPress={() => { setShowLedgerPasswordModal(false); setLedgerPassword(''); setLedgerPasswordConfirm(''); }} style={{ flex: 1, paddingVertical: 12, borderRadius: 10, backgroundColor: 'rgba(255,255,255,0.08)', alignItems: 'center' }}>
                   <Text style={{ color: '#fff', fontSize: 15, fontWeight: '600' }}>Cancel</Text>
                 </TouchableOpacity>
                 <TouchableOpacity
                   onPress={() => {
-                    const pin = ledgerPinDigits.join('');
-                    if (pin.length !== 4) {
-                      Alert.alert('Enter PIN', 'Please enter all 4 digits.');
+                    if (ledgerPassword.length < PDF_MIN_PASSWORD_LENGTH) {
+                      Alert.alert('Password Too Short', `Use at least ${PDF_MIN_PASSWORD_LENGTH} characters.`);
+                      return;
+                    }
+                    if (ledgerPassword !== ledgerPasswordConfirm) {
+                      Alert.alert('Passwords Don\'t Match', 'Please enter the same password twice.');
                       return;
                     }
-                    generateStackLedger(pin);
+                    generateStackLedger(ledgerPassword);
                   }}
-                  disabled={ledgerPinDigits.join('').length !== 4}
-                  style={{ flex: 1, paddingVertical: 12, borderRadius: 10, backgroundColor: ledgerPinDigits.join('').length === 4 ? '#C9A84C' : 'rgba(201,168,76,0.3)', alignItems: 'center' }}
+                  disabled={!ledgerPassword}
+                  style={{ flex: 1, paddingVertical: 12, borderRadius: 10, backgroundColor: ledgerPassword ? '#C9A84C' : 'rgba(201,168,76,0.3)', alignItems: 'center' }}
                 >
-                  <Text style={{ color: ledgerPinDigits.join('').length === 4 ? '#000' : 'rgba(0,0,0,0.5)', fontSize: 15, fontWeight: '700' }}>Generate</Text>
+                  <Text style={{ color: ledgerPassword ? '#000' : 'rgba(0,0,0,0.5)', fontSize: 15, fontWeight: '700' }}>Generate</Text>
                 </TouchableOpacity>
               </View>
             )}
@@ -13201,22 +15863,167 @@ function AppContent() {
         </View>
       </Modal>
 
-      {/* Gold Paywall */}
-      <GoldPaywall
-        visible={showPaywallModal}
-        onClose={() => setShowPaywallModal(false)}
-        onPurchaseSuccess={checkEntitlements}
-        userTier={userTier}
-      />
+      {/* Backup Passphrase Modal — encrypt an export / unlock a restore */}
+      <Modal visible={backupPassphraseMode !== null} transparent animationType="fade" onRequestClose={() => !backupWorking && closeBackupPassphrase()}>
+        <View style={{ flex: 1, backgroundColor: 'rgba(0,0,0,0.7)', justifyContent: 'center', alignItems: 'center', padding: 24 }}>
+          <View style={{ backgroundColor: '#1a1a1a', borderRadius: 16, padding: 24, width: '100%', maxWidth: 360, borderWidth: 1, borderColor: 'rgba(201,168,76,0.3)' }}>
+            <Text style={{ color: '#fff', fontSize: 18, fontWeight: '700', textAlign: 'center', marginBottom: 6 }}>
+              {{ export: 'Encrypt Backup', auto: 'Automatic Backups', restore: 'Unlock Backup' }[backupPassphraseMode]}
+            </Text>
+            <Text style={{ color: '#999', fontSize: 13, textAlign: 'center', marginBottom: 20, lineHeight: 18 }}>
+              {backupPassphraseMode === 'export' && `Choose a passphrase (at least ${BACKUP_MIN_PASSPHRASE_LENGTH} characters). You'll need it to restore this backup — it can't be recovered.`}
+              {backupPassphraseMode === 'auto' && `Choose a passphrase (at least ${BACKUP_MIN_PASSPHRASE_LENGTH} characters) to encrypt your restore points. This device remembers it; you'll need it to restore them anywhere else — it can't be recovered.`}
+              {backupPassphraseMode === 'restore' && `Enter the passphrase this backup${pendingBackupFile?.timestamp ? ` from ${new Date(pendingBackupFile.timestamp).toLocaleDateString()}` : ''} was encrypted with.`}
+            </Text>
+            <TextInput
+              value={backupPassphrase}
+              onChangeText={setBackupPassphrase}
+              placeholder="Passphrase"
+              placeholderTextColor="#666"
+              secureTextEntry
+              autoCapitalize="none"
+              autoCorrect={false}
+              editable={!backupWorking}
+              style={{ height: 48, borderRadius: 10, backgroundColor: '#000', borderWidth: 1, borderColor: 'rgba(255,255,255,0.15)', color: '#fff', fontSize: 16, paddingHorizontal: 12, marginBottom: 12 }}
+            />
+            {backupPassphraseMode !== 'restore' && (
+              <TextInput
+                value={backupPassphraseConfirm}
+                onChangeText={setBackupPassphraseConfirm}
+                placeholder="Confirm passphrase"
+                placeholderTextColor="#666"
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!backupWorking}
+                style={{ height: 48, borderRadius: 10, backgroundColor: '#000', borderWidth: 1, borderColor: 'rgba(255,255,255,0.15)', color: '#fff', fontSize: 16, paddingHorizontal: 12, marginBottom: 12 }}
+              />
+            )}
 
-      {/* PRICE ALERTS */}
-      {showAddAlertModal && (
-        <View {...alertSwipe.panHandlers} style={{ position: 'absolute', top: 0, left: 0, right: 0, bottom: 0, backgroundColor: '#000', zIndex: 9998 }}>
-          <SafeAreaView style={{ flex: 1, backgroundColor: '#000' }}>
-            <View style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: 16, paddingVertical: 12, borderBottomWidth: 1, borderBottomColor: '#1a1a1a' }}>
-              <TouchableOpacity onPress={() => { setShowAddAlertModal(false); setNewAlert({ metal: 'silver', targetPrice: '', direction: 'above' }); }} style={{ marginRight: 12 }} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
-                <Text style={{ color: '#C9A84C', fontSize: 28, fontWeight: '300' }}>{'\u2039'}</Text>
-              </TouchableOpacity>
+            {backupWorking ? (
+              <View style={{ alignItems: 'center', paddingVertical: 8 }}>
+                <ActivityIndicator size="small" color="#C9A84C" />
+                <Text style={{ color: '#C9A84C', fontSize: 13, marginTop: 8 }}>{backupPassphraseMode === 'restore' ? 'Decrypting…' : 'Encrypting…'}</Text>
+              </View>
+            ) : (
+              <View style={{ flexDirection: 'row', gap: 10, marginTop: 12 }}>
+                <TouchableOpacity onPress={closeBackupPassphrase} style={{ flex: 1, paddingVertical: 12, borderRadius: 10, backgroundColor: 'rgba(255,255,255,0.08)', alignItems: 'center' }}>
+                  <Text style={{ color: '#fff', fontSize: 15, fontWeight: '600' }}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => {
+                    if (backupPassphraseMode === 'restore') {
+                      previewBackup(pendingBackupFile, backupPassphrase);
+                      return;
+                    }
+                    if (backupPassphrase.length < BACKUP_MIN_PASSPHRASE_LENGTH) {
+                      Alert.alert('Passphrase Too Short', `Use at least ${BACKUP_MIN_PASSPHRASE_LENGTH} characters.`);
+                      return;
+                    }
+                    if (backupPassphrase !== backupPassphraseConfirm) {
+                      Alert.alert('Passphrases Don\'t Match', 'Please enter the same passphrase twice.');
+                      return;
+                    }
+                    if (backupPassphraseMode === 'auto') setAutoBackupPassphrase(backupPassphrase);
+                    else exportEncryptedBackup(backupPassphrase);
+                  }}
+                  disabled={!backupPassphrase}
+                  style={{ flex: 1, paddingVertical: 12, borderRadius: 10, backgroundColor: backupPassphrase ? '#C9A84C' : 'rgba(201,168,76,0.3)', alignItems: 'center' }}
+                >
+                  <Text style={{ color: backupPassphrase ? '#000' : 'rgba(0,0,0,0.5)', fontSize: 15, fontWeight: '700' }}>{{ export: 'Export', auto: 'Turn On', restore: 'Unlock' }[backupPassphraseMode]}</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        </View>
+      </Modal>
+
+      {/* Restore Preview Modal — what merge / replace would change */}
+      <ModalWrapper
+        visible={restorePreview !== null}
+        onClose={() => setRestorePreview(null)}
+        title="Restore Backup"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        {restorePreview && (() => {
+          const { backup, diff } = restorePreview;
+          const formatSetting = (value) => value == null ? '—' : typeof value === 'boolean' ? (value ? 'On' : 'Off') : String(value);
+          return (
+            <>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 12 }}>
+                Backup from {backup.timestamp ? new Date(backup.timestamp).toLocaleString() : 'an unknown date'}. Merge adds what's only in the backup and keeps everything on this device. Replace makes this device match the backup.
+              </Text>
+              <View style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border }]}>
+                <View style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { flex: 2, color: colors.muted, fontSize: scaledFonts.tiny }]} />
+                  <Text style={{ flex: 1, color: colors.muted, fontSize: scaledFonts.tiny, textAlign: 'right' }}>New</Text>
+                  <Text style={{ flex: 1, color: colors.muted, fontSize: scaledFonts.tiny, textAlign: 'right' }}>Changed</Text>
+                  <Text style={{ flex: 1, color: colors.muted, fontSize: scaledFonts.tiny, textAlign: 'right' }}>Only here</Text>
+                </View>
+                {diff.lists.map(row => (
+                  <View key={row.key} style={styles.statRow}>
+                    <Text style={[styles.statRowLabel, { flex: 2, color: colors.muted, fontSize: scaledFonts.small }]}>{row.label}</Text>
+                    <Text style={{ flex: 1, color: row.added ? colors.success : colors.text, fontSize: scaledFonts.small, textAlign: 'right' }}>{row.added}</Text>
+                    <Text style={{ flex: 1, color: row.changed ? colors.gold : colors.text, fontSize: scaledFonts.small, textAlign: 'right' }}>{row.changed}</Text>
+                    <Text style={{ flex: 1, color: row.removed ? colors.error : colors.text, fontSize: scaledFonts.small, textAlign: 'right' }}>{row.removed}</Text>
+                  </View>
+                ))}
+              </View>
+              {diff.settings.length > 0 && (
+                <View style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border }]}>
+                  <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal, marginBottom: 8 }}>Settings (applied on Replace)</Text>
+                  {diff.settings.map(row => (
+                    <View key={row.key} style={styles.statRow}>
+                      <Text style={[styles.statRowLabel, { flex: 2, color: colors.muted, fontSize: scaledFonts.small }]}>{row.label}</Text>
+                      <Text style={{ flex: 2, color: colors.text, fontSize: scaledFonts.small, textAlign: 'right' }} numberOfLines={1}>{formatSetting(row.current)} → {formatSetting(row.backup)}</Text>
+                    </View>
+                  ))}
+                </View>
+              )}
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginBottom: 12 }}>
+                "Changed" records keep this device's version on Merge. "Only here" records are removed by Replace.
+              </Text>
+              <View style={{ flexDirection: 'row', gap: 8 }}>
+                <TouchableOpacity style={[styles.buttonOutline, { flex: 1, borderColor: colors.border }]} onPress={() => applyRestore('merge')}>
+                  <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal }}>Merge</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, { flex: 1, backgroundColor: colors.gold }]}
+                  onPress={() => Alert.alert(
+                    'Replace Data',
+                    'Replace the data on this device with the backup? Records that are only on this device will be deleted.',
+                    [
+                      { text: 'Cancel', style: 'cancel' },
+                      { text: 'Replace', style: 'destructive', onPress: () => applyRestore('replace') },
+                    ]
+                  )}
+                >
+                  <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>Replace</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          );
+        })()}
+      </ModalWrapper>
+
+      {/* Gold Paywall */}
+      <GoldPaywall
+        visible={showPaywallModal}
+        onClose={() => setShowPaywallModal(false)}
+        onPurchaseSuccess={checkEntitlements}
+        userTier={userTier}
+        usage={usageQuotas}
+      />
+
+      {/* PRICE ALERTS */}
+      {showAddAlertModal && (
+        <View {...alertSwipe.panHandlers} style={{ position: 'absolute', top: 0, left: 0, right: 0, bottom: 0, backgroundColor: '#000', zIndex: 9998 }}>
+          <SafeAreaView style={{ flex: 1, backgroundColor: '#000' }}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: 16, paddingVertical: 12, borderBottomWidth: 1, borderBottomColor: '#1a1a1a' }}>
+              <TouchableOpacity onPress={() => { setShowAddAlertModal(false); setNewAlert({ metal: 'silver', targetPrice: '', direction: 'above' }); }} style={{ marginRight: 12 }} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+                <Text style={{ color: '#C9A84C', fontSize: 28, fontWeight: '300' }}>{'\u2039'}</Text>
+              </TouchableOpacity>
               <Text style={{ color: '#fff', fontSize: 17, fontWeight: '700', flex: 1 }}>Price Alerts</Text>
             </View>
             <ScrollView style={{ flex: 1 }} contentContainerStyle={{ padding: 16, paddingBottom: 40 }} keyboardShouldPersistTaps="handled" keyboardDismissMode="on-drag">
@@ -13319,7 +16126,7 @@ function AppContent() {
             />
           </View>
           <Text style={{ color: colors.muted, fontSize: 11, marginTop: 4 }}>
-            Current {{ gold: 'gold', silver: 'silver', platinum: 'platinum', palladium: 'palladium' }[newAlert.metal]} spot: ${{ gold: goldSpot, silver: silverSpot, platinum: platinumSpot, palladium: palladiumSpot }[newAlert.metal]?.toFixed(2)}/oz
+            Current {{ gold: 'gold', silver: 'silver', platinum: 'platinum', palladium: 'palladium' }[newAlert.metal]} spot: {formatCurrency({ gold: goldSpot, silver: silverSpot, platinum: platinumSpot, palladium: palladiumSpot }[newAlert.metal], 2, 'USD')}/oz
           </Text>
         </View>
 
@@ -13385,6 +16192,7 @@ function AppContent() {
                 onDelete={deletePriceAlertDirect}
                 onToggle={togglePriceAlert}
                 spotPrices={{ gold: goldSpot, silver: silverSpot, platinum: platinumSpot, palladium: palladiumSpot }}
+                formatCurrency={formatCurrency}
               />
             ))}
           </View>
@@ -13563,7 +16371,7 @@ function AppContent() {
         onClose={() => {
           setShowScannedItemsPreview(false);
           setScannedItems([]);
-          setScannedMetadata({ purchaseDate: '', purchaseTime: '', dealer: '' });
+          setScannedMetadata({ purchaseDate: '', purchaseTime: '', dealer: '', warnings: [], receipts: [] });
         }}
         title="Receipt Scanned"
         colors={colors}
@@ -13579,6 +16387,18 @@ function AppContent() {
           {scannedMetadata.purchaseDate && (
             <Text style={{ color: colors.muted, fontSize: 12 }}>Date: {scannedMetadata.purchaseDate}{scannedMetadata.purchaseTime ? ` at ${scannedMetadata.purchaseTime}` : ''}</Text>
           )}
+          {(scanReviewCount > 0 || scannedMetadata.warnings?.length > 0) && (
+            <View style={{ backgroundColor: 'rgba(251,191,36,0.1)', borderRadius: 6, padding: 8, marginTop: 8 }}>
+              {scanReviewCount > 0 && (
+                <Text style={{ color: colors.gold, fontSize: 12, fontWeight: '600' }}>
+                  {scanReviewCount} item{scanReviewCount > 1 ? 's' : ''} to review — highlighted fields may have been misread
+                </Text>
+              )}
+              {(scannedMetadata.warnings || []).map((warning, i) => (
+                <Text key={i} style={{ color: colors.muted, fontSize: 11, marginTop: 2 }}>{warning}</Text>
+              ))}
+            </View>
+          )}
         </View>
 
         {scannedItems.map((item, index) => {
@@ -13589,9 +16409,14 @@ function AppContent() {
             <View key={index} style={[styles.card, { marginBottom: 12, padding: 12, borderLeftWidth: 3, borderLeftColor: itemColor }]}>
               <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 8 }}>
                 <View style={{ flex: 1 }}>
-                  <Text style={{ color: colors.text, fontWeight: '600', fontSize: 14 }}>{item.productName || 'Unknown Item'}</Text>
+                  <Text style={{ color: scanFieldColor(item, 'description') || colors.text, fontWeight: '600', fontSize: 14 }}>{item.productName || 'Unknown Item'}</Text>
                   <Text style={{ color: itemColor, fontSize: 12, marginTop: 2 }}>
-                    {itemMetal.toUpperCase()} • {item.ozt ?? 0} oz{(item.quantity ?? 1) > 1 ? ` • Qty: ${item.quantity}` : ''}
+                    <Text style={{ color: scanFieldColor(item, 'metal') || itemColor }}>{itemMetal.toUpperCase()}</Text>
+                    {' • '}
+                    <Text style={{ color: scanFieldColor(item, 'ozt') || itemColor }}>{item.ozt ?? 0} oz</Text>
+                    {((item.quantity ?? 1) > 1 || scanFieldColor(item, 'quantity')) && (
+                      <Text style={{ color: scanFieldColor(item, 'quantity') || itemColor }}>{` • Qty: ${item.quantity ?? 1}`}</Text>
+                    )}
                   </Text>
                 </View>
               </View>
@@ -13600,7 +16425,7 @@ function AppContent() {
               <View style={{ flexDirection: 'row', gap: 12, marginTop: 8 }}>
                 <View style={{ flex: 1 }}>
                   <Text style={{ color: colors.muted, fontSize: 10, marginBottom: 4 }}>Unit Price</Text>
-                  <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.cardBg, borderRadius: 6, paddingHorizontal: 8 }}>
+                  <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.cardBg, borderRadius: 6, paddingHorizontal: 8, borderWidth: 1, borderColor: scanFieldColor(item, 'unitPrice') || 'transparent' }}>
                     <Text style={{ color: colors.text, fontSize: 14 }}>$</Text>
                     <TextInput
                       style={{ flex: 1, color: colors.text, fontSize: 14, paddingVertical: 8 }}
@@ -13613,7 +16438,7 @@ function AppContent() {
                 </View>
                 <View style={{ flex: 1 }}>
                   <Text style={{ color: colors.muted, fontSize: 10, marginBottom: 4 }}>Line Total{(item.quantity ?? 1) > 1 ? ` (×${item.quantity})` : ''}</Text>
-                  <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.cardBg, borderRadius: 6, paddingHorizontal: 8 }}>
+                  <View style={{ flexDirection: 'row', alignItems: 'center', backgroundColor: colors.cardBg, borderRadius: 6, paddingHorizontal: 8, borderWidth: 1, borderColor: scanFieldColor(item, 'extPrice') || 'transparent' }}>
                     <Text style={{ color: colors.text, fontSize: 14 }}>$</Text>
                     <TextInput
                       style={{ flex: 1, color: colors.text, fontSize: 14, paddingVertical: 8 }}
@@ -13629,11 +16454,11 @@ function AppContent() {
               {(item.spotPrice ?? 0) > 0 && (
                 <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginTop: 8 }}>
                   <Text style={{ color: colors.muted, fontSize: 11 }}>
-                    Spot: ${(item.spotPrice ?? 0).toFixed(2)}
+                    Spot: {formatCurrency(item.spotPrice ?? 0)}
                   </Text>
                   {(item.premium ?? 0) !== 0 && (
                     <Text style={{ color: (item.premium ?? 0) > 0 ? colors.gold : colors.error, fontSize: 11 }}>
-                      Premium: ${(item.premium ?? 0).toFixed(2)}
+                      Premium: {formatCurrency(item.premium ?? 0)}
                     </Text>
                   )}
                 </View>
@@ -13646,6 +16471,27 @@ function AppContent() {
                 </View>
               )}
 
+              {/* What the server's validation flagged on this item */}
+              {item.issues?.length > 0 && (
+                <View style={{ backgroundColor: 'rgba(251,191,36,0.1)', padding: 8, borderRadius: 6, marginTop: 8 }}>
+                  {item.issues.map((issue, i) => (
+                    <Text key={i} style={{ color: issue.level === 'low' ? colors.error : colors.gold, fontSize: 11, marginTop: i > 0 ? 2 : 0 }}>
+                      • {issue.message}
+                    </Text>
+                  ))}
+                  {item.suggestedOzt > 0 && item.suggestedOzt !== item.ozt && item.issues.some(issue => issue.field === 'ozt') && (
+                    <TouchableOpacity
+                      onPress={() => applySuggestedOzt(index)}
+                      style={{ marginTop: 6, paddingVertical: 4, paddingHorizontal: 10, borderRadius: 12, borderWidth: 1, borderColor: colors.gold, alignSelf: 'flex-start' }}
+                    >
+                      <Text style={{ color: colors.gold, fontSize: 11, fontWeight: '600' }}>Use {item.suggestedOzt} oz</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
+
+              {renderDuplicateNotice(scanDuplicateMatches[index], item.duplicateAction, action => setDuplicateAction(setScannedItems, index, action))}
+
               <TouchableOpacity
                 style={{
                   marginTop: 10,
@@ -13674,9 +16520,11 @@ function AppContent() {
             onPress={confirmScannedItems}
           >
             <Text style={{ color: '#000', fontWeight: '600', fontSize: 16 }}>
-              {scannedItems.length === 1
-                ? 'Add Item'
-                : `Add All ${scannedItems.length} Items`}
+              {(() => {
+                const toAdd = countRowsToAdd(scannedItems, scanDuplicateMatches);
+                if (toAdd === scannedItems.length) return scannedItems.length === 1 ? 'Add Item' : `Add All ${scannedItems.length} Items`;
+                return toAdd === 0 ? 'Apply Choices' : `Add ${toAdd} Item${toAdd !== 1 ? 's' : ''}`;
+              })()}
             </Text>
           </TouchableOpacity>
 
@@ -13685,7 +16533,7 @@ function AppContent() {
             onPress={() => {
               setShowScannedItemsPreview(false);
               setScannedItems([]);
-              setScannedMetadata({ purchaseDate: '', purchaseTime: '', dealer: '' });
+              setScannedMetadata({ purchaseDate: '', purchaseTime: '', dealer: '', warnings: [], receipts: [] });
             }}
           >
             <Text style={{ color: colors.text }}>Cancel</Text>
@@ -13693,6 +16541,56 @@ function AppContent() {
         </View>
       </ModalWrapper>
 
+      {/* Sheet Picker Modal (workbooks with several sheets) */}
+      <Modal visible={!!pendingWorkbook} animationType="slide" transparent onRequestClose={() => setPendingWorkbook(null)}>
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, { backgroundColor: isDarkMode ? '#1a1a2e' : '#ffffff', maxHeight: '80%' }]}>
+            {/* Header */}
+            <View style={[styles.modalHeader, { borderBottomColor: colors.border }]}>
+              <Text style={[styles.modalTitle, { color: colors.text }]}>Select Sheet</Text>
+              <TouchableOpacity
+                onPress={() => setPendingWorkbook(null)}
+                style={[styles.closeButton, { backgroundColor: isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }]}
+                hitSlop={{ top: 20, bottom: 20, left: 20, right: 20 }}
+              >
+                <Text style={[styles.closeButtonText, { color: colors.text }]}>✕</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView style={{ padding: 20 }} showsVerticalScrollIndicator={false}>
+              <Text style={{ color: colors.muted, marginBottom: 16, fontSize: 14 }}>
+                {pendingWorkbook?.fileName} has {pendingWorkbook?.sheets.length} sheets. Which one holds your purchases?
+              </Text>
+
+              {(pendingWorkbook?.sheets || []).map(sheet => (
+                <TouchableOpacity
+                  key={sheet.name}
+                  style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border, borderWidth: 1, marginBottom: 12, padding: 16 }]}
+                  onPress={() => selectWorkbookSheet(sheet)}
+                >
+                  <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <Text style={{ color: colors.text, fontWeight: '600', fontSize: 16, flex: 1 }} numberOfLines={1}>{sheet.name}</Text>
+                    <Text style={{ color: colors.muted, fontSize: 12 }}>{sheet.rowCount} row{sheet.rowCount !== 1 ? 's' : ''}</Text>
+                  </View>
+                  <Text style={{ color: colors.muted, fontSize: 12, marginTop: 4 }} numberOfLines={2}>
+                    {sheet.rows[0].filter(h => String(h ?? '').trim()).join(' · ')}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+
+              <View style={{ height: 20 }} />
+            </ScrollView>
+
+            {/* Footer buttons */}
+            <View style={{ padding: 20, paddingTop: 0 }}>
+              <TouchableOpacity style={styles.buttonOutline} onPress={() => setPendingWorkbook(null)}>
+                <Text style={{ color: colors.text }}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       {/* Dealer Selector Modal */}
       <Modal visible={showDealerSelector} animationType="slide" transparent>
         <View style={styles.modalOverlay}>
@@ -13715,11 +16613,11 @@ function AppContent() {
 
             <ScrollView style={{ padding: 20 }} showsVerticalScrollIndicator={false}>
               <Text style={{ color: colors.muted, marginBottom: 16, fontSize: 14 }}>
-                We couldn't auto-detect the format. Select the dealer this CSV came from, or choose Generic if unsure.
+                We couldn't auto-detect the format. Select the dealer or app this file came from, or choose Generic if unsure.
               </Text>
 
               {Object.entries(DEALER_TEMPLATES)
-                .filter(([key]) => key !== 'stacktracker') // Stack Tracker format is auto-detected
+                .filter(([key]) => key !== 'stacktracker' && key !== 'trackerjson') // Detected automatically
                 .map(([key, template]) => (
                 <TouchableOpacity
                   key={key}
@@ -13743,6 +16641,48 @@ function AppContent() {
                 </TouchableOpacity>
               ))}
 
+              {importTemplates.length > 0 && (
+                <Text style={{ color: colors.muted, fontSize: 12, fontWeight: '600', marginTop: 8, marginBottom: 8 }}>YOUR TEMPLATES</Text>
+              )}
+              {importTemplates.map(template => (
+                <TouchableOpacity
+                  key={template.key}
+                  style={[
+                    styles.card,
+                    {
+                      backgroundColor: colors.cardBg,
+                      borderColor: selectedDealer === template.key ? colors.gold : colors.border,
+                      borderWidth: selectedDealer === template.key ? 2 : 1,
+                      marginBottom: 12,
+                      padding: 16,
+                    },
+                  ]}
+                  onPress={() => setSelectedDealer(template.key)}
+                  onLongPress={() => deleteImportTemplate(template)}
+                >
+                  <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <Text style={{ color: colors.text, fontWeight: '600', fontSize: 16, flex: 1 }}>{template.name}</Text>
+                    {selectedDealer === template.key && <Text style={{ color: colors.gold, fontSize: 18, marginRight: 12 }}>✓</Text>}
+                    <TouchableOpacity onPress={() => deleteImportTemplate(template)} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+                      <Text style={{ color: colors.error, fontSize: 12 }}>Delete</Text>
+                    </TouchableOpacity>
+                  </View>
+                  <Text style={{ color: colors.muted, fontSize: 12, marginTop: 4 }}>
+                    {Object.keys(template.columnMap).length} mapped columns{template.autoDealer ? ` · ${template.autoDealer}` : ''}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+
+              <TouchableOpacity
+                style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border, borderWidth: 1, borderStyle: 'dashed', marginBottom: 12, padding: 16 }]}
+                onPress={() => pendingImportFile && openColumnMapping(pendingImportFile, selectedDealer || 'generic')}
+              >
+                <Text style={{ color: colors.gold, fontWeight: '600', fontSize: 16 }}>Map Columns Myself</Text>
+                <Text style={{ color: colors.muted, fontSize: 12, marginTop: 4 }}>
+                  Pick which column is which{selectedDealer ? ', starting from the selected format' : ''}, and save it as a template for next time
+                </Text>
+              </TouchableOpacity>
+
               <View style={{ height: 20 }} />
             </ScrollView>
 
@@ -13770,6 +16710,125 @@ function AppContent() {
         </View>
       </Modal>
 
+      {/* Column Mapping Modal */}
+      <Modal visible={showColumnMapping} animationType="slide" transparent onRequestClose={closeColumnMapping}>
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, { backgroundColor: isDarkMode ? '#1a1a2e' : '#ffffff', maxHeight: '90%' }]}>
+            {/* Header */}
+            <View style={[styles.modalHeader, { borderBottomColor: colors.border }]}>
+              <Text style={[styles.modalTitle, { color: colors.text }]}>Map Columns</Text>
+              <TouchableOpacity
+                onPress={closeColumnMapping}
+                style={[styles.closeButton, { backgroundColor: isDarkMode ? 'rgba(255,255,255,0.1)' : 'rgba(0,0,0,0.1)' }]}
+                hitSlop={{ top: 20, bottom: 20, left: 20, right: 20 }}
+              >
+                <Text style={[styles.closeButtonText, { color: colors.text }]}>✕</Text>
+              </TouchableOpacity>
+            </View>
+
+            {pendingImportFile && (() => {
+              const columnNames = (pendingImportFile.rows[0] || []).map((h, i) => String(h ?? '').trim() || `Column ${i + 1}`);
+              const preview = previewMappedRows(pendingImportFile.rows, columnMapping);
+              return (
+                <ScrollView style={{ padding: 20 }} keyboardShouldPersistTaps="handled" showsVerticalScrollIndicator={false}>
+                  <Text style={{ color: colors.muted, marginBottom: 16, fontSize: 14 }}>
+                    Tap a field, then pick the column it's in. Fields left unmapped are skipped.
+                  </Text>
+
+                  {IMPORT_FIELDS.map(field => {
+                    const index = columnMapping[field.key];
+                    const isOpen = mappingField === field.key;
+                    return (
+                      <View key={field.key} style={{ borderBottomWidth: 1, borderBottomColor: colors.border }}>
+                        <TouchableOpacity
+                          style={[styles.statRow, { paddingVertical: 10 }]}
+                          onPress={() => setMappingField(isOpen ? null : field.key)}
+                        >
+                          <Text style={[styles.statRowLabel, { color: colors.text }]}>
+                            {field.label}{field.required && <Text style={{ color: colors.error }}> *</Text>}
+                          </Text>
+                          <Text style={{ color: index >= 0 ? colors.gold : colors.muted, fontSize: 13, flexShrink: 1, textAlign: 'right' }} numberOfLines={1}>
+                            {index >= 0 ? columnNames[index] : 'Not mapped'} {isOpen ? '▴' : '▾'}
+                          </Text>
+                        </TouchableOpacity>
+                        {isOpen && (
+                          <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 6, paddingBottom: 10 }}>
+                            {[{ label: 'Not mapped', index: -1 }, ...columnNames.map((label, i) => ({ label, index: i }))].map(option => (
+                              <TouchableOpacity
+                                key={option.index}
+                                style={{
+                                  paddingHorizontal: 10,
+                                  paddingVertical: 6,
+                                  borderRadius: 14,
+                                  borderWidth: 1,
+                                  borderColor: index === option.index ? colors.gold : colors.border,
+                                  backgroundColor: index === option.index ? 'rgba(251,191,36,0.15)' : 'transparent',
+                                }}
+                                onPress={() => {
+                                  setColumnMapping(prev => ({ ...prev, [field.key]: option.index }));
+                                  setMappingField(null);
+                                }}
+                              >
+                                <Text style={{ color: index === option.index ? colors.gold : colors.text, fontSize: 12 }}>{option.label}</Text>
+                              </TouchableOpacity>
+                            ))}
+                          </View>
+                        )}
+                      </View>
+                    );
+                  })}
+
+                  <Text style={{ color: colors.muted, fontSize: 12, fontWeight: '600', marginTop: 20, marginBottom: 8 }}>PREVIEW</Text>
+                  {preview.length === 0 ? (
+                    <Text style={{ color: colors.muted, fontSize: 13 }}>No data rows found.</Text>
+                  ) : preview.map((row, i) => (
+                    <View key={i} style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border, borderWidth: 1, padding: 12, marginBottom: 8 }]}>
+                      <Text style={{ color: row.product ? colors.text : colors.error, fontWeight: '600' }} numberOfLines={1}>
+                        {row.product || 'No product'}
+                      </Text>
+                      <Text style={{ color: colors.muted, fontSize: 12, marginTop: 4 }}>
+                        {[
+                          row.metal || (row.product && detectMetalFromName(row.product)) || null,
+                          row.quantity ? `Qty ${row.quantity}` : null,
+                          row.unitPrice ? `@ ${row.unitPrice}` : null,
+                          row.ozt ? `${row.ozt} ozt` : (row.weight ? `${row.weight} ${row.weightUnit || ''}`.trim() : null),
+                          row.date || null,
+                          row.dealer || mappingDealerName.trim() || null,
+                        ].filter(Boolean).join(' · ')}
+                      </Text>
+                    </View>
+                  ))}
+
+                  <View style={{ marginTop: 16 }}>
+                    <FloatingInput label="Save as Template" value={mappingTemplateName} onChangeText={setMappingTemplateName} placeholder="e.g. My Local Coin Shop" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} />
+                    <FloatingInput label="Dealer (if no dealer column)" value={mappingDealerName} onChangeText={setMappingDealerName} placeholder="e.g. Local Coin Shop" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} />
+                    <Text style={{ color: colors.muted, fontSize: 12 }}>
+                      Named templates are recognized automatically the next time you import a file with these columns.
+                    </Text>
+                  </View>
+
+                  <View style={{ height: 20 }} />
+                </ScrollView>
+              );
+            })()}
+
+            {/* Footer buttons */}
+            <View style={{ flexDirection: 'row', gap: 8, padding: 20, paddingTop: 0 }}>
+              <TouchableOpacity style={[styles.buttonOutline, { flex: 1 }]} onPress={closeColumnMapping}>
+                <Text style={{ color: colors.text }}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.button, { flex: 1, backgroundColor: columnMapping.product >= 0 ? colors.success : colors.muted, opacity: columnMapping.product >= 0 ? 1 : 0.5 }]}
+                onPress={confirmColumnMapping}
+                disabled={!(columnMapping.product >= 0)}
+              >
+                <Text style={{ color: '#000', fontWeight: '600' }}>Continue</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       {/* Import Preview Modal */}
       {/* Import Preview Modal - Custom structure for FlatList */}
       <Modal visible={showImportPreview} animationType="slide" transparent>
@@ -13797,6 +16856,11 @@ function AppContent() {
               ListHeaderComponent={
                 <Text style={{ color: colors.text, marginBottom: 16, fontWeight: '600', paddingHorizontal: 20 }}>
                   Found {importData.length} item{importData.length > 1 ? 's' : ''}. Tap any item to edit before importing:
+                  {importDuplicateMatches.some(Boolean) && (
+                    <Text style={{ color: colors.gold, fontWeight: '400' }}>
+                      {`\n${importDuplicateMatches.filter(Boolean).length} look like holdings you already have — choose Skip, Merge or Keep Both for each.`}
+                    </Text>
+                  )}
                 </Text>
               }
               contentContainerStyle={{ paddingBottom: 20 }}
@@ -13826,13 +16890,13 @@ function AppContent() {
                         </View>
                       </View>
                       <Text style={{ color: colors.text, fontWeight: '600', fontSize: 14 }}>
-                        ${(item.unitPrice * item.quantity).toFixed(2)}
+                        {formatCurrency(item.unitPrice * item.quantity)}
                       </Text>
                     </View>
 
                     <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginTop: 4 }}>
                       <Text style={{ color: colors.muted, fontSize: 11 }}>
-                        ${item.unitPrice.toFixed(2)} per item
+                        {formatCurrency(item.unitPrice)} per item
                       </Text>
                       {item.datePurchased && (
                         <Text style={{ color: colors.muted, fontSize: 11 }}>
@@ -13847,6 +16911,8 @@ function AppContent() {
                       </Text>
                     )}
 
+                    {renderDuplicateNotice(importDuplicateMatches[index], item.duplicateAction, action => setDuplicateAction(setImportData, index, action))}
+
                     <TouchableOpacity
                       style={{
                         marginTop: 8,
@@ -13880,7 +16946,12 @@ function AppContent() {
                 style={[styles.button, { flex: 1, backgroundColor: colors.success }]}
                 onPress={confirmImport}
               >
-                <Text style={{ color: '#000', fontWeight: '600' }}>Import {importData.length} Items</Text>
+                <Text style={{ color: '#000', fontWeight: '600' }}>
+                  {(() => {
+                    const toAdd = countRowsToAdd(importData, importDuplicateMatches);
+                    return toAdd === 0 ? 'Apply Choices' : `Import ${toAdd} Items`;
+                  })()}
+                </Text>
               </TouchableOpacity>
             </View>
           </View>
@@ -13931,7 +17002,7 @@ function AppContent() {
                   {/* Spot price reference */}
                   <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 16, paddingHorizontal: 4 }}>
                     <Text style={{ color: colors.muted, fontSize: scaledFonts.small }}>
-                      Live Spot: <Text style={{ color: colors.gold, fontWeight: '700' }}>${currentSpot.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</Text>/oz
+                      Live Spot: <Text style={{ color: colors.gold, fontWeight: '700' }}>{formatCurrency(currentSpot)}</Text>/oz
                     </Text>
                   </View>
 
@@ -14059,7 +17130,7 @@ function AppContent() {
                               </View>
                               <View style={{ alignItems: 'flex-end' }}>
                                 <Text style={{ color: isBest ? colors.gold : colors.text, fontSize: scaledFonts.normal, fontWeight: '700' }}>
-                                  ${dealer.price?.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                                  {formatCurrency(dealer.price)}
                                 </Text>
                                 {dPremium != null && (
                                   <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginTop: 1 }}>
@@ -14123,10 +17194,36 @@ function AppContent() {
               </View>
               <View style={styles.statRow}>
                 <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>Unit Price</Text>
-                <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>${formatCurrency(detailItem.unitPrice)}</Text>
+                <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>{formatCurrency(detailItem.unitPrice)}</Text>
               </View>
+              {detailItem.purchaseCurrency && detailItem.purchaseCurrency !== 'USD' && (
+                <View style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>Paid ({detailItem.purchaseCurrency})</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>
+                    {formatMoney(detailItem.originalUnitPrice ?? detailItem.unitPrice * detailItem.purchaseFxRate, { currency: detailItem.purchaseCurrency })} @ {detailItem.purchaseFxRate}
+                  </Text>
+                </View>
+              )}
+              {describeWeight(detailItem) && (
+                <View style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>Weight (each)</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>{describeWeight(detailItem)}</Text>
+                </View>
+              )}
+              {locations.length > 0 && (
+                <View style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>Location</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>{getLocationName(locations, detailItem.locationId)}</Text>
+                </View>
+              )}
+              {!!formatGrade(detailItem) && (
+                <View style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>Grade</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>{formatGrade(detailItem, true)}</Text>
+                </View>
+              )}
               <View style={styles.statRow}>
-                <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>Troy Ounces (each)</Text>
+                <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>{describeWeight(detailItem) ? 'Pure Troy Ounces (each)' : 'Troy Ounces (each)'}</Text>
                 <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>{detailItem.ozt} oz</Text>
               </View>
               <View style={styles.statRow}>
@@ -14137,21 +17234,24 @@ function AppContent() {
               {detailItem.taxes > 0 && (
                 <View style={styles.statRow}>
                   <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>Taxes</Text>
-                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>${formatCurrency(detailItem.taxes)}</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>{formatCurrency(detailItem.taxes)}</Text>
                 </View>
               )}
               {detailItem.shipping > 0 && (
                 <View style={styles.statRow}>
                   <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>Shipping</Text>
-                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>${formatCurrency(detailItem.shipping)}</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>{formatCurrency(detailItem.shipping)}</Text>
                 </View>
               )}
               <View style={[styles.divider, { backgroundColor: colors.border }]} />
               {(() => {
                 const costBasis = getItemCostBasis(detailItem);
                 const detailSpotMap = { silver: silverSpot, gold: goldSpot, platinum: platinumSpot, palladium: palladiumSpot };
-                const meltValue = detailItem.ozt * detailItem.quantity * (detailSpotMap[detailMetal] || goldSpot);
-                const gainLoss = meltValue - costBasis;
+                const detailSpot = detailSpotMap[detailMetal] || goldSpot;
+                const meltValue = getItemMeltValue(detailItem, detailSpot);
+                const marketValue = getItemMarketValue(detailItem, detailSpot);
+                const showMarket = hasCollectibleValuation(detailItem);
+                const gainLoss = (showMarket ? marketValue : meltValue) - costBasis;
                 const gainLossPct = costBasis > 0 ? (gainLoss / costBasis) * 100 : 0;
                 const isGain = gainLoss >= 0;
                 return (
@@ -14159,15 +17259,30 @@ function AppContent() {
                     <View style={styles.statRow}>
                       <Text style={[styles.statRowLabel, { fontSize: scaledFonts.normal, fontWeight: '600' }]}>Total Cost Basis</Text>
                       <Text style={[styles.statRowValue, { fontSize: scaledFonts.medium, color: colors.text }]}>
-                        ${formatCurrency(costBasis)}
+                        {formatCurrency(costBasis)}
                       </Text>
                     </View>
                     <View style={styles.statRow}>
-                      <Text style={[styles.statRowLabel, { fontSize: scaledFonts.normal, fontWeight: '600' }]}>Current Value</Text>
-                      <Text style={[styles.statRowValue, { fontSize: scaledFonts.medium, color: metalColorMap[detailMetal] || colors.gold }]}>
-                        ${formatCurrency(meltValue)}
+                      <Text style={[styles.statRowLabel, { fontSize: scaledFonts.normal, fontWeight: '600' }]}>{showMarket ? 'Melt Value' : 'Current Value'}</Text>
+                      <Text style={[styles.statRowValue, { fontSize: scaledFonts.medium, color: showMarket ? colors.text : metalColorMap[detailMetal] || colors.gold }]}>
+                        {formatCurrency(meltValue)}
                       </Text>
                     </View>
+                    {showMarket && (
+                      <View style={styles.statRow}>
+                        <View style={{ flex: 1 }}>
+                          <Text style={[styles.statRowLabel, { fontSize: scaledFonts.normal, fontWeight: '600' }]}>Est. Market Value</Text>
+                          <Text style={{ color: isMarketValueStale(detailItem) ? colors.error : colors.muted, fontSize: scaledFonts.tiny }}>
+                            {(VALUATION_MODES.find(m => m.key === detailItem.valuationMode) || VALUATION_MODES[0]).description}
+                            {detailItem.valuationMode === 'market' && (detailItem.marketValueUpdatedAt ? ` · updated ${formatDateDisplay(detailItem.marketValueUpdatedAt)}` : '')}
+                            {isMarketValueStale(detailItem) ? ' · needs update' : ''}
+                          </Text>
+                        </View>
+                        <Text style={[styles.statRowValue, { fontSize: scaledFonts.medium, color: metalColorMap[detailMetal] || colors.gold }]}>
+                          {formatCurrency(marketValue)}
+                        </Text>
+                      </View>
+                    )}
                     <View style={[styles.divider, { backgroundColor: colors.border }]} />
                     <View style={styles.statRow}>
                       <Text style={[styles.statRowLabel, { fontSize: scaledFonts.normal, fontWeight: '600' }]}>Gain/Loss</Text>
@@ -14180,6 +17295,65 @@ function AppContent() {
               })()}
             </View>
 
+            {/* Attachments — receipts, invoices, assay certificates, photos */}
+            <View style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border }]}>
+              <Text style={{ color: colors.text, fontWeight: '600', marginBottom: 8, fontSize: scaledFonts.normal }}>Attachments</Text>
+              {(detailItem.attachments || []).length === 0 ? (
+                <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 8 }}>Keep the receipt, invoice, assay certificate or photos with this holding.</Text>
+              ) : (
+                detailItem.attachments.map(attachment => (
+                  <TouchableOpacity
+                    key={attachment.id}
+                    style={[styles.statRow, { alignItems: 'center' }]}
+                    onPress={() => openAttachment(attachment)}
+                    onLongPress={() => removeAttachment(attachment)}
+                  >
+                    <View style={{ flex: 1, marginRight: 8 }}>
+                      <Text style={{ color: colors.text, fontSize: scaledFonts.normal }} numberOfLines={1}>{attachment.name}</Text>
+                      <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>
+                        {getAttachmentKindLabel(attachment.kind)} · {formatDateDisplay(attachment.addedAt.split('T')[0])}
+                      </Text>
+                    </View>
+                    <Text style={{ color: colors.gold, fontSize: scaledFonts.small }}>{isImageAttachment(attachment) ? 'View' : 'Open'}</Text>
+                  </TouchableOpacity>
+                ))
+              )}
+              {(detailItem.attachments || []).length > 0 && (
+                <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginBottom: 8 }}>Long-press an attachment to remove it.</Text>
+              )}
+              <TouchableOpacity
+                style={[styles.buttonOutline, { borderColor: colors.border }]}
+                onPress={() => { setAttachmentKind('receipt'); setShowAttachmentModal(true); }}
+              >
+                <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal }}>Add Attachment</Text>
+              </TouchableOpacity>
+            </View>
+
+            <View style={{ flexDirection: 'row', gap: 8, marginTop: 8 }}>
+              <TouchableOpacity
+                style={[styles.buttonOutline, { flex: 1, borderColor: metalColorMap[detailMetal] || colors.gold }]}
+                onPress={() => openSellModal(detailItem)}
+              >
+                <Text style={{ color: metalColorMap[detailMetal] || colors.gold, fontWeight: '600', fontSize: scaledFonts.normal }}>Sell</Text>
+              </TouchableOpacity>
+              {detailItem.quantity > 1 && (
+                <TouchableOpacity
+                  style={[styles.buttonOutline, { flex: 1, borderColor: colors.border }]}
+                  onPress={openSplitModal}
+                >
+                  <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal }}>Split Lot</Text>
+                </TouchableOpacity>
+              )}
+              {locations.length > 0 && (
+                <TouchableOpacity
+                  style={[styles.buttonOutline, { flex: 1, borderColor: colors.border }]}
+                  onPress={openTransferModal}
+                >
+                  <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal }}>Move</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+
             <View style={{ flexDirection: 'row', gap: 8, marginTop: 8 }}>
               <TouchableOpacity
                 style={[styles.button, { flex: 1, backgroundColor: metalColorMap[detailMetal] || colors.gold }]}
@@ -14204,6 +17378,753 @@ function AppContent() {
         </View>
       )}
 
+      {/* Add Attachment Modal */}
+      <ModalWrapper
+        visible={showAttachmentModal}
+        onClose={() => !attachmentBusy && setShowAttachmentModal(false)}
+        title="Add Attachment"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 8 }}>What is it?</Text>
+        <View style={[styles.metalTabs, { marginBottom: 16, flexWrap: 'wrap' }]}>
+          {ATTACHMENT_KINDS.map(k => (
+            <TouchableOpacity
+              key={k.key}
+              style={[styles.metalTab, { padding: 8, borderRadius: 10, borderColor: attachmentKind === k.key ? colors.gold : colors.border, backgroundColor: attachmentKind === k.key ? `${colors.gold}22` : 'transparent' }]}
+              onPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light); setAttachmentKind(k.key); }}
+            >
+              <Text style={{ color: attachmentKind === k.key ? colors.gold : colors.muted, fontSize: scaledFonts.small }} numberOfLines={1} adjustsFontSizeToFit={true}>{k.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {attachmentBusy ? (
+          <View style={{ alignItems: 'center', paddingVertical: 16 }}>
+            <ActivityIndicator size="small" color={colors.gold} />
+          </View>
+        ) : (
+          <>
+            <TouchableOpacity style={[styles.button, { backgroundColor: colors.gold, marginBottom: 8 }]} onPress={() => pickAttachment('camera')}>
+              <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>Take Photo</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.buttonOutline, { borderColor: colors.border, marginBottom: 8 }]} onPress={() => pickAttachment('library')}>
+              <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal }}>Photo Library</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.buttonOutline, { borderColor: colors.border }]} onPress={() => pickAttachment('file')}>
+              <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal }}>PDF or Image File</Text>
+            </TouchableOpacity>
+          </>
+        )}
+        <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 12 }}>
+          {supabaseUser ? 'Files are kept on this device and backed up to your account.' : 'Files are kept on this device only. Sign in to back them up.'} Up to {ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB each.
+        </Text>
+      </ModalWrapper>
+
+      {/* Attachment Image Preview */}
+      <Modal visible={!!attachmentPreview} transparent animationType="fade" onRequestClose={() => setAttachmentPreview(null)}>
+        <View style={{ flex: 1, backgroundColor: 'rgba(0,0,0,0.95)', justifyContent: 'center', padding: 16 }}>
+          {attachmentPreview && (
+            <>
+              <Text style={{ color: '#fff', fontSize: 15, fontWeight: '600', textAlign: 'center', marginBottom: 12 }} numberOfLines={1}>{attachmentPreview.name}</Text>
+              <Image source={{ uri: attachmentPreview.uri }} style={{ width: '100%', height: '75%' }} resizeMode="contain" />
+              <View style={{ flexDirection: 'row', gap: 10, marginTop: 16 }}>
+                <TouchableOpacity
+                  onPress={() => Sharing.shareAsync(attachmentPreview.uri, { mimeType: attachmentPreview.mimeType, dialogTitle: attachmentPreview.name }).catch(() => {})}
+                  style={{ flex: 1, paddingVertical: 12, borderRadius: 10, backgroundColor: 'rgba(255,255,255,0.08)', alignItems: 'center' }}
+                >
+                  <Text style={{ color: '#fff', fontSize: 15, fontWeight: '600' }}>Share</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => setAttachmentPreview(null)} style={{ flex: 1, paddingVertical: 12, borderRadius: 10, backgroundColor: '#C9A84C', alignItems: 'center' }}>
+                  <Text style={{ color: '#000', fontSize: 15, fontWeight: '700' }}>Close</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+        </View>
+      </Modal>
+
+      {/* Sell Modal — records a sale against one or more lots of the same product */}
+      <ModalWrapper
+        visible={showSellModal}
+        onClose={() => setShowSellModal(false)}
+        title="Record Sale"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        {detailItem && detailMetal && (() => {
+          const sellItemsMap = { silver: silverItems, gold: goldItems, platinum: platinumItems, palladium: palladiumItems };
+          const sellLots = getMatchingLots(sellItemsMap[detailMetal] || [], detailItem);
+          const available = sellLots.reduce((sum, l) => sum + l.quantity, 0);
+          const isSpecific = sellForm.method === 'specific';
+          const preview = matchLots(sellLots, parseInt(sellForm.quantity, 10) || 0, sellForm.method, sellForm.lotQuantities);
+          const previewQty = preview.allocations.reduce((sum, a) => sum + a.quantity, 0);
+          const previewLots = preview.allocations.filter(a => a.quantity > 0).length;
+          const previewProceeds = ((parseFloat(sellForm.pricePerUnit) || 0) * previewQty) - (parseFloat(sellForm.fees) || 0);
+          const previewGain = previewProceeds - preview.costBasis;
+          return (
+            <>
+              <Text style={{ color: colors.text, fontSize: scaledFonts.medium, fontWeight: '600', marginBottom: 4 }}>{detailItem.productName}</Text>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 16 }}>
+                {available} unit{available === 1 ? '' : 's'} across {sellLots.length} lot{sellLots.length === 1 ? '' : 's'}
+              </Text>
+
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.small, fontWeight: '600', marginBottom: 8 }}>Cost Basis Method</Text>
+              <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 6 }}>
+                {COST_BASIS_METHODS.map(m => (
+                  <TouchableOpacity
+                    key={m.key}
+                    style={{
+                      paddingHorizontal: 12, paddingVertical: 6, borderRadius: 8,
+                      backgroundColor: sellForm.method === m.key ? colors.gold : (isDarkMode ? '#27272a' : '#f4f4f5'),
+                    }}
+                    onPress={() => {
+                      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+                      setSellForm(p => ({ ...p, method: m.key }));
+                    }}
+                  >
+                    <Text style={{ color: sellForm.method === m.key ? '#000' : colors.text, fontWeight: sellForm.method === m.key ? '600' : '400', fontSize: scaledFonts.small }}>{m.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginBottom: 16 }}>
+                {COST_BASIS_METHODS.find(m => m.key === sellForm.method)?.description}
+              </Text>
+
+              {isSpecific ? (
+                <View style={{ marginBottom: 8 }}>
+                  {sellLots.map(lot => (
+                    <View key={lot.id} style={{ flexDirection: 'row', alignItems: 'center', gap: 12, marginBottom: 4 }}>
+                      <View style={{ flex: 1 }}>
+                        <Text style={{ color: colors.text, fontSize: scaledFonts.small }}>{lot.datePurchased ? formatDateDisplay(lot.datePurchased) : 'No date'}{lot.source ? ` · ${lot.source}` : ''}</Text>
+                        <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>{lot.quantity} @ {formatCurrency(getItemCostBasis(lot) / lot.quantity, 2, 'USD')}/unit</Text>
+                      </View>
+                      <View style={{ width: 110 }}>
+                        <FloatingInput label="Sell" value={sellForm.lotQuantities[lot.id] || ''} onChangeText={v => setSellForm(p => ({ ...p, lotQuantities: { ...p.lotQuantities, [lot.id]: v } }))} placeholder="0" keyboardType="number-pad" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} />
+                      </View>
+                    </View>
+                  ))}
+                </View>
+              ) : (
+                <FloatingInput label="Quantity to Sell" value={sellForm.quantity} onChangeText={v => setSellForm(p => ({ ...p, quantity: v }))} placeholder={`1 – ${available}`} keyboardType="number-pad" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required />
+              )}
+
+              <View style={{ flexDirection: 'row', gap: 12 }}>
+                <View style={{ flex: 1 }}><FloatingInput label="Sale Price per unit" value={sellForm.pricePerUnit} onChangeText={v => setSellForm(p => ({ ...p, pricePerUnit: v }))} placeholder="0.00" keyboardType="decimal-pad" prefix="$" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required /></View>
+                <View style={{ flex: 1 }}><FloatingInput label="Fees" value={sellForm.fees} onChangeText={v => setSellForm(p => ({ ...p, fees: v }))} placeholder="0.00" keyboardType="decimal-pad" prefix="$" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
+              </View>
+              <View style={{ flexDirection: 'row', gap: 12 }}>
+                <View style={{ flex: 1 }}><FloatingInput label="Date Sold" value={sellForm.dateSold} onChangeText={v => setSellForm(p => ({ ...p, dateSold: v }))} placeholder="YYYY-MM-DD" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
+                <View style={{ flex: 1 }}><FloatingInput label="Buyer" value={sellForm.buyer} onChangeText={v => setSellForm(p => ({ ...p, buyer: v }))} placeholder="Local coin shop" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} /></View>
+              </View>
+
+              {!preview.error && previewQty > 0 && (
+                <View style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border, marginTop: 8 }]}>
+                  <View style={styles.statRow}>
+                    <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>Proceeds</Text>
+                    <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>{formatCurrency(previewProceeds, 2, 'USD')}</Text>
+                  </View>
+                  <View style={styles.statRow}>
+                    <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small }]}>Cost Basis ({previewLots} lot{previewLots === 1 ? '' : 's'})</Text>
+                    <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.normal }]}>{formatCurrency(preview.costBasis, 2, 'USD')}</Text>
+                  </View>
+                  <View style={styles.statRow}>
+                    <Text style={[styles.statRowLabel, { fontSize: scaledFonts.small, fontWeight: '600' }]}>Realized Gain/Loss</Text>
+                    <Text style={[styles.statRowValue, { fontSize: scaledFonts.normal, fontWeight: '700', color: previewGain >= 0 ? colors.success : colors.error }]}>
+                      {previewGain >= 0 ? '+' : '-'}{formatCurrency(Math.abs(previewGain), 2, 'USD')}
+                    </Text>
+                  </View>
+                </View>
+              )}
+
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: metalColorMap[detailMetal] || colors.gold, marginTop: 8 }]}
+                onPress={recordSale}
+              >
+                <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>Record Sale</Text>
+              </TouchableOpacity>
+            </>
+          );
+        })()}
+      </ModalWrapper>
+
+      {/* Split Lot Modal */}
+      <ModalWrapper
+        visible={showSplitModal}
+        onClose={() => setShowSplitModal(false)}
+        title="Split Lot"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        {detailItem && (
+          <>
+            <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 16 }}>
+              Move units from this lot of {detailItem.quantity} × {detailItem.productName} into a separate lot. Cost basis, taxes and shipping are split proportionally; the purchase date stays the same.
+            </Text>
+            <FloatingInput label="Units for New Lot" value={splitQuantity} onChangeText={setSplitQuantity} placeholder={`1 – ${detailItem.quantity - 1}`} keyboardType="number-pad" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required />
+            <TouchableOpacity
+              style={[styles.button, { backgroundColor: metalColorMap[detailMetal] || colors.gold, marginTop: 8 }]}
+              onPress={confirmSplitLot}
+            >
+              <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>Split Lot</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ModalWrapper>
+
+      {/* Move Lot Modal — transfer holdings between storage locations */}
+      <ModalWrapper
+        visible={showTransferModal}
+        onClose={() => setShowTransferModal(false)}
+        title="Move to Location"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        {detailItem && (
+          <>
+            <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 12 }}>
+              {detailItem.quantity} × {detailItem.productName} · now at {getLocationName(locations, detailItem.locationId)}. Moving part of the lot splits it; cost basis is split proportionally.
+            </Text>
+            <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 }}>
+              {[...locations.map(l => ({ key: l.id, label: l.name })), { key: null, label: 'Unassigned' }].map(o => (
+                <TouchableOpacity
+                  key={String(o.key)}
+                  onPress={() => setTransferForm(prev => ({ ...prev, toLocationId: o.key }))}
+                  style={{ paddingVertical: 8, paddingHorizontal: 12, borderRadius: 10, borderWidth: 1, borderColor: transferForm.toLocationId === o.key ? colors.gold : colors.border, backgroundColor: transferForm.toLocationId === o.key ? `${colors.gold}22` : 'transparent' }}
+                >
+                  <Text style={{ color: transferForm.toLocationId === o.key ? colors.gold : colors.text, fontSize: scaledFonts.small }}>{o.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {detailItem.quantity > 1 && (
+              <FloatingInput label="Units to Move" value={transferForm.quantity} onChangeText={v => setTransferForm(prev => ({ ...prev, quantity: v }))} placeholder={`1 – ${detailItem.quantity}`} keyboardType="number-pad" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required />
+            )}
+            <TouchableOpacity
+              style={[styles.button, { backgroundColor: metalColorMap[detailMetal] || colors.gold, marginTop: 8 }]}
+              onPress={confirmTransfer}
+            >
+              <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>Move</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ModalWrapper>
+
+      {/* Sync Conflicts Modal — holdings changed on this device and another one */}
+      <ModalWrapper
+        visible={showSyncConflicts && syncConflicts.length > 0}
+        onClose={() => setShowSyncConflicts(false)}
+        title="Sync Conflicts"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 12 }}>
+          These holdings were changed on this device and on another device since they last synced. Pick the version to keep — the other one is discarded everywhere.
+        </Text>
+        {syncConflicts.map(conflict => {
+          const describe = (h, metal) => h ? [
+            { label: 'Product', value: h.productName || '—' },
+            { label: 'Metal', value: metal.charAt(0).toUpperCase() + metal.slice(1) },
+            { label: 'Quantity', value: String(h.quantity) },
+            { label: 'Unit Price', value: formatCurrency(h.unitPrice || 0, 2, 'USD') },
+            { label: 'Pure ozt / unit', value: String(h.ozt) },
+            { label: 'Purchased', value: h.datePurchased || '—' },
+            { label: 'Dealer', value: h.source || '—' },
+            { label: 'Taxes + Shipping', value: formatCurrency((h.taxes || 0) + (h.shipping || 0), 2, 'USD') },
+            { label: 'Location', value: getLocationName(locations, h.locationId) },
+          ] : null;
+          const mine = describe(conflict.local, conflict.localMetal);
+          const theirs = describe(conflict.remote, conflict.remoteMetal);
+          const rows = mine && theirs
+            ? mine.map((row, i) => ({ label: row.label, mine: row.value, theirs: theirs[i].value })).filter(row => row.mine !== row.theirs)
+            : (mine || theirs).map(row => ({ label: row.label, mine: mine ? row.value : '—', theirs: theirs ? row.value : '—' }));
+          const name = (conflict.local || conflict.remote)?.productName || 'Holding';
+          const copy = {
+            edit: { note: 'Edited here and on another device.', keepLocal: 'Keep This Device', keepRemote: 'Keep Other Device' },
+            remote_deleted: { note: 'Edited here but deleted on another device.', keepLocal: 'Keep It', keepRemote: 'Delete It' },
+            local_deleted: { note: 'Deleted here but edited on another device.', keepLocal: 'Delete It', keepRemote: 'Keep It' },
+          }[conflict.kind];
+          return (
+            <View key={conflict.supabaseId} style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border }]}>
+              <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal }}>{name}</Text>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 8 }}>{copy.note}</Text>
+              <View style={styles.statRow}>
+                <Text style={[styles.statRowLabel, { flex: 1, color: colors.muted, fontSize: scaledFonts.tiny }]} />
+                <Text style={{ flex: 1, color: colors.muted, fontSize: scaledFonts.tiny, textAlign: 'right' }}>This device</Text>
+                <Text style={{ flex: 1, color: colors.muted, fontSize: scaledFonts.tiny, textAlign: 'right' }}>Other device</Text>
+              </View>
+              {rows.map(row => (
+                <View key={row.label} style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { flex: 1, color: colors.muted, fontSize: scaledFonts.small }]}>{row.label}</Text>
+                  <Text style={{ flex: 1, color: colors.text, fontSize: scaledFonts.small, textAlign: 'right' }} numberOfLines={2}>{row.mine}</Text>
+                  <Text style={{ flex: 1, color: colors.text, fontSize: scaledFonts.small, textAlign: 'right' }} numberOfLines={2}>{row.theirs}</Text>
+                </View>
+              ))}
+              <View style={{ flexDirection: 'row', gap: 8, marginTop: 8 }}>
+                <TouchableOpacity style={[styles.buttonOutline, { flex: 1, borderColor: colors.border }]} onPress={() => resolveSyncConflict(conflict, 'local')}>
+                  <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.small }}>{copy.keepLocal}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.buttonOutline, { flex: 1, borderColor: colors.border }]} onPress={() => resolveSyncConflict(conflict, 'remote')}>
+                  <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.small }}>{copy.keepRemote}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          );
+        })}
+      </ModalWrapper>
+
+      {/* Storage Locations Modal */}
+      <ModalWrapper
+        visible={showLocationsModal}
+        onClose={() => setShowLocationsModal(false)}
+        title="Storage Locations"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 12 }}>
+          Track where your metal is kept — a home safe, safe deposit boxes, allocated vault storage. Dashboard, My Stack, Analytics and the ledger can then be filtered by location.
+        </Text>
+        {locations.map(location => {
+          const count = [...silverItems, ...goldItems, ...platinumItems, ...palladiumItems].filter(i => i.locationId === location.id).length;
+          return (
+            <View key={location.id} style={[styles.statRow, { alignItems: 'center' }]}>
+              <TouchableOpacity style={{ flex: 1 }} onPress={() => setLocationForm({ id: location.id, name: location.name, type: location.type || 'other', coverageLimit: location.coverageLimit > 0 ? String(location.coverageLimit) : '' })}>
+                <Text style={{ color: locationForm.id === location.id ? colors.gold : colors.text, fontSize: scaledFonts.normal, fontWeight: '600' }}>{location.name}</Text>
+                <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny }}>{getLocationTypeLabel(location.type)} · {count} holding{count === 1 ? '' : 's'}{location.coverageLimit > 0 ? ` · insured to ${formatCurrency(location.coverageLimit, 0)}` : ''}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => removeLocation(location)} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+                <Text style={{ color: colors.error, fontSize: scaledFonts.small }}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          );
+        })}
+        {locations.length > 0 && <View style={[styles.divider, { backgroundColor: colors.border }]} />}
+        <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal, marginBottom: 8 }}>{locationForm.id != null ? 'Edit Location' : 'Add Location'}</Text>
+        <FloatingInput label="Name" value={locationForm.name} onChangeText={v => setLocationForm(prev => ({ ...prev, name: v }))} placeholder="e.g. Home Safe, Chase Box 114" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} required />
+        <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 12 }}>
+          {LOCATION_TYPES.map(t => (
+            <TouchableOpacity
+              key={t.key}
+              onPress={() => setLocationForm(prev => ({ ...prev, type: t.key }))}
+              style={{ paddingVertical: 8, paddingHorizontal: 12, borderRadius: 10, borderWidth: 1, borderColor: locationForm.type === t.key ? colors.gold : colors.border, backgroundColor: locationForm.type === t.key ? `${colors.gold}22` : 'transparent' }}
+            >
+              <Text style={{ color: locationForm.type === t.key ? colors.gold : colors.text, fontSize: scaledFonts.small }}>{t.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <FloatingInput label="Insurance coverage limit (USD)" value={locationForm.coverageLimit} onChangeText={v => setLocationForm(prev => ({ ...prev, coverageLimit: v }))} placeholder="Optional" keyboardType="decimal-pad" prefix="$" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} />
+        <View style={{ flexDirection: 'row', gap: 8 }}>
+          {locationForm.id != null && (
+            <TouchableOpacity style={[styles.buttonOutline, { flex: 1, borderColor: colors.border }]} onPress={() => setLocationForm({ id: null, name: '', type: 'home_safe', coverageLimit: '' })}>
+              <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal }}>Cancel</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={[styles.button, { flex: 1, backgroundColor: colors.gold }]} onPress={saveLocationEntry}>
+            <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>{locationForm.id != null ? 'Save' : 'Add Location'}</Text>
+          </TouchableOpacity>
+        </View>
+      </ModalWrapper>
+
+      {/* Capital Gains Tax Report Modal */}
+      <ModalWrapper
+        visible={showTaxReportModal}
+        onClose={() => !taxReportGenerating && setShowTaxReportModal(false)}
+        title="Capital Gains Tax Report"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        {showTaxReportModal && (() => {
+          const years = getTaxYears(sales);
+          const summary = summarizeTaxLots(buildTaxLots(sales, taxReportYear));
+          const gainColor = (n) => (n >= 0 ? colors.success : colors.error);
+          return (
+            <>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 12 }}>
+                Every lot sold in the tax year with its holding period, proceeds and adjusted basis (including purchase taxes and shipping). Bullion is taxed as a collectible: long-term gains at up to {Math.round(COLLECTIBLES_MAX_RATE * 100)}%.
+              </Text>
+
+              <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 16 }}>
+                {years.map(year => (
+                  <TouchableOpacity
+                    key={year}
+                    style={{ paddingHorizontal: 14, paddingVertical: 8, borderRadius: 16, borderWidth: 1, borderColor: taxReportYear === year ? colors.gold : colors.border, backgroundColor: taxReportYear === year ? 'rgba(251,191,36,0.15)' : 'transparent' }}
+                    onPress={() => setTaxReportYear(year)}
+                  >
+                    <Text style={{ color: taxReportYear === year ? colors.gold : colors.text, fontWeight: '600', fontSize: scaledFonts.small }}>{year}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <View style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border }]}>
+                {[
+                  { label: `Short-term (${summary.short.count})`, bucket: summary.short },
+                  { label: `Long-term (${summary.long.count})`, bucket: summary.long },
+                ].map(line => (
+                  <View key={line.label} style={styles.statRow}>
+                    <Text style={[styles.statRowLabel, { color: colors.muted, fontSize: scaledFonts.small }]}>{line.label}</Text>
+                    <Text style={[styles.statRowValue, { color: gainColor(line.bucket.gain), fontSize: scaledFonts.small }]}>{line.bucket.gain >= 0 ? '+' : '-'}{formatCurrency(Math.abs(line.bucket.gain), 2, 'USD')}</Text>
+                  </View>
+                ))}
+                <View style={styles.divider} />
+                <View style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { color: colors.muted, fontSize: scaledFonts.small }]}>Proceeds</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.small }]}>{formatCurrency(summary.total.proceeds, 2, 'USD')}</Text>
+                </View>
+                <View style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { color: colors.muted, fontSize: scaledFonts.small }]}>Adjusted Basis</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.small }]}>{formatCurrency(summary.total.costBasis, 2, 'USD')}</Text>
+                </View>
+                <View style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { color: colors.muted, fontSize: scaledFonts.small }]}>28% Rate Gain</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.small }]}>{formatCurrency(summary.collectiblesGain, 2, 'USD')}</Text>
+                </View>
+                {summary.missingDates > 0 && (
+                  <Text style={{ color: colors.error, fontSize: scaledFonts.tiny, marginTop: 8 }}>
+                    {summary.missingDates} lot{summary.missingDates === 1 ? ' has' : 's have'} no purchase date and will be reported as short-term.
+                  </Text>
+                )}
+              </View>
+
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: colors.gold, marginTop: 8 }]}
+                onPress={exportTaxReportCSV}
+                disabled={taxReportGenerating}
+              >
+                <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>Export Form 8949 CSV</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.buttonOutline, { borderColor: colors.gold, marginTop: 8 }]}
+                onPress={generateTaxReportPDF}
+                disabled={taxReportGenerating}
+              >
+                {taxReportGenerating ? (
+                  <ActivityIndicator size="small" color={colors.gold} />
+                ) : (
+                  <Text style={{ color: colors.gold, fontWeight: '600', fontSize: scaledFonts.normal }}>Export PDF Summary</Text>
+                )}
+              </TouchableOpacity>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 12, textAlign: 'center' }}>
+                Not tax advice. Review with your tax professional.
+              </Text>
+            </>
+          );
+        })()}
+      </ModalWrapper>
+
+      {/* Export Holdings Modal */}
+      <ModalWrapper
+        visible={showExportModal}
+        onClose={() => setShowExportModal(false)}
+        title="Export Holdings"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        {showExportModal && (() => {
+          const datesValid = isExportDate(exportFilters.from) && isExportDate(exportFilters.to);
+          const count = datesValid ? getExportEntries().length : 0;
+          const chipStyle = (selected) => ({ paddingHorizontal: 14, paddingVertical: 8, borderRadius: 16, borderWidth: 1, borderColor: selected ? colors.gold : colors.border, backgroundColor: selected ? 'rgba(251,191,36,0.15)' : 'transparent' });
+          const chipTextStyle = (selected) => ({ color: selected ? colors.gold : colors.text, fontWeight: '600', fontSize: scaledFonts.small });
+          const locationOptions = [
+            { key: ALL_LOCATIONS, label: 'All Locations' },
+            ...locations.map(l => ({ key: l.id, label: l.name })),
+            { key: UNASSIGNED_LOCATION, label: 'Unassigned' },
+          ];
+          return (
+            <>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 12 }}>
+                Every field of each holding is included, so importing the file with Import Spreadsheet restores these holdings exactly. CSV opens in any spreadsheet app; JSON also carries the storage locations.
+              </Text>
+
+              <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal, marginBottom: 8 }}>Metals</Text>
+              <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 16 }}>
+                <TouchableOpacity style={chipStyle(exportFilters.metals.length === 0)} onPress={() => setExportFilters(prev => ({ ...prev, metals: [] }))}>
+                  <Text style={chipTextStyle(exportFilters.metals.length === 0)}>All</Text>
+                </TouchableOpacity>
+                {EXPORT_METALS.map(m => (
+                  <TouchableOpacity key={m.key} style={chipStyle(exportFilters.metals.includes(m.key))} onPress={() => toggleExportMetal(m.key)}>
+                    <Text style={chipTextStyle(exportFilters.metals.includes(m.key))}>{m.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal, marginBottom: 8 }}>Purchase Date</Text>
+              <View style={{ flexDirection: 'row', gap: 8 }}>
+                <View style={{ flex: 1 }}>
+                  <FloatingInput label="From" value={exportFilters.from} onChangeText={v => setExportFilters(prev => ({ ...prev, from: v.trim() }))} placeholder="YYYY-MM-DD" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} error={!isExportDate(exportFilters.from)} />
+                </View>
+                <View style={{ flex: 1 }}>
+                  <FloatingInput label="To" value={exportFilters.to} onChangeText={v => setExportFilters(prev => ({ ...prev, to: v.trim() }))} placeholder="YYYY-MM-DD" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} error={!isExportDate(exportFilters.to)} />
+                </View>
+              </View>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginBottom: 16 }}>
+                Leave blank for all dates. Holdings without a purchase date are left out when a date is set.
+              </Text>
+
+              {locations.length > 0 && (
+                <>
+                  <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal, marginBottom: 8 }}>Location</Text>
+                  <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 16 }}>
+                    {locationOptions.map(option => (
+                      <TouchableOpacity key={option.key} style={chipStyle(exportFilters.location === option.key)} onPress={() => setExportFilters(prev => ({ ...prev, location: option.key }))}>
+                        <Text style={chipTextStyle(exportFilters.location === option.key)} numberOfLines={1}>{option.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </>
+              )}
+
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 8, textAlign: 'center' }}>
+                {datesValid ? `${count} holding${count === 1 ? '' : 's'} to export` : 'Enter dates as YYYY-MM-DD'}
+              </Text>
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: colors.gold, marginTop: 8 }]}
+                onPress={() => exportHoldings('csv')}
+              >
+                <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>Export CSV</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.buttonOutline, { borderColor: colors.gold, marginTop: 8 }]}
+                onPress={() => exportHoldings('json')}
+              >
+                <Text style={{ color: colors.gold, fontWeight: '600', fontSize: scaledFonts.normal }}>Export JSON</Text>
+              </TouchableOpacity>
+            </>
+          );
+        })()}
+      </ModalWrapper>
+
+      {/* Insurance Replacement Report Modal */}
+      <ModalWrapper
+        visible={showInsuranceReportModal}
+        onClose={() => !insuranceReportGenerating && setShowInsuranceReportModal(false)}
+        title="Insurance Replacement Report"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        {showInsuranceReportModal && (() => {
+          const { summary } = getInsuranceReportData();
+          return (
+            <>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 12 }}>
+                Insurers pay what it costs to replace your metal, not melt. Each holding is valued at melt plus the dealer premium for its class (numismatic items start from their estimated market value), and locations over their coverage limit are flagged.
+              </Text>
+
+              <View style={[styles.card, { backgroundColor: colors.cardBg, borderColor: colors.border }]}>
+                <View style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { color: colors.muted, fontSize: scaledFonts.small }]}>Replacement Cost</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.small }]}>{formatCurrency(summary.total.replacement)}</Text>
+                </View>
+                <View style={styles.statRow}>
+                  <Text style={[styles.statRowLabel, { color: colors.muted, fontSize: scaledFonts.small }]}>Melt Value</Text>
+                  <Text style={[styles.statRowValue, { color: colors.text, fontSize: scaledFonts.small }]}>{formatCurrency(summary.total.melt)}</Text>
+                </View>
+                <View style={styles.divider} />
+                {summary.byLocation.map(group => (
+                  <View key={group.id} style={styles.statRow}>
+                    <Text style={[styles.statRowLabel, { color: colors.muted, fontSize: scaledFonts.small, flex: 1 }]} numberOfLines={1}>{group.name}</Text>
+                    <View style={{ alignItems: 'flex-end' }}>
+                      <Text style={[styles.statRowValue, { color: group.overLimit ? colors.error : colors.text, fontSize: scaledFonts.small }]}>{formatCurrency(group.replacement, 0)}</Text>
+                      <Text style={{ color: group.overLimit ? colors.error : colors.muted, fontSize: scaledFonts.tiny }}>
+                        {group.coverageLimit == null ? 'No coverage limit' : group.overLimit ? `Over ${formatCurrency(group.coverageLimit, 0)} limit by ${formatCurrency(group.overBy, 0)}` : `Within ${formatCurrency(group.coverageLimit, 0)} limit`}
+                      </Text>
+                    </View>
+                  </View>
+                ))}
+              </View>
+
+              <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal, marginBottom: 8 }}>Replacement Premiums</Text>
+              <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8 }}>
+                {PRODUCT_CLASSES.map(c => (
+                  <View key={c.key} style={{ width: '48%' }}>
+                    <FloatingInput label={`${c.label} (%)`} value={insuranceForm[c.key] ?? ''} onChangeText={v => updateInsuranceInput(c.key, v)} placeholder="0" keyboardType="decimal-pad" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} />
+                  </View>
+                ))}
+              </View>
+              <FloatingInput label="Default coverage limit (USD)" value={insuranceForm.defaultCoverageLimit ?? ''} onChangeText={v => updateInsuranceInput('defaultCoverageLimit', v)} placeholder="Optional" keyboardType="decimal-pad" prefix="$" colors={colors} isDarkMode={isDarkMode} scaledFonts={scaledFonts} />
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginBottom: 12 }}>
+                Applies to locations without their own limit. Set a location's limit in Storage Locations.
+              </Text>
+
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: colors.gold, marginTop: 8 }]}
+                onPress={generateInsuranceReportPDF}
+                disabled={insuranceReportGenerating}
+              >
+                {insuranceReportGenerating ? (
+                  <ActivityIndicator size="small" color="#000" />
+                ) : (
+                  <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>Export PDF Report</Text>
+                )}
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.buttonOutline, { borderColor: colors.gold, marginTop: 8 }]}
+                onPress={exportInsuranceCSV}
+                disabled={insuranceReportGenerating}
+              >
+                <Text style={{ color: colors.gold, fontWeight: '600', fontSize: scaledFonts.normal }}>Export CSV Schedule</Text>
+              </TouchableOpacity>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 12, textAlign: 'center' }}>
+                Estimates for insurance purposes, not an appraisal.
+              </Text>
+            </>
+          );
+        })()}
+      </ModalWrapper>
+
+      {/* Legacy Package Modal */}
+      <ModalWrapper
+        visible={showLegacyPackageModal}
+        onClose={closeLegacyPackage}
+        title="Legacy Package"
+        colors={colors}
+        isDarkMode={isDarkMode}
+      >
+        {showLegacyPackageModal && (() => {
+          const inputStyle = { backgroundColor: isDarkMode ? 'rgba(0,0,0,0.3)' : 'rgba(0,0,0,0.05)', borderWidth: 1, borderColor: colors.border, borderRadius: 10, padding: 12, color: colors.text, fontSize: scaledFonts.normal, marginBottom: 12 };
+          const noteInputStyle = { ...inputStyle, minHeight: 88 };
+          const labelStyle = { color: colors.muted, fontSize: scaledFonts.small, fontWeight: '500', marginBottom: 6 };
+          const hasUnassigned = [...goldItems, ...silverItems, ...platinumItems, ...palladiumItems].some(i => !findLocation(locations, i.locationId));
+          const accessTargets = [
+            ...locations.map(l => ({ id: l.id, name: l.name })),
+            ...(hasUnassigned ? [{ id: UNASSIGNED_LOCATION, name: 'Holdings without a location' }] : []),
+          ];
+          const setAccess = (id, value) => setLegacySettings(prev => ({ ...prev, locationAccess: { ...prev.locationAccess, [id]: value } }));
+          const scheduled = legacySettings.frequency !== 'off';
+          return (
+            <>
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginBottom: 12 }}>
+                A password-protected PDF for your heirs: your instructions, where everything is and how to get to it, dealers to sell to and a plain-language guide to selling, followed by your full Stack Ledger at current values.
+              </Text>
+
+              <Text style={labelStyle}>Instructions for your heirs</Text>
+              <TextInput
+                value={legacySettings.instructions}
+                onChangeText={v => setLegacySettings(prev => ({ ...prev, instructions: v }))}
+                placeholder="What to do first, who holds keys or combinations, what not to sell..."
+                placeholderTextColor={colors.muted}
+                multiline={true}
+                textAlignVertical="top"
+                style={noteInputStyle}
+              />
+              <Text style={labelStyle}>People to contact</Text>
+              <TextInput
+                value={legacySettings.contacts}
+                onChangeText={v => setLegacySettings(prev => ({ ...prev, contacts: v }))}
+                placeholder="Executor, attorney, insurance agent — one per line"
+                placeholderTextColor={colors.muted}
+                multiline={true}
+                textAlignVertical="top"
+                style={noteInputStyle}
+              />
+
+              {accessTargets.length > 0 && (
+                <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal, marginTop: 4, marginBottom: 8 }}>Access Instructions</Text>
+              )}
+              {accessTargets.map(target => (
+                <View key={target.id}>
+                  <Text style={labelStyle}>{target.name}</Text>
+                  <TextInput
+                    value={legacySettings.locationAccess?.[target.id] || ''}
+                    onChangeText={v => setAccess(target.id, v)}
+                    placeholder="Where it is and how to open it"
+                    placeholderTextColor={colors.muted}
+                    multiline={true}
+                    textAlignVertical="top"
+                    style={inputStyle}
+                  />
+                </View>
+              ))}
+
+              <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal, marginTop: 4, marginBottom: 8 }}>Password</Text>
+              <TextInput
+                value={legacyPassword}
+                onChangeText={setLegacyPassword}
+                placeholder={legacySettings.pdfKey ? 'New password (optional)' : 'Password'}
+                placeholderTextColor={colors.muted}
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!legacyGenerating}
+                style={inputStyle}
+              />
+              <TextInput
+                value={legacyPasswordConfirm}
+                onChangeText={setLegacyPasswordConfirm}
+                placeholder="Confirm password"
+                placeholderTextColor={colors.muted}
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!legacyGenerating}
+                style={inputStyle}
+              />
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginBottom: 16 }}>
+                {legacySettings.pdfKey
+                  ? 'Leave blank to keep the current password. Tell your heirs the password or where to find it — it can\'t be recovered.'
+                  : `At least ${PDF_MIN_PASSWORD_LENGTH} characters. Tell your heirs the password or where to find it — it can't be recovered.`}
+              </Text>
+
+              <Text style={{ color: colors.text, fontWeight: '600', fontSize: scaledFonts.normal, marginBottom: 8 }}>Refresh Automatically</Text>
+              <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 8 }}>
+                {LEGACY_FREQUENCIES.map(f => (
+                  <TouchableOpacity
+                    key={f.key}
+                    style={{ paddingHorizontal: 14, paddingVertical: 8, borderRadius: 16, borderWidth: 1, borderColor: legacySettings.frequency === f.key ? colors.gold : colors.border, backgroundColor: legacySettings.frequency === f.key ? 'rgba(251,191,36,0.15)' : 'transparent' }}
+                    onPress={() => setLegacySettings(prev => ({ ...prev, frequency: f.key }))}
+                  >
+                    <Text style={{ color: legacySettings.frequency === f.key ? colors.gold : colors.text, fontWeight: '600', fontSize: scaledFonts.small }}>{f.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {scheduled && Platform.OS === 'ios' && (
+                <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', minHeight: 44 }}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={{ color: colors.text, fontSize: scaledFonts.normal }}>Also Save to iCloud Drive</Text>
+                    {!iCloudAvailable && <Text style={{ color: colors.muted, fontSize: scaledFonts.small, marginTop: 2 }}>iCloud is not available on this device</Text>}
+                  </View>
+                  <Switch
+                    value={legacySettings.icloud && iCloudAvailable}
+                    disabled={!iCloudAvailable}
+                    onValueChange={(value) => setLegacySettings(prev => ({ ...prev, icloud: value }))}
+                    trackColor={{ false: isDarkMode ? '#39393d' : '#e9e9eb', true: '#34c759' }}
+                    thumbColor="#fff"
+                    ios_backgroundColor={isDarkMode ? '#39393d' : '#e9e9eb'}
+                  />
+                </View>
+              )}
+              <Text style={{ color: legacySettings.lastError ? colors.error : colors.muted, fontSize: scaledFonts.tiny, marginBottom: 12 }}>
+                {legacySettings.lastGeneratedAt
+                  ? `Last generated ${new Date(legacySettings.lastGeneratedAt).toLocaleString()}.${legacySettings.lastError ? ` Last refresh failed: ${legacySettings.lastError}` : ''}`
+                  : 'Not generated yet.'}
+                {scheduled ? ' The saved package is rebuilt with current values when you open the app after each period, using the same password.' : ''}
+              </Text>
+
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: colors.gold, marginTop: 8 }]}
+                onPress={generateLegacyPackage}
+                disabled={legacyGenerating}
+              >
+                {legacyGenerating ? (
+                  <ActivityIndicator size="small" color="#000" />
+                ) : (
+                  <Text style={{ color: '#000', fontWeight: '600', fontSize: scaledFonts.normal }}>Generate & Share</Text>
+                )}
+              </TouchableOpacity>
+              {legacySettings.lastGeneratedAt && (
+                <TouchableOpacity
+                  style={[styles.buttonOutline, { borderColor: colors.gold, marginTop: 8 }]}
+                  onPress={shareLegacyPackage}
+                  disabled={legacyGenerating}
+                >
+                  <Text style={{ color: colors.gold, fontWeight: '600', fontSize: scaledFonts.normal }}>Share Saved Package</Text>
+                </TouchableOpacity>
+              )}
+              <Text style={{ color: colors.muted, fontSize: scaledFonts.tiny, marginTop: 12, textAlign: 'center' }}>
+                Your instructions are kept on this device only and are never synced. Not legal advice.
+              </Text>
+            </>
+          );
+        })()}
+      </ModalWrapper>
+
       {/* Sort Menu Modal */}
       <ModalWrapper
         visible={showSortMenu}
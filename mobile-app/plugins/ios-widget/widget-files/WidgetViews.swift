@@ -18,25 +18,28 @@ func wChangeColor(_ val: Double) -> Color {
     return val >= 0 ? wGreen : wRed
 }
 
-func wFormatCurrency(_ val: Double) -> String {
+func wFormatCurrency(_ val: Double, _ currencyCode: String = "USD") -> String {
     let f = NumberFormatter()
     f.numberStyle = .currency
+    f.currencyCode = currencyCode
     f.maximumFractionDigits = 0
     return f.string(from: NSNumber(value: val)) ?? "$0"
 }
 
-func wFormatSpot(_ val: Double) -> String {
+func wFormatSpot(_ val: Double, _ currencyCode: String = "USD") -> String {
     let f = NumberFormatter()
     f.numberStyle = .currency
+    f.currencyCode = currencyCode
     f.minimumFractionDigits = 2
     f.maximumFractionDigits = 2
     return f.string(from: NSNumber(value: val)) ?? "$0.00"
 }
 
-func wFormatChange(_ val: Double) -> String {
+func wFormatChange(_ val: Double, _ currencyCode: String = "USD") -> String {
     let prefix = val >= 0 ? "+" : ""
     let f = NumberFormatter()
     f.numberStyle = .currency
+    f.currencyCode = currencyCode
     f.maximumFractionDigits = 0
     return prefix + (f.string(from: NSNumber(value: val)) ?? "$0")
 }
@@ -248,6 +251,7 @@ struct DailyChangeRow: View {
     let amountSize: CGFloat
     let pctSize: CGFloat
     var marketsClosed: Bool = false
+    var currencyCode: String = "USD"
 
     var body: some View {
         if marketsClosed {
@@ -260,7 +264,7 @@ struct DailyChangeRow: View {
                 Text(amount >= 0 ? "▲" : "▼")
                     .font(.system(size: arrowSize, weight: .bold))
                     .foregroundColor(wChangeColor(amount))
-                Text(wPrivacy(wFormatChange(amount), hideValues))
+                Text(wPrivacy(wFormatChange(amount, currencyCode), hideValues))
                     .font(.system(size: amountSize, weight: .semibold))
                     .foregroundColor(wChangeColor(amount))
                 Text("(" + wFormatPct(percent) + ")")
@@ -337,6 +341,7 @@ struct MetalStocksRow: View {
     let sparkline: [Double]
     let dotColor: Color
     var marketsClosed: Bool = false
+    var currencyCode: String = "USD"
     var rowHeight: CGFloat = 36
 
     var body: some View {
@@ -380,7 +385,7 @@ struct MetalStocksRow: View {
 
                 // Right: price + change (fixed width, right-aligned)
                 HStack(spacing: 4) {
-                    Text(wFormatSpot(price))
+                    Text(wFormatSpot(price, currencyCode))
                         .font(.system(size: 15, weight: .semibold))
                         .foregroundColor(.white)
                         .lineLimit(1)
@@ -512,7 +517,7 @@ struct SmallSubscribedView: View {
 
             // Stack value
             WBoldCurrencyText(
-                text: wPrivacy(wFormatCurrency(data.portfolioValue), data.hideValues),
+                text: wPrivacy(wFormatCurrency(data.portfolioValue, data.currencyCode), data.hideValues),
                 size: 32
             )
             .padding(.bottom, 2)
@@ -523,7 +528,8 @@ struct SmallSubscribedView: View {
                 percent: data.dailyChangePercent,
                 hideValues: data.hideValues,
                 arrowSize: 10, amountSize: 13, pctSize: 11,
-                marketsClosed: data.marketsClosed
+                marketsClosed: data.marketsClosed,
+                currencyCode: data.currencyCode
             )
 
             Spacer(minLength: 4)
@@ -575,7 +581,7 @@ struct MediumSubscribedView: View {
             // Top row: stack value + daily change
             HStack(alignment: .firstTextBaseline) {
                 WBoldCurrencyText(
-                    text: wPrivacy(wFormatCurrency(data.portfolioValue), data.hideValues),
+                    text: wPrivacy(wFormatCurrency(data.portfolioValue, data.currencyCode), data.hideValues),
                     size: 28
                 )
                 Spacer(minLength: 8)
@@ -584,7 +590,8 @@ struct MediumSubscribedView: View {
                     percent: data.dailyChangePercent,
                     hideValues: data.hideValues,
                     arrowSize: 10, amountSize: 13, pctSize: 11,
-                    marketsClosed: data.marketsClosed
+                    marketsClosed: data.marketsClosed,
+                    currencyCode: data.currencyCode
                 )
             }
 
@@ -599,7 +606,8 @@ struct MediumSubscribedView: View {
                 changeAmt: data.goldChangeAmount,
                 sparkline: data.goldSparkline,
                 dotColor: wGold,
-                marketsClosed: data.marketsClosed
+                marketsClosed: data.marketsClosed,
+                currencyCode: data.currencyCode
             )
 
             WidgetDivider()
@@ -612,7 +620,8 @@ struct MediumSubscribedView: View {
                 changeAmt: data.silverChangeAmount,
                 sparkline: data.silverSparkline,
                 dotColor: wSilver,
-                marketsClosed: data.marketsClosed
+                marketsClosed: data.marketsClosed,
+                currencyCode: data.currencyCode
             )
 
             Spacer(minLength: 2)
@@ -652,7 +661,7 @@ struct LargeSubscribedView: View {
             // Hero section: stack value + change on same line
             HStack(alignment: .firstTextBaseline) {
                 WBoldCurrencyText(
-                    text: wPrivacy(wFormatCurrency(data.portfolioValue), data.hideValues),
+                    text: wPrivacy(wFormatCurrency(data.portfolioValue, data.currencyCode), data.hideValues),
                     size: 38
                 )
                 Spacer(minLength: 8)
@@ -661,7 +670,8 @@ struct LargeSubscribedView: View {
                     percent: data.dailyChangePercent,
                     hideValues: data.hideValues,
                     arrowSize: 10, amountSize: 13, pctSize: 11,
-                    marketsClosed: data.marketsClosed
+                    marketsClosed: data.marketsClosed,
+                    currencyCode: data.currencyCode
                 )
             }
 
@@ -691,6 +701,7 @@ struct LargeSubscribedView: View {
                 sparkline: data.goldSparkline,
                 dotColor: wGold,
                 marketsClosed: data.marketsClosed,
+                currencyCode: data.currencyCode,
                 rowHeight: metalRowHeight
             )
             WidgetDivider()
@@ -702,6 +713,7 @@ struct LargeSubscribedView: View {
                 sparkline: data.silverSparkline,
                 dotColor: wSilver,
                 marketsClosed: data.marketsClosed,
+                currencyCode: data.currencyCode,
                 rowHeight: metalRowHeight
             )
             WidgetDivider()
@@ -713,6 +725,7 @@ struct LargeSubscribedView: View {
                 sparkline: data.platinumSparkline,
                 dotColor: wPlatinum,
                 marketsClosed: data.marketsClosed,
+                currencyCode: data.currencyCode,
                 rowHeight: metalRowHeight
             )
             WidgetDivider()
@@ -724,6 +737,7 @@ struct LargeSubscribedView: View {
                 sparkline: data.palladiumSparkline,
                 dotColor: wPalladium,
                 marketsClosed: data.marketsClosed,
+                currencyCode: data.currencyCode,
                 rowHeight: metalRowHeight
             )
 
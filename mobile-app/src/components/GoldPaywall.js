@@ -20,6 +20,7 @@ import {
 import Purchases from 'react-native-purchases';
 import * as Haptics from 'expo-haptics';
 import { restorePurchases } from '../utils/entitlements';
+import { getUsageRows } from '../utils/usageQuotas';
 import TroyCoinIcon from './TroyCoinIcon';
 
 const PRIVACY_URL = 'https://api.stacktrackergold.com/privacy';
@@ -38,7 +39,7 @@ const GOLD_FEATURES = [
   { icon: '🏦', text: 'COMEX Vault Watch' },
 ];
 
-const GoldPaywall = ({ visible, onClose, onPurchaseSuccess, userTier = 'free' }) => {
+const GoldPaywall = ({ visible, onClose, onPurchaseSuccess, userTier = 'free', usage = null }) => {
   const [offering, setOffering] = useState(null);
   const [loading, setLoading] = useState(true);
   const [purchasing, setPurchasing] = useState(null);
@@ -235,6 +236,8 @@ const GoldPaywall = ({ visible, onClose, onPurchaseSuccess, userTier = 'free' })
     );
   };
 
+  const usageRows = getUsageRows(usage);
+
   return (
     <Modal
       visible={visible}
@@ -250,6 +253,16 @@ const GoldPaywall = ({ visible, onClose, onPurchaseSuccess, userTier = 'free' })
             <Text style={styles.subtitle}>
               AI-powered intelligence for serious stackers
             </Text>
+            {/* Current quotas (from /v1/usage) — what Gold lifts */}
+            {usageRows.length > 0 && (
+              <View style={styles.usageBox}>
+                {usageRows.map(row => (
+                  <Text key={row.key} style={[styles.usageText, row.exceeded && styles.usageTextExceeded]}>
+                    {row.label} {row.period}: {row.used} / {row.limit}
+                  </Text>
+                ))}
+              </View>
+            )}
             <TouchableOpacity
               onPress={onClose}
               style={styles.closeButton}
@@ -369,6 +382,18 @@ const styles = StyleSheet.create({
     color: '#a1a1aa',
     textAlign: 'center',
   },
+  usageBox: {
+    marginTop: 12,
+    alignItems: 'center',
+  },
+  usageText: {
+    fontSize: 13,
+    color: '#71717a',
+    lineHeight: 18,
+  },
+  usageTextExceeded: {
+    color: '#f87171',
+  },
   closeButton: {
     position: 'absolute',
     top: 0,
@@ -0,0 +1,23 @@
+import { supabase } from './supabase';
+
+// Authorization header for the current Supabase session (empty when signed out / guest)
+export async function getAuthHeaders(): Promise<Record<string, string>> {
+  try {
+    // getSession() refreshes an expired access token before returning it
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+  } catch (err) {
+    console.warn('Could not read Supabase session for API request:', err);
+    return {};
+  }
+}
+
+// fetch() that attaches the Supabase access token to user-scoped backend requests.
+// The backend derives the user id from this token, not from body/query params.
+export async function authFetch(url: string, options: RequestInit = {}): Promise<Response> {
+  const headers = new Headers(options.headers);
+  const authHeaders = await getAuthHeaders();
+  Object.entries(authHeaders).forEach(([key, value]) => headers.set(key, value));
+
+  return fetch(url, { ...options, headers });
+}
@@ -1,4 +1,5 @@
 import { supabase } from '../lib/supabase';
+import { getPureOzt } from '../utils/weights';
 
 // Local holding structure (from App.js)
 export interface LocalHolding {
@@ -7,7 +8,10 @@ export interface LocalHolding {
   source: string;
   datePurchased: string;
   timePurchased?: string; // Optional: HH:MM format for minute-level spot price lookup
-  ozt: number;
+  ozt: number; // Pure troy ounces per unit (derived from weight/weightUnit/purity when set)
+  weight?: number; // Weight per unit as entered, in weightUnit (face dollars for 'face')
+  weightUnit?: string; // 'ozt' | 'g' | 'kg' | 'tola' | 'tael' | 'face' (absent = ozt, fine)
+  purity?: number; // Fineness as a fraction (absent = fine); junk silver type for 'face'
   quantity: number;
   unitPrice: number;
   taxes: number;
@@ -15,21 +19,63 @@ export interface LocalHolding {
   spotPrice: number;
   premium: number;
   costBasis?: number; // Optional: manually adjusted total cost basis
+  // Purchases made in another currency: prices above are converted to USD,
+  // originals are kept in the purchase currency
+  purchaseCurrency?: string; // e.g. 'CAD' (absent = USD)
+  purchaseFxRate?: number; // Units of purchaseCurrency per 1 USD on datePurchased
+  originalUnitPrice?: number;
+  originalTaxes?: number;
+  originalShipping?: number;
+  originalCostBasis?: number;
+  // Valuation above melt (numismatic/semi-numismatic), amounts in USD per unit
+  valuationMode?: string; // 'melt' | 'premium_fixed' | 'premium_pct' | 'market' (absent = melt)
+  valuationPremium?: number; // USD per unit for premium_fixed, percent for premium_pct
+  marketValue?: number; // USD per unit for market
+  marketValueUpdatedAt?: string; // YYYY-MM-DD
+  gradingService?: string; // 'PCGS' | 'NGC' | 'ANACS' | 'ICG'
+  grade?: string; // e.g. 'MS70'
+  certNumber?: string;
+  locationId?: number; // Local id of the storage location (absent = unassigned)
+  attachments?: HoldingAttachment[]; // Receipts, invoices, certificates, photos (see src/utils/attachments.js)
+}
+
+// File attached to a holding. The file is on the device under a path derived
+// from the id; storagePath is its Supabase Storage path (null for guests).
+export interface HoldingAttachment {
+  id: string;
+  kind: string; // 'receipt' | 'invoice' | 'assay' | 'photo'
+  name: string;
+  mimeType: string;
+  size: number | null;
+  addedAt: string; // ISO timestamp
+  storagePath: string | null;
 }
 
 // Supabase holding structure
-// Note: Extra fields (local_id, source, taxes, shipping, spot_price, premium) are stored as JSON in notes
+// Note: source, time_purchased, taxes, shipping, spot_price, premium and cost_basis
+// have their own columns since migration 009 and are still mirrored in the notes
+// JSON for app versions that predate it. Everything else extra lives in notes only.
 export interface SupabaseHolding {
   id: string;
   user_id: string;
   metal: 'silver' | 'gold' | 'platinum' | 'palladium';
   type: string; // productName
-  weight: number; // ozt
-  weight_unit: string;
+  weight: number; // Per unit, in weight_unit
+  weight_unit: string; // 'oz' (troy) | 'g' | 'kg' | 'tola' | 'tael' | 'face'
   quantity: number;
   purchase_price: number; // unitPrice
   purchase_date: string | null;
   notes: string | null; // JSON string containing extra fields
+  location_id?: number | null; // Storage location local_id (migration 008)
+  local_id?: number | null; // App id of the holding (migration 010; also in notes)
+  version?: number; // Bumped on every change (migration 010)
+  source?: string | null; // Columns below: migration 009 (null on rows not yet backfilled)
+  time_purchased?: string | null;
+  taxes?: number | null;
+  shipping?: number | null;
+  spot_price?: number | null;
+  premium?: number | null;
+  cost_basis?: number | null;
   created_at: string;
   updated_at: string;
   deleted_at: string | null;
@@ -45,6 +91,31 @@ interface HoldingNotes {
   spot_price?: number;
   premium?: number;
   cost_basis?: number;
+  purity?: number;
+  purchase_currency?: string;
+  purchase_fx_rate?: number;
+  original_unit_price?: number;
+  original_taxes?: number;
+  original_shipping?: number;
+  original_cost_basis?: number;
+  valuation_mode?: string;
+  valuation_premium?: number;
+  market_value?: number;
+  market_value_updated_at?: string;
+  grading_service?: string;
+  grade?: string;
+  cert_number?: string;
+  attachments?: AttachmentNote[];
+}
+
+interface AttachmentNote {
+  id: string;
+  kind: string;
+  name: string;
+  mime_type: string;
+  size?: number;
+  added_at: string;
+  storage_path?: string;
 }
 
 // Validate and format date for Supabase (must be YYYY-MM-DD or null)
@@ -76,12 +147,76 @@ function formatDateForSupabase(dateStr: string | undefined | null): string | nul
   return null;
 }
 
+// Supabase stores troy ounces as 'oz' (the original unit value)
+function toSupabaseWeightUnit(weightUnit: string | undefined): string {
+  return !weightUnit || weightUnit === 'ozt' ? 'oz' : weightUnit;
+}
+
+// Purchase currency fields for notes JSON (omitted for USD purchases)
+function purchaseCurrencyNotes(holding: LocalHolding): HoldingNotes {
+  if (!holding.purchaseCurrency || holding.purchaseCurrency === 'USD') return {};
+  return {
+    purchase_currency: holding.purchaseCurrency,
+    purchase_fx_rate: holding.purchaseFxRate,
+    original_unit_price: holding.originalUnitPrice,
+    original_taxes: holding.originalTaxes || undefined,
+    original_shipping: holding.originalShipping || undefined,
+    original_cost_basis: holding.originalCostBasis || undefined,
+  };
+}
+
+// Valuation and grading fields for notes JSON (omitted for plain melt holdings)
+function valuationNotes(holding: LocalHolding): HoldingNotes {
+  const hasValuation = !!holding.valuationMode && holding.valuationMode !== 'melt';
+  return {
+    valuation_mode: hasValuation ? holding.valuationMode : undefined,
+    valuation_premium: hasValuation ? holding.valuationPremium : undefined,
+    market_value: hasValuation ? holding.marketValue : undefined,
+    market_value_updated_at: hasValuation ? holding.marketValueUpdatedAt : undefined,
+    grading_service: holding.gradingService || undefined,
+    grade: holding.grade || undefined,
+    cert_number: holding.certNumber || undefined,
+  };
+}
+
+// Attachment metadata for notes JSON (omitted when there are none)
+function attachmentNotes(holding: LocalHolding): AttachmentNote[] | undefined {
+  if (!holding.attachments || holding.attachments.length === 0) return undefined;
+  return holding.attachments.map(a => ({
+    id: a.id,
+    kind: a.kind,
+    name: a.name,
+    mime_type: a.mimeType,
+    size: a.size || undefined,
+    added_at: a.addedAt,
+    storage_path: a.storagePath || undefined,
+  }));
+}
+
+// Purchase fields with their own columns (migration 009)
+function purchaseColumns(holding: LocalHolding) {
+  return {
+    source: holding.source || null,
+    time_purchased: holding.timePurchased || null,
+    taxes: holding.taxes || 0,
+    shipping: holding.shipping || 0,
+    spot_price: holding.spotPrice || null,
+    premium: holding.premium || null,
+    cost_basis: holding.costBasis || null,
+  };
+}
+
+// Column value, falling back to notes JSON for rows written before migration 009
+function columnOrNote<T>(column: T | null | undefined, note: T | undefined): T | undefined {
+  return column ?? note;
+}
+
 // Convert local holding to Supabase format
 export function localToSupabase(
   holding: LocalHolding,
   metal: 'silver' | 'gold' | 'platinum' | 'palladium',
   userId: string
-): Omit<SupabaseHolding, 'id' | 'created_at' | 'updated_at' | 'deleted_at'> {
+): Omit<SupabaseHolding, 'id' | 'version' | 'created_at' | 'updated_at' | 'deleted_at'> {
   // Store extra fields in notes as JSON
   const notesData: HoldingNotes = {
     local_id: holding.id,
@@ -92,18 +227,25 @@ export function localToSupabase(
     spot_price: holding.spotPrice || undefined,
     premium: holding.premium || undefined,
     cost_basis: holding.costBasis || undefined,
+    purity: holding.purity || undefined,
+    ...purchaseCurrencyNotes(holding),
+    ...valuationNotes(holding),
+    attachments: attachmentNotes(holding),
   };
 
   return {
     user_id: userId,
     metal,
     type: holding.productName,
-    weight: holding.ozt,
-    weight_unit: 'oz',
+    weight: holding.weightUnit ? (holding.weight || 0) : holding.ozt,
+    weight_unit: toSupabaseWeightUnit(holding.weightUnit),
     quantity: holding.quantity,
     purchase_price: holding.unitPrice,
     purchase_date: formatDateForSupabase(holding.datePurchased),
     notes: JSON.stringify(notesData),
+    location_id: holding.locationId ?? null,
+    local_id: holding.id,
+    ...purchaseColumns(holding),
   };
 }
 
@@ -120,20 +262,59 @@ export function supabaseToLocal(holding: SupabaseHolding): LocalHolding {
     }
   }
 
+  // Rows saved before weight units existed are troy ounces, fine
+  const weightUnit = !holding.weight_unit || holding.weight_unit === 'oz' ? 'ozt' : holding.weight_unit;
+  const isLegacyWeight = weightUnit === 'ozt' && !notesData.purity;
+  const costBasis = columnOrNote(holding.cost_basis, notesData.cost_basis);
+
   return {
-    id: notesData.local_id || Date.now(),
+    id: (holding.local_id != null ? Number(holding.local_id) : notesData.local_id) || Date.now(),
     productName: holding.type || '',
-    source: notesData.source || '',
+    source: columnOrNote(holding.source, notesData.source) || '',
     datePurchased: holding.purchase_date || '',
-    timePurchased: notesData.time_purchased || '',
-    ozt: holding.weight || 0,
+    timePurchased: columnOrNote(holding.time_purchased, notesData.time_purchased) || '',
+    ozt: isLegacyWeight ? (holding.weight || 0) : getPureOzt({ weight: holding.weight, weightUnit, purity: notesData.purity }),
+    ...(isLegacyWeight ? {} : {
+      weight: holding.weight || 0,
+      weightUnit,
+      ...(notesData.purity ? { purity: notesData.purity } : {}),
+    }),
     quantity: holding.quantity || 1,
     unitPrice: holding.purchase_price || 0,
-    taxes: notesData.taxes || 0,
-    shipping: notesData.shipping || 0,
-    spotPrice: notesData.spot_price || 0,
-    premium: notesData.premium || 0,
-    costBasis: notesData.cost_basis,
+    taxes: Number(columnOrNote(holding.taxes, notesData.taxes)) || 0,
+    shipping: Number(columnOrNote(holding.shipping, notesData.shipping)) || 0,
+    spotPrice: Number(columnOrNote(holding.spot_price, notesData.spot_price)) || 0,
+    premium: Number(columnOrNote(holding.premium, notesData.premium)) || 0,
+    costBasis: costBasis != null ? Number(costBasis) : undefined,
+    ...(notesData.purchase_currency && notesData.purchase_currency !== 'USD' ? {
+      purchaseCurrency: notesData.purchase_currency,
+      purchaseFxRate: notesData.purchase_fx_rate,
+      originalUnitPrice: notesData.original_unit_price,
+      originalTaxes: notesData.original_taxes,
+      originalShipping: notesData.original_shipping,
+      originalCostBasis: notesData.original_cost_basis,
+    } : {}),
+    ...(notesData.valuation_mode ? {
+      valuationMode: notesData.valuation_mode,
+      valuationPremium: notesData.valuation_premium,
+      marketValue: notesData.market_value,
+      marketValueUpdatedAt: notesData.market_value_updated_at,
+    } : {}),
+    ...(notesData.grading_service ? { gradingService: notesData.grading_service } : {}),
+    ...(notesData.grade ? { grade: notesData.grade } : {}),
+    ...(notesData.cert_number ? { certNumber: notesData.cert_number } : {}),
+    ...(holding.location_id != null ? { locationId: Number(holding.location_id) } : {}),
+    ...(notesData.attachments && notesData.attachments.length > 0 ? {
+      attachments: notesData.attachments.map(a => ({
+        id: a.id,
+        kind: a.kind,
+        name: a.name,
+        mimeType: a.mime_type,
+        size: a.size ?? null,
+        addedAt: a.added_at,
+        storagePath: a.storage_path ?? null,
+      })),
+    } : {}),
   };
 }
 
@@ -161,9 +342,8 @@ export async function fetchHoldings(userId: string): Promise<{
     const palladiumItems: LocalHolding[] = [];
 
     (data || []).forEach((holding: SupabaseHolding) => {
-      const localHolding = supabaseToLocal(holding);
-      // Attach supabase_id for future updates
-      (localHolding as any).supabase_id = holding.id;
+      // supabase_id + version for future updates
+      const localHolding = withSyncMeta(holding);
 
       if (holding.metal === 'silver') {
         silverItems.push(localHolding);
@@ -208,41 +388,32 @@ export async function addHolding(
 }
 
 // Update an existing holding
+//
+// With expectedVersion the update only applies if the row is still at that
+// version; data is null (and error null) when another device changed or
+// deleted it first. restore clears deleted_at (undoing a remote delete).
 export async function updateHolding(
   supabaseId: string,
   holding: LocalHolding,
-  metal: 'silver' | 'gold' | 'platinum' | 'palladium'
+  metal: 'silver' | 'gold' | 'platinum' | 'palladium',
+  options: { expectedVersion?: number; restore?: boolean } = {}
 ): Promise<{ data: SupabaseHolding | null; error: Error | null }> {
   try {
-    // Store extra fields in notes as JSON
-    const notesData: HoldingNotes = {
-      local_id: holding.id,
-      source: holding.source || undefined,
-      time_purchased: holding.timePurchased || undefined,
-      taxes: holding.taxes || undefined,
-      shipping: holding.shipping || undefined,
-      spot_price: holding.spotPrice || undefined,
-      premium: holding.premium || undefined,
-      cost_basis: holding.costBasis || undefined,
-    };
+    const { user_id, ...fields } = localToSupabase(holding, metal, '');
 
     const updateData = {
-      type: holding.productName,
-      weight: holding.ozt,
-      quantity: holding.quantity,
-      purchase_price: holding.unitPrice,
-      purchase_date: formatDateForSupabase(holding.datePurchased),
-      metal,
-      notes: JSON.stringify(notesData),
+      ...fields,
+      ...(options.restore ? { deleted_at: null } : {}),
       updated_at: new Date().toISOString(),
     };
 
-    const { data, error } = await supabase
+    let query = supabase
       .from('holdings')
       .update(updateData)
-      .eq('id', supabaseId)
-      .select()
-      .single();
+      .eq('id', supabaseId);
+    if (options.expectedVersion != null) query = query.eq('version', options.expectedVersion);
+
+    const { data, error } = await query.select().maybeSingle();
 
     if (error) throw error;
 
@@ -253,212 +424,879 @@ export async function updateHolding(
   }
 }
 
-// Soft delete a holding
+// Soft delete a holding (the row stays as a tombstone for other devices)
+//
+// With expectedVersion, conflict is true when the row changed since that
+// version and nothing was deleted.
 export async function deleteHolding(
-  supabaseId: string
-): Promise<{ error: Error | null }> {
+  supabaseId: string,
+  expectedVersion?: number
+): Promise<{ error: Error | null; conflict: boolean }> {
   try {
-    const { error } = await supabase
+    let query = supabase
       .from('holdings')
       .update({ deleted_at: new Date().toISOString() })
       .eq('id', supabaseId);
+    if (expectedVersion != null) query = query.eq('version', expectedVersion);
+
+    const { data, error } = await query.select('id');
 
     if (error) throw error;
 
-    return { error: null };
+    return { error: null, conflict: expectedVersion != null && (data || []).length === 0 };
   } catch (err) {
     console.error('Error deleting holding:', err);
-    return { error: err as Error };
+    return { error: err as Error, conflict: false };
   }
 }
 
-// Find holding by local_id in notes JSON
+// Find a live holding by its local id (any metal — an edit can change metal)
 export async function findHoldingByLocalId(
   userId: string,
-  localId: number,
-  metal: 'silver' | 'gold' | 'platinum' | 'palladium'
+  localId: number
 ): Promise<SupabaseHolding | null> {
   try {
     const { data, error } = await supabase
       .from('holdings')
       .select('*')
       .eq('user_id', userId)
-      .eq('metal', metal)
-      .is('deleted_at', null);
+      .eq('local_id', localId)
+      .is('deleted_at', null)
+      .order('updated_at', { ascending: false })
+      .limit(1);
 
     if (error) throw error;
 
-    // Search for matching local_id in notes JSON
-    const match = (data || []).find((h: SupabaseHolding) => {
-      if (!h.notes) return false;
-      try {
-        const notesData = JSON.parse(h.notes);
-        return notesData.local_id === localId;
-      } catch (e) {
-        return false;
-      }
-    });
-
-    return match || null;
+    return (data && data[0]) || null;
   } catch (err) {
     console.error('Error finding holding by local ID:', err);
     return null;
   }
 }
 
-// Sync local holdings to Supabase (for first-time migration)
-export async function syncLocalToSupabase(
+// ============================================
+// INCREMENTAL SYNC (per-record versions)
+// ============================================
+//
+// Each synced holding carries the Supabase row it was last reconciled with:
+// supabase_id, syncVersion (row version) and syncFingerprint (hash of the
+// synced fields). A holding is "dirty" when it has no supabase_id yet or its
+// fields no longer match the fingerprint. Sync pulls rows changed since the
+// cursor (deleted rows are tombstones), then pushes dirty holdings with a
+// version check. Both sides having changed the same record since the last
+// sync is a conflict, left for the user to resolve.
+
+export type Metal = 'silver' | 'gold' | 'platinum' | 'palladium';
+
+const METALS: Metal[] = ['silver', 'gold', 'platinum', 'palladium'];
+
+// Cursor for a device that has synced but never pulled a row
+const SYNC_EPOCH = '1970-01-01T00:00:00.000Z';
+
+export interface SyncedHolding extends LocalHolding {
+  supabase_id?: string;
+  syncVersion?: number;
+  syncFingerprint?: string;
+}
+
+export type HoldingsByMetal = Record<Metal, SyncedHolding[]>;
+
+// A local delete not yet applied in Supabase
+export interface HoldingTombstone {
+  supabaseId: string;
+  version?: number;
+  metal: Metal;
+  item: SyncedHolding;
+}
+
+export type ConflictKind =
+  | 'edit' // edited here and on another device
+  | 'remote_deleted' // edited here, deleted on another device
+  | 'local_deleted'; // deleted here, edited on another device
+
+export interface HoldingConflict {
+  supabaseId: string;
+  kind: ConflictKind;
+  local: SyncedHolding | null; // this device's version (the deleted item for local_deleted)
+  localMetal: Metal;
+  remote: SyncedHolding | null; // null for remote_deleted
+  remoteMetal: Metal;
+  remoteVersion: number;
+}
+
+export interface IncrementalSyncResult {
+  holdings: HoldingsByMetal;
+  tombstones: HoldingTombstone[];
+  conflicts: HoldingConflict[]; // new conflicts found in this sync
+  cursor: string;
+  pulled: number;
+  pushed: number;
+  error: Error | null; // set when pushing stopped early (e.g. offline); pulled changes still apply
+}
+
+// djb2, enough to tell whether synced fields changed
+function hashString(str: string): string {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// Fingerprint of the fields a holding syncs (what localToSupabase writes)
+export function holdingFingerprint(holding: LocalHolding, metal: Metal): string {
+  const { user_id, ...fields } = localToSupabase(holding, metal, '');
+  return hashString(JSON.stringify(fields));
+}
+
+// Whether a holding has changes Supabase doesn't have yet
+export function isHoldingDirty(holding: SyncedHolding, metal: Metal): boolean {
+  if (!holding.supabase_id) return true;
+  if (!holding.syncFingerprint) return false; // synced before fingerprints existed
+  return holdingFingerprint(holding, metal) !== holding.syncFingerprint;
+}
+
+// Local holding for a Supabase row, with its sync metadata
+export function withSyncMeta(row: SupabaseHolding): SyncedHolding {
+  const holding = supabaseToLocal(row);
+  return {
+    ...holding,
+    supabase_id: row.id,
+    syncVersion: row.version ?? 1,
+    syncFingerprint: holdingFingerprint(holding, row.metal),
+  };
+}
+
+// Sync metadata of a holding, for rebuilding it (e.g. from the edit form)
+// without losing which row and version it was edited from
+export function getSyncFields(holding: SyncedHolding | null | undefined): Partial<SyncedHolding> {
+  if (!holding?.supabase_id) return {};
+  return {
+    supabase_id: holding.supabase_id,
+    syncVersion: holding.syncVersion,
+    syncFingerprint: holding.syncFingerprint,
+  };
+}
+
+// Mark a pushed holding as synced with a row (keeps the local fields as pushed)
+function markSynced(holding: SyncedHolding, metal: Metal, row: SupabaseHolding): SyncedHolding {
+  return {
+    ...holding,
+    supabase_id: row.id,
+    syncVersion: row.version ?? 1,
+    syncFingerprint: holdingFingerprint(holding, metal),
+  };
+}
+
+function groupByMetal(entries: { item: SyncedHolding; metal: Metal }[]): HoldingsByMetal {
+  const result: HoldingsByMetal = { silver: [], gold: [], platinum: [], palladium: [] };
+  entries.forEach(({ item, metal }) => (result[metal] || result.silver).push(item));
+  return result;
+}
+
+// Writes are stamped when they happen but only visible once committed, so
+// each pull reaches back this far before the cursor. Re-reading a version
+// this device already has is a no-op.
+const CURSOR_OVERLAP_MS = 60 * 1000;
+
+// Rows per request. Must not exceed the project's PostgREST max-rows
+// (Supabase default 1000), or a capped page would read as the last one.
+const CHANGES_PAGE_SIZE = 1000;
+
+// Rows changed since a cursor (all rows, tombstones included, when null).
+// Pages by (updated_at, id) so rows changed while paging can't shift others
+// out of view.
+export async function fetchHoldingChanges(
   userId: string,
-  silverItems: LocalHolding[],
-  goldItems: LocalHolding[],
-  platinumItems: LocalHolding[] = [],
-  palladiumItems: LocalHolding[] = []
-): Promise<{
-  syncedCount: number;
-  skippedCount: number;
-  error: Error | null;
-}> {
-  let syncedCount = 0;
-  let skippedCount = 0;
+  since: string | null
+): Promise<{ rows: SupabaseHolding[]; cursor: string | null; error: Error | null }> {
+  try {
+    const rows: SupabaseHolding[] = [];
+    let last: SupabaseHolding | null = null;
+
+    for (;;) {
+      let query = supabase
+        .from('holdings')
+        .select('*')
+        .eq('user_id', userId);
+      if (since) query = query.gte('updated_at', new Date(Date.parse(since) - CURSOR_OVERLAP_MS).toISOString());
+      if (last) {
+        query = query.or(`updated_at.gt."${last.updated_at}",and(updated_at.eq."${last.updated_at}",id.gt.${last.id})`);
+      }
+
+      const { data, error } = await query
+        .order('updated_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(CHANGES_PAGE_SIZE);
+
+      if (error) throw error;
+
+      const page = (data || []) as SupabaseHolding[];
+      rows.push(...page);
+      if (page.length < CHANGES_PAGE_SIZE) break;
+      last = page[page.length - 1];
+    }
+
+    const cursor = rows.length > 0 ? rows[rows.length - 1].updated_at : since;
+    return { rows, cursor, error: null };
+  } catch (err) {
+    console.error('Error fetching holding changes:', err);
+    return { rows: [], cursor: since, error: err as Error };
+  }
+}
+
+// Conflict for a holding whose push was rejected because the row moved on
+async function conflictFor(
+  holding: SyncedHolding,
+  metal: Metal,
+  supabaseId: string
+): Promise<{ conflict: HoldingConflict | null; adopted: SyncedHolding | null; adoptedMetal: Metal; error: Error | null }> {
+  const { data: row, error } = await supabase
+    .from('holdings')
+    .select('*')
+    .eq('id', supabaseId)
+    .maybeSingle();
+
+  if (error) return { conflict: null, adopted: null, adoptedMetal: metal, error: error as Error };
+
+  if (!row || row.deleted_at) {
+    return {
+      conflict: { supabaseId, kind: 'remote_deleted', local: holding, localMetal: metal, remote: null, remoteMetal: metal, remoteVersion: row?.version ?? 0 },
+      adopted: null,
+      adoptedMetal: metal,
+      error: null,
+    };
+  }
+
+  const remote = withSyncMeta(row);
+  // Both devices made the same change
+  if (holdingFingerprint(holding, metal) === remote.syncFingerprint) {
+    return { conflict: null, adopted: remote, adoptedMetal: row.metal, error: null };
+  }
 
+  return {
+    conflict: { supabaseId, kind: 'edit', local: holding, localMetal: metal, remote, remoteMetal: row.metal, remoteVersion: row.version ?? 1 },
+    adopted: null,
+    adoptedMetal: metal,
+    error: null,
+  };
+}
+
+// Push one local holding: insert it, or update it if Supabase still has the
+// version it was edited from. Returns the holding with fresh sync metadata
+// (possibly under another metal if another device's identical edit moved it),
+// or a conflict.
+export async function pushHolding(
+  userId: string,
+  holding: SyncedHolding,
+  metal: Metal
+): Promise<{ holding: SyncedHolding | null; metal: Metal; conflict: HoldingConflict | null; error: Error | null }> {
   try {
-    // Get existing holdings to avoid duplicates
-    const { data: existingHoldings, error: fetchError } = await supabase
-      .from('holdings')
-      .select('notes')
-      .eq('user_id', userId)
-      .is('deleted_at', null);
-
-    if (fetchError) throw fetchError;
-
-    // Build set of existing local_ids (stored in notes JSON)
-    const existingLocalIds = new Set<number>();
-    (existingHoldings || []).forEach((h: any) => {
-      if (h.notes) {
-        try {
-          const notesData = JSON.parse(h.notes);
-          if (notesData.local_id) {
-            existingLocalIds.add(notesData.local_id);
-          }
-        } catch (e) {
-          // Ignore parse errors
+    let supabaseId = holding.supabase_id;
+    let expectedVersion = holding.syncVersion;
+
+    if (!supabaseId) {
+      // Already uploaded under this local id (an insert whose response was lost)?
+      let existing = await findHoldingByLocalId(userId, holding.id);
+      if (!existing) {
+        const { data, error } = await addHolding(userId, holding, metal);
+        if (data) return { holding: markSynced(holding, metal, data), metal, conflict: null, error: null };
+        // Unique (user_id, local_id), migration 014: another push inserted it first
+        if ((error as { code?: string } | null)?.code !== '23505') throw error || new Error('Insert returned no row');
+        existing = await findHoldingByLocalId(userId, holding.id);
+        if (!existing) throw error;
+      }
+
+      const result = await conflictFor(holding, metal, existing.id);
+      if (result.error) throw result.error;
+      return { holding: result.adopted, metal: result.adoptedMetal, conflict: result.conflict, error: null };
+    }
+
+    const { data, error } = await updateHolding(supabaseId, holding, metal, { expectedVersion });
+    if (error) throw error;
+    if (data) return { holding: markSynced(holding, metal, data), metal, conflict: null, error: null };
+
+    const result = await conflictFor(holding, metal, supabaseId);
+    if (result.error) throw result.error;
+    return { holding: result.adopted, metal: result.adoptedMetal, conflict: result.conflict, error: null };
+  } catch (err) {
+    console.error('Error pushing holding:', err);
+    return { holding: null, metal, conflict: null, error: err as Error };
+  }
+}
+
+// Apply a local delete. A row edited on another device since this device
+// last saw it is not deleted; that's a local_deleted conflict instead.
+export async function pushHoldingDelete(
+  tombstone: HoldingTombstone
+): Promise<{ conflict: HoldingConflict | null; error: Error | null }> {
+  const { error, conflict } = await deleteHolding(tombstone.supabaseId, tombstone.version);
+  if (error) return { conflict: null, error };
+  if (!conflict) return { conflict: null, error: null };
+
+  const { data: row, error: fetchError } = await supabase
+    .from('holdings')
+    .select('*')
+    .eq('id', tombstone.supabaseId)
+    .maybeSingle();
+
+  if (fetchError) return { conflict: null, error: fetchError as Error };
+  // Gone or already deleted elsewhere: nothing to resolve
+  if (!row || row.deleted_at) return { conflict: null, error: null };
+
+  return {
+    conflict: {
+      supabaseId: tombstone.supabaseId,
+      kind: 'local_deleted',
+      local: tombstone.item,
+      localMetal: tombstone.metal,
+      remote: withSyncMeta(row),
+      remoteMetal: row.metal,
+      remoteVersion: row.version ?? 1,
+    },
+    error: null,
+  };
+}
+
+// Incremental sync: pull changes since cursor, then push local changes
+//
+// The first sync on a device (no cursor) keeps the old rule: if Supabase
+// already has holdings it's the source of truth and replaces local data;
+// if it's empty, local holdings are uploaded.
+//
+// Holdings with an unresolved conflict (pendingConflictIds) are left alone
+// until the user picks a side.
+export async function incrementalSync(
+  userId: string,
+  local: HoldingsByMetal,
+  tombstones: HoldingTombstone[],
+  cursor: string | null,
+  pendingConflictIds: string[] = []
+): Promise<IncrementalSyncResult> {
+  const { rows, cursor: newCursor, error: pullError } = await fetchHoldingChanges(userId, cursor);
+  if (pullError) {
+    return { holdings: local, tombstones, conflicts: [], cursor: cursor || '', pulled: 0, pushed: 0, error: pullError };
+  }
+
+  let entries = METALS.flatMap(metal => (local[metal] || []).map(item => ({ item, metal })));
+  let remainingTombstones = [...tombstones];
+  const conflicts: HoldingConflict[] = [];
+  const skipIds = new Set(pendingConflictIds);
+  const liveRows = rows.filter(row => !row.deleted_at);
+
+  if (!cursor && liveRows.length > 0) {
+    entries = liveRows.map(row => ({ item: withSyncMeta(row), metal: row.metal }));
+    remainingTombstones = [];
+  } else {
+    for (const row of rows) {
+      if (skipIds.has(row.id)) continue;
+
+      // Deleted here, not yet pushed
+      const tombstone = remainingTombstones.find(t => t.supabaseId === row.id);
+      if (tombstone) {
+        if (row.deleted_at) {
+          remainingTombstones = remainingTombstones.filter(t => t !== tombstone);
+        } else if (tombstone.version != null && (row.version ?? 1) > tombstone.version) {
+          remainingTombstones = remainingTombstones.filter(t => t !== tombstone);
+          conflicts.push({
+            supabaseId: row.id, kind: 'local_deleted', local: tombstone.item, localMetal: tombstone.metal,
+            remote: withSyncMeta(row), remoteMetal: row.metal, remoteVersion: row.version ?? 1,
+          });
         }
+        continue;
       }
-    });
 
-    // Prepare holdings to insert
-    const holdingsToInsert: any[] = [];
-
-    const metalGroups: { items: LocalHolding[]; metal: 'silver' | 'gold' | 'platinum' | 'palladium' }[] = [
-      { items: silverItems, metal: 'silver' },
-      { items: goldItems, metal: 'gold' },
-      { items: platinumItems, metal: 'platinum' },
-      { items: palladiumItems, metal: 'palladium' },
-    ];
-
-    for (const { items, metal } of metalGroups) {
-      for (const item of items) {
-        if (existingLocalIds.has(item.id)) {
-          skippedCount++;
-          continue;
+      const localId = row.local_id != null ? Number(row.local_id) : supabaseToLocal(row).id;
+      const index = entries.findIndex(({ item }) =>
+        item.supabase_id ? item.supabase_id === row.id : item.id === localId
+      );
+      const entry = index >= 0 ? entries[index] : null;
+      const dirty = entry ? isHoldingDirty(entry.item, entry.metal) : false;
+
+      if (row.deleted_at) {
+        if (!entry) continue;
+        if (dirty) {
+          conflicts.push({
+            supabaseId: row.id, kind: 'remote_deleted', local: entry.item, localMetal: entry.metal,
+            remote: null, remoteMetal: row.metal, remoteVersion: row.version ?? 1,
+          });
+        } else {
+          entries.splice(index, 1);
         }
-        holdingsToInsert.push(localToSupabase(item, metal, userId));
+        continue;
+      }
+
+      const remote = withSyncMeta(row);
+      if (!entry) {
+        entries.push({ item: remote, metal: row.metal });
+      } else if (!dirty || holdingFingerprint(entry.item, entry.metal) === remote.syncFingerprint) {
+        entries[index] = { item: remote, metal: row.metal };
+      } else if (entry.item.supabase_id && entry.item.syncVersion === (row.version ?? 1)) {
+        // Only changed here; pushed below
+      } else {
+        conflicts.push({
+          supabaseId: row.id, kind: 'edit', local: entry.item, localMetal: entry.metal,
+          remote, remoteMetal: row.metal, remoteVersion: row.version ?? 1,
+        });
       }
     }
+  }
 
-    // Batch insert
-    if (holdingsToInsert.length > 0) {
-      const { error: insertError } = await supabase
-        .from('holdings')
-        .insert(holdingsToInsert);
+  conflicts.forEach(c => skipIds.add(c.supabaseId));
+  const conflictLocalIds = new Set(conflicts.map(c => c.local?.id));
 
-      if (insertError) throw insertError;
+  // Push local changes
+  let pushed = 0;
+  let pushError: Error | null = null;
+  for (const entry of entries) {
+    if (entry.item.supabase_id ? skipIds.has(entry.item.supabase_id) : conflictLocalIds.has(entry.item.id)) continue;
+    if (!isHoldingDirty(entry.item, entry.metal)) continue;
 
-      syncedCount = holdingsToInsert.length;
+    const result = await pushHolding(userId, entry.item, entry.metal);
+    if (result.error) {
+      pushError = result.error; // likely offline; the rest go next sync
+      break;
+    }
+    if (result.conflict) {
+      conflicts.push(result.conflict);
+    } else if (result.holding) {
+      entry.item = result.holding;
+      entry.metal = result.metal;
+      pushed++;
     }
+  }
 
-    return { syncedCount, skippedCount, error: null };
-  } catch (err) {
-    console.error('Error syncing local to Supabase:', err);
-    return { syncedCount, skippedCount, error: err as Error };
+  if (!pushError) {
+    for (const tombstone of [...remainingTombstones]) {
+      if (skipIds.has(tombstone.supabaseId)) continue;
+      const { conflict, error } = await pushHoldingDelete(tombstone);
+      if (error) {
+        pushError = error;
+        break;
+      }
+      remainingTombstones = remainingTombstones.filter(t => t !== tombstone);
+      if (conflict) conflicts.push(conflict);
+      else pushed++;
+    }
   }
+
+  return {
+    holdings: groupByMetal(entries),
+    tombstones: remainingTombstones,
+    conflicts,
+    // Nothing pulled yet still counts as synced: next time is incremental
+    cursor: newCursor || SYNC_EPOCH,
+    pulled: rows.length,
+    pushed,
+    error: pushError,
+  };
 }
 
-// Full sync: Supabase is source of truth when signed in
-// Only uploads local holdings if Supabase is empty (first-time migration)
-export async function fullSync(
+// Apply the user's choice for a conflict. Returns what the holding should be
+// locally (null = not present), or a new conflict if the record changed again
+// while the prompt was open.
+export async function resolveHoldingConflict(
   userId: string,
-  localSilver: LocalHolding[],
-  localGold: LocalHolding[],
-  isFirstSync: boolean = false,
-  localPlatinum: LocalHolding[] = [],
-  localPalladium: LocalHolding[] = []
-): Promise<{
-  silverItems: LocalHolding[];
-  goldItems: LocalHolding[];
-  platinumItems: LocalHolding[];
-  palladiumItems: LocalHolding[];
-  syncedToCloud: number;
-  error: Error | null;
-}> {
+  conflict: HoldingConflict,
+  keep: 'local' | 'remote'
+): Promise<{ holding: SyncedHolding | null; metal: Metal; conflict: HoldingConflict | null; error: Error | null }> {
   try {
-    // First, fetch what's in Supabase (source of truth)
-    const { silverItems: remoteSilver, goldItems: remoteGold, platinumItems: remotePlatinum, palladiumItems: remotePalladium, error: fetchError } = await fetchHoldings(userId);
-
-    if (fetchError) throw fetchError;
-
-    const hasRemoteData = remoteSilver.length > 0 || remoteGold.length > 0 || remotePlatinum.length > 0 || remotePalladium.length > 0;
-    const hasLocalData = localSilver.length > 0 || localGold.length > 0 || localPlatinum.length > 0 || localPalladium.length > 0;
-
-    // If this is first sync AND Supabase is empty AND we have local data,
-    // migrate local holdings to Supabase
-    let syncedCount = 0;
-    if (isFirstSync && !hasRemoteData && hasLocalData) {
-      console.log('First sync with empty Supabase - migrating local holdings...');
-      const { syncedCount: uploaded, error: syncError } = await syncLocalToSupabase(
-        userId,
-        localSilver,
-        localGold,
-        localPlatinum,
-        localPalladium
-      );
+    if (keep === 'remote') {
+      return { holding: conflict.remote, metal: conflict.remoteMetal, conflict: null, error: null };
+    }
 
-      if (syncError) {
-        console.warn('Migration to cloud had errors:', syncError);
-      } else {
-        syncedCount = uploaded;
-        // Re-fetch after migration to get the items with supabase_ids
-        const { silverItems: newSilver, goldItems: newGold, platinumItems: newPlatinum, palladiumItems: newPalladium } = await fetchHoldings(userId);
-        return {
-          silverItems: newSilver,
-          goldItems: newGold,
-          platinumItems: newPlatinum,
-          palladiumItems: newPalladium,
-          syncedToCloud: syncedCount,
-          error: null,
-        };
-      }
+    if (conflict.kind === 'local_deleted') {
+      const { conflict: again, error } = await pushHoldingDelete({
+        supabaseId: conflict.supabaseId,
+        version: conflict.remoteVersion,
+        metal: conflict.localMetal,
+        item: conflict.local as SyncedHolding,
+      });
+      if (error) throw error;
+      return { holding: null, metal: conflict.localMetal, conflict: again, error: null };
     }
 
-    // Return Supabase holdings as source of truth
-    // This REPLACES local holdings, not merges
-    return {
-      silverItems: remoteSilver,
-      goldItems: remoteGold,
-      platinumItems: remotePlatinum,
-      palladiumItems: remotePalladium,
-      syncedToCloud: syncedCount,
-      error: null,
-    };
+    const local = conflict.local as SyncedHolding;
+    const { data, error } = await updateHolding(conflict.supabaseId, local, conflict.localMetal, {
+      expectedVersion: conflict.remoteVersion,
+      restore: conflict.kind === 'remote_deleted',
+    });
+    if (error) throw error;
+    if (data) {
+      return { holding: markSynced(local, conflict.localMetal, data), metal: conflict.localMetal, conflict: null, error: null };
+    }
+
+    const again = await conflictFor({ ...local, supabase_id: conflict.supabaseId }, conflict.localMetal, conflict.supabaseId);
+    if (again.error) throw again.error;
+    return { holding: again.adopted || local, metal: again.adopted ? again.adoptedMetal : conflict.localMetal, conflict: again.conflict, error: null };
   } catch (err) {
-    console.error('Error in full sync:', err);
-    return {
-      silverItems: localSilver,
-      goldItems: localGold,
-      platinumItems: localPlatinum,
-      palladiumItems: localPalladium,
-      syncedToCloud: 0,
-      error: err as Error,
-    };
+    console.error('Error resolving holding conflict:', err);
+    return { holding: null, metal: conflict.localMetal, conflict: null, error: err as Error };
+  }
+}
+
+// ============================================
+// SALES (dispositions)
+// ============================================
+
+export type CostBasisMethod = 'fifo' | 'lifo' | 'average' | 'specific';
+
+// One lot's share of a sale (see src/utils/costBasis.js)
+export interface SaleAllocation {
+  lotId: number;
+  quantity: number;
+  ozt: number;
+  costBasis: number;
+  lotCostBasis?: number;
+  taxes: number;
+  shipping: number;
+  lot: Partial<LocalHolding> & { supabase_id?: string };
+}
+
+// Local sale structure (from App.js)
+export interface LocalSale {
+  id: number;
+  supabase_id?: string;
+  metal: Metal;
+  productName: string;
+  dateSold: string;
+  quantity: number;
+  ozt: number;
+  pricePerUnit: number;
+  fees: number;
+  proceeds: number;
+  costBasis: number;
+  realizedGain: number;
+  method: CostBasisMethod;
+  buyer?: string;
+  notes?: string;
+  lots: SaleAllocation[];
+  createdAt?: string;
+}
+
+export interface SupabaseSale {
+  id: string;
+  user_id: string;
+  local_id: number | null;
+  metal: Metal;
+  product_name: string;
+  sale_date: string | null;
+  quantity: number;
+  ozt: number;
+  price_per_unit: number;
+  fees: number;
+  proceeds: number;
+  cost_basis: number;
+  realized_gain: number;
+  cost_basis_method: CostBasisMethod;
+  buyer: string | null;
+  notes: string | null;
+  lots: SaleAllocation[];
+  created_at: string;
+  updated_at: string;
+  deleted_at: string | null;
+}
+
+export function localSaleToSupabase(
+  sale: LocalSale,
+  userId: string
+): Omit<SupabaseSale, 'id' | 'created_at' | 'updated_at' | 'deleted_at'> {
+  return {
+    user_id: userId,
+    local_id: sale.id,
+    metal: sale.metal,
+    product_name: sale.productName,
+    sale_date: formatDateForSupabase(sale.dateSold),
+    quantity: sale.quantity,
+    ozt: sale.ozt,
+    price_per_unit: sale.pricePerUnit,
+    fees: sale.fees || 0,
+    proceeds: sale.proceeds,
+    cost_basis: sale.costBasis,
+    realized_gain: sale.realizedGain,
+    cost_basis_method: sale.method,
+    buyer: sale.buyer || null,
+    notes: sale.notes || null,
+    lots: sale.lots,
+  };
+}
+
+export function supabaseToLocalSale(sale: SupabaseSale): LocalSale {
+  return {
+    id: sale.local_id || Date.now(),
+    supabase_id: sale.id,
+    metal: sale.metal,
+    productName: sale.product_name || '',
+    dateSold: sale.sale_date || '',
+    quantity: Number(sale.quantity) || 0,
+    ozt: Number(sale.ozt) || 0,
+    pricePerUnit: Number(sale.price_per_unit) || 0,
+    fees: Number(sale.fees) || 0,
+    proceeds: Number(sale.proceeds) || 0,
+    costBasis: Number(sale.cost_basis) || 0,
+    realizedGain: Number(sale.realized_gain) || 0,
+    method: sale.cost_basis_method || 'fifo',
+    buyer: sale.buyer || '',
+    notes: sale.notes || '',
+    lots: Array.isArray(sale.lots) ? sale.lots : [],
+    createdAt: sale.created_at,
+  };
+}
+
+// Fetch all sales for a user, newest first
+export async function fetchSales(userId: string): Promise<{ sales: LocalSale[]; error: Error | null }> {
+  try {
+    const { data, error } = await supabase
+      .from('holding_sales')
+      .select('*')
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .order('sale_date', { ascending: false });
+
+    if (error) throw error;
+
+    return { sales: (data || []).map(supabaseToLocalSale), error: null };
+  } catch (err) {
+    console.error('Error fetching sales:', err);
+    return { sales: [], error: err as Error };
+  }
+}
+
+// Record a sale. One Supabase already has (a retried send, a sale restored
+// from a backup) returns the existing row instead of a duplicate.
+export async function addSale(
+  userId: string,
+  sale: LocalSale
+): Promise<{ data: SupabaseSale | null; error: Error | null }> {
+  try {
+    const { data: existing, error: findError } = await supabase
+      .from('holding_sales')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('local_id', sale.id)
+      .is('deleted_at', null)
+      .limit(1)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (existing) return { data: existing, error: null };
+
+    const { data, error } = await supabase
+      .from('holding_sales')
+      .insert(localSaleToSupabase(sale, userId))
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (err) {
+    console.error('Error adding sale:', err);
+    return { data: null, error: err as Error };
+  }
+}
+
+// Soft delete a sale (undo)
+export async function deleteSale(
+  userId: string,
+  sale: LocalSale
+): Promise<{ error: Error | null }> {
+  try {
+    let query = supabase
+      .from('holding_sales')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('user_id', userId);
+
+    query = sale.supabase_id ? query.eq('id', sale.supabase_id) : query.eq('local_id', sale.id);
+
+    const { error } = await query;
+    if (error) throw error;
+
+    return { error: null };
+  } catch (err) {
+    console.error('Error deleting sale:', err);
+    return { error: err as Error };
+  }
+}
+
+// ============================================
+// ATTACHMENT FILES (Supabase Storage, migration 011)
+// ============================================
+
+// Private bucket; files live under <user id>/ (the bucket's policies check it)
+export const ATTACHMENT_BUCKET = 'holding-attachments';
+
+function base64ToBytes(base64: string): Uint8Array {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Upload an attachment's file (replaces a partial upload of the same path)
+export async function uploadAttachmentFile(
+  storagePath: string,
+  base64: string,
+  mimeType: string
+): Promise<{ error: Error | null }> {
+  try {
+    const { error } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .upload(storagePath, base64ToBytes(base64), { contentType: mimeType, upsert: true });
+
+    if (error) throw error;
+    return { error: null };
+  } catch (err) {
+    console.error('Error uploading attachment:', err);
+    return { error: err as Error };
+  }
+}
+
+// Short-lived URL to download an attachment's file
+export async function getAttachmentUrl(
+  storagePath: string,
+  expiresIn = 300
+): Promise<{ url: string | null; error: Error | null }> {
+  try {
+    const { data, error } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .createSignedUrl(storagePath, expiresIn);
+
+    if (error) throw error;
+    return { url: data?.signedUrl ?? null, error: null };
+  } catch (err) {
+    console.error('Error getting attachment URL:', err);
+    return { url: null, error: err as Error };
+  }
+}
+
+// Delete attachment files no holding uses any more
+export async function deleteAttachmentFiles(storagePaths: string[]): Promise<{ error: Error | null }> {
+  try {
+    const { error } = await supabase.storage.from(ATTACHMENT_BUCKET).remove(storagePaths);
+
+    if (error) throw error;
+    return { error: null };
+  } catch (err) {
+    console.error('Error deleting attachments:', err);
+    return { error: err as Error };
+  }
+}
+
+// ============================================
+// STORAGE LOCATIONS
+// ============================================
+
+export type LocationType = 'home_safe' | 'bank_box' | 'vault' | 'other';
+
+// Local storage location structure (from App.js)
+export interface LocalLocation {
+  id: number;
+  supabase_id?: string;
+  name: string;
+  type: LocationType;
+  notes?: string;
+  coverageLimit?: number | null; // Insurance coverage limit (USD)
+}
+
+export interface SupabaseLocation {
+  id: string;
+  user_id: string;
+  local_id: number;
+  name: string;
+  type: LocationType;
+  notes: string | null;
+  coverage_limit: number | null;
+  created_at: string;
+  updated_at: string;
+  deleted_at: string | null;
+}
+
+export function supabaseToLocalLocation(location: SupabaseLocation): LocalLocation {
+  return {
+    id: Number(location.local_id),
+    supabase_id: location.id,
+    name: location.name || '',
+    type: location.type || 'other',
+    notes: location.notes || '',
+    coverageLimit: location.coverage_limit != null ? Number(location.coverage_limit) : null,
+  };
+}
+
+// Fetch all storage locations for a user
+export async function fetchLocations(userId: string): Promise<{ locations: LocalLocation[]; error: Error | null }> {
+  try {
+    const { data, error } = await supabase
+      .from('storage_locations')
+      .select('*')
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { locations: (data || []).map(supabaseToLocalLocation), error: null };
+  } catch (err) {
+    console.error('Error fetching storage locations:', err);
+    return { locations: [], error: err as Error };
+  }
+}
+
+// Add or update a storage location (matched by local id)
+export async function saveLocation(
+  userId: string,
+  location: LocalLocation
+): Promise<{ data: SupabaseLocation | null; error: Error | null }> {
+  try {
+    const { data, error } = await supabase
+      .from('storage_locations')
+      .upsert({
+        user_id: userId,
+        local_id: location.id,
+        name: location.name,
+        type: location.type,
+        notes: location.notes || null,
+        coverage_limit: location.coverageLimit || null,
+        deleted_at: null,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'user_id,local_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (err) {
+    console.error('Error saving storage location:', err);
+    return { data: null, error: err as Error };
+  }
+}
+
+// Soft delete a storage location; its holdings become unassigned
+export async function deleteLocation(
+  userId: string,
+  location: LocalLocation
+): Promise<{ error: Error | null }> {
+  try {
+    const { error } = await supabase
+      .from('storage_locations')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('local_id', location.id);
+
+    if (error) throw error;
+
+    const { error: holdingsError } = await supabase
+      .from('holdings')
+      .update({ location_id: null, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('location_id', location.id);
+
+    if (holdingsError) throw holdingsError;
+
+    return { error: null };
+  } catch (err) {
+    console.error('Error deleting storage location:', err);
+    return { error: err as Error };
   }
 }
@@ -0,0 +1,251 @@
+/**
+ * TroyStack - Attachments Utility
+ * Receipts, invoices, assay certificates and item photos kept with holdings
+ *
+ * Holdings carry attachment metadata in `attachments` ({ id, kind, name,
+ * mimeType, size, addedAt, storagePath }). The file itself is always kept on
+ * the device at a path derived from the attachment id; for signed-in users
+ * it's also uploaded to Supabase Storage (storagePath, set when the
+ * attachment is created and uploaded through the outbox). A device that
+ * only has the metadata (synced from another device) downloads the file
+ * into the same local path the first time it's opened.
+ *
+ * One file can be attached to several holdings (a receipt covering a whole
+ * order, a lot split in two), so files are only deleted once no holding
+ * references them.
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+
+export const ATTACHMENT_KINDS = [
+  { key: 'receipt', label: 'Receipt' },
+  { key: 'invoice', label: 'Invoice' },
+  { key: 'assay', label: 'Assay Certificate' },
+  { key: 'photo', label: 'Item Photo' },
+];
+
+export const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+// Document picker types for attaching a file
+export const ATTACHMENT_FILE_TYPES = ['application/pdf', 'image/*'];
+
+const LOCAL_DIR = `${FileSystem.documentDirectory}attachments/`;
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/heic': '.heic',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'message/rfc822': '.eml',
+  'text/html': '.html',
+};
+
+/**
+ * @param {string} kind
+ * @returns {string}
+ */
+export const getAttachmentKindLabel = (kind) =>
+  (ATTACHMENT_KINDS.find(k => k.key === kind) || ATTACHMENT_KINDS[0]).label;
+
+// Photos are often named .HEIC but saved as JPEG, so the type wins over the name
+const getExtension = (attachment) => {
+  if (EXTENSIONS[attachment.mimeType]) return EXTENSIONS[attachment.mimeType];
+  const fromName = String(attachment.name || '').match(/\.[a-z0-9]{2,5}$/i);
+  return fromName ? fromName[0].toLowerCase() : '';
+};
+
+/**
+ * Metadata for a new attachment
+ *
+ * @param {Object} params
+ * @param {string} params.kind ATTACHMENT_KINDS key
+ * @param {string} [params.name] File name
+ * @param {string} [params.mimeType]
+ * @param {number} [params.size] Bytes
+ * @param {string|null} [params.userId] Signed-in user (the file is uploaded under their folder)
+ * @param {number} [params.now]
+ * @returns {Object} Attachment
+ */
+export const buildAttachment = ({ kind, name, mimeType, size, userId = null, now = Date.now() }) => {
+  const attachment = {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    name: name || `${getAttachmentKindLabel(kind)}${EXTENSIONS[mimeType] || ''}`,
+    mimeType: mimeType || 'application/octet-stream',
+    size: size || null,
+    addedAt: new Date(now).toISOString(),
+  };
+  return { ...attachment, storagePath: userId ? `${userId}/${attachment.id}${getExtension(attachment)}` : null };
+};
+
+/**
+ * Kind for a receipt kept from a scan
+ * @param {string} [mimeType]
+ * @returns {string}
+ */
+export const getScannedReceiptKind = (mimeType) => (mimeType === 'application/pdf' ? 'invoice' : 'receipt');
+
+export const isImageAttachment = (attachment) => String(attachment?.mimeType || '').startsWith('image/');
+
+export const isPdfAttachment = (attachment) => attachment?.mimeType === 'application/pdf';
+
+// ============================================
+// FILES ON THE DEVICE
+// ============================================
+
+/**
+ * Where an attachment's file lives on this device
+ * @param {Object} attachment
+ * @returns {string}
+ */
+export const getLocalAttachmentUri = (attachment) => `${LOCAL_DIR}${attachment.id}${getExtension(attachment)}`;
+
+/**
+ * Is the file on this device?
+ * @param {Object} attachment
+ * @returns {Promise<boolean>}
+ */
+export const hasLocalAttachment = async (attachment) =>
+  (await FileSystem.getInfoAsync(getLocalAttachmentUri(attachment))).exists;
+
+/**
+ * Copy a picked file into app storage
+ * @param {string} sourceUri Picker / camera uri
+ * @param {Object} attachment
+ * @returns {Promise<string>} Local uri
+ */
+export const saveLocalAttachment = async (sourceUri, attachment) => {
+  const info = await FileSystem.getInfoAsync(LOCAL_DIR);
+  if (!info.exists) await FileSystem.makeDirectoryAsync(LOCAL_DIR, { intermediates: true });
+  const uri = getLocalAttachmentUri(attachment);
+  await FileSystem.copyAsync({ from: sourceUri, to: uri });
+  return uri;
+};
+
+/**
+ * Download a synced attachment into its local path
+ * @param {string} url Signed URL
+ * @param {Object} attachment
+ * @returns {Promise<string>} Local uri
+ */
+export const downloadAttachment = async (url, attachment) => {
+  const info = await FileSystem.getInfoAsync(LOCAL_DIR);
+  if (!info.exists) await FileSystem.makeDirectoryAsync(LOCAL_DIR, { intermediates: true });
+  const uri = getLocalAttachmentUri(attachment);
+  const result = await FileSystem.downloadAsync(url, uri);
+  if (result.status !== 200) {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+    throw new Error(`Download failed (${result.status})`);
+  }
+  return uri;
+};
+
+/**
+ * @param {Object} attachment
+ */
+export const deleteLocalAttachment = async (attachment) => {
+  await FileSystem.deleteAsync(getLocalAttachmentUri(attachment), { idempotent: true });
+};
+
+// Every attachment file on this device (clear data / sign out)
+export const deleteAllLocalAttachments = async () => {
+  await FileSystem.deleteAsync(LOCAL_DIR, { idempotent: true });
+};
+
+/**
+ * Attachments no holding refers to any more (files safe to delete)
+ * @param {Array} removed Attachments taken off a holding, or of deleted holdings
+ * @param {Object} holdingsByMetal Holdings after the change
+ * @returns {Array}
+ */
+export const findUnreferencedAttachments = (removed, holdingsByMetal) => {
+  const inUse = new Set(
+    Object.values(holdingsByMetal).flat().flatMap(item => (item.attachments || []).map(a => a.id))
+  );
+  const seen = new Set();
+  return (removed || []).filter(a => {
+    if (inUse.has(a.id) || seen.has(a.id)) return false;
+    seen.add(a.id);
+    return true;
+  });
+};
+
+// ============================================
+// LEDGER APPENDIX
+// ============================================
+
+/**
+ * Add an attachments appendix to a ledger PDF
+ *
+ * Photos (JPEG/PNG) get a page each, scaled to fit; PDF invoices and
+ * certificates have their pages copied in. Anything else, or a file that
+ * isn't on the device, is listed on the appendix's first page.
+ *
+ * @param {PDFDocument} pdfDoc pdf-lib document
+ * @param {Array<{ productName: string, attachment: Object, data: string|null }>} entries data: file as base64
+ * @param {Object} style { helvetica, helveticaBold, dark, muted, gold, pageSize: [w, h], margin }
+ * @returns {Promise<number>} Attachments included as pages
+ */
+export const addAttachmentAppendix = async (pdfDoc, entries, { helvetica, helveticaBold, dark, muted, gold, pageSize, margin }) => {
+  const { PDFDocument } = require('pdf-lib');
+  const [PAGE_W, PAGE_H] = pageSize;
+  // Standard fonts only encode Latin-1 (file names can have anything)
+  const caption = (entry) => `${entry.productName} — ${getAttachmentKindLabel(entry.attachment.kind)}: ${entry.attachment.name}`
+    .replace(/[^\x20-\x7e\u00a0-\u00ff—]/g, '?')
+    .substring(0, 95);
+
+  const listPage = pdfDoc.addPage([PAGE_W, PAGE_H]);
+  let y = PAGE_H - margin;
+  listPage.drawText('Appendix: Attachments', { x: margin, y, size: 18, font: helveticaBold, color: gold });
+  y -= 24;
+
+  let included = 0;
+  const notIncluded = [];
+  for (const entry of entries) {
+    const mime = entry.attachment.mimeType;
+    try {
+      if (!entry.data) throw new Error('not on this device');
+      if (isPdfAttachment(entry.attachment)) {
+        const source = await PDFDocument.load(entry.data, { ignoreEncryption: true });
+        const pages = await pdfDoc.copyPages(source, source.getPageIndices());
+        pages.forEach((copied, i) => {
+          pdfDoc.addPage(copied);
+          if (i === 0) {
+            const { height } = copied.getSize();
+            copied.drawText(caption(entry), { x: 12, y: height - 12, size: 7, font: helvetica, color: muted });
+          }
+        });
+      } else if (mime === 'image/jpeg' || mime === 'image/jpg' || mime === 'image/png') {
+        const image = mime === 'image/png' ? await pdfDoc.embedPng(entry.data) : await pdfDoc.embedJpg(entry.data);
+        const page = pdfDoc.addPage([PAGE_W, PAGE_H]);
+        page.drawText(caption(entry), { x: margin, y: PAGE_H - margin, size: 10, font: helveticaBold, color: dark });
+        const maxW = PAGE_W - margin * 2;
+        const maxH = PAGE_H - margin * 2 - 24;
+        const scale = Math.min(maxW / image.width, maxH / image.height, 1);
+        const w = image.width * scale;
+        const h = image.height * scale;
+        page.drawImage(image, { x: (PAGE_W - w) / 2, y: PAGE_H - margin - 24 - h, width: w, height: h });
+      } else {
+        throw new Error('file type not supported in PDF');
+      }
+      included++;
+    } catch (error) {
+      notIncluded.push({ entry, reason: error.message });
+    }
+  }
+
+  listPage.drawText(`${included} of ${entries.length} attachment${entries.length === 1 ? '' : 's'} included on the following pages.`, { x: margin, y, size: 10, font: helvetica, color: muted });
+  y -= 20;
+  if (notIncluded.length > 0) {
+    listPage.drawText('Not included:', { x: margin, y, size: 10, font: helveticaBold, color: dark });
+    y -= 14;
+    for (const { entry, reason } of notIncluded) {
+      if (y < margin) break;
+      listPage.drawText(`- ${caption(entry)} (${reason})`.substring(0, 110), { x: margin, y, size: 8, font: helvetica, color: dark });
+      y -= 12;
+    }
+  }
+  return included;
+};
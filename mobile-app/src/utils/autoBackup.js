@@ -0,0 +1,304 @@
+/**
+ * TroyStack - Automatic Backups Utility
+ * Scheduled encrypted backups (restore points) with rolling retention
+ *
+ * Restore points are regular backup files (see backup.js) written to
+ * documentDirectory/backups/ and, when iCloud is available, to iCloud Drive.
+ * They're built from AsyncStorage rather than React state so the background
+ * fetch task can write them while the app is closed.
+ *
+ * Automatic backups are encrypted with a key derived once from the user's
+ * passphrase (deriveBackupKey); the key is kept in the secure store
+ * (Keychain / Keystore) so a restore point on this device opens without the
+ * passphrase, while a copy taken elsewhere still needs it. The rest of the
+ * settings stay in AsyncStorage.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as SecureStore from 'expo-secure-store';
+import { Platform } from 'react-native';
+import { CloudStorage, CloudStorageScope } from 'react-native-cloud-storage';
+import { buildBackup, serializeBackupWithKey } from './backup';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AUTO_BACKUP_FREQUENCIES = [
+  { key: 'off', label: 'Off', intervalMs: null },
+  { key: 'daily', label: 'Daily', intervalMs: DAY_MS },
+  { key: 'weekly', label: 'Weekly', intervalMs: 7 * DAY_MS },
+];
+
+// How many restore points to keep (oldest are deleted first)
+export const AUTO_BACKUP_RETENTION_OPTIONS = [3, 7, 14, 30];
+
+export const DEFAULT_AUTO_BACKUP_SETTINGS = {
+  frequency: 'off',
+  retention: 7,
+  icloud: true,
+  backupKey: null, // deriveBackupKey result
+  lastBackupAt: null,
+  lastError: null,
+};
+
+const SETTINGS_KEY = 'stack_auto_backup';
+const BACKUP_KEY_KEY = 'stack_auto_backup_key';
+// Background fetch runs while the device may be locked
+const SECURE_STORE_OPTIONS = { keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK };
+const LOCAL_DIR = `${FileSystem.documentDirectory}backups/`;
+const ICLOUD_DIR = 'troystack_backups';
+const FILE_PREFIX = 'troystack-auto-';
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const saveBackupKey = async (backupKey) => {
+  if (backupKey) {
+    await SecureStore.setItemAsync(BACKUP_KEY_KEY, JSON.stringify(backupKey), SECURE_STORE_OPTIONS);
+  } else {
+    await SecureStore.deleteItemAsync(BACKUP_KEY_KEY, SECURE_STORE_OPTIONS);
+  }
+};
+
+/**
+ * Saved automatic backup settings
+ * @returns {Promise<Object>} See DEFAULT_AUTO_BACKUP_SETTINGS
+ */
+export const loadAutoBackupSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+    const { backupKey: legacyKey, ...settings } = stored ? JSON.parse(stored) : {};
+    // Versions before the secure store kept the key with the settings
+    if (legacyKey) {
+      await saveBackupKey(legacyKey);
+      await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    }
+    const savedKey = await SecureStore.getItemAsync(BACKUP_KEY_KEY, SECURE_STORE_OPTIONS);
+    return { ...DEFAULT_AUTO_BACKUP_SETTINGS, ...settings, backupKey: savedKey ? JSON.parse(savedKey) : null };
+  } catch (error) {
+    if (__DEV__) console.error('[AutoBackup] Failed to load settings:', error.message);
+    return { ...DEFAULT_AUTO_BACKUP_SETTINGS };
+  }
+};
+
+/**
+ * @param {Object} settings
+ */
+export const saveAutoBackupSettings = async (settings) => {
+  const { backupKey, ...rest } = settings;
+  await saveBackupKey(backupKey);
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(rest));
+};
+
+/**
+ * Forget the backup key and settings (sign out, clear data)
+ */
+export const clearAutoBackupSettings = async () => {
+  await SecureStore.deleteItemAsync(BACKUP_KEY_KEY, SECURE_STORE_OPTIONS);
+  await AsyncStorage.removeItem(SETTINGS_KEY);
+};
+
+/**
+ * Is an automatic backup due?
+ * @param {Object} settings
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isAutoBackupDue = (settings, now = new Date()) => {
+  const frequency = AUTO_BACKUP_FREQUENCIES.find(f => f.key === settings.frequency);
+  if (!frequency?.intervalMs || !settings.backupKey) return false;
+  if (!settings.lastBackupAt) return true;
+  return now.getTime() - new Date(settings.lastBackupAt).getTime() >= frequency.intervalMs;
+};
+
+// ============================================
+// RESTORE POINT FILES
+// ============================================
+
+// ISO timestamp with ':' and '.' swapped for '-' (safe in file names)
+const restorePointName = (date) => `${FILE_PREFIX}${date.toISOString().replace(/[:.]/g, '-')}.json`;
+
+/**
+ * When a restore point was taken, from its file name
+ * @param {string} name
+ * @returns {string|null} ISO timestamp, null for files that aren't restore points
+ */
+export const getRestorePointTime = (name) => {
+  const match = name.match(/^troystack-auto-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+};
+
+/**
+ * Restore points past the retention limit (newest are kept)
+ * @param {string[]} names File names
+ * @param {number} retention
+ * @returns {string[]} Names to delete
+ */
+export const getExpiredRestorePoints = (names, retention) =>
+  names
+    .filter(name => getRestorePointTime(name))
+    .sort()
+    .reverse()
+    .slice(retention);
+
+const listLocal = async () => {
+  const info = await FileSystem.getInfoAsync(LOCAL_DIR);
+  if (!info.exists) return [];
+  return (await FileSystem.readDirectoryAsync(LOCAL_DIR)).filter(name => getRestorePointTime(name));
+};
+
+const listiCloud = async () => {
+  if (!(await CloudStorage.exists(ICLOUD_DIR, CloudStorageScope.Documents))) return [];
+  return (await CloudStorage.readdir(ICLOUD_DIR, CloudStorageScope.Documents)).filter(name => getRestorePointTime(name));
+};
+
+const pruneLocal = async (retention) => {
+  for (const name of getExpiredRestorePoints(await listLocal(), retention)) {
+    await FileSystem.deleteAsync(LOCAL_DIR + name, { idempotent: true });
+  }
+};
+
+const pruneiCloud = async (retention) => {
+  for (const name of getExpiredRestorePoints(await listiCloud(), retention)) {
+    await CloudStorage.unlink(`${ICLOUD_DIR}/${name}`, CloudStorageScope.Documents);
+  }
+};
+
+const parseJson = (value, fallback) => {
+  try { return value ? JSON.parse(value) : fallback; } catch (e) { return fallback; }
+};
+
+/**
+ * Backup state (backup.data shape) from what the app last saved
+ *
+ * Notification preferences live on the server and aren't included.
+ *
+ * @returns {Promise<Object>}
+ */
+export const readBackupStateFromStorage = async () => {
+  const entries = Object.fromEntries(await AsyncStorage.multiGet([
+    'stack_silver', 'stack_gold', 'stack_platinum', 'stack_palladium',
+    'stack_sales', 'stack_locations', 'stack_price_alerts', 'stack_import_templates',
+    'stack_silver_milestone', 'stack_gold_milestone',
+    'stack_theme_preference', 'stack_large_text', 'stack_spot_change_display_mode', 'stack_base_currency',
+    'stack_hide_widget_values', 'stack_location_filter', 'stack_cost_basis_method',
+  ]));
+
+  const locationFilter = entries.stack_location_filter;
+  const milestone = (value) => (parseFloat(value) > 0 ? parseFloat(value) : null);
+
+  return {
+    silverItems: parseJson(entries.stack_silver, []),
+    goldItems: parseJson(entries.stack_gold, []),
+    platinumItems: parseJson(entries.stack_platinum, []),
+    palladiumItems: parseJson(entries.stack_palladium, []),
+    sales: parseJson(entries.stack_sales, []),
+    locations: parseJson(entries.stack_locations, []),
+    priceAlerts: parseJson(entries.stack_price_alerts, []),
+    importTemplates: parseJson(entries.stack_import_templates, []),
+    milestones: { silver: milestone(entries.stack_silver_milestone), gold: milestone(entries.stack_gold_milestone) },
+    notifPrefs: null,
+    settings: {
+      themePreference: entries.stack_theme_preference,
+      largeText: entries.stack_large_text == null ? null : entries.stack_large_text === 'true',
+      spotChangeDisplayMode: entries.stack_spot_change_display_mode,
+      baseCurrency: entries.stack_base_currency,
+      hideWidgetValues: entries.stack_hide_widget_values == null ? null : entries.stack_hide_widget_values === 'true',
+      // Location ids are numbers; 'all' / 'unassigned' are strings
+      locationFilter: locationFilter == null ? null : (isNaN(Number(locationFilter)) ? locationFilter : Number(locationFilter)),
+      costBasisMethod: entries.stack_cost_basis_method,
+    },
+  };
+};
+
+/**
+ * Write a restore point now and apply the retention policy
+ *
+ * @param {Object} settings Automatic backup settings (needs backupKey)
+ * @param {Object} [options]
+ * @param {boolean} [options.icloud] Also write to iCloud Drive
+ * @param {Date} [options.now]
+ * @returns {Promise<{ name: string, icloud: boolean }>}
+ */
+export const createRestorePoint = async (settings, { icloud = false, now = new Date() } = {}) => {
+  const json = serializeBackupWithKey(buildBackup(await readBackupStateFromStorage(), now), settings.backupKey);
+  const name = restorePointName(now);
+
+  const info = await FileSystem.getInfoAsync(LOCAL_DIR);
+  if (!info.exists) await FileSystem.makeDirectoryAsync(LOCAL_DIR, { intermediates: true });
+  await FileSystem.writeAsStringAsync(LOCAL_DIR + name, json);
+  await pruneLocal(settings.retention);
+
+  let savedToiCloud = false;
+  if (icloud) {
+    try {
+      if (!(await CloudStorage.exists(ICLOUD_DIR, CloudStorageScope.Documents))) {
+        await CloudStorage.mkdir(ICLOUD_DIR, CloudStorageScope.Documents);
+      }
+      await CloudStorage.writeFile(`${ICLOUD_DIR}/${name}`, json, CloudStorageScope.Documents);
+      await pruneiCloud(settings.retention);
+      savedToiCloud = true;
+    } catch (error) {
+      // The local copy is still there; iCloud is retried with the next backup
+      if (__DEV__) console.error('[AutoBackup] iCloud write failed:', error?.message);
+    }
+  }
+
+  return { name, icloud: savedToiCloud };
+};
+
+/**
+ * Take a restore point if one is due (app start, foreground, background fetch)
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] Back up even if not due (Back Up Now)
+ * @param {boolean} [options.icloudAvailable] Known iCloud availability; checked here when omitted
+ * @param {Date} [options.now]
+ * @returns {Promise<{ name: string, icloud: boolean }|null>} null when nothing was written
+ */
+export const runAutoBackupIfDue = async ({ force = false, icloudAvailable, now = new Date() } = {}) => {
+  const settings = await loadAutoBackupSettings();
+  if (!settings.backupKey || (!force && !isAutoBackupDue(settings, now))) return null;
+
+  let icloud = false;
+  if (settings.icloud && Platform.OS === 'ios') {
+    icloud = icloudAvailable ?? await CloudStorage.isCloudAvailable().catch(() => false);
+  }
+
+  try {
+    const point = await createRestorePoint(settings, { icloud, now });
+    await saveAutoBackupSettings({ ...settings, lastBackupAt: now.toISOString(), lastError: null });
+    if (__DEV__) console.log(`[AutoBackup] Wrote ${point.name}${point.icloud ? ' (+ iCloud)' : ''}`);
+    return point;
+  } catch (error) {
+    if (__DEV__) console.error('[AutoBackup] Backup failed:', error.message);
+    await saveAutoBackupSettings({ ...settings, lastError: error.message }).catch(() => {});
+    return null;
+  }
+};
+
+/**
+ * Restore points on this device and in iCloud Drive, newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.icloud] Include iCloud Drive
+ * @returns {Promise<Array<{ name: string, timestamp: string, local: boolean, icloud: boolean }>>}
+ */
+export const listRestorePoints = async ({ icloud = false } = {}) => {
+  const local = await listLocal().catch(() => []);
+  const remote = icloud && Platform.OS === 'ios' ? await listiCloud().catch(() => []) : [];
+
+  return [...new Set([...local, ...remote])]
+    .sort()
+    .reverse()
+    .map(name => ({ name, timestamp: getRestorePointTime(name), local: local.includes(name), icloud: remote.includes(name) }));
+};
+
+/**
+ * Contents of a restore point (the device copy when there is one)
+ * @param {{ name: string, local: boolean }} point
+ * @returns {Promise<string>}
+ */
+export const readRestorePoint = (point) => (point.local
+  ? FileSystem.readAsStringAsync(LOCAL_DIR + point.name)
+  : CloudStorage.readFile(`${ICLOUD_DIR}/${point.name}`, CloudStorageScope.Documents));
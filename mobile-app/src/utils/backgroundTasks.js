@@ -2,13 +2,16 @@
  * Background Tasks for TroyStack
  *
  * Handles background price fetching to keep the app and widget data fresh
- * even when the app is closed.
+ * even when the app is closed, and takes scheduled automatic backups.
  */
 
 import * as BackgroundFetch from 'expo-background-fetch';
 import * as TaskManager from 'expo-task-manager';
 import { Platform, NativeModules } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_CURRENCY, getFxRate } from './currency';
+import { summarizeValuation } from './valuation';
+import { runAutoBackupIfDue } from './autoBackup';
 
 // Task identifier - must match app.json BGTaskSchedulerPermittedIdentifiers
 export const BACKGROUND_FETCH_TASK = 'background-fetch-prices';
@@ -96,11 +99,13 @@ const updateWidgetBackground = async (priceData) => {
 
   try {
     // Load portfolio data from AsyncStorage
-    const [silverItemsStr, goldItemsStr, hasGoldStr, hasLifetimeStr] = await Promise.all([
+    const [silverItemsStr, goldItemsStr, hasGoldStr, hasLifetimeStr, baseCurrencyStr, fxRatesStr] = await Promise.all([
       AsyncStorage.getItem('stack_silver'),
       AsyncStorage.getItem('stack_gold'),
       AsyncStorage.getItem('stack_has_gold'),
       AsyncStorage.getItem('stack_has_lifetime'),
+      AsyncStorage.getItem('stack_base_currency'),
+      AsyncStorage.getItem('stack_fx_rates'),
     ]);
 
     const silverItems = silverItemsStr ? JSON.parse(silverItemsStr) : [];
@@ -108,6 +113,13 @@ const updateWidgetBackground = async (priceData) => {
     const hasGold = hasGoldStr === 'true';
     const hasLifetime = hasLifetimeStr === 'true';
 
+    // Display currency — uses the last rates the app fetched, USD if there are none
+    let fxRates = null;
+    try { fxRates = fxRatesStr ? JSON.parse(fxRatesStr) : null; } catch (e) { /* fall back to USD */ }
+    const rate = getFxRate(fxRates, baseCurrencyStr || DEFAULT_CURRENCY);
+    const currencyCode = rate ? (baseCurrencyStr || DEFAULT_CURRENCY) : DEFAULT_CURRENCY;
+    const fxRate = rate || 1;
+
     // Calculate totals
     const totalSilverOzt = silverItems.reduce((sum, item) => sum + (item.ozt * (item.quantity || 1)), 0);
     const totalGoldOzt = goldItems.reduce((sum, item) => sum + (item.ozt * (item.quantity || 1)), 0);
@@ -115,6 +127,8 @@ const updateWidgetBackground = async (priceData) => {
     const silverValue = totalSilverOzt * priceData.silver;
     const goldValue = totalGoldOzt * priceData.gold;
     const totalMeltValue = silverValue + goldValue;
+    const totalMarketValue = summarizeValuation(silverItems, priceData.silver).market
+      + summarizeValuation(goldItems, priceData.gold).market;
 
     // Load midnight snapshot for daily change calculation
     const midnightSnapshotStr = await AsyncStorage.getItem('stack_midnight_snapshot');
@@ -135,17 +149,20 @@ const updateWidgetBackground = async (priceData) => {
 
     // Prepare widget data
     const widgetData = {
-      portfolioValue: totalMeltValue,
-      dailyChangeAmount: dailyChangeAmount,
+      portfolioValue: totalMarketValue * fxRate,
+      collectiblePremium: (totalMarketValue - totalMeltValue) * fxRate,
+      dailyChangeAmount: dailyChangeAmount * fxRate,
       dailyChangePercent: dailyChangePercent,
-      goldSpot: priceData.gold,
-      silverSpot: priceData.silver,
-      goldChangeAmount: priceData.change?.gold?.amount || 0,
+      goldSpot: priceData.gold * fxRate,
+      silverSpot: priceData.silver * fxRate,
+      goldChangeAmount: (priceData.change?.gold?.amount || 0) * fxRate,
       goldChangePercent: priceData.change?.gold?.percent || 0,
-      silverChangeAmount: priceData.change?.silver?.amount || 0,
+      silverChangeAmount: (priceData.change?.silver?.amount || 0) * fxRate,
       silverChangePercent: priceData.change?.silver?.percent || 0,
       lastUpdated: new Date().toISOString(),
       hasSubscription: hasGold || hasLifetime,
+      currencyCode,
+      fxRate,
     };
 
     // Send to native module
@@ -171,6 +188,9 @@ try {
     try {
       const priceData = await fetchSpotPricesBackground();
 
+      // Scheduled restore point (no-op unless one is due)
+      const restorePoint = await runAutoBackupIfDue();
+
       if (priceData) {
         await updateWidgetBackground(priceData);
         if (__DEV__) console.log('[BackgroundFetch] Task completed successfully');
@@ -178,7 +198,7 @@ try {
       }
 
       if (__DEV__) console.log('[BackgroundFetch] Task completed - no new data');
-      return BackgroundFetch.BackgroundFetchResult.NoData;
+      return restorePoint ? BackgroundFetch.BackgroundFetchResult.NewData : BackgroundFetch.BackgroundFetchResult.NoData;
     } catch (error) {
       if (__DEV__) console.error('[BackgroundFetch] Task failed:', error.message);
       return BackgroundFetch.BackgroundFetchResult.Failed;
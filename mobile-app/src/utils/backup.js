@@ -0,0 +1,312 @@
+/**
+ * TroyStack - Backup Utility
+ * Versioned backup files: build, migrate, diff, merge/replace
+ *
+ * A backup holds everything a user set up in the app, not just holdings:
+ * sales, storage locations, price alerts, custom milestones, notification
+ * preferences, and theme/dashboard settings. Files are passphrase-encrypted
+ * (see backupCrypto.js); the envelope is
+ *   { format, version, timestamp, encrypted: true, cipher, kdf, iterations, salt, nonce, ciphertext }
+ * and decrypts to { format, version, timestamp, data }.
+ *
+ * Older files (plain JSON, version '1.0'/'1.1' with only item arrays, later
+ * also sales and locations) are migrated forward on restore. A section
+ * missing from a backup is left alone on restore — it is never treated as
+ * "empty".
+ */
+
+import { encryptWithPassphrase, encryptWithKey, decryptWithPassphrase, decryptWithKey, isEncryptedBackup, isEncryptedWithKey } from './backupCrypto';
+
+export const BACKUP_FORMAT = 'troystack-backup';
+export const BACKUP_VERSION = '2.0';
+export const BACKUP_MIN_PASSPHRASE_LENGTH = 8;
+
+// List sections, matched by id
+export const BACKUP_LIST_SECTIONS = [
+  { key: 'silverItems', label: 'Silver holdings', metal: 'silver' },
+  { key: 'goldItems', label: 'Gold holdings', metal: 'gold' },
+  { key: 'platinumItems', label: 'Platinum holdings', metal: 'platinum' },
+  { key: 'palladiumItems', label: 'Palladium holdings', metal: 'palladium' },
+  { key: 'sales', label: 'Sales' },
+  { key: 'locations', label: 'Storage locations' },
+  { key: 'priceAlerts', label: 'Price alerts' },
+  { key: 'importTemplates', label: 'Import templates' },
+];
+
+// Single-value settings (data.settings)
+export const BACKUP_SETTINGS = [
+  { key: 'themePreference', label: 'Theme' },
+  { key: 'largeText', label: 'Large text' },
+  { key: 'spotChangeDisplayMode', label: 'Spot change display' },
+  { key: 'baseCurrency', label: 'Display currency' },
+  { key: 'hideWidgetValues', label: 'Hide widget values' },
+  { key: 'locationFilter', label: 'Location filter' },
+  { key: 'costBasisMethod', label: 'Cost basis method' },
+];
+
+// Sync bookkeeping, not part of what a record "is"
+const SYNC_FIELDS = ['supabase_id', 'syncVersion', 'syncFingerprint'];
+
+// ============================================
+// BUILD / MIGRATE
+// ============================================
+
+/**
+ * Backup of the current app state
+ *
+ * @param {Object} state { silverItems, goldItems, platinumItems, palladiumItems, sales, locations, priceAlerts, importTemplates, milestones: { silver, gold }, notifPrefs, settings }
+ * @param {Date} [now]
+ * @returns {{ format: string, version: string, timestamp: string, data: Object }}
+ */
+export const buildBackup = (state, now = new Date()) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  timestamp: now.toISOString(),
+  data: {
+    ...Object.fromEntries(BACKUP_LIST_SECTIONS.map(s => [s.key, state[s.key] || []])),
+    milestones: { silver: state.milestones?.silver ?? null, gold: state.milestones?.gold ?? null },
+    notifPrefs: state.notifPrefs || null,
+    settings: Object.fromEntries(BACKUP_SETTINGS.map(s => [s.key, state.settings?.[s.key] ?? null])),
+  },
+});
+
+// Each step upgrades a backup from the version it's keyed by to the next one
+const MIGRATIONS = {
+  // 1.0 only had the four item arrays
+  '1.0': (backup) => ({ ...backup, version: '1.1' }),
+  // 1.1 added sales and locations (when present); settings weren't backed up
+  '1.1': (backup) => ({
+    format: BACKUP_FORMAT,
+    version: '2.0',
+    timestamp: backup.timestamp || null,
+    data: Object.fromEntries(
+      BACKUP_LIST_SECTIONS
+        .filter(s => Array.isArray(backup.data[s.key]))
+        .map(s => [s.key, backup.data[s.key]])
+    ),
+  }),
+};
+
+/**
+ * Upgrade a decrypted (or old plain) backup to BACKUP_VERSION
+ *
+ * @param {Object} backup
+ * @returns {Object}
+ * @throws {Error} Not a backup, or written by a newer app version
+ */
+export const migrateBackup = (backup) => {
+  if (!backup || typeof backup !== 'object' || !backup.data || !backup.version) {
+    throw new Error('This file is not a valid TroyStack backup.');
+  }
+
+  let current = backup;
+  while (current.version !== BACKUP_VERSION) {
+    const step = MIGRATIONS[current.version];
+    if (!step) {
+      if (parseFloat(current.version) > parseFloat(BACKUP_VERSION)) {
+        throw new Error('This backup was made by a newer version of TroyStack. Update the app to restore it.');
+      }
+      throw new Error(`Unsupported backup version ${current.version}.`);
+    }
+    current = step(current);
+  }
+  return current;
+};
+
+// ============================================
+// FILES
+// ============================================
+
+const envelope = (backup, encrypted) => JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: backup.version,
+  timestamp: backup.timestamp,
+  encrypted: true,
+  ...encrypted,
+}, null, 2);
+
+/**
+ * Encrypted file contents for a backup
+ * @param {Object} backup buildBackup result
+ * @param {string} passphrase
+ * @returns {Promise<string>} JSON
+ */
+export const serializeBackup = async (backup, passphrase) => envelope(backup, await encryptWithPassphrase(backup, passphrase));
+
+/**
+ * Encrypted file contents using a saved key (automatic backups)
+ * @param {Object} backup buildBackup result
+ * @param {Object} backupKey deriveBackupKey result
+ * @returns {string} JSON
+ */
+export const serializeBackupWithKey = (backup, backupKey) => envelope(backup, encryptWithKey(backup, backupKey));
+
+/**
+ * Parse a backup file without decrypting it
+ * @param {string} content File contents
+ * @returns {{ encrypted: boolean, timestamp: string|null, file: Object }}
+ * @throws {Error} Not JSON / not a backup
+ */
+export const readBackupFile = (content) => {
+  let file;
+  try {
+    file = JSON.parse(content);
+  } catch (e) {
+    throw new Error('This file is not a valid TroyStack backup.');
+  }
+  if (isEncryptedBackup(file)) return { encrypted: true, timestamp: file.timestamp || null, file };
+  if (!file?.data || !file?.version) throw new Error('This file is not a valid TroyStack backup.');
+  return { encrypted: false, timestamp: file.timestamp || null, file };
+};
+
+/**
+ * Can a readBackupFile result be opened without asking for the passphrase?
+ * @param {{ encrypted: boolean, file: Object }} parsed
+ * @param {Object|null} backupKey Saved automatic-backup key
+ * @returns {boolean}
+ */
+export const canOpenWithoutPassphrase = (parsed, backupKey) =>
+  !parsed.encrypted || isEncryptedWithKey(parsed.file, backupKey);
+
+/**
+ * Decrypt (if needed) and migrate a readBackupFile result
+ * @param {{ encrypted: boolean, file: Object }} parsed
+ * @param {string|null} [passphrase] Required for encrypted files, unless backupKey opens them
+ * @param {Object|null} [backupKey] Saved automatic-backup key
+ * @returns {Promise<Object>} Backup at BACKUP_VERSION
+ * @throws {Error} err.code 'bad_passphrase' on a wrong passphrase
+ */
+export const openBackup = async (parsed, passphrase, backupKey = null) => {
+  if (!parsed.encrypted) return migrateBackup(parsed.file);
+  if (isEncryptedWithKey(parsed.file, backupKey)) return migrateBackup(decryptWithKey(parsed.file, backupKey));
+  return migrateBackup(await decryptWithPassphrase(parsed.file, passphrase));
+};
+
+// ============================================
+// DIFF / RESTORE
+// ============================================
+
+const stripSync = (record) => {
+  const copy = { ...record };
+  SYNC_FIELDS.forEach(f => { delete copy[f]; });
+  return copy;
+};
+
+const sameRecord = (a, b) => JSON.stringify(stripSync(a)) === JSON.stringify(stripSync(b));
+
+/**
+ * What restoring a backup would change
+ *
+ * Lists: records only in the backup (added), only on this device (removed
+ * by a replace), and in both but different (changed — a replace takes the
+ * backup's version). Settings: values that differ. Sections the backup
+ * doesn't have are skipped.
+ *
+ * @param {Object} current Current state, same shape as backup.data
+ * @param {Object} backup Migrated backup
+ * @returns {{ lists: Array<{ key: string, label: string, added: number, removed: number, changed: number, unchanged: number }>, settings: Array<{ key: string, label: string, current: *, backup: * }> }}
+ */
+export const diffBackup = (current, backup) => {
+  const data = backup.data;
+
+  const lists = BACKUP_LIST_SECTIONS
+    .filter(s => Array.isArray(data[s.key]))
+    .map(s => {
+      const mine = new Map((current[s.key] || []).map(r => [r.id, r]));
+      const theirs = new Map(data[s.key].map(r => [r.id, r]));
+      let added = 0, changed = 0, unchanged = 0;
+      theirs.forEach((record, id) => {
+        if (!mine.has(id)) added++;
+        else if (sameRecord(mine.get(id), record)) unchanged++;
+        else changed++;
+      });
+      const removed = [...mine.keys()].filter(id => !theirs.has(id)).length;
+      return { key: s.key, label: s.label, added, removed, changed, unchanged };
+    });
+
+  const settings = [];
+  if (data.milestones) {
+    ['silver', 'gold'].forEach(metal => {
+      const mine = current.milestones?.[metal] ?? null;
+      const theirs = data.milestones[metal] ?? null;
+      if (mine !== theirs) settings.push({ key: `milestone_${metal}`, label: `${metal === 'gold' ? 'Gold' : 'Silver'} milestone`, current: mine, backup: theirs });
+    });
+  }
+  if (data.notifPrefs) {
+    Object.keys(data.notifPrefs).forEach(key => {
+      const mine = current.notifPrefs?.[key];
+      if (mine !== data.notifPrefs[key]) settings.push({ key: `notif_${key}`, label: `Notifications: ${key.replace(/_/g, ' ')}`, current: mine, backup: data.notifPrefs[key] });
+    });
+  }
+  if (data.settings) {
+    BACKUP_SETTINGS.forEach(s => {
+      const theirs = data.settings[s.key];
+      if (theirs == null) return;
+      if (current.settings?.[s.key] !== theirs) settings.push({ key: s.key, label: s.label, current: current.settings?.[s.key], backup: theirs });
+    });
+  }
+
+  return { lists, settings };
+};
+
+/**
+ * State after restoring a backup
+ *
+ * 'merge' adds records that are only in the backup and keeps everything on
+ * this device as is (the device is usually newer); settings and milestones
+ * are only filled in where this device has none. 'replace' makes every
+ * section the backup has match it exactly.
+ *
+ * Holding changes are returned separately so they can be pushed to the
+ * account (restored records otherwise only change locally).
+ *
+ * @param {Object} current Current state, same shape as backup.data
+ * @param {Object} backup Migrated backup
+ * @param {'merge'|'replace'} mode
+ * @returns {{ state: Object, holdingChanges: Array<{ metal: string, item: Object }>, holdingRemovals: Array<{ metal: string, item: Object }> }}
+ */
+export const applyBackup = (current, backup, mode) => {
+  const data = backup.data;
+  const state = { ...current };
+  const holdingChanges = [];
+  const holdingRemovals = [];
+
+  BACKUP_LIST_SECTIONS.forEach(s => {
+    if (!Array.isArray(data[s.key])) return;
+    const mine = current[s.key] || [];
+    const mineById = new Map(mine.map(r => [r.id, r]));
+
+    if (mode === 'merge') {
+      const added = data[s.key].filter(r => !mineById.has(r.id));
+      state[s.key] = [...mine, ...added];
+      if (s.metal) added.forEach(item => holdingChanges.push({ metal: s.metal, item }));
+      return;
+    }
+
+    const theirIds = new Set(data[s.key].map(r => r.id));
+    state[s.key] = data[s.key];
+    if (s.metal) {
+      data[s.key]
+        .filter(r => !mineById.has(r.id) || !sameRecord(mineById.get(r.id), r))
+        .forEach(item => holdingChanges.push({ metal: s.metal, item }));
+      mine.filter(r => !theirIds.has(r.id)).forEach(item => holdingRemovals.push({ metal: s.metal, item }));
+    }
+  });
+
+  if (data.milestones) {
+    state.milestones = mode === 'merge'
+      ? { silver: current.milestones?.silver ?? data.milestones.silver ?? null, gold: current.milestones?.gold ?? data.milestones.gold ?? null }
+      : { silver: data.milestones.silver ?? null, gold: data.milestones.gold ?? null };
+  }
+  if (data.notifPrefs && mode === 'replace') {
+    state.notifPrefs = { ...current.notifPrefs, ...data.notifPrefs };
+  }
+  if (data.settings) {
+    const restored = Object.fromEntries(BACKUP_SETTINGS.filter(s => data.settings[s.key] != null).map(s => [s.key, data.settings[s.key]]));
+    state.settings = mode === 'merge'
+      ? { ...restored, ...Object.fromEntries(Object.entries(current.settings || {}).filter(([, v]) => v != null)) }
+      : { ...current.settings, ...restored };
+  }
+
+  return { state, holdingChanges, holdingRemovals };
+};
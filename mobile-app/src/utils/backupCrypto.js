@@ -0,0 +1,217 @@
+/**
+ * TroyStack - Backup Encryption Utility
+ * Passphrase encryption for backup files
+ *
+ * expo-crypto only offers digests and random bytes, so the primitives come
+ * from @noble/hashes and @noble/ciphers (audited, plain JS):
+ *   - key:    PBKDF2-HMAC-SHA256(passphrase, random 16-byte salt) → master key,
+ *             derived asynchronously so the UI keeps running
+ *   - cipher: AES-256-GCM under HKDF-SHA256(master), random 12-byte nonce;
+ *             the GCM tag authenticates the file
+ *
+ * A wrong passphrase and a modified file both fail the tag check.
+ *
+ * Files from earlier versions ('hmac-sha256-ctr': an HMAC-SHA256 keystream
+ * with encrypt-then-MAC) can still be decrypted; new files always use GCM.
+ * Their PBKDF2 master key is derived the same way, so a saved backupKey keeps
+ * working.
+ */
+
+import { getRandomBytes } from 'expo-crypto';
+import { gcm } from '@noble/ciphers/aes';
+import { equalBytes } from '@noble/ciphers/utils';
+import { sha256 } from '@noble/hashes/sha2';
+import { hmac } from '@noble/hashes/hmac';
+import { hkdf } from '@noble/hashes/hkdf';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+
+export const BACKUP_CIPHER = 'aes-256-gcm';
+export const BACKUP_KDF = 'pbkdf2-sha256';
+export const BACKUP_KDF_ITERATIONS = 100000;
+
+const LEGACY_CIPHER = 'hmac-sha256-ctr';
+
+// ============================================
+// ENCODING
+// ============================================
+
+const utf8Bytes = (text) => new TextEncoder().encode(text);
+
+// JSON with non-ASCII characters escaped (\uXXXX) is still valid JSON, and
+// its bytes are just its char codes — no UTF-8 decoder needed to read it back
+const asciiJson = (value) =>
+  JSON.stringify(value).replace(/[\u0080-\uffff]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'));
+
+const asciiBytes = (text) => {
+  const out = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) out[i] = text.charCodeAt(i);
+  return out;
+};
+
+const bytesToBinary = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+};
+
+const toBase64 = (bytes) => btoa(bytesToBinary(bytes));
+const fromBase64 = (text) => asciiBytes(atob(text));
+
+// ============================================
+// KEYS
+// ============================================
+
+const badPassphrase = (message) => Object.assign(new Error(message), { code: 'bad_passphrase' });
+
+const deriveMaster = (passphrase, salt, iterations) =>
+  pbkdf2Async(sha256, utf8Bytes(passphrase), salt, { c: iterations, dkLen: 32 });
+
+const aesKey = (master) => hkdf(sha256, master, undefined, asciiBytes('troystack-backup-aes-gcm'), 32);
+
+// ============================================
+// ENCRYPT / DECRYPT
+// ============================================
+
+/**
+ * Is this parsed file an encrypted backup envelope?
+ * @param {Object} file
+ * @returns {boolean}
+ */
+export const isEncryptedBackup = (file) => !!file && file.encrypted === true && typeof file.ciphertext === 'string';
+
+/**
+ * Derive a reusable backup key from a passphrase
+ *
+ * Automatic backups keep this (not the passphrase) on the device so they
+ * can be encrypted without asking; every file still gets its own nonce.
+ * Takes a few seconds on a phone — show a spinner while it runs.
+ *
+ * @param {string} passphrase
+ * @returns {Promise<{ kdf: string, iterations: number, salt: string, key: string }>} base64 salt/key
+ */
+export const deriveBackupKey = async (passphrase) => {
+  const salt = getRandomBytes(16);
+  const iterations = BACKUP_KDF_ITERATIONS;
+  return {
+    kdf: BACKUP_KDF,
+    iterations,
+    salt: toBase64(salt),
+    key: toBase64(await deriveMaster(passphrase, salt, iterations)),
+  };
+};
+
+/**
+ * Encrypt a value with a deriveBackupKey result
+ * @param {*} value JSON-serializable
+ * @param {{ kdf: string, iterations: number, salt: string, key: string }} backupKey
+ * @returns {{ cipher: string, kdf: string, iterations: number, salt: string, nonce: string, ciphertext: string }}
+ */
+export const encryptWithKey = (value, backupKey) => {
+  const nonce = getRandomBytes(12);
+  const ciphertext = gcm(aesKey(fromBase64(backupKey.key)), nonce).encrypt(asciiBytes(asciiJson(value)));
+
+  return {
+    cipher: BACKUP_CIPHER,
+    kdf: backupKey.kdf,
+    iterations: backupKey.iterations,
+    salt: backupKey.salt,
+    nonce: toBase64(nonce),
+    ciphertext: toBase64(ciphertext),
+  };
+};
+
+/**
+ * Encrypt a value with a passphrase (see deriveBackupKey for the cost)
+ * @param {*} value JSON-serializable
+ * @param {string} passphrase
+ * @returns {Promise<Object>} See encryptWithKey
+ */
+export const encryptWithPassphrase = async (value, passphrase) => encryptWithKey(value, await deriveBackupKey(passphrase));
+
+// Files written before AES-GCM: HMAC-SHA256(encKey, nonce || counter)
+// keystream, HMAC-SHA256(macKey, nonce || ciphertext) checked first
+const decryptLegacy = (envelope, master) => {
+  const nonce = fromBase64(envelope.nonce);
+  const ciphertext = fromBase64(envelope.ciphertext);
+  const encKey = hmac(sha256, master, asciiBytes('troystack-backup-enc'));
+  const macKey = hmac(sha256, master, asciiBytes('troystack-backup-mac'));
+
+  const mac = hmac.create(sha256, macKey).update(nonce).update(ciphertext).digest();
+  if (!equalBytes(mac, fromBase64(envelope.mac || ''))) {
+    throw badPassphrase('Wrong passphrase, or the backup file was modified');
+  }
+
+  const prf = hmac.create(sha256, encKey);
+  const out = new Uint8Array(ciphertext.length);
+  const counterBlock = new Uint8Array(nonce.length + 4);
+  counterBlock.set(nonce);
+  const c = nonce.length;
+  for (let offset = 0, counter = 0; offset < ciphertext.length; offset += 32, counter++) {
+    counterBlock[c] = counter >>> 24;
+    counterBlock[c + 1] = counter >>> 16;
+    counterBlock[c + 2] = counter >>> 8;
+    counterBlock[c + 3] = counter;
+    const block = prf.clone().update(counterBlock).digest();
+    const n = Math.min(32, ciphertext.length - offset);
+    for (let i = 0; i < n; i++) out[offset + i] = ciphertext[offset + i] ^ block[i];
+  }
+  return out;
+};
+
+const decryptWithMaster = (envelope, master) => {
+  let plaintext;
+  if (envelope.cipher === LEGACY_CIPHER) {
+    plaintext = decryptLegacy(envelope, master);
+  } else {
+    try {
+      plaintext = gcm(aesKey(master), fromBase64(envelope.nonce)).decrypt(fromBase64(envelope.ciphertext));
+    } catch (e) {
+      throw badPassphrase('Wrong passphrase, or the backup file was modified');
+    }
+  }
+  return JSON.parse(bytesToBinary(plaintext));
+};
+
+const checkEnvelope = (envelope) => {
+  if ((envelope.cipher !== BACKUP_CIPHER && envelope.cipher !== LEGACY_CIPHER) || envelope.kdf !== BACKUP_KDF) {
+    throw new Error(`Unsupported backup encryption (${envelope.cipher || 'unknown'})`);
+  }
+};
+
+/**
+ * Decrypt an encrypted envelope with its passphrase
+ * @param {Object} envelope
+ * @param {string} passphrase
+ * @returns {Promise<*>} The original value
+ * @throws {Error} err.code 'bad_passphrase' when the tag (or MAC) doesn't match
+ */
+export const decryptWithPassphrase = async (envelope, passphrase) => {
+  checkEnvelope(envelope);
+  return decryptWithMaster(envelope, await deriveMaster(passphrase, fromBase64(envelope.salt), envelope.iterations));
+};
+
+/**
+ * Can this key open the envelope without the passphrase?
+ * @param {Object} envelope
+ * @param {Object|null} backupKey deriveBackupKey result
+ * @returns {boolean}
+ */
+export const isEncryptedWithKey = (envelope, backupKey) =>
+  !!backupKey && envelope.salt === backupKey.salt && envelope.iterations === backupKey.iterations;
+
+/**
+ * Decrypt an envelope written with encryptWithKey (fast — no key derivation)
+ * @param {Object} envelope
+ * @param {Object} backupKey deriveBackupKey result
+ * @returns {*} The original value
+ * @throws {Error} err.code 'bad_passphrase' when the key doesn't match
+ */
+export const decryptWithKey = (envelope, backupKey) => {
+  checkEnvelope(envelope);
+  if (!isEncryptedWithKey(envelope, backupKey)) {
+    throw badPassphrase('This backup was encrypted with a different passphrase');
+  }
+  return decryptWithMaster(envelope, fromBase64(backupKey.key));
+};
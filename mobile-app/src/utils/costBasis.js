@@ -0,0 +1,403 @@
+/**
+ * TroyStack - Cost Basis Utility
+ * Lot matching and realized gain calculations for sales (dispositions)
+ *
+ * A "lot" is a single holding row (one purchase). Sales draw units from the
+ * lots of the same product and metal according to the selected method.
+ */
+
+export const COST_BASIS_METHODS = [
+  { key: 'fifo', label: 'FIFO', description: 'Oldest lots sold first' },
+  { key: 'lifo', label: 'LIFO', description: 'Newest lots sold first' },
+  { key: 'average', label: 'Average Cost', description: 'Average cost of all matching lots' },
+  { key: 'specific', label: 'Specific Lot', description: 'Choose exactly which lots to sell' },
+];
+
+export const DEFAULT_COST_BASIS_METHOD = 'fifo';
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+/**
+ * Total cost basis of a lot (custom cost basis if set, otherwise price + taxes + shipping)
+ * @param {Object} lot Holding
+ * @returns {number}
+ */
+export const getLotCostBasis = (lot) => {
+  if (lot.costBasis && lot.costBasis > 0) {
+    return lot.costBasis;
+  }
+  return ((lot.unitPrice || 0) * (lot.quantity || 0)) + (lot.taxes || 0) + (lot.shipping || 0);
+};
+
+/**
+ * Cost basis per unit of a lot
+ * @param {Object} lot Holding
+ * @returns {number}
+ */
+export const getLotUnitCost = (lot) => {
+  const qty = lot.quantity || 0;
+  return qty > 0 ? getLotCostBasis(lot) / qty : 0;
+};
+
+/**
+ * Normalized product key — lots of the same product are interchangeable for FIFO/LIFO/average
+ */
+export const getProductKey = (productName) => (productName || '').trim().toLowerCase();
+
+/**
+ * Lots of the same product as the given holding, oldest first
+ * @param {Array} items Holdings for one metal
+ * @param {Object} item The holding the sale was started from
+ * @returns {Array}
+ */
+export const getMatchingLots = (items, item) => {
+  const key = getProductKey(item.productName);
+  return items
+    .filter(i => getProductKey(i.productName) === key && (i.quantity || 0) > 0)
+    .sort((a, b) => {
+      const dateA = `${a.datePurchased || '0000-00-00'} ${a.timePurchased || '00:00'}`;
+      const dateB = `${b.datePurchased || '0000-00-00'} ${b.timePurchased || '00:00'}`;
+      if (dateA !== dateB) return dateA < dateB ? -1 : 1;
+      return (a.id || 0) - (b.id || 0);
+    });
+};
+
+/**
+ * Decide which lots a sale draws from and the cost basis of each draw
+ *
+ * @param {Array} lots Matching lots, oldest first (see getMatchingLots)
+ * @param {number} quantity Units being sold
+ * @param {string} method 'fifo' | 'lifo' | 'average' | 'specific'
+ * @param {Object} [specificQuantities] For 'specific': { [lotId]: units }
+ * @returns {{ allocations: Array, costBasis: number, error: string|null }}
+ */
+export const matchLots = (lots, quantity, method, specificQuantities = {}) => {
+  const available = lots.reduce((sum, l) => sum + (l.quantity || 0), 0);
+
+  if (method === 'specific') {
+    const picks = lots
+      .map(lot => ({ lot, quantity: parseInt(specificQuantities[lot.id], 10) || 0 }))
+      .filter(p => p.quantity > 0);
+    const picked = picks.reduce((sum, p) => sum + p.quantity, 0);
+
+    if (picked === 0) return { allocations: [], costBasis: 0, error: 'Select at least one lot to sell' };
+    const over = picks.find(p => p.quantity > p.lot.quantity);
+    if (over) return { allocations: [], costBasis: 0, error: `Only ${over.lot.quantity} units in the ${over.lot.datePurchased || 'undated'} lot` };
+    if (quantity && picked !== quantity) return { allocations: [], costBasis: 0, error: `Selected lots total ${picked} units, not ${quantity}` };
+
+    const allocations = picks.map(p => buildAllocation(p.lot, p.quantity, getLotUnitCost(p.lot)));
+    return { allocations, costBasis: round2(allocations.reduce((sum, a) => sum + a.costBasis, 0)), error: null };
+  }
+
+  if (!quantity || quantity <= 0) return { allocations: [], costBasis: 0, error: 'Enter a quantity to sell' };
+  if (quantity > available) return { allocations: [], costBasis: 0, error: `Only ${available} units available` };
+
+  if (method === 'average') return matchAverageCost(lots, quantity, available);
+
+  const ordered = method === 'lifo' ? [...lots].reverse() : lots;
+  const allocations = [];
+  let remaining = quantity;
+  for (const lot of ordered) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, lot.quantity);
+    allocations.push(buildAllocation(lot, take, getLotUnitCost(lot)));
+    remaining -= take;
+  }
+
+  return { allocations, costBasis: round2(allocations.reduce((sum, a) => sum + a.costBasis, 0)), error: null };
+};
+
+/**
+ * Average cost pools every matching lot; units still leave the oldest lots first.
+ *
+ * Every lot in the pool is re-based to the pool average, so what the sale
+ * reports plus what's left in the lots always equals what was paid. Lots
+ * that aren't drawn from get a zero-quantity allocation that carries their
+ * re-basing, so an undo reverses exactly the same amounts.
+ */
+const matchAverageCost = (lots, quantity, available) => {
+  const totalBasis = lots.reduce((sum, l) => sum + getLotCostBasis(l), 0);
+  const averageUnitCost = totalBasis / available;
+
+  let remaining = quantity;
+  const draws = lots.map(lot => {
+    const take = Math.min(remaining, lot.quantity);
+    remaining -= take;
+    return { lot, take, basisLeft: round2(averageUnitCost * (lot.quantity - take)) };
+  });
+
+  const allocations = draws.map(d => buildAllocation(d.lot, d.take, averageUnitCost));
+  const costBasis = round2(allocations.reduce((sum, a) => sum + a.costBasis, 0));
+
+  // Rounding cents go to the newest lot with units left, so the totals match exactly
+  const residue = round2(totalBasis - costBasis - draws.reduce((sum, d) => sum + d.basisLeft, 0));
+  const last = [...draws].reverse().find(d => d.take < d.lot.quantity);
+  if (last) last.basisLeft = round2(last.basisLeft + residue);
+
+  draws.forEach((d, i) => {
+    allocations[i].lotCostBasis = round2(getLotCostBasis(d.lot) - d.basisLeft);
+  });
+
+  return { allocations, costBasis, error: null };
+};
+
+/**
+ * One lot's share of a sale. Keeps a snapshot of the lot so the sale can be
+ * reported (and undone) after the lot itself is gone.
+ *
+ * costBasis is what the sale reports; lotCostBasis is what leaves the lot
+ * itself. They differ only for 'average', where the lot is also re-based to
+ * the pool average (see matchAverageCost).
+ */
+const buildAllocation = (lot, quantity, unitCost) => {
+  const share = lot.quantity > 0 ? quantity / lot.quantity : 0;
+  return {
+    lotId: lot.id,
+    quantity,
+    ozt: lot.ozt || 0,
+    costBasis: round2(unitCost * quantity),
+    lotCostBasis: round2(getLotUnitCost(lot) * quantity),
+    taxes: round2((lot.taxes || 0) * share),
+    shipping: round2((lot.shipping || 0) * share),
+    lot: {
+      id: lot.id,
+      supabase_id: lot.supabase_id,
+      productName: lot.productName,
+      source: lot.source,
+      datePurchased: lot.datePurchased,
+      timePurchased: lot.timePurchased,
+      ozt: lot.ozt,
+      unitPrice: lot.unitPrice,
+      spotPrice: lot.spotPrice,
+      premium: lot.premium,
+    },
+  };
+};
+
+/**
+ * Remove sold units from the lots. Fully sold lots are dropped.
+ *
+ * @param {Array} items Holdings for one metal
+ * @param {Array} allocations From matchLots
+ * @returns {{ items: Array, updated: Array, removed: Array }}
+ */
+export const applySaleToLots = (items, allocations) => {
+  const byLot = new Map(allocations.map(a => [a.lotId, a]));
+  const updated = [];
+  const removed = [];
+
+  const next = items.reduce((acc, lot) => {
+    const allocation = byLot.get(lot.id);
+    if (!allocation) {
+      acc.push(lot);
+      return acc;
+    }
+
+    const remainingQty = lot.quantity - allocation.quantity;
+    if (remainingQty <= 0) {
+      removed.push(lot);
+      return acc;
+    }
+
+    const remainingLot = withOriginalAmounts(withCostBasis({
+      ...lot,
+      quantity: remainingQty,
+      taxes: round2((lot.taxes || 0) - allocation.taxes),
+      shipping: round2((lot.shipping || 0) - allocation.shipping),
+    }, getLotCostBasis(lot) - (allocation.lotCostBasis ?? allocation.costBasis), lot.costBasis), lot);
+    updated.push(remainingLot);
+    acc.push(remainingLot);
+    return acc;
+  }, []);
+
+  return { items: next, updated, removed };
+};
+
+/**
+ * Put sold units back into their lots (undo a sale). Lots that were fully
+ * sold are recreated from the allocation snapshot.
+ *
+ * @param {Array} items Holdings for one metal
+ * @param {Array} allocations From the recorded sale
+ * @returns {{ items: Array, updated: Array, restored: Array }}
+ */
+export const reverseSaleOnLots = (items, allocations) => {
+  const updated = [];
+  const restored = [];
+  const next = [...items];
+
+  for (const allocation of allocations) {
+    const index = next.findIndex(i => i.id === allocation.lotId);
+    // Re-basing of a lot that has since been sold or deleted
+    if (index < 0 && !allocation.quantity) continue;
+    if (index >= 0) {
+      const lot = next[index];
+      const merged = withOriginalAmounts(withCostBasis({
+        ...lot,
+        quantity: lot.quantity + allocation.quantity,
+        taxes: round2((lot.taxes || 0) + allocation.taxes),
+        shipping: round2((lot.shipping || 0) + allocation.shipping),
+      }, getLotCostBasis(lot) + (allocation.lotCostBasis ?? allocation.costBasis), lot.costBasis), lot);
+      next[index] = merged;
+      updated.push(merged);
+    } else {
+      const { supabase_id, ...snapshot } = allocation.lot;
+      const lot = withCostBasis({
+        ...snapshot,
+        quantity: allocation.quantity,
+        taxes: allocation.taxes,
+        shipping: allocation.shipping,
+      }, allocation.lotCostBasis ?? allocation.costBasis);
+      next.push(lot);
+      restored.push(lot);
+    }
+  }
+
+  return { items: next, updated, restored };
+};
+
+/**
+ * Split units off a lot into a new lot with a proportional share of its cost
+ *
+ * @param {Object} lot Holding to split
+ * @param {number} quantity Units moved into the new lot
+ * @param {number} newId Local id for the new lot
+ * @returns {{ original: Object, split: Object }|null} null if quantity is out of range
+ */
+export const splitLot = (lot, quantity, newId) => {
+  if (!quantity || quantity <= 0 || quantity >= lot.quantity) return null;
+
+  const share = quantity / lot.quantity;
+  const totalBasis = getLotCostBasis(lot);
+  const splitBasis = round2(totalBasis * share);
+  const splitTaxes = round2((lot.taxes || 0) * share);
+  const splitShipping = round2((lot.shipping || 0) * share);
+
+  const { supabase_id, syncVersion, syncFingerprint, ...rest } = lot;
+  const split = withOriginalAmounts(withCostBasis({
+    ...rest,
+    id: newId,
+    quantity,
+    taxes: splitTaxes,
+    shipping: splitShipping,
+  }, splitBasis, lot.costBasis), lot);
+  const original = withOriginalAmounts(withCostBasis({
+    ...lot,
+    quantity: lot.quantity - quantity,
+    taxes: round2((lot.taxes || 0) - splitTaxes),
+    shipping: round2((lot.shipping || 0) - splitShipping),
+  }, totalBasis - splitBasis, lot.costBasis), lot);
+
+  return { original, split };
+};
+
+/**
+ * Only store an explicit costBasis when it differs from price + taxes + shipping
+ * (average-cost sales and manual overrides). Keeps untouched lots editable as before.
+ */
+const withCostBasis = (lot, basis, previousCustomBasis) => {
+  const derived = ((lot.unitPrice || 0) * (lot.quantity || 0)) + (lot.taxes || 0) + (lot.shipping || 0);
+  const rounded = round2(basis);
+  const costBasis = (previousCustomBasis || Math.abs(derived - rounded) > 0.01) ? rounded : undefined;
+  return { ...lot, costBasis };
+};
+
+/**
+ * Bring a foreign-currency lot's original amounts (see currency.js) in line
+ * with its new quantity. Taxes and shipping scale with the units; the original
+ * cost basis follows the USD cost basis, which a sale can also re-base.
+ *
+ * @param {Object} lot The lot after the change
+ * @param {Object} before The lot before it
+ * @returns {Object}
+ */
+const withOriginalAmounts = (lot, before) => {
+  if (!before.purchaseCurrency || before.purchaseCurrency === 'USD') return lot;
+  const share = before.quantity > 0 ? lot.quantity / before.quantity : 0;
+  const basisBefore = getLotCostBasis(before);
+  const next = { ...lot };
+  if (before.originalTaxes != null) next.originalTaxes = round2(before.originalTaxes * share);
+  if (before.originalShipping != null) next.originalShipping = round2(before.originalShipping * share);
+  if (before.originalCostBasis != null) {
+    next.originalCostBasis = basisBefore > 0
+      ? round2(before.originalCostBasis * (getLotCostBasis(lot) / basisBefore))
+      : round2(before.originalCostBasis * share);
+  }
+  return next;
+};
+
+/**
+ * Build a sale record
+ *
+ * @param {Object} params
+ * @param {string} params.metal
+ * @param {string} params.productName
+ * @param {string} params.dateSold YYYY-MM-DD
+ * @param {number} params.pricePerUnit Sale price per unit
+ * @param {number} [params.fees] Commissions, shipping, etc. (reduce proceeds)
+ * @param {string} [params.buyer]
+ * @param {string} params.method Cost basis method used
+ * @param {Array} params.allocations From matchLots
+ * @returns {Object}
+ */
+export const buildSale = ({ metal, productName, dateSold, pricePerUnit, fees = 0, buyer = '', method, allocations, notes = '' }) => {
+  const quantity = allocations.reduce((sum, a) => sum + a.quantity, 0);
+  const ozt = allocations.reduce((sum, a) => sum + a.quantity * a.ozt, 0);
+  const costBasis = round2(allocations.reduce((sum, a) => sum + a.costBasis, 0));
+  const proceeds = round2((pricePerUnit * quantity) - (fees || 0));
+
+  return {
+    id: Date.now(),
+    metal,
+    productName,
+    dateSold,
+    quantity,
+    ozt,
+    pricePerUnit,
+    fees: fees || 0,
+    proceeds,
+    costBasis,
+    realizedGain: round2(proceeds - costBasis),
+    method,
+    buyer,
+    notes,
+    lots: allocations,
+    createdAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Realized gain totals, overall and per metal
+ *
+ * @param {Array} sales Sale records
+ * @param {Object} [options]
+ * @param {string|number} [options.year] Only sales in this calendar year
+ * @returns {{ proceeds: number, costBasis: number, realizedGain: number, count: number, byMetal: Object }}
+ */
+export const summarizeRealizedGains = (sales, { year } = {}) => {
+  const summary = { proceeds: 0, costBasis: 0, realizedGain: 0, count: 0, byMetal: {} };
+
+  (sales || [])
+    .filter(s => !year || (s.dateSold || '').startsWith(String(year)))
+    .forEach(s => {
+      summary.proceeds += s.proceeds || 0;
+      summary.costBasis += s.costBasis || 0;
+      summary.realizedGain += s.realizedGain || 0;
+      summary.count += 1;
+
+      if (!summary.byMetal[s.metal]) {
+        summary.byMetal[s.metal] = { proceeds: 0, costBasis: 0, realizedGain: 0, ozt: 0, count: 0 };
+      }
+      const m = summary.byMetal[s.metal];
+      m.proceeds += s.proceeds || 0;
+      m.costBasis += s.costBasis || 0;
+      m.realizedGain += s.realizedGain || 0;
+      m.ozt += s.ozt || 0;
+      m.count += 1;
+    });
+
+  summary.proceeds = round2(summary.proceeds);
+  summary.costBasis = round2(summary.costBasis);
+  summary.realizedGain = round2(summary.realizedGain);
+  return summary;
+};
@@ -0,0 +1,86 @@
+/**
+ * TroyStack - CSV Utility
+ * RFC 4180 CSV writing and reading
+ *
+ * Fields containing a comma, double quote, CR or LF — or with leading or
+ * trailing spaces, which spreadsheet apps trim — are enclosed in double
+ * quotes, with quotes inside doubled. Records end with CRLF. The reader
+ * accepts CRLF or bare LF line ends and a UTF-8 byte order mark, and returns
+ * every field as the exact string written (no number or date guessing, unlike
+ * SheetJS), so files written here read back unchanged.
+ */
+
+const NEEDS_QUOTES = /[",\r\n]|^\s|\s$/;
+
+/**
+ * One field, quoted when needed
+ * @param {*} value null/undefined are written as empty fields
+ * @returns {string}
+ */
+export const toCsvField = (value) => {
+  const str = value === null || value === undefined ? '' : String(value);
+  return NEEDS_QUOTES.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * CSV text for a list of records
+ * @param {Array<Array>} rows Header row first; an empty array is a blank line
+ * @returns {string}
+ */
+export const buildCsv = (rows) => rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Records of a CSV file
+ *
+ * @param {string} text
+ * @returns {Array<Array<string>>} Blank lines are left out
+ * @throws {Error} When a quoted field is never closed
+ */
+export const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < input.length) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        quoted = false;
+      } else {
+        field += c;
+      }
+      i++;
+      continue;
+    }
+    if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\r' || c === '\n') {
+      endRow();
+      if (c === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += c;
+    }
+    i++;
+  }
+  if (quoted) throw new Error('This CSV file has a quoted field that is never closed.');
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
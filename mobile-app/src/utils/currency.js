@@ -0,0 +1,92 @@
+/**
+ * TroyStack - Currency Utility
+ * Display currency support for spot prices and portfolio values
+ *
+ * Everything is stored and calculated in USD. Values are converted to the
+ * user's base currency only when displayed, using USD-based rates from
+ * /v1/fx-rates ({ rates: { EUR: 0.92, ... } } = units per 1 USD).
+ *
+ * Purchases can be entered in another currency; they're converted to USD at
+ * the rate on the purchase date (/v1/historical-fx) and the original amounts
+ * are kept on the holding (purchaseCurrency, purchaseFxRate, original*).
+ */
+
+export const CURRENCIES = [
+  { code: 'USD', symbol: '$', name: 'US Dollar' },
+  { code: 'EUR', symbol: '€', name: 'Euro' },
+  { code: 'GBP', symbol: '£', name: 'British Pound' },
+  { code: 'CAD', symbol: 'C$', name: 'Canadian Dollar' },
+  { code: 'AUD', symbol: 'A$', name: 'Australian Dollar' },
+  { code: 'CHF', symbol: 'CHF ', name: 'Swiss Franc' },
+];
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Refetch rates at most once an hour (ECB rates change once a day)
+export const FX_RATES_MAX_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Symbol for a currency code ('$' for unknown codes)
+ * @param {string} code
+ * @returns {string}
+ */
+export const getCurrencySymbol = (code) => (CURRENCIES.find(c => c.code === code) || CURRENCIES[0]).symbol;
+
+/**
+ * USD → currency rate
+ * @param {Object|null} fxRates Cached /v1/fx-rates response
+ * @param {string} code
+ * @returns {number|null} 1 for USD, null if no rate is available
+ */
+export const getFxRate = (fxRates, code) => {
+  if (!code || code === 'USD') return 1;
+  const rate = fxRates?.rates?.[code];
+  return rate > 0 ? rate : null;
+};
+
+/**
+ * Format a USD amount in another currency, sign before the symbol ("-€1,234.50")
+ *
+ * @param {number} value Amount in USD
+ * @param {Object} [options]
+ * @param {string} [options.currency] Currency code to display
+ * @param {number} [options.rate] USD → currency rate
+ * @param {number} [options.minimumFractionDigits]
+ * @param {number} [options.maximumFractionDigits]
+ * @returns {string}
+ */
+export const formatMoney = (value, { currency = 'USD', rate = 1, minimumFractionDigits = 2, maximumFractionDigits = 2 } = {}) => {
+  const factor = Math.pow(10, maximumFractionDigits);
+  const converted = Math.round((value || 0) * rate * factor) / factor;
+  const sign = converted < 0 ? '-' : '';
+  return `${sign}${getCurrencySymbol(currency)}${Math.abs(converted).toLocaleString(undefined, { minimumFractionDigits, maximumFractionDigits })}`;
+};
+
+/**
+ * Convert an amount in another currency to USD
+ * @param {number} amount Amount in the purchase currency
+ * @param {number} rate Units of that currency per 1 USD
+ * @returns {number} USD, rounded to cents
+ */
+export const convertToUsd = (amount, rate) => {
+  if (!(rate > 0)) return amount || 0;
+  return Math.round(((amount || 0) / rate) * 100) / 100;
+};
+
+/**
+ * Purchase currency fields of a holding (empty for USD purchases), for
+ * copying a holding without dropping its original-currency amounts
+ * @param {Object} item Holding
+ * @returns {Object}
+ */
+export const getPurchaseCurrencyFields = (item) => {
+  if (!item?.purchaseCurrency || item.purchaseCurrency === 'USD') return {};
+  return {
+    purchaseCurrency: item.purchaseCurrency,
+    purchaseFxRate: item.purchaseFxRate,
+    originalUnitPrice: item.originalUnitPrice,
+    originalTaxes: item.originalTaxes,
+    originalShipping: item.originalShipping,
+    originalCostBasis: item.originalCostBasis,
+  };
+};
@@ -0,0 +1,248 @@
+/**
+ * TroyStack - Duplicate Detection Utility
+ * Fuzzy matching of imported / scanned rows against existing holdings
+ *
+ * Importing the same order history twice, or scanning a receipt that was
+ * already entered, shouldn't double the stack. Each incoming row is scored
+ * against holdings of the same metal on product-name similarity, quantity,
+ * unit price, purchase date and dealer; a row scoring at least
+ * DUPLICATE_THRESHOLD is flagged, and the user picks per row whether to skip
+ * it, merge it into the existing holding, or keep both. Purchases dated more
+ * than a day apart are never duplicates: buying the same coin from the same
+ * dealer every month is common.
+ *
+ * Rows carry their choice in `duplicateAction`; unset means the match's
+ * `defaultAction` (skip for confident matches, otherwise keep both).
+ */
+
+export const DUPLICATE_ACTIONS = [
+  { key: 'skip', label: 'Skip' },
+  { key: 'merge', label: 'Merge' },
+  { key: 'keep', label: 'Keep Both' },
+];
+
+// Score (0–1) at which a row is flagged as a likely duplicate
+export const DUPLICATE_THRESHOLD = 0.75;
+
+// Score from which a flagged row is skipped unless the user says otherwise;
+// below it the row is kept unless the user skips or merges it
+export const CONFIDENT_DUPLICATE_SCORE = 0.85;
+
+// Receipts and order histories disagree on dates near midnight
+const MAX_DATE_DISTANCE_DAYS = 1;
+
+// Names less alike than this are never duplicates, whatever else matches
+const MIN_NAME_SIMILARITY = 0.6;
+
+const WEIGHTS = { name: 0.4, quantity: 0.15, price: 0.2, date: 0.15, dealer: 0.1 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words that say nothing about which product it is
+const NOISE_WORDS = new Set(['the', 'a', 'of', 'coin', 'coins', 'bullion', 'random', 'year', 'new', 'bu']);
+
+/**
+ * Product name reduced to comparable words
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeProductName = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/(\d)\s*(oz|ozt|g|kg)\b/g, '$1$2') // "1 oz" / "1oz"
+    .replace(/troy ounce|troy oz/g, 'oz')
+    .replace(/[^a-z0-9./ ]+/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !NOISE_WORDS.has(word))
+    .join(' ');
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, ' ');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+};
+
+/**
+ * How alike two product names are (Dice coefficient on character pairs)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0–1
+ */
+export const productSimilarity = (a, b) => {
+  const left = normalizeProductName(a);
+  const right = normalizeProductName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  if (leftGrams.length === 0 || rightGrams.length === 0) return 0;
+
+  const counts = new Map();
+  leftGrams.forEach(g => counts.set(g, (counts.get(g) || 0) + 1));
+  let shared = 0;
+  rightGrams.forEach(g => {
+    const count = counts.get(g) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(g, count - 1);
+    }
+  });
+  return (2 * shared) / (leftGrams.length + rightGrams.length);
+};
+
+const normalizeDealer = (dealer) => String(dealer || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const dateDistanceDays = (a, b) => {
+  const left = Date.parse(a);
+  const right = Date.parse(b);
+  if (isNaN(left) || isNaN(right)) return null;
+  return Math.abs(left - right) / DAY_MS;
+};
+
+/**
+ * How likely an incoming row is the same purchase as a holding
+ *
+ * A field missing on either side counts half, so a scanned receipt without
+ * a date can still match. Known dates more than a day apart rule it out.
+ *
+ * @param {Object} row Incoming row (productName, quantity, unitPrice, datePurchased, source)
+ * @param {Object} item Existing holding
+ * @returns {{ score: number, reasons: string[] }} reasons: fields that matched
+ */
+export const scoreDuplicate = (row, item) => {
+  const reasons = [];
+  const name = productSimilarity(row.productName, item.productName);
+  if (name < MIN_NAME_SIMILARITY) return { score: 0, reasons };
+  if (name >= 0.9) reasons.push('product');
+
+  let score = WEIGHTS.name * name;
+
+  const quantityMatch = (Number(row.quantity) || 1) === (Number(item.quantity) || 1);
+  if (quantityMatch) {
+    score += WEIGHTS.quantity;
+    reasons.push('quantity');
+  }
+
+  const rowPrice = Number(row.unitPrice) || 0;
+  const itemPrice = Number(item.unitPrice) || 0;
+  if (!rowPrice || !itemPrice) {
+    score += WEIGHTS.price / 2;
+  } else if (Math.abs(rowPrice - itemPrice) <= Math.max(0.01, itemPrice * 0.01)) {
+    score += WEIGHTS.price;
+    reasons.push('price');
+  }
+
+  const days = dateDistanceDays(row.datePurchased, item.datePurchased);
+  if (days === null) {
+    score += WEIGHTS.date / 2;
+  } else if (days <= MAX_DATE_DISTANCE_DAYS) {
+    score += WEIGHTS.date;
+    reasons.push('date');
+  } else {
+    return { score: 0, reasons: [] };
+  }
+
+  const rowDealer = normalizeDealer(row.source);
+  const itemDealer = normalizeDealer(item.source);
+  if (!rowDealer || !itemDealer) {
+    score += WEIGHTS.dealer / 2;
+  } else if (rowDealer.includes(itemDealer) || itemDealer.includes(rowDealer)) {
+    score += WEIGHTS.dealer;
+    reasons.push('dealer');
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Likely duplicates for a batch of incoming rows
+ *
+ * Each holding is matched to at most one row (best scores first), so
+ * importing two identical purchases against one existing holding flags
+ * only one of them.
+ *
+ * @param {Array} rows Incoming rows (with metal)
+ * @param {Object} holdingsByMetal { silver: [...], gold: [...], platinum: [...], palladium: [...] }
+ * @param {number} [threshold]
+ * @returns {Array<{ metal: string, item: Object, score: number, reasons: string[], defaultAction: string }|null>} Aligned with rows
+ */
+export const findDuplicateMatches = (rows, holdingsByMetal, threshold = DUPLICATE_THRESHOLD) => {
+  const candidates = [];
+  (rows || []).forEach((row, index) => {
+    const metal = (row.metal || 'silver').toLowerCase();
+    (holdingsByMetal[metal] || []).forEach(item => {
+      const { score, reasons } = scoreDuplicate(row, item);
+      if (score >= threshold) candidates.push({ index, metal, item, score, reasons });
+    });
+  });
+
+  const matches = (rows || []).map(() => null);
+  const used = new Set();
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ index, metal, item, score, reasons }) => {
+      const key = `${metal}|${item.id}`;
+      if (matches[index] || used.has(key)) return;
+      const defaultAction = score >= CONFIDENT_DUPLICATE_SCORE ? 'skip' : 'keep';
+      matches[index] = { metal, item, score, reasons, defaultAction };
+      used.add(key);
+    });
+  return matches;
+};
+
+// Fields a merge may fill in when the holding doesn't have them
+const MERGE_FIELDS = ['source', 'datePurchased', 'timePurchased', 'taxes', 'shipping', 'spotPrice', 'premium', 'unitPrice'];
+
+// Filled USD amounts and the original-currency fields that mirror them
+const ORIGINAL_FIELDS = { unitPrice: 'originalUnitPrice', taxes: 'originalTaxes', shipping: 'originalShipping' };
+
+const isBlank = (value) => value === undefined || value === null || value === '' || value === 0;
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+/**
+ * Existing holding with blanks filled from a duplicate row
+ *
+ * The holding keeps its id, quantity and everything already set; the row
+ * only adds what's missing (e.g. taxes and shipping from a receipt).
+ *
+ * A stored costBasis (a manual or re-based total) doesn't include amounts
+ * that were blank, so filled taxes and shipping are added to it; a filled
+ * unit price isn't, as the stored total already stood in for the price.
+ * Rows are in USD: on a foreign-currency holding the filled amounts are also
+ * converted into its original* fields at its purchase rate.
+ *
+ * @param {Object} item Existing holding
+ * @param {Object} row Incoming row
+ * @returns {{ item: Object, changed: boolean }}
+ */
+export const mergeDuplicateHolding = (item, row) => {
+  const merged = { ...item };
+  const filled = [];
+  MERGE_FIELDS.forEach(field => {
+    if (isBlank(item[field]) && !isBlank(row[field])) {
+      merged[field] = row[field];
+      filled.push(field);
+    }
+  });
+  if (filled.length === 0) return { item: merged, changed: false };
+
+  const addedCost = (filled.includes('taxes') ? merged.taxes : 0) + (filled.includes('shipping') ? merged.shipping : 0);
+  if (item.costBasis > 0 && addedCost > 0) {
+    merged.costBasis = round2(item.costBasis + addedCost);
+  }
+
+  const rate = item.purchaseFxRate;
+  if (item.purchaseCurrency && item.purchaseCurrency !== 'USD' && rate > 0) {
+    filled.forEach(field => {
+      if (ORIGINAL_FIELDS[field]) merged[ORIGINAL_FIELDS[field]] = round2(merged[field] * rate);
+    });
+    if (item.originalCostBasis != null && merged.costBasis !== item.costBasis) {
+      merged.originalCostBasis = round2(item.originalCostBasis + addedCost * rate);
+    }
+  }
+
+  return { item: merged, changed: true };
+};
@@ -0,0 +1,246 @@
+/**
+ * TroyStack - Import Files Utility
+ * Reading CSV / Excel / JSON files into spreadsheet rows for import
+ *
+ * Everything the import accepts ends up as rows (header row first) for
+ * processSpreadsheetWithDealer:
+ * - CSV, .xlsx and .xls are read with SheetJS. Every sheet with data is
+ *   returned so the user can pick one; title/summary rows above the header
+ *   (common in dealer .xlsx order exports) are dropped.
+ * - JSON exports from other stack trackers are flattened through
+ *   TRACKER_JSON_ADAPTERS into rows with TRACKER_JSON_HEADERS, which the
+ *   'trackerjson' dealer template reads.
+ */
+
+import * as XLSX from 'xlsx';
+
+// Document picker types for spreadsheet import
+export const IMPORT_FILE_TYPES = [
+  'text/csv',
+  'text/comma-separated-values',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/json',
+];
+
+// Rows searched for the header row
+const HEADER_SEARCH_ROWS = 15;
+
+/**
+ * How to read a picked file
+ * @param {string} name File name
+ * @param {string} [mimeType]
+ * @returns {'json'|'spreadsheet'}
+ */
+export const getImportFileKind = (name, mimeType) =>
+  (/\.json$/i.test(name || '') || mimeType === 'application/json' ? 'json' : 'spreadsheet');
+
+// ============================================
+// SPREADSHEETS
+// ============================================
+
+const isFilled = (cell) => String(cell ?? '').trim() !== '';
+
+/**
+ * Index of the header row: the row (near the top) with the most text cells
+ *
+ * Dealer exports often start with a title, account number or date range.
+ *
+ * @param {Array<Array>} rows
+ * @returns {number}
+ */
+export const findHeaderRow = (rows) => {
+  let best = 0;
+  let bestCount = 0;
+  rows.slice(0, HEADER_SEARCH_ROWS).forEach((row, index) => {
+    const count = (row || []).filter(cell => isFilled(cell) && isNaN(Number(cell))).length;
+    if (count > bestCount) {
+      best = index;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+/**
+ * Sheets of a workbook that have data
+ *
+ * @param {Uint8Array} bytes File contents (CSV, .xlsx or .xls)
+ * @returns {Array<{ name: string, rows: Array<Array>, rowCount: number }>} rows start at the header; rowCount excludes it
+ */
+export const readWorkbookSheets = (bytes) => {
+  const workbook = XLSX.read(bytes, { type: 'array', cellDates: true, raw: false });
+  return workbook.SheetNames
+    .map(name => {
+      const all = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false, dateNF: 'yyyy-mm-dd', blankrows: false });
+      const rows = all.slice(findHeaderRow(all)).filter(row => row && row.some(isFilled));
+      return { name, rows, rowCount: Math.max(0, rows.length - 1) };
+    })
+    .filter(sheet => sheet.rowCount > 0);
+};
+
+// ============================================
+// TRACKER JSON
+// ============================================
+
+// Row headers for flattened JSON records (read by the 'trackerjson' template)
+export const TRACKER_JSON_HEADERS = {
+  product: 'product',
+  metal: 'metal',
+  quantity: 'quantity',
+  unitPrice: 'unit price',
+  date: 'date',
+  time: 'time',
+  dealer: 'dealer',
+  ozt: 'ozt',
+  weight: 'weight',
+  weightUnit: 'weight unit',
+  purity: 'purity',
+  taxes: 'taxes',
+  shipping: 'shipping',
+  spotPrice: 'spot price',
+  premium: 'premium',
+};
+
+// Keys other trackers use for each field (lowercased, letters and digits only)
+const FIELD_ALIASES = {
+  product: ['productname', 'product', 'name', 'title', 'itemname', 'item', 'description'],
+  metal: ['metal', 'metaltype', 'metalname', 'composition'],
+  quantity: ['quantity', 'qty', 'count', 'units'],
+  unitPrice: ['unitprice', 'priceperunit', 'purchaseprice', 'costperunit', 'unitcost', 'price', 'cost'],
+  date: ['datepurchased', 'purchasedate', 'purchasedat', 'purchasedon', 'acquisitiondate', 'acquired', 'orderdate', 'date'],
+  time: ['timepurchased', 'purchasetime', 'time'],
+  dealer: ['source', 'dealer', 'vendor', 'seller', 'purchasedfrom', 'store'],
+  ozt: ['ozt', 'troyounces', 'troyoz', 'weightozt', 'ounces', 'oz', 'fineweight'],
+  weight: ['weight', 'weightvalue', 'grossweight'],
+  weightUnit: ['weightunit', 'unit', 'uom'],
+  purity: ['purity', 'fineness'],
+  taxes: ['taxes', 'tax', 'salestax'],
+  shipping: ['shipping', 'shippingcost', 'delivery'],
+  spotPrice: ['spotprice', 'spotatpurchase', 'spot'],
+  premium: ['premium', 'premiumperunit'],
+};
+
+// Line totals, used when there's no unit price
+const TOTAL_ALIASES = ['totalprice', 'totalcost', 'total', 'linetotal', 'costbasis'];
+
+const METAL_KEYS = ['gold', 'silver', 'platinum', 'palladium'];
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// One level of nesting is kept as "parent child" ({ weight: { value, unit } })
+const flattenRecord = (record) => {
+  const flat = {};
+  Object.entries(record || {}).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([child, childValue]) => {
+        if (childValue === null || typeof childValue !== 'object') flat[normalizeKey(key + child)] = childValue;
+      });
+    } else if (!Array.isArray(value)) {
+      flat[normalizeKey(key)] = value;
+    }
+  });
+  return flat;
+};
+
+const pick = (flat, aliases) => {
+  const key = aliases.find(alias => flat[alias] !== undefined && flat[alias] !== null && flat[alias] !== '');
+  return key ? flat[key] : undefined;
+};
+
+/**
+ * A tracker record as an import row, in TRACKER_JSON_HEADERS order
+ * @param {Object} record
+ * @param {string|null} metal Metal from the enclosing list ({ gold: [...] }), if any
+ * @returns {Array}
+ */
+export const trackerRecordToRow = (record, metal = null) => {
+  const flat = flattenRecord(record);
+  const values = Object.fromEntries(Object.keys(FIELD_ALIASES).map(field => [field, pick(flat, FIELD_ALIASES[field])]));
+  if (!values.metal && metal) values.metal = metal;
+  if (values.unitPrice === undefined) {
+    const total = parseFloat(pick(flat, TOTAL_ALIASES));
+    const quantity = parseFloat(values.quantity) || 1;
+    if (total > 0) values.unitPrice = Math.round((total / quantity) * 100) / 100;
+  }
+  return Object.keys(TRACKER_JSON_HEADERS).map(field => (values[field] === undefined ? '' : String(values[field])));
+};
+
+const isRecordList = (value) => Array.isArray(value) && value.length > 0 && value.every(v => v && typeof v === 'object' && !Array.isArray(v));
+
+const metalFromKey = (key) => METAL_KEYS.find(metal => normalizeKey(key).startsWith(metal)) || null;
+
+/**
+ * JSON layouts from other stack trackers, tried in order. Each turns the
+ * parsed file into [{ record, metal }].
+ */
+export const TRACKER_JSON_ADAPTERS = [
+  {
+    key: 'list',
+    name: 'List of holdings',
+    // [{ name, metal, quantity, ... }]
+    detect: (json) => isRecordList(json),
+    records: (json) => json.map(record => ({ record, metal: null })),
+  },
+  {
+    key: 'by_metal',
+    name: 'Holdings by metal',
+    // { gold: [...], silver: [...] } or { goldItems: [...], silverItems: [...] }, possibly under "data"
+    detect: (json) => {
+      const root = json?.data && typeof json.data === 'object' ? json.data : json;
+      return !!root && typeof root === 'object' && Object.entries(root).some(([key, value]) => metalFromKey(key) && isRecordList(value));
+    },
+    records: (json) => {
+      const root = json?.data && typeof json.data === 'object' ? json.data : json;
+      return Object.entries(root)
+        .filter(([key, value]) => metalFromKey(key) && isRecordList(value))
+        .flatMap(([key, value]) => value.map(record => ({ record, metal: metalFromKey(key) })));
+    },
+  },
+  {
+    key: 'wrapped',
+    name: 'Portfolio export',
+    // { holdings: [...] }, { items: [...] }, { portfolio: { assets: [...] } }, ...
+    detect: (json) => !!findWrappedList(json),
+    records: (json) => findWrappedList(json).map(record => ({ record, metal: null })),
+  },
+];
+
+const WRAPPER_KEYS = ['holdings', 'items', 'assets', 'positions', 'purchases', 'transactions', 'collection', 'portfolio', 'data', 'stack'];
+
+// First record list under a known wrapper key (two levels deep at most)
+function findWrappedList(json, depth = 0) {
+  if (!json || typeof json !== 'object' || Array.isArray(json) || depth > 1) return null;
+  for (const [key, value] of Object.entries(json)) {
+    if (!WRAPPER_KEYS.includes(normalizeKey(key))) continue;
+    if (isRecordList(value)) return value;
+    const nested = findWrappedList(value, depth + 1);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+/**
+ * Rows from another tracker's JSON export
+ *
+ * @param {string} text File contents
+ * @returns {{ rows: Array<Array>, adapter: string }} Header row first
+ * @throws {Error} When the JSON isn't a layout we know
+ */
+export const readTrackerJson = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This file is not valid JSON.');
+  }
+  if (json?.format === 'troystack-backup') {
+    throw new Error('This is a TroyStack backup. Use Restore from Backup in Export & Backup instead.');
+  }
+
+  const adapter = TRACKER_JSON_ADAPTERS.find(a => a.detect(json));
+  if (!adapter) throw new Error("Couldn't find a list of holdings in this JSON file.");
+
+  const rows = adapter.records(json).map(({ record, metal }) => trackerRecordToRow(record, metal));
+  return { rows: [Object.values(TRACKER_JSON_HEADERS), ...rows], adapter: adapter.key };
+};
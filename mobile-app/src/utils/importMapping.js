@@ -0,0 +1,135 @@
+/**
+ * TroyStack - Import Mapping Utility
+ * User-defined spreadsheet column mappings, saved as custom dealer templates
+ *
+ * The column-mapping step of a spreadsheet import lets the user pick which
+ * column holds each field. A saved mapping becomes a template shaped like
+ * the built-in DEALER_TEMPLATES ({ name, instructions, columnMap,
+ * autoDealer }) plus { id, key, custom: true, headerFingerprint }. Custom
+ * templates match columns by exact header (built-in ones by substring), and
+ * detectDealerFromHeaders tries them before the built-in ones.
+ *
+ * Headers are compared lowercased and trimmed, as importSpreadsheet
+ * normalizes them.
+ */
+
+// Fields a column can be mapped to (keys match DEALER_TEMPLATES columnMap)
+export const IMPORT_FIELDS = [
+  { key: 'product', label: 'Product', required: true },
+  { key: 'metal', label: 'Metal' },
+  { key: 'quantity', label: 'Quantity' },
+  { key: 'unitPrice', label: 'Unit Price' },
+  { key: 'date', label: 'Purchase Date' },
+  { key: 'time', label: 'Purchase Time' },
+  { key: 'dealer', label: 'Dealer' },
+  { key: 'ozt', label: 'OZT per Unit' },
+  { key: 'weight', label: 'Weight per Unit' },
+  { key: 'weightUnit', label: 'Weight Unit' },
+  { key: 'purity', label: 'Purity' },
+  { key: 'taxes', label: 'Taxes' },
+  { key: 'shipping', label: 'Shipping' },
+  { key: 'spotPrice', label: 'Spot Price' },
+  { key: 'premium', label: 'Premium' },
+];
+
+export const CUSTOM_TEMPLATE_PREFIX = 'custom_';
+
+// Share of a saved file's headers a new file must have to auto-match
+const FINGERPRINT_MATCH = 0.8;
+
+/**
+ * Column index for the first of a template's names found in the headers
+ * @param {string[]} headers Lowercased headers
+ * @param {string[]|null} names columnMap entry
+ * @param {boolean} [exact] Whole-header match (custom templates) instead of substring
+ * @returns {number} -1 when not found
+ */
+export const findTemplateColumn = (headers, names, exact = false) => {
+  if (!names) return -1;
+  for (const name of names) {
+    const lower = name.toLowerCase();
+    const index = headers.findIndex(h => (exact ? h === lower : h.includes(lower)));
+    if (index !== -1) return index;
+  }
+  return -1;
+};
+
+/**
+ * Column index per field for a template
+ * @param {string[]} headers Lowercased headers
+ * @param {Object} template Built-in or custom template
+ * @returns {Object} { [field]: index|-1 }
+ */
+export const getColumnMapping = (headers, template) =>
+  Object.fromEntries(IMPORT_FIELDS.map(f => [f.key, findTemplateColumn(headers, template.columnMap[f.key], !!template.custom)]));
+
+/**
+ * Save a column mapping as a template
+ *
+ * @param {Object} params
+ * @param {string} params.name Template name
+ * @param {string} [params.dealer] Fills Source when there's no dealer column
+ * @param {string[]} params.headers Lowercased headers of the file it was made from
+ * @param {Object} params.mapping { [field]: index|-1 }
+ * @param {number} [params.now]
+ * @returns {Object} Template
+ */
+export const buildImportTemplate = ({ name, dealer, headers, mapping, now = Date.now() }) => ({
+  id: now,
+  key: `${CUSTOM_TEMPLATE_PREFIX}${now}`,
+  name: name.trim(),
+  instructions: 'Your saved column mapping',
+  columnMap: Object.fromEntries(
+    IMPORT_FIELDS
+      .filter(f => mapping[f.key] >= 0 && headers[mapping[f.key]])
+      .map(f => [f.key, [headers[mapping[f.key]]]])
+  ),
+  headerFingerprint: headers.filter(Boolean),
+  autoDealer: dealer?.trim() || null,
+  custom: true,
+  createdAt: new Date(now).toISOString(),
+});
+
+/**
+ * Saved template that fits these headers
+ *
+ * Every mapped column must be present, and most of the original file's
+ * headers (dealers add columns now and then). Best fit wins.
+ *
+ * @param {string[]} headers Lowercased headers
+ * @param {Array} templates Custom templates
+ * @returns {string|null} Template key
+ */
+export const matchImportTemplate = (headers, templates) => {
+  let best = null;
+  let bestScore = 0;
+  (templates || []).forEach(template => {
+    const mapped = Object.values(template.columnMap).flat();
+    if (mapped.length === 0 || !mapped.every(h => headers.includes(h))) return;
+    const fingerprint = template.headerFingerprint || [];
+    const score = fingerprint.length ? fingerprint.filter(h => headers.includes(h)).length / fingerprint.length : 0;
+    if (score >= FINGERPRINT_MATCH && score > bestScore) {
+      best = template.key;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+/**
+ * First data rows as they'd be read with a mapping (for the live preview)
+ * @param {Array<Array>} rows Sheet rows, header first
+ * @param {Object} mapping { [field]: index|-1 }
+ * @param {number} [count]
+ * @returns {Array<Object>} { [field]: cell text } for mapped fields
+ */
+export const previewMappedRows = (rows, mapping, count = 3) =>
+  rows
+    .slice(1)
+    .filter(row => row && row.some(cell => String(cell ?? '').trim()))
+    .slice(0, count)
+    .map(row => Object.fromEntries(
+      IMPORT_FIELDS
+        .filter(f => mapping[f.key] >= 0)
+        .map(f => [f.key, String(row[mapping[f.key]] ?? '').trim()])
+    ));
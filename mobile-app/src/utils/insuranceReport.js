@@ -0,0 +1,397 @@
+/**
+ * TroyStack - Insurance Report Utility
+ * Replacement-cost valuation for insurers
+ *
+ * Insurers settle at what it costs to buy the metal back, which is melt plus
+ * a dealer premium that depends on the kind of product. Each holding is
+ * classed as a coin, bar, round or numismatic item and valued at melt plus
+ * the replacement premium (%) set for its class; numismatic items start from
+ * their estimated market value instead of melt. Locations whose replacement
+ * cost is over their coverage limit (the location's own, or the default
+ * limit) are flagged. All amounts are USD.
+ */
+
+import { formatGrade, getItemMarketValue, getItemMeltValue, hasCollectibleValuation } from './valuation';
+import { findLocation, getLocationTypeLabel, UNASSIGNED_LOCATION } from './locations';
+import { createPdfLayout, CONTENT_W, MARGIN } from './pdfLayout';
+import { buildCsv } from './csv';
+
+export const PRODUCT_CLASSES = [
+  { key: 'coin', label: 'Coins' },
+  { key: 'bar', label: 'Bars' },
+  { key: 'round', label: 'Rounds' },
+  { key: 'numismatic', label: 'Numismatics' },
+];
+
+// Replacement premium over melt (%), typical dealer asks for each class
+export const DEFAULT_REPLACEMENT_PREMIUMS = { coin: 8, bar: 4, round: 6, numismatic: 15 };
+
+export const DEFAULT_INSURANCE_SETTINGS = {
+  premiums: DEFAULT_REPLACEMENT_PREMIUMS,
+  defaultCoverageLimit: null, // USD; applies to locations without their own limit
+};
+
+const MAX_PREMIUM_PCT = 500;
+
+const METALS = [
+  { key: 'gold', label: 'Gold' },
+  { key: 'silver', label: 'Silver' },
+  { key: 'platinum', label: 'Platinum' },
+  { key: 'palladium', label: 'Palladium' },
+];
+
+const BAR_PATTERN = /\b(bars?|ingots?|kilo(bar)?s?|wafers?|biscuits?)\b/i;
+const ROUND_PATTERN = /\brounds?\b/i;
+
+/**
+ * Label for a product class key
+ * @param {string} key
+ * @returns {string}
+ */
+export const getProductClassLabel = (key) => (PRODUCT_CLASSES.find(c => c.key === key) || PRODUCT_CLASSES[0]).label;
+
+/**
+ * Product class of a holding
+ *
+ * Graded coins and anything valued above melt are numismatic; otherwise the
+ * product name decides ("bar", "ingot", "kilo", "round"), and anything else
+ * is a coin.
+ *
+ * @param {Object} item Holding
+ * @returns {'coin'|'bar'|'round'|'numismatic'}
+ */
+export const getProductClass = (item) => {
+  if (hasCollectibleValuation(item) || item.gradingService || item.grade) return 'numismatic';
+  const name = item.productName || '';
+  if (BAR_PATTERN.test(name)) return 'bar';
+  if (ROUND_PATTERN.test(name)) return 'round';
+  return 'coin';
+};
+
+/**
+ * Insurance settings with defaults filled in and premiums in range
+ * @param {Object} [settings]
+ * @returns {{ premiums: Object, defaultCoverageLimit: number|null }}
+ */
+export const normalizeInsuranceSettings = (settings) => {
+  const premiums = {};
+  PRODUCT_CLASSES.forEach(({ key }) => {
+    const value = parseFloat(settings?.premiums?.[key]);
+    premiums[key] = Number.isFinite(value) ? Math.min(Math.max(value, 0), MAX_PREMIUM_PCT) : DEFAULT_REPLACEMENT_PREMIUMS[key];
+  });
+  const limit = parseFloat(settings?.defaultCoverageLimit);
+  return { premiums, defaultCoverageLimit: limit > 0 ? limit : null };
+};
+
+/**
+ * Coverage limit that applies to a location
+ * @param {Object|null} location null for unassigned holdings
+ * @param {Object} settings Normalized insurance settings
+ * @returns {number|null}
+ */
+export const getCoverageLimit = (location, settings) =>
+  (location?.coverageLimit > 0 ? location.coverageLimit : settings.defaultCoverageLimit);
+
+/**
+ * Every holding with its replacement cost
+ *
+ * @param {Object} holdings { gold: [...], silver: [...], platinum: [...], palladium: [...] }
+ * @param {Object} spots { gold, silver, platinum, palladium }
+ * @param {Array} locations
+ * @param {Object} settings Insurance settings
+ * @returns {Array<{ item, metal, metalLabel, productClass, location, melt, base, premiumPct, replacement }>}
+ */
+export const buildInsuranceLots = (holdings, spots, locations, settings) => {
+  const { premiums } = normalizeInsuranceSettings(settings);
+  return METALS.flatMap(({ key, label }) => (holdings[key] || []).map(item => {
+    const spot = spots[key] || 0;
+    const productClass = getProductClass(item);
+    const melt = getItemMeltValue(item, spot);
+    const base = productClass === 'numismatic' ? getItemMarketValue(item, spot) : melt;
+    const premiumPct = premiums[productClass];
+    return {
+      item,
+      metal: key,
+      metalLabel: label,
+      productClass,
+      location: findLocation(locations, item.locationId),
+      melt,
+      base,
+      premiumPct,
+      replacement: base * (1 + premiumPct / 100),
+    };
+  }));
+};
+
+/**
+ * Totals by product class and by location, with coverage flags
+ *
+ * Only locations holding something are listed; "Unassigned" comes last.
+ *
+ * @param {Array} lots From buildInsuranceLots
+ * @param {Array} locations
+ * @param {Object} settings Insurance settings
+ * @returns {{ total: Object, byClass: Array, byLocation: Array, overLimitCount: number }}
+ */
+export const summarizeInsurance = (lots, locations, settings) => {
+  const normalized = normalizeInsuranceSettings(settings);
+  const add = (bucket, lot) => {
+    bucket.count += 1;
+    bucket.melt += lot.melt;
+    bucket.replacement += lot.replacement;
+  };
+
+  const total = { count: 0, melt: 0, replacement: 0 };
+  const byClass = PRODUCT_CLASSES.map(c => ({ key: c.key, label: c.label, premiumPct: normalized.premiums[c.key], count: 0, melt: 0, replacement: 0 }));
+  const groups = new Map();
+  lots.forEach(lot => {
+    add(total, lot);
+    add(byClass.find(c => c.key === lot.productClass), lot);
+    const id = lot.location ? lot.location.id : UNASSIGNED_LOCATION;
+    if (!groups.has(id)) {
+      groups.set(id, {
+        id,
+        name: lot.location ? lot.location.name : 'Unassigned',
+        type: lot.location ? lot.location.type : null,
+        coverageLimit: getCoverageLimit(lot.location, normalized),
+        count: 0,
+        melt: 0,
+        replacement: 0,
+      });
+    }
+    add(groups.get(id), lot);
+  });
+
+  const order = (locations || []).map(l => l.id);
+  const rank = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+  const byLocation = [...groups.values()]
+    .sort((a, b) => rank(a.id) - rank(b.id))
+    .map(g => ({
+      ...g,
+      overLimit: g.coverageLimit != null && g.replacement > g.coverageLimit,
+      overBy: g.coverageLimit != null ? Math.max(0, g.replacement - g.coverageLimit) : 0,
+    }));
+
+  return {
+    total,
+    byClass: byClass.filter(c => c.count > 0),
+    byLocation,
+    overLimitCount: byLocation.filter(g => g.overLimit).length,
+  };
+};
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * Schedule of items as CSV (USD), one row per holding, followed by the
+ * location coverage summary
+ *
+ * @param {Array} lots From buildInsuranceLots
+ * @param {Object} summary From summarizeInsurance
+ * @returns {string}
+ */
+export const buildInsuranceCSV = (lots, summary) => {
+  const headers = [
+    'Location',
+    'Product',
+    'Class',
+    'Metal',
+    'Grade',
+    'Quantity',
+    'Pure Oz Each',
+    'Total Pure Oz',
+    'Melt Value (USD)',
+    'Valuation Base (USD)',
+    'Replacement Premium (%)',
+    'Replacement Cost (USD)',
+    'Purchase Date',
+    'Dealer',
+  ];
+  const lines = lots.map(lot => [
+    lot.location ? lot.location.name : 'Unassigned',
+    lot.item.productName || '',
+    getProductClassLabel(lot.productClass),
+    lot.metalLabel,
+    formatGrade(lot.item, true),
+    lot.item.quantity || 0,
+    (lot.item.ozt || 0).toFixed(4),
+    ((lot.item.ozt || 0) * (lot.item.quantity || 0)).toFixed(4),
+    lot.melt.toFixed(2),
+    lot.base.toFixed(2),
+    lot.premiumPct,
+    lot.replacement.toFixed(2),
+    lot.item.datePurchased || '',
+    lot.item.source || '',
+  ]);
+
+  const coverageHeaders = ['Location', 'Items', 'Melt Value (USD)', 'Replacement Cost (USD)', 'Coverage Limit (USD)', 'Over Limit By (USD)'];
+  const coverageLines = summary.byLocation.map(g => [
+    g.name,
+    g.count,
+    g.melt.toFixed(2),
+    g.replacement.toFixed(2),
+    g.coverageLimit != null ? g.coverageLimit.toFixed(2) : '',
+    g.overLimit ? g.overBy.toFixed(2) : '',
+  ]);
+
+  return buildCsv([headers, ...lines, [], coverageHeaders, ...coverageLines]);
+};
+
+// ============================================
+// PDF
+// ============================================
+
+/**
+ * Build the insurance report PDF
+ *
+ * @param {Object} params
+ * @param {Object} params.holdings Holdings by metal
+ * @param {Object} params.spots Spot prices by metal (USD)
+ * @param {Array} [params.locations]
+ * @param {Object} params.settings Insurance settings
+ * @param {Function} params.formatCurrency (usd, decimals) => display string
+ * @param {string|null} [params.currencyNote] Shown under the title when values aren't in USD
+ * @param {string} [params.appVersion]
+ * @param {Date} [params.generatedAt]
+ * @returns {Promise<PDFDocument>} Unsaved pdf-lib document
+ */
+export const buildInsuranceReport = async ({
+  holdings,
+  spots,
+  locations = [],
+  settings,
+  formatCurrency,
+  currencyNote = null,
+  appVersion = '',
+  generatedAt = new Date(),
+}) => {
+  const { PDFDocument } = require('pdf-lib');
+
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle('TroyStack Insurance Replacement-Cost Report');
+  pdfDoc.setAuthor('TroyStack');
+  pdfDoc.setCreator(`TroyStack v${appVersion}`);
+
+  const layout = await createPdfLayout(pdfDoc);
+  const { newPage, text, paragraph, sectionTitle, drawTable } = layout;
+  const { helveticaBold } = layout.fonts;
+  const { gold, dark, muted, lightGray, green, red } = layout.colors;
+
+  const dateStr = generatedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  const normalized = normalizeInsuranceSettings(settings);
+  const lots = buildInsuranceLots(holdings, spots, locations, normalized);
+  const summary = summarizeInsurance(lots, locations, normalized);
+
+  newPage();
+  text('TroyStack', MARGIN, layout.top - 24, { size: 24, font: helveticaBold, color: gold });
+  text('Insurance Report', MARGIN + 128, layout.top - 22, { size: 18 });
+  layout.top -= 42;
+  text(`Replacement-cost valuation as of ${dateStr}`, MARGIN, layout.top - 10, { size: 10, color: muted });
+  layout.top -= 14;
+  if (currencyNote) {
+    text(currencyNote, MARGIN, layout.top - 10, { size: 10, color: muted });
+    layout.top -= 14;
+  }
+  layout.top -= 16;
+
+  const summaryItems = [
+    { label: 'Replacement Cost', value: formatCurrency(summary.total.replacement) },
+    { label: 'Melt Value', value: formatCurrency(summary.total.melt) },
+    { label: 'Items', value: `${summary.total.count} holding${summary.total.count === 1 ? '' : 's'}` },
+    {
+      label: 'Coverage',
+      value: summary.overLimitCount > 0
+        ? `${summary.overLimitCount} location${summary.overLimitCount === 1 ? '' : 's'} over the coverage limit`
+        : 'Every location with a limit is within it',
+      color: summary.overLimitCount > 0 ? red : green,
+    },
+  ];
+  const summaryHeight = 34 + summaryItems.length * 14;
+  layout.page.drawRectangle({ x: MARGIN, y: layout.top - summaryHeight, width: CONTENT_W, height: summaryHeight, color: lightGray, borderColor: gold, borderWidth: 1 });
+  text('Summary', MARGIN + 12, layout.top - 18, { size: 12, font: helveticaBold });
+  summaryItems.forEach((item, i) => {
+    const y = layout.top - 38 - i * 14;
+    text(`${item.label}:`, MARGIN + 12, y, { size: 10, color: muted });
+    text(item.value, MARGIN + 130, y, { size: 10, font: helveticaBold, color: item.color || dark });
+  });
+  layout.top -= summaryHeight + 24;
+
+  sectionTitle('Coverage by Location');
+  drawTable(
+    [
+      { label: 'Location', width: 150, wrap: true },
+      { label: 'Items', width: 40, align: 'right' },
+      { label: 'Replacement Cost', width: 96, align: 'right' },
+      { label: 'Coverage Limit', width: 90, align: 'right' },
+      { label: 'Status', width: 136, wrap: true },
+    ],
+    summary.byLocation.map(g => [
+      { text: `${g.name}${g.type ? ` (${getLocationTypeLabel(g.type)})` : ''}`, bold: true },
+      { text: String(g.count) },
+      { text: formatCurrency(g.replacement, 0) },
+      { text: g.coverageLimit != null ? formatCurrency(g.coverageLimit, 0) : '—' },
+      g.coverageLimit == null
+        ? { text: 'No limit set', color: muted }
+        : g.overLimit
+          ? { text: `Over by ${formatCurrency(g.overBy, 0)}`, color: red, bold: true }
+          : { text: 'Within limit', color: green },
+    ])
+  );
+
+  sectionTitle('Replacement Premiums', 'Replacement cost is melt value (pure weight × spot) plus the premium for the product class. Numismatic items start from their estimated market value.');
+  drawTable(
+    [
+      { label: 'Class', width: 120 },
+      { label: 'Items', width: 60, align: 'right' },
+      { label: 'Premium', width: 70, align: 'right' },
+      { label: 'Melt Value', width: 131, align: 'right' },
+      { label: 'Replacement Cost', width: 131, align: 'right' },
+    ],
+    summary.byClass.map(c => [
+      { text: c.label, bold: true },
+      { text: String(c.count) },
+      { text: `${c.premiumPct}%` },
+      { text: formatCurrency(c.melt, 0) },
+      { text: formatCurrency(c.replacement, 0) },
+    ])
+  );
+
+  const spotLine = METALS.filter(m => spots[m.key] > 0).map(m => `${m.label} ${formatCurrency(spots[m.key])}/oz`).join('  ·  ');
+  paragraph(`Spot prices used: ${spotLine}.`, { size: 8.5, color: muted });
+
+  // Schedule of items, one table per location
+  newPage();
+  sectionTitle('Schedule of Items');
+  summary.byLocation.forEach(g => {
+    const groupLots = lots.filter(l => (l.location ? l.location.id : UNASSIGNED_LOCATION) === g.id);
+    sectionTitle(g.name, `${g.count} item${g.count === 1 ? '' : 's'}  ·  replacement cost ${formatCurrency(g.replacement, 0)}${g.coverageLimit != null ? `  ·  coverage limit ${formatCurrency(g.coverageLimit, 0)}` : ''}`);
+    drawTable(
+      [
+        { label: 'Item', width: 168, wrap: true },
+        { label: 'Class', width: 62 },
+        { label: 'Qty', width: 30, align: 'right' },
+        { label: 'Pure Oz', width: 52, align: 'right' },
+        { label: 'Melt', width: 70, align: 'right' },
+        { label: 'Prem.', width: 36, align: 'right' },
+        { label: 'Replacement', width: 94, align: 'right' },
+      ],
+      groupLots.map(lot => {
+        const grade = formatGrade(lot.item, true);
+        return [
+          { text: `${lot.item.productName || lot.metalLabel}${grade ? ` (${grade})` : ''}` },
+          { text: getProductClassLabel(lot.productClass) },
+          { text: String(lot.item.quantity || 0) },
+          { text: ((lot.item.ozt || 0) * (lot.item.quantity || 0)).toFixed(3) },
+          { text: formatCurrency(lot.melt, 0) },
+          { text: `${lot.premiumPct}%` },
+          { text: formatCurrency(lot.replacement, 0), bold: true },
+        ];
+      })
+    );
+  });
+
+  layout.addFooters(`TroyStack Insurance Report · ${dateStr} · Estimates for insurance purposes, not an appraisal`);
+  return pdfDoc;
+};
@@ -0,0 +1,394 @@
+/**
+ * TroyStack - Legacy Package Utility
+ * A password-protected estate package for heirs and executors
+ *
+ * The package is the Stack Ledger with preface pages in front: the owner's
+ * instructions and people to contact, where everything is (holdings by
+ * location with the access instructions entered for each), dealers to sell
+ * to and a plain-language guide to selling bullion.
+ *
+ * It can be re-generated on a schedule so the values stay current. The
+ * password isn't kept: a derivePdfKey key is saved with the settings, so a
+ * refreshed package opens with the same password. The settings stay on this
+ * device and are never synced: the key, instructions, contacts and access
+ * instructions in the secure store (Keychain / Keystore), the schedule in
+ * AsyncStorage. Refreshed packages are written to documentDirectory/legacy/
+ * and, when iCloud is available, to iCloud Drive.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as SecureStore from 'expo-secure-store';
+import { CloudStorage, CloudStorageScope } from 'react-native-cloud-storage';
+import { buildStackLedger } from './stackLedger';
+import { formatGrade } from './valuation';
+import { getLocationTypeLabel, UNASSIGNED_LOCATION } from './locations';
+import { MARGIN } from './pdfLayout';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LEGACY_FREQUENCIES = [
+  { key: 'off', label: 'Off', intervalMs: null },
+  { key: 'monthly', label: 'Monthly', intervalMs: 30 * DAY_MS },
+  { key: 'quarterly', label: 'Quarterly', intervalMs: 91 * DAY_MS },
+];
+
+export const DEFAULT_LEGACY_SETTINGS = {
+  instructions: '', // General instructions for heirs
+  contacts: '', // Executor, attorney, insurance agent...
+  locationAccess: {}, // Location id (or UNASSIGNED_LOCATION) → how to get to it
+  frequency: 'off',
+  icloud: true,
+  pdfKey: null, // derivePdfKey result for the package password
+  lastGeneratedAt: null,
+  lastError: null,
+};
+
+export const LEGACY_FILE_NAME = 'TroyStack_Legacy_Package.pdf';
+
+const SETTINGS_KEY = 'stack_legacy_package';
+const PRIVATE_KEY = 'stack_legacy_private';
+const PRIVATE_FIELDS = ['instructions', 'contacts', 'locationAccess', 'pdfKey'];
+const SECURE_STORE_OPTIONS = { keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK };
+// Secure store values are limited to 2048 bytes, so the private settings are
+// saved in pieces of at most 500 characters (4 UTF-8 bytes each at most)
+const SECURE_CHUNK_CHARS = 500;
+const LOCAL_DIR = `${FileSystem.documentDirectory}legacy/`;
+const ICLOUD_DIR = 'troystack_legacy';
+
+// Dealers listed in the package at most
+const MAX_DEALERS = 8;
+
+export const SELLING_GUIDE = [
+  {
+    title: 'There is no rush',
+    text: 'Gold and silver don\'t spoil and don\'t need looking after. Take the time to find everything listed here, check it against this package and get advice before selling anything.',
+  },
+  {
+    title: 'What it is worth',
+    text: 'Most bullion is valued by its metal content: the pure ounces listed for each item times the day\'s spot price, which is published online by dealers and financial news sites. Dealers usually pay close to spot for well-known coins (American Eagles, Canadian Maple Leafs) and for bars from known refiners, and a little less for generic rounds and bars. Graded or rare coins (listed with a grade such as PCGS MS70) can be worth more than their metal — have a coin dealer look at them before selling them as bullion.',
+  },
+  {
+    title: 'Get more than one quote',
+    text: 'Ask two or three dealers what they will pay (their "buy" price) for the same items on the same day. Online dealers lock the price when you agree to sell and send insured shipping labels; local coin shops pay on the spot. Ask how and when you will be paid before you agree.',
+  },
+  {
+    title: 'Keep the paperwork',
+    text: 'Keep a record of every sale. Inherited property generally takes its value on the date of death as its cost for tax purposes, and dealers may have to report some sales. An estate attorney or tax professional can explain what applies to you.',
+  },
+  {
+    title: 'Stay safe',
+    text: 'Only ship metal insured and with tracking. Be wary of buyers who contact you first, travelling "we buy gold" events and offers that seem too good. Don\'t tell people you don\'t know that there is metal in the house, and take care when moving it.',
+  },
+];
+
+// ============================================
+// SETTINGS
+// ============================================
+
+const writeSecureText = async (key, text) => {
+  const chars = Array.from(text);
+  const count = Math.ceil(chars.length / SECURE_CHUNK_CHARS);
+  const previous = Number(await SecureStore.getItemAsync(`${key}_count`, SECURE_STORE_OPTIONS)) || 0;
+  for (let i = 0; i < count; i++) {
+    await SecureStore.setItemAsync(`${key}_${i}`, chars.slice(i * SECURE_CHUNK_CHARS, (i + 1) * SECURE_CHUNK_CHARS).join(''), SECURE_STORE_OPTIONS);
+  }
+  await SecureStore.setItemAsync(`${key}_count`, String(count), SECURE_STORE_OPTIONS);
+  for (let i = count; i < previous; i++) {
+    await SecureStore.deleteItemAsync(`${key}_${i}`, SECURE_STORE_OPTIONS);
+  }
+};
+
+const readSecureText = async (key) => {
+  const count = Number(await SecureStore.getItemAsync(`${key}_count`, SECURE_STORE_OPTIONS)) || 0;
+  if (count === 0) return null;
+  const parts = [];
+  for (let i = 0; i < count; i++) {
+    parts.push((await SecureStore.getItemAsync(`${key}_${i}`, SECURE_STORE_OPTIONS)) || '');
+  }
+  return parts.join('');
+};
+
+const deleteSecureText = async (key) => {
+  const count = Number(await SecureStore.getItemAsync(`${key}_count`, SECURE_STORE_OPTIONS)) || 0;
+  for (let i = 0; i < count; i++) {
+    await SecureStore.deleteItemAsync(`${key}_${i}`, SECURE_STORE_OPTIONS);
+  }
+  await SecureStore.deleteItemAsync(`${key}_count`, SECURE_STORE_OPTIONS);
+};
+
+const splitPrivate = (settings) => {
+  const privateFields = {};
+  const rest = {};
+  Object.entries(settings).forEach(([key, value]) => {
+    if (PRIVATE_FIELDS.includes(key)) privateFields[key] = value;
+    else rest[key] = value;
+  });
+  return { privateFields, rest };
+};
+
+/**
+ * Saved legacy package settings
+ * @returns {Promise<Object>} See DEFAULT_LEGACY_SETTINGS
+ */
+export const loadLegacySettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+    const { privateFields: legacyPrivate, rest } = splitPrivate(stored ? JSON.parse(stored) : {});
+    // Versions before the secure store kept everything in AsyncStorage
+    if (Object.keys(legacyPrivate).length > 0) {
+      await writeSecureText(PRIVATE_KEY, JSON.stringify(legacyPrivate));
+      await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(rest));
+    }
+    const privateText = await readSecureText(PRIVATE_KEY);
+    return { ...DEFAULT_LEGACY_SETTINGS, ...rest, ...(privateText ? JSON.parse(privateText) : {}) };
+  } catch (error) {
+    if (__DEV__) console.error('[Legacy] Failed to load settings:', error.message);
+    return { ...DEFAULT_LEGACY_SETTINGS };
+  }
+};
+
+/**
+ * @param {Object} settings
+ */
+export const saveLegacySettings = async (settings) => {
+  const { privateFields, rest } = splitPrivate(settings);
+  await writeSecureText(PRIVATE_KEY, JSON.stringify(privateFields));
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(rest));
+};
+
+/**
+ * Forget the package settings and key (sign out, clear data)
+ */
+export const clearLegacySettings = async () => {
+  await deleteSecureText(PRIVATE_KEY);
+  await AsyncStorage.removeItem(SETTINGS_KEY);
+};
+
+/**
+ * Is a scheduled re-generation due?
+ * @param {Object} settings
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isLegacyPackageDue = (settings, now = new Date()) => {
+  const frequency = LEGACY_FREQUENCIES.find(f => f.key === settings.frequency);
+  if (!frequency?.intervalMs || !settings.pdfKey) return false;
+  if (!settings.lastGeneratedAt) return true;
+  return now.getTime() - new Date(settings.lastGeneratedAt).getTime() >= frequency.intervalMs;
+};
+
+// ============================================
+// DEALERS
+// ============================================
+
+const dealerKey = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Dealers to offer the metal to: ones the owner bought from (most purchases
+ * first), then the major dealers TroyStack knows
+ *
+ * @param {Object} holdings { gold: [...], silver: [...], platinum: [...], palladium: [...] }
+ * @param {Array<string>} [knownDealers] Import templates / Compare Dealers names
+ * @returns {Array<{ name: string, purchases: number, known: boolean }>}
+ */
+export const getRecommendedDealers = (holdings, knownDealers = []) => {
+  // Known names win over however the owner typed them ("sd bullion")
+  const known = new Map(knownDealers.map(name => [dealerKey(name), name]));
+  const dealers = new Map();
+  Object.values(holdings).flat().forEach(item => {
+    const name = String(item.source || '').trim();
+    const key = dealerKey(name);
+    if (!key) return;
+    if (!dealers.has(key)) dealers.set(key, { name: known.get(key) || name, purchases: 0, known: known.has(key) });
+    dealers.get(key).purchases += 1;
+  });
+  knownDealers.forEach(name => {
+    const key = dealerKey(name);
+    if (key && !dealers.has(key)) dealers.set(key, { name, purchases: 0, known: true });
+  });
+
+  // A one-off local seller isn't much use to heirs, so known dealers win ties
+  return [...dealers.values()]
+    .sort((a, b) => (b.purchases - a.purchases) || (Number(b.known) - Number(a.known)))
+    .slice(0, MAX_DEALERS);
+};
+
+// ============================================
+// PDF
+// ============================================
+
+/**
+ * Build the legacy package PDF (unencrypted; save it with savePdfWithKey)
+ *
+ * @param {Object} params Everything buildStackLedger takes, plus:
+ * @param {Object} params.settings Legacy package settings (instructions, contacts, locationAccess)
+ * @param {Array<string>} [params.knownDealers] Dealer names to recommend besides the owner's
+ * @returns {Promise<PDFDocument>}
+ */
+export const buildLegacyPackage = ({ settings, knownDealers = [], ...ledger }) => {
+  const { holdings, locations = [], formatCurrency, generatedAt = new Date() } = ledger;
+  const dateStr = generatedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  const preface = async (layout, lots) => {
+    const { newPage, text, paragraph, sectionTitle, drawTable } = layout;
+    const { helveticaBold } = layout.fonts;
+    const { gold, muted } = layout.colors;
+
+    const totalMelt = lots.reduce((sum, l) => sum + l.melt, 0);
+    const groups = [...locations.map(l => l.id), UNASSIGNED_LOCATION]
+      .map(id => {
+        const groupLots = lots.filter(l => (l.location ? l.location.id : UNASSIGNED_LOCATION) === id);
+        const location = locations.find(l => l.id === id) || null;
+        return { id, location, lots: groupLots, melt: groupLots.reduce((sum, l) => sum + l.melt, 0) };
+      })
+      .filter(g => g.lots.length > 0);
+
+    // Letter page
+    newPage();
+    text('TroyStack', MARGIN, layout.top - 24, { size: 24, font: helveticaBold, color: gold });
+    text('Legacy Package', MARGIN + 128, layout.top - 22, { size: 18 });
+    layout.top -= 42;
+    text(`Prepared ${dateStr}`, MARGIN, layout.top - 10, { size: 10, color: muted });
+    layout.top -= 34;
+
+    paragraph('This package is for my family, executor and beneficiaries. It lists the precious metals I own, where they are kept and how to get to them, who to contact, and how to sell them.');
+    layout.top -= 6;
+    paragraph(`As of ${dateStr} the ${lots.length} holding${lots.length === 1 ? '' : 's'} listed here ${lots.length === 1 ? 'is' : 'are'} worth about ${formatCurrency(totalMelt, 0)} for the metal alone${groups.length > 1 ? `, kept in ${groups.length} places` : ''}. Metal prices change every day, so check current prices before relying on these values.`);
+    layout.top -= 6;
+    paragraph('The pages that follow are: where everything is, selling the metal, dealers to contact, and then the full ledger with every purchase and an attestation page.', { color: muted, size: 9 });
+    layout.top -= 10;
+
+    if (settings.contacts?.trim()) {
+      sectionTitle('People to Contact');
+      settings.contacts.trim().split(/\n+/).forEach(line => paragraph(line));
+      layout.top -= 10;
+    }
+    if (settings.instructions?.trim()) {
+      sectionTitle('Instructions');
+      settings.instructions.trim().split(/\n+/).forEach(line => {
+        paragraph(line);
+        layout.top -= 4;
+      });
+    }
+
+    // Where everything is
+    newPage();
+    sectionTitle('Where Everything Is', 'Every holding by where it is kept, with how to get to it.');
+    groups.forEach(g => {
+      const name = g.location ? g.location.name : 'Location not recorded';
+      const type = g.location?.type ? ` — ${getLocationTypeLabel(g.location.type)}` : '';
+      sectionTitle(`${name}${type}`, `${g.lots.length} holding${g.lots.length === 1 ? '' : 's'}  ·  about ${formatCurrency(g.melt, 0)} in metal`);
+      const access = String(settings.locationAccess?.[g.id] || '').trim();
+      layout.ensureSpace(30);
+      text('How to get to it', MARGIN, layout.top - 10, { size: 10, font: helveticaBold });
+      layout.top -= 16;
+      if (access) access.split(/\n+/).forEach(line => paragraph(line, { indent: 10 }));
+      else paragraph('No access instructions were entered for this location.', { indent: 10, color: muted });
+      layout.top -= 8;
+      drawTable(
+        [
+          { label: 'Item', width: 232, wrap: true },
+          { label: 'Metal', width: 64 },
+          { label: 'Qty', width: 40, align: 'right' },
+          { label: 'Pure Oz', width: 76, align: 'right' },
+          { label: 'Value', width: 100, align: 'right' },
+        ],
+        g.lots.map(lot => {
+          const grade = formatGrade(lot.item, true);
+          return [
+            { text: `${lot.item.productName || lot.metalLabel}${grade ? ` (${grade})` : ''}` },
+            { text: lot.metalLabel },
+            { text: String(lot.item.quantity || 0) },
+            { text: ((lot.item.ozt || 0) * (lot.item.quantity || 0)).toFixed(3) },
+            { text: formatCurrency(lot.melt, 0) },
+          ];
+        })
+      );
+    });
+
+    // Selling guide and dealers
+    newPage();
+    sectionTitle('Selling the Metal', 'A plain-language guide for someone who has never sold bullion.');
+    SELLING_GUIDE.forEach(section => {
+      layout.ensureSpace(40);
+      text(section.title, MARGIN, layout.top - 11, { size: 11, font: helveticaBold });
+      layout.top -= 17;
+      paragraph(section.text);
+      layout.top -= 10;
+    });
+
+    const dealers = getRecommendedDealers(holdings, knownDealers);
+    if (dealers.length > 0) {
+      sectionTitle('Dealers to Contact', 'Dealers that buy back bullion, starting with the ones the metal was bought from. Current prices from several of them are in the TroyStack app under Compare Dealers.');
+      drawTable(
+        [
+          { label: 'Dealer', width: 220 },
+          { label: 'Notes', width: 292, wrap: true },
+        ],
+        dealers.map(d => [
+          { text: d.name, bold: true },
+          {
+            text: [
+              d.purchases > 0 ? `Bought from ${d.purchases} time${d.purchases === 1 ? '' : 's'}` : null,
+              d.known ? 'Large national dealer' : null,
+            ].filter(Boolean).join('  ·  '),
+          },
+        ])
+      );
+    }
+  };
+
+  return buildStackLedger({ ...ledger, title: 'Legacy Package', preface });
+};
+
+// ============================================
+// FILES
+// ============================================
+
+/**
+ * Where the latest package is kept on this device
+ * @returns {string}
+ */
+export const getLegacyPackageUri = () => `${LOCAL_DIR}${LEGACY_FILE_NAME}`;
+
+/**
+ * Save the latest package (replacing the previous one)
+ *
+ * @param {string} base64 Encrypted PDF
+ * @param {Object} [options]
+ * @param {boolean} [options.icloud] Also copy to iCloud Drive
+ * @returns {Promise<{ uri: string, icloud: boolean }>}
+ */
+export const saveLegacyPackageFile = async (base64, { icloud = false } = {}) => {
+  const info = await FileSystem.getInfoAsync(LOCAL_DIR);
+  if (!info.exists) await FileSystem.makeDirectoryAsync(LOCAL_DIR, { intermediates: true });
+  const uri = getLegacyPackageUri();
+  await FileSystem.writeAsStringAsync(uri, base64, { encoding: FileSystem.EncodingType.Base64 });
+
+  let savedToiCloud = false;
+  if (icloud) {
+    try {
+      if (!(await CloudStorage.exists(ICLOUD_DIR, CloudStorageScope.Documents))) {
+        await CloudStorage.mkdir(ICLOUD_DIR, CloudStorageScope.Documents);
+      }
+      await CloudStorage.uploadFile(`${ICLOUD_DIR}/${LEGACY_FILE_NAME}`, uri, { mimeType: 'application/pdf' }, CloudStorageScope.Documents);
+      savedToiCloud = true;
+    } catch (error) {
+      // The device copy is still there; iCloud is retried with the next package
+      if (__DEV__) console.error('[Legacy] iCloud write failed:', error?.message);
+    }
+  }
+  return { uri, icloud: savedToiCloud };
+};
+
+/**
+ * Is there a saved package on this device?
+ * @returns {Promise<boolean>}
+ */
+export const hasLegacyPackageFile = async () => (await FileSystem.getInfoAsync(getLegacyPackageUri())).exists;
+
+// Sign out / clear data
+export const deleteLegacyPackageFiles = async () => {
+  await FileSystem.deleteAsync(LOCAL_DIR, { idempotent: true });
+};
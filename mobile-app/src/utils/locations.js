@@ -0,0 +1,136 @@
+/**
+ * TroyStack - Storage Locations Utility
+ * Named portfolios/locations (home safe, safe deposit box, vault) for holdings
+ *
+ * Locations live in their own list ({ id, name, type, notes }) and a holding
+ * points at one through `locationId` (the location's local id). Holdings
+ * without a locationId are "Unassigned". The location filter scopes the
+ * Dashboard, My Stack, Analytics and the ledger to one location.
+ */
+
+import { getLotCostBasis, splitLot } from './costBasis';
+import { getItemMarketValue } from './valuation';
+
+export const LOCATION_TYPES = [
+  { key: 'home_safe', label: 'Home Safe' },
+  { key: 'bank_box', label: 'Safe Deposit Box' },
+  { key: 'vault', label: 'Vault (Allocated)' },
+  { key: 'other', label: 'Other' },
+];
+
+// Location filter values besides a location id
+export const ALL_LOCATIONS = 'all';
+export const UNASSIGNED_LOCATION = 'unassigned';
+
+const METALS = ['gold', 'silver', 'platinum', 'palladium'];
+
+/**
+ * Label for a location type key
+ * @param {string} type
+ * @returns {string}
+ */
+export const getLocationTypeLabel = (type) => (LOCATION_TYPES.find(t => t.key === type) || LOCATION_TYPES[LOCATION_TYPES.length - 1]).label;
+
+/**
+ * Location a holding is stored at
+ * @param {Array} locations
+ * @param {number|null} locationId
+ * @returns {Object|null} null when unassigned or the location was deleted
+ */
+export const findLocation = (locations, locationId) =>
+  locationId == null ? null : (locations || []).find(l => l.id === locationId) || null;
+
+/**
+ * Display name of a location filter value or holding locationId
+ * @param {Array} locations
+ * @param {number|string|null} value Location id, ALL_LOCATIONS or UNASSIGNED_LOCATION
+ * @returns {string}
+ */
+export const getLocationName = (locations, value) => {
+  if (value === ALL_LOCATIONS) return 'All Locations';
+  if (value == null || value === UNASSIGNED_LOCATION) return 'Unassigned';
+  return findLocation(locations, value)?.name || 'Unassigned';
+};
+
+/**
+ * Holdings at a location
+ *
+ * Holdings pointing at a deleted location count as unassigned.
+ *
+ * @param {Array} items Holdings
+ * @param {number|string} filter Location id, ALL_LOCATIONS or UNASSIGNED_LOCATION
+ * @param {Array} locations
+ * @returns {Array}
+ */
+export const filterByLocation = (items, filter, locations) => {
+  if (!filter || filter === ALL_LOCATIONS) return items;
+  if (filter === UNASSIGNED_LOCATION) return items.filter(i => !findLocation(locations, i.locationId));
+  return items.filter(i => i.locationId === filter);
+};
+
+/**
+ * Exposure per location: ounces per metal, melt and estimated market value,
+ * cost basis. Locations with no holdings are included (zero totals);
+ * "Unassigned" is added last when any holding has no location.
+ *
+ * @param {Object} itemsByMetal { gold: [], silver: [], platinum: [], palladium: [] }
+ * @param {Object} spots { gold, silver, platinum, palladium }
+ * @param {Array} locations
+ * @returns {Array<{ id: number|string, name: string, type: string|null, ozt: Object, melt: number, market: number, costBasis: number, count: number }>}
+ */
+export const groupByLocation = (itemsByMetal, spots, locations) => {
+  const empty = (location) => ({
+    id: location ? location.id : UNASSIGNED_LOCATION,
+    name: location ? location.name : 'Unassigned',
+    type: location ? location.type : null,
+    ozt: { gold: 0, silver: 0, platinum: 0, palladium: 0 },
+    melt: 0,
+    market: 0,
+    costBasis: 0,
+    count: 0,
+  });
+
+  const groups = new Map((locations || []).map(l => [l.id, empty(l)]));
+  const unassigned = empty(null);
+
+  METALS.forEach(metal => {
+    (itemsByMetal[metal] || []).forEach(item => {
+      const group = groups.get(item.locationId) || unassigned;
+      const spot = spots[metal] || 0;
+      group.ozt[metal] += (item.ozt || 0) * (item.quantity || 0);
+      group.melt += (item.ozt || 0) * (item.quantity || 0) * spot;
+      group.market += getItemMarketValue(item, spot);
+      group.costBasis += getLotCostBasis(item);
+      group.count += 1;
+    });
+  });
+
+  const result = [...groups.values()];
+  if (unassigned.count > 0) result.push(unassigned);
+  return result;
+};
+
+/**
+ * Move some or all of a lot to another location
+ *
+ * A partial move splits the lot (cost basis, taxes and shipping are
+ * prorated) and the moved part gets newId.
+ *
+ * @param {Object} lot Holding
+ * @param {number|null} toLocationId Destination location id (null = unassigned)
+ * @param {number} quantity Units to move
+ * @param {number} newId Id for the moved part of a partial move
+ * @returns {{ original: Object|null, moved: Object }|null} original is null for a full move
+ */
+export const transferLot = (lot, toLocationId, quantity, newId) => {
+  if (!quantity || quantity <= 0 || quantity > lot.quantity) return null;
+  const locationId = toLocationId ?? undefined;
+
+  if (quantity === lot.quantity) {
+    return { original: null, moved: { ...lot, locationId } };
+  }
+
+  const result = splitLot(lot, quantity, newId);
+  if (!result) return null;
+  return { original: result.original, moved: { ...result.split, locationId } };
+};
@@ -0,0 +1,157 @@
+/**
+ * TroyStack - Outbox Utility
+ * Offline queue for writes to Supabase and the backend
+ *
+ * Local state is always saved first; the server write is recorded here and
+ * retried until it goes through. Entries are { id, type, payload, key,
+ * attempts, nextAttemptAt, status, lastError }. A newer entry with the same
+ * key replaces a pending one (e.g. the latest notification preferences, or a
+ * delete superseding an unsent edit of the same holding).
+ *
+ * Pending entries are sent strictly in order: one waiting out its backoff
+ * holds back everything queued after it. Failed attempts back off
+ * exponentially; after MAX_OUTBOX_ATTEMPTS (or an error the server will
+ * never accept) the entry is marked failed and no longer holds up the queue —
+ * it waits for the user to retry or discard it.
+ */
+
+export const MAX_OUTBOX_ATTEMPTS = 8;
+
+const BASE_BACKOFF_MS = 15 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts Attempts made so far (1 = first failure)
+ * @returns {number} ms
+ */
+export const getBackoffMs = (attempts) =>
+  Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_BACKOFF_MS);
+
+/**
+ * Error for a write the server rejected for good (e.g. a 4xx) — fails the
+ * entry without retrying
+ * @param {string} message
+ * @returns {Error}
+ */
+export const permanentOutboxError = (message) => Object.assign(new Error(message), { permanent: true });
+
+/**
+ * Add a write to the queue
+ *
+ * @param {Array} queue
+ * @param {string} type Handler name, e.g. 'holding_upsert'
+ * @param {Object} payload
+ * @param {string} [key] Entries with the same key replace each other
+ * @param {number} [now]
+ * @returns {Array} New queue
+ */
+export const enqueueOutbox = (queue, type, payload, key, now = Date.now()) => {
+  const entry = {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    payload,
+    key: key || null,
+    createdAt: new Date(now).toISOString(),
+    attempts: 0,
+    nextAttemptAt: now,
+    status: 'pending',
+    lastError: null,
+  };
+  const rest = key ? (queue || []).filter(e => e.key !== key) : (queue || []);
+  return [...rest, entry];
+};
+
+/**
+ * Entries ready to send: pending entries in queue order, up to the first one
+ * still backing off
+ * @param {Array} queue
+ * @param {Object} [options]
+ * @param {boolean} [options.force] Ignore backoff (manual sync)
+ * @param {number} [options.now]
+ * @returns {Array}
+ */
+export const getDueEntries = (queue, { force = false, now = Date.now() } = {}) => {
+  const pending = (queue || []).filter(e => e.status === 'pending');
+  const blocked = force ? -1 : pending.findIndex(e => e.nextAttemptAt > now);
+  return blocked < 0 ? pending : pending.slice(0, blocked);
+};
+
+/**
+ * Send due entries in order
+ *
+ * Stops at the first failure (usually offline); with getDueEntries holding
+ * back everything behind an entry that's backing off, later writes can't
+ * overtake earlier ones.
+ *
+ * @param {Array} queue
+ * @param {Object} handlers { [type]: async (payload) => void } — throw to retry
+ * @param {Object} [options] See getDueEntries
+ * @returns {Promise<{ done: string[], failures: Array<{ id: string, attempts: number, nextAttemptAt: number, status: string, lastError: string }> }>}
+ */
+export const processOutbox = async (queue, handlers, options = {}) => {
+  const now = options.now || Date.now();
+  const done = [];
+  const failures = [];
+
+  for (const entry of getDueEntries(queue, options)) {
+    const handler = handlers[entry.type];
+    try {
+      if (!handler) throw permanentOutboxError(`No handler for ${entry.type}`);
+      await handler(entry.payload);
+      done.push(entry.id);
+    } catch (err) {
+      const attempts = entry.attempts + 1;
+      const failed = !!err?.permanent || attempts >= MAX_OUTBOX_ATTEMPTS;
+      failures.push({
+        id: entry.id,
+        attempts,
+        nextAttemptAt: now + getBackoffMs(attempts),
+        status: failed ? 'failed' : 'pending',
+        lastError: err?.message || String(err),
+      });
+      break;
+    }
+  }
+
+  return { done, failures };
+};
+
+/**
+ * Apply a processOutbox result to the current queue (which may have gained
+ * entries while it ran)
+ * @param {Array} queue
+ * @param {{ done: string[], failures: Array }} result
+ * @returns {Array}
+ */
+export const applyOutboxResult = (queue, { done, failures }) =>
+  (queue || [])
+    .filter(e => !done.includes(e.id))
+    .map(e => {
+      const failure = failures.find(f => f.id === e.id);
+      return failure ? { ...e, ...failure } : e;
+    });
+
+/**
+ * Put failed entries back in line
+ * @param {Array} queue
+ * @param {number} [now]
+ * @returns {Array}
+ */
+export const retryFailedEntries = (queue, now = Date.now()) =>
+  (queue || []).map(e => e.status === 'failed' ? { ...e, status: 'pending', attempts: 0, nextAttemptAt: now } : e);
+
+/**
+ * Pending/failed counts and when the next send is due (the first pending
+ * entry's; nothing behind it goes first)
+ * @param {Array} queue
+ * @returns {{ pending: number, failed: number, nextAttemptAt: number|null }}
+ */
+export const summarizeOutbox = (queue) => {
+  const pending = (queue || []).filter(e => e.status === 'pending');
+  return {
+    pending: pending.length,
+    failed: (queue || []).filter(e => e.status === 'failed').length,
+    nextAttemptAt: pending.length > 0 ? pending[0].nextAttemptAt : null,
+  };
+};
@@ -0,0 +1,250 @@
+/**
+ * TroyStack - PDF Encryption Utility
+ * Password-protects PDFs built with pdf-lib (which can't encrypt)
+ *
+ * Implements the PDF standard security handler, revision 6 (AES-256, as in
+ * PDF 2.0 / Acrobat X and later):
+ *   - a random 256-bit file key encrypts every string and stream with
+ *     AES-256-CBC (random IV per object, PKCS#5 padding)
+ *   - the file key is wrapped under the user (open) password and under a
+ *     random owner password nobody is given, so the permissions can't be
+ *     lifted with the open password
+ *   - passwords go through the revision 6 hash (SHA-256/384/512 and
+ *     AES-128 rounds, ISO 32000-2 algorithm 2.B)
+ *
+ * Like backupCrypto.js, the primitives come from @noble/hashes and
+ * @noble/ciphers: expo-crypto only offers digests and random bytes.
+ *
+ * derivePdfKey() keeps the file key and wrapped values so documents built
+ * later (a scheduled legacy package) open with the same password without the
+ * password being stored. Like autoBackup's backupKey, it's as sensitive as
+ * the password on this device.
+ */
+
+import { getRandomBytes } from 'expo-crypto';
+import { cbc } from '@noble/ciphers/aes';
+import { sha256, sha384, sha512 } from '@noble/hashes/sha2';
+
+export const PDF_MIN_PASSWORD_LENGTH = 6;
+
+// Permission bits of /P (ISO 32000 table 22, numbered from 1)
+export const PDF_PERMISSIONS = {
+  print: 3,
+  modify: 4,
+  copy: 5,
+  annotate: 6,
+  fillForms: 9,
+  accessibility: 10,
+  assemble: 11,
+  printHighQuality: 12,
+};
+
+// Reading, printing and copying text; no editing, comments, forms or page changes
+export const PDF_READ_ONLY_PERMISSIONS = ['print', 'printHighQuality', 'copy', 'accessibility'];
+
+// ============================================
+// AES
+// ============================================
+
+/**
+ * AES-CBC encryption
+ * @param {Uint8Array} key 16 or 32 bytes
+ * @param {Uint8Array} iv 16 bytes
+ * @param {Uint8Array} data
+ * @param {boolean} [pad] PKCS#5 padding (otherwise data must be whole blocks)
+ * @returns {Uint8Array}
+ */
+const aesCbcEncrypt = (key, iv, data, pad = true) => cbc(key, iv, { disablePadding: !pad }).encrypt(data);
+
+// ============================================
+// STANDARD SECURITY HANDLER (revision 6)
+// ============================================
+
+const concat = (...parts) => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let off = 0;
+  parts.forEach(p => { out.set(p, off); off += p.length; });
+  return out;
+};
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => Uint8Array.from(hex.match(/.{2}/g) || [], b => parseInt(b, 16));
+
+const ZERO_IV = new Uint8Array(16);
+
+// Passwords are UTF-8, at most 127 bytes (SASLprep approximated by NFKC)
+const passwordBytes = (password) => new TextEncoder().encode(String(password).normalize('NFKC')).slice(0, 127);
+
+/**
+ * Revision 6 password hash (ISO 32000-2 algorithm 2.B)
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt 8 bytes
+ * @param {Uint8Array} userKey The 48-byte /U value when hashing the owner password, otherwise empty
+ * @returns {Uint8Array} 32 bytes
+ */
+const hashPassword = (password, salt, userKey) => {
+  let k = sha256(concat(password, salt, userKey));
+  let e = new Uint8Array(1);
+  for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+    const block = concat(password, k, userKey);
+    const k1 = new Uint8Array(block.length * 64);
+    for (let i = 0; i < 64; i++) k1.set(block, i * block.length);
+    e = aesCbcEncrypt(k.subarray(0, 16), k.subarray(16, 32), k1, false);
+    // The first 16 bytes as a big-endian number mod 3 (256 ≡ 1 mod 3)
+    let sum = 0;
+    for (let i = 0; i < 16; i++) sum += e[i];
+    k = [sha256, sha384, sha512][sum % 3](e);
+  }
+  return k.subarray(0, 32);
+};
+
+/**
+ * /P value for a set of allowed operations
+ * @param {Array<string>} allowed PDF_PERMISSIONS keys
+ * @returns {number} Signed 32-bit
+ */
+export const encodePermissions = (allowed) => {
+  // Bits 7-8 and 13-32 are reserved and must be set
+  let flags = 0xfffff0c0;
+  allowed.forEach(key => { flags |= 1 << (PDF_PERMISSIONS[key] - 1); });
+  return flags | 0;
+};
+
+// /U, /UE, /O, /OE and /Perms for a file key (algorithms 8, 9 and 10)
+const buildSecurityValues = (fileKey, userPassword, ownerPassword, permissions) => {
+  const user = passwordBytes(userPassword);
+  const userSalts = getRandomBytes(16);
+  const U = concat(hashPassword(user, userSalts.subarray(0, 8), new Uint8Array(0)), userSalts);
+  const UE = aesCbcEncrypt(hashPassword(user, userSalts.subarray(8, 16), new Uint8Array(0)), ZERO_IV, fileKey, false);
+
+  const owner = passwordBytes(ownerPassword);
+  const ownerSalts = getRandomBytes(16);
+  const O = concat(hashPassword(owner, ownerSalts.subarray(0, 8), U), ownerSalts);
+  const OE = aesCbcEncrypt(hashPassword(owner, ownerSalts.subarray(8, 16), U), ZERO_IV, fileKey, false);
+
+  const perms = new Uint8Array(16);
+  perms[0] = permissions; perms[1] = permissions >>> 8; perms[2] = permissions >>> 16; perms[3] = permissions >>> 24;
+  perms.fill(0xff, 4, 8);
+  perms.set([0x54, 0x61, 0x64, 0x62], 8); // 'T' (metadata encrypted), 'adb'
+  perms.set(getRandomBytes(4), 12);
+  const Perms = aesCbcEncrypt(fileKey, ZERO_IV, perms, false);
+
+  return { U, UE, O, OE, Perms };
+};
+
+// A random file key wrapped under the password and a random owner password
+// nobody is given (so the permissions can't be lifted with the open password)
+const createSecurity = (password, permissions) => {
+  const fileKey = getRandomBytes(32);
+  const P = encodePermissions(permissions);
+  return { fileKey, P, ...buildSecurityValues(fileKey, password, toHex(getRandomBytes(32)), P) };
+};
+
+const SECURITY_FIELDS = ['fileKey', 'U', 'UE', 'O', 'OE', 'Perms'];
+
+/**
+ * Key for encrypting documents that open with `password`, without keeping it
+ *
+ * @param {string} password
+ * @param {Array<string>} [permissions] PDF_PERMISSIONS keys allowed when opened with it
+ * @returns {Object} JSON-safe key for encryptPdfDocument / savePdfWithKey
+ */
+export const derivePdfKey = (password, permissions = PDF_READ_ONLY_PERMISSIONS) => {
+  const security = createSecurity(password, permissions);
+  return { P: security.P, ...Object.fromEntries(SECURITY_FIELDS.map(field => [field, toHex(security[field])])) };
+};
+
+/**
+ * Encrypt a pdf-lib document in place
+ *
+ * Call once the document is complete; save it with
+ * `{ useObjectStreams: false }` (object streams would be written unencrypted).
+ * savePdfWithPassword does both.
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {Object} options
+ * @param {string} [options.password] Needed to open the file
+ * @param {Array<string>} [options.permissions] PDF_PERMISSIONS keys allowed when opened with it
+ * @param {Object} [options.key] derivePdfKey result, instead of password and permissions
+ */
+export const encryptPdfDocument = async (pdfDoc, { password, permissions = PDF_READ_ONLY_PERMISSIONS, key = null }) => {
+  const { PDFArray, PDFDict, PDFHexString, PDFName, PDFRawStream, PDFStream, PDFString } = require('pdf-lib');
+  await pdfDoc.flush(); // fonts and images are written into the context on flush
+
+  const { context } = pdfDoc;
+  const security = key
+    ? { P: key.P, ...Object.fromEntries(SECURITY_FIELDS.map(field => [field, fromHex(key[field])])) }
+    : createSecurity(password, permissions);
+  const { fileKey, U, UE, O, OE, Perms, P } = security;
+  const encrypt = (bytes) => {
+    const iv = getRandomBytes(16);
+    return concat(iv, aesCbcEncrypt(fileKey, iv, bytes));
+  };
+  const encryptStrings = (object) => {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+      return PDFHexString.of(toHex(encrypt(object.asBytes())));
+    }
+    if (object instanceof PDFDict) {
+      object.entries().forEach(([key, value]) => object.set(key, encryptStrings(value)));
+    } else if (object instanceof PDFArray) {
+      for (let i = 0; i < object.size(); i++) object.set(i, encryptStrings(object.get(i)));
+    }
+    return object;
+  };
+
+  // AES-256 is an extension to PDF 1.7 (standard in PDF 2.0)
+  pdfDoc.catalog.set(PDFName.of('Extensions'), context.obj({ ADBE: { BaseVersion: PDFName.of('1.7'), ExtensionLevel: 8 } }));
+
+  context.enumerateIndirectObjects().forEach(([ref, object]) => {
+    if (object instanceof PDFStream) {
+      encryptStrings(object.dict);
+      context.assign(ref, PDFRawStream.of(object.dict, encrypt(object.getContents())));
+    } else {
+      context.assign(ref, encryptStrings(object));
+    }
+  });
+
+  const hex = (bytes) => PDFHexString.of(toHex(bytes));
+
+  context.trailerInfo.Encrypt = context.register(context.obj({
+    Filter: 'Standard',
+    V: 5,
+    R: 6,
+    Length: 256,
+    CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+    StmF: 'StdCF',
+    StrF: 'StdCF',
+    O: hex(O),
+    U: hex(U),
+    OE: hex(OE),
+    UE: hex(UE),
+    P,
+    Perms: hex(Perms),
+  }));
+  const id = hex(getRandomBytes(16));
+  context.trailerInfo.ID = context.obj([id, id]);
+};
+
+/**
+ * Save a pdf-lib document encrypted with a password
+ * @param {PDFDocument} pdfDoc
+ * @param {string} password
+ * @param {Array<string>} [permissions]
+ * @returns {Promise<Uint8Array>}
+ */
+export const savePdfWithPassword = async (pdfDoc, password, permissions = PDF_READ_ONLY_PERMISSIONS) => {
+  await encryptPdfDocument(pdfDoc, { password, permissions });
+  return pdfDoc.save({ useObjectStreams: false });
+};
+
+/**
+ * Save a pdf-lib document encrypted with a derivePdfKey key
+ * @param {PDFDocument} pdfDoc
+ * @param {Object} key
+ * @returns {Promise<Uint8Array>}
+ */
+export const savePdfWithKey = async (pdfDoc, key) => {
+  await encryptPdfDocument(pdfDoc, { key });
+  return pdfDoc.save({ useObjectStreams: false });
+};
@@ -0,0 +1,174 @@
+/**
+ * TroyStack - PDF Layout Utility
+ * Shared page layout for the reports built with pdf-lib (Stack Ledger,
+ * insurance report, legacy package)
+ *
+ * A layout wraps a document with the standard fonts and a cursor: `page` is
+ * the page being drawn on and `top` where the next block starts. Blocks call
+ * ensureSpace() first and get a new page when they wouldn't fit above the
+ * footer.
+ */
+
+export const PAGE_W = 612;
+export const PAGE_H = 792;
+export const MARGIN = 50;
+export const CONTENT_W = PAGE_W - MARGIN * 2;
+
+/**
+ * Layout helpers for a pdf-lib document
+ *
+ * @param {PDFDocument} pdfDoc
+ * @returns {Promise<Object>} { page, top, fonts, colors, clean, wrap, truncate, newPage, ensureSpace, text, textRight, paragraph, sectionTitle, drawTable, addFooters }
+ */
+export const createPdfLayout = async (pdfDoc) => {
+  const { StandardFonts, rgb } = require('pdf-lib');
+
+  const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  const colors = {
+    gold: rgb(0.788, 0.659, 0.298), // #C9A84C
+    dark: rgb(0.1, 0.1, 0.1),
+    muted: rgb(0.45, 0.45, 0.45),
+    lightGray: rgb(0.96, 0.96, 0.96),
+    rule: rgb(0.8, 0.8, 0.8),
+    green: rgb(0.16, 0.65, 0.27),
+    red: rgb(0.85, 0.18, 0.18),
+    white: rgb(1, 1, 1),
+  };
+
+  const layout = { page: null, top: 0, fonts: { helvetica, helveticaBold }, colors };
+
+  // The standard fonts only cover WinAnsi; anything else (emoji, CJK) would throw
+  const charset = new Set(helvetica.getCharacterSet());
+  layout.clean = (value) => Array.from(String(value ?? ''), c => (charset.has(c.codePointAt(0)) ? c : '?')).join('');
+
+  layout.wrap = (value, font, size, width) => {
+    const lines = [];
+    let line = '';
+    layout.clean(value).split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= width) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      // A word wider than the line is broken where it overflows
+      line = '';
+      for (const c of word) {
+        if (line && font.widthOfTextAtSize(line + c, size) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += c;
+      }
+    });
+    if (line) lines.push(line);
+    return lines.length > 0 ? lines : [''];
+  };
+
+  layout.truncate = (value, font, size, width) => {
+    let result = layout.clean(value);
+    if (font.widthOfTextAtSize(result, size) <= width) return result;
+    while (result && font.widthOfTextAtSize(`${result}…`, size) > width) result = result.slice(0, -1);
+    return `${result}…`;
+  };
+
+  layout.newPage = () => {
+    layout.page = pdfDoc.addPage([PAGE_W, PAGE_H]);
+    layout.top = PAGE_H - MARGIN;
+  };
+
+  // Start a new page unless `height` still fits above the footer
+  layout.ensureSpace = (height) => {
+    if (layout.top - height >= MARGIN) return false;
+    layout.newPage();
+    return true;
+  };
+
+  layout.text = (value, x, y, { size = 9, font = helvetica, color = colors.dark } = {}) => {
+    layout.page.drawText(layout.clean(value), { x, y, size, font, color });
+  };
+
+  layout.textRight = (value, right, y, options = {}) => {
+    const { size = 9, font = helvetica } = options;
+    layout.text(value, right - font.widthOfTextAtSize(layout.clean(value), size), y, options);
+  };
+
+  // Wrapped text across the content width, breaking pages as needed
+  layout.paragraph = (value, { size = 10, font = helvetica, color = colors.dark, lineHeight = size + 4.5, indent = 0 } = {}) => {
+    layout.wrap(value, font, size, CONTENT_W - indent).forEach(line => {
+      layout.ensureSpace(lineHeight);
+      layout.text(line, MARGIN + indent, layout.top - size, { size, font, color });
+      layout.top -= lineHeight;
+    });
+  };
+
+  layout.sectionTitle = (title, subtitle = null) => {
+    layout.ensureSpace(subtitle ? 80 : 66);
+    layout.text(title, MARGIN, layout.top - 14, { size: 14, font: helveticaBold });
+    layout.top -= 20;
+    if (subtitle) {
+      layout.wrap(subtitle, helvetica, 9, CONTENT_W).forEach(line => {
+        layout.text(line, MARGIN, layout.top - 9, { size: 9, color: colors.muted });
+        layout.top -= 12;
+      });
+    }
+    layout.top -= 6;
+  };
+
+  /**
+   * Table with a gold header band (repeated after page breaks)
+   * columns: [{ label, width, align?, wrap? }]; rows: [[{ text, color?, bold? }]]
+   */
+  layout.drawTable = (columns, rows, { size = 8 } = {}) => {
+    const xs = columns.reduce((acc, col, i) => [...acc, i === 0 ? MARGIN : acc[i - 1] + columns[i - 1].width], []);
+    const header = () => {
+      layout.page.drawRectangle({ x: MARGIN, y: layout.top - 16, width: CONTENT_W, height: 16, color: colors.gold });
+      columns.forEach((col, i) => {
+        const options = { size: 8, font: helveticaBold, color: colors.white };
+        if (col.align === 'right') layout.textRight(col.label, xs[i] + col.width - 4, layout.top - 11.5, options);
+        else layout.text(col.label, xs[i] + 4, layout.top - 11.5, options);
+      });
+      layout.top -= 18;
+    };
+    layout.ensureSpace(36);
+    header();
+
+    const lineHeight = size + 3;
+    rows.forEach((cells, r) => {
+      const lines = cells.map((cell, i) => {
+        const font = cell.bold ? helveticaBold : helvetica;
+        return columns[i].wrap
+          ? layout.wrap(cell.text, font, size, columns[i].width - 8)
+          : [layout.truncate(cell.text, font, size, columns[i].width - 8)];
+      });
+      const height = Math.max(...lines.map(l => l.length)) * lineHeight + 4;
+      if (layout.ensureSpace(height)) header();
+      if (r % 2 === 0) layout.page.drawRectangle({ x: MARGIN, y: layout.top - height, width: CONTENT_W, height, color: colors.lightGray });
+      cells.forEach((cell, i) => {
+        const options = { size, font: cell.bold ? helveticaBold : helvetica, color: cell.color || colors.dark };
+        lines[i].forEach((line, k) => {
+          const y = layout.top - 2 - size - k * lineHeight;
+          if (columns[i].align === 'right') layout.textRight(line, xs[i] + columns[i].width - 4, y, options);
+          else layout.text(line, xs[i] + 4, y, options);
+        });
+      });
+      layout.top -= height;
+    });
+    layout.top -= 14;
+  };
+
+  // "<label>" and "Page n of N" at the foot of every page (call last)
+  layout.addFooters = (label) => {
+    const pages = pdfDoc.getPages();
+    pages.forEach((p, i) => {
+      const { width } = p.getSize();
+      p.drawText(layout.clean(label), { x: MARGIN, y: 24, size: 7, font: helvetica, color: colors.muted });
+      const pageLabel = `Page ${i + 1} of ${pages.length}`;
+      p.drawText(pageLabel, { x: width - MARGIN - helvetica.widthOfTextAtSize(pageLabel, 7), y: 24, size: 7, font: helvetica, color: colors.muted });
+    });
+  };
+
+  return layout;
+};
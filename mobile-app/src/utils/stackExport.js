@@ -0,0 +1,344 @@
+/**
+ * TroyStack - Stack Export Utility
+ * Lossless CSV and JSON exports of holdings, and reading them back
+ *
+ * Both formats carry every holding field — including the local id, the
+ * Supabase id, the adjusted cost basis, purchase-currency originals,
+ * valuation and grading, the storage location and attachment metadata — so
+ * importing a file through Import Spreadsheet restores the holdings exactly.
+ * Sync bookkeeping other than the Supabase id (row version, fingerprint) is
+ * left out. The Supabase id is only read back to spot holdings that are
+ * already here: restored holdings are pushed like new ones and pick up fresh
+ * sync metadata.
+ *
+ * CSV (see csv.js): one row per holding. The first columns are the ones
+ * exports have always had and the 'stacktracker' import template reads; the
+ * rest follow. A cell is empty when the holding doesn't have the field.
+ *
+ * JSON: { format, version, exportedAt, filters, locations, holdings }, where
+ * each holding is { metal, ...fields } and locations are the storage
+ * locations the holdings point at.
+ *
+ * Exports can be limited to some metals, a purchase date range and a
+ * storage location.
+ */
+
+import { buildCsv, parseCsv } from './csv';
+import { ALL_LOCATIONS, filterByLocation, findLocation } from './locations';
+
+export const EXPORT_FORMAT = 'troystack-export';
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_METALS = [
+  { key: 'gold', label: 'Gold' },
+  { key: 'silver', label: 'Silver' },
+  { key: 'platinum', label: 'Platinum' },
+  { key: 'palladium', label: 'Palladium' },
+];
+
+// metals: [] = all; from/to: YYYY-MM-DD purchase dates (inclusive), '' = open;
+// location: a location id, ALL_LOCATIONS or UNASSIGNED_LOCATION
+export const DEFAULT_EXPORT_FILTERS = { metals: [], from: '', to: '', location: ALL_LOCATIONS };
+
+// Sync bookkeeping that isn't exported (supabase_id is)
+const SYNC_ONLY_FIELDS = ['syncVersion', 'syncFingerprint'];
+
+const LOCATION_FIELDS = ['id', 'name', 'type', 'notes', 'coverageLimit'];
+
+/**
+ * CSV columns. `field` is read back into the holding; columns without one
+ * are for people reading the file. Empty required strings are read back as
+ * '' (holdings always have them); any other empty cell means "not set".
+ */
+export const EXPORT_COLUMNS = [
+  { header: 'Metal' },
+  { header: 'Product', field: 'productName', type: 'string', required: true },
+  { header: 'Source', field: 'source', type: 'string', required: true },
+  { header: 'Date', field: 'datePurchased', type: 'string', required: true },
+  { header: 'Time', field: 'timePurchased', type: 'string' },
+  { header: 'OZT', field: 'ozt', type: 'number' },
+  { header: 'Qty', field: 'quantity', type: 'number' },
+  { header: 'Unit Price', field: 'unitPrice', type: 'number' },
+  { header: 'Taxes', field: 'taxes', type: 'number' },
+  { header: 'Shipping', field: 'shipping', type: 'number' },
+  { header: 'Spot', field: 'spotPrice', type: 'number' },
+  { header: 'Premium', field: 'premium', type: 'number' },
+  { header: 'Total Premium' },
+  { header: 'Weight', field: 'weight', type: 'number' },
+  { header: 'Weight Unit', field: 'weightUnit', type: 'string' },
+  { header: 'Purity', field: 'purity', type: 'number' },
+  { header: 'Location' },
+  { header: 'Cost Basis', field: 'costBasis', type: 'number' },
+  { header: 'Purchase Currency', field: 'purchaseCurrency', type: 'string' },
+  { header: 'Purchase FX Rate', field: 'purchaseFxRate', type: 'number' },
+  { header: 'Original Unit Price', field: 'originalUnitPrice', type: 'number' },
+  { header: 'Original Taxes', field: 'originalTaxes', type: 'number' },
+  { header: 'Original Shipping', field: 'originalShipping', type: 'number' },
+  { header: 'Original Cost Basis', field: 'originalCostBasis', type: 'number' },
+  { header: 'Valuation Mode', field: 'valuationMode', type: 'string' },
+  { header: 'Valuation Premium', field: 'valuationPremium', type: 'number' },
+  { header: 'Market Value', field: 'marketValue', type: 'number' },
+  { header: 'Market Value Updated', field: 'marketValueUpdatedAt', type: 'string' },
+  { header: 'Grading Service', field: 'gradingService', type: 'string' },
+  { header: 'Grade', field: 'grade', type: 'string' },
+  { header: 'Cert Number', field: 'certNumber', type: 'string' },
+  { header: 'Location ID', field: 'locationId', type: 'number' },
+  { header: 'Attachments', field: 'attachments', type: 'json' },
+  { header: 'ID', field: 'id', type: 'number' },
+  { header: 'Supabase ID', field: 'supabase_id', type: 'string' },
+];
+
+// Headers that mark a file as this export (older exports stop at Location)
+const FINGERPRINT = ['metal', 'product', 'id', 'supabase id'];
+
+// ============================================
+// FILTERS
+// ============================================
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Is this a usable date range bound? ('' means open)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isExportDate = (value) => {
+  if (!value) return true;
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Holdings an export includes, in metal order
+ *
+ * Holdings without a purchase date are left out when a date range is set.
+ *
+ * @param {Object} holdingsByMetal { gold: [], silver: [], platinum: [], palladium: [] }
+ * @param {Object} filters See DEFAULT_EXPORT_FILTERS
+ * @param {Array} locations
+ * @returns {Array<{ metal: string, item: Object }>}
+ */
+export const filterHoldingsForExport = (holdingsByMetal, filters, locations) => {
+  const { metals = [], from = '', to = '', location = ALL_LOCATIONS } = filters || {};
+  return EXPORT_METALS
+    .filter(m => metals.length === 0 || metals.includes(m.key))
+    .flatMap(m => filterByLocation(holdingsByMetal[m.key] || [], location, locations)
+      .filter(item => {
+        if (!from && !to) return true;
+        const date = String(item.datePurchased || '').slice(0, 10);
+        if (!DATE_PATTERN.test(date)) return false;
+        return (!from || date >= from) && (!to || date <= to);
+      })
+      .map(item => ({ metal: m.key, item })));
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+const exportedFields = (item) => {
+  const copy = { ...item };
+  SYNC_ONLY_FIELDS.forEach(f => { delete copy[f]; });
+  return copy;
+};
+
+const pickLocation = (location) => Object.fromEntries(LOCATION_FIELDS.filter(f => location[f] !== undefined).map(f => [f, location[f]]));
+
+const encodeCell = (column, value) => {
+  if (value === undefined || value === null) return '';
+  if (column.type === 'json') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * CSV export
+ *
+ * @param {Array<{ metal: string, item: Object }>} entries From filterHoldingsForExport
+ * @param {Array} locations
+ * @returns {string}
+ */
+export const buildHoldingsCSV = (entries, locations) => {
+  const rows = entries.map(({ metal, item }) => EXPORT_COLUMNS.map(column => {
+    switch (column.header) {
+      case 'Metal': return EXPORT_METALS.find(m => m.key === metal)?.label || metal;
+      case 'Total Premium': return Math.round((item.premium || 0) * (item.quantity || 0) * 100) / 100;
+      case 'Location': return findLocation(locations, item.locationId)?.name || '';
+      default: return encodeCell(column, item[column.field]);
+    }
+  }));
+  return buildCsv([EXPORT_COLUMNS.map(c => c.header), ...rows]);
+};
+
+/**
+ * Full-fidelity JSON export
+ *
+ * @param {Array<{ metal: string, item: Object }>} entries From filterHoldingsForExport
+ * @param {Array} locations
+ * @param {Object} [options]
+ * @param {Object} [options.filters] Recorded in the file
+ * @param {Date} [options.now]
+ * @returns {string}
+ */
+export const buildHoldingsJSON = (entries, locations, { filters = DEFAULT_EXPORT_FILTERS, now = new Date() } = {}) => {
+  const usedIds = new Set(entries.map(e => e.item.locationId).filter(id => id != null));
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    filters,
+    locations: (locations || []).filter(l => usedIds.has(l.id)).map(pickLocation),
+    holdings: entries.map(({ metal, item }) => ({ metal, ...exportedFields(item) })),
+  }, null, 2);
+};
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Is this header row one of our exports?
+ * @param {Array<string>} headers
+ * @returns {boolean}
+ */
+export const isStackExportHeader = (headers) => {
+  const normalized = (headers || []).map(h => String(h || '').toLowerCase().trim());
+  return FINGERPRINT.every(h => normalized.includes(h));
+};
+
+const decodeCell = (column, text) => {
+  if (text === '') return column.required ? '' : undefined;
+  if (column.type === 'number') {
+    const value = Number(text);
+    return Number.isFinite(value) ? value : undefined;
+  }
+  if (column.type === 'json') {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return undefined;
+    }
+  }
+  return text;
+};
+
+const metalKey = (value) => {
+  const key = String(value || '').toLowerCase().trim();
+  return EXPORT_METALS.some(m => m.key === key) ? key : null;
+};
+
+/**
+ * Holdings from a CSV export
+ *
+ * Read with parseCsv rather than SheetJS, which would turn "1-2" into a
+ * date and drop leading zeros. Locations are only known by id and name here;
+ * see matchImportLocations.
+ *
+ * @param {string} text File contents
+ * @returns {{ holdings: Array<{ metal: string, item: Object }>, locations: Array, skipped: number }|null} null when the file isn't one of our exports
+ */
+export const readStackExportCSV = (text) => {
+  // Our header row has no quoted fields
+  const firstLine = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+  if (!isStackExportHeader(firstLine.split(','))) return null;
+
+  const rows = parseCsv(text);
+  const headers = rows[0].map(h => String(h || '').toLowerCase().trim());
+  const indexOf = (header) => headers.indexOf(header.toLowerCase());
+  const metalIndex = indexOf('Metal');
+  const locationIndex = indexOf('Location');
+  const holdings = [];
+  const locations = new Map();
+  let skipped = 0;
+
+  rows.slice(1).forEach(row => {
+    const metal = metalKey(row[metalIndex]);
+    if (!metal) {
+      skipped++;
+      return;
+    }
+    const item = {};
+    EXPORT_COLUMNS.forEach(column => {
+      const index = column.field ? indexOf(column.header) : -1;
+      if (index === -1) return;
+      const value = decodeCell(column, row[index] ?? '');
+      if (value !== undefined) item[column.field] = value;
+    });
+    if (item.locationId != null && !locations.has(item.locationId)) {
+      const name = String(row[locationIndex] ?? '').trim();
+      if (name) locations.set(item.locationId, { id: item.locationId, name, type: 'other' });
+    }
+    holdings.push({ metal, item });
+  });
+
+  return { holdings, locations: [...locations.values()], skipped };
+};
+
+/**
+ * Holdings from a JSON export
+ *
+ * @param {string} text File contents
+ * @returns {{ holdings: Array<{ metal: string, item: Object }>, locations: Array, skipped: number }|null} null when the file isn't one of our exports
+ * @throws {Error} Written by a newer version of the app
+ */
+export const readStackExportJSON = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  if (json?.format !== EXPORT_FORMAT || !Array.isArray(json.holdings)) return null;
+  if (Number(json.version) > EXPORT_VERSION) {
+    throw new Error('This export was made by a newer version of TroyStack. Update the app to import it.');
+  }
+
+  const holdings = [];
+  let skipped = 0;
+  json.holdings.forEach(record => {
+    const { metal, ...item } = record || {};
+    const key = metalKey(metal);
+    if (!key || typeof item.productName !== 'string') {
+      skipped++;
+      return;
+    }
+    holdings.push({ metal: key, item: exportedFields(item) });
+  });
+  const locations = (Array.isArray(json.locations) ? json.locations : [])
+    .filter(l => l && l.id != null && l.name)
+    .map(pickLocation);
+  return { holdings, locations, skipped };
+};
+
+/**
+ * Where restored holdings go
+ *
+ * An exported location is the existing location with the same id, else the
+ * one with the same name; otherwise it's created (keeping its id unless
+ * that's taken).
+ *
+ * @param {Array} exported Locations from the file
+ * @param {Array} current The user's locations
+ * @param {Function} newId () => unused local id
+ * @returns {{ idMap: Map, created: Array }} idMap: exported id → local id
+ */
+export const matchImportLocations = (exported, current, newId) => {
+  const idMap = new Map();
+  const created = [];
+  const all = [...(current || [])];
+  (exported || []).forEach(location => {
+    const match = all.find(l => l.id === location.id)
+      || all.find(l => l.name.toLowerCase() === location.name.toLowerCase())
+      || null;
+    if (match) {
+      idMap.set(location.id, match.id);
+      return;
+    }
+    const id = all.some(l => l.id === location.id) ? newId() : location.id;
+    const next = { type: 'other', ...location, id };
+    created.push(next);
+    all.push(next);
+    idMap.set(location.id, id);
+  });
+  return { idMap, created };
+};
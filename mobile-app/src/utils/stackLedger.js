@@ -0,0 +1,517 @@
+/**
+ * TroyStack - Stack Ledger Utility
+ * The PDF Stack Ledger (Settings → Export Encrypted Ledger)
+ *
+ * Sections, in order:
+ *   - the caller's preface pages, if any (the legacy package)
+ *   - cover: portfolio summary, totals by metal and by location, and the
+ *     value-over-time chart from the analytics snapshots
+ *   - one section per metal, then per storage location, listing every lot in
+ *     full (product, dealer, date, spot at purchase, premium, taxes, shipping)
+ *   - sales
+ *   - an attestation page to sign for insurers
+ *   - the attachments appendix, when requested
+ * Every page gets a "Page n of N" footer.
+ *
+ * Amounts are USD; the caller's formatCurrency converts them for display.
+ */
+
+import { COST_BASIS_METHODS, getLotCostBasis, summarizeRealizedGains } from './costBasis';
+import { formatGrade, getItemMarketValue, getItemMeltValue, hasCollectibleValuation } from './valuation';
+import { describeWeight } from './weights';
+import { findLocation, getLocationTypeLabel, groupByLocation, UNASSIGNED_LOCATION } from './locations';
+import { addAttachmentAppendix } from './attachments';
+import { createPdfLayout, CONTENT_W, MARGIN, PAGE_H, PAGE_W } from './pdfLayout';
+
+const METALS = [
+  { key: 'gold', label: 'Gold' },
+  { key: 'silver', label: 'Silver' },
+  { key: 'platinum', label: 'Platinum' },
+  { key: 'palladium', label: 'Palladium' },
+];
+
+// Most points drawn in the value chart (longer histories are sampled)
+const MAX_CHART_POINTS = 240;
+
+// Figures row of a lot (widths add up to CONTENT_W)
+const LOT_COLUMNS = [
+  { key: 'date', label: 'Purchased', width: 50 },
+  { key: 'dealer', label: 'Dealer', width: 66 },
+  { key: 'qty', label: 'Qty', width: 24, align: 'right' },
+  { key: 'oz', label: 'Pure Oz', width: 44, align: 'right' },
+  { key: 'unit', label: 'Unit Price', width: 52, align: 'right' },
+  { key: 'spot', label: 'Spot Paid', width: 48, align: 'right' },
+  { key: 'premium', label: 'Premium', width: 46, align: 'right' },
+  { key: 'taxes', label: 'Taxes', width: 40, align: 'right' },
+  { key: 'shipping', label: 'Shipping', width: 40, align: 'right' },
+  { key: 'cost', label: 'Cost Basis', width: 52, align: 'right' },
+  { key: 'value', label: 'Melt Value', width: 50, align: 'right' },
+];
+
+const formatOz = (ozt) => ozt.toFixed(3);
+
+// Oldest purchase first; undated lots last
+const byPurchaseDate = (a, b) => (a.item.datePurchased || '9999').localeCompare(b.item.datePurchased || '9999');
+
+/**
+ * Lots with their values at today's spot
+ * @param {Object} holdings { gold: [...], silver: [...], platinum: [...], palladium: [...] }
+ * @param {Object} spots { gold, silver, platinum, palladium }
+ * @param {Array} locations
+ * @returns {Array<{ item, metal, metalLabel, spot, melt, market, cost, pl, location }>}
+ */
+export const buildLedgerLots = (holdings, spots, locations = []) =>
+  METALS.flatMap(({ key, label }) => (holdings[key] || []).map(item => {
+    const spot = spots[key] || 0;
+    const melt = getItemMeltValue(item, spot);
+    const cost = getLotCostBasis(item);
+    return {
+      item,
+      metal: key,
+      metalLabel: label,
+      spot,
+      melt,
+      market: getItemMarketValue(item, spot),
+      cost,
+      pl: melt - cost,
+      location: findLocation(locations, item.locationId),
+    };
+  }));
+
+/**
+ * Snapshot values to chart, oldest first, sampled down to MAX_CHART_POINTS
+ * @param {Array} snapshots [{ date, total_value }]
+ * @returns {Array<{ date: string, value: number }>}
+ */
+export const getLedgerChartPoints = (snapshots) => {
+  const points = (snapshots || [])
+    .filter(s => s && s.date && s.total_value > 0)
+    .map(s => ({ date: s.date, value: s.total_value }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (points.length <= MAX_CHART_POINTS) return points;
+  const step = (points.length - 1) / (MAX_CHART_POINTS - 1);
+  return Array.from({ length: MAX_CHART_POINTS }, (_, i) => points[Math.round(i * step)]);
+};
+
+/**
+ * Build the Stack Ledger PDF
+ *
+ * @param {Object} params
+ * @param {Object} params.holdings Holdings by metal (already scoped by the location filter)
+ * @param {Object} params.spots Spot prices by metal (USD)
+ * @param {Array} [params.sales]
+ * @param {Array} [params.locations] All storage locations
+ * @param {string|null} [params.locationName] Location the ledger is scoped to (no per-location sections)
+ * @param {Array} [params.snapshots] Analytics snapshots ({ date, total_value }) for the chart
+ * @param {Array} [params.attachments] Appendix entries for addAttachmentAppendix (none: no appendix)
+ * @param {Function} params.formatCurrency (usd, decimals) => display string
+ * @param {string|null} [params.currencyNote] Shown under the title when values aren't in USD
+ * @param {string} [params.appVersion]
+ * @param {Date} [params.generatedAt]
+ * @param {string} [params.title] Document title (metadata and page footers)
+ * @param {Function} [params.preface] async (layout, lots) => void; draws pages before the cover
+ * @returns {Promise<PDFDocument>} Unsaved pdf-lib document
+ */
+export const buildStackLedger = async ({
+  holdings,
+  spots,
+  sales = [],
+  locations = [],
+  locationName = null,
+  snapshots = [],
+  attachments = [],
+  formatCurrency,
+  currencyNote = null,
+  appVersion = '',
+  generatedAt = new Date(),
+  title = 'Stack Ledger',
+  preface = null,
+}) => {
+  const { PDFDocument } = require('pdf-lib');
+
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(`TroyStack ${title}`);
+  pdfDoc.setAuthor('TroyStack');
+  pdfDoc.setSubject(`${title.charAt(0)}${title.slice(1).toLowerCase()}`);
+  pdfDoc.setCreator(`TroyStack v${appVersion}`);
+  pdfDoc.setKeywords(['troystack', 'ledger']);
+
+  const layout = await createPdfLayout(pdfDoc);
+  const { clean, wrap, truncate, newPage, ensureSpace, text, textRight, sectionTitle, drawTable } = layout;
+  const { helvetica, helveticaBold } = layout.fonts;
+  const { gold, dark, muted, lightGray, rule, green, red, white } = layout.colors;
+
+  const dateStr = generatedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  const signed = (value, decimals = 0) => `${value >= 0 ? '+' : '-'}${formatCurrency(Math.abs(value), decimals)}`;
+
+  // ============================================
+  // DATA
+  // ============================================
+
+  const lots = buildLedgerLots(holdings, spots, locations);
+  const totals = lots.reduce((acc, lot) => ({
+    melt: acc.melt + lot.melt,
+    market: acc.market + lot.market,
+    cost: acc.cost + lot.cost,
+  }), { melt: 0, market: 0, cost: 0 });
+  const totalPL = totals.melt - totals.cost;
+  const plPct = totals.cost > 0 ? (totalPL / totals.cost) * 100 : 0;
+  const realized = summarizeRealizedGains(sales);
+  const showMarket = Math.abs(totals.market - totals.melt) >= 0.01;
+
+  const metalTotals = METALS.map(({ key, label }) => {
+    const metalLots = lots.filter(l => l.metal === key);
+    return {
+      key,
+      label,
+      lots: metalLots,
+      ozt: metalLots.reduce((sum, l) => sum + (l.item.ozt || 0) * (l.item.quantity || 0), 0),
+      melt: metalLots.reduce((sum, l) => sum + l.melt, 0),
+      market: metalLots.reduce((sum, l) => sum + l.market, 0),
+      cost: metalLots.reduce((sum, l) => sum + l.cost, 0),
+    };
+  }).filter(m => m.lots.length > 0);
+
+  const byLocation = !locationName && locations.length > 0;
+  const locationGroups = byLocation
+    ? groupByLocation(holdings, spots, locations).filter(g => g.count > 0)
+    : [];
+
+  if (preface) await preface(layout, lots);
+
+  // ============================================
+  // COVER
+  // ============================================
+
+  newPage();
+  text('TroyStack', MARGIN, layout.top - 24, { size: 24, font: helveticaBold, color: gold });
+  text('Stack Ledger', MARGIN + 128, layout.top - 22, { size: 18 });
+  layout.top -= 42;
+  text(`Generated ${dateStr}`, MARGIN, layout.top - 10, { size: 10, color: muted });
+  layout.top -= 14;
+  if (currencyNote) {
+    text(currencyNote, MARGIN, layout.top - 10, { size: 10, color: muted });
+    layout.top -= 14;
+  }
+  if (locationName) {
+    text(`Location: ${locationName}`, MARGIN, layout.top - 10, { size: 10, font: helveticaBold });
+    layout.top -= 14;
+  }
+  layout.top -= 16;
+
+  const summaryItems = [
+    { label: showMarket ? 'Melt Value' : 'Total Value', value: formatCurrency(totals.melt) },
+    ...(showMarket ? [{ label: 'Est. Market Value', value: formatCurrency(totals.market) }] : []),
+    { label: 'Cost Basis', value: formatCurrency(totals.cost) },
+    { label: 'Unrealized P/L', value: `${signed(totalPL, 2)} (${plPct >= 0 ? '+' : ''}${plPct.toFixed(2)}%)`, color: totalPL >= 0 ? green : red },
+    { label: 'Realized P/L', value: `${signed(realized.realizedGain, 2)} (${realized.count} sale${realized.count === 1 ? '' : 's'})`, color: realized.realizedGain >= 0 ? green : red },
+    { label: 'Total Return', value: signed(totalPL + realized.realizedGain, 2), color: totalPL + realized.realizedGain >= 0 ? green : red },
+    { label: 'Holdings', value: `${lots.length} lot${lots.length === 1 ? '' : 's'}` },
+  ];
+  const summaryHeight = 34 + summaryItems.length * 14;
+  layout.page.drawRectangle({ x: MARGIN, y: layout.top - summaryHeight, width: CONTENT_W, height: summaryHeight, color: lightGray, borderColor: gold, borderWidth: 1 });
+  text('Portfolio Summary', MARGIN + 12, layout.top - 18, { size: 12, font: helveticaBold });
+  summaryItems.forEach((item, i) => {
+    const y = layout.top - 38 - i * 14;
+    text(`${item.label}:`, MARGIN + 12, y, { size: 10, color: muted });
+    text(item.value, MARGIN + 120, y, { size: 10, font: helveticaBold, color: item.color || dark });
+  });
+  layout.top -= summaryHeight + 24;
+
+  if (metalTotals.length > 0) {
+    sectionTitle('By Metal');
+    drawTable(
+      [
+        { label: 'Metal', width: 72 },
+        { label: 'Lots', width: 40, align: 'right' },
+        { label: 'Pure Oz', width: 70, align: 'right' },
+        { label: 'Spot', width: 80, align: 'right' },
+        { label: 'Cost Basis', width: 80, align: 'right' },
+        { label: showMarket ? 'Est. Value' : 'Value', width: 90, align: 'right' },
+        { label: 'P/L', width: 80, align: 'right' },
+      ],
+      metalTotals.map(m => [
+        { text: m.label, bold: true },
+        { text: String(m.lots.length) },
+        { text: formatOz(m.ozt) },
+        { text: formatCurrency(spots[m.key] || 0) },
+        { text: formatCurrency(m.cost, 0) },
+        { text: formatCurrency(showMarket ? m.market : m.melt, 0) },
+        { text: signed(m.melt - m.cost), color: m.melt - m.cost >= 0 ? green : red },
+      ])
+    );
+  }
+
+  if (locationGroups.length > 0) {
+    sectionTitle('By Location');
+    drawTable(
+      [
+        { label: 'Location', width: 152, wrap: true },
+        { label: 'Au oz', width: 60, align: 'right' },
+        { label: 'Ag oz', width: 70, align: 'right' },
+        { label: 'Pt/Pd oz', width: 60, align: 'right' },
+        { label: 'Cost Basis', width: 80, align: 'right' },
+        { label: showMarket ? 'Est. Value' : 'Value', width: 90, align: 'right' },
+      ],
+      locationGroups.map(g => [
+        { text: g.name, bold: true },
+        { text: g.ozt.gold.toFixed(3) },
+        { text: g.ozt.silver.toFixed(2) },
+        { text: (g.ozt.platinum + g.ozt.palladium).toFixed(3) },
+        { text: formatCurrency(g.costBasis, 0) },
+        { text: formatCurrency(showMarket ? g.market : g.melt, 0) },
+      ])
+    );
+  }
+
+  // Value over time (the snapshots cover the whole stack)
+  const points = getLedgerChartPoints(snapshots);
+  if (points.length >= 2) {
+    sectionTitle('Value Over Time', `Melt value of ${locationName ? 'the whole stack' : 'the stack'} from daily snapshots, ${points[0].date} to ${points[points.length - 1].date}.`);
+    const chartH = 170;
+    ensureSpace(chartH + 20);
+    const plotX = MARGIN + 62;
+    const plotW = CONTENT_W - 62;
+    const plotBottom = layout.top - chartH + 14;
+    const plotH = chartH - 24;
+
+    const values = points.map(p => p.value);
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (max - min < 1) { min -= 1; max += 1; }
+    const pad = (max - min) * 0.08;
+    min = Math.max(0, min - pad);
+    max += pad;
+    const yFor = (v) => plotBottom + ((v - min) / (max - min)) * plotH;
+    const xFor = (i) => plotX + (i / (points.length - 1)) * plotW;
+
+    for (let g = 0; g <= 4; g++) {
+      const v = min + ((max - min) * g) / 4;
+      const y = yFor(v);
+      layout.page.drawLine({ start: { x: plotX, y }, end: { x: plotX + plotW, y }, thickness: 0.5, color: rule });
+      textRight(formatCurrency(v, 0), plotX - 6, y - 3, { size: 7, color: muted });
+    }
+    for (let i = 1; i < points.length; i++) {
+      layout.page.drawLine({ start: { x: xFor(i - 1), y: yFor(points[i - 1].value) }, end: { x: xFor(i), y: yFor(points[i].value) }, thickness: 1.4, color: gold });
+    }
+    const labelIndexes = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])];
+    labelIndexes.forEach(i => {
+      const label = points[i].date;
+      const width = helvetica.widthOfTextAtSize(label, 7);
+      const x = Math.min(Math.max(xFor(i) - width / 2, plotX), plotX + plotW - width);
+      text(label, x, plotBottom - 12, { size: 7, color: muted });
+    });
+    layout.top -= chartH + 20;
+  }
+
+  // ============================================
+  // LOT DETAIL
+  // ============================================
+
+  const lotFigures = (lot) => {
+    const { item } = lot;
+    const money = (value) => (value ? formatCurrency(value) : '—');
+    return {
+      date: item.datePurchased || '—',
+      dealer: item.source || '—',
+      qty: String(item.quantity || 0),
+      oz: formatOz((item.ozt || 0) * (item.quantity || 0)),
+      unit: formatCurrency(item.unitPrice || 0),
+      spot: money(item.spotPrice),
+      premium: money(item.premium),
+      taxes: money(item.taxes),
+      shipping: money(item.shipping),
+      cost: formatCurrency(lot.cost, 0),
+      value: formatCurrency(lot.melt, 0),
+    };
+  };
+
+  const lotDetails = (lot, { showMetal, showLocation }) => {
+    const { item } = lot;
+    const grade = formatGrade(item, true);
+    const weight = describeWeight(item);
+    return [
+      showMetal ? lot.metalLabel : null,
+      showLocation && locations.length > 0 ? `Location: ${lot.location ? lot.location.name : 'Unassigned'}` : null,
+      item.timePurchased ? `Time: ${item.timePurchased}` : null,
+      `${formatOz(item.ozt || 0)} oz each${weight ? ` (${weight})` : ''}`,
+      grade ? `Grade: ${grade}` : null,
+      hasCollectibleValuation(item) ? `Est. market value: ${formatCurrency(lot.market, 0)}` : null,
+      item.purchaseCurrency && item.purchaseCurrency !== 'USD' ? `Paid in ${item.purchaseCurrency} @ ${item.purchaseFxRate}` : null,
+      item.costBasis > 0 ? 'Custom cost basis' : null,
+      item.attachments?.length ? `${item.attachments.length} attachment${item.attachments.length === 1 ? '' : 's'}` : null,
+    ].filter(Boolean).join('  ·  ');
+  };
+
+  const lotColumnX = LOT_COLUMNS.reduce((acc, col, i) => [...acc, i === 0 ? MARGIN : acc[i - 1] + LOT_COLUMNS[i - 1].width], []);
+
+  const lotHeader = () => {
+    layout.page.drawRectangle({ x: MARGIN, y: layout.top - 15, width: CONTENT_W, height: 15, color: gold });
+    LOT_COLUMNS.forEach((col, i) => {
+      if (col.align === 'right') textRight(col.label, lotColumnX[i] + col.width - 3, layout.top - 10.5, { size: 6.5, font: helveticaBold, color: white });
+      else text(col.label, lotColumnX[i] + 3, layout.top - 10.5, { size: 6.5, font: helveticaBold, color: white });
+    });
+    layout.top -= 17;
+  };
+
+  // Each lot: full product name (and P/L), a details line, then the figures
+  const drawLots = (sectionLots, options) => {
+    ensureSpace(60);
+    lotHeader();
+    [...sectionLots].sort(byPurchaseDate).forEach((lot, index) => {
+      const name = `${lot.item.productName || lot.metalLabel}${formatGrade(lot.item) ? ` (${formatGrade(lot.item)})` : ''}`;
+      const nameLines = wrap(name, helveticaBold, 8.5, CONTENT_W - 80);
+      const detailLines = wrap(lotDetails(lot, options), helvetica, 7, CONTENT_W - 8);
+      const height = nameLines.length * 11 + detailLines.length * 9 + 16;
+      if (ensureSpace(height)) lotHeader();
+      if (index % 2 === 0) layout.page.drawRectangle({ x: MARGIN, y: layout.top - height, width: CONTENT_W, height, color: lightGray });
+
+      let y = layout.top - 11;
+      nameLines.forEach((line, i) => {
+        text(line, MARGIN + 3, y, { size: 8.5, font: helveticaBold });
+        if (i === 0) textRight(`P/L ${signed(lot.pl)}`, MARGIN + CONTENT_W - 3, y, { size: 8, font: helveticaBold, color: lot.pl >= 0 ? green : red });
+        y -= 11;
+      });
+      detailLines.forEach(line => {
+        text(line, MARGIN + 3, y + 1, { size: 7, color: muted });
+        y -= 9;
+      });
+      const figures = lotFigures(lot);
+      LOT_COLUMNS.forEach((col, i) => {
+        let size = 7;
+        const value = col.key === 'dealer' ? truncate(figures.dealer, helvetica, size, col.width - 6) : figures[col.key];
+        while (size > 5 && helvetica.widthOfTextAtSize(clean(value), size) > col.width - 6) size -= 0.5;
+        if (col.align === 'right') textRight(value, lotColumnX[i] + col.width - 3, y - 2, { size });
+        else text(value, lotColumnX[i] + 3, y - 2, { size });
+      });
+      layout.top -= height;
+    });
+    layout.top -= 16;
+  };
+
+  if (metalTotals.length > 0) {
+    newPage();
+    metalTotals.forEach(m => {
+      const spot = spots[m.key] || 0;
+      sectionTitle(
+        `${m.label} Holdings`,
+        `${m.lots.length} lot${m.lots.length === 1 ? '' : 's'}  ·  ${formatOz(m.ozt)} pure oz  ·  spot ${formatCurrency(spot)}/oz  ·  cost basis ${formatCurrency(m.cost, 0)}  ·  melt value ${formatCurrency(m.melt, 0)}`
+      );
+      drawLots(m.lots, { showMetal: false, showLocation: true });
+    });
+  }
+
+  if (locationGroups.length > 0) {
+    newPage();
+    locationGroups.forEach(g => {
+      const groupLots = lots.filter(l => (l.location ? l.location.id : UNASSIGNED_LOCATION) === g.id);
+      const type = g.type ? getLocationTypeLabel(g.type) : null;
+      sectionTitle(
+        `${g.name}${type ? ` — ${type}` : ''}`,
+        `${g.count} lot${g.count === 1 ? '' : 's'}  ·  cost basis ${formatCurrency(g.costBasis, 0)}  ·  melt value ${formatCurrency(g.melt, 0)}${Math.abs(g.market - g.melt) >= 0.01 ? `  ·  est. market value ${formatCurrency(g.market, 0)}` : ''}`
+      );
+      drawLots(groupLots, { showMetal: true, showLocation: false });
+    });
+  }
+
+  // ============================================
+  // SALES
+  // ============================================
+
+  if (sales.length > 0) {
+    sectionTitle('Sales', `${realized.count} sale${realized.count === 1 ? '' : 's'}  ·  proceeds ${formatCurrency(realized.proceeds, 0)}  ·  realized ${signed(realized.realizedGain)}`);
+    drawTable(
+      [
+        { label: 'Sold', width: 58 },
+        { label: 'Product', width: 170, wrap: true },
+        { label: 'Qty', width: 30, align: 'right' },
+        { label: 'Method', width: 56 },
+        { label: 'Proceeds', width: 66, align: 'right' },
+        { label: 'Basis', width: 66, align: 'right' },
+        { label: 'Gain', width: 66, align: 'right' },
+      ],
+      [...sales].sort((a, b) => (a.dateSold || '').localeCompare(b.dateSold || '')).map(sale => {
+        const methodLabel = ((COST_BASIS_METHODS.find(m => m.key === sale.method) || {}).label || sale.method || '')
+          .replace('Average Cost', 'Avg')
+          .replace('Specific Lot', 'Specific');
+        return [
+          { text: sale.dateSold || '' },
+          { text: sale.productName || '' },
+          { text: String(sale.quantity) },
+          { text: methodLabel },
+          { text: formatCurrency(sale.proceeds, 0) },
+          { text: formatCurrency(sale.costBasis, 0) },
+          { text: signed(sale.realizedGain), color: sale.realizedGain >= 0 ? green : red },
+        ];
+      })
+    );
+  }
+
+  // ============================================
+  // ATTESTATION
+  // ============================================
+
+  newPage();
+  text('Attestation of Holdings', MARGIN, layout.top - 18, { size: 18, font: helveticaBold, color: gold });
+  layout.top -= 36;
+
+  const ozSummary = metalTotals.map(m => `${formatOz(m.ozt)} oz ${m.label.toLowerCase()}`).join(', ') || 'no metal';
+  const statement = `I attest that the ${lots.length} lot${lots.length === 1 ? '' : 's'} of precious metals listed in this ledger${locationName ? ` (location: ${locationName})` : ''}, containing ${ozSummary}, are owned by me and held where stated, and that the purchase details recorded here are accurate and complete to the best of my knowledge. As of ${dateStr} their melt value at spot is ${formatCurrency(totals.melt)}${showMarket ? ` and their estimated market value is ${formatCurrency(totals.market)}` : ''}, against a cost basis of ${formatCurrency(totals.cost)}.`;
+  wrap(statement, helvetica, 10.5, CONTENT_W).forEach(line => {
+    text(line, MARGIN, layout.top - 11, { size: 10.5 });
+    layout.top -= 15;
+  });
+  layout.top -= 10;
+
+  const spotLine = METALS.filter(m => spots[m.key] > 0).map(m => `${m.label} ${formatCurrency(spots[m.key])}/oz`).join('  ·  ');
+  wrap(`Spot prices used: ${spotLine}. Melt value is pure weight × spot; it is not a replacement-cost appraisal.`, helvetica, 8.5, CONTENT_W).forEach(line => {
+    text(line, MARGIN, layout.top - 9, { size: 8.5, color: muted });
+    layout.top -= 12;
+  });
+  layout.top -= 24;
+
+  const signatureLine = (label, x, width) => {
+    layout.page.drawLine({ start: { x, y: layout.top }, end: { x: x + width, y: layout.top }, thickness: 0.75, color: dark });
+    text(label, x, layout.top - 11, { size: 8, color: muted });
+  };
+  const signatureRow = (left, right) => {
+    layout.top -= 30;
+    signatureLine(left, MARGIN, right ? 300 : CONTENT_W);
+    if (right) signatureLine(right, MARGIN + 320, CONTENT_W - 320);
+    layout.top -= 16;
+  };
+
+  text('Owner', MARGIN, layout.top - 11, { size: 11, font: helveticaBold });
+  layout.top -= 12;
+  signatureRow('Printed name', 'Date');
+  signatureRow('Signature', null);
+  signatureRow('Address where the holdings are kept', null);
+  layout.top -= 14;
+
+  text('Insurance', MARGIN, layout.top - 11, { size: 11, font: helveticaBold });
+  layout.top -= 12;
+  signatureRow('Insurer', 'Policy number');
+  layout.top -= 14;
+
+  text('Witness or Notary', MARGIN, layout.top - 11, { size: 11, font: helveticaBold });
+  layout.top -= 12;
+  signatureRow('Printed name', 'Date');
+  signatureRow('Signature', 'Commission / ID number');
+  layout.top -= 24;
+  if (layout.top - 90 >= MARGIN) {
+    layout.page.drawRectangle({ x: MARGIN + CONTENT_W - 130, y: layout.top - 90, width: 130, height: 90, borderColor: rule, borderWidth: 1 });
+    text('Seal', MARGIN + CONTENT_W - 122, layout.top - 14, { size: 8, color: muted });
+  }
+
+  // ============================================
+  // APPENDIX + PAGE NUMBERS
+  // ============================================
+
+  if (attachments.length > 0) {
+    await addAttachmentAppendix(pdfDoc, attachments, { helvetica, helveticaBold, dark, muted, gold, pageSize: [PAGE_W, PAGE_H], margin: MARGIN });
+  }
+
+  layout.addFooters(`TroyStack ${title} · ${dateStr}`);
+
+  return pdfDoc;
+};
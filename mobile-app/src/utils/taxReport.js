@@ -0,0 +1,200 @@
+/**
+ * TroyStack - Tax Report Utility
+ * Capital gains by lot for a tax year, Form 8949-style
+ *
+ * Physical precious metals are collectibles under US tax law: short-term
+ * gains are taxed as ordinary income and long-term gains at a maximum 28%
+ * rate (Schedule D, 28% Rate Gain Worksheet). Each lot a sale drew from is
+ * reported as its own row, since lots can have different holding periods.
+ */
+
+import { buildCsv } from './csv';
+
+export const COLLECTIBLES_MAX_RATE = 0.28;
+
+// Form 8949 column (f) adjustment code for collectibles
+export const COLLECTIBLES_CODE = 'C';
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+const capitalize = (str) => (str ? str.charAt(0).toUpperCase() + str.slice(1) : '');
+
+const parseDate = (dateStr) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateStr || '');
+  if (!match) return null;
+  return { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) };
+};
+
+/**
+ * Holding period of a lot. Long-term means held more than one year: sold
+ * after the one-year anniversary of the purchase date (Feb 29 purchases
+ * anniversary on Feb 28).
+ *
+ * @param {string} dateAcquired YYYY-MM-DD
+ * @param {string} dateSold YYYY-MM-DD
+ * @returns {'short'|'long'|null} null if either date is missing
+ */
+export const getHoldingPeriod = (dateAcquired, dateSold) => {
+  const acquired = parseDate(dateAcquired);
+  const sold = parseDate(dateSold);
+  if (!acquired || !sold) return null;
+
+  const daysInMonth = new Date(Date.UTC(acquired.year + 1, acquired.month, 0)).getUTCDate();
+  const anniversary = Date.UTC(acquired.year + 1, acquired.month - 1, Math.min(acquired.day, daysInMonth));
+  const soldAt = Date.UTC(sold.year, sold.month - 1, sold.day);
+
+  return soldAt > anniversary ? 'long' : 'short';
+};
+
+/**
+ * Tax years that have at least one sale, newest first
+ * @param {Array} sales Sale records
+ * @returns {Array<number>}
+ */
+export const getTaxYears = (sales) => {
+  const years = new Set();
+  (sales || []).forEach(s => {
+    const date = parseDate(s.dateSold);
+    if (date) years.add(date.year);
+  });
+  return [...years].sort((a, b) => b - a);
+};
+
+/**
+ * One row per lot sold in the tax year
+ *
+ * Proceeds are split across a sale's lots by units (sale price per unit less
+ * a unit share of selling fees). Adjusted basis is the lot's share of price
+ * plus purchase taxes and shipping, as recorded on the sale.
+ *
+ * @param {Array} sales Sale records
+ * @param {number|string} year Tax year
+ * @returns {Array<Object>} Short-term rows first, then long-term, each by date sold
+ */
+export const buildTaxLots = (sales, year) => {
+  const rows = [];
+
+  (sales || [])
+    .filter(s => (s.dateSold || '').startsWith(String(year)))
+    .forEach(sale => {
+      // Zero-quantity allocations only re-base lots (average cost)
+      const lots = (sale.lots || []).filter(a => a.quantity > 0);
+      const saleQty = sale.quantity || lots.reduce((sum, a) => sum + a.quantity, 0);
+      let proceedsLeft = sale.proceeds || 0;
+
+      lots.forEach((allocation, index) => {
+        const isLast = index === lots.length - 1;
+        const share = saleQty > 0 ? allocation.quantity / saleQty : 0;
+        const proceeds = isLast
+          ? round2(proceedsLeft)
+          : round2(((sale.pricePerUnit || 0) * allocation.quantity) - ((sale.fees || 0) * share));
+        proceedsLeft -= proceeds;
+
+        const dateAcquired = allocation.lot?.datePurchased || '';
+        const term = getHoldingPeriod(dateAcquired, sale.dateSold);
+        const totalOzt = (allocation.ozt || 0) * allocation.quantity;
+
+        rows.push({
+          saleId: sale.id,
+          metal: capitalize(sale.metal),
+          description: `${allocation.quantity} ${sale.productName} (${totalOzt.toFixed(3)} ozt ${sale.metal})`,
+          dateAcquired,
+          dateSold: sale.dateSold,
+          proceeds,
+          costBasis: round2(allocation.costBasis),
+          taxes: allocation.taxes || 0,
+          shipping: allocation.shipping || 0,
+          gain: round2(proceeds - allocation.costBasis),
+          // Undated lots are reported short-term (the higher rate) and flagged
+          term: term || 'short',
+          missingDate: !term,
+          method: sale.method,
+        });
+      });
+    });
+
+  return rows.sort((a, b) => {
+    if (a.term !== b.term) return a.term === 'short' ? -1 : 1;
+    return (a.dateSold || '').localeCompare(b.dateSold || '');
+  });
+};
+
+/**
+ * Short-term / long-term totals for a set of tax lot rows
+ *
+ * @param {Array} rows From buildTaxLots
+ * @returns {{ short: Object, long: Object, total: Object, collectiblesGain: number, missingDates: number }}
+ */
+export const summarizeTaxLots = (rows) => {
+  const empty = () => ({ proceeds: 0, costBasis: 0, gain: 0, count: 0 });
+  const summary = { short: empty(), long: empty(), total: empty(), collectiblesGain: 0, missingDates: 0 };
+
+  rows.forEach(row => {
+    [summary[row.term], summary.total].forEach(bucket => {
+      bucket.proceeds += row.proceeds;
+      bucket.costBasis += row.costBasis;
+      bucket.gain += row.gain;
+      bucket.count += 1;
+    });
+    if (row.missingDate) summary.missingDates += 1;
+  });
+
+  ['short', 'long', 'total'].forEach(key => {
+    summary[key].proceeds = round2(summary[key].proceeds);
+    summary[key].costBasis = round2(summary[key].costBasis);
+    summary[key].gain = round2(summary[key].gain);
+  });
+
+  // Net long-term collectibles gain that goes on the 28% Rate Gain Worksheet
+  summary.collectiblesGain = Math.max(0, summary.long.gain);
+  return summary;
+};
+
+const formatFormDate = (dateStr) => {
+  const date = parseDate(dateStr);
+  if (!date) return 'VARIOUS';
+  return `${String(date.month).padStart(2, '0')}/${String(date.day).padStart(2, '0')}/${date.year}`;
+};
+
+/**
+ * Form 8949-style CSV. Columns (a)-(h) follow the form; the trailing columns
+ * are supporting detail for the preparer.
+ *
+ * @param {Array} rows From buildTaxLots
+ * @returns {string}
+ */
+export const buildForm8949CSV = (rows) => {
+  const headers = [
+    'Part',
+    '(a) Description of Property',
+    '(b) Date Acquired',
+    '(c) Date Sold',
+    '(d) Proceeds',
+    '(e) Cost or Other Basis',
+    '(f) Code',
+    '(g) Adjustment',
+    '(h) Gain or (Loss)',
+    'Metal',
+    'Purchase Taxes in Basis',
+    'Purchase Shipping in Basis',
+    'Cost Basis Method',
+  ];
+
+  const lines = rows.map(row => [
+    row.term === 'long' ? 'II (Long-term)' : 'I (Short-term)',
+    row.description,
+    formatFormDate(row.dateAcquired),
+    formatFormDate(row.dateSold),
+    row.proceeds.toFixed(2),
+    row.costBasis.toFixed(2),
+    COLLECTIBLES_CODE,
+    '0.00',
+    row.gain.toFixed(2),
+    row.metal,
+    row.taxes.toFixed(2),
+    row.shipping.toFixed(2),
+    (row.method || '').toUpperCase(),
+  ]);
+
+  return buildCsv([headers, ...lines]);
+};
@@ -0,0 +1,49 @@
+/**
+ * TroyStack - Usage Quotas Utility
+ * Display rows for the metered features reported by /v1/usage
+ *
+ * The server returns, per feature, a daily and a monthly window
+ * ({ used, limit, startsAt, resetsAt }); a null limit means that window is
+ * unmetered for the tier. Only windows with a limit are shown.
+ */
+
+export const USAGE_FEATURES = [
+  { key: 'troy_message', label: 'Troy Messages' },
+  { key: 'voice', label: 'Voice Messages' },
+  { key: 'scan', label: 'Receipt Scans' },
+];
+
+const WINDOWS = [
+  { key: 'daily', label: 'today' },
+  { key: 'monthly', label: 'this month' },
+];
+
+/**
+ * One row per limited window of each feature
+ * @param {Object|null} usage The `usage` object from /v1/usage
+ * @returns {Array<{ key: string, label: string, period: string, used: number, limit: number, resetsAt: string|null, exceeded: boolean }>}
+ */
+export const getUsageRows = (usage) => {
+  if (!usage) return [];
+
+  const rows = [];
+  for (const feature of USAGE_FEATURES) {
+    const summary = usage[feature.key];
+    if (!summary) continue;
+
+    for (const window of WINDOWS) {
+      const quota = summary[window.key];
+      if (!quota || quota.limit == null) continue;
+      rows.push({
+        key: `${feature.key}_${window.key}`,
+        label: feature.label,
+        period: window.label,
+        used: quota.used || 0,
+        limit: quota.limit,
+        resetsAt: quota.resetsAt || null,
+        exceeded: (quota.used || 0) >= quota.limit,
+      });
+    }
+  }
+  return rows;
+};
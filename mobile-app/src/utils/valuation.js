@@ -0,0 +1,126 @@
+/**
+ * TroyStack - Valuation Utility
+ * Melt vs estimated market value for numismatic and semi-numismatic holdings
+ *
+ * Melt value (pure ozt × spot) stays the baseline everywhere. A holding can
+ * opt into a valuation mode that estimates what it would actually sell for:
+ * melt plus a fixed premium per unit, melt plus a percentage, or a manually
+ * entered market value per unit (e.g. from PCGS/NGC price guides or recent
+ * auction results) with the date it was last updated. All amounts are USD.
+ */
+
+export const VALUATION_MODES = [
+  { key: 'melt', label: 'Melt', description: 'Metal content × spot' },
+  { key: 'premium_fixed', label: '+ Premium', description: 'Melt plus a fixed premium per unit' },
+  { key: 'premium_pct', label: '+ %', description: 'Melt plus a percentage' },
+  { key: 'market', label: 'Market', description: 'Manually entered market value per unit' },
+];
+
+export const DEFAULT_VALUATION_MODE = 'melt';
+
+export const GRADING_SERVICES = ['PCGS', 'NGC', 'ANACS', 'ICG'];
+
+// Manual market values older than this are flagged for review
+export const MARKET_VALUE_STALE_DAYS = 180;
+
+/**
+ * Melt value of a holding
+ * @param {Object} item Holding
+ * @param {number} spot Spot price per ozt for the holding's metal
+ * @returns {number}
+ */
+export const getItemMeltValue = (item, spot) => (item.ozt || 0) * (item.quantity || 0) * (spot || 0);
+
+/**
+ * Whether a holding is valued above melt
+ * @param {Object} item Holding
+ * @returns {boolean}
+ */
+export const hasCollectibleValuation = (item) => !!item.valuationMode && item.valuationMode !== DEFAULT_VALUATION_MODE;
+
+/**
+ * Estimated market value of a holding under its valuation mode
+ *
+ * Falls back to melt when the mode's input is missing, so a half-filled
+ * valuation never reads as zero.
+ *
+ * @param {Object} item Holding
+ * @param {number} spot Spot price per ozt for the holding's metal
+ * @returns {number}
+ */
+export const getItemMarketValue = (item, spot) => {
+  const melt = getItemMeltValue(item, spot);
+  const quantity = item.quantity || 0;
+
+  switch (item.valuationMode) {
+    case 'premium_fixed':
+      return melt + (item.valuationPremium || 0) * quantity;
+    case 'premium_pct':
+      return melt * (1 + (item.valuationPremium || 0) / 100);
+    case 'market':
+      return item.marketValue > 0 ? item.marketValue * quantity : melt;
+    default:
+      return melt;
+  }
+};
+
+/**
+ * Whether a manually entered market value is due for an update
+ * @param {Object} item Holding
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isMarketValueStale = (item, now = new Date()) => {
+  if (item.valuationMode !== 'market') return false;
+  if (!item.marketValueUpdatedAt) return true;
+  const updated = new Date(`${item.marketValueUpdatedAt}T00:00:00`);
+  if (isNaN(updated.getTime())) return true;
+  return (now - updated) / (24 * 60 * 60 * 1000) > MARKET_VALUE_STALE_DAYS;
+};
+
+/**
+ * Grade label, e.g. "PCGS MS70 #12345678"
+ * @param {Object} item Holding
+ * @param {boolean} [withCert]
+ * @returns {string}
+ */
+export const formatGrade = (item, withCert = false) => {
+  const parts = [item.gradingService, item.grade].filter(Boolean);
+  if (withCert && item.certNumber) parts.push(`#${item.certNumber}`);
+  return parts.join(' ');
+};
+
+/**
+ * Melt and estimated market totals for a set of holdings
+ *
+ * @param {Array} items Holdings of one metal
+ * @param {number} spot Spot price per ozt
+ * @returns {{ melt: number, market: number, collectibleCount: number, staleCount: number }}
+ */
+export const summarizeValuation = (items, spot) => (items || []).reduce((acc, item) => {
+  acc.melt += getItemMeltValue(item, spot);
+  acc.market += getItemMarketValue(item, spot);
+  if (hasCollectibleValuation(item)) acc.collectibleCount += 1;
+  if (isMarketValueStale(item)) acc.staleCount += 1;
+  return acc;
+}, { melt: 0, market: 0, collectibleCount: 0, staleCount: 0 });
+
+/**
+ * Valuation and grading fields of a holding (empty for plain melt holdings),
+ * for copying a holding without dropping them
+ * @param {Object} item Holding
+ * @returns {Object}
+ */
+export const getValuationFields = (item) => {
+  const fields = {};
+  if (hasCollectibleValuation(item)) {
+    fields.valuationMode = item.valuationMode;
+    if (item.valuationPremium != null) fields.valuationPremium = item.valuationPremium;
+    if (item.marketValue != null) fields.marketValue = item.marketValue;
+    if (item.marketValueUpdatedAt) fields.marketValueUpdatedAt = item.marketValueUpdatedAt;
+  }
+  if (item.gradingService) fields.gradingService = item.gradingService;
+  if (item.grade) fields.grade = item.grade;
+  if (item.certNumber) fields.certNumber = item.certNumber;
+  return fields;
+};
@@ -0,0 +1,146 @@
+/**
+ * TroyStack - Weights Utility
+ * Weight units, fineness and pure metal content
+ *
+ * Holdings keep the weight as entered (weight + weightUnit) and a purity,
+ * and `ozt` is always the pure troy ounces per unit — it's what every
+ * valuation multiplies by spot. Holdings without weightUnit are legacy
+ * entries where ozt was typed directly (troy ounces, fine).
+ *
+ * Junk silver can be entered by face value instead of weight ("$10 face
+ * 90%"); its pure content comes from the standard per-dollar figures, which
+ * already account for purity and circulation wear.
+ */
+
+export const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+export const WEIGHT_UNITS = [
+  { key: 'ozt', label: 'ozt', name: 'Troy Ounce', grams: GRAMS_PER_TROY_OUNCE },
+  { key: 'g', label: 'g', name: 'Gram', grams: 1 },
+  { key: 'kg', label: 'kg', name: 'Kilogram', grams: 1000 },
+  { key: 'tola', label: 'tola', name: 'Tola', grams: 11.6638038 },
+  // Hong Kong gold tael (Chinese mainland tael is 50g, Taiwan 37.5g)
+  { key: 'tael', label: 'tael', name: 'Tael (HK)', grams: 37.429 },
+];
+
+export const FACE_VALUE_UNIT = 'face';
+
+// Pure silver ozt per $1 face value
+export const JUNK_SILVER_TYPES = [
+  { key: '90', label: '90%', purity: 0.9, oztPerDollar: 0.715 },
+  { key: '40', label: '40%', purity: 0.4, oztPerDollar: 0.295 },
+  { key: '35', label: 'War Nickels', purity: 0.35, oztPerDollar: 0.0563 / 0.05 }, // 0.0563 ozt per nickel
+];
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+/**
+ * Junk silver type for a purity (defaults to 90%)
+ * @param {number} purity
+ * @returns {Object} Entry of JUNK_SILVER_TYPES
+ */
+export const getJunkSilverType = (purity) =>
+  JUNK_SILVER_TYPES.find(t => Math.abs(t.purity - purity) < 0.005) || JUNK_SILVER_TYPES[0];
+
+/**
+ * Convert a weight to troy ounces (gross, before purity)
+ * @param {number} weight
+ * @param {string} unit Key of WEIGHT_UNITS
+ * @returns {number}
+ */
+export const toTroyOunces = (weight, unit = 'ozt') => {
+  const def = WEIGHT_UNITS.find(u => u.key === unit) || WEIGHT_UNITS[0];
+  return ((weight || 0) * def.grams) / GRAMS_PER_TROY_OUNCE;
+};
+
+/**
+ * Parse a fineness/purity value into a fraction
+ *
+ * Accepts fractions (.999, 0.9167), millesimal fineness (999.9, 916),
+ * percentages (90%, 91.67) and karats (22k, 24K).
+ *
+ * @param {string|number} value
+ * @returns {number|null} Fraction in (0, 1], or null if unrecognized/blank
+ */
+export const parsePurity = (value) => {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim().toLowerCase();
+  if (!str) return null;
+
+  const karat = /^(\d{1,2}(?:\.\d+)?)\s*(k|kt|karat|carat)$/.exec(str);
+  if (karat) {
+    const k = parseFloat(karat[1]);
+    return k > 0 && k <= 24 ? round4(k / 24) : null;
+  }
+
+  const num = parseFloat(str.replace('%', ''));
+  if (!(num > 0)) return null;
+  if (str.endsWith('%')) return num <= 100 ? round4(num / 100) : null;
+  if (num <= 1) return num;
+  if (num <= 100) return round4(num / 100);
+  if (num <= 1000) return round4(num / 1000);
+  return null;
+};
+
+/**
+ * Normalize a weight unit label from a spreadsheet or receipt
+ * @param {string} value e.g. "oz", "Grams", "kilo", "Tola", "face"
+ * @returns {string|null} Key of WEIGHT_UNITS, FACE_VALUE_UNIT, or null
+ */
+export const parseWeightUnit = (value) => {
+  const str = String(value || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!str) return null;
+  if (/^(oz|ozt|ounces?|troy\s*(oz|ounces?)|t\s*oz)$/.test(str)) return 'ozt';
+  if (/^(g|gr|grams?|gm)$/.test(str)) return 'g';
+  if (/^(kg|kgs|kilos?|kilograms?)$/.test(str)) return 'kg';
+  if (/^tolas?$/.test(str)) return 'tola';
+  if (/^taels?$/.test(str)) return 'tael';
+  if (/^(face|face value|fv)$/.test(str)) return FACE_VALUE_UNIT;
+  return null;
+};
+
+/**
+ * Weight fields of a holding (empty for legacy ozt-only holdings), for
+ * copying a holding without dropping how its weight was entered
+ * @param {Object} item Holding
+ * @returns {Object}
+ */
+export const getWeightFields = (item) => {
+  if (!item?.weightUnit) return {};
+  return {
+    weight: item.weight,
+    weightUnit: item.weightUnit,
+    ...(item.purity && item.purity < 1 ? { purity: item.purity } : {}),
+  };
+};
+
+/**
+ * Pure troy ounces per unit
+ *
+ * @param {Object} params
+ * @param {number} params.weight Weight per unit in weightUnit (face dollars for 'face')
+ * @param {string} [params.weightUnit] Key of WEIGHT_UNITS or FACE_VALUE_UNIT
+ * @param {number} [params.purity] Fraction; defaults to 1 (fine)
+ * @returns {number} Rounded to 4 decimals
+ */
+export const getPureOzt = ({ weight, weightUnit = 'ozt', purity }) => {
+  if (weightUnit === FACE_VALUE_UNIT) {
+    return round4((weight || 0) * getJunkSilverType(purity).oztPerDollar);
+  }
+  const fineness = purity > 0 && purity <= 1 ? purity : 1;
+  return round4(toTroyOunces(weight, weightUnit) * fineness);
+};
+
+/**
+ * Short description of a holding's weight, e.g. "100 g · .999", "$10 face 90%"
+ * @param {Object} item Holding
+ * @returns {string|null} null for legacy ozt-only holdings
+ */
+export const describeWeight = (item) => {
+  if (!item?.weightUnit) return null;
+  if (item.weightUnit === FACE_VALUE_UNIT) {
+    return `$${item.weight} face ${getJunkSilverType(item.purity).label}`;
+  }
+  const purity = item.purity && item.purity < 1 ? ` · ${String(item.purity).replace(/^0/, '')}` : '';
+  return `${item.weight} ${item.weightUnit}${purity}`;
+};
@@ -30,7 +30,8 @@ export const isWidgetKitAvailable = () => {
  * Update the widget with current portfolio data
  *
  * @param {Object} data Portfolio data
- * @param {number} data.portfolioValue Total portfolio value in dollars
+ * @param {number} data.portfolioValue Total portfolio value in dollars (estimated market value)
+ * @param {number} data.collectiblePremium Estimated market value above melt, kept when the widget reprices by spot
  * @param {number} data.dailyChangeAmount Today's change in dollars
  * @param {number} data.dailyChangePercent Today's change in percent
  * @param {number} data.goldSpot Current gold spot price
@@ -40,6 +41,8 @@ export const isWidgetKitAvailable = () => {
  * @param {number} data.silverChangeAmount Silver price change from previous day
  * @param {number} data.silverChangePercent Silver price change percent
  * @param {boolean} data.hasSubscription Whether user has Gold/Lifetime access
+ * @param {string} data.currencyCode Display currency of all money values (default USD)
+ * @param {number} data.fxRate USD → display currency rate, applied by the widget to prices it fetches itself
  */
 export const updateWidgetData = async (data) => {
   if (__DEV__) console.log('🔧 [WidgetKit] updateWidgetData called with:', {
@@ -55,6 +58,7 @@ export const updateWidgetData = async (data) => {
   try {
     const widgetData = {
       portfolioValue: data.portfolioValue || 0,
+      collectiblePremium: data.collectiblePremium || 0,
       dailyChangeAmount: data.dailyChangeAmount || 0,
       dailyChangePercent: data.dailyChangePercent || 0,
       goldSpot: data.goldSpot || 0,
@@ -85,6 +89,8 @@ export const updateWidgetData = async (data) => {
       platinumSparkline: data.platinumSparkline || [],
       palladiumSparkline: data.palladiumSparkline || [],
       marketsClosed: data.marketsClosed || false,
+      currencyCode: data.currencyCode || 'USD',
+      fxRate: data.fxRate || 1,
     };
 
     // Serialize to JSON and send to native module
@@ -100,22 +100,24 @@ struct Provider: TimelineProvider {
             if let freshPrices = await fetchFromBackendCacheAsync() {
                 print("✅ [Widget] Got fresh prices - Gold: $\(freshPrices.gold), Silver: $\(freshPrices.silver), Pt: $\(freshPrices.platinum), Pd: $\(freshPrices.palladium)")
 
-                data.goldSpot = freshPrices.gold
-                data.silverSpot = freshPrices.silver
-                data.platinumSpot = freshPrices.platinum
-                data.palladiumSpot = freshPrices.palladium
-                data.goldChangeAmount = freshPrices.goldChange
+                // Backend prices are USD; convert to the app's display currency
+                let fx = data.fxRate
+                data.goldSpot = freshPrices.gold * fx
+                data.silverSpot = freshPrices.silver * fx
+                data.platinumSpot = freshPrices.platinum * fx
+                data.palladiumSpot = freshPrices.palladium * fx
+                data.goldChangeAmount = freshPrices.goldChange * fx
                 data.goldChangePercent = freshPrices.goldChangePercent
-                data.silverChangeAmount = freshPrices.silverChange
+                data.silverChangeAmount = freshPrices.silverChange * fx
                 data.silverChangePercent = freshPrices.silverChangePercent
-                data.platinumChangeAmount = freshPrices.platinumChange
+                data.platinumChangeAmount = freshPrices.platinumChange * fx
                 data.platinumChangePercent = freshPrices.platinumChangePercent
-                data.palladiumChangeAmount = freshPrices.palladiumChange
+                data.palladiumChangeAmount = freshPrices.palladiumChange * fx
                 data.palladiumChangePercent = freshPrices.palladiumChangePercent
-                data.goldSparkline = freshPrices.goldSparkline
-                data.silverSparkline = freshPrices.silverSparkline
-                data.platinumSparkline = freshPrices.platinumSparkline
-                data.palladiumSparkline = freshPrices.palladiumSparkline
+                data.goldSparkline = freshPrices.goldSparkline.map { $0 * fx }
+                data.silverSparkline = freshPrices.silverSparkline.map { $0 * fx }
+                data.platinumSparkline = freshPrices.platinumSparkline.map { $0 * fx }
+                data.palladiumSparkline = freshPrices.palladiumSparkline.map { $0 * fx }
                 data.lastUpdated = currentDate
 
                 // Recalculate portfolio value from atomic price snapshot
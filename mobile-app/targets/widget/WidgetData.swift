@@ -31,6 +31,15 @@ struct WidgetData: Codable {
     var hideValues: Bool
     var marketsClosed: Bool
 
+    // Display currency: money values above are already in this currency.
+    // fxRate (USD → currency) converts USD prices fetched by the widget itself.
+    var currencyCode: String
+    var fxRate: Double
+
+    // Estimated market value above melt (numismatic premiums), in the display
+    // currency. Added on top of ozt × spot when the widget reprices itself.
+    var collectiblePremium: Double
+
     // Sparkline data (7 data points per metal)
     var goldSparkline: [Double]
     var silverSparkline: [Double]
@@ -48,6 +57,7 @@ struct WidgetData: Codable {
         case goldOzt, silverOzt, platinumOzt, palladiumOzt
         case lastUpdated, hasSubscription, hideValues, marketsClosed
         case goldSparkline, silverSparkline, platinumSparkline, palladiumSparkline
+        case currencyCode, fxRate, collectiblePremium
     }
 
     init(from decoder: Decoder) throws {
@@ -83,6 +93,9 @@ struct WidgetData: Codable {
         silverSparkline = (try? container.decode([Double].self, forKey: .silverSparkline)) ?? []
         platinumSparkline = (try? container.decode([Double].self, forKey: .platinumSparkline)) ?? []
         palladiumSparkline = (try? container.decode([Double].self, forKey: .palladiumSparkline)) ?? []
+        currencyCode = (try? container.decode(String.self, forKey: .currencyCode)) ?? "USD"
+        fxRate = (try? container.decode(Double.self, forKey: .fxRate)) ?? 1
+        collectiblePremium = (try? container.decode(Double.self, forKey: .collectiblePremium)) ?? 0
     }
 
     init(portfolioValue: Double, dailyChangeAmount: Double, dailyChangePercent: Double,
@@ -99,7 +112,9 @@ struct WidgetData: Codable {
          lastUpdated: Date, hasSubscription: Bool,
          hideValues: Bool = false, marketsClosed: Bool = false,
          goldSparkline: [Double] = [], silverSparkline: [Double] = [],
-         platinumSparkline: [Double] = [], palladiumSparkline: [Double] = []) {
+         platinumSparkline: [Double] = [], palladiumSparkline: [Double] = [],
+         currencyCode: String = "USD", fxRate: Double = 1,
+         collectiblePremium: Double = 0) {
         self.portfolioValue = portfolioValue
         self.dailyChangeAmount = dailyChangeAmount
         self.dailyChangePercent = dailyChangePercent
@@ -131,6 +146,9 @@ struct WidgetData: Codable {
         self.silverSparkline = silverSparkline
         self.platinumSparkline = platinumSparkline
         self.palladiumSparkline = palladiumSparkline
+        self.currencyCode = currencyCode
+        self.fxRate = fxRate
+        self.collectiblePremium = collectiblePremium
     }
 
     /// Placeholder data shown while loading
@@ -190,7 +208,7 @@ struct WidgetData: Codable {
         let newValue = (goldOzt * goldSpot) + (silverOzt * silverSpot)
             + (platinumOzt * platinumSpot) + (palladiumOzt * palladiumSpot)
         if newValue > 0 {
-            portfolioValue = newValue
+            portfolioValue = newValue + collectiblePremium
             goldValue = goldOzt * goldSpot
             silverValue = silverOzt * silverSpot
             platinumValue = platinumOzt * platinumSpot